@@ -0,0 +1,109 @@
+/**
+ * [성인 키 예측] 부모 키로 구하는 중간 부모 키(mid-parental target height)와,
+ * 아이의 현재 나이별 키 z-점수를 18세까지 그대로 유지한다고 보고 구한 예상 키를 함께 계산합니다.
+ * 두 값 모두 통계적인 추정일 뿐이므로 결과에는 항상 범위와 한계를 함께 보여줍니다.
+ */
+
+const { selectStandard, getLms, calculateZScore, valueAtZScore } = require('./growth.js');
+const { formatAgeMonths } = require('./age.js');
+const { createTranslator } = require('./i18n.js');
+const { round } = require('./number-format.js');
+
+// 성인 키로 보는 나이 (lmsData에 227개월까지 있습니다)
+const ADULT_AGE_MONTHS = 216;
+
+// Tanner 공식: 남자는 (아빠 + 엄마 + 13) / 2, 여자는 (아빠 + 엄마 - 13) / 2, 약 95% 범위는 ±8.5cm
+const MID_PARENTAL_SEX_OFFSET_CM = 13;
+const MID_PARENTAL_RANGE_CM = 8.5;
+
+// 현재 z-점수를 그대로 옮기는 예측은 ±1 SD(약 68%) 범위로 보여줍니다
+const PROJECTION_RANGE_Z = 1;
+// 2세 전의 키는 성인 키와 상관이 약하고, 사춘기 무렵에는 사춘기 시작 시기에 따라 크게 달라집니다
+const INFANT_MAX_AGE_MONTHS = 24;
+const PUBERTY_AGE_MONTHS = { male: 132, female: 120 };
+
+// 부모 키로 받아들일 범위 (cm)
+const PARENT_HEIGHT_RANGE = { min: 120, max: 220 };
+
+function isParentHeight(value) {
+  return Number.isFinite(value) && value >= PARENT_HEIGHT_RANGE.min && value <= PARENT_HEIGHT_RANGE.max;
+}
+
+/**
+ * 부모 키로 중간 부모 키와 그 범위를 구합니다. 부모 키가 하나라도 없으면 null을 반환합니다.
+ */
+function midParentalHeight(sex, fatherCm, motherCm) {
+  if (!isParentHeight(fatherCm) || !isParentHeight(motherCm)) return null;
+  const offset = sex === 'male' ? MID_PARENTAL_SEX_OFFSET_CM : -MID_PARENTAL_SEX_OFFSET_CM;
+  const target = (fatherCm + motherCm + offset) / 2;
+  return {
+    target: round(target),
+    low: round(target - MID_PARENTAL_RANGE_CM),
+    high: round(target + MID_PARENTAL_RANGE_CM),
+  };
+}
+
+/**
+ * 현재 키의 z-점수를 18세 기준표에 옮겨 예상 성인 키를 구합니다. 기준 자료가 없으면 null을 반환합니다.
+ */
+function projectAdultHeight(sex, heightCm, ageMonth, { preferred = null } = {}) {
+  if (!Number.isFinite(heightCm) || !Number.isFinite(ageMonth)) return null;
+  const currentStandard = selectStandard(sex, 'height', ageMonth, { preferred });
+  const adultStandard = selectStandard(sex, 'height', ADULT_AGE_MONTHS, { preferred });
+  if (!currentStandard || !adultStandard) return null;
+
+  const zScore = calculateZScore(heightCm, getLms(sex, 'height', ageMonth, currentStandard));
+  const adultLms = getLms(sex, 'height', ADULT_AGE_MONTHS, adultStandard);
+  return {
+    zScore,
+    target: round(valueAtZScore(adultLms, zScore)),
+    low: round(valueAtZScore(adultLms, zScore - PROJECTION_RANGE_Z)),
+    high: round(valueAtZScore(adultLms, zScore + PROJECTION_RANGE_Z)),
+    standards: [...new Set([currentStandard, adultStandard])],
+  };
+}
+
+/**
+ * 나이에 따라 z-점수 예측을 얼마나 믿을 수 있는지 알려주는 문구입니다.
+ */
+function describeProjectionReliability(sex, ageMonth, t = createTranslator()) {
+  if (ageMonth < INFANT_MAX_AGE_MONTHS) return t('adultHeight.infant');
+  if (ageMonth >= PUBERTY_AGE_MONTHS[sex] && ageMonth < ADULT_AGE_MONTHS) return t('adultHeight.puberty');
+  return null;
+}
+
+/**
+ * 예측 결과를 카카오톡 메시지로 보여줄 문자열로 만듭니다.
+ * midParental, projection 중 하나만 있어도 되며, 둘 다 있으면 서로 비교합니다.
+ */
+function formatAdultHeightPrediction({ sex, ageMonth, heightCm, midParental, projection }, t = createTranslator()) {
+  const lines = [t('adultHeight.title')];
+
+  if (midParental) lines.push(t('adultHeight.midParental', midParental));
+  if (projection) {
+    lines.push(t('adultHeight.projection', projection));
+    lines.push(t('adultHeight.assumption', { age: formatAgeMonths(ageMonth, t), height: heightCm, z: t.z(projection.zScore) }));
+  }
+
+  if (midParental && projection) {
+    const difference = round(projection.target - midParental.target);
+    if (projection.target >= midParental.low && projection.target <= midParental.high) {
+      lines.push('', t('adultHeight.withinRange', { difference: Math.abs(difference) }));
+    } else {
+      lines.push('', t(difference > 0 ? 'adultHeight.aboveRange' : 'adultHeight.belowRange', { difference: Math.abs(difference) }));
+      if (difference < 0) lines.push(t('adultHeight.slowGrowth'));
+    }
+  }
+
+  lines.push('', t(midParental && projection ? 'adultHeight.caveatBoth' : 'adultHeight.caveatOne'));
+  const reliability = projection ? describeProjectionReliability(sex, ageMonth, t) : null;
+  if (reliability) lines.push(reliability);
+  return lines.join('\n');
+}
+
+module.exports = {
+  PARENT_HEIGHT_RANGE,
+  midParentalHeight,
+  projectAdultHeight,
+  formatAdultHeightPrediction,
+};
@@ -0,0 +1,147 @@
+/**
+ * [나이 계산] 날짜 문자열(YYYY-MM-DD)과 개월 수 사이의 변환을 담당합니다.
+ * 날짜는 시간대 영향을 받지 않도록 모두 UTC 자정 기준으로 다룹니다.
+ * 일수를 개월로 바꿀 때는 WHO 성장 기준과 같이 한 달을 365.25 / 12 = 30.4375일로 봅니다.
+ */
+
+const { createTranslator } = require('./i18n.js');
+
+const DAYS_PER_MONTH = 365.25 / 12;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// 37주 미만 출생아는 만삭(40주)에 못 미친 기간만큼 나이를 교정하며, 실제 나이 24개월까지만 적용합니다
+const TERM_WEEKS = 40;
+const PRETERM_WEEKS = 37;
+const CORRECTION_MAX_MONTHS = 24;
+
+const DATE_REGEX = /(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})\s*일?/;
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * "2022-03-05", "2022.3.5", "2022년 3월 5일" 형식을 'YYYY-MM-DD'로 바꿉니다.
+ * 존재하지 않는 날짜(2월 30일 등)는 null을 반환합니다.
+ */
+function parseDate(text) {
+  const match = String(text || '').match(DATE_REGEX);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * 오늘 날짜를 한국 시간 기준 'YYYY-MM-DD'로 반환합니다.
+ */
+function today() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+}
+
+function toUtc(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function daysBetween(from, to) {
+  return Math.round((toUtc(to) - toUtc(from)) / MS_PER_DAY);
+}
+
+/**
+ * from부터 to까지의 나이를 일 단위로 계산해 소수 개월(소수점 둘째 자리)로 반환합니다.
+ */
+function monthsBetween(from, to) {
+  return Math.round((daysBetween(from, to) / DAYS_PER_MONTH) * 100) / 100;
+}
+
+/**
+ * from부터 to까지 꽉 채운 개월 수를 반환합니다. (생일이 지나지 않은 달은 세지 않습니다)
+ */
+function completedMonthsBetween(from, to) {
+  const [y1, m1, d1] = from.split('-').map(Number);
+  const [y2, m2, d2] = to.split('-').map(Number);
+  let months = (y2 - y1) * 12 + (m2 - m1);
+  if (d2 < d1) months -= 1;
+  return months;
+}
+
+/**
+ * 개월 수를 "15개월" 또는 "3세 2개월"처럼 읽기 쉬운 문자열로 바꿉니다.
+ */
+function formatAgeMonths(months, t = createTranslator()) {
+  const whole = Math.floor(months);
+  if (whole < 24) return t('age.months', { count: whole });
+  const years = t('age.years', { count: Math.floor(whole / 12) });
+  const rest = whole % 12;
+  return rest ? t('age.yearsMonths', { years, months: t('age.months', { count: rest }) }) : years;
+}
+
+/**
+ * 평가에 쓸 나이를 정합니다.
+ * 생년월일이 있으면 측정일(없으면 오늘) 기준으로 실제 나이를 계산하고, 없으면 말한 나이를 씁니다.
+ * 37주 미만 조산아는 실제 나이 24개월 미만까지 교정 연령을 평가 나이로 사용합니다.
+ * 반환값: { ageMonth, chronologicalMonths, correctedMonths, basis, measuredOn } / 나이를 알 수 없으면 null
+ */
+function resolveAge({ birthdate, measured_on, age_month, gestational_weeks }, date = today()) {
+  const measuredOn = measured_on || date;
+  let chronologicalMonths;
+  if (birthdate) {
+    chronologicalMonths = monthsBetween(birthdate, measuredOn);
+  } else if (age_month !== null && age_month !== undefined) {
+    chronologicalMonths = Number(age_month);
+  } else {
+    return null;
+  }
+
+  const resolved = {
+    ageMonth: chronologicalMonths,
+    chronologicalMonths,
+    correctedMonths: null,
+    basis: birthdate ? 'birthdate' : 'stated',
+    measuredOn,
+  };
+
+  if (gestational_weeks && gestational_weeks < PRETERM_WEEKS && chronologicalMonths < CORRECTION_MAX_MONTHS) {
+    const deficitMonths = ((TERM_WEEKS - gestational_weeks) * 7) / DAYS_PER_MONTH;
+    resolved.correctedMonths = Math.max(0, Math.round((chronologicalMonths - deficitMonths) * 100) / 100);
+    resolved.ageMonth = resolved.correctedMonths;
+  }
+  return resolved;
+}
+
+/**
+ * 보고서에 표시할 "어떤 나이로 평가했는지" 설명 문구를 만듭니다.
+ * statedAs는 사용자가 말한 나이 표현("세 돌 반")으로, 입력한 나이로 평가했을 때 함께 보여줍니다.
+ */
+function describeAgeBasis(resolved, gestationalWeeks, statedAs = null, t = createTranslator()) {
+  const chronological = formatAgeMonths(resolved.chronologicalMonths, t);
+  const stated = statedAs ? t('ageBasis.statedAs', { stated: statedAs }) : t('ageBasis.stated');
+  const source = resolved.basis === 'birthdate' ? t('ageBasis.birthdate', { date: resolved.measuredOn }) : stated;
+  if (resolved.correctedMonths !== null) {
+    return t('ageBasis.corrected', {
+      corrected: formatAgeMonths(resolved.correctedMonths, t),
+      chronological,
+      weeks: gestationalWeeks,
+      source,
+    });
+  }
+  return t('ageBasis.plain', { age: chronological, source });
+}
+
+module.exports = {
+  DAYS_PER_MONTH,
+  DATE_REGEX,
+  parseDate,
+  today,
+  daysBetween,
+  monthsBetween,
+  completedMonthsBetween,
+  formatAgeMonths,
+  resolveAge,
+  describeAgeBasis,
+};
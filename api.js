@@ -0,0 +1,193 @@
+/**
+ * [REST API] 카카오톡과 무관하게 웹/앱에서 성장 계산을 쓰도록 JSON API(/api/v1)를 제공합니다.
+ * 계산은 /skill과 같은 growth-assessment.js를 쓰고, 잘못된 입력은 400과 { error: { code, message, field } }로 알립니다.
+ * 요청·응답 형식은 /api/v1/openapi.json에 있습니다.
+ */
+
+const express = require('express');
+const { getAgeRange, referenceValues } = require('./growth.js');
+const {
+  ASSESSMENT_METRICS, AssessmentInputError, describeMissingReference, readNumberField, readSexField, readStandardField,
+  parseAssessmentInput, assessGrowth, describeStandardInfo, serializeAssessment,
+} = require('./growth-assessment.js');
+const {
+  MAX_BULK_ROWS, BULK_COLUMNS, isBulkReadError, readRecords, assessRecord, csvLine, formatBulkRow,
+} = require('./bulk-assessment.js');
+const openApiDocument = require('./openapi.js');
+const { round } = require('./number-format.js');
+
+const REFERENCE_METRICS = ['height', 'weight', 'head', 'bmi'];
+const DEFAULT_REFERENCE_PERCENTILES = [3, 50, 97];
+const MAX_REFERENCE_PERCENTILES = 20;
+
+// 대량 평가 경로. 본문을 스트림으로 읽어야 하므로 index.js의 express.json()이 이 경로는 건너뜁니다.
+const BULK_ASSESS_PATH = '/assess/bulk';
+
+/** API 요청 오류. status와 code는 응답에 그대로 씁니다. */
+class ApiError extends Error {
+  constructor(status, code, message, field = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+function invalid(message, field) {
+  return new ApiError(400, 'invalid_request', message, field);
+}
+
+function parsePercentiles(text) {
+  if (text === undefined || text === '') return DEFAULT_REFERENCE_PERCENTILES;
+  const percentiles = String(text).split(',').map(part => Number(part.trim()));
+  if (!percentiles.length || percentiles.length > MAX_REFERENCE_PERCENTILES
+    || percentiles.some(p => !Number.isFinite(p) || p <= 0 || p >= 100)) {
+    throw invalid(`percentiles는 0과 100 사이 숫자를 쉼표로 구분해 최대 ${MAX_REFERENCE_PERCENTILES}개까지 넣어야 합니다.`, 'percentiles');
+  }
+  return [...new Set(percentiles)].sort((a, b) => a - b);
+}
+
+// 응답 버퍼가 비거나 연결이 끊길 때까지 기다립니다 (느린 클라이언트 때문에 결과가 메모리에 쌓이지 않도록)
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// 요청 본문 형식에 맞는 대량 평가 입력 형식 (지원하지 않으면 null)
+function bulkFormat(req) {
+  if (req.is('text/csv')) return 'csv';
+  if (req.is('application/x-ndjson')) return 'ndjson';
+  if (req.is('application/json')) return 'json';
+  return null;
+}
+
+/**
+ * 본문을 한 행씩 읽어 평가하고, 결과 CSV를 한 줄씩 응답에 씁니다.
+ * 첫 행을 읽기 전의 형식 오류는 JSON 오류 응답으로, 그 뒤의 오류는 CSV 마지막 줄의 error 열로 알립니다.
+ */
+async function streamBulkAssessment(req, res, preferred) {
+  const format = bulkFormat(req);
+  if (!format) {
+    throw new ApiError(415, 'unsupported_media_type', '본문은 text/csv, application/json(배열), application/x-ndjson 중 하나여야 합니다.', null);
+  }
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const write = async line => {
+    if (!res.headersSent) {
+      res.status(200);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="growth-assessment.csv"',
+      });
+      // 엑셀에서 한글이 깨지지 않도록 BOM을 붙입니다
+      res.write(`\ufeff${csvLine(BULK_COLUMNS)}`);
+    }
+    if (!res.write(line) && !closed) await waitForDrain(res);
+  };
+
+  let count = 0;
+  try {
+    for await (const item of readRecords(format, req)) {
+      if (closed) return;
+      if (count >= MAX_BULK_ROWS) {
+        await write(formatBulkRow({ row: item.row, error: `한 번에 최대 ${MAX_BULK_ROWS}행까지 평가할 수 있어요. 나머지는 나눠서 올려주세요.` }));
+        break;
+      }
+      count += 1;
+      await write(formatBulkRow(assessRecord(item, { preferred })));
+    }
+  } catch (error) {
+    if (!isBulkReadError(error)) throw error;
+    if (!res.headersSent) throw invalid(`본문을 읽지 못했습니다: ${error.message}`, null);
+    await write(formatBulkRow({ error: `본문을 읽지 못해 여기서 멈췄어요: ${error.message}` }));
+  }
+  if (!res.headersSent) await write('');
+  res.end();
+}
+
+/**
+ * /api/v1 라우터를 만듭니다. preferredStandard는 요청에 standard가 없을 때 쓸 운영 기준(GROWTH_STANDARD)입니다.
+ */
+function createApiRouter({ preferredStandard = null } = {}) {
+  const router = express.Router();
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  router.post('/assess', (req, res) => {
+    const { input, standard } = parseAssessmentInput(req.body);
+    const assessment = assessGrowth(input, { preferred: standard || preferredStandard });
+    res.json(serializeAssessment(assessment));
+  });
+
+  // standard는 쿼리로 받아 모든 행에 같은 기준을 씁니다
+  router.post(BULK_ASSESS_PATH, (req, res, next) => {
+    const standard = readStandardField(req.query);
+    streamBulkAssessment(req, res, standard || preferredStandard).catch(next);
+  });
+
+  router.get('/reference', (req, res) => {
+    const sex = readSexField(req.query);
+    const ageMonth = readNumberField(req.query, 'age_month', { required: true });
+    const metric = req.query.metric;
+    if (!REFERENCE_METRICS.includes(metric)) {
+      throw invalid(`metric은 ${REFERENCE_METRICS.join(', ')} 중 하나여야 합니다.`, 'metric');
+    }
+    const percentiles = parsePercentiles(req.query.percentiles);
+    const standard = readStandardField(req.query);
+
+    const reference = referenceValues(sex, metric, ageMonth, percentiles, { preferred: standard || preferredStandard });
+    if (!reference) {
+      const field = getAgeRange(sex, metric) ? 'age_month' : 'metric';
+      throw new ApiError(404, 'reference_not_found', `${ASSESSMENT_METRICS[metric].label}: ${describeMissingReference(sex, metric)}`, field);
+    }
+    res.json({
+      sex,
+      age_month: ageMonth,
+      metric,
+      unit: ASSESSMENT_METRICS[metric].unit,
+      standard: describeStandardInfo(reference.standard),
+      values: reference.values.map(({ percentile, value }) => ({ percentile, value: round(value, 2) })),
+    });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: { code: 'not_found', message: `없는 API입니다: ${req.method} ${req.baseUrl}${req.path}`, field: null } });
+  });
+
+  return router;
+}
+
+/**
+ * /api/v1 요청의 오류를 JSON으로 응답합니다. (본문 JSON 파싱 오류도 여기서 처리하도록 라우터 뒤에 붙입니다)
+ */
+function handleApiError(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({ error: { code: error.code, message: error.message, field: error.field } });
+  }
+  if (error instanceof AssessmentInputError) {
+    return res.status(400).json({ error: { code: 'invalid_request', message: error.message, field: error.field } });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: { code: 'invalid_json', message: '요청 본문이 올바른 JSON이 아닙니다.', field: null } });
+  }
+  console.error('API 처리 중 오류 발생:', error);
+  res.status(500).json({ error: { code: 'internal_error', message: '계산 중 오류가 발생했습니다.', field: null } });
+}
+
+module.exports = {
+  BULK_ASSESS_PATH,
+  createApiRouter,
+  handleApiError,
+};
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * [CLI] 서버 없이 챗봇과 같은 계산으로 성장 평가를 해 보는 명령줄 도구입니다. (진료실에서 챗봇 답을 확인하는 용도)
+ *
+ *   growth assess --sex female --age 30 --height 90 --weight 13
+ *   growth batch children.csv --format table
+ *
+ * 한 아이 평가(assess)와 파일 일괄 평가(batch)는 각각 /api/v1/assess, /api/v1/assess/bulk와 같은 모듈을 씁니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { parseArgs } = require('util');
+const { describeAgeBasis } = require('../age.js');
+const { describeStandard, formatCitations, resolveStandardSetting } = require('../growth-standards.js');
+const { formatZScore } = require('../growth.js');
+const {
+  ASSESSMENT_METRICS, AssessmentInputError, readStandardField, parseAssessmentInput, assessGrowth, serializeAssessment,
+} = require('../growth-assessment.js');
+const {
+  BULK_FORMATS, BULK_COLUMNS, normalizeRecord, isBulkReadError, readRecords, assessRecord, bulkFlags, csvLine, formatBulkRow,
+} = require('../bulk-assessment.js');
+
+const USAGE = `사용법:
+  growth assess --sex <male|female> (--age <개월> | --birthdate <YYYY-MM-DD>) [측정값] [옵션]
+  growth batch <파일|-> [옵션]
+
+assess 측정값:
+  --height <cm>  --weight <kg>  --head <cm>
+  --date <YYYY-MM-DD>            측정일 (기본값: 오늘)
+  --gestational-weeks <주>       재태 주수 (37주 미만이면 교정 연령으로 평가)
+
+batch 입력:
+  CSV, JSON 배열, NDJSON 파일. 열은 id, sex, birthdate, age_month, measured_on, height_cm, weight_kg, head_cm
+  (한글 머리글 이름, 성별, 생년월일, 개월, 측정일, 키, 몸무게, 머리둘레도 받습니다)
+  --input-format <csv|json|ndjson>  확장자로 알 수 없거나 표준 입력(-)일 때
+
+공통 옵션:
+  --format <table|json|csv>      출력 형식 (기본값: table, csv는 batch만)
+  --standard <auto|kdca2017|who2006>  우선 사용할 성장 기준 (기본값: GROWTH_STANDARD 또는 auto)
+                                 CDC 2000 성장도표는 지원하지 않습니다
+  -h, --help`;
+
+const OPTIONS = {
+  sex: { type: 'string' },
+  age: { type: 'string' },
+  birthdate: { type: 'string' },
+  date: { type: 'string' },
+  height: { type: 'string' },
+  weight: { type: 'string' },
+  head: { type: 'string' },
+  'gestational-weeks': { type: 'string' },
+  standard: { type: 'string' },
+  format: { type: 'string', default: 'table' },
+  'input-format': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// 검증 오류의 field를 CLI 옵션 이름으로 바꿔 보여줍니다
+const FIELD_OPTIONS = {
+  sex: '--sex',
+  age_month: '--age',
+  birthdate: '--birthdate',
+  measured_on: '--date',
+  height_cm: '--height',
+  weight_kg: '--weight',
+  head_cm: '--head',
+  gestational_weeks: '--gestational-weeks',
+  measurements: '--height/--weight/--head',
+  standard: '--standard',
+};
+
+const EXTENSION_FORMATS = { '.csv': 'csv', '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson' };
+const TABLE_METRICS = ['height', 'weight', 'head', 'wfl', 'bmi'];
+const SEX_LABELS = { male: '남아', female: '여아' };
+
+/** 명령줄 사용 오류. 메시지와 사용법을 보여주고 종료 코드 2로 끝냅니다. */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// 한글 등 전각 문자는 터미널에서 두 칸을 차지합니다
+function displayWidth(text) {
+  let width = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    width += (code >= 0x1100 && code <= 0x115f) || (code >= 0x2e80 && code <= 0xa4cf)
+      || (code >= 0xac00 && code <= 0xd7a3) || (code >= 0xf900 && code <= 0xfaff) || (code >= 0xff00 && code <= 0xff60) ? 2 : 1;
+  }
+  return width;
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[i] ?? ''))));
+  const line = cells => cells.map((cell, i) => {
+    const text = String(cell ?? '');
+    return text + ' '.repeat(widths[i] - displayWidth(text));
+  }).join('  ').trimEnd();
+  return [line(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// `growth batch ... | head`처럼 읽는 쪽이 먼저 끝나면 조용히 멈춥니다
+process.stdout.on('error', error => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(process.exitCode ?? 0);
+});
+
+async function write(text) {
+  if (!process.stdout.write(text)) await once(process.stdout, 'drain');
+}
+
+function readFormat(values, allowed) {
+  if (!allowed.includes(values.format)) {
+    throw new UsageError(`--format은 ${allowed.join(', ')} 중 하나여야 합니다: ${values.format}`);
+  }
+  return values.format;
+}
+
+function resolvePreferred(values) {
+  return readStandardField({ standard: values.standard }) || resolveStandardSetting();
+}
+
+// 표의 지표 칸: "28.5 보통" (기준 자료가 없으면 이유)
+function metricCell(assessment, metric) {
+  const item = assessment.metrics.find(entry => (entry.metric === 'wfh' ? 'wfl' : entry.metric) === metric);
+  if (!item) return '';
+  if (item.zScore === null) return item.missingReason;
+  return `${item.percentile} ${item.interpretation?.label ?? ''}`.trim();
+}
+
+function formatAssessmentTable(assessment, gestationalWeeks) {
+  const rows = assessment.metrics.map(item => [
+    ASSESSMENT_METRICS[item.metric].label,
+    `${item.value} ${item.unit}`,
+    item.zScore === null ? '' : formatZScore(item.zScore),
+    item.percentile ?? '',
+    item.interpretation?.label ?? item.missingReason,
+    item.standard ? describeStandard(item.standard) : '',
+  ]);
+  const lines = [
+    `${SEX_LABELS[assessment.sex]}, ${describeAgeBasis(assessment.age, gestationalWeeks)}`,
+    '',
+    formatTable(['지표', '측정값', 'z-점수', '백분위', '판정', '기준'], rows),
+  ];
+  const flags = bulkFlags(assessment);
+  if (flags.length) lines.push('', `확인: ${flags.join(', ')}`);
+  if (assessment.standards.length) lines.push('', formatCitations(assessment.standards));
+  return lines.join('\n');
+}
+
+async function runAssess(values) {
+  const format = readFormat(values, ['table', 'json']);
+  const record = normalizeRecord({
+    sex: values.sex,
+    age_month: values.age,
+    birthdate: values.birthdate,
+    measured_on: values.date,
+    height_cm: values.height,
+    weight_kg: values.weight,
+    head_cm: values.head,
+    gestational_weeks: values['gestational-weeks'],
+  });
+  const { input, standard } = parseAssessmentInput({ ...record, standard: values.standard });
+  const assessment = assessGrowth(input, { preferred: standard || resolveStandardSetting() });
+
+  await write(format === 'json'
+    ? `${JSON.stringify(serializeAssessment(assessment), null, 2)}\n`
+    : `${formatAssessmentTable(assessment, input.gestational_weeks)}\n`);
+}
+
+function batchInput(file, values) {
+  const format = values['input-format'] || (file === '-' ? 'csv' : EXTENSION_FORMATS[path.extname(file).toLowerCase()]);
+  if (!BULK_FORMATS.includes(format)) {
+    throw new UsageError(`입력 형식을 알 수 없습니다: ${file} (--input-format ${BULK_FORMATS.join('|')})`);
+  }
+  return { format, stream: file === '-' ? process.stdin : fs.createReadStream(file) };
+}
+
+/**
+ * 파일을 한 행씩 평가합니다. csv와 json은 행마다 바로 쓰고, table은 칸 너비를 맞추기 위해 다 모은 뒤 씁니다.
+ * 잘못된 행은 오류를 적고 계속 진행하며, 끝에 평가한 행과 오류 행 수를 표준 오류로 알려줍니다.
+ */
+async function runBatch(file, values) {
+  if (!file) throw new UsageError('평가할 파일을 지정해 주세요. (표준 입력은 -)');
+  const format = readFormat(values, ['table', 'json', 'csv']);
+  const preferred = resolvePreferred(values);
+  const { format: inputFormat, stream } = batchInput(file, values);
+
+  const tableRows = [];
+  let count = 0;
+  let errors = 0;
+  const emit = async result => {
+    count += 1;
+    if (result.error) errors += 1;
+    if (format === 'csv') {
+      await write(formatBulkRow(result));
+    } else if (format === 'json') {
+      const { row, input, assessment, error } = result;
+      const item = {
+        row,
+        id: input.id ?? null,
+        result: assessment ? serializeAssessment(assessment) : null,
+        flags: assessment ? bulkFlags(assessment) : [],
+        error,
+      };
+      await write(`${count > 1 ? ',\n' : ''}  ${JSON.stringify(item)}`);
+    } else {
+      const { row, input, assessment, error } = result;
+      tableRows.push([
+        row,
+        input.id ?? '',
+        assessment ? Math.round(assessment.age.ageMonth * 10) / 10 : '',
+        ...TABLE_METRICS.map(metric => (assessment ? metricCell(assessment, metric) : '')),
+        error ? `오류: ${error}` : bulkFlags(assessment).join(', '),
+      ]);
+    }
+  };
+
+  if (format === 'csv') await write(`\ufeff${csvLine(BULK_COLUMNS)}`);
+  if (format === 'json') await write('[\n');
+  let readError = null;
+  try {
+    for await (const item of readRecords(inputFormat, stream)) {
+      await emit(assessRecord(item, { preferred }));
+    }
+  } catch (error) {
+    if (!isBulkReadError(error)) throw error;
+    readError = error;
+  }
+  if (format === 'json') await write(`${count ? '\n' : ''}]\n`);
+  if (format === 'table') {
+    const headers = ['행', 'ID', '나이(개월)', ...TABLE_METRICS.map(metric => ASSESSMENT_METRICS[metric].label), '확인'];
+    await write(`${formatTable(headers, tableRows)}\n`);
+  }
+
+  console.error(`${count}행 평가${errors ? `, 오류 ${errors}행` : ''}`);
+  if (readError) {
+    console.error(`입력을 끝까지 읽지 못했습니다: ${readError.message}`);
+    process.exitCode = 1;
+  }
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  const [command, ...rest] = positionals;
+  if (values.help || !command || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  if (command === 'assess') return runAssess(values);
+  if (command === 'batch') return runBatch(rest[0], values);
+  throw new UsageError(`알 수 없는 명령입니다: ${command}`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  if (error instanceof AssessmentInputError) {
+    const option = FIELD_OPTIONS[error.field];
+    console.error(option ? `${option}: ${error.message}` : error.message);
+    process.exitCode = 1;
+  } else if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else if (error.code === 'ENOENT') {
+    console.error(`파일을 찾을 수 없습니다: ${error.path}`);
+    process.exitCode = 1;
+  } else {
+    console.error(error);
+    process.exitCode = 1;
+  }
+});
@@ -1,58 +1,185 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { parse } = require('csv-parse/sync');
+const { STANDARDS } = require('./growth-standards.js');
 
 /**
- * 이 스크립트는 'data' 폴더에 있는 CSV 파일들을 읽어
- * 하나의 자바스크립트 객체로 변환한 후 'lms_data.js' 파일로 저장합니다.
+ * 이 스크립트는 'data' 폴더에 있는 CSV 파일들을 검증한 뒤
+ * 하나의 자바스크립트 객체로 변환해 'lms_data.js' 파일로 저장합니다.
  * 터미널에서 `node build-data.js` 명령어로 실행하세요.
+ * `node build-data.js --check`는 파일을 쓰지 않고, 저장소의 lms_data.js가 CSV와 일치하는지만 확인합니다.
  */
-function buildData() {
-  try {
-    console.log("데이터 빌드를 시작합니다...");
-    const data = {
-      male: { height: {}, weight: {} },
-      female: { height: {}, weight: {} },
-    };
-
-    const files = {
-      male_height: 'male_height.csv',
-      male_weight: 'male_weight.csv',
-      female_height: 'female_height.csv',
-      female_weight: 'female_weight.csv',
-    };
-
-    for (const [key, filename] of Object.entries(files)) {
-      const [sex, type] = key.split('_');
-      const filePath = path.join(process.cwd(), 'data', filename);
-
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`'data' 폴더에서 파일을 찾을 수 없습니다: ${filename}`);
-      }
 
-      const csvData = fs.readFileSync(filePath, 'utf8');
-      const records = parse(csvData, { columns: true, skip_empty_lines: true });
+const DATA_DIR = path.join(__dirname, 'data');
+const OUTPUT_FILE = path.join(__dirname, 'lms_data.js');
+
+// 출력 형식이 바뀌면 올립니다 (머리말에 기록되어 어떤 빌드 스크립트로 만든 파일인지 알 수 있습니다)
+const GENERATOR_VERSION = 3;
+
+// 표 종류별 색인 열과 간격. 나이별 표는 개월 수로, 신장별 체중 표는 0.5cm 간격의 신장("45.0", "45.5")으로 색인합니다.
+// BMI 중앙값은 유아기에 줄었다가 다시 늘어나므로 단조 증가 검사에서 제외합니다.
+const TABLE_TYPES = {
+  height: { index: 'age_months', step: 1, monotonicM: true },
+  weight: { index: 'age_months', step: 1, monotonicM: true },
+  bmi: { index: 'age_months', step: 1, monotonicM: false },
+  wfl: { index: 'length_cm', step: 0.5, monotonicM: true },
+  wfh: { index: 'height_cm', step: 0.5, monotonicM: true },
+  head: { index: 'age_months', step: 1, monotonicM: true },
+};
+
+// 기준(성장도표)별로 갖춘 표. 파일은 data/<기준 id>/<성별>_<표>.csv에 두며, 기준 정보는 growth-standards.js에 있습니다.
+// 목록의 파일이 하나라도 없으면 빌드와 --check가 실패합니다.
+const STANDARD_TABLES = {
+  kdca2017: ['height', 'weight'],
+  who2006: ['height', 'weight', 'bmi', 'wfl', 'wfh', 'head'],
+};
+
+const FILES = Object.entries(STANDARD_TABLES).flatMap(([standard, tables]) => ['male', 'female'].flatMap(sex => (
+  tables.map(type => ({ standard, sex, type, file: `${standard}/${sex}_${type}.csv` }))
+)));
+
+// LMS 값의 허용 범위. 이 범위를 벗어나면 열이 뒤바뀌었거나 단위가 잘못된 자료로 봅니다.
+const L_RANGE = { min: -5, max: 5 };
+const S_RANGE = { min: 0, max: 0.5 };
+// 사춘기 이후 체중 중앙값처럼 아주 조금 줄어드는 구간은 허용합니다 (한 칸에 0.5% 초과 감소만 오류)
+const MAX_M_DROP_RATIO = 0.005;
+
+const CONFLICT_MARKER = /^(<{7}|={7}|>{7})(\s|$)/;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * CSV 한 파일을 검증하고 [{ index, L, M, S }]를 색인 순서로 반환합니다.
+ * 발견한 문제는 errors에 "파일:줄: 내용" 형식으로 모두 모읍니다.
+ */
+function readTable({ file, type }, text, errors) {
+  const { index: indexColumn, step, monotonicM } = TABLE_TYPES[type];
+  const fail = (line, message) => errors.push(`${file}:${line}: ${message}`);
+  const content = text.replace(/^\uFEFF/, '');
+
+  const lines = content.split(/\r?\n/);
+  const conflicts = lines.filter(line => CONFLICT_MARKER.test(line)).length;
+  lines.forEach((line, i) => {
+    if (CONFLICT_MARKER.test(line)) fail(i + 1, `병합 충돌 표시가 남아 있습니다: '${line.trim()}'`);
+  });
+  if (conflicts) return [];
+
+  const header = lines[0].split(',').map(column => column.trim());
+  const expected = [indexColumn, 'L', 'M', 'S'];
+  if (header.join(',') !== expected.join(',')) {
+    fail(1, `머리글은 '${expected.join(',')}'이어야 합니다. (현재: '${header.join(',')}')`);
+    return [];
+  }
+
+  const records = parse(content, { columns: true, skip_empty_lines: true, trim: true, info: true });
+  const rows = [];
+  for (const { record, info } of records) {
+    const line = info.lines;
+    const values = expected.map(column => Number(record[column]));
+    if (record[indexColumn] === '' || values.some(value => !Number.isFinite(value))) {
+      fail(line, '숫자가 아닌 값이 있습니다.');
+      continue;
+    }
+
+    const [index, L, M, S] = values;
+    if (Math.abs(index / step - Math.round(index / step)) > 1e-9) fail(line, `${indexColumn}는 ${step} 간격이어야 합니다: ${index}`);
+    if (L < L_RANGE.min || L > L_RANGE.max) fail(line, `L이 허용 범위(${L_RANGE.min}~${L_RANGE.max}) 밖입니다: ${L}`);
+    if (!(M > 0)) fail(line, `M은 0보다 커야 합니다: ${M}`);
+    if (!(S > S_RANGE.min && S <= S_RANGE.max)) fail(line, `S가 허용 범위(${S_RANGE.min} 초과 ${S_RANGE.max} 이하) 밖입니다: ${S}`);
+    rows.push({ index, L, M, S, line });
+  }
+
+  rows.sort((a, b) => a.index - b.index);
+  for (let i = 1; i < rows.length; i++) {
+    const previous = rows[i - 1];
+    const current = rows[i];
+    const gap = Math.round((current.index - previous.index) / step);
+    if (gap === 0) fail(current.line, `${indexColumn} ${current.index}이(가) 중복됩니다. (${previous.line}줄)`);
+    if (gap > 1) fail(current.line, `${indexColumn} ${previous.index}와 ${current.index} 사이가 비어 있습니다.`);
+    if (monotonicM && current.M < previous.M * (1 - MAX_M_DROP_RATIO)) {
+      fail(current.line, `M이 앞 칸(${previous.M})보다 크게 줄었습니다: ${current.M}`);
+    }
+  }
+  return rows;
+}
 
-      records.forEach(record => {
-        data[sex][type][record.Month] = {
-          L: parseFloat(record.L),
-          M: parseFloat(record.M),
-          S: parseFloat(record.S),
-        };
-      });
+function tableKey(type, index) {
+  return TABLE_TYPES[type].index === 'age_months' ? String(index) : index.toFixed(1);
+}
+
+/**
+ * 모든 CSV를 검증해 lms_data.js 내용을 만듭니다. 같은 CSV에서는 항상 같은 내용이 나옵니다.
+ */
+function generate() {
+  const data = Object.fromEntries(Object.entries(STANDARD_TABLES).map(([standard, tables]) => [standard, {
+    male: Object.fromEntries(tables.map(type => [type, {}])),
+    female: Object.fromEntries(tables.map(type => [type, {}])),
+  }]));
+  const errors = [];
+  const provenance = [];
+
+  for (const entry of FILES) {
+    const filePath = path.join(DATA_DIR, entry.file);
+    if (!STANDARDS[entry.standard]) {
+      errors.push(`growth-standards.js에 등록되지 않은 기준입니다: ${entry.standard}`);
+      continue;
+    }
+    if (!fs.existsSync(filePath)) {
+      errors.push(`'data' 폴더에서 파일을 찾을 수 없습니다: ${entry.file}`);
+      continue;
     }
 
-    // 데이터를 포함하는 자바스크립트 파일 내용을 생성합니다.
-    const fileContent = `// 이 파일은 build-data.js에 의해 자동으로 생성되었습니다.\n// 직접 수정하지 마세요.\nconst lmsData = ${JSON.stringify(data, null, 2)};\n\nmodule.exports = lmsData;\n`;
+    const text = fs.readFileSync(filePath, 'utf8');
+    for (const { index, L, M, S } of readTable(entry, text, errors)) {
+      data[entry.standard][entry.sex][entry.type][tableKey(entry.type, index)] = { L, M, S };
+    }
+    const { source, version } = STANDARDS[entry.standard];
+    provenance.push(`//   ${entry.file.padEnd(27)} sha256:${sha256(text)}  ${source} (${version})`);
+  }
+
+  const body = `const lmsData = ${JSON.stringify(data, null, 2)};\n\nmodule.exports = lmsData;\n`;
+  const content = [
+    '// 이 파일은 build-data.js에 의해 자동으로 생성되었습니다.',
+    '// 직접 수정하지 마세요. 다시 만들려면 `node build-data.js`, 확인하려면 `node build-data.js --check`를 실행하세요.',
+    `// 생성기 버전: ${GENERATOR_VERSION}`,
+    '// 원본 자료:',
+    ...provenance,
+    `// 데이터 체크섬: sha256:${sha256(body)}`,
+    body,
+  ].join('\n');
+
+  return { content, errors };
+}
+
+function buildData({ check = false } = {}) {
+  try {
+    console.log(check ? "lms_data.js가 CSV와 일치하는지 확인합니다..." : "데이터 빌드를 시작합니다...");
+    const { content, errors } = generate();
+
+    if (errors.length) {
+      throw new Error(`데이터 검증에 실패했습니다 (${errors.length}건):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    if (check) {
+      const committed = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+      if (committed !== content) {
+        throw new Error("lms_data.js가 CSV와 다릅니다. `node build-data.js`로 다시 생성해주세요.");
+      }
+      console.log("✅ lms_data.js가 CSV와 일치합니다.");
+      return;
+    }
 
     // 'lms_data.js' 파일로 저장합니다.
-    fs.writeFileSync('lms_data.js', fileContent, 'utf8');
+    fs.writeFileSync(OUTPUT_FILE, content, 'utf8');
     console.log("✅ 성공! 'lms_data.js' 파일이 생성되었습니다.");
 
   } catch (error) {
-    console.error("❌ 데이터 빌드 중 오류 발생:", error);
+    console.error("❌ 데이터 빌드 중 오류 발생:", error.message);
     process.exit(1);
   }
 }
 
-buildData();
+buildData({ check: process.argv.includes('--check') });
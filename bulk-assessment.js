@@ -0,0 +1,272 @@
+/**
+ * [대량 평가] 어린이집·보건실에서 여러 아이를 한 번에 평가할 수 있도록 CSV, JSON 배열, NDJSON 입력을
+ * 한 행씩 읽고 평가해, 결과를 CSV 한 줄씩 만들어 줍니다. 입력 전체를 메모리에 올리지 않도록 모두 스트림으로 처리합니다.
+ * (API의 POST /api/v1/assess/bulk와 CLI의 growth batch가 함께 씁니다)
+ */
+
+const { parse } = require('csv-parse');
+const { parseDate } = require('./age.js');
+const {
+  ASSESSMENT_METRICS, AssessmentInputError, parseAssessmentInput, assessGrowth, implausibleMetrics,
+} = require('./growth-assessment.js');
+const { round } = require('./number-format.js');
+
+// 한 요청에서 처리할 최대 행 수와, JSON 한 항목의 최대 길이 (이를 넘는 입력은 오류 행으로 알리고 멈춥니다)
+const MAX_BULK_ROWS = Number(process.env.BULK_MAX_ROWS) || 10000;
+const MAX_RECORD_CHARS = 10000;
+
+// 입력 열 이름 (한글 머리글도 받습니다)
+const COLUMN_ALIASES = {
+  id: ['id', 'name', '번호', '이름'],
+  sex: ['sex', 'gender', '성별'],
+  birthdate: ['birthdate', 'birth_date', '생년월일'],
+  age_month: ['age_month', 'age_months', '개월', '월령'],
+  measured_on: ['measured_on', 'date', '측정일'],
+  height_cm: ['height_cm', 'height', '키'],
+  weight_kg: ['weight_kg', 'weight', '몸무게', '체중'],
+  head_cm: ['head_cm', 'head', '머리둘레'],
+  gestational_weeks: ['gestational_weeks', '재태주수', '재태 주수'],
+};
+const ALIAS_TO_COLUMN = Object.fromEntries(
+  Object.entries(COLUMN_ALIASES).flatMap(([column, aliases]) => aliases.map(alias => [alias, column])),
+);
+
+const SEX_ALIASES = {
+  male: 'male', m: 'male', 남: 'male', 남자: 'male', 남아: 'male',
+  female: 'female', f: 'female', 여: 'female', 여자: 'female', 여아: 'female',
+};
+
+const INPUT_COLUMNS = ['id', 'sex', 'birthdate', 'age_month', 'measured_on', 'height_cm', 'weight_kg', 'head_cm'];
+const RESULT_METRICS = ['height', 'weight', 'head', 'wfl', 'bmi'];
+const BULK_COLUMNS = [
+  'row',
+  ...INPUT_COLUMNS,
+  'assessed_age_month',
+  ...RESULT_METRICS.flatMap(metric => [
+    ...(metric === 'bmi' ? ['bmi'] : []),
+    `${metric}_z`, `${metric}_percentile`, `${metric}_result`,
+  ]),
+  'flags',
+  'standards',
+  'error',
+];
+
+/** 대량 입력 본문을 읽지 못했을 때의 오류 (남은 행은 처리하지 않습니다) */
+class BulkInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BulkInputError';
+  }
+}
+
+/**
+ * 입력을 더 읽을 수 없는 오류(깨진 JSON 배열, 닫히지 않은 CSV 따옴표 등)인지 확인합니다.
+ */
+function isBulkReadError(error) {
+  return error instanceof BulkInputError || String(error.code).startsWith('CSV_');
+}
+
+/**
+ * 열 이름과 값 표기를 맞춥니다. ("성별: 남" -> sex: 'male', "2020.3.5" -> '2020-03-05')
+ */
+function normalizeRecord(record) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = ALIAS_TO_COLUMN[String(key).trim().toLowerCase()] || ALIAS_TO_COLUMN[String(key).trim()];
+    if (column) normalized[column] = typeof value === 'string' ? value.trim() : value;
+  }
+  if (typeof normalized.sex === 'string') {
+    normalized.sex = SEX_ALIASES[normalized.sex.toLowerCase()] || normalized.sex;
+  }
+  for (const column of ['birthdate', 'measured_on']) {
+    if (typeof normalized[column] === 'string' && normalized[column]) {
+      normalized[column] = parseDate(normalized[column]) || normalized[column];
+    }
+  }
+  return normalized;
+}
+
+async function* readCsvRecords(stream) {
+  const parser = stream.pipe(parse({
+    columns: true, bom: true, trim: true, skip_empty_lines: true, relax_column_count: true, info: true,
+  }));
+  stream.on('error', error => parser.destroy(error));
+  for await (const { record, info } of parser) {
+    yield { row: info.lines, record };
+  }
+}
+
+/**
+ * JSON 배열 "[{...}, {...}]"을 항목 하나씩 읽습니다. 문자열 안의 괄호는 세지 않습니다.
+ */
+async function* readJsonArrayRecords(stream) {
+  stream.setEncoding('utf8');
+  let started = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let buffer = '';
+  let row = 0;
+
+  for await (const chunk of stream) {
+    for (const char of chunk) {
+      if (!started) {
+        if (char === '[') started = true;
+        else if (!/\s/.test(char)) throw new BulkInputError('JSON 본문은 배열이어야 합니다.');
+        continue;
+      }
+      if (depth === 0) {
+        if (char === '{') {
+          depth = 1;
+          buffer = char;
+        } else if (char === ']') {
+          return;
+        } else if (!/[\s,]/.test(char)) {
+          throw new BulkInputError(`${row + 1}번째 항목이 객체가 아닙니다.`);
+        }
+        continue;
+      }
+
+      buffer += char;
+      if (buffer.length > MAX_RECORD_CHARS) throw new BulkInputError(`${row + 1}번째 항목이 너무 깁니다.`);
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth += 1;
+      } else if (char === '}') {
+        depth -= 1;
+        if (depth === 0) {
+          row += 1;
+          yield parseJsonRecord(buffer, row);
+          buffer = '';
+        }
+      }
+    }
+  }
+  throw new BulkInputError('JSON 배열이 끝나지 않았습니다.');
+}
+
+/**
+ * NDJSON(한 줄에 JSON 객체 하나)을 한 줄씩 읽습니다.
+ */
+async function* readNdjsonRecords(stream) {
+  stream.setEncoding('utf8');
+  let buffer = '';
+  let row = 0;
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    if (buffer.length > MAX_RECORD_CHARS) throw new BulkInputError(`${row + 1}번째 줄이 너무 깁니다.`);
+    for (const line of lines) {
+      row += 1;
+      if (line.trim()) yield parseJsonRecord(line, row);
+    }
+  }
+  if (buffer.trim()) yield parseJsonRecord(buffer, row + 1);
+}
+
+function parseJsonRecord(text, row) {
+  try {
+    const record = JSON.parse(text);
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return { row, record: {}, error: '객체가 아닙니다.' };
+    return { row, record };
+  } catch (error) {
+    return { row, record: {}, error: '올바른 JSON이 아닙니다.' };
+  }
+}
+
+const RECORD_READERS = {
+  csv: readCsvRecords,
+  json: readJsonArrayRecords,
+  ndjson: readNdjsonRecords,
+};
+const BULK_FORMATS = Object.keys(RECORD_READERS);
+
+/**
+ * 입력 형식(csv, json, ndjson)에 맞게 스트림에서 { row, record, error }를 하나씩 읽습니다.
+ */
+function readRecords(format, stream) {
+  return RECORD_READERS[format](stream);
+}
+
+/**
+ * 한 행을 평가합니다. 입력 오류는 던지지 않고 error에 담아 돌려주므로 다음 행을 계속 평가할 수 있습니다.
+ * 반환값: { row, input, assessment, error }
+ */
+function assessRecord({ row, record, error = null }, { preferred = null } = {}) {
+  const input = normalizeRecord(record);
+  if (error) return { row, input, assessment: null, error };
+  try {
+    const { input: parsed } = parseAssessmentInput(input);
+    return { row, input, assessment: assessGrowth(parsed, { preferred }), error: null };
+  } catch (assessError) {
+    if (!(assessError instanceof AssessmentInputError)) throw assessError;
+    return { row, input, assessment: null, error: assessError.message };
+  }
+}
+
+/**
+ * CSV 칸 하나를 씁니다. 엑셀이 수식으로 읽지 않도록 =, +, -, @로 시작하는 글자는 앞에 '를 붙입니다.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * 평가 결과에서 진료 권장 구간과 입력 확인이 필요한 값을 모읍니다. (예: "진료 권장(키 저신장)")
+ */
+function bulkFlags(assessment) {
+  const flags = assessment.metrics
+    .filter(item => item.interpretation?.referral)
+    .map(item => `진료 권장(${ASSESSMENT_METRICS[item.metric].label} ${item.interpretation.label})`);
+  implausibleMetrics(assessment).forEach(item => flags.push(`값 확인 필요(${ASSESSMENT_METRICS[item.metric].label})`));
+  return flags;
+}
+
+/**
+ * assessRecord 결과(또는 오류)를 BULK_COLUMNS 순서의 CSV 한 줄로 만듭니다.
+ */
+function formatBulkRow({ row = null, input = {}, assessment = null, error = null }) {
+  const cells = { row, error };
+  INPUT_COLUMNS.forEach(column => { cells[column] = input[column]; });
+
+  if (assessment) {
+    cells.assessed_age_month = round(assessment.age.ageMonth, 2);
+    cells.bmi = assessment.bmi;
+    for (const item of assessment.metrics) {
+      const key = item.metric === 'wfh' ? 'wfl' : item.metric;
+      cells[`${key}_z`] = round(item.zScore, 2);
+      cells[`${key}_percentile`] = item.percentile;
+      cells[`${key}_result`] = item.interpretation?.label ?? item.missingReason;
+    }
+    cells.flags = bulkFlags(assessment).join('; ');
+    cells.standards = assessment.standards.join(' ');
+  }
+  return csvLine(BULK_COLUMNS.map(column => cells[column]));
+}
+
+module.exports = {
+  MAX_BULK_ROWS,
+  BULK_COLUMNS,
+  BULK_FORMATS,
+  BulkInputError,
+  isBulkReadError,
+  normalizeRecord,
+  readRecords,
+  assessRecord,
+  bulkFlags,
+  csvLine,
+  formatBulkRow,
+};
@@ -0,0 +1,153 @@
+/**
+ * [아이 프로필] 카카오톡 사용자 한 명이 여러 아이("첫째", "민준이")의 성별과 생년월일을 저장합니다.
+ * 프로필 구조: { children: [{ name, sex, birthdate, gestational_weeks, measurements: [{ date, age_month, chronological_month, height_cm, weight_kg, head_cm }] }] }
+ * 프로필의 standard는 사용자가 고른 성장 기준 id(없으면 기본 규칙)이고,
+ * parents({ father_height_cm, mother_height_cm })는 성인 키 예측에 쓰는 부모 키입니다.
+ * 측정 기록의 age_month는 평가에 쓴 나이(조산아는 교정 연령), chronological_month는 실제 나이입니다.
+ * 모든 함수는 원본을 바꾸지 않고 새 프로필을 반환합니다.
+ */
+
+const { today, completedMonthsBetween, formatAgeMonths } = require('./age.js');
+const { createTranslator } = require('./i18n.js');
+
+const EMPTY_PROFILE = { children: [] };
+const MAX_CHILDREN = 10;
+const MAX_MEASUREMENTS = 200;
+
+/**
+ * 사용자에게 그대로 보여줄 수 있는 메시지를 가진 오류.
+ * code는 메시지 카탈로그의 children.errors 키이고, 다른 언어로 보여줄 때는 code와 params로 다시 만듭니다.
+ */
+class ChildProfileError extends Error {
+  constructor(code, params = {}) {
+    super(createTranslator()(`children.errors.${code}`, params));
+    this.name = 'ChildProfileError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+/**
+ * "민준이"와 "민준"처럼 부를 때 붙는 '이'를 떼어 비교용 이름을 만듭니다.
+ */
+function nameKey(name) {
+  const trimmed = String(name || '').trim();
+  return trimmed.length > 2 && trimmed.endsWith('이') ? trimmed.slice(0, -1) : trimmed;
+}
+
+function findChild(profile, name) {
+  const key = nameKey(name);
+  return (profile?.children || []).find(child => nameKey(child.name) === key) || null;
+}
+
+function requireChild(profile, name) {
+  const child = findChild(profile, name);
+  if (!child) throw new ChildProfileError('notFound', { name });
+  return child;
+}
+
+function addChild(profile, { name, sex = null, birthdate = null, gestational_weeks = null }) {
+  const current = profile || EMPTY_PROFILE;
+  if (!name) throw new ChildProfileError('nameRequired');
+  if (findChild(current, name)) throw new ChildProfileError('duplicate', { name });
+  if (current.children.length >= MAX_CHILDREN) throw new ChildProfileError('limit', { count: MAX_CHILDREN });
+
+  return { ...current, children: [...current.children, { name, sex, birthdate, gestational_weeks, measurements: [] }] };
+}
+
+function renameChild(profile, from, to) {
+  const child = requireChild(profile, from);
+  if (!to) throw new ChildProfileError('newNameRequired');
+  const existing = findChild(profile, to);
+  if (existing && existing !== child) throw new ChildProfileError('duplicate', { name: to });
+
+  return { ...profile, children: profile.children.map(c => (c === child ? { ...c, name: to } : c)) };
+}
+
+function deleteChild(profile, name) {
+  const child = requireChild(profile, name);
+  return { ...profile, children: profile.children.filter(c => c !== child) };
+}
+
+/**
+ * 비어 있는 항목만 채웁니다. 이미 저장된 성별/생년월일/재태 주수는 명령 없이 바꾸지 않습니다.
+ */
+function rememberChildFacts(profile, name, { sex, birthdate, gestational_weeks }) {
+  const child = findChild(profile, name);
+  if (!child) return profile;
+  const updated = {
+    ...child,
+    sex: child.sex || sex || null,
+    birthdate: child.birthdate || birthdate || null,
+    gestational_weeks: child.gestational_weeks || gestational_weeks || null,
+  };
+  return { ...profile, children: profile.children.map(c => (c === child ? updated : c)) };
+}
+
+/**
+ * 측정 기록을 추가합니다. 날짜와 나이(age_month)가 같은 기록은 새 기록으로 바꾸고, 오래된 기록부터 최대 개수를 넘지 않게 정리합니다.
+ * 생년월일 없이 나이만 말하면 날짜는 모두 오늘이므로, 같은 날 다른 나이로 말한 측정은 따로 남깁니다.
+ * 한 번에 들어온 측정값만 한 기록이 됩니다. 이전 기록의 값을 빈 항목에 옮겨 적지 않습니다.
+ */
+function recordMeasurement(profile, name, {
+  date, age_month, chronological_month = age_month, height_cm = null, weight_kg = null, head_cm = null,
+}) {
+  const child = findChild(profile, name);
+  if (!child) return profile;
+
+  const entry = { date, age_month, chronological_month, height_cm, weight_kg, head_cm };
+  const measurements = [...(child.measurements || []).filter(m => m.date !== date || m.age_month !== age_month), entry]
+    .sort((a, b) => (a.date === b.date ? a.age_month - b.age_month : a.date < b.date ? -1 : 1))
+    .slice(-MAX_MEASUREMENTS);
+
+  return { ...profile, children: profile.children.map(c => (c === child ? { ...c, measurements } : c)) };
+}
+
+/**
+ * 세션에 채워 넣을 아이 정보(성별, 생년월일, 재태 주수)를 반환합니다.
+ * 나이는 보고서를 만들 때 측정일 기준으로 계산하므로, 말한 나이(age_month)는 비워 둡니다.
+ */
+function childSessionData(child) {
+  const data = { child: child.name };
+  if (child.sex) data.sex = child.sex;
+  if (child.birthdate) {
+    data.birthdate = child.birthdate;
+    data.age_month = null;
+  }
+  if (child.gestational_weeks) data.gestational_weeks = child.gestational_weeks;
+  return data;
+}
+
+/**
+ * 성별, 생년월일, 나이, 재태 주수를 "남자, 2022-03-05생, 3세 2개월" 형태로 반환합니다. 아무 정보도 없으면 빈 문자열입니다.
+ */
+function describeChildDetails(child, date = today(), t = createTranslator()) {
+  const parts = [];
+  if (child.sex) parts.push(t(`sex.${child.sex}`));
+  if (child.birthdate) {
+    parts.push(t('children.born', { date: child.birthdate }));
+    parts.push(formatAgeMonths(completedMonthsBetween(child.birthdate, date), t));
+  }
+  if (child.gestational_weeks) parts.push(t('children.gestational', { weeks: child.gestational_weeks }));
+  return t.list(parts);
+}
+
+function describeChild(child, date = today(), t = createTranslator()) {
+  const details = describeChildDetails(child, date, t);
+  return details ? `${child.name} (${details})` : child.name;
+}
+
+module.exports = {
+  EMPTY_PROFILE,
+  nameKey,
+  ChildProfileError,
+  findChild,
+  addChild,
+  renameChild,
+  deleteChild,
+  rememberChildFacts,
+  recordMeasurement,
+  childSessionData,
+  describeChildDetails,
+  describeChild,
+};
@@ -0,0 +1,272 @@
+/**
+ * [성장 평가] 성별, 나이(또는 생년월일), 측정값으로 지표별 z-점수, 백분위, 판정을 계산합니다.
+ * 카카오 스킬(/skill), REST API(/api/v1), CLI(bin/growth.js)가 같은 계산을 쓰도록, 채널과 무관한 결과 객체만 돌려줍니다.
+ */
+
+const {
+  BMI_MIN_AGE_MONTHS, selectStandard, getLms, getLmsByLength, getAgeRange, weightForLengthMetric, calculateZScore,
+  zScoreToPercentile, isImplausibleZScore, calculateBmi,
+} = require('./growth.js');
+const { parseDate, resolveAge, formatAgeMonths } = require('./age.js');
+const { STANDARDS, UNSUPPORTED_STANDARDS } = require('./growth-standards.js');
+const { interpretZScore } = require('./interpretation.js');
+const { createTranslator } = require('./i18n.js');
+const { round } = require('./number-format.js');
+
+const ASSESSMENT_METRICS = {
+  height: { label: '키', unit: 'cm' },
+  weight: { label: '몸무게', unit: 'kg' },
+  head: { label: '머리둘레', unit: 'cm' },
+  wfl: { label: '신장별 체중', unit: 'kg' },
+  wfh: { label: '신장별 체중', unit: 'kg' },
+  bmi: { label: 'BMI', unit: 'kg/m²' },
+};
+
+const SEXES = ['male', 'female'];
+
+// 입력값 허용 범위 (단위 실수를 걸러내는 정도로만 넓게 잡습니다. 극단값 판정은 결과의 implausible로 알려줍니다)
+const INPUT_RANGES = {
+  age_month: { min: 0, max: 240 },
+  gestational_weeks: { min: 22, max: 44 },
+  height_cm: { min: 20, max: 250 },
+  weight_kg: { min: 0.3, max: 300 },
+  head_cm: { min: 15, max: 80 },
+};
+
+// 키, 몸무게, 머리둘레는 직접 잰 값이고 나머지(신장별 체중, BMI)는 이 값들로 계산합니다
+const MEASURED_METRICS = ['height', 'weight', 'head'];
+
+/** 평가할 수 없는 입력을 알리는 오류. 메시지는 그대로 사용자에게 보여줄 수 있고, field는 문제가 된 입력 항목입니다. */
+class AssessmentInputError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'AssessmentInputError';
+    this.field = field;
+  }
+}
+
+/**
+ * 기준표에서 LMS를 찾지 못한 이유를 설명합니다. (기준 데이터 없음 / 나이 범위 밖)
+ */
+function describeMissingReference(sex, metric, t = createTranslator()) {
+  const range = getAgeRange(sex, metric);
+  if (!range) return t('missingReference.noData');
+  return t('missingReference.outOfRange', { min: formatAgeMonths(range.min, t), max: formatAgeMonths(range.max, t) });
+}
+
+/**
+ * values에서 INPUT_RANGES 밖의 값을 찾아 [{ field, value, min, max }]로 반환합니다. 비어 있는 항목은 건너뜁니다.
+ * 카카오 스킬은 이 값을 확인 질문 없이 거절하고, API와 CLI는 readNumberField에서 오류로 알립니다.
+ */
+function findOutOfRangeInputs(values) {
+  return Object.entries(INPUT_RANGES)
+    .filter(([field, { min, max }]) => Number.isFinite(values[field]) && (values[field] < min || values[field] > max))
+    .map(([field, { min, max }]) => ({ field, value: values[field], min, max }));
+}
+
+/**
+ * source[field]를 숫자로 읽습니다. 문자열 숫자도 받고, 비어 있으면 null입니다. (INPUT_RANGES 밖이면 오류)
+ */
+function readNumberField(source, field, { required = false } = {}) {
+  const raw = source[field];
+  if (raw === undefined || raw === null || raw === '') {
+    if (required) throw new AssessmentInputError(`${field} 값이 필요합니다.`, field);
+    return null;
+  }
+  const value = typeof raw === 'string' ? Number(raw) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new AssessmentInputError(`${field}는 숫자여야 합니다.`, field);
+  const [outOfRange] = findOutOfRangeInputs({ [field]: value });
+  if (outOfRange) {
+    throw new AssessmentInputError(`${field}는 ${outOfRange.min}~${outOfRange.max} 사이여야 합니다: ${value}`, field);
+  }
+  return value;
+}
+
+function readDateField(source, field) {
+  const raw = source[field];
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw) || !parseDate(raw)) {
+    throw new AssessmentInputError(`${field}는 YYYY-MM-DD 형식의 올바른 날짜여야 합니다.`, field);
+  }
+  return raw;
+}
+
+function readSexField(source) {
+  if (!SEXES.includes(source.sex)) throw new AssessmentInputError(`sex는 ${SEXES.join(' 또는 ')}여야 합니다.`, 'sex');
+  return source.sex;
+}
+
+/**
+ * 기준 선택값을 읽습니다. 비어 있거나 'auto'면 null(나이에 맞는 기본 기준)입니다.
+ */
+function readStandardField(source) {
+  const standard = source.standard;
+  if (standard === undefined || standard === null || standard === '' || standard === 'auto') return null;
+  if (UNSUPPORTED_STANDARDS[standard]) {
+    throw new AssessmentInputError(`${UNSUPPORTED_STANDARDS[standard].label} 기준은 자료가 없어 아직 지원하지 않습니다.`, 'standard');
+  }
+  if (!STANDARDS[standard]) {
+    throw new AssessmentInputError(`standard는 auto, ${Object.keys(STANDARDS).join(', ')} 중 하나여야 합니다.`, 'standard');
+  }
+  return standard;
+}
+
+/**
+ * API 본문, 대량 평가 행, CLI 옵션처럼 snake_case 필드로 들어온 입력을 검증해 assessGrowth 입력으로 바꿉니다.
+ * 반환값: { input, standard }
+ */
+function parseAssessmentInput(source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new AssessmentInputError('요청 본문은 JSON 객체여야 합니다.', null);
+  }
+
+  const input = {
+    sex: readSexField(source),
+    birthdate: readDateField(source, 'birthdate'),
+    measured_on: readDateField(source, 'measured_on'),
+    age_month: readNumberField(source, 'age_month'),
+    gestational_weeks: readNumberField(source, 'gestational_weeks'),
+    height_cm: readNumberField(source, 'height_cm'),
+    weight_kg: readNumberField(source, 'weight_kg'),
+    head_cm: readNumberField(source, 'head_cm'),
+  };
+  if (!input.birthdate && input.age_month === null) {
+    throw new AssessmentInputError('birthdate나 age_month 중 하나가 필요합니다.', 'age_month');
+  }
+  if (input.height_cm === null && input.weight_kg === null && input.head_cm === null) {
+    throw new AssessmentInputError('height_cm, weight_kg, head_cm 중 하나 이상이 필요합니다.', 'measurements');
+  }
+  return { input, standard: readStandardField(source) };
+}
+
+/**
+ * 아이의 측정값을 평가합니다. preferred를 주면 그 기준을 우선하고, 없으면 나이에 맞는 기본 기준을 씁니다.
+ * 반환값: { sex, age, bmi, metrics: [{ metric, value, unit, standard, zScore, percentile, interpretation, implausible, missingReason }], standards }
+ * 기준 자료가 없는 지표는 zScore가 null이고 missingReason에 이유가 들어갑니다. (신장별 체중은 자료가 없으면 빠집니다)
+ */
+function assessGrowth({
+  sex, birthdate = null, measured_on = null, age_month = null, gestational_weeks = null,
+  height_cm = null, weight_kg = null, head_cm = null,
+}, { preferred = null, date } = {}) {
+  if (!SEXES.includes(sex)) throw new AssessmentInputError('아이의 성별이 필요해요.', 'sex');
+  if (!height_cm && !weight_kg && !head_cm) {
+    throw new AssessmentInputError('키, 몸무게, 머리둘레 중 하나 이상이 필요해요.', 'measurements');
+  }
+
+  const age = resolveAge({ birthdate, measured_on, age_month, gestational_weeks }, date);
+  if (!age) throw new AssessmentInputError('나이나 생년월일이 필요해요.', 'age_month');
+  if (age.chronologicalMonths < 0) {
+    throw new AssessmentInputError(`측정일(${age.measuredOn})이 생년월일(${birthdate})보다 빨라요.`, 'measured_on');
+  }
+  const ageMonth = age.ageMonth;
+
+  const standards = new Set();
+  const metrics = [];
+  const assess = (metric, value, { lengthCm, optional = false } = {}) => {
+    const standard = selectStandard(sex, metric, ageMonth, { preferred, lengthCm });
+    const lms = standard && (lengthCm === undefined ? getLms(sex, metric, ageMonth, standard) : getLmsByLength(sex, metric, lengthCm, standard));
+    const base = { metric, value, unit: ASSESSMENT_METRICS[metric].unit };
+    if (!lms) {
+      if (!optional) {
+        metrics.push({
+          ...base, standard: null, zScore: null, percentile: null, interpretation: null, implausible: false,
+          missingReason: describeMissingReference(sex, metric),
+        });
+      }
+      return;
+    }
+
+    standards.add(standard);
+    const zScore = calculateZScore(value, lms);
+    metrics.push({
+      ...base,
+      standard,
+      zScore,
+      percentile: zScoreToPercentile(zScore),
+      interpretation: interpretZScore(metric, zScore),
+      implausible: isImplausibleZScore(metric, zScore),
+      missingReason: null,
+    });
+  };
+
+  if (height_cm) assess('height', height_cm);
+  if (weight_kg) assess('weight', weight_kg);
+  if (head_cm) assess('head', head_cm);
+
+  const wflMetric = height_cm && weight_kg ? weightForLengthMetric(ageMonth) : null;
+  if (wflMetric) assess(wflMetric, weight_kg, { lengthCm: height_cm, optional: true });
+
+  const bmi = calculateBmi(height_cm, weight_kg);
+  if (bmi !== null && ageMonth >= BMI_MIN_AGE_MONTHS) assess('bmi', bmi);
+
+  return { sex, age, bmi, metrics, standards: [...standards] };
+}
+
+/**
+ * 생물학적으로 있기 어려운 값으로 판정된 지표를 돌려줍니다.
+ * 직접 잰 값이 이상하면 그 값으로 계산한 BMI, 신장별 체중은 빼고 원인이 된 값만 돌려줍니다.
+ */
+function implausibleMetrics(assessment) {
+  const flagged = assessment.metrics.filter(item => item.implausible);
+  const measured = flagged.filter(item => MEASURED_METRICS.includes(item.metric));
+  return measured.length ? measured : flagged;
+}
+
+function describeStandardInfo(id) {
+  const { label, version, citation } = STANDARDS[id];
+  return { id, label, version, citation };
+}
+
+/**
+ * assessGrowth 결과를 JSON 출력 형식(snake_case)으로 바꿉니다. (REST API 응답과 CLI의 --format json)
+ */
+function serializeAssessment({ sex, age, bmi, metrics, standards }) {
+  return {
+    sex,
+    age: {
+      age_month: round(age.ageMonth, 2),
+      chronological_month: round(age.chronologicalMonths, 2),
+      corrected_month: round(age.correctedMonths, 2),
+      basis: age.basis,
+      measured_on: age.measuredOn,
+    },
+    bmi,
+    metrics: metrics.map(item => ({
+      metric: item.metric,
+      label: ASSESSMENT_METRICS[item.metric].label,
+      value: item.value,
+      unit: item.unit,
+      standard: item.standard,
+      z_score: round(item.zScore, 2),
+      percentile: item.percentile,
+      category: item.interpretation?.category ?? null,
+      interpretation: item.interpretation
+        ? {
+          label: item.interpretation.label,
+          explanation: item.interpretation.explanation,
+          advice: item.interpretation.advice,
+          referral: item.interpretation.referral,
+        }
+        : null,
+      implausible: item.implausible,
+      missing_reason: item.missingReason,
+    })),
+    standards: standards.map(describeStandardInfo),
+  };
+}
+
+module.exports = {
+  ASSESSMENT_METRICS,
+  INPUT_RANGES,
+  AssessmentInputError,
+  describeMissingReference,
+  findOutOfRangeInputs,
+  readNumberField,
+  readSexField,
+  readStandardField,
+  parseAssessmentInput,
+  assessGrowth,
+  implausibleMetrics,
+  describeStandardInfo,
+  serializeAssessment,
+};
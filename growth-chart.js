@@ -0,0 +1,244 @@
+/**
+ * [성장 곡선] lmsData의 백분위 곡선(3/10/25/50/75/90/97) 위에 아이의 측정값을 찍은 차트를 만듭니다.
+ * SVG는 문자열로 직접 그리고, PNG는 @resvg/resvg-js로 변환하므로 브라우저 없이 Node에서만 동작합니다.
+ */
+
+const { jStat } = require('jstat');
+const { selectStandard, getLms, getAgeRange, valueAtZScore } = require('./growth.js');
+const { STANDARDS, describeStandard } = require('./growth-standards.js');
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n.js');
+const { round } = require('./number-format.js');
+
+const CHART_PERCENTILES = [3, 10, 25, 50, 75, 90, 97];
+const CHART_METRICS = {
+  height: { label: '키', unit: 'cm' },
+  weight: { label: '몸무게', unit: 'kg' },
+  bmi: { label: 'BMI', unit: 'kg/m²' },
+  head: { label: '머리둘레', unit: 'cm' },
+};
+const SEX_LABELS = { male: '남자', female: '여자' };
+
+// 카카오 basicCard 썸네일(2:1)에 맞춘 기본 크기
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 400;
+const MARGIN = { top: 40, right: 48, bottom: 40, left: 56 };
+
+// PNG에 쓰는 글꼴. 서버(서버리스 포함)에 한글 글꼴이 없어도 글자가 네모로 깨지지 않도록 패키지로 함께 배포합니다.
+// Noto Sans KR에 없는 간체자(중국어 차트)는 Noto Sans SC로 채웁니다
+const CHART_FONT_FAMILY = "'Noto Sans KR', 'Noto Sans SC', sans-serif";
+const BUNDLED_FONT_FILES = [
+  '@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf',
+  '@expo-google-fonts/noto-sans-kr/700Bold/NotoSansKR_700Bold.ttf',
+  '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf',
+];
+
+// 기준 경계 양옆에 기준 이름을 적을 최소 너비(px). 이보다 좁은 구간은 이름을 플롯 끝으로 옮깁니다
+const MIN_LABEL_WIDTH = 160;
+
+// 측정값이 있으면 그 앞뒤로 최소 이만큼의 나이 구간을 보여줍니다
+const MIN_WINDOW_MONTHS = 24;
+const WINDOW_PADDING_MONTHS = 6;
+
+/** 잘못된 차트 요청(성별, 지표, 나이 구간)을 알리는 오류. 메시지는 그대로 사용자에게 보여줄 수 있습니다. */
+class GrowthChartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GrowthChartError';
+  }
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+}
+
+/**
+ * 축 눈금 간격을 1, 2, 5 × 10^n 중 눈금이 약 6개가 되도록 고릅니다.
+ */
+function niceStep(span, targetTicks = 6) {
+  const raw = span / targetTicks;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * power).find(candidate => candidate >= raw);
+  return step;
+}
+
+/**
+ * 측정값이 보이도록 나이 구간을 정합니다. 측정값이 없으면 기준표 전체 범위를 씁니다.
+ */
+function chartWindow(range, points, fromMonth, toMonth) {
+  let from = fromMonth;
+  let to = toMonth;
+  if ((from === undefined || to === undefined) && points.length) {
+    const ages = points.map(p => p.age_month);
+    const low = Math.floor(Math.min(...ages)) - WINDOW_PADDING_MONTHS;
+    const high = Math.ceil(Math.max(...ages)) + WINDOW_PADDING_MONTHS;
+    const extra = Math.max(0, MIN_WINDOW_MONTHS - (high - low)) / 2;
+    from = from ?? Math.floor(low - extra);
+    to = to ?? Math.ceil(high + extra);
+    // 기준표 시작 전으로 넘친 만큼 뒤쪽으로 밀어 구간 길이를 유지합니다
+    if (fromMonth === undefined && toMonth === undefined && from < range.min) {
+      to += range.min - from;
+    }
+  }
+  from = Math.max(range.min, from ?? range.min);
+  to = Math.min(range.max, to ?? range.max);
+  if (!(to > from)) throw new GrowthChartError(`나이 구간이 올바르지 않아요. (${range.min}~${range.max}개월 안에서 지정해주세요)`);
+  return { from, to };
+}
+
+/**
+ * 백분위 곡선과 측정값을 SVG 문자열로 그립니다.
+ * points: [{ age_month, value }] (나이순으로 선으로 이어집니다)
+ * standard를 주면 그 기준을 우선하고, 없으면 나이마다 기본 기준으로 곡선을 그립니다.
+ * 기준이 바뀌는 나이(기본 규칙은 36개월)에서는 곡선을 잇지 않고 점선으로 나눈 뒤, 구간마다 기준 이름을 적습니다.
+ */
+function renderChartSvg({
+  sex, metric, points = [], fromMonth, toMonth, standard = null, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT, locale = DEFAULT_LOCALE,
+}) {
+  if (!SEX_LABELS[sex]) throw new GrowthChartError("성별은 'male' 또는 'female'이어야 해요.");
+  if (standard && !STANDARDS[standard]) throw new GrowthChartError(`지원하지 않는 기준이에요: ${standard} (${Object.keys(STANDARDS).join(', ')})`);
+  if (!CHART_METRICS[metric]) throw new GrowthChartError(`지원하지 않는 지표예요: ${metric} (${Object.keys(CHART_METRICS).join(', ')})`);
+  const range = getAgeRange(sex, metric);
+  if (!range) throw new GrowthChartError(`${CHART_METRICS[metric].label} 기준 데이터가 없어요.`);
+
+  const { from, to } = chartWindow(range, points, fromMonth, toMonth);
+  const visible = points
+    .filter(p => Number.isFinite(p.age_month) && Number.isFinite(p.value) && p.age_month >= from && p.age_month <= to)
+    .sort((a, b) => a.age_month - b.age_month);
+
+  // 구간이 짧으면 반 달 간격으로 곡선을 더 촘촘하게 그립니다
+  const sampleStep = to - from <= 36 ? 0.5 : 1;
+  const segments = [];
+  for (let month = from; month <= to + 1e-9; month += sampleStep) {
+    const selected = selectStandard(sex, metric, month, { preferred: standard });
+    if (!selected) continue;
+    const last = segments[segments.length - 1];
+    if (last && last.standard === selected) last.months.push(month);
+    else segments.push({ standard: selected, months: [month] });
+  }
+  const curves = CHART_PERCENTILES.map(percentile => {
+    const z = jStat.normal.inv(percentile / 100, 0, 1);
+    const lines = segments.map(({ standard: id, months }) => months
+      .map(month => ({ month, value: valueAtZScore(getLms(sex, metric, month, id), z) }))
+      .filter(sample => sample.value !== null));
+    return { percentile, lines };
+  });
+
+  const values = [...curves.flatMap(c => c.lines.flat().map(s => s.value)), ...visible.map(p => p.value)];
+  const yStep = niceStep(Math.max(...values) - Math.min(...values));
+  const yMin = Math.floor(Math.min(...values) / yStep) * yStep;
+  const yMax = Math.ceil(Math.max(...values) / yStep) * yStep;
+  const xStep = [1, 2, 3, 6, 12, 24].find(step => (to - from) / step <= 12) || 24;
+
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+  const x = month => round(MARGIN.left + ((month - from) / (to - from)) * plotWidth);
+  const y = value => round(MARGIN.top + (1 - (value - yMin) / (yMax - yMin)) * plotHeight);
+
+  const t = createTranslator(locale);
+  const { unit } = CHART_METRICS[metric];
+  const title = t('chart.image', { sex: t(`sex.${sex}`), metric: t(`metrics.${metric}`), unit });
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${CHART_FONT_FAMILY}" font-size="12">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${MARGIN.left}" y="24" font-size="16" font-weight="bold" fill="#333333">${escapeXml(title)}</text>`,
+  ];
+
+  for (let value = yMin; value <= yMax + 1e-9; value += yStep) {
+    parts.push(`<line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${y(value)}" y2="${y(value)}" stroke="#eeeeee"/>`);
+    parts.push(`<text x="${MARGIN.left - 6}" y="${y(value) + 4}" text-anchor="end" fill="#666666">${round(value)}</text>`);
+  }
+  for (let month = Math.ceil(from / xStep) * xStep; month <= to; month += xStep) {
+    parts.push(`<line x1="${x(month)}" x2="${x(month)}" y1="${MARGIN.top}" y2="${height - MARGIN.bottom}" stroke="#eeeeee"/>`);
+    parts.push(`<text x="${x(month)}" y="${height - MARGIN.bottom + 16}" text-anchor="middle" fill="#666666">${month}</text>`);
+  }
+  parts.push(`<text x="${width - MARGIN.right}" y="${height - 6}" text-anchor="end" fill="#666666">${escapeXml(t('chart.months'))}</text>`);
+  if (segments.length === 1) {
+    parts.push(`<text x="${width - MARGIN.right}" y="24" text-anchor="end" fill="#666666">${escapeXml(describeStandard(segments[0].standard, t))}</text>`);
+  }
+  segments.slice(1).forEach((segment, i) => {
+    // 경계의 왼쪽 구간 이름은 경계에 맞춰 끝나고, 오른쪽 구간 이름은 경계에서 시작합니다.
+    // 구간이 좁아 이름이 차트 밖으로 나가면 플롯 끝에 맞춰 한 줄 아래에 적습니다
+    const boundary = x(segment.months[0]);
+    parts.push(`<line x1="${boundary}" x2="${boundary}" y1="${MARGIN.top}" y2="${height - MARGIN.bottom}" stroke="#9e9e9e" stroke-dasharray="4 4"/>`);
+    if (i === 0) {
+      const label = escapeXml(describeStandard(segments[0].standard, t));
+      parts.push(boundary - MARGIN.left >= MIN_LABEL_WIDTH
+        ? `<text x="${boundary - 4}" y="${MARGIN.top + 14}" text-anchor="end" fill="#666666">${label}</text>`
+        : `<text x="${MARGIN.left + 4}" y="${MARGIN.top + 30}" fill="#666666">${label}</text>`);
+    }
+    const label = escapeXml(describeStandard(segment.standard, t));
+    parts.push(width - MARGIN.right - boundary >= MIN_LABEL_WIDTH
+      ? `<text x="${boundary + 4}" y="${MARGIN.top + 14}" fill="#666666">${label}</text>`
+      : `<text x="${width - MARGIN.right - 4}" y="${MARGIN.top + 30}" text-anchor="end" fill="#666666">${label}</text>`);
+  });
+
+  for (const { percentile, lines } of curves) {
+    const median = percentile === 50;
+    for (const samples of lines.filter(line => line.length)) {
+      const path = samples.map(s => `${x(s.month)},${y(s.value)}`).join(' ');
+      parts.push(`<polyline points="${path}" fill="none" stroke="${median ? '#2e7d32' : '#90a4ae'}" stroke-width="${median ? 2 : 1}"/>`);
+    }
+    const last = lines.flat().pop();
+    if (last) parts.push(`<text x="${x(last.month) + 4}" y="${y(last.value) + 4}" fill="#607d8b">${percentile}</text>`);
+  }
+
+  if (visible.length > 1) {
+    const path = visible.map(p => `${x(p.age_month)},${y(p.value)}`).join(' ');
+    parts.push(`<polyline points="${path}" fill="none" stroke="#e53935" stroke-width="2"/>`);
+  }
+  for (const point of visible) {
+    parts.push(`<circle cx="${x(point.age_month)}" cy="${y(point.value)}" r="5" fill="#e53935" stroke="#ffffff" stroke-width="1.5"/>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * SVG를 PNG로 변환합니다. 함께 배포하는 Noto Sans 글꼴만 쓰므로 서버마다 글자 모양이 같습니다.
+ * 다른 글꼴을 더 쓰려면 CHART_FONT_FILES(쉼표로 구분한 글꼴 파일 경로)를 지정하세요.
+ */
+function renderChartPng(options) {
+  const { Resvg } = require('@resvg/resvg-js');
+  const extraFontFiles = (process.env.CHART_FONT_FILES || '').split(',').map(file => file.trim()).filter(Boolean);
+  const fontFiles = [...BUNDLED_FONT_FILES.map(file => require.resolve(file)), ...extraFontFiles];
+  const resvg = new Resvg(renderChartSvg(options), {
+    font: { fontFiles, loadSystemFonts: false, defaultFontFamily: 'Noto Sans KR', sansSerifFamily: 'Noto Sans KR' },
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * 쿼리 문자열의 측정값 목록("15:80,18.5:82.3")을 [{ age_month, value }]로 바꿉니다.
+ */
+function parsePoints(text) {
+  if (!text) return [];
+  return String(text).split(',').map(pair => {
+    const [age, value] = pair.split(':').map(Number);
+    if (!Number.isFinite(age) || !Number.isFinite(value)) {
+      throw new GrowthChartError(`측정값 형식이 올바르지 않아요: '${pair}' (예: 15:80,18:82.5)`);
+    }
+    return { age_month: age, value };
+  });
+}
+
+/**
+ * 차트 이미지 주소를 만듭니다. points는 parsePoints가 읽는 형식으로 넣고, 기본 언어가 아니면 lang을 붙입니다.
+ */
+function chartPath({ sex, metric, points = [], standard = null, format = 'png', locale = DEFAULT_LOCALE }) {
+  const query = [
+    points.length ? `points=${points.map(p => `${round(p.age_month)}:${p.value}`).join(',')}` : null,
+    standard ? `standard=${standard}` : null,
+    locale !== DEFAULT_LOCALE ? `lang=${locale}` : null,
+  ].filter(Boolean).join('&');
+  return `/chart/${sex}/${metric}.${format}${query ? `?${query}` : ''}`;
+}
+
+module.exports = {
+  CHART_METRICS,
+  GrowthChartError,
+  renderChartSvg,
+  renderChartPng,
+  parsePoints,
+  chartPath,
+};
@@ -0,0 +1,176 @@
+/**
+ * [성장 기록] 아이별로 저장된 측정 기록을 z-점수로 환산하고,
+ * 임상적으로 의미 있는 변화(주요 백분위 선 2개 이상 교차, 키는 유지되는데 몸무게만 감소)를 찾습니다.
+ */
+
+const { jStat } = require('jstat');
+const { selectStandard, getLms, calculateZScore, zScoreToPercentile } = require('./growth.js');
+const { formatAgeMonths } = require('./age.js');
+const { describeStandard, formatCitations } = require('./growth-standards.js');
+const { assessVelocity, formatVelocity } = require('./growth-velocity.js');
+const { createTranslator } = require('./i18n.js');
+
+// 성장 곡선에 그려지는 주요 백분위 선
+const MAJOR_PERCENTILES = [3, 10, 25, 50, 75, 90, 97];
+const MAJOR_LINES = MAJOR_PERCENTILES.map(p => ({ percentile: p, z: jStat.normal.inv(p / 100, 0, 1) }));
+
+// 한 백분위 구간(약 0.67 SD) 이상 몸무게가 떨어지는 동안 키는 그 절반 이내로 유지되는 경우를 봅니다
+const WEIGHT_DROP_Z = 0.67;
+const HEIGHT_STABLE_Z = 0.33;
+
+const METRICS = [
+  { key: 'height', field: 'height_cm', unit: 'cm' },
+  { key: 'weight', field: 'weight_kg', unit: 'kg' },
+  { key: 'head', field: 'head_cm', unit: 'cm' },
+];
+
+function scorePoint(sex, measurement, preferred) {
+  const point = { date: measurement.date, age_month: measurement.age_month };
+  for (const { key, field } of METRICS) {
+    const value = measurement[field];
+    if (!value) continue;
+    const standard = selectStandard(sex, key, measurement.age_month, { preferred });
+    const zScore = standard ? calculateZScore(value, getLms(sex, key, measurement.age_month, standard)) : null;
+    point[key] = {
+      value,
+      standard,
+      zScore: zScore === null ? null : Math.round(zScore * 100) / 100,
+      percentile: zScore === null ? null : zScoreToPercentile(zScore),
+    };
+  }
+  return point;
+}
+
+function linesBetween(fromZ, toZ) {
+  const low = Math.min(fromZ, toZ);
+  const high = Math.max(fromZ, toZ);
+  return MAJOR_LINES.filter(line => line.z > low && line.z < high);
+}
+
+/**
+ * 첫 측정과 마지막 측정을 비교해 주요 백분위 선을 2개 이상 가로질렀는지 확인합니다.
+ */
+function findPercentileCrossings(points) {
+  const flags = [];
+  for (const { key } of METRICS) {
+    const scored = points.filter(p => Number.isFinite(p[key]?.zScore));
+    if (scored.length < 2) continue;
+
+    const first = scored[0];
+    const last = scored[scored.length - 1];
+    const crossed = linesBetween(first[key].zScore, last[key].zScore);
+    if (crossed.length < 2) continue;
+
+    const direction = last[key].zScore > first[key].zScore ? 'up' : 'down';
+    flags.push({
+      type: 'percentile_crossing',
+      metric: key,
+      direction,
+      from: first[key].percentile,
+      to: last[key].percentile,
+      linesCrossed: crossed.map(line => line.percentile),
+    });
+  }
+  return flags;
+}
+
+/**
+ * 키와 몸무게를 모두 잰 측정끼리 비교해, 키는 유지되는데 몸무게 z-점수만 떨어졌는지 확인합니다.
+ */
+function findWeightFaltering(points) {
+  const paired = points.filter(p => Number.isFinite(p.height?.zScore) && Number.isFinite(p.weight?.zScore));
+  if (paired.length < 2) return [];
+
+  const first = paired[0];
+  const last = paired[paired.length - 1];
+  const weightChange = last.weight.zScore - first.weight.zScore;
+  const heightChange = last.height.zScore - first.height.zScore;
+
+  if (weightChange <= -WEIGHT_DROP_Z && Math.abs(heightChange) < HEIGHT_STABLE_Z) {
+    return [{
+      type: 'weight_faltering',
+      metric: 'weight',
+      weightChange: Math.round(weightChange * 100) / 100,
+      heightChange: Math.round(heightChange * 100) / 100,
+    }];
+  }
+  return [];
+}
+
+/**
+ * 측정 기록을 날짜순으로 정렬해 z-점수를 계산하고 의미 있는 변화를 표시합니다.
+ * preferred를 주면 그 기준을 우선하고, 없으면 측정 당시 나이에 맞는 기본 기준을 씁니다.
+ */
+function analyzeHistory(sex, measurements = [], { preferred = null } = {}) {
+  const sorted = [...measurements].sort((a, b) => (a.date === b.date ? a.age_month - b.age_month : a.date < b.date ? -1 : 1));
+  const points = sorted.map(measurement => scorePoint(sex, measurement, preferred));
+  const velocities = assessVelocity(sex, sorted, { preferred });
+
+  return {
+    points,
+    velocities,
+    flags: [...findPercentileCrossings(points), ...findWeightFaltering(points)],
+  };
+}
+
+/**
+ * 확인이 필요한 변화(analyzeHistory의 flags 항목)를 한 문장으로 설명합니다.
+ */
+function describeHistoryFlag(flag, t = createTranslator()) {
+  if (flag.type === 'percentile_crossing') {
+    return t(flag.direction === 'up' ? 'history.crossingUp' : 'history.crossingDown', {
+      metric: t(`metrics.${flag.metric}`),
+      from: flag.from,
+      to: flag.to,
+      count: flag.linesCrossed.length,
+    });
+  }
+  return t('history.weightFaltering', { change: t.number(Math.abs(flag.weightChange), { minimumFractionDigits: 2, maximumFractionDigits: 2 }) });
+}
+
+function formatMetric(metric, { unit }, t) {
+  if (!metric) return null;
+  const score = metric.zScore === null ? t('history.noReference') : t('history.z', { z: t.z(metric.zScore) });
+  return t('history.value', { value: metric.value, unit, score });
+}
+
+/**
+ * 성장 기록을 카카오톡 메시지로 보여줄 문자열로 만듭니다.
+ */
+function formatHistory(childName, { points, velocities = [], flags }, t = createTranslator()) {
+  if (!points.length) return t('history.empty', { name: childName });
+
+  const lines = [t('history.title', { name: childName })];
+  for (const point of points) {
+    const values = METRICS.map(metric => formatMetric(point[metric.key], metric, t)).filter(Boolean);
+    lines.push(t('history.point', { date: point.date, age: formatAgeMonths(point.age_month, t), values: t.list(values) }));
+  }
+
+  if (velocities.length) {
+    lines.push('', t('history.velocityTitle'));
+    velocities.forEach(velocity => lines.push(`- ${formatVelocity(velocity, t)}`));
+  }
+
+  if (flags.length) {
+    lines.push('', t('history.flagsTitle'));
+    flags.forEach(flag => lines.push(`- ${describeHistoryFlag(flag, t)}`));
+    lines.push(t('history.consult'));
+  } else if (points.length >= 2) {
+    lines.push('', t('history.steady'));
+  }
+  if (velocities.length) lines.push(t('velocity.note'));
+
+  const standards = points.flatMap(point => METRICS.map(({ key }) => point[key]?.standard)).filter(Boolean);
+  if (standards.length) {
+    lines.push('', t('history.standards', { standards: t.list([...new Set(standards)].map(id => describeStandard(id, t))) }), formatCitations(standards, t));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  MAJOR_PERCENTILES,
+  analyzeHistory,
+  describeHistoryFlag,
+  formatHistory,
+};
@@ -0,0 +1,96 @@
+/**
+ * [성장 기준] 백분위 계산에 쓰는 기준 자료(성장도표)의 목록과 선택 규칙입니다.
+ * 기본 규칙은 국내 권고에 따라 36개월 미만은 WHO 성장기준, 36개월 이상은 2017 한국 성장도표입니다.
+ * 선택한 기준에 해당 지표나 나이의 자료가 없으면 다음 기준으로 넘어가므로, 보고서에는 실제로 쓴 기준을 표시합니다.
+ * CDC 2000 성장도표는 지원 범위가 아닙니다. 원자료(LMS 표)가 저장소에 없으므로, 사용자가 고르면 지원하지 않는다고 알려줍니다.
+ */
+
+const { createTranslator } = require('./i18n.js');
+
+const STANDARDS = {
+  kdca2017: {
+    id: 'kdca2017',
+    label: '2017 한국 소아청소년 성장도표',
+    source: '질병관리청 2017 소아청소년 성장도표 (0~35개월은 WHO 성장기준)',
+    version: '2017',
+    citation: '질병관리청·대한소아청소년과학회, 2017 소아청소년 성장도표',
+  },
+  who2006: {
+    id: 'who2006',
+    label: 'WHO 성장기준',
+    source: 'WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월)',
+    version: '2006/2007',
+    citation: 'WHO Child Growth Standards (2006), WHO Growth Reference for 5-19 years (2007)',
+  },
+};
+
+// 요청은 받았지만 원자료가 없어 쓸 수 없는 기준. 표를 data/<id>/에 추가하면 STANDARDS로 옮깁니다
+const UNSUPPORTED_STANDARDS = {
+  cdc2000: { id: 'cdc2000', label: 'CDC 2000' },
+};
+
+// 36개월 미만은 WHO, 그 이상은 한국 성장도표를 우선합니다
+const WHO_PREFERRED_MAX_AGE_MONTHS = 36;
+
+// 사용자가 기준을 말할 때 쓰는 표현 ("WHO 기준으로", "한국 기준", "기준 자동")
+const STANDARD_ALIASES = [
+  { id: 'auto', regex: /(?:기본|자동)\s*기준|기준\s*(?:자동|기본)/ },
+  { id: 'who2006', regex: /WHO|세계\s*보건\s*기구/i },
+  { id: 'cdc2000', regex: /CDC|미국\s*(?:기준|성장\s*도표)/i },
+  { id: 'kdca2017', regex: /KDCA|질병\s*관리청|(?:한국|국내)\s*(?:기준|성장\s*도표)/i },
+];
+
+/**
+ * 나이에 맞는 기준 우선순위를 반환합니다. preferred가 있으면 맨 앞에 둡니다.
+ */
+function standardCandidates(ageMonth, preferred = null) {
+  const policy = Number.isFinite(ageMonth) && ageMonth >= WHO_PREFERRED_MAX_AGE_MONTHS
+    ? ['kdca2017', 'who2006']
+    : ['who2006', 'kdca2017'];
+  return [...new Set([preferred, ...policy, ...Object.keys(STANDARDS)].filter(Boolean))];
+}
+
+/**
+ * 발화에서 기준 지정 표현을 찾습니다. 기준 id, 기본 규칙으로 되돌리는 'auto', 또는 null을 반환합니다.
+ */
+function parseStandard(text) {
+  const match = STANDARD_ALIASES.find(alias => alias.regex.test(String(text || '')));
+  return match ? match.id : null;
+}
+
+/**
+ * 운영 설정(GROWTH_STANDARD)을 검증합니다. 'auto'나 빈 값이면 기본 규칙(null)을 씁니다.
+ */
+function resolveStandardSetting(value = process.env.GROWTH_STANDARD) {
+  if (!value || value === 'auto') return null;
+  if (UNSUPPORTED_STANDARDS[value]) {
+    throw new Error(`${UNSUPPORTED_STANDARDS[value].label} 기준은 자료가 없어 아직 지원하지 않습니다: GROWTH_STANDARD=${value}`);
+  }
+  if (!STANDARDS[value]) {
+    throw new Error(`지원하지 않는 GROWTH_STANDARD입니다: ${value} (auto, ${Object.keys(STANDARDS).join(', ')} 중 하나)`);
+  }
+  return value;
+}
+
+function describeStandard(id, t = createTranslator()) {
+  return STANDARDS[id] ? t(`standards.${id}.label`) : id;
+}
+
+/**
+ * 보고서 끝에 붙일 출처 문구를 만듭니다.
+ */
+function formatCitations(ids, t = createTranslator()) {
+  const used = [...new Set(ids)].filter(id => STANDARDS[id]);
+  if (!used.length) return null;
+  return t('citation', { citations: used.map(id => t(`standards.${id}.citation`)).join(' / ') });
+}
+
+module.exports = {
+  STANDARDS,
+  UNSUPPORTED_STANDARDS,
+  standardCandidates,
+  parseStandard,
+  resolveStandardSetting,
+  describeStandard,
+  formatCitations,
+};
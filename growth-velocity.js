@@ -0,0 +1,102 @@
+/**
+ * [성장 속도] 날짜가 있는 두 측정 사이의 연간 키 성장 속도(cm/년)와 체중 증가(kg/년)를 구해 또래 중앙값과 나란히 보여줍니다.
+ *
+ * 저장소에는 WHO 성장 속도 기준표 같은 별도의 속도 기준 자료가 없어, 또래 중앙값은 백분위 계산과 같은 LMS 기준표에서
+ * 두 나이의 중앙값(M) 차이를 1년으로 환산해 구합니다. 속도 백분위는 근거 자료 없이는 구할 수 없으므로 내지 않습니다.
+ */
+
+const { selectStandard, getLms } = require('./growth.js');
+const { monthsBetween } = require('./age.js');
+const { createTranslator } = require('./i18n.js');
+const { round } = require('./number-format.js');
+
+// 연간 속도로 볼 수 있는 최소 간격과, 우선해서 비교할 간격 (6~12개월)
+const MIN_INTERVAL_MONTHS = 3;
+const PREFERRED_INTERVAL_MONTHS = { min: 6, max: 12 };
+
+const VELOCITY_METRICS = [
+  { key: 'height', field: 'height_cm' },
+  { key: 'weight', field: 'weight_kg' },
+];
+
+function intervalMonths(from, to) {
+  if (from.date && to.date) return monthsBetween(from.date, to.date);
+  return (to.chronological_month ?? to.age_month) - (from.chronological_month ?? from.age_month);
+}
+
+/**
+ * 마지막 측정과 비교할 앞 측정을 고릅니다. 6~12개월 전 측정 중 12개월에 가장 가까운 것을 먼저 고르고,
+ * 없으면 3개월 이상 떨어진 가장 최근 측정을 씁니다.
+ */
+function choosePair(measurements) {
+  const last = measurements[measurements.length - 1];
+  const earlier = measurements.slice(0, -1)
+    .map(measurement => ({ measurement, months: intervalMonths(measurement, last) }))
+    .filter(({ months }) => months >= MIN_INTERVAL_MONTHS);
+  if (!earlier.length) return null;
+
+  const inWindow = earlier.filter(({ months }) => months >= PREFERRED_INTERVAL_MONTHS.min && months <= PREFERRED_INTERVAL_MONTHS.max);
+  const chosen = inWindow.length
+    ? inWindow.reduce((best, item) => (item.months > best.months ? item : best))
+    : earlier.reduce((best, item) => (item.months < best.months ? item : best));
+  return { from: chosen.measurement, to: last, months: chosen.months };
+}
+
+/**
+ * 두 측정 사이의 속도를 구하고 LMS로 같은 나이 구간의 또래 중앙값 속도를 구합니다.
+ */
+function velocityBetween(sex, { key, field }, { from, to, months }, preferred) {
+  // 두 나이에 같은 기준을 써야 기준이 바뀌면서 생기는 z-점수 차이가 섞이지 않습니다
+  const standard = [selectStandard(sex, key, to.age_month, { preferred }), selectStandard(sex, key, from.age_month, { preferred })]
+    .find(candidate => candidate && getLms(sex, key, from.age_month, candidate) && getLms(sex, key, to.age_month, candidate));
+  const years = months / 12;
+  const velocity = {
+    metric: key,
+    from: { date: from.date, age_month: from.age_month, value: from[field] },
+    to: { date: to.date, age_month: to.age_month, value: to[field] },
+    months: round(months),
+    perYear: round((to[field] - from[field]) / years, key === 'weight' ? 2 : 1),
+    standard: standard || null,
+    medianPerYear: null,
+  };
+  if (!standard) return velocity;
+
+  const fromLms = getLms(sex, key, from.age_month, standard);
+  const toLms = getLms(sex, key, to.age_month, standard);
+  velocity.medianPerYear = round((toLms.M - fromLms.M) / years, key === 'weight' ? 2 : 1);
+  return velocity;
+}
+
+/**
+ * 날짜순으로 정렬된 측정 기록에서 지표별 최근 성장 속도를 구합니다. 비교할 측정이 없으면 그 지표는 빠집니다.
+ */
+function assessVelocity(sex, measurements = [], { preferred = null } = {}) {
+  return VELOCITY_METRICS.flatMap(metric => {
+    const measured = measurements.filter(m => Number.isFinite(m[metric.field]) && Number.isFinite(m.age_month));
+    if (measured.length < 2) return [];
+    const pair = choosePair(measured);
+    return pair ? [velocityBetween(sex, metric, pair, preferred)] : [];
+  });
+}
+
+/**
+ * 속도 한 줄 요약입니다. (예: "키 성장 속도 5.1cm/년 (6개월간, 또래 중앙값 6.8cm/년)")
+ */
+function formatVelocity(velocity, t = createTranslator()) {
+  const unit = t(`velocity.units.${velocity.metric}`);
+  const details = [
+    t('velocity.interval', { count: velocity.months }),
+    velocity.medianPerYear !== null ? t('velocity.median', { median: velocity.medianPerYear, unit }) : null,
+  ].filter(Boolean);
+  return t('velocity.line', {
+    label: t(`velocity.labels.${velocity.metric}`),
+    perYear: velocity.perYear,
+    unit,
+    details: t.list(details),
+  });
+}
+
+module.exports = {
+  assessVelocity,
+  formatVelocity,
+};
@@ -0,0 +1,216 @@
+/**
+ * [성장 계산] LMS 방법으로 측정값의 z-점수와 백분위수를 계산합니다.
+ * lmsData는 기준(kdca2017/who2006) → 성별 → 지표(height/weight/bmi/head) → 개월 수 순서로 색인되어 있으며,
+ * 신장별 체중(wfl/wfh) 표는 개월 수 대신 0.5cm 간격의 신장("45.0", "45.5")으로 색인되어 있습니다.
+ * 기준을 지정하지 않으면 growth-standards.js의 기본 규칙(36개월 미만 WHO, 이상 한국 성장도표)으로 고릅니다.
+ */
+
+const { jStat } = require('jstat');
+const lmsData = require('./lms_data.js');
+const { standardCandidates } = require('./growth-standards.js');
+
+// 소아청소년 BMI 판정은 만 2세부터 적용합니다. (2세 미만은 신장별 체중으로 평가)
+const BMI_MIN_AGE_MONTHS = 24;
+
+// WHO 기준: 2세 미만은 누운 키 기준(wfl), 2~5세는 선 키 기준(wfh) 신장별 체중을 사용합니다
+const WEIGHT_FOR_LENGTH_MAX_AGE_MONTHS = 24;
+const WEIGHT_FOR_HEIGHT_MAX_AGE_MONTHS = 60;
+const LENGTH_STEP_CM = 0.5;
+const LENGTH_METRICS = new Set(['wfl', 'wfh']);
+
+// WHO restricted z: 이 값을 넘는 z-점수는 조정합니다
+const RESTRICTED_Z = 3;
+
+// WHO가 '생물학적으로 있기 어려운 값'으로 보는 z-점수 범위 (이 범위를 벗어나면 값을 다시 확인합니다)
+const IMPLAUSIBLE_Z_LIMITS = {
+  height: { min: -6, max: 6 },
+  weight: { min: -6, max: 5 },
+  bmi: { min: -5, max: 5 },
+  wfl: { min: -5, max: 5 },
+  wfh: { min: -5, max: 5 },
+  head: { min: -5, max: 5 },
+};
+
+/**
+ * 인접한 두 LMS 값 사이를 선형 보간합니다. (fraction: 0이면 lower, 1이면 upper)
+ */
+function interpolateLms(lower, upper, fraction) {
+  return {
+    L: lower.L + (upper.L - lower.L) * fraction,
+    M: lower.M + (upper.M - lower.M) * fraction,
+    S: lower.S + (upper.S - lower.S) * fraction,
+  };
+}
+
+/**
+ * 나이에 맞는 신장별 체중 표 이름을 반환합니다. 적용 나이를 벗어나면 null입니다.
+ */
+function weightForLengthMetric(ageMonth) {
+  if (ageMonth < WEIGHT_FOR_LENGTH_MAX_AGE_MONTHS) return 'wfl';
+  if (ageMonth <= WEIGHT_FOR_HEIGHT_MAX_AGE_MONTHS) return 'wfh';
+  return null;
+}
+
+/**
+ * 일정 간격(step)으로 색인된 표에서 position의 LMS를 찾습니다.
+ * 간격 사이의 값은 인접한 두 항목을 보간하고, 표 범위를 벗어나면 null을 반환합니다.
+ */
+function lookupInterpolated(table, position, step, keyOf) {
+  if (!table || !Number.isFinite(position)) return null;
+
+  const lowerPosition = Math.floor(position / step) * step;
+  const lower = table[keyOf(lowerPosition)];
+  if (!lower) return null;
+
+  const fraction = (position - lowerPosition) / step;
+  if (fraction === 0) return lower;
+
+  const upper = table[keyOf(lowerPosition + step)];
+  return upper ? interpolateLms(lower, upper, fraction) : null;
+}
+
+function lookupTable(standard, sex, metric, position) {
+  const table = lmsData[standard]?.[sex]?.[metric];
+  return LENGTH_METRICS.has(metric)
+    ? lookupInterpolated(table, position, LENGTH_STEP_CM, cm => cm.toFixed(1))
+    : lookupInterpolated(table, position, 1, month => String(month));
+}
+
+/**
+ * 해당 지표와 위치(나이 또는 신장)의 자료가 있는 기준 중 우선순위가 가장 높은 것을 고릅니다.
+ * preferred(사용자/운영자가 지정한 기준)에 자료가 없으면 기본 규칙으로 넘어가고, 어디에도 없으면 null입니다.
+ */
+function selectStandard(sex, metric, ageMonth, { preferred = null, lengthCm } = {}) {
+  const position = LENGTH_METRICS.has(metric) ? lengthCm : ageMonth;
+  return standardCandidates(ageMonth, preferred).find(id => lookupTable(id, sex, metric, position)) || null;
+}
+
+/**
+ * 나이(소수 개월 포함)에 맞는 LMS를 찾습니다. 30.4개월은 30개월과 31개월 값을 보간합니다.
+ */
+function getLms(sex, metric, ageMonth, standard = selectStandard(sex, metric, ageMonth)) {
+  return lookupTable(standard, sex, metric, ageMonth);
+}
+
+/**
+ * 신장으로 색인된 표에서 LMS를 찾습니다. 0.5cm 간격 사이의 값은 보간합니다.
+ */
+function getLmsByLength(sex, metric, lengthCm, standard = selectStandard(sex, metric, null, { lengthCm })) {
+  return lookupTable(standard, sex, metric, lengthCm);
+}
+
+/**
+ * 표가 다루는 나이 범위(개월)를 반환합니다. 기준을 지정하지 않으면 모든 기준을 합친 범위이며, 표가 없으면 null입니다.
+ */
+function getAgeRange(sex, metric, standard = null) {
+  const standards = standard ? [standard] : Object.keys(lmsData);
+  const months = standards.flatMap(id => Object.keys(lmsData[id]?.[sex]?.[metric] || {})).map(Number);
+  if (!months.length) return null;
+  return { min: Math.min(...months), max: Math.max(...months) };
+}
+
+function lmsZScore(value, lms) {
+  const { L, M, S } = lms;
+  if (L !== 0) {
+    return (Math.pow(value / M, L) - 1) / (L * S);
+  }
+  return Math.log(value / M) / S;
+}
+
+/**
+ * 측정값의 z-점수를 구합니다. ±3 SD 밖은 WHO 방식(restricted z)으로 조정해,
+ * 치우친 분포(L≠1)에서 극단값의 z가 지나치게 커지거나 작아지지 않게 합니다.
+ * (3 SD 밖에서는 2~3 SD 사이 간격을 1 SD로 보고 직선으로 늘립니다. L=1이면 원래 값과 같습니다)
+ */
+function calculateZScore(value, lms) {
+  if (!lms) return null;
+  const zScore = lmsZScore(value, lms);
+  if (zScore > RESTRICTED_Z) {
+    const sd3 = valueAtZScore(lms, RESTRICTED_Z);
+    return RESTRICTED_Z + (value - sd3) / (sd3 - valueAtZScore(lms, RESTRICTED_Z - 1));
+  }
+  if (zScore < -RESTRICTED_Z) {
+    const sd3 = valueAtZScore(lms, -RESTRICTED_Z);
+    return -RESTRICTED_Z + (value - sd3) / (valueAtZScore(lms, 1 - RESTRICTED_Z) - sd3);
+  }
+  return zScore;
+}
+
+/**
+ * 생물학적으로 있기 어려운 z-점수인지 확인합니다. (WHO 판정 기준, 오타나 단위 실수 확인용)
+ */
+function isImplausibleZScore(metric, zScore) {
+  const limits = IMPLAUSIBLE_Z_LIMITS[metric];
+  if (!limits || zScore === null || zScore === undefined) return false;
+  return zScore < limits.min || zScore > limits.max;
+}
+
+function formatZScore(zScore) {
+  return `${zScore >= 0 ? '+' : ''}${zScore.toFixed(2)}`;
+}
+
+/**
+ * z-점수에 해당하는 측정값을 LMS로 역산합니다. (백분위 곡선과 기준값 계산에 사용)
+ */
+function valueAtZScore(lms, zScore) {
+  if (!lms) return null;
+  const { L, M, S } = lms;
+  if (L !== 0) {
+    return M * Math.pow(1 + L * S * zScore, 1 / L);
+  }
+  return M * Math.exp(S * zScore);
+}
+
+/**
+ * 백분위(0~100, 양 끝 제외)에 해당하는 측정값을 LMS로 역산합니다. ("24개월 90백분위 몸무게")
+ */
+function valueAtPercentile(lms, percentile) {
+  if (!(percentile > 0 && percentile < 100)) return null;
+  return valueAtZScore(lms, jStat.normal.inv(percentile / 100, 0, 1));
+}
+
+/**
+ * 나이·성별에 맞는 기준 자료에서 백분위별 측정값을 구합니다. 기준 자료가 없으면 null을 반환합니다.
+ */
+function referenceValues(sex, metric, ageMonth, percentiles, { preferred = null } = {}) {
+  const standard = selectStandard(sex, metric, ageMonth, { preferred });
+  if (!standard) return null;
+  const lms = getLms(sex, metric, ageMonth, standard);
+  return { standard, values: percentiles.map(percentile => ({ percentile, value: valueAtPercentile(lms, percentile) })) };
+}
+
+function zScoreToPercentile(zScore) {
+  const percentile = jStat.normal.cdf(zScore, 0, 1) * 100;
+  return parseFloat(percentile.toFixed(1));
+}
+
+function calculatePercentile(value, lms) {
+  const zScore = calculateZScore(value, lms);
+  return zScore === null ? null : zScoreToPercentile(zScore);
+}
+
+function calculateBmi(heightCm, weightKg) {
+  if (!heightCm || !weightKg) return null;
+  const heightM = heightCm / 100;
+  return Math.round((weightKg / (heightM * heightM)) * 10) / 10;
+}
+
+module.exports = {
+  BMI_MIN_AGE_MONTHS,
+  lmsData,
+  selectStandard,
+  getLms,
+  getLmsByLength,
+  getAgeRange,
+  interpolateLms,
+  weightForLengthMetric,
+  calculateZScore,
+  isImplausibleZScore,
+  formatZScore,
+  calculatePercentile,
+  valueAtZScore,
+  valueAtPercentile,
+  referenceValues,
+  zScoreToPercentile,
+  calculateBmi,
+};
@@ -0,0 +1,132 @@
+/**
+ * [다국어] 챗봇 답변 문구를 언어별 메시지 카탈로그(locales/*.js)에서 찾아 만듭니다.
+ * 다문화 가정 보호자를 위해 한국어(기본), 영어, 베트남어, 중국어(간체)를 지원합니다.
+ *
+ * 언어는 대화 첫 발화의 문자(한글, 베트남어 문자, 한자, 로마자)로 정하고, "English please"처럼 직접 요청하면 바꿉니다.
+ * 카탈로그 문구는 "{name}" 자리표시자를 쓰고, 수에 따라 형태가 바뀌는 문구는 { one, other }처럼
+ * Intl.PluralRules 범주별로 적습니다(범주는 count 값으로 고르고, ordinal: true면 서수 규칙을 씁니다).
+ * 숫자 값은 Intl.NumberFormat으로 언어에 맞게 씁니다. (베트남어는 96,5)
+ */
+
+const path = require('path');
+
+const SUPPORTED_LOCALES = ['ko', 'en', 'vi', 'zh'];
+const DEFAULT_LOCALE = 'ko';
+
+// 문자로 언어를 알아봅니다. 한글이 조금이라도 있으면 한국어로 보고, 베트남어 문자는 한자보다 먼저 봅니다
+const SCRIPT_PATTERNS = [
+  { locale: 'ko', regex: /[ㄱ-ㆎ가-힣]/ },
+  { locale: 'vi', regex: /[ăâđêôơưĂÂĐÊÔƠƯẠ-ỹ]/ },
+  { locale: 'zh', regex: /\p{Script=Han}/u },
+];
+// 단위와 기준 이름은 어느 언어에서나 로마자로 쓰므로 영어 판단에서 뺍니다
+const LATIN_UNIT_REGEX = /\b(?:cm|mm|kg|g|lbs?|oz|ft|in|bmi|who|kdca|sd|z)\b/gi;
+const MIN_ENGLISH_WORDS = 2;
+
+// "English please", "영어로 해줘", "nói tiếng Việt", "请用中文"처럼 답변 언어를 직접 고르는 표현
+const LOCALE_REQUESTS = [
+  { locale: 'en', regex: /(?:\bin\s+)?\benglish\b|영어로/i },
+  { locale: 'vi', regex: /(?:bằng\s+)?tiếng\s+việt|\bvietnamese\b|베트남어로/i },
+  { locale: 'zh', regex: /中文|汉语|漢語|普通话|\bchinese\b|중국어로/i },
+  { locale: 'ko', regex: /한국어|\bkorean\b|tiếng\s+hàn|韩语|韓語/i },
+];
+// 언어 요청에 흔히 붙는 말. 이것만 남으면 언어만 바꾸는 요청으로 봅니다
+const REQUEST_FILLER_REGEX = /\b(?:please|pls|plz|can|could|you|reply|answer|speak|talk|use|to|me)\b|해\s*주세요|해\s*줘|주세요|말해\s*줘?|대답|답해|부탁|vui\s+lòng|xin|hãy|nói|trả\s+lời|dùng|với|tôi|请|用|说|說|回答|回复|吧|可以|吗|嗎|[\s.,!?~]/gi;
+
+const catalogues = {};
+const translators = new Map();
+
+// 카탈로그는 처음 쓸 때 읽습니다 (ko.js가 다른 모듈의 문구를 가져오므로, 모듈을 불러오는 순서와 상관없게 합니다)
+function catalogue(locale) {
+  if (!catalogues[locale]) catalogues[locale] = require(path.join(__dirname, 'locales', `${locale}.js`));
+  return catalogues[locale];
+}
+
+function lookup(source, key) {
+  return key.split('.').reduce((node, part) => (node === undefined || node === null ? undefined : node[part]), source);
+}
+
+function isPluralEntry(entry) {
+  return Boolean(entry) && typeof entry === 'object' && typeof entry.other === 'string';
+}
+
+function normalizeLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * 발화의 문자로 언어를 추정합니다. 판단할 수 없으면(숫자와 단위만 있거나 "hi" 한 단어) null을 반환합니다.
+ */
+function detectLocale(text) {
+  const value = String(text || '');
+  const script = SCRIPT_PATTERNS.find(({ regex }) => regex.test(value));
+  if (script) return script.locale;
+
+  const words = value.replace(LATIN_UNIT_REGEX, ' ').match(/[a-z]{2,}/gi) || [];
+  return words.length >= MIN_ENGLISH_WORDS ? 'en' : null;
+}
+
+/**
+ * 답변 언어를 고르는 요청을 찾습니다. 요청이 없으면 null을 반환합니다.
+ * 반환값: { locale, text: 요청 표현을 뺀 나머지 발화, only: 언어 요청 말고는 내용이 없는지 }
+ */
+function parseLocaleRequest(text) {
+  const value = String(text || '');
+  const request = LOCALE_REQUESTS.find(({ regex }) => regex.test(value));
+  if (!request) return null;
+
+  const rest = value.replace(request.regex, ' ').replace(/\s{2,}/g, ' ').trim();
+  return { locale: request.locale, text: rest, only: rest.replace(REQUEST_FILLER_REGEX, '') === '' };
+}
+
+/**
+ * 언어에 맞는 번역 함수 t(key, params)를 만듭니다. 없는 언어는 한국어를 쓰고, 카탈로그에 없는 문구도 한국어로 대신합니다.
+ * t.raw(key)는 카탈로그 값(객체 포함)을 그대로, t.number와 t.z는 언어에 맞게 쓴 숫자를, t.list는 항목을 이어 붙인 문자열을 돌려줍니다.
+ */
+function createTranslator(locale = DEFAULT_LOCALE) {
+  const code = normalizeLocale(locale);
+  if (translators.has(code)) return translators.get(code);
+
+  const numberFormat = new Intl.NumberFormat(code, { maximumFractionDigits: 2 });
+  const zFormat = new Intl.NumberFormat(code, { minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: 'always' });
+  const cardinal = new Intl.PluralRules(code);
+  const ordinal = new Intl.PluralRules(code, { type: 'ordinal' });
+
+  const raw = key => {
+    const entry = lookup(catalogue(code), key);
+    return entry === undefined ? lookup(catalogue(DEFAULT_LOCALE), key) : entry;
+  };
+
+  const interpolate = (template, params) => template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? numberFormat.format(value) : String(value);
+  });
+
+  function t(key, params = {}) {
+    let entry = raw(key);
+    if (isPluralEntry(entry)) {
+      const form = (entry.ordinal ? ordinal : cardinal).select(params.count ?? 0);
+      entry = entry[form] ?? entry.other;
+    }
+    if (typeof entry !== 'string') throw new Error(`메시지 카탈로그에 없는 문구입니다: ${key}`);
+    return interpolate(entry, params);
+  }
+
+  t.locale = code;
+  t.raw = raw;
+  t.number = (value, options) => (options ? new Intl.NumberFormat(code, options) : numberFormat).format(value);
+  t.z = zScore => zFormat.format(zScore);
+  t.list = items => items.join(t('list.separator'));
+
+  translators.set(code, t);
+  return t;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  detectLocale,
+  parseLocaleRequest,
+  createTranslator,
+};
@@ -1,90 +1,304 @@
 // index.js (최종 수정본)
 const express = require('express');
-const { jStat } = require('jstat');
-const lmsData = require('./lms_data.js');
+const { BMI_MIN_AGE_MONTHS, getLms, referenceValues, isImplausibleZScore } = require('./growth.js');
+const {
+  ASSESSMENT_METRICS, AssessmentInputError, describeMissingReference, findOutOfRangeInputs, assessGrowth, implausibleMetrics,
+} = require('./growth-assessment.js');
+const { describeScore, summarizeInterpretations } = require('./interpretation.js');
+const { parseUtterance } = require('./utterance-parser.js');
+const { normalizeUtterance, matchOriginalUnits, describeOriginalUnit } = require('./unit-normalizer.js');
+const { createLlmProvider, LlmResponseError } = require('./llm-providers.js');
+const { createSessionStore } = require('./session-store.js');
+const {
+  SkillRequestError, resolveSkillGuardSettings, parseSkillPayload, authorizeSkillRequest, createRateLimiter, formatThrottleMessage,
+} = require('./skill-guard.js');
+const {
+  EMPTY_PROFILE, ChildProfileError, findChild, addChild, renameChild, deleteChild,
+  rememberChildFacts, recordMeasurement, childSessionData, describeChildDetails,
+} = require('./child-profiles.js');
+const { analyzeHistory, formatHistory } = require('./growth-history.js');
+const { formatVelocity } = require('./growth-velocity.js');
+const { midParentalHeight, projectAdultHeight, formatAdultHeightPrediction } = require('./adult-height.js');
+const { today, formatAgeMonths, resolveAge, describeAgeBasis } = require('./age.js');
+const {
+  STANDARDS, UNSUPPORTED_STANDARDS, resolveStandardSetting, describeStandard, formatCitations,
+} = require('./growth-standards.js');
+const {
+  CHART_METRICS, GrowthChartError, renderChartSvg, renderChartPng, parsePoints, chartPath,
+} = require('./growth-chart.js');
+const {
+  MAX_LIST_ITEMS, quickReply, messageButton, linkButton, basicCard, listCard, itemCard, carousel, resolveMode, skillResponse,
+} = require('./kakao-response.js');
+const { BULK_ASSESS_PATH, createApiRouter, handleApiError } = require('./api.js');
+const { detectLocale, parseLocaleRequest, createTranslator } = require('./i18n.js');
 
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const API_PREFIX = '/api/v1';
 
 const app = express();
-app.use(express.json());
+// 대량 평가는 본문을 스트림으로 읽으므로 여기서 JSON으로 미리 읽지 않습니다
+app.use(express.json({ type: req => req.path !== `${API_PREFIX}${BULK_ASSESS_PATH}` && Boolean(req.is('application/json')) }));
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const llm = createLlmProvider();
+const responseMode = resolveMode();
+// 운영자가 GROWTH_STANDARD로 기준을 고정할 수 있습니다 (사용자가 고른 기준이 우선)
+const operatorStandard = resolveStandardSetting();
 
 console.log("LMS 데이터가 코드를 통해 로드되었습니다.");
 
-const userSessions = {};
+const sessionStore = createSessionStore();
+console.log(`세션 저장소: ${sessionStore.backend}`);
 
-function calculatePercentile(value, lms) {
-  if (!lms) return null;
-  const { L, M, S } = lms;
-  let zScore;
-  if (L !== 0) {
-    zScore = (Math.pow(value / M, L) - 1) / (L * S);
-  } else {
-    zScore = Math.log(value / M) / S;
+// 아이 프로필은 대화 세션보다 훨씬 오래 보관합니다 (기본 1년)
+const profileStore = createSessionStore({
+  namespace: 'profile',
+  ttlSeconds: Number(process.env.PROFILE_TTL_SECONDS) || 365 * 24 * 60 * 60,
+});
+
+// /skill 요청 검증, 인증(SKILL_SECRET, SKILL_ALLOWED_BOT_IDS), 요청 수 제한(RATE_LIMIT_*) 설정
+const skillGuard = resolveSkillGuardSettings();
+if (!skillGuard.secret && !skillGuard.allowedBotIds.length) {
+  console.warn('SKILL_SECRET과 SKILL_ALLOWED_BOT_IDS가 없어 /skill 요청을 인증하지 않습니다.');
+}
+const rateLimiter = createRateLimiter({ limits: skillGuard.limits });
+
+const EMPTY_SESSION = {
+  child: null, sex: null, birthdate: null, measured_on: null, gestational_weeks: null, age_month: null,
+  height_cm: null, weight_kg: null, head_cm: null, confirmation: null, pending_action: null, pending_child: null,
+  original_units: null, locale: null,
+};
+
+// 자주 쓰는 입력을 눌러서 보낼 수 있도록 바로가기 응답을 붙입니다 (대화 언어의 문구로 보내며, 파서가 그대로 알아듣습니다)
+const AGE_REPLY_MONTHS = [6, 12, 18, 24, 36, 60];
+const sexReplies = t => [quickReply(t('replies.male')), quickReply(t('replies.female'))];
+const ageReplies = t => AGE_REPLY_MONTHS.map(months => quickReply(months < 24
+  ? t('replies.months', { count: months })
+  : t('replies.years', { count: months / 12 })));
+const sessionReplies = t => [quickReply(t('replies.report')), quickReply(t('replies.reset'))];
+
+// 기준값 질문에는 3/50/97백분위 값을 보여주고, 따로 물어본 백분위가 있으면 함께 넣습니다
+const REFERENCE_PERCENTILES = [3, 50, 97];
+const MEASUREMENT_FIELDS = { height: 'height_cm', weight: 'weight_kg', head: 'head_cm' };
+
+// 인치, 파운드, '두 돌'처럼 다른 단위로 말한 값을 cm, kg, 개월로 바꿔 받았다고 알려주는 문구 ("키 96.5cm(3 feet 2 inches)")
+function describeConvertedValues(session, originalUnits, t) {
+  const parts = Object.entries(originalUnits).flatMap(([field, entry]) => {
+    const original = describeOriginalUnit(entry, field);
+    if (!original) return [];
+    const value = field === 'age_month'
+      ? formatAgeMonths(session.age_month, t)
+      : `${t.number(session[field])}${field === 'weight_kg' ? 'kg' : 'cm'}`;
+    return [t('converted.item', { label: t(`converted.labels.${field}`), value, original })];
+  });
+  return parts.length ? t('converted.summary', { items: t.list(parts) }) : null;
+}
+
+// 세션을 비우되 대화 언어는 남겨, 처음부터 다시 시작해도 같은 언어로 답합니다
+function clearSession(userId) {
+  return sessionStore.update(userId, current => (current?.locale ? { ...EMPTY_SESSION, locale: current.locale } : null));
+}
+
+// 생년월일이 있거나 나이를 직접 말했으면 나이를 안다고 봅니다
+function hasAge({ birthdate, age_month }) {
+  return Boolean(birthdate) || (age_month !== null && age_month !== undefined);
+}
+
+function isReadyForReport(session) {
+  const { sex, height_cm, weight_kg, head_cm } = session;
+  return Boolean(sex && hasAge(session) && (height_cm || weight_kg || head_cm));
+}
+
+/**
+ * 카카오가 불러갈 이미지의 절대 주소를 만들 기준 주소입니다. PUBLIC_BASE_URL이 없으면 요청의 호스트를 씁니다.
+ */
+function publicBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${protocol}://${req.get('host')}`;
+}
+
+/**
+ * 보고서에 넣을 성장 곡선 카드를 만듭니다. 키 → 몸무게 → 머리둘레 순으로 기준 데이터가 있는 첫 지표를 그리고,
+ * 등록된 아이라면 저장된 측정 기록도 함께 표시합니다.
+ */
+function buildChartCard(req, { sex, ageMonth, values, history = [], standard = null }, t) {
+  const metric = ['height', 'weight', 'head'].find(key => values[key] && getLms(sex, key, ageMonth));
+  if (!metric) return null;
+
+  const field = { height: 'height_cm', weight: 'weight_kg', head: 'head_cm' }[metric];
+  const points = history
+    .filter(m => m[field] && Number.isFinite(m.age_month) && m.age_month !== ageMonth)
+    .map(m => ({ age_month: m.age_month, value: m[field] }));
+  points.push({ age_month: ageMonth, value: values[metric] });
+
+  const url = publicBaseUrl(req) + chartPath({ sex, metric, points, standard, locale: t.locale });
+  return basicCard({
+    title: t('chart.title', { metric: t(`metrics.${metric}`) }),
+    description: t('chart.description'),
+    thumbnail: url,
+    buttons: [linkButton(t('chart.open'), url)],
+  });
+}
+
+/**
+ * 기준값 질문에 답할 아이템 카드를 지표마다 하나씩 만듭니다. 실제로 쓴 기준은 usedStandards에 모읍니다.
+ */
+function buildReferenceCards({ sex, ageMonth, metrics, percentile, standard = null }, usedStandards, t) {
+  const percentiles = [...new Set([...REFERENCE_PERCENTILES, percentile].filter(Boolean))].sort((a, b) => a - b);
+  const cards = [];
+  const missing = [];
+
+  for (const metric of metrics) {
+    const { unit } = CHART_METRICS[metric];
+    const label = t(`metrics.${metric}`);
+    if (metric === 'bmi' && ageMonth < BMI_MIN_AGE_MONTHS) {
+      missing.push(t('reference.bmiTooYoung', { metric: label, age: formatAgeMonths(BMI_MIN_AGE_MONTHS, t) }));
+      continue;
+    }
+    const reference = referenceValues(sex, metric, ageMonth, percentiles, { preferred: standard });
+    if (!reference) {
+      missing.push(t('reference.missing', { metric: label, reason: describeMissingReference(sex, metric, t) }));
+      continue;
+    }
+    usedStandards.add(reference.standard);
+    cards.push(itemCard({
+      head: t('reference.head', { age: formatAgeMonths(ageMonth, t), sex: t(`sex.${sex}`), metric: label }),
+      itemList: reference.values.map(({ percentile: p, value }) => ({
+        title: p === 50 ? t('reference.median') : t('reference.percentile', { count: p }),
+        description: `${t.number(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}${unit}`,
+      })),
+    }));
   }
-  const percentile = jStat.normal.cdf(zScore, 0, 1) * 100;
-  return parseFloat(percentile.toFixed(1));
+  return { cards, missing };
 }
 
 /**
- * [프롬프트 최적화] 복잡한 규칙을 포함한 정보 추출 및 행동 결정 전용 Gemini 호출
+ * [프롬프트 최적화] 복잡한 규칙을 포함한 정보 추출 및 행동 결정 전용 프롬프트
  */
-async function callGeminiForDecision(session, userInput) {
-  if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY가 설정되지 않았습니다.');
-  
-  const model = 'gemini-1.5-flash';
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GEMINI_API_KEY}`;
-  
+function buildDecisionPrompt(session, userInput, children = []) {
   // 사용자의 다양한 입력을 처리하기 위한 초경량/고속 프롬프트
-  const decisionPrompt = `
+  return `
     Your task is to extract data from the user's message based on the session and decide an action.
+    The user may write in Korean, English, Vietnamese or Chinese; apply the same rules to equivalent words in any of these languages.
 
     **Session Data:**
     ${JSON.stringify(session)}
 
+    **Registered Children:**
+    ${JSON.stringify(children)}
+
     **User Message:**
     "${userInput}"
 
     **Extraction Rules:**
+    - Units and Korean number words in the message are already converted to cm, kg and months (e.g. "35 lbs" -> "15.9kg", "두 돌" -> "24개월").
     - \`sex\`: "남자" -> "male", "여자" -> "female".
-    - \`age_month\`: Convert years ("살", "세") to months (e.g., "3살" -> 36). If just a number, assume months.
+    - \`age_month\`: Convert years ("살", "세") to months (e.g., "3살" -> 36). If the whole message is just a number, assume months; a number inside other words ("사과 2개", "born in 2022") is not an age.
     - \`height_cm\`, \`weight_kg\`: If two numbers like "100, 15" are given, infer the larger is height and smaller is weight. Extract numbers even if units are present.
+    - \`head_cm\`: Head circumference ("머리둘레", "두위") in cm. Never treat it as height.
+    - \`child\`: If the message mentions one of the registered children (e.g. "민준이 키 105"), set it to that exact registered name.
+    - \`birthdate\`: A birth date as "YYYY-MM-DD" (e.g. "2022년 3월 5일생" -> "2022-03-05").
+    - \`measured_on\`: The date the measurement was taken as "YYYY-MM-DD" (e.g. "5월 1일에 쟀어요"). Omit if not mentioned; today is assumed. If the session or the mentioned registered child already has a birthdate, a single date without a marker is the measurement date, not a new birthdate.
+    - \`gestational_weeks\`: Gestational age at birth in weeks for preterm babies (e.g. "32주에 태어났어요" -> 32, "34주 3일" -> 34.4). "생후 2주" is an age, not this.
+    - \`father_height_cm\`, \`mother_height_cm\`: The parents' heights in cm ("아빠 175 엄마 162"). Never treat them as the child's height.
+    - \`standard\`: If the user picks a growth reference, "who2006" for WHO ("WHO 기준"), "kdca2017" for the Korean chart ("한국 기준", "질병관리청"), "cdc2000" for the US CDC charts ("CDC 기준", not supported yet; the bot tells the user), or "auto" to go back to the default ("기준 자동").
+    - \`confirmation\`: If the session's \`confirmation\` is "pending" and the user confirms the values are correct ("맞아요", "네"), set it to "confirmed".
     - An existing value in the session can be overwritten by new user input.
 
     **Action Rules:**
-    - "reset": If the user wants to start over ("다시", "초기화").
-    - "generate_report": If \`sex\`, \`age_month\`, and at least one of \`height_cm\` or \`weight_kg\` are present after extraction, OR if the user explicitly asks to "분석".
+    - "reset": If the user wants to start over ("다시" on its own, "처음부터 다시", "다시 시작", "초기화"). "다시" followed by new values ("다시 말할게요 남자 3살") is a correction, not a reset.
+    - "generate_report": If \`sex\`, \`age_month\` or \`birthdate\`, and at least one of \`height_cm\`, \`weight_kg\` or \`head_cm\` are present after extraction, OR if the user explicitly asks to "분석", OR if the user confirms pending values.
     - "ask_for_info": If essential information is still missing.
     - "greet": For simple greetings.
+    - "show_history": If the user asks for a child's growth history ("성장 기록").
+    - "predict_adult_height": If the user asks how tall the child will be as an adult ("커서 몇 cm까지 클까?", "성인 키 예측"), or gives the parents' heights.
+    - "show_reference": If the user asks for reference values rather than giving measurements ("3살 남자 평균 키가 몇이야?", "24개월 90백분위 몸무게"). Put the question in a top-level \`reference\` object: \`{"sex", "age_month", "metrics", "percentile"}\`, where \`metrics\` lists "height", "weight", "head" or "bmi" and \`percentile\` is a requested percentile ("상위 10%" -> 90) or null. Do not put these values in \`data\`.
+    - "list_children", "add_child", "rename_child", "delete_child": For managing children. Put the target in a top-level \`child\` object: \`{"name", "sex", "birthdate", "gestational_weeks"}\` for add, \`{"name", "newName"}\` for rename, \`{"name"}\` for delete. Use "delete_child" only for "아이 삭제 <name>" or a registered child's name ("민준이 삭제"); "기록 삭제" or "키 삭제해줘" is not a child deletion. The bot asks the user to confirm before deleting.
 
     **Output:** Respond ONLY with a valid JSON object.
     Example -> User: "우리 아들 3살인데 15키로야" -> Output: \`{"action": "ask_for_info", "data": {"sex": "male", "age_month": 36, "weight_kg": 15}}\`
   `;
+}
 
-  const body = {
-    contents: [{ role: 'user', parts: [{ text: decisionPrompt }] }],
-    generationConfig: {
-      temperature: 0.0,
-      response_mime_type: "application/json",
-    },
-    // 시스템 메시지 대신 프롬프트에 모든 규칙을 통합하여 속도 최적화
-  };
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
+/**
+ * [LLM 호출] 설정된 프로바이더(Gemini, OpenAI 호환 서버, mock)로 행동을 결정합니다.
+ */
+async function callLlmForDecision(session, userInput, children) {
+  const rawDecision = await llm.generate(buildDecisionPrompt(session, userInput, children));
+  try {
+    return JSON.parse(rawDecision);
+  } catch (error) {
+    throw new LlmResponseError(`${llm.name} 응답이 올바른 JSON이 아닙니다.`, { provider: llm.name, cause: error });
+  }
+}
 
-  if (!response.ok) {
-    const errorBody = await response.text();
-    console.error(`Gemini API 오류: ${response.status}`, errorBody);
-    throw new Error('Gemini API 호출 실패');
+/**
+ * [행동 결정] 규칙 기반 파서로 확실히 해석되는 발화는 바로 처리하고,
+ * 모호한 발화만 LLM에 넘깁니다. LLM 호출이 실패하면 규칙 기반 결과로 대체합니다.
+ */
+async function decideAction(session, userInput, profile) {
+  const childNames = profile.children.map(child => child.name);
+  const birthdates = Object.fromEntries(profile.children.filter(child => child.birthdate).map(child => [child.name, child.birthdate]));
+  const ruleDecision = parseUtterance(session, userInput, { childNames, birthdates });
+  if (ruleDecision) return ruleDecision;
+
+  try {
+    const children = profile.children.map(({ name, birthdate = null }) => ({ name, birthdate }));
+    return await callLlmForDecision(session, userInput, children);
+  } catch (error) {
+    console.error(`${llm.name} 판단 실패(${error.name}), 규칙 기반 해석으로 대체합니다:`, error.message);
+    return parseUtterance(session, userInput, { lenient: true, childNames, birthdates });
   }
+}
 
-  const data = await response.json();
-  return data.candidates[0].content.parts[0].text;
+/**
+ * [아이 관리] 목록/추가/이름 변경/삭제 명령을 처리하고 응답 문구(아이 목록은 리스트 카드)를 반환합니다.
+ */
+async function handleChildCommand(userId, { action, child = {} }, t) {
+  try {
+    switch (action) {
+      case 'list_children': {
+        const profile = (await profileStore.get(userId)) || EMPTY_PROFILE;
+        if (!profile.children.length) return t('children.none');
+        // 리스트 카드는 5명까지 들어가므로, 그보다 많으면 카드를 캐러셀로 넘겨 봅니다
+        const cards = [];
+        for (let i = 0; i < profile.children.length; i += MAX_LIST_ITEMS) {
+          cards.push(listCard({
+            header: t('children.header'),
+            items: profile.children.slice(i, i + MAX_LIST_ITEMS).map(c => ({
+              title: c.name,
+              description: describeChildDetails(c, today(), t),
+              action: 'message',
+              messageText: t('replies.childHistory', { name: c.name }),
+            })),
+            buttons: [messageButton(t('children.howToAdd'), t('children.howToAddMessage'))],
+          }));
+        }
+        return cards.length > 1 ? carousel(cards) : cards[0];
+      }
+      case 'add_child':
+        await profileStore.update(userId, profile => addChild(profile || EMPTY_PROFILE, child));
+        return t('children.added', { name: child.name });
+
+      case 'rename_child':
+        await profileStore.update(userId, profile => renameChild(profile || EMPTY_PROFILE, child.name, child.newName));
+        await clearSession(userId);
+        return t('children.renamed', { name: child.name, newName: child.newName });
+
+      case 'delete_child': {
+        let removedName = child.name;
+        await profileStore.update(userId, profile => {
+          const current = profile || EMPTY_PROFILE;
+          removedName = findChild(current, child.name)?.name || child.name;
+          return deleteChild(current, child.name);
+        });
+        await clearSession(userId);
+        return t('children.deleted', { name: removedName });
+      }
+    }
+  } catch (error) {
+    if (error instanceof ChildProfileError) return t(`children.errors.${error.code}`, error.params);
+    throw error;
+  }
 }
 
 // 루트 경로 핸들러
@@ -93,93 +307,495 @@ app.get('/', (req, res) => {
   res.status(200).send('✅ 서버가 정상적으로 실행 중입니다');
 });
 
-// 카카오톡 스킬 API 엔드포인트
-app.post('/skill', async (req, res) => {
-  const userId = req.body.userRequest.user.id;
-  const userInput = req.body.userRequest.utterance;
+// 성장 곡선 이미지 (예: /chart/male/height.png?points=15:80,18:82.5&from=0&to=36&standard=who2006)
+app.get('/chart/:sex/:metric.:format', (req, res) => {
+  const { sex, metric, format } = req.params;
+  if (!['svg', 'png'].includes(format)) return res.status(404).send('지원하지 않는 형식입니다. (svg, png)');
+
+  try {
+    const options = {
+      sex,
+      metric,
+      points: parsePoints(req.query.points),
+      fromMonth: req.query.from !== undefined ? Number(req.query.from) : undefined,
+      toMonth: req.query.to !== undefined ? Number(req.query.to) : undefined,
+      standard: req.query.standard || null,
+      locale: req.query.lang,
+    };
+    // 같은 주소는 항상 같은 이미지이므로 오래 캐시해도 됩니다
+    res.set('Cache-Control', 'public, max-age=86400');
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(renderChartSvg(options));
+    } else {
+      res.type('image/png').send(renderChartPng(options));
+    }
+  } catch (error) {
+    if (error instanceof GrowthChartError) return res.status(400).send(error.message);
+    console.error('성장 곡선 생성 중 오류 발생:', error);
+    res.status(500).send('성장 곡선을 만들지 못했습니다.');
+  }
+});
+
+// 웹/앱용 JSON API (문서: /api/v1/openapi.json)
+app.use(API_PREFIX, createApiRouter({ preferredStandard: operatorStandard }), handleApiError);
 
-  // 머리둘레 삭제
-  let session = userSessions[userId] || { sex: null, age_month: null, height_cm: null, weight_kg: null };
+// 카카오톡 스킬 API 엔드포인트
+app.post('/skill', async (req, res, next) => {
+  let skillRequest;
+  try {
+    skillRequest = parseSkillPayload(req.body, skillGuard);
+    authorizeSkillRequest(req.headers, skillRequest, skillGuard);
+  } catch (error) {
+    if (!(error instanceof SkillRequestError)) return next(error);
+    return rejectSkillRequest(res, error);
+  }
+  const { userId, utterance: userInput } = skillRequest;
+  let t = createTranslator();
 
   try {
-    const rawDecision = await callGeminiForDecision(session, userInput);
-    const decision = JSON.parse(rawDecision);
+    // 답할 언어는 "English please"처럼 직접 고른 언어, 세션에 기억한 언어, 첫 발화의 문자로 추정한 언어 순으로 정합니다
+    // (숫자만 있는 발화처럼 정할 수 없으면 기억하지 않고 한국어로 답해, 다음 발화에서 다시 추정합니다)
+    const snapshot = (await sessionStore.get(userId)) || EMPTY_SESSION;
+    const localeRequest = parseLocaleRequest(userInput);
+    const locale = localeRequest?.locale || snapshot.locale || detectLocale(userInput);
+    t = createTranslator(locale || undefined);
+
+    // LLM 호출 전에 요청 수를 확인합니다 (한도를 넘으면 안내 문구만 보냅니다)
+    const throttled = await rateLimiter.consume(userId);
+    if (throttled) {
+      return res.json(skillResponse(formatThrottleMessage(throttled, t), { mode: responseMode }));
+    }
+
+    // 언어만 바꾸는 요청이면 기억해 두고 그 언어로 다시 안내합니다
+    if (localeRequest?.only) {
+      await sessionStore.update(userId, current => ({ ...EMPTY_SESSION, ...current, locale }));
+      return res.json(skillResponse(t('locale.switched'), { quickReplies: sexReplies(t), mode: responseMode }));
+    }
+
+    const profile = (await profileStore.get(userId)) || EMPTY_PROFILE;
+    // 인치, 파운드, 한글 수, '두 돌' 같은 표현은 해석하기 전에 cm, kg, 개월로 바꿉니다
+    const normalized = normalizeUtterance(localeRequest ? localeRequest.text : userInput);
+    const decision = await decideAction(snapshot, normalized.text, profile);
+    const data = { ...(decision.data || {}) };
+
+    // 등록된 아이가 언급되면 저장된 성별/생년월일을 채웁니다 (발화에 있는 값이 우선)
+    const mentioned = data.child ? findChild(profile, data.child) : null;
+    delete data.child;
+
+    // 생년월일 없이 나이를 직접 말하면 저장된 생년월일 대신 그 나이로 평가합니다
+    if (data.age_month !== undefined && data.age_month !== null && !data.birthdate) data.birthdate = null;
 
-    // AI가 추출한 데이터가 있으면 세션에 덮어쓰기
-    if (decision.data) {
-      session = { ...session, ...decision.data };
+    // 사용자가 고른 성장 기준은 프로필에 저장해 다음 분석에도 씁니다 ('auto'는 기본 규칙으로 되돌림)
+    // 자료가 없는 기준(CDC 2000)은 저장하지 않고, 지금 쓰는 기준을 그대로 둔다고 알려줍니다
+    let standardNotice = null;
+    let profileStandard = profile.standard || null;
+    if (data.standard && data.standard !== 'auto' && !STANDARDS[data.standard]) {
+      standardNotice = t('standardChoice.unsupported', { standard: UNSUPPORTED_STANDARDS[data.standard]?.label || data.standard });
+    } else if (data.standard) {
+      const chosen = data.standard === 'auto' ? null : data.standard;
+      await profileStore.update(userId, current => ({ ...(current || EMPTY_PROFILE), standard: chosen }));
+      profileStandard = chosen;
+      standardNotice = chosen
+        ? t('standardChoice.chosen', { standard: describeStandard(chosen, t) })
+        : t('standardChoice.auto');
+    }
+    delete data.standard;
+    const preferredStandard = profileStandard || operatorStandard;
+
+    // 부모 키는 아이마다 다시 묻지 않도록 프로필에 저장해 성인 키 예측에 씁니다
+    const givenParents = Object.fromEntries(['father_height_cm', 'mother_height_cm']
+      .filter(key => Number.isFinite(data[key]))
+      .map(key => [key, data[key]]));
+    const parents = { ...(profile.parents || {}), ...givenParents };
+    if (Object.keys(givenParents).length) {
+      await profileStore.update(userId, current => ({
+        ...(current || EMPTY_PROFILE),
+        parents: { ...(current?.parents || {}), ...givenParents },
+      }));
+    }
+    delete data.father_height_cm;
+    delete data.mother_height_cm;
+
+    // 측정값이 새로 들어오면 이전에 확인받은 내용은 무효입니다
+    if (['height_cm', 'weight_kg', 'head_cm'].some(key => data[key] !== undefined) && data.confirmation === undefined) {
+      data.confirmation = null;
+    }
+
+    // 키 1000cm처럼 단위 실수로만 나올 수 있는 값은 API처럼 거절하고 세션에 담지 않습니다 (드물지만 가능한 값만 분석할 때 확인을 묻습니다)
+    const outOfRange = findOutOfRangeInputs(data);
+    outOfRange.forEach(({ field }) => delete data[field]);
+
+    // 값마다 사용자가 쓴 원래 단위를 기억해 답변에서 다시 보여줍니다
+    const originalUnits = matchOriginalUnits(data, normalized.conversions);
+
+    // AI가 추출한 데이터를 최신 세션에 병합 (판단하는 동안 들어온 다른 메시지의 값을 보존)
+    const session = await sessionStore.update(userId, current => {
+      const base = mentioned && current?.child && current.child !== mentioned.name ? {} : current;
+      return {
+        ...EMPTY_SESSION,
+        ...base,
+        ...(mentioned ? childSessionData(mentioned) : {}),
+        ...data,
+        original_units: { ...(base?.original_units || {}), ...originalUnits },
+        locale: locale || current?.locale || null,
+      };
+    });
+
+    if (outOfRange.length) {
+      const items = outOfRange.map(({ field, value, min, max }) => `- ${t(`outOfRange.items.${field}`, { value, min, max })}`);
+      return res.json(skillResponse([t('outOfRange.title'), ...items].join('\n'), { mode: responseMode }));
+    }
+
+    // 성인 키 예측에서 확인을 물었던 값이면 분석 대신 예측을 이어갑니다
+    if (data.confirmation === 'confirmed' && session.pending_action === 'predict_adult_height') {
+      decision.action = 'predict_adult_height';
+    }
+    // 아이 삭제를 확인받았다면 물었던 아이를 지웁니다
+    if (data.confirmation === 'confirmed' && session.pending_action === 'delete_child' && session.pending_child) {
+      Object.assign(decision, { action: 'delete_child', child: { name: session.pending_child }, confirmed: true });
+    }
+
+    // 아이 정보로 필수 항목이 모두 채워졌다면 바로 분석합니다
+    if (decision.action === 'ask_for_info' && isReadyForReport(session)) {
+      decision.action = 'generate_report';
     }
-    userSessions[userId] = session;
     
-    let responseText = '';
+    // 응답은 문자열(simpleText) 또는 카드 출력이며, 단계에 맞는 바로가기 응답을 함께 보냅니다
+    let response = '';
+    let quickReplies = [];
 
     switch (decision.action) {
+      case 'delete_child': {
+        // 측정 기록까지 함께 사라지므로 등록된 아이라면 한 번 더 확인받습니다 (없는 이름은 바로 안내합니다)
+        const target = findChild(profile, decision.child?.name);
+        if (target && !decision.confirmed) {
+          await sessionStore.update(userId, current => ({
+            ...EMPTY_SESSION, ...current, confirmation: 'pending', pending_action: 'delete_child', pending_child: target.name,
+          }));
+          response = t('children.confirmDelete', { name: target.name });
+          quickReplies = [quickReply(t('replies.confirm')), quickReply(t('replies.reset'))];
+          break;
+        }
+        response = await handleChildCommand(userId, decision, t);
+        break;
+      }
+      case 'list_children':
+      case 'add_child':
+      case 'rename_child':
+        response = await handleChildCommand(userId, decision, t);
+        break;
+
+      case 'show_history': {
+        const target = session.child
+          ? findChild(profile, session.child)
+          : (profile.children.length === 1 ? profile.children[0] : null);
+        if (!target) {
+          response = profile.children.length ? t('history.pickChild') : t('history.noChildren');
+        } else if (!target.sex) {
+          response = t('history.needSex', { name: target.name });
+        } else {
+          response = formatHistory(target.name, analyzeHistory(target.sex, target.measurements, { preferred: preferredStandard }), t);
+          quickReplies = [quickReply(t('replies.children'))];
+        }
+        break;
+      }
+
+      case 'predict_adult_height': {
+        if (!session.sex) {
+          response = t('ask.sex');
+          quickReplies = sexReplies(t);
+          break;
+        }
+
+        // 지금 키가 없으면 등록된 아이의 마지막 키 기록으로 추세를 봅니다
+        let current = null;
+        const resolved = Number.isFinite(session.height_cm) && hasAge(session) ? resolveAge(session) : null;
+        if (resolved && resolved.chronologicalMonths >= 0) {
+          current = { ageMonth: resolved.ageMonth, heightCm: session.height_cm, fromSession: true };
+        } else if (session.child) {
+          // 저장된 기록은 분석할 때 이미 확인받은 값입니다
+          const latest = (findChild(profile, session.child)?.measurements || []).filter(m => m.height_cm).pop();
+          if (latest) current = { ageMonth: latest.age_month, heightCm: latest.height_cm, fromSession: false };
+        }
+
+        const midParental = midParentalHeight(session.sex, parents.father_height_cm, parents.mother_height_cm);
+        const projection = current
+          ? projectAdultHeight(session.sex, current.heightCm, current.ageMonth, { preferred: preferredStandard })
+          : null;
+        if (!midParental && !projection) {
+          response = t('adultHeight.needInputs');
+          break;
+        }
+
+        // 생물학적으로 있기 어려운 키(오타, 단위 실수)는 분석할 때처럼 확인받은 뒤에 예측합니다
+        const rare = Boolean(projection) && current.fromSession && isImplausibleZScore('height', projection.zScore);
+        if (rare && session.confirmation !== 'confirmed') {
+          await sessionStore.update(userId, latest => ({
+            ...EMPTY_SESSION, ...latest, confirmation: 'pending', pending_action: 'predict_adult_height',
+          }));
+          const value = `${t.number(current.heightCm)}cm`;
+          response = [
+            t('report.rare', { age: formatAgeMonths(current.ageMonth, t), sex: t(`sex.${session.sex}`) }),
+            `- ${t('report.rareItem', { label: t('report.rareValue', { metric: t('metrics.height'), value }), z: t.z(projection.zScore) })}`,
+            t('report.rareConfirm'),
+          ].join('\n');
+          quickReplies = [quickReply(t('replies.confirm')), quickReply(t('replies.reset'))];
+          break;
+        }
+
+        response = [
+          standardNotice,
+          formatAdultHeightPrediction({ sex: session.sex, ageMonth: current?.ageMonth, heightCm: current?.heightCm, midParental, projection }, t),
+          rare ? t('report.rareNote') : null,
+          midParental ? null : t('adultHeight.askParents'),
+          projection ? null : t('adultHeight.askCurrent'),
+          projection ? formatCitations(projection.standards, t) : null,
+        ].filter(Boolean).join('\n\n');
+        break;
+      }
+
+      case 'show_reference': {
+        // 물어본 성별/나이가 없으면 대화 중인 아이의 정보를 씁니다 (성별을 모르면 남녀 모두 보여줍니다)
+        const reference = decision.reference || {};
+        const sex = reference.sex || session.sex;
+        const ageMonth = Number.isFinite(reference.age_month)
+          ? reference.age_month
+          : (hasAge(session) ? resolveAge(session)?.ageMonth : null);
+        if (!Number.isFinite(ageMonth) || ageMonth < 0) {
+          response = t('reference.askAge');
+          quickReplies = ageReplies(t).map(reply => quickReply(t('replies.averageHeight', { age: reply.label })));
+          break;
+        }
+
+        const metrics = (reference.metrics || []).filter(metric => CHART_METRICS[metric]);
+        const usedStandards = new Set();
+        const cards = [];
+        const missing = [];
+        for (const target of sex ? [sex] : ['male', 'female']) {
+          const built = buildReferenceCards({
+            sex: target,
+            ageMonth,
+            metrics: metrics.length ? metrics : ['height', 'weight'],
+            percentile: reference.percentile,
+            standard: preferredStandard,
+          }, usedStandards, t);
+          cards.push(...built.cards);
+          missing.push(...built.missing.map(line => (sex ? line : t('reference.missingSex', { sex: t(`sex.${target}`), line }))));
+        }
+
+        const notes = [
+          standardNotice,
+          missing.length ? `${t('reference.missingTitle')}\n${missing.map(line => `- ${line}`).join('\n')}` : null,
+          cards.length ? t('reference.note') : null,
+          formatCitations([...usedStandards], t),
+        ].filter(Boolean);
+        response = [
+          ...(cards.length ? [cards.length > 1 ? carousel(cards) : cards[0]] : []),
+          notes.join('\n\n'),
+        ];
+        break;
+      }
+
       case 'greet':
-        responseText = '안녕하세요. 아이의 성별, 나이, 키, 몸무게를 알려주세요.';
+        response = basicCard({
+          title: t('greet.title'),
+          description: t('greet.description'),
+          buttons: [messageButton(t('greet.example'), t('greet.exampleMessage'))],
+        });
+        quickReplies = [...sexReplies(t), quickReply(t('replies.children'))];
         break;
         
       // [수정] 순차적 질문 로직 강화
       case 'ask_for_info':
         if (!session.sex) {
-          responseText = '아이의 성별을 알려주세요. (예: 남자)';
-        } else if (!session.age_month) {
-          responseText = '나이를 알려주세요. (예: 15개월 또는 3살)';
+          response = t('ask.sex');
+          quickReplies = [...sexReplies(t), quickReply(t('replies.reset'))];
+        } else if (!hasAge(session)) {
+          response = t('ask.age');
+          quickReplies = [...ageReplies(t), quickReply(t('replies.reset'))];
         } else {
-          responseText = "키와 몸무게를 알려주세요. (예: 80cm 11kg)";
+          response = t('ask.measurements');
+          quickReplies = sessionReplies(t);
         }
+        const converted = describeConvertedValues(session, originalUnits, t);
+        if (converted) response = `${converted}\n${response}`;
+        if (standardNotice) response = `${standardNotice}\n${response}`;
         break;
 
-      // [수정] 머리둘레 삭제
       case 'generate_report':
-        const { sex, age_month, height_cm, weight_kg } = session;
+        const { child, sex, birthdate, gestational_weeks } = session;
+        // 예전 세션에 남아 있을 수 있는 'skipped'는 값이 없는 것으로 봅니다
+        const [height_cm, weight_kg, head_cm] = [session.height_cm, session.weight_kg, session.head_cm]
+          .map(value => (value && value !== 'skipped' ? value : null));
         
-        if (!sex || !age_month || (!height_cm && !weight_kg)) {
-            responseText = "분석을 위해 아이의 성별, 나이, 그리고 키나 몸무게 정보가 필요해요. 다시 알려주시겠어요?";
-            userSessions[userId] = null; // 정보 부족 시 초기화
+        if (!isReadyForReport(session)) {
+            response = t('report.incomplete');
+            await clearSession(userId); // 정보 부족 시 초기화
             break;
         }
 
-        const ageKey = String(age_month);
-        const reportLines = ['[성장 발달 분석 결과]'];
+        // 생년월일과 측정일로 실제 나이를 구하고(조산아는 교정 연령), 지표별 z-점수와 판정을 계산합니다
+        let assessment;
+        try {
+          assessment = assessGrowth({ ...session, height_cm, weight_kg, head_cm }, { preferred: preferredStandard });
+        } catch (error) {
+          if (!(error instanceof AssessmentInputError)) throw error;
+          response = error.field === 'measured_on'
+            ? t('report.measuredBeforeBirth', { date: session.measured_on || today(), birthdate })
+            : t('report.inputError', { message: error.message });
+          if (error.field === 'measured_on') {
+            await sessionStore.update(userId, current => ({ ...EMPTY_SESSION, ...current, measured_on: null }));
+          }
+          break;
+        }
+        const resolved = assessment.age;
+        const age_month = resolved.ageMonth;
 
-        if (height_cm && height_cm !== 'skipped') {
-          const lms = lmsData[sex]?.height?.[ageKey];
-          const percentile = lms ? calculatePercentile(height_cm, lms) : null;
-          reportLines.push(`- 키: ${height_cm}cm` + (percentile !== null ? ` (상위 ${percentile}%)` : ` (${age_month}개월 데이터 없음)`));
+        // 지표마다 한 줄씩 아이템 카드에 담습니다 (항목 제목은 오픈빌더 제한상 6자 이내)
+        const originals = session.original_units || {};
+        const withOriginal = (value, field) => {
+          const original = describeOriginalUnit(originals[field], field);
+          return original ? `${value}(${original})` : value;
+        };
+        const statedAge = describeOriginalUnit(originals.age_month, 'age_month');
+        const reportRows = [{ title: t('report.age'), description: describeAgeBasis(resolved, gestational_weeks, statedAge, t) }];
+        const reportNotes = [];
+        for (const item of assessment.metrics) {
+          const score = item.zScore === null
+            ? describeMissingReference(sex, item.metric, t)
+            : t('report.score', { score: describeScore(item.zScore, t), label: t(`categories.${item.interpretation.category}.label`) });
+          const title = t(`report.titles.${item.metric}`);
+          if (item.metric === 'wfl' || item.metric === 'wfh') {
+            reportRows.push({ title, description: item.metric === 'wfl' ? t('report.lying', { score }) : score });
+          } else {
+            const value = `${t.number(item.value)}${item.metric === 'bmi' ? '' : item.unit}`;
+            reportRows.push({ title, description: t('report.measured', { value: withOriginal(value, MEASUREMENT_FIELDS[item.metric]), score }) });
+          }
         }
-        if (weight_kg && weight_kg !== 'skipped') {
-          const lms = lmsData[sex]?.weight?.[ageKey];
-          const percentile = lms ? calculatePercentile(weight_kg, lms) : null;
-          reportLines.push(`- 몸무게: ${weight_kg}kg` + (percentile !== null ? ` (상위 ${percentile}%)` : ` (${age_month}개월 데이터 없음)`));
+
+        // 생물학적으로 있기 어려운 값(오타, 단위 실수)을 확인받지 않았다면 저장하거나 분석하지 않고 값을 다시 확인합니다
+        const implausible = implausibleMetrics(assessment).map(item => {
+          const label = item.metric === 'wfl' || item.metric === 'wfh'
+            ? t('report.rareWeightForLength', { height: height_cm, weight: weight_kg })
+            : t('report.rareValue', {
+              metric: t(`metrics.${item.metric}`),
+              value: withOriginal(`${t.number(item.value)}${item.metric === 'bmi' ? '' : item.unit}`, MEASUREMENT_FIELDS[item.metric]),
+            });
+          return t('report.rareItem', { label, z: t.z(item.zScore) });
+        });
+        if (implausible.length && session.confirmation !== 'confirmed') {
+          await sessionStore.update(userId, current => ({ ...EMPTY_SESSION, ...current, confirmation: 'pending', pending_action: null }));
+          response = [
+            t('report.rare', { age: formatAgeMonths(age_month, t), sex: t(`sex.${sex}`) }),
+            ...implausible.map(line => `- ${line}`),
+            t('report.rareConfirm'),
+          ].join('\n');
+          quickReplies = [quickReply(t('replies.confirm')), quickReply(t('replies.reset'))];
+          break;
         }
-        
-        reportLines.push("\n분석이 완료되었습니다. 초기화를 원하시면 '다시'라고 말씀해주세요.");
-        responseText = reportLines.join('\n');
-        userSessions[userId] = null; // 분석 완료 후 세션 초기화
+        if (implausible.length) reportNotes.push(t('report.rareNote'));
+        // 지표별 판정(저신장, 과체중 등)의 설명과 진료 안내는 보고서 끝에 모읍니다
+        const guidance = summarizeInterpretations(
+          assessment.metrics.map(item => item.interpretation),
+          Object.fromEntries(Object.keys(ASSESSMENT_METRICS).map(key => [key, t(`metrics.${key}`)])),
+          t,
+        );
+        if (guidance) reportNotes.push(guidance);
+
+        const chartCard = buildChartCard(req, {
+          sex,
+          ageMonth: age_month,
+          values: {
+            height: height_cm,
+            weight: weight_kg,
+            head: head_cm,
+          },
+          history: child ? findChild(profile, child)?.measurements : [],
+          standard: preferredStandard,
+        }, t);
+        if (assessment.standards.length) {
+          reportRows.push({ title: t('report.standards'), description: t.list(assessment.standards.map(id => describeStandard(id, t))) });
+        }
+
+        if (child) {
+          // 아이 프로필에 비어 있던 성별/생년월일/재태 주수를 기억하고 측정일 기준으로 기록을 저장합니다
+          const measurement = {
+            date: resolved.measuredOn,
+            age_month,
+            chronological_month: resolved.chronologicalMonths,
+            height_cm,
+            weight_kg,
+            head_cm,
+          };
+          await profileStore.update(userId, current => recordMeasurement(
+            rememberChildFacts(current || EMPTY_PROFILE, child, { sex, birthdate, gestational_weeks }), child, measurement,
+          ));
+          reportNotes.push(t('report.saved', { name: child }));
+
+          // 이전 기록이 있으면 이번 측정까지의 성장 속도를 함께 보여줍니다
+          const { velocities } = analyzeHistory(sex, [...(findChild(profile, child)?.measurements || []), measurement], {
+            preferred: preferredStandard,
+          });
+          if (velocities.length) {
+            reportNotes.push([
+              t('velocity.title'),
+              ...velocities.map(velocity => `- ${formatVelocity(velocity, t)}`),
+              t('velocity.note'),
+            ].join('\n'));
+          }
+          quickReplies = [quickReply(t('replies.childHistory', { name: child })), quickReply(t('replies.reset'))];
+        } else {
+          reportNotes.push(t('report.register'));
+          quickReplies = [quickReply(t('replies.reset')), quickReply(t('replies.children'))];
+        }
+
+        if (standardNotice) reportNotes.unshift(standardNotice);
+        const citation = formatCitations(assessment.standards, t);
+        if (citation) reportNotes.push(citation);
+        reportNotes.push(t('report.done'));
+        response = [
+          itemCard({ head: child ? t('report.childHead', { name: child }) : t('report.head'), itemList: reportRows }),
+          ...(chartCard ? [chartCard] : []),
+          reportNotes.join('\n\n'),
+        ];
+        await clearSession(userId); // 분석 완료 후 세션 초기화
         break;
 
       case 'reset':
-        userSessions[userId] = null;
-        responseText = '네, 처음부터 다시 시작하겠습니다. 아이 정보를 알려주세요.';
+        await clearSession(userId);
+        response = t('reset');
+        quickReplies = sexReplies(t);
         break;
 
       default:
-        responseText = "정보를 이해하지 못했어요. '남자 3살 키 100cm' 와 같이 다시 알려주세요.";
+        response = t('unknown');
     }
     
-    res.json({
-      version: '2.0',
-      template: { outputs: [{ simpleText: { text: responseText } }] },
-    });
+    res.json(skillResponse(response, { quickReplies, mode: responseMode }));
 
   } catch (error) {
     console.error('스킬 처리 중 오류 발생:', error);
-    res.status(500).json({
-      version: '2.0',
-      template: { outputs: [{ simpleText: { text: '오류가 발생했습니다. 잠시 후 다시 시도해주세요.' } }] },
-    });
+    res.status(500).json(skillResponse(t('error'), { mode: responseMode }));
   }
 });
+// 라우트에 붙인 오류 처리기는 본문 파싱 오류를 받지 못하므로 경로에 따로 붙입니다
+app.use('/skill', handleSkillError);
+
+function rejectSkillRequest(res, error) {
+  if (error.status !== 200) console.warn(`스킬 요청 거부 (${error.status}): ${error.reason}`);
+  return res.status(error.status).json(skillResponse(error.message, { mode: responseMode }));
+}
+
+// 본문이 JSON이 아니거나 너무 크면 express.json()이 라우트 전에 실패하므로, express 기본 오류 화면(스택 포함) 대신
+// 카카오 응답 형식으로 돌려줍니다
+function handleSkillError(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    return rejectSkillRequest(res, new SkillRequestError(error.status, '요청 형식이 올바르지 않습니다.', `본문을 읽지 못함 (${error.type})`));
+  }
+  console.error('스킬 처리 중 오류 발생:', error);
+  res.status(500).json(skillResponse(createTranslator()('error'), { mode: responseMode }));
+}
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`서버가 ${PORT} 포트에서 실행 중입니다.`));
@@ -0,0 +1,176 @@
+/**
+ * [해석 문구] 판정 구간별로 보호자에게 보여줄 설명과 진료 안내 문구입니다.
+ * 계산(interpretation.js)과 분리해 두었으니, 소아청소년과 전문의 검토 후 이 파일만 고치면 됩니다.
+ * 한국어 답변 카탈로그(locales/ko.js)도 이 문구를 쓰며, 다른 언어 번역은 locales/의 각 카탈로그에 있습니다.
+ *
+ * label: 보고서에 짧게 붙는 판정 이름
+ * explanation: 판정이 뜻하는 바를 쉬운 말로 설명
+ * advice: 보호자가 할 일. referral이 true면 진료(상담)를 권하는 구간입니다.
+ */
+
+const CATEGORY_MESSAGES = {
+  // 나이별 키
+  short_stature: {
+    label: '저신장',
+    explanation: '같은 나이·성별 아이 100명 중 키가 가장 작은 3명 안에 들어요.',
+    advice: '성장이 늦어지는 원인이 있는지 소아청소년과(소아내분비) 진료를 받아보세요.',
+    referral: true,
+  },
+  short_side: {
+    label: '작은 편',
+    explanation: '또래보다 키가 작은 편이지만 정상 범위 안이에요.',
+    advice: '3~6개월마다 키를 재서 성장 곡선을 따라 잘 자라는지 지켜봐주세요.',
+    referral: false,
+  },
+  height_normal: {
+    label: '보통',
+    explanation: '또래 평균 범위의 키예요.',
+    advice: null,
+    referral: false,
+  },
+  tall_side: {
+    label: '큰 편',
+    explanation: '또래보다 키가 큰 편이지만 정상 범위 안이에요.',
+    advice: null,
+    referral: false,
+  },
+  tall_stature: {
+    label: '큰 키',
+    explanation: '같은 나이·성별 아이 100명 중 키가 가장 큰 3명 안에 들어요.',
+    advice: '부모님 키가 크지 않은데 키가 빠르게 자라거나 사춘기 징후가 일찍 보이면 진료를 받아보세요.',
+    referral: false,
+  },
+
+  // 나이별 몸무게
+  weight_low: {
+    label: '저체중',
+    explanation: '같은 나이·성별 아이 100명 중 몸무게가 가장 적은 3명 안에 들어요.',
+    advice: '먹는 양과 체중 변화를 확인하기 위해 소아청소년과 진료를 받아보세요.',
+    referral: true,
+  },
+  weight_light_side: {
+    label: '가벼운 편',
+    explanation: '또래보다 가벼운 편이지만 정상 범위 안이에요.',
+    advice: '체중이 꾸준히 늘고 있는지 정기적으로 확인해주세요.',
+    referral: false,
+  },
+  weight_normal: {
+    label: '보통',
+    explanation: '또래 평균 범위의 몸무게예요.',
+    advice: null,
+    referral: false,
+  },
+  weight_heavy_side: {
+    label: '무거운 편',
+    explanation: '또래보다 무거운 편이지만 정상 범위 안이에요. 키와 함께 봐야 정확해요.',
+    advice: null,
+    referral: false,
+  },
+  weight_high: {
+    label: '체중 많음',
+    explanation: '같은 나이·성별 아이 100명 중 몸무게가 가장 많은 3명 안에 들어요. 키와 함께 봐야 정확해요.',
+    advice: 'BMI나 신장별 체중 판정을 함께 확인하고, 과체중이면 진료를 받아보세요.',
+    referral: false,
+  },
+
+  // BMI (2세 이상, 2017 소아청소년 성장도표 판정 기준)
+  bmi_underweight: {
+    label: '저체중',
+    explanation: '키에 비해 몸무게가 적어요. (BMI 5백분위수 미만)',
+    advice: '식사량과 건강 상태를 확인하기 위해 소아청소년과 진료를 받아보세요.',
+    referral: true,
+  },
+  bmi_normal: {
+    label: '정상',
+    explanation: '키에 맞는 적절한 몸무게예요.',
+    advice: null,
+    referral: false,
+  },
+  bmi_overweight: {
+    label: '과체중',
+    explanation: '키에 비해 몸무게가 많은 편이에요. (BMI 85~95백분위수)',
+    advice: '단 음료와 간식을 줄이고 활동량을 늘려주세요. 6개월 뒤 다시 확인해보세요.',
+    referral: false,
+  },
+  bmi_obese: {
+    label: '비만',
+    explanation: '키에 비해 몸무게가 많이 나가요. (BMI 95백분위수 이상)',
+    advice: '합병증 확인과 생활 습관 상담을 위해 소아청소년과 진료를 받아보세요.',
+    referral: true,
+  },
+
+  // 신장별 체중 (5세 미만, WHO 판정 기준)
+  wasting_severe: {
+    label: '심한 쇠약',
+    explanation: '키에 비해 몸무게가 매우 적어요. (z-점수 -3 미만)',
+    advice: '빨리 소아청소년과 진료를 받아주세요.',
+    referral: true,
+  },
+  wasting: {
+    label: '쇠약',
+    explanation: '키에 비해 몸무게가 적어요. (z-점수 -2 미만)',
+    advice: '먹는 양과 체중 변화를 확인하기 위해 소아청소년과 진료를 받아보세요.',
+    referral: true,
+  },
+  wfl_normal: {
+    label: '정상',
+    explanation: '키에 맞는 적절한 몸무게예요.',
+    advice: null,
+    referral: false,
+  },
+  wfl_overweight: {
+    label: '과체중',
+    explanation: '키에 비해 몸무게가 많은 편이에요. (z-점수 +2 초과)',
+    advice: '수유·식사량과 간식을 점검하고 다음 검진 때 다시 확인해보세요.',
+    referral: false,
+  },
+  wfl_obese: {
+    label: '비만',
+    explanation: '키에 비해 몸무게가 많이 나가요. (z-점수 +3 초과)',
+    advice: '소아청소년과 진료를 받아보세요.',
+    referral: true,
+  },
+
+  // 머리둘레
+  head_small: {
+    label: '작음',
+    explanation: '머리둘레가 3백분위수 미만이에요. 대부분 정상이지만 소두증 여부를 확인할 필요가 있어요.',
+    advice: '발달 상태와 함께 소아청소년과 진료를 받아보세요.',
+    referral: true,
+  },
+  head_normal: {
+    label: '보통',
+    explanation: '또래 정상 범위의 머리둘레예요.',
+    advice: null,
+    referral: false,
+  },
+  head_large: {
+    label: '큼',
+    explanation: '머리둘레가 97백분위수 초과예요. 가족력으로 큰 경우가 많지만 대두증 여부를 확인할 필요가 있어요.',
+    advice: '머리둘레가 빠르게 커지거나 구토, 보챔이 있으면 바로 진료를 받아주세요.',
+    referral: true,
+  },
+};
+
+const SUMMARY_MESSAGES = {
+  allNormal: '모든 지표가 또래 정상 범위에 있어요.',
+  referral: '아래 항목은 진료를 받아보시길 권해요. 이 결과는 참고용이며 진단을 대신하지 않아요.',
+  watch: '참고해주세요.',
+};
+
+/**
+ * 백분위를 "상위/하위 N%"로 읽는 문구입니다. 백분위는 이 아이보다 작은 아이의 비율이므로
+ * 90백분위는 상위 10%, 3백분위는 하위 3%입니다. ({share}는 i18n.js가 채웁니다)
+ */
+const RANK_MESSAGES = {
+  upper: '상위 {share}%',
+  lower: '하위 {share}%',
+  aboveRange: '+3 SD 초과',
+  belowRange: '-3 SD 미만',
+};
+
+module.exports = {
+  CATEGORY_MESSAGES,
+  SUMMARY_MESSAGES,
+  RANK_MESSAGES,
+};
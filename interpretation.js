@@ -0,0 +1,124 @@
+/**
+ * [해석] 지표별 z-점수를 판정 구간(저신장, 과체중 등)으로 나누고 설명과 진료 안내를 붙입니다.
+ * 구간 경계만 여기서 정하고, 보호자에게 보여줄 문구는 메시지 카탈로그(한국어는 interpretation-messages.js)에 둡니다.
+ */
+
+const { jStat } = require('jstat');
+const { zScoreToPercentile } = require('./growth.js');
+const { CATEGORY_MESSAGES } = require('./interpretation-messages.js');
+const { createTranslator } = require('./i18n.js');
+
+// 백분위 경계를 z-점수로 바꿉니다 (예: 3백분위 -> -1.88)
+function percentileZ(percentile) {
+  return jStat.normal.inv(percentile / 100, 0, 1);
+}
+
+// 지표별 판정 구간. z-점수가 below보다 작은 첫 구간이 선택되며, 마지막 구간은 나머지 전부입니다.
+// 나이별 키·몸무게·머리둘레는 3/97백분위, BMI는 2017 성장도표(5/85/95백분위), 신장별 체중은 WHO(±2, ±3 SD) 기준입니다.
+const CATEGORY_BANDS = {
+  height: [
+    { below: percentileZ(3), category: 'short_stature' },
+    { below: percentileZ(10), category: 'short_side' },
+    { below: percentileZ(90), category: 'height_normal' },
+    { below: percentileZ(97), category: 'tall_side' },
+    { category: 'tall_stature' },
+  ],
+  weight: [
+    { below: percentileZ(3), category: 'weight_low' },
+    { below: percentileZ(10), category: 'weight_light_side' },
+    { below: percentileZ(90), category: 'weight_normal' },
+    { below: percentileZ(97), category: 'weight_heavy_side' },
+    { category: 'weight_high' },
+  ],
+  bmi: [
+    { below: percentileZ(5), category: 'bmi_underweight' },
+    { below: percentileZ(85), category: 'bmi_normal' },
+    { below: percentileZ(95), category: 'bmi_overweight' },
+    { category: 'bmi_obese' },
+  ],
+  wfl: [
+    { below: -3, category: 'wasting_severe' },
+    { below: -2, category: 'wasting' },
+    { below: 2, category: 'wfl_normal', inclusive: true },
+    { below: 3, category: 'wfl_overweight', inclusive: true },
+    { category: 'wfl_obese' },
+  ],
+  head: [
+    { below: percentileZ(3), category: 'head_small' },
+    { below: percentileZ(97), category: 'head_normal', inclusive: true },
+    { category: 'head_large' },
+  ],
+};
+CATEGORY_BANDS.wfh = CATEGORY_BANDS.wfl;
+
+// 정상 범위로 보는 구간 (요약 문구에서 따로 언급하지 않습니다)
+const NORMAL_CATEGORIES = new Set(['height_normal', 'weight_normal', 'bmi_normal', 'wfl_normal', 'head_normal']);
+
+function roundShare(share) {
+  return Number(share.toFixed(1));
+}
+
+/**
+ * 백분위를 "상위 N%" 또는 "하위 N%"로 표시합니다. 백분위는 이 아이보다 작은 아이의 비율입니다.
+ */
+function describePercentileRank(percentile, t = createTranslator()) {
+  if (percentile === null || percentile === undefined) return null;
+  return percentile >= 50
+    ? t('rank.upper', { share: roundShare(100 - percentile) })
+    : t('rank.lower', { share: roundShare(percentile) });
+}
+
+/**
+ * 백분위 순위와 z-점수를 함께 표시합니다. ±3 SD 밖은 백분위가 0.0%나 100.0%로 뭉개지므로 z-점수로만 표시합니다.
+ */
+function describeScore(zScore, t = createTranslator()) {
+  if (zScore > 3) return t('score.outOfRange', { z: t.z(zScore), range: t('rank.aboveRange') });
+  if (zScore < -3) return t('score.outOfRange', { z: t.z(zScore), range: t('rank.belowRange') });
+  return t('score.rank', { rank: describePercentileRank(zScoreToPercentile(zScore), t), z: t.z(zScore) });
+}
+
+/**
+ * 지표의 z-점수를 판정 구간으로 해석합니다. 판정 기준이 없는 지표나 z-점수가 없으면 null을 반환합니다.
+ * 반환값: { metric, zScore, percentile, category, label, explanation, advice, referral, normal }
+ */
+function interpretZScore(metric, zScore) {
+  const bands = CATEGORY_BANDS[metric];
+  if (!bands || zScore === null || zScore === undefined) return null;
+
+  const band = bands.find(({ below, inclusive }) => below === undefined || (inclusive ? zScore <= below : zScore < below));
+  return {
+    metric,
+    zScore,
+    percentile: zScoreToPercentile(zScore),
+    category: band.category,
+    ...CATEGORY_MESSAGES[band.category],
+    normal: NORMAL_CATEGORIES.has(band.category),
+  };
+}
+
+/**
+ * 여러 지표의 해석을 보고서 끝에 붙일 안내 문구로 묶습니다. 진료 권고 항목을 먼저 보여줍니다.
+ * names: { [metric]: '키' } 처럼 항목 이름을 넘기고, 판정 설명은 t의 언어로 씁니다.
+ */
+function summarizeInterpretations(interpretations, names = {}, t = createTranslator()) {
+  const notable = interpretations.filter(item => item && !item.normal);
+  if (!notable.length) return interpretations.some(Boolean) ? t('summary.allNormal') : null;
+
+  const line = item => {
+    const { label, explanation, advice } = t.raw(`categories.${item.category}`);
+    return [t('summary.item', { metric: names[item.metric] || item.metric, label, explanation }), advice].filter(Boolean).join(' ');
+  };
+  const referrals = notable.filter(item => item.referral);
+  const others = notable.filter(item => !item.referral);
+  return [
+    ...(referrals.length ? [t('summary.referral'), ...referrals.map(line)] : []),
+    ...(others.length ? [t('summary.watch'), ...others.map(line)] : []),
+  ].join('\n');
+}
+
+module.exports = {
+  describePercentileRank,
+  describeScore,
+  interpretZScore,
+  summarizeInterpretations,
+};
@@ -0,0 +1,146 @@
+/**
+ * [카카오 응답] 카카오 i 오픈빌더 스킬 응답(version 2.0)을 만듭니다.
+ * simpleText 외에 basicCard, listCard, itemCard, carousel 출력과 바로가기 응답(quickReplies)을 지원합니다.
+ * 카드를 표시하지 못하는 채널을 위해 KAKAO_RESPONSE_MODE=text로 두면 모든 출력을 simpleText로 바꿔 보냅니다.
+ */
+
+// 오픈빌더 제한: 출력 최대 3개, 바로가기 최대 10개, 리스트 카드 항목 최대 5개, 아이템 카드 항목 최대 10개, 캐러셀 카드 최대 10개
+const MAX_OUTPUTS = 3;
+const MAX_QUICK_REPLIES = 10;
+const MAX_LIST_ITEMS = 5;
+const MAX_ITEM_LIST = 10;
+const MAX_CAROUSEL_ITEMS = 10;
+const MAX_SIMPLE_TEXT_LENGTH = 1000;
+
+const RESPONSE_MODES = ['rich', 'text'];
+
+function simpleText(text) {
+  return { simpleText: { text: String(text).slice(0, MAX_SIMPLE_TEXT_LENGTH) } };
+}
+
+/**
+ * 메시지 전송 버튼을 만듭니다. (누르면 messageText가 사용자 발화로 전송됩니다)
+ */
+function messageButton(label, messageText = label) {
+  return { action: 'message', label, messageText };
+}
+
+/**
+ * 웹 링크 버튼을 만듭니다.
+ */
+function linkButton(label, webLinkUrl) {
+  return { action: 'webLink', label, webLinkUrl };
+}
+
+function quickReply(label, messageText = label) {
+  return { action: 'message', label, messageText };
+}
+
+function basicCard({ title, description, thumbnail, buttons = [] }) {
+  const card = { title, description };
+  if (thumbnail) card.thumbnail = { imageUrl: thumbnail };
+  if (buttons.length) card.buttons = buttons;
+  return { basicCard: card };
+}
+
+/**
+ * items: [{ title, description }] (최대 5개)
+ */
+function listCard({ header, items, buttons = [] }) {
+  const card = { header: { title: header }, items: items.slice(0, MAX_LIST_ITEMS) };
+  if (buttons.length) card.buttons = buttons;
+  return { listCard: card };
+}
+
+/**
+ * 항목별로 한 줄씩 보여주는 아이템 카드입니다. itemList: [{ title, description }] (최대 10개)
+ */
+function itemCard({ head, title, description, itemList, buttons = [] }) {
+  const card = { itemList: itemList.slice(0, MAX_ITEM_LIST) };
+  if (head) card.head = { title: head };
+  if (title) card.title = title;
+  if (description) card.description = description;
+  if (buttons.length) card.buttons = buttons;
+  return { itemCard: card };
+}
+
+/**
+ * 같은 종류의 카드 출력을 가로로 넘겨 보는 캐러셀로 묶습니다.
+ */
+function carousel(cards) {
+  const [type] = Object.keys(cards[0]);
+  return { carousel: { type, items: cards.slice(0, MAX_CAROUSEL_ITEMS).map(card => card[type]) } };
+}
+
+function cardToText(type, card) {
+  switch (type) {
+    case 'basicCard':
+      return [
+        card.title,
+        card.description,
+        ...(card.buttons || []).filter(button => button.webLinkUrl).map(button => `${button.label}: ${button.webLinkUrl}`),
+      ].filter(Boolean).join('\n');
+    case 'listCard':
+      return [`[${card.header.title}]`, ...card.items.map(item => `- ${[item.title, item.description].filter(Boolean).join(': ')}`)].join('\n');
+    case 'itemCard':
+      return [
+        card.head ? `[${card.head.title}]` : null,
+        card.title,
+        ...card.itemList.map(item => `- ${item.title}: ${item.description}`),
+        card.description,
+      ].filter(Boolean).join('\n');
+    default:
+      return '';
+  }
+}
+
+/**
+ * 카드 출력을 같은 내용의 simpleText 출력으로 바꿉니다.
+ */
+function toSimpleText(output) {
+  if (output.simpleText) return output;
+  if (output.carousel) {
+    const { type, items } = output.carousel;
+    return simpleText(items.map(card => cardToText(type, card)).join('\n\n'));
+  }
+  const [type] = Object.keys(output);
+  return simpleText(cardToText(type, output[type]));
+}
+
+function resolveMode(mode = process.env.KAKAO_RESPONSE_MODE || 'rich') {
+  if (!RESPONSE_MODES.includes(mode)) {
+    throw new Error(`지원하지 않는 KAKAO_RESPONSE_MODE입니다: ${mode} (${RESPONSE_MODES.join(', ')} 중 하나)`);
+  }
+  return mode;
+}
+
+/**
+ * 스킬 응답 본문을 만듭니다. 텍스트 모드에서는 카드를 simpleText로 바꾸고, 연속된 텍스트는 하나로 합칩니다.
+ */
+function skillResponse(outputs, { quickReplies = [], mode } = {}) {
+  let rendered = [].concat(outputs).map(output => (typeof output === 'string' ? simpleText(output) : output));
+
+  if (resolveMode(mode) === 'text') {
+    const text = rendered.map(output => toSimpleText(output).simpleText.text).join('\n\n');
+    rendered = [simpleText(text)];
+  }
+
+  const template = { outputs: rendered.slice(0, MAX_OUTPUTS) };
+  if (quickReplies.length) template.quickReplies = quickReplies.slice(0, MAX_QUICK_REPLIES);
+  return { version: '2.0', template };
+}
+
+module.exports = {
+  MAX_LIST_ITEMS,
+  simpleText,
+  messageButton,
+  linkButton,
+  quickReply,
+  basicCard,
+  listCard,
+  itemCard,
+  carousel,
+  toSimpleText,
+  resolveMode,
+  skillResponse,
+};
@@ -0,0 +1,249 @@
+/**
+ * [LLM 프로바이더] 발화 해석에 쓰는 LLM 호출을 어댑터로 분리합니다.
+ * 모든 어댑터는 { name, model, generate(prompt) } 형태이며,
+ * generate는 모델이 돌려준 JSON 문자열을 반환합니다.
+ */
+
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 300;
+
+class LlmError extends Error {
+  constructor(message, { provider, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LlmError';
+    this.provider = provider;
+    this.retryable = retryable;
+  }
+}
+
+/** 설정 누락(API 키 등)처럼 재시도해도 소용없는 오류 */
+class LlmConfigError extends LlmError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: false });
+    this.name = 'LlmConfigError';
+  }
+}
+
+class LlmTimeoutError extends LlmError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: true });
+    this.name = 'LlmTimeoutError';
+  }
+}
+
+/** HTTP 오류. 429와 5xx만 재시도합니다. */
+class LlmHttpError extends LlmError {
+  constructor(message, { status, body, ...options } = {}) {
+    super(message, { ...options, retryable: status === 429 || status >= 500 });
+    this.name = 'LlmHttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/** 응답은 왔지만 기대한 구조가 아닌 경우 */
+class LlmResponseError extends LlmError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: false });
+    this.name = 'LlmResponseError';
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** fetch나 본문 읽기에서 난 오류를 타임아웃/네트워크 오류로 구분해 감쌉니다. */
+function wrapTransportError(provider, error, timeoutMs) {
+  if (error.name === 'AbortError') {
+    return new LlmTimeoutError(`${provider} 응답 시간 초과 (${timeoutMs}ms)`, { provider, cause: error });
+  }
+  return new LlmError(`${provider} 네트워크 오류: ${error.message}`, { provider, retryable: true, cause: error });
+}
+
+/**
+ * 제한 시간 안에 응답 본문까지 받지 못하면 요청을 중단하고 LlmTimeoutError를 던집니다.
+ * 타이머는 헤더가 아니라 본문을 다 읽은 뒤에 해제하므로, 본문이 늦게 오는 경우도 제한 시간에 걸립니다.
+ * 네트워크 오류는 재시도 가능한 LlmError로 감쌉니다.
+ */
+async function postJson(provider, url, { headers = {}, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      text = await response.text();
+    } catch (error) {
+      throw wrapTransportError(provider, error, timeoutMs);
+    }
+
+    if (!response.ok) {
+      throw new LlmHttpError(`${provider} API 오류: ${response.status}`, { provider, status: response.status, body: text });
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new LlmResponseError(`${provider} 응답을 JSON으로 해석할 수 없습니다.`, { provider, cause: error });
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 재시도 가능한 오류에 한해 지수 백오프(backoffMs * 2^n)로 최대 retries번 다시 시도합니다.
+ */
+async function withRetries(fn, { retries, backoffMs }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) throw error;
+      await sleep(backoffMs * 2 ** attempt);
+    }
+  }
+}
+
+function createGeminiProvider({
+  apiKey,
+  model = 'gemini-1.5-flash',
+  baseUrl = 'https://generativelanguage.googleapis.com/v1beta',
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_MAX_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+} = {}) {
+  const name = 'gemini';
+
+  async function generate(prompt) {
+    if (!apiKey) throw new LlmConfigError('GEMINI_API_KEY가 설정되지 않았습니다.', { provider: name });
+
+    const url = `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+    const body = {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: 0.0,
+        response_mime_type: "application/json",
+      },
+    };
+
+    const data = await withRetries(() => postJson(name, url, { body, timeoutMs }), { retries, backoffMs });
+    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text !== 'string') {
+      throw new LlmResponseError('Gemini 응답에 후보 텍스트가 없습니다.', { provider: name });
+    }
+    return text;
+  }
+
+  return { name, model, generate };
+}
+
+/**
+ * OpenAI 호환 /chat/completions 엔드포인트(로컬 vLLM, Ollama, LM Studio 등)용 어댑터
+ */
+function createOpenAiCompatibleProvider({
+  baseUrl = 'http://localhost:11434/v1',
+  apiKey,
+  model,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_MAX_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+} = {}) {
+  const name = 'openai';
+
+  async function generate(prompt) {
+    if (!model) throw new LlmConfigError('LLM_MODEL이 설정되지 않았습니다.', { provider: name });
+
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const body = {
+      model,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [{ role: 'user', content: prompt }],
+    };
+
+    const data = await withRetries(
+      () => postJson(name, `${baseUrl.replace(/\/$/, '')}/chat/completions`, { headers, body, timeoutMs }),
+      { retries, backoffMs },
+    );
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new LlmResponseError('응답에 message.content가 없습니다.', { provider: name });
+    }
+    return text;
+  }
+
+  return { name, model, generate };
+}
+
+/**
+ * 네트워크 없이 미리 정한 응답을 돌려주는 어댑터입니다. (테스트/로컬 개발용)
+ * responses는 문자열·객체의 배열(순서대로 소비, 마지막 값 반복) 또는 prompt를 받는 함수입니다.
+ * Error 인스턴스를 넣으면 해당 호출에서 그 오류를 던집니다.
+ */
+function createMockProvider({ responses = [{ action: 'unknown', data: {} }], model = 'mock' } = {}) {
+  const name = 'mock';
+  const calls = [];
+
+  async function generate(prompt) {
+    calls.push(prompt);
+    const list = Array.isArray(responses) ? responses : null;
+    const response = list
+      ? list[Math.min(calls.length - 1, list.length - 1)]
+      : await responses(prompt);
+
+    if (response instanceof Error) throw response;
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  return { name, model, generate, calls };
+}
+
+/**
+ * 환경 변수로 프로바이더를 선택합니다.
+ * LLM_PROVIDER: gemini(기본) | openai | mock
+ * LLM_MODEL, LLM_BASE_URL, LLM_API_KEY, LLM_TIMEOUT_MS, LLM_MAX_RETRIES, LLM_MOCK_RESPONSE
+ */
+function createLlmProvider(env = process.env) {
+  const common = {
+    model: env.LLM_MODEL || undefined,
+    timeoutMs: env.LLM_TIMEOUT_MS ? Number(env.LLM_TIMEOUT_MS) : undefined,
+    retries: env.LLM_MAX_RETRIES ? Number(env.LLM_MAX_RETRIES) : undefined,
+  };
+  for (const key of Object.keys(common)) {
+    if (common[key] === undefined) delete common[key];
+  }
+
+  switch (env.LLM_PROVIDER || 'gemini') {
+    case 'gemini':
+      return createGeminiProvider({ ...common, apiKey: env.GEMINI_API_KEY, ...(env.LLM_BASE_URL && { baseUrl: env.LLM_BASE_URL }) });
+    case 'openai':
+      return createOpenAiCompatibleProvider({ ...common, apiKey: env.LLM_API_KEY, ...(env.LLM_BASE_URL && { baseUrl: env.LLM_BASE_URL }) });
+    case 'mock':
+      return createMockProvider({ ...common, ...(env.LLM_MOCK_RESPONSE && { responses: [env.LLM_MOCK_RESPONSE] }) });
+    default:
+      throw new LlmConfigError(`알 수 없는 LLM_PROVIDER입니다: ${env.LLM_PROVIDER}`);
+  }
+}
+
+module.exports = {
+  createLlmProvider,
+  createGeminiProvider,
+  createOpenAiCompatibleProvider,
+  createMockProvider,
+  withRetries,
+  LlmError,
+  LlmConfigError,
+  LlmTimeoutError,
+  LlmHttpError,
+  LlmResponseError,
+};
@@ -1,927 +1,13447 @@
-// 이 파일은 CSV 데이터를 기반으로 올바르게 다시 생성되었습니다.
+// 이 파일은 build-data.js에 의해 자동으로 생성되었습니다.
+// 직접 수정하지 마세요. 다시 만들려면 `node build-data.js`, 확인하려면 `node build-data.js --check`를 실행하세요.
+// 생성기 버전: 3
+// 원본 자료:
+//   kdca2017/male_height.csv    sha256:7dbe7c330dc2fb2a2f6c08c1163ffaa52b5572e8bb08c9a62df57f66a35317b5  질병관리청 2017 소아청소년 성장도표 (0~35개월은 WHO 성장기준) (2017)
+//   kdca2017/male_weight.csv    sha256:b0bb5b630818250c44859eaf67ea82e393b8956239801350b8580c8eceab2909  질병관리청 2017 소아청소년 성장도표 (0~35개월은 WHO 성장기준) (2017)
+//   kdca2017/female_height.csv  sha256:e8c328d96198a4dd4450d697eb8fc20031615216f0494fbaa35e97c2c57e5b60  질병관리청 2017 소아청소년 성장도표 (0~35개월은 WHO 성장기준) (2017)
+//   kdca2017/female_weight.csv  sha256:f86b13498a3a31b274e42c6d033a68d689956d6ed6dab7c798c0cc85c96de743  질병관리청 2017 소아청소년 성장도표 (0~35개월은 WHO 성장기준) (2017)
+//   who2006/male_height.csv     sha256:824d7f66d977453c4865f2c677834b10664b3967e68d2a63746e56272d755aa8  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/male_weight.csv     sha256:2fa5c989f3cc335bd56c2b9f8bb65a796db68933a5bbe65ffa832f1e88e50271  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/male_bmi.csv        sha256:30978700fbc57e64185972af445e998bbe48c0227f9b35d67c87789e8d012a0f  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/male_wfl.csv        sha256:91028624ecc9f1a1f9d37258613fd29910a208214021c3644e6f0cd2230132b8  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/male_wfh.csv        sha256:f28e4dd1b0296773b00aa7f4db71962d5d035c54d7321a37294d69629712df40  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/male_head.csv       sha256:651afe4c2070ad1990d6877e0cbd242446b0f8ac1f0e00e12760e781620de6b7  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/female_height.csv   sha256:320c24b936587d7bef4802cd96dcda81e21e4b1a22b5cd168724bf2a26a1426e  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/female_weight.csv   sha256:c3091ad7b19f3a0304bafd1354a5dc66944e9b82b105b4b230228844b1086f8f  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/female_bmi.csv      sha256:267684a5d0472164aa9751dc26f5dade56449fcb00c5dd85f7983a54a4e6dffe  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/female_wfl.csv      sha256:c156f25fb9bde53a3cef7486ab93bc8065bc32f062708c35745e8592efd77de9  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/female_wfh.csv      sha256:dfe1389e5d62b85fbfe8a82d3df4efe0e1290f847a41dab583fc640124b398cd  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+//   who2006/female_head.csv     sha256:7245e28573e576cd6ec71f759c92a8776afdddccac78227277dc26b916c98054  WHO Child Growth Standards (0~60개월) + WHO Growth Reference (61~228개월) (2006/2007)
+// 데이터 체크섬: sha256:1490a767a40f7029e1c5852cea91e5afd83d84eb73331bb4340b177f05a6c6c1
 const lmsData = {
-  "female": {
-    "height": {
-      "0": { "L": 1, "M": 49.1477, "S": 0.0379 },
-      "1": { "L": 1, "M": 53.6872, "S": 0.0364 },
-      "2": { "L": 1, "M": 57.0673, "S": 0.0357 },
-      "3": { "L": 1, "M": 59.8029, "S": 0.0352 },
-      "4": { "L": 1, "M": 62.0899, "S": 0.0349 },
-      "5": { "L": 1, "M": 64.0301, "S": 0.0346 },
-      "6": { "L": 1, "M": 65.7311, "S": 0.0345 },
-      "7": { "L": 1, "M": 67.2873, "S": 0.0344 },
-      "8": { "L": 1, "M": 68.7498, "S": 0.0344 },
-      "9": { "L": 1, "M": 70.1435, "S": 0.0344 },
-      "10": { "L": 1, "M": 71.4818, "S": 0.0345 },
-      "11": { "L": 1, "M": 72.771, "S": 0.0346 },
-      "12": { "L": 1, "M": 74.015, "S": 0.0348 },
-      "13": { "L": 1, "M": 75.2176, "S": 0.035 },
-      "14": { "L": 1, "M": 76.3817, "S": 0.0351 },
-      "15": { "L": 1, "M": 77.5099, "S": 0.0353 },
-      "16": { "L": 1, "M": 78.6055, "S": 0.0356 },
-      "17": { "L": 1, "M": 79.671, "S": 0.0358 },
-      "18": { "L": 1, "M": 80.7079, "S": 0.036 },
-      "19": { "L": 1, "M": 81.7182, "S": 0.0362 },
-      "20": { "L": 1, "M": 82.7036, "S": 0.0364 },
-      "21": { "L": 1, "M": 83.6654, "S": 0.0367 },
-      "22": { "L": 1, "M": 84.604, "S": 0.0369 },
-      "23": { "L": 1, "M": 85.5202, "S": 0.0371 },
-      "24": { "L": 1, "M": 85.7153, "S": 0.0376 },
-      "25": { "L": 1, "M": 86.5904, "S": 0.0379 },
-      "26": { "L": 1, "M": 87.4462, "S": 0.0381 },
-      "27": { "L": 1, "M": 88.283, "S": 0.0383 },
-      "28": { "L": 1, "M": 89.1004, "S": 0.0385 },
-      "29": { "L": 1, "M": 89.8991, "S": 0.0387 },
-      "30": { "L": 1, "M": 90.6797, "S": 0.0389 },
-      "31": { "L": 1, "M": 91.443, "S": 0.0391 },
-      "32": { "L": 1, "M": 92.1906, "S": 0.0393 },
-      "33": { "L": 1, "M": 92.9239, "S": 0.0395 },
-      "34": { "L": 1, "M": 93.6444, "S": 0.0397 },
-      "35": { "L": 1, "M": 94.3533, "S": 0.0399 },
-      "36": { "L": 0.5472, "M": 95.4078, "S": 0.0413 },
-      "37": { "L": 0.4997, "M": 95.9472, "S": 0.0412 },
-      "38": { "L": 0.4525, "M": 96.4867, "S": 0.0411 },
-      "39": { "L": 0.4056, "M": 97.0262, "S": 0.041 },
-      "40": { "L": 0.359, "M": 97.5658, "S": 0.0409 },
-      "41": { "L": 0.3126, "M": 98.1054, "S": 0.0408 },
-      "42": { "L": 0.2825, "M": 98.6465, "S": 0.0407 },
-      "43": { "L": 0.2526, "M": 99.1877, "S": 0.0406 },
-      "44": { "L": 0.2229, "M": 99.7288, "S": 0.0405 },
-      "45": { "L": 0.1934, "M": 100.27, "S": 0.0404 },
-      "46": { "L": 0.164, "M": 100.8113, "S": 0.0403 },
-      "47": { "L": 0.1348, "M": 101.3525, "S": 0.0402 },
-      "48": { "L": 0.1129, "M": 101.8943, "S": 0.0401 },
-      "49": { "L": 0.0912, "M": 102.4361, "S": 0.04 },
-      "50": { "L": 0.0695, "M": 102.9779, "S": 0.0399 },
-      "51": { "L": 0.048, "M": 103.5197, "S": 0.0398 },
-      "52": { "L": 0.0267, "M": 104.0616, "S": 0.0397 },
-      "53": { "L": 0.0054, "M": 104.6034, "S": 0.0396 },
-      "54": { "L": -0.0216, "M": 105.1425, "S": 0.0395 },
-      "55": { "L": -0.0484, "M": 105.6816, "S": 0.0395 },
-      "56": { "L": -0.0751, "M": 106.2208, "S": 0.0394 },
-      "57": { "L": -0.1016, "M": 106.76, "S": 0.0393 },
-      "58": { "L": -0.128, "M": 107.2992, "S": 0.0392 },
-      "59": { "L": -0.1543, "M": 107.8384, "S": 0.0391 },
-      "60": { "L": -0.1404, "M": 108.3714, "S": 0.039 },
-      "61": { "L": -0.1266, "M": 108.9045, "S": 0.039 },
-      "62": { "L": -0.113, "M": 109.4375, "S": 0.0389 },
-      "63": { "L": -0.0994, "M": 109.9706, "S": 0.0389 },
-      "64": { "L": -0.086, "M": 110.5036, "S": 0.0388 },
-      "65": { "L": -0.0726, "M": 111.0366, "S": 0.0388 },
-      "66": { "L": -0.0272, "M": 111.5656, "S": 0.0388 },
-      "67": { "L": 0.0175, "M": 112.0946, "S": 0.0388 },
-      "68": { "L": 0.0614, "M": 112.6235, "S": 0.0388 },
-      "69": { "L": 0.1047, "M": 113.1523, "S": 0.0388 },
-      "70": { "L": 0.1472, "M": 113.6811, "S": 0.0388 },
-      "71": { "L": 0.1891, "M": 114.2098, "S": 0.0388 },
-      "72": { "L": 0.2115, "M": 114.7289, "S": 0.0388 },
-      "73": { "L": 0.2335, "M": 115.2479, "S": 0.0388 },
-      "74": { "L": 0.255, "M": 115.767, "S": 0.0389 },
-      "75": { "L": 0.2762, "M": 116.286, "S": 0.0389 },
-      "76": { "L": 0.297, "M": 116.805, "S": 0.039 },
-      "77": { "L": 0.3174, "M": 117.324, "S": 0.039 },
-      "78": { "L": 0.2769, "M": 117.8257, "S": 0.0391 },
-      "79": { "L": 0.2373, "M": 118.3274, "S": 0.0391 },
-      "80": { "L": 0.1986, "M": 118.8292, "S": 0.0392 },
-      "81": { "L": 0.1606, "M": 119.331, "S": 0.0393 },
-      "82": { "L": 0.1235, "M": 119.8329, "S": 0.0394 },
-      "83": { "L": 0.0872, "M": 120.3348, "S": 0.0394 },
-      "84": { "L": 0.0163, "M": 120.8229, "S": 0.0396 },
-      "85": { "L": -0.0528, "M": 121.311, "S": 0.0397 },
-      "86": { "L": -0.1201, "M": 121.7993, "S": 0.0398 },
-      "87": { "L": -0.1857, "M": 122.2876, "S": 0.0399 },
-      "88": { "L": -0.2496, "M": 122.7761, "S": 0.04 },
-      "89": { "L": -0.3119, "M": 123.2646, "S": 0.0401 },
-      "90": { "L": -0.3571, "M": 123.7505, "S": 0.0402 },
-      "91": { "L": -0.4012, "M": 124.2364, "S": 0.0404 },
-      "92": { "L": -0.4442, "M": 124.7224, "S": 0.0405 },
-      "93": { "L": -0.4862, "M": 125.2084, "S": 0.0406 },
-      "94": { "L": -0.5271, "M": 125.6944, "S": 0.0407 },
-      "95": { "L": -0.567, "M": 126.1805, "S": 0.0408 },
-      "96": { "L": -0.5993, "M": 126.6703, "S": 0.041 },
-      "97": { "L": -0.6308, "M": 127.1601, "S": 0.0411 },
-      "98": { "L": -0.6616, "M": 127.65, "S": 0.0412 },
-      "99": { "L": -0.6918, "M": 128.1399, "S": 0.0413 },
-      "100": { "L": -0.7213, "M": 128.6297, "S": 0.0414 },
-      "101": { "L": -0.7502, "M": 129.1197, "S": 0.0415 },
-      "102": { "L": -0.779, "M": 129.6197, "S": 0.0416 },
-      "103": { "L": -0.807, "M": 130.1199, "S": 0.0417 },
-      "104": { "L": -0.8342, "M": 130.62, "S": 0.0418 },
-      "105": { "L": -0.8608, "M": 131.1202, "S": 0.042 },
-      "106": { "L": -0.8868, "M": 131.6204, "S": 0.0421 },
-      "107": { "L": -0.9121, "M": 132.1207, "S": 0.0422 },
-      "108": { "L": -0.8812, "M": 132.6442, "S": 0.0423 },
-      "109": { "L": -0.851, "M": 133.1677, "S": 0.0425 },
-      "110": { "L": -0.8214, "M": 133.6912, "S": 0.0426 },
-      "111": { "L": -0.7924, "M": 134.2147, "S": 0.0428 },
-      "112": { "L": -0.764, "M": 134.7382, "S": 0.0429 },
-      "113": { "L": -0.7362, "M": 135.2617, "S": 0.043 },
-      "114": { "L": -0.6545, "M": 135.8116, "S": 0.0432 },
-      "115": { "L": -0.574, "M": 136.3617, "S": 0.0433 },
-      "116": { "L": -0.4946, "M": 136.9119, "S": 0.0434 },
-      "117": { "L": -0.4162, "M": 137.4622, "S": 0.0435 },
-      "118": { "L": -0.3389, "M": 138.0126, "S": 0.0436 },
-      "119": { "L": -0.2627, "M": 138.5631, "S": 0.0438 },
-      "120": { "L": -0.1573, "M": 139.1218, "S": 0.0438 },
-      "121": { "L": -0.0528, "M": 139.6805, "S": 0.0439 },
-      "122": { "L": 0.0509, "M": 140.2395, "S": 0.0439 },
-      "123": { "L": 0.1538, "M": 140.7986, "S": 0.044 },
-      "124": { "L": 0.2558, "M": 141.3578, "S": 0.044 },
-      "125": { "L": 0.3569, "M": 141.9172, "S": 0.0441 },
-      "126": { "L": 0.4653, "M": 142.4689, "S": 0.044 },
-      "127": { "L": 0.5738, "M": 143.0207, "S": 0.044 },
-      "128": { "L": 0.6821, "M": 143.5726, "S": 0.0439 },
-      "129": { "L": 0.7904, "M": 144.1246, "S": 0.0438 },
-      "130": { "L": 0.8986, "M": 144.6765, "S": 0.0438 },
-      "131": { "L": 1.0066, "M": 145.2285, "S": 0.0437 },
-      "132": { "L": 1.1242, "M": 145.7568, "S": 0.0435 },
-      "133": { "L": 1.2433, "M": 146.2852, "S": 0.0433 },
-      "134": { "L": 1.3638, "M": 146.8136, "S": 0.0431 },
-      "135": { "L": 1.4857, "M": 147.3421, "S": 0.0429 },
-      "136": { "L": 1.609, "M": 147.8706, "S": 0.0427 },
-      "137": { "L": 1.7336, "M": 148.399, "S": 0.0425 },
-      "138": { "L": 1.8239, "M": 148.8746, "S": 0.0421 },
-      "139": { "L": 1.9161, "M": 149.3501, "S": 0.0418 },
-      "140": { "L": 2.0103, "M": 149.8256, "S": 0.0415 },
-      "141": { "L": 2.1065, "M": 150.3011, "S": 0.0412 },
-      "142": { "L": 2.2047, "M": 150.7766, "S": 0.0409 },
-      "143": { "L": 2.3049, "M": 151.2521, "S": 0.0406 },
-      "144": { "L": 2.3447, "M": 151.6571, "S": 0.0402 },
-      "145": { "L": 2.3855, "M": 152.0621, "S": 0.0399 },
-      "146": { "L": 2.4272, "M": 152.4672, "S": 0.0395 },
-      "147": { "L": 2.4699, "M": 152.8722, "S": 0.0392 },
-      "148": { "L": 2.5136, "M": 153.2772, "S": 0.0388 },
-      "149": { "L": 2.5584, "M": 153.6821, "S": 0.0385 },
-      "150": { "L": 2.5648, "M": 154.0138, "S": 0.0382 },
-      "151": { "L": 2.5712, "M": 154.3455, "S": 0.0378 },
-      "152": { "L": 2.5775, "M": 154.6772, "S": 0.0375 },
-      "153": { "L": 2.5837, "M": 155.0089, "S": 0.0372 },
-      "154": { "L": 2.5899, "M": 155.3405, "S": 0.0368 },
-      "155": { "L": 2.5959, "M": 155.6722, "S": 0.0365 },
-      "156": { "L": 2.5607, "M": 155.9198, "S": 0.0362 },
-      "157": { "L": 2.5239, "M": 156.1672, "S": 0.036 },
-      "158": { "L": 2.4856, "M": 156.4146, "S": 0.0357 },
-      "159": { "L": 2.4458, "M": 156.6619, "S": 0.0355 },
-      "160": { "L": 2.4042, "M": 156.9091, "S": 0.0352 },
-      "161": { "L": 2.3609, "M": 157.1562, "S": 0.035 },
-      "162": { "L": 2.3149, "M": 157.3292, "S": 0.0348 },
-      "163": { "L": 2.2677, "M": 157.5021, "S": 0.0346 },
-      "164": { "L": 2.2195, "M": 157.675, "S": 0.0345 },
-      "165": { "L": 2.1701, "M": 157.8478, "S": 0.0343 },
-      "166": { "L": 2.1196, "M": 158.0205, "S": 0.0342 },
-      "167": { "L": 2.0679, "M": 158.1932, "S": 0.034 },
-      "168": { "L": 2.0549, "M": 158.3159, "S": 0.0339 },
-      "169": { "L": 2.0417, "M": 158.4387, "S": 0.0338 },
-      "170": { "L": 2.0284, "M": 158.5614, "S": 0.0337 },
-      "171": { "L": 2.015, "M": 158.6842, "S": 0.0336 },
-      "172": { "L": 2.0014, "M": 158.8069, "S": 0.0335 },
-      "173": { "L": 1.9877, "M": 158.9297, "S": 0.0335 },
-      "174": { "L": 1.967, "M": 159.0139, "S": 0.0334 },
-      "175": { "L": 1.9462, "M": 159.0981, "S": 0.0333 },
-      "176": { "L": 1.9254, "M": 159.1823, "S": 0.0332 },
-      "177": { "L": 1.9045, "M": 159.2666, "S": 0.0332 },
-      "178": { "L": 1.8835, "M": 159.3508, "S": 0.0331 },
-      "179": { "L": 1.8625, "M": 159.4351, "S": 0.033 },
-      "180": { "L": 1.79, "M": 159.4917, "S": 0.033 },
-      "181": { "L": 1.7178, "M": 159.5483, "S": 0.033 },
-      "182": { "L": 1.6457, "M": 159.6051, "S": 0.0329 },
-      "183": { "L": 1.5739, "M": 159.6619, "S": 0.0329 },
-      "184": { "L": 1.5022, "M": 159.7189, "S": 0.0328 },
-      "185": { "L": 1.4308, "M": 159.776, "S": 0.0328 },
-      "186": { "L": 1.3515, "M": 159.8149, "S": 0.0328 },
-      "187": { "L": 1.2721, "M": 159.8539, "S": 0.0327 },
-      "188": { "L": 1.1928, "M": 159.893, "S": 0.0327 },
-      "189": { "L": 1.1134, "M": 159.9321, "S": 0.0326 },
-      "190": { "L": 1.034, "M": 159.9714, "S": 0.0326 },
-      "191": { "L": 0.9547, "M": 160.0107, "S": 0.0325 },
-      "192": { "L": 0.8678, "M": 160.0286, "S": 0.0325 },
-      "193": { "L": 0.7803, "M": 160.0465, "S": 0.0324 },
-      "194": { "L": 0.6921, "M": 160.0644, "S": 0.0323 },
-      "195": { "L": 0.6032, "M": 160.0823, "S": 0.0322 },
-      "196": { "L": 0.5137, "M": 160.1002, "S": 0.0322 },
-      "197": { "L": 0.4236, "M": 160.1182, "S": 0.0321 },
-      "198": { "L": 0.332, "M": 160.1342, "S": 0.032 },
-      "199": { "L": 0.2396, "M": 160.1502, "S": 0.032 },
-      "200": { "L": 0.1464, "M": 160.1661, "S": 0.0319 },
-      "201": { "L": 0.0522, "M": 160.1821, "S": 0.0318 },
-      "202": { "L": -0.0428, "M": 160.198, "S": 0.0317 },
-      "203": { "L": -0.1387, "M": 160.214, "S": 0.0317 },
-      "204": { "L": -0.164, "M": 160.2483, "S": 0.0316 },
-      "205": { "L": -0.1896, "M": 160.2827, "S": 0.0316 },
-      "206": { "L": -0.2154, "M": 160.317, "S": 0.0315 },
-      "207": { "L": -0.2414, "M": 160.3514, "S": 0.0315 },
-      "208": { "L": -0.2675, "M": 160.3857, "S": 0.0314 },
-      "209": { "L": -0.294, "M": 160.42, "S": 0.0314 },
-      "210": { "L": -0.311, "M": 160.4524, "S": 0.0313 },
-      "211": { "L": -0.3282, "M": 160.4847, "S": 0.0313 },
-      "212": { "L": -0.3456, "M": 160.5171, "S": 0.0313 },
-      "213": { "L": -0.3631, "M": 160.5494, "S": 0.0312 },
-      "214": { "L": -0.3808, "M": 160.5817, "S": 0.0312 },
-      "215": { "L": -0.3985, "M": 160.614, "S": 0.0311 },
-      "216": { "L": -0.4107, "M": 160.6484, "S": 0.0311 },
-      "217": { "L": -0.4229, "M": 160.6827, "S": 0.031 },
-      "218": { "L": -0.4352, "M": 160.7171, "S": 0.031 },
-      "219": { "L": -0.4476, "M": 160.7514, "S": 0.031 },
-      "220": { "L": -0.4601, "M": 160.7857, "S": 0.0309 },
-      "221": { "L": -0.4727, "M": 160.82, "S": 0.0309 },
-      "222": { "L": -0.4804, "M": 160.8591, "S": 0.0309 },
-      "223": { "L": -0.4881, "M": 160.8981, "S": 0.0308 },
-      "224": { "L": -0.4959, "M": 160.9372, "S": 0.0308 },
-      "225": { "L": -0.5037, "M": 160.9762, "S": 0.0307 },
-      "226": { "L": -0.5116, "M": 161.0153, "S": 0.0307 },
-      "227": { "L": -0.5195, "M": 161.0543, "S": 0.0307 }
+  "kdca2017": {
+    "male": {
+      "height": {
+        "0": {
+          "L": 1,
+          "M": 49.8842,
+          "S": 0.038
+        },
+        "1": {
+          "L": 1,
+          "M": 54.7244,
+          "S": 0.0356
+        },
+        "2": {
+          "L": 1,
+          "M": 58.4249,
+          "S": 0.0342
+        },
+        "3": {
+          "L": 1,
+          "M": 61.4292,
+          "S": 0.0333
+        },
+        "4": {
+          "L": 1,
+          "M": 63.886,
+          "S": 0.0326
+        },
+        "5": {
+          "L": 1,
+          "M": 65.9026,
+          "S": 0.032
+        },
+        "6": {
+          "L": 1,
+          "M": 67.6236,
+          "S": 0.0317
+        },
+        "7": {
+          "L": 1,
+          "M": 69.1645,
+          "S": 0.0314
+        },
+        "8": {
+          "L": 1,
+          "M": 70.5994,
+          "S": 0.0312
+        },
+        "9": {
+          "L": 1,
+          "M": 71.9687,
+          "S": 0.0312
+        },
+        "10": {
+          "L": 1,
+          "M": 73.2812,
+          "S": 0.0312
+        },
+        "11": {
+          "L": 1,
+          "M": 74.5388,
+          "S": 0.0313
+        },
+        "12": {
+          "L": 1,
+          "M": 75.7488,
+          "S": 0.0314
+        },
+        "13": {
+          "L": 1,
+          "M": 76.9186,
+          "S": 0.0315
+        },
+        "14": {
+          "L": 1,
+          "M": 78.0497,
+          "S": 0.0317
+        },
+        "15": {
+          "L": 1,
+          "M": 79.1458,
+          "S": 0.032
+        },
+        "16": {
+          "L": 1,
+          "M": 80.2113,
+          "S": 0.0322
+        },
+        "17": {
+          "L": 1,
+          "M": 81.2487,
+          "S": 0.0325
+        },
+        "18": {
+          "L": 1,
+          "M": 82.2587,
+          "S": 0.0328
+        },
+        "19": {
+          "L": 1,
+          "M": 83.2418,
+          "S": 0.0331
+        },
+        "20": {
+          "L": 1,
+          "M": 84.1996,
+          "S": 0.0334
+        },
+        "21": {
+          "L": 1,
+          "M": 85.1348,
+          "S": 0.0338
+        },
+        "22": {
+          "L": 1,
+          "M": 86.0477,
+          "S": 0.0341
+        },
+        "23": {
+          "L": 1,
+          "M": 86.941,
+          "S": 0.0345
+        },
+        "24": {
+          "L": 1,
+          "M": 87.1161,
+          "S": 0.0351
+        },
+        "25": {
+          "L": 1,
+          "M": 87.972,
+          "S": 0.0354
+        },
+        "26": {
+          "L": 1,
+          "M": 88.8065,
+          "S": 0.0358
+        },
+        "27": {
+          "L": 1,
+          "M": 89.6197,
+          "S": 0.0361
+        },
+        "28": {
+          "L": 1,
+          "M": 90.412,
+          "S": 0.0364
+        },
+        "29": {
+          "L": 1,
+          "M": 91.1828,
+          "S": 0.0367
+        },
+        "30": {
+          "L": 1,
+          "M": 91.9327,
+          "S": 0.037
+        },
+        "31": {
+          "L": 1,
+          "M": 92.6631,
+          "S": 0.0373
+        },
+        "32": {
+          "L": 1,
+          "M": 93.3753,
+          "S": 0.0376
+        },
+        "33": {
+          "L": 1,
+          "M": 94.0711,
+          "S": 0.0379
+        },
+        "34": {
+          "L": 1,
+          "M": 94.7532,
+          "S": 0.0381
+        },
+        "35": {
+          "L": 1,
+          "M": 95.4236,
+          "S": 0.0384
+        },
+        "36": {
+          "L": -1.0915,
+          "M": 96.4961,
+          "S": 0.0403
+        },
+        "37": {
+          "L": -1.0011,
+          "M": 97.0464,
+          "S": 0.0403
+        },
+        "38": {
+          "L": -0.9126,
+          "M": 97.5965,
+          "S": 0.0402
+        },
+        "39": {
+          "L": -0.8262,
+          "M": 98.1463,
+          "S": 0.0402
+        },
+        "40": {
+          "L": -0.7418,
+          "M": 98.6959,
+          "S": 0.0402
+        },
+        "41": {
+          "L": -0.6592,
+          "M": 99.2452,
+          "S": 0.0402
+        },
+        "42": {
+          "L": -0.5827,
+          "M": 99.793,
+          "S": 0.0401
+        },
+        "43": {
+          "L": -0.5077,
+          "M": 100.3406,
+          "S": 0.0401
+        },
+        "44": {
+          "L": -0.4343,
+          "M": 100.8881,
+          "S": 0.0401
+        },
+        "45": {
+          "L": -0.3625,
+          "M": 101.4353,
+          "S": 0.0401
+        },
+        "46": {
+          "L": -0.2921,
+          "M": 101.9824,
+          "S": 0.0401
+        },
+        "47": {
+          "L": -0.2232,
+          "M": 102.5294,
+          "S": 0.04
+        },
+        "48": {
+          "L": -0.1597,
+          "M": 103.0749,
+          "S": 0.04
+        },
+        "49": {
+          "L": -0.0975,
+          "M": 103.6204,
+          "S": 0.04
+        },
+        "50": {
+          "L": -0.0364,
+          "M": 104.1657,
+          "S": 0.04
+        },
+        "51": {
+          "L": 0.0234,
+          "M": 104.7109,
+          "S": 0.0399
+        },
+        "52": {
+          "L": 0.0822,
+          "M": 105.256,
+          "S": 0.0399
+        },
+        "53": {
+          "L": 0.1398,
+          "M": 105.8009,
+          "S": 0.0399
+        },
+        "54": {
+          "L": 0.1897,
+          "M": 106.344,
+          "S": 0.0399
+        },
+        "55": {
+          "L": 0.2387,
+          "M": 106.8869,
+          "S": 0.0399
+        },
+        "56": {
+          "L": 0.2868,
+          "M": 107.4298,
+          "S": 0.0398
+        },
+        "57": {
+          "L": 0.3341,
+          "M": 107.9726,
+          "S": 0.0398
+        },
+        "58": {
+          "L": 0.3805,
+          "M": 108.5153,
+          "S": 0.0398
+        },
+        "59": {
+          "L": 0.4261,
+          "M": 109.0579,
+          "S": 0.0398
+        },
+        "60": {
+          "L": 0.4242,
+          "M": 109.5896,
+          "S": 0.0398
+        },
+        "61": {
+          "L": 0.4223,
+          "M": 110.1212,
+          "S": 0.0399
+        },
+        "62": {
+          "L": 0.4205,
+          "M": 110.6529,
+          "S": 0.0399
+        },
+        "63": {
+          "L": 0.4187,
+          "M": 111.1846,
+          "S": 0.0399
+        },
+        "64": {
+          "L": 0.4169,
+          "M": 111.7162,
+          "S": 0.04
+        },
+        "65": {
+          "L": 0.4151,
+          "M": 112.2479,
+          "S": 0.04
+        },
+        "66": {
+          "L": 0.3787,
+          "M": 112.7735,
+          "S": 0.04
+        },
+        "67": {
+          "L": 0.3429,
+          "M": 113.299,
+          "S": 0.0401
+        },
+        "68": {
+          "L": 0.3074,
+          "M": 113.8245,
+          "S": 0.0401
+        },
+        "69": {
+          "L": 0.2724,
+          "M": 114.3501,
+          "S": 0.0402
+        },
+        "70": {
+          "L": 0.2378,
+          "M": 114.8756,
+          "S": 0.0402
+        },
+        "71": {
+          "L": 0.2036,
+          "M": 115.401,
+          "S": 0.0403
+        },
+        "72": {
+          "L": 0.1783,
+          "M": 115.9183,
+          "S": 0.0403
+        },
+        "73": {
+          "L": 0.1533,
+          "M": 116.4356,
+          "S": 0.0404
+        },
+        "74": {
+          "L": 0.1287,
+          "M": 116.9528,
+          "S": 0.0404
+        },
+        "75": {
+          "L": 0.1044,
+          "M": 117.4701,
+          "S": 0.0405
+        },
+        "76": {
+          "L": 0.0805,
+          "M": 117.9874,
+          "S": 0.0405
+        },
+        "77": {
+          "L": 0.0569,
+          "M": 118.5047,
+          "S": 0.0406
+        },
+        "78": {
+          "L": 0.0563,
+          "M": 119.0136,
+          "S": 0.0406
+        },
+        "79": {
+          "L": 0.0557,
+          "M": 119.5225,
+          "S": 0.0406
+        },
+        "80": {
+          "L": 0.0552,
+          "M": 120.0314,
+          "S": 0.0406
+        },
+        "81": {
+          "L": 0.0546,
+          "M": 120.5404,
+          "S": 0.0406
+        },
+        "82": {
+          "L": 0.0541,
+          "M": 121.0493,
+          "S": 0.0406
+        },
+        "83": {
+          "L": 0.0536,
+          "M": 121.5582,
+          "S": 0.0406
+        },
+        "84": {
+          "L": 0.0492,
+          "M": 122.0537,
+          "S": 0.0406
+        },
+        "85": {
+          "L": 0.0448,
+          "M": 122.5492,
+          "S": 0.0406
+        },
+        "86": {
+          "L": 0.0405,
+          "M": 123.0447,
+          "S": 0.0406
+        },
+        "87": {
+          "L": 0.0363,
+          "M": 123.5402,
+          "S": 0.0406
+        },
+        "88": {
+          "L": 0.0321,
+          "M": 124.0357,
+          "S": 0.0406
+        },
+        "89": {
+          "L": 0.028,
+          "M": 124.5313,
+          "S": 0.0406
+        },
+        "90": {
+          "L": 0.0397,
+          "M": 125.0114,
+          "S": 0.0406
+        },
+        "91": {
+          "L": 0.0514,
+          "M": 125.4914,
+          "S": 0.0405
+        },
+        "92": {
+          "L": 0.0628,
+          "M": 125.9715,
+          "S": 0.0405
+        },
+        "93": {
+          "L": 0.0741,
+          "M": 126.4515,
+          "S": 0.0405
+        },
+        "94": {
+          "L": 0.0853,
+          "M": 126.9316,
+          "S": 0.0405
+        },
+        "95": {
+          "L": 0.0964,
+          "M": 127.4116,
+          "S": 0.0405
+        },
+        "96": {
+          "L": 0.1205,
+          "M": 127.8793,
+          "S": 0.0405
+        },
+        "97": {
+          "L": 0.1443,
+          "M": 128.3469,
+          "S": 0.0404
+        },
+        "98": {
+          "L": 0.1679,
+          "M": 128.8145,
+          "S": 0.0404
+        },
+        "99": {
+          "L": 0.1912,
+          "M": 129.2821,
+          "S": 0.0404
+        },
+        "100": {
+          "L": 0.2142,
+          "M": 129.7497,
+          "S": 0.0404
+        },
+        "101": {
+          "L": 0.237,
+          "M": 130.2172,
+          "S": 0.0404
+        },
+        "102": {
+          "L": 0.2339,
+          "M": 130.6754,
+          "S": 0.0404
+        },
+        "103": {
+          "L": 0.2308,
+          "M": 131.1336,
+          "S": 0.0404
+        },
+        "104": {
+          "L": 0.2278,
+          "M": 131.5919,
+          "S": 0.0404
+        },
+        "105": {
+          "L": 0.2248,
+          "M": 132.0501,
+          "S": 0.0404
+        },
+        "106": {
+          "L": 0.2218,
+          "M": 132.5084,
+          "S": 0.0404
+        },
+        "107": {
+          "L": 0.2188,
+          "M": 132.9666,
+          "S": 0.0404
+        },
+        "108": {
+          "L": 0.1885,
+          "M": 133.4136,
+          "S": 0.0405
+        },
+        "109": {
+          "L": 0.1585,
+          "M": 133.8606,
+          "S": 0.0406
+        },
+        "110": {
+          "L": 0.1288,
+          "M": 134.3076,
+          "S": 0.0406
+        },
+        "111": {
+          "L": 0.0994,
+          "M": 134.7545,
+          "S": 0.0407
+        },
+        "112": {
+          "L": 0.0704,
+          "M": 135.2014,
+          "S": 0.0408
+        },
+        "113": {
+          "L": 0.0416,
+          "M": 135.6482,
+          "S": 0.0409
+        },
+        "114": {
+          "L": 0.021,
+          "M": 136.1026,
+          "S": 0.041
+        },
+        "115": {
+          "L": 0.0008,
+          "M": 136.5569,
+          "S": 0.0411
+        },
+        "116": {
+          "L": -0.0191,
+          "M": 137.0113,
+          "S": 0.0412
+        },
+        "117": {
+          "L": -0.0386,
+          "M": 137.4656,
+          "S": 0.0414
+        },
+        "118": {
+          "L": -0.0579,
+          "M": 137.9199,
+          "S": 0.0415
+        },
+        "119": {
+          "L": -0.0768,
+          "M": 138.3742,
+          "S": 0.0416
+        },
+        "120": {
+          "L": -0.0752,
+          "M": 138.8473,
+          "S": 0.0417
+        },
+        "121": {
+          "L": -0.0736,
+          "M": 139.3205,
+          "S": 0.0419
+        },
+        "122": {
+          "L": -0.072,
+          "M": 139.7936,
+          "S": 0.042
+        },
+        "123": {
+          "L": -0.0705,
+          "M": 140.2667,
+          "S": 0.0422
+        },
+        "124": {
+          "L": -0.0689,
+          "M": 140.7398,
+          "S": 0.0423
+        },
+        "125": {
+          "L": -0.0674,
+          "M": 141.213,
+          "S": 0.0424
+        },
+        "126": {
+          "L": -0.0489,
+          "M": 141.7059,
+          "S": 0.0426
+        },
+        "127": {
+          "L": -0.0308,
+          "M": 142.1987,
+          "S": 0.0428
+        },
+        "128": {
+          "L": -0.0131,
+          "M": 142.6916,
+          "S": 0.043
+        },
+        "129": {
+          "L": 0.0041,
+          "M": 143.1844,
+          "S": 0.0432
+        },
+        "130": {
+          "L": 0.0209,
+          "M": 143.6773,
+          "S": 0.0434
+        },
+        "131": {
+          "L": 0.0373,
+          "M": 144.1701,
+          "S": 0.0436
+        },
+        "132": {
+          "L": 0.0886,
+          "M": 144.701,
+          "S": 0.0438
+        },
+        "133": {
+          "L": 0.1383,
+          "M": 145.2319,
+          "S": 0.0441
+        },
+        "134": {
+          "L": 0.1864,
+          "M": 145.7627,
+          "S": 0.0443
+        },
+        "135": {
+          "L": 0.2331,
+          "M": 146.2935,
+          "S": 0.0445
+        },
+        "136": {
+          "L": 0.2784,
+          "M": 146.8242,
+          "S": 0.0448
+        },
+        "137": {
+          "L": 0.3223,
+          "M": 147.3549,
+          "S": 0.045
+        },
+        "138": {
+          "L": 0.4064,
+          "M": 147.9321,
+          "S": 0.0453
+        },
+        "139": {
+          "L": 0.4882,
+          "M": 148.5094,
+          "S": 0.0455
+        },
+        "140": {
+          "L": 0.5676,
+          "M": 149.0866,
+          "S": 0.0457
+        },
+        "141": {
+          "L": 0.6448,
+          "M": 149.6638,
+          "S": 0.0459
+        },
+        "142": {
+          "L": 0.7199,
+          "M": 150.2409,
+          "S": 0.0462
+        },
+        "143": {
+          "L": 0.7929,
+          "M": 150.818,
+          "S": 0.0464
+        },
+        "144": {
+          "L": 0.8928,
+          "M": 151.4223,
+          "S": 0.0465
+        },
+        "145": {
+          "L": 0.991,
+          "M": 152.0268,
+          "S": 0.0466
+        },
+        "146": {
+          "L": 1.0877,
+          "M": 152.6312,
+          "S": 0.0467
+        },
+        "147": {
+          "L": 1.1829,
+          "M": 153.2358,
+          "S": 0.0468
+        },
+        "148": {
+          "L": 1.2764,
+          "M": 153.8404,
+          "S": 0.0469
+        },
+        "149": {
+          "L": 1.3684,
+          "M": 154.445,
+          "S": 0.047
+        },
+        "150": {
+          "L": 1.458,
+          "M": 155.0459,
+          "S": 0.0469
+        },
+        "151": {
+          "L": 1.5475,
+          "M": 155.6468,
+          "S": 0.0469
+        },
+        "152": {
+          "L": 1.637,
+          "M": 156.2477,
+          "S": 0.0468
+        },
+        "153": {
+          "L": 1.7263,
+          "M": 156.8487,
+          "S": 0.0467
+        },
+        "154": {
+          "L": 1.8155,
+          "M": 157.4497,
+          "S": 0.0466
+        },
+        "155": {
+          "L": 1.9045,
+          "M": 158.0507,
+          "S": 0.0465
+        },
+        "156": {
+          "L": 2.0111,
+          "M": 158.6245,
+          "S": 0.0463
+        },
+        "157": {
+          "L": 2.1194,
+          "M": 159.1984,
+          "S": 0.046
+        },
+        "158": {
+          "L": 2.2294,
+          "M": 159.7724,
+          "S": 0.0457
+        },
+        "159": {
+          "L": 2.341,
+          "M": 160.3465,
+          "S": 0.0454
+        },
+        "160": {
+          "L": 2.4544,
+          "M": 160.9207,
+          "S": 0.0452
+        },
+        "161": {
+          "L": 2.5694,
+          "M": 161.4949,
+          "S": 0.0449
+        },
+        "162": {
+          "L": 2.6754,
+          "M": 162.0038,
+          "S": 0.0445
+        },
+        "163": {
+          "L": 2.7844,
+          "M": 162.5128,
+          "S": 0.044
+        },
+        "164": {
+          "L": 2.8966,
+          "M": 163.0218,
+          "S": 0.0436
+        },
+        "165": {
+          "L": 3.0121,
+          "M": 163.5308,
+          "S": 0.0431
+        },
+        "166": {
+          "L": 3.1309,
+          "M": 164.0398,
+          "S": 0.0427
+        },
+        "167": {
+          "L": 3.2531,
+          "M": 164.5488,
+          "S": 0.0423
+        },
+        "168": {
+          "L": 3.3119,
+          "M": 164.965,
+          "S": 0.0417
+        },
+        "169": {
+          "L": 3.3725,
+          "M": 165.3813,
+          "S": 0.0412
+        },
+        "170": {
+          "L": 3.4351,
+          "M": 165.7975,
+          "S": 0.0407
+        },
+        "171": {
+          "L": 3.4998,
+          "M": 166.2138,
+          "S": 0.0402
+        },
+        "172": {
+          "L": 3.5666,
+          "M": 166.6301,
+          "S": 0.0397
+        },
+        "173": {
+          "L": 3.6357,
+          "M": 167.0464,
+          "S": 0.0392
+        },
+        "174": {
+          "L": 3.6315,
+          "M": 167.3647,
+          "S": 0.0388
+        },
+        "175": {
+          "L": 3.6262,
+          "M": 167.6831,
+          "S": 0.0384
+        },
+        "176": {
+          "L": 3.6198,
+          "M": 168.0013,
+          "S": 0.0379
+        },
+        "177": {
+          "L": 3.6121,
+          "M": 168.3195,
+          "S": 0.0375
+        },
+        "178": {
+          "L": 3.6031,
+          "M": 168.6377,
+          "S": 0.037
+        },
+        "179": {
+          "L": 3.5927,
+          "M": 168.9558,
+          "S": 0.0366
+        },
+        "180": {
+          "L": 3.5208,
+          "M": 169.1812,
+          "S": 0.0363
+        },
+        "181": {
+          "L": 3.4457,
+          "M": 169.4066,
+          "S": 0.036
+        },
+        "182": {
+          "L": 3.3672,
+          "M": 169.6319,
+          "S": 0.0357
+        },
+        "183": {
+          "L": 3.2853,
+          "M": 169.8571,
+          "S": 0.0353
+        },
+        "184": {
+          "L": 3.1997,
+          "M": 170.0824,
+          "S": 0.035
+        },
+        "185": {
+          "L": 3.1104,
+          "M": 170.3076,
+          "S": 0.0347
+        },
+        "186": {
+          "L": 2.9809,
+          "M": 170.4684,
+          "S": 0.0345
+        },
+        "187": {
+          "L": 2.8483,
+          "M": 170.6294,
+          "S": 0.0342
+        },
+        "188": {
+          "L": 2.7127,
+          "M": 170.7906,
+          "S": 0.034
+        },
+        "189": {
+          "L": 2.574,
+          "M": 170.952,
+          "S": 0.0338
+        },
+        "190": {
+          "L": 2.4321,
+          "M": 171.1137,
+          "S": 0.0335
+        },
+        "191": {
+          "L": 2.2872,
+          "M": 171.2756,
+          "S": 0.0333
+        },
+        "192": {
+          "L": 2.154,
+          "M": 171.3949,
+          "S": 0.0332
+        },
+        "193": {
+          "L": 2.0196,
+          "M": 171.5145,
+          "S": 0.033
+        },
+        "194": {
+          "L": 1.8841,
+          "M": 171.6344,
+          "S": 0.0328
+        },
+        "195": {
+          "L": 1.7474,
+          "M": 171.7546,
+          "S": 0.0327
+        },
+        "196": {
+          "L": 1.6096,
+          "M": 171.8752,
+          "S": 0.0325
+        },
+        "197": {
+          "L": 1.4707,
+          "M": 171.996,
+          "S": 0.0324
+        },
+        "198": {
+          "L": 1.3966,
+          "M": 172.0897,
+          "S": 0.0323
+        },
+        "199": {
+          "L": 1.3226,
+          "M": 172.1836,
+          "S": 0.0323
+        },
+        "200": {
+          "L": 1.2488,
+          "M": 172.2775,
+          "S": 0.0322
+        },
+        "201": {
+          "L": 1.1751,
+          "M": 172.3716,
+          "S": 0.0322
+        },
+        "202": {
+          "L": 1.1016,
+          "M": 172.4658,
+          "S": 0.0321
+        },
+        "203": {
+          "L": 1.0282,
+          "M": 172.56,
+          "S": 0.0321
+        },
+        "204": {
+          "L": 0.9751,
+          "M": 172.6404,
+          "S": 0.0321
+        },
+        "205": {
+          "L": 0.9218,
+          "M": 172.7207,
+          "S": 0.0321
+        },
+        "206": {
+          "L": 0.8685,
+          "M": 172.8009,
+          "S": 0.0321
+        },
+        "207": {
+          "L": 0.815,
+          "M": 172.8812,
+          "S": 0.0321
+        },
+        "208": {
+          "L": 0.7614,
+          "M": 172.9614,
+          "S": 0.0321
+        },
+        "209": {
+          "L": 0.7077,
+          "M": 173.0416,
+          "S": 0.0321
+        },
+        "210": {
+          "L": 0.6595,
+          "M": 173.1222,
+          "S": 0.0321
+        },
+        "211": {
+          "L": 0.611,
+          "M": 173.2027,
+          "S": 0.0321
+        },
+        "212": {
+          "L": 0.5623,
+          "M": 173.2832,
+          "S": 0.0321
+        },
+        "213": {
+          "L": 0.5134,
+          "M": 173.3636,
+          "S": 0.032
+        },
+        "214": {
+          "L": 0.4642,
+          "M": 173.444,
+          "S": 0.032
+        },
+        "215": {
+          "L": 0.4148,
+          "M": 173.5244,
+          "S": 0.032
+        },
+        "216": {
+          "L": 0.3638,
+          "M": 173.6037,
+          "S": 0.032
+        },
+        "217": {
+          "L": 0.3126,
+          "M": 173.683,
+          "S": 0.032
+        },
+        "218": {
+          "L": 0.2611,
+          "M": 173.7622,
+          "S": 0.032
+        },
+        "219": {
+          "L": 0.2094,
+          "M": 173.8413,
+          "S": 0.032
+        },
+        "220": {
+          "L": 0.1573,
+          "M": 173.9204,
+          "S": 0.032
+        },
+        "221": {
+          "L": 0.105,
+          "M": 173.9995,
+          "S": 0.032
+        },
+        "222": {
+          "L": 0.0449,
+          "M": 174.0764,
+          "S": 0.032
+        },
+        "223": {
+          "L": -0.0155,
+          "M": 174.1532,
+          "S": 0.032
+        },
+        "224": {
+          "L": -0.0764,
+          "M": 174.23,
+          "S": 0.032
+        },
+        "225": {
+          "L": -0.1377,
+          "M": 174.3067,
+          "S": 0.0319
+        },
+        "226": {
+          "L": -0.1994,
+          "M": 174.3833,
+          "S": 0.0319
+        },
+        "227": {
+          "L": -0.2615,
+          "M": 174.4598,
+          "S": 0.0319
+        }
+      },
+      "weight": {
+        "0": {
+          "L": 0.3487,
+          "M": 3.3464,
+          "S": 0.146
+        },
+        "1": {
+          "L": 0.2297,
+          "M": 4.4709,
+          "S": 0.134
+        },
+        "2": {
+          "L": 0.197,
+          "M": 5.5675,
+          "S": 0.1239
+        },
+        "3": {
+          "L": 0.1738,
+          "M": 6.3762,
+          "S": 0.1173
+        },
+        "4": {
+          "L": 0.1553,
+          "M": 7.0023,
+          "S": 0.1132
+        },
+        "5": {
+          "L": 0.1395,
+          "M": 7.5105,
+          "S": 0.1108
+        },
+        "6": {
+          "L": 0.1257,
+          "M": 7.934,
+          "S": 0.1096
+        },
+        "7": {
+          "L": 0.1134,
+          "M": 8.297,
+          "S": 0.109
+        },
+        "8": {
+          "L": 0.1021,
+          "M": 8.6151,
+          "S": 0.1088
+        },
+        "9": {
+          "L": 0.0917,
+          "M": 8.9014,
+          "S": 0.1088
+        },
+        "10": {
+          "L": 0.082,
+          "M": 9.1649,
+          "S": 0.1089
+        },
+        "11": {
+          "L": 0.073,
+          "M": 9.4122,
+          "S": 0.1091
+        },
+        "12": {
+          "L": 0.0644,
+          "M": 9.6479,
+          "S": 0.1093
+        },
+        "13": {
+          "L": 0.0563,
+          "M": 9.8749,
+          "S": 0.1095
+        },
+        "14": {
+          "L": 0.0487,
+          "M": 10.0953,
+          "S": 0.1098
+        },
+        "15": {
+          "L": 0.0413,
+          "M": 10.3108,
+          "S": 0.1101
+        },
+        "16": {
+          "L": 0.0343,
+          "M": 10.5228,
+          "S": 0.1104
+        },
+        "17": {
+          "L": 0.0275,
+          "M": 10.7319,
+          "S": 0.1108
+        },
+        "18": {
+          "L": 0.0211,
+          "M": 10.9385,
+          "S": 0.1112
+        },
+        "19": {
+          "L": 0.0148,
+          "M": 11.143,
+          "S": 0.1116
+        },
+        "20": {
+          "L": 0.0087,
+          "M": 11.3462,
+          "S": 0.1121
+        },
+        "21": {
+          "L": 0.0029,
+          "M": 11.5486,
+          "S": 0.1126
+        },
+        "22": {
+          "L": -0.0028,
+          "M": 11.7504,
+          "S": 0.1131
+        },
+        "23": {
+          "L": -0.0083,
+          "M": 11.9514,
+          "S": 0.1137
+        },
+        "24": {
+          "L": -0.0137,
+          "M": 12.1515,
+          "S": 0.1143
+        },
+        "25": {
+          "L": -0.0189,
+          "M": 12.3502,
+          "S": 0.1149
+        },
+        "26": {
+          "L": -0.024,
+          "M": 12.5466,
+          "S": 0.1154
+        },
+        "27": {
+          "L": -0.0289,
+          "M": 12.7401,
+          "S": 0.116
+        },
+        "28": {
+          "L": -0.0337,
+          "M": 12.9303,
+          "S": 0.1166
+        },
+        "29": {
+          "L": -0.0385,
+          "M": 13.1169,
+          "S": 0.1172
+        },
+        "30": {
+          "L": -0.0431,
+          "M": 13.3,
+          "S": 0.1178
+        },
+        "31": {
+          "L": -0.0476,
+          "M": 13.4798,
+          "S": 0.1184
+        },
+        "32": {
+          "L": -0.052,
+          "M": 13.6567,
+          "S": 0.119
+        },
+        "33": {
+          "L": -0.0564,
+          "M": 13.8309,
+          "S": 0.1195
+        },
+        "34": {
+          "L": -0.0606,
+          "M": 14.0031,
+          "S": 0.1201
+        },
+        "35": {
+          "L": -0.0648,
+          "M": 14.1736,
+          "S": 0.1206
+        },
+        "36": {
+          "L": 0.0567,
+          "M": 14.7381,
+          "S": 0.0969
+        },
+        "37": {
+          "L": -0.0147,
+          "M": 14.911,
+          "S": 0.0981
+        },
+        "38": {
+          "L": -0.0804,
+          "M": 15.0839,
+          "S": 0.0993
+        },
+        "39": {
+          "L": -0.1409,
+          "M": 15.2569,
+          "S": 0.1005
+        },
+        "40": {
+          "L": -0.1966,
+          "M": 15.4299,
+          "S": 0.1016
+        },
+        "41": {
+          "L": -0.248,
+          "M": 15.603,
+          "S": 0.1027
+        },
+        "42": {
+          "L": -0.299,
+          "M": 15.7775,
+          "S": 0.1038
+        },
+        "43": {
+          "L": -0.3461,
+          "M": 15.9521,
+          "S": 0.1049
+        },
+        "44": {
+          "L": -0.3895,
+          "M": 16.1268,
+          "S": 0.106
+        },
+        "45": {
+          "L": -0.4297,
+          "M": 16.3015,
+          "S": 0.107
+        },
+        "46": {
+          "L": -0.4669,
+          "M": 16.4763,
+          "S": 0.108
+        },
+        "47": {
+          "L": -0.5013,
+          "M": 16.6512,
+          "S": 0.1089
+        },
+        "48": {
+          "L": -0.5361,
+          "M": 16.8276,
+          "S": 0.1099
+        },
+        "49": {
+          "L": -0.5684,
+          "M": 17.0041,
+          "S": 0.1108
+        },
+        "50": {
+          "L": -0.5983,
+          "M": 17.1807,
+          "S": 0.1118
+        },
+        "51": {
+          "L": -0.6261,
+          "M": 17.3573,
+          "S": 0.1127
+        },
+        "52": {
+          "L": -0.6518,
+          "M": 17.534,
+          "S": 0.1136
+        },
+        "53": {
+          "L": -0.6758,
+          "M": 17.7108,
+          "S": 0.1144
+        },
+        "54": {
+          "L": -0.6998,
+          "M": 17.8888,
+          "S": 0.1153
+        },
+        "55": {
+          "L": -0.7222,
+          "M": 18.067,
+          "S": 0.1161
+        },
+        "56": {
+          "L": -0.743,
+          "M": 18.2452,
+          "S": 0.117
+        },
+        "57": {
+          "L": -0.7623,
+          "M": 18.4235,
+          "S": 0.1178
+        },
+        "58": {
+          "L": -0.7803,
+          "M": 18.6018,
+          "S": 0.1186
+        },
+        "59": {
+          "L": -0.7971,
+          "M": 18.7802,
+          "S": 0.1194
+        },
+        "60": {
+          "L": -0.8162,
+          "M": 18.9625,
+          "S": 0.1202
+        },
+        "61": {
+          "L": -0.8339,
+          "M": 19.1449,
+          "S": 0.1211
+        },
+        "62": {
+          "L": -0.8503,
+          "M": 19.3274,
+          "S": 0.1219
+        },
+        "63": {
+          "L": -0.8655,
+          "M": 19.51,
+          "S": 0.1227
+        },
+        "64": {
+          "L": -0.8797,
+          "M": 19.6926,
+          "S": 0.1235
+        },
+        "65": {
+          "L": -0.893,
+          "M": 19.8753,
+          "S": 0.1242
+        },
+        "66": {
+          "L": -0.9106,
+          "M": 20.0814,
+          "S": 0.1254
+        },
+        "67": {
+          "L": -0.9264,
+          "M": 20.2877,
+          "S": 0.1265
+        },
+        "68": {
+          "L": -0.9407,
+          "M": 20.4941,
+          "S": 0.1275
+        },
+        "69": {
+          "L": -0.9536,
+          "M": 20.7007,
+          "S": 0.1286
+        },
+        "70": {
+          "L": -0.9653,
+          "M": 20.9073,
+          "S": 0.1296
+        },
+        "71": {
+          "L": -0.9757,
+          "M": 21.1141,
+          "S": 0.1306
+        },
+        "72": {
+          "L": -0.9753,
+          "M": 21.3417,
+          "S": 0.1318
+        },
+        "73": {
+          "L": -0.9743,
+          "M": 21.5693,
+          "S": 0.133
+        },
+        "74": {
+          "L": -0.973,
+          "M": 21.797,
+          "S": 0.1342
+        },
+        "75": {
+          "L": -0.9714,
+          "M": 22.0247,
+          "S": 0.1353
+        },
+        "76": {
+          "L": -0.9694,
+          "M": 22.2524,
+          "S": 0.1364
+        },
+        "77": {
+          "L": -0.9672,
+          "M": 22.4802,
+          "S": 0.1375
+        },
+        "78": {
+          "L": -0.9576,
+          "M": 22.7267,
+          "S": 0.1388
+        },
+        "79": {
+          "L": -0.9481,
+          "M": 22.9732,
+          "S": 0.14
+        },
+        "80": {
+          "L": -0.9388,
+          "M": 23.2196,
+          "S": 0.1412
+        },
+        "81": {
+          "L": -0.9298,
+          "M": 23.4661,
+          "S": 0.1424
+        },
+        "82": {
+          "L": -0.921,
+          "M": 23.7126,
+          "S": 0.1435
+        },
+        "83": {
+          "L": -0.9124,
+          "M": 23.9591,
+          "S": 0.1447
+        },
+        "84": {
+          "L": -0.8993,
+          "M": 24.2214,
+          "S": 0.146
+        },
+        "85": {
+          "L": -0.8867,
+          "M": 24.4837,
+          "S": 0.1474
+        },
+        "86": {
+          "L": -0.8745,
+          "M": 24.7461,
+          "S": 0.1486
+        },
+        "87": {
+          "L": -0.8628,
+          "M": 25.0084,
+          "S": 0.1499
+        },
+        "88": {
+          "L": -0.8514,
+          "M": 25.2707,
+          "S": 0.1511
+        },
+        "89": {
+          "L": -0.8404,
+          "M": 25.5329,
+          "S": 0.1524
+        },
+        "90": {
+          "L": -0.8208,
+          "M": 25.8155,
+          "S": 0.1537
+        },
+        "91": {
+          "L": -0.802,
+          "M": 26.0979,
+          "S": 0.155
+        },
+        "92": {
+          "L": -0.7841,
+          "M": 26.3804,
+          "S": 0.1563
+        },
+        "93": {
+          "L": -0.7669,
+          "M": 26.6629,
+          "S": 0.1576
+        },
+        "94": {
+          "L": -0.7503,
+          "M": 26.9453,
+          "S": 0.1588
+        },
+        "95": {
+          "L": -0.7344,
+          "M": 27.2277,
+          "S": 0.16
+        },
+        "96": {
+          "L": -0.7076,
+          "M": 27.5321,
+          "S": 0.1613
+        },
+        "97": {
+          "L": -0.682,
+          "M": 27.8365,
+          "S": 0.1625
+        },
+        "98": {
+          "L": -0.6574,
+          "M": 28.1409,
+          "S": 0.1638
+        },
+        "99": {
+          "L": -0.6339,
+          "M": 28.4453,
+          "S": 0.165
+        },
+        "100": {
+          "L": -0.6113,
+          "M": 28.7497,
+          "S": 0.1661
+        },
+        "101": {
+          "L": -0.5896,
+          "M": 29.054,
+          "S": 0.1673
+        },
+        "102": {
+          "L": -0.5621,
+          "M": 29.3761,
+          "S": 0.1685
+        },
+        "103": {
+          "L": -0.5357,
+          "M": 29.6982,
+          "S": 0.1698
+        },
+        "104": {
+          "L": -0.5103,
+          "M": 30.0203,
+          "S": 0.171
+        },
+        "105": {
+          "L": -0.486,
+          "M": 30.3424,
+          "S": 0.1721
+        },
+        "106": {
+          "L": -0.4627,
+          "M": 30.6645,
+          "S": 0.1733
+        },
+        "107": {
+          "L": -0.4402,
+          "M": 30.9867,
+          "S": 0.1744
+        },
+        "108": {
+          "L": -0.416,
+          "M": 31.3251,
+          "S": 0.1756
+        },
+        "109": {
+          "L": -0.3928,
+          "M": 31.6635,
+          "S": 0.1768
+        },
+        "110": {
+          "L": -0.3705,
+          "M": 32.0019,
+          "S": 0.1779
+        },
+        "111": {
+          "L": -0.3491,
+          "M": 32.3404,
+          "S": 0.179
+        },
+        "112": {
+          "L": -0.3284,
+          "M": 32.6788,
+          "S": 0.1801
+        },
+        "113": {
+          "L": -0.3085,
+          "M": 33.0173,
+          "S": 0.1812
+        },
+        "114": {
+          "L": -0.2869,
+          "M": 33.3742,
+          "S": 0.1823
+        },
+        "115": {
+          "L": -0.2661,
+          "M": 33.7312,
+          "S": 0.1833
+        },
+        "116": {
+          "L": -0.2461,
+          "M": 34.0882,
+          "S": 0.1844
+        },
+        "117": {
+          "L": -0.2267,
+          "M": 34.4452,
+          "S": 0.1854
+        },
+        "118": {
+          "L": -0.2081,
+          "M": 34.8022,
+          "S": 0.1864
+        },
+        "119": {
+          "L": -0.1902,
+          "M": 35.1592,
+          "S": 0.1873
+        },
+        "120": {
+          "L": -0.17,
+          "M": 35.5349,
+          "S": 0.1882
+        },
+        "121": {
+          "L": -0.1505,
+          "M": 35.9105,
+          "S": 0.189
+        },
+        "122": {
+          "L": -0.1317,
+          "M": 36.2862,
+          "S": 0.1899
+        },
+        "123": {
+          "L": -0.1134,
+          "M": 36.6619,
+          "S": 0.1907
+        },
+        "124": {
+          "L": -0.0958,
+          "M": 37.0376,
+          "S": 0.1914
+        },
+        "125": {
+          "L": -0.0788,
+          "M": 37.4134,
+          "S": 0.1922
+        },
+        "126": {
+          "L": -0.0612,
+          "M": 37.8103,
+          "S": 0.1929
+        },
+        "127": {
+          "L": -0.0441,
+          "M": 38.2074,
+          "S": 0.1936
+        },
+        "128": {
+          "L": -0.0275,
+          "M": 38.6045,
+          "S": 0.1942
+        },
+        "129": {
+          "L": -0.0113,
+          "M": 39.0017,
+          "S": 0.1949
+        },
+        "130": {
+          "L": 0.0043,
+          "M": 39.3989,
+          "S": 0.1955
+        },
+        "131": {
+          "L": 0.0195,
+          "M": 39.7961,
+          "S": 0.1961
+        },
+        "132": {
+          "L": 0.0333,
+          "M": 40.2146,
+          "S": 0.1966
+        },
+        "133": {
+          "L": 0.0467,
+          "M": 40.6331,
+          "S": 0.1971
+        },
+        "134": {
+          "L": 0.0599,
+          "M": 41.0518,
+          "S": 0.1976
+        },
+        "135": {
+          "L": 0.0726,
+          "M": 41.4706,
+          "S": 0.1981
+        },
+        "136": {
+          "L": 0.0851,
+          "M": 41.8894,
+          "S": 0.1986
+        },
+        "137": {
+          "L": 0.0973,
+          "M": 42.3083,
+          "S": 0.1991
+        },
+        "138": {
+          "L": 0.1071,
+          "M": 42.7515,
+          "S": 0.1992
+        },
+        "139": {
+          "L": 0.1168,
+          "M": 43.1947,
+          "S": 0.1994
+        },
+        "140": {
+          "L": 0.1263,
+          "M": 43.638,
+          "S": 0.1996
+        },
+        "141": {
+          "L": 0.1356,
+          "M": 44.0813,
+          "S": 0.1997
+        },
+        "142": {
+          "L": 0.1448,
+          "M": 44.5248,
+          "S": 0.1999
+        },
+        "143": {
+          "L": 0.1538,
+          "M": 44.9684,
+          "S": 0.2
+        },
+        "144": {
+          "L": 0.1618,
+          "M": 45.4253,
+          "S": 0.1998
+        },
+        "145": {
+          "L": 0.1698,
+          "M": 45.8824,
+          "S": 0.1995
+        },
+        "146": {
+          "L": 0.1777,
+          "M": 46.3396,
+          "S": 0.1993
+        },
+        "147": {
+          "L": 0.1855,
+          "M": 46.7968,
+          "S": 0.1991
+        },
+        "148": {
+          "L": 0.1932,
+          "M": 47.2542,
+          "S": 0.1988
+        },
+        "149": {
+          "L": 0.2009,
+          "M": 47.7116,
+          "S": 0.1986
+        },
+        "150": {
+          "L": 0.2081,
+          "M": 48.1693,
+          "S": 0.198
+        },
+        "151": {
+          "L": 0.2154,
+          "M": 48.6271,
+          "S": 0.1974
+        },
+        "152": {
+          "L": 0.2226,
+          "M": 49.085,
+          "S": 0.1969
+        },
+        "153": {
+          "L": 0.2299,
+          "M": 49.5431,
+          "S": 0.1963
+        },
+        "154": {
+          "L": 0.2372,
+          "M": 50.0012,
+          "S": 0.1957
+        },
+        "155": {
+          "L": 0.2445,
+          "M": 50.4595,
+          "S": 0.1952
+        },
+        "156": {
+          "L": 0.2503,
+          "M": 50.9021,
+          "S": 0.1942
+        },
+        "157": {
+          "L": 0.2562,
+          "M": 51.3448,
+          "S": 0.1932
+        },
+        "158": {
+          "L": 0.2622,
+          "M": 51.7875,
+          "S": 0.1923
+        },
+        "159": {
+          "L": 0.2683,
+          "M": 52.2304,
+          "S": 0.1914
+        },
+        "160": {
+          "L": 0.2745,
+          "M": 52.6733,
+          "S": 0.1904
+        },
+        "161": {
+          "L": 0.2808,
+          "M": 53.1164,
+          "S": 0.1895
+        },
+        "162": {
+          "L": 0.2841,
+          "M": 53.5329,
+          "S": 0.1882
+        },
+        "163": {
+          "L": 0.2876,
+          "M": 53.9495,
+          "S": 0.1869
+        },
+        "164": {
+          "L": 0.2911,
+          "M": 54.366,
+          "S": 0.1856
+        },
+        "165": {
+          "L": 0.2948,
+          "M": 54.7826,
+          "S": 0.1843
+        },
+        "166": {
+          "L": 0.2986,
+          "M": 55.1993,
+          "S": 0.183
+        },
+        "167": {
+          "L": 0.3026,
+          "M": 55.6159,
+          "S": 0.1818
+        },
+        "168": {
+          "L": 0.3023,
+          "M": 55.9927,
+          "S": 0.1802
+        },
+        "169": {
+          "L": 0.302,
+          "M": 56.3694,
+          "S": 0.1787
+        },
+        "170": {
+          "L": 0.3019,
+          "M": 56.7462,
+          "S": 0.1772
+        },
+        "171": {
+          "L": 0.3019,
+          "M": 57.1229,
+          "S": 0.1757
+        },
+        "172": {
+          "L": 0.3019,
+          "M": 57.4995,
+          "S": 0.1742
+        },
+        "173": {
+          "L": 0.3021,
+          "M": 57.8762,
+          "S": 0.1727
+        },
+        "174": {
+          "L": 0.2993,
+          "M": 58.2029,
+          "S": 0.1711
+        },
+        "175": {
+          "L": 0.2965,
+          "M": 58.5296,
+          "S": 0.1696
+        },
+        "176": {
+          "L": 0.2938,
+          "M": 58.8563,
+          "S": 0.168
+        },
+        "177": {
+          "L": 0.2911,
+          "M": 59.1829,
+          "S": 0.1665
+        },
+        "178": {
+          "L": 0.2885,
+          "M": 59.5096,
+          "S": 0.165
+        },
+        "179": {
+          "L": 0.2859,
+          "M": 59.8362,
+          "S": 0.1635
+        },
+        "180": {
+          "L": 0.2818,
+          "M": 60.1106,
+          "S": 0.162
+        },
+        "181": {
+          "L": 0.2777,
+          "M": 60.385,
+          "S": 0.1606
+        },
+        "182": {
+          "L": 0.2736,
+          "M": 60.6594,
+          "S": 0.1591
+        },
+        "183": {
+          "L": 0.2695,
+          "M": 60.9338,
+          "S": 0.1577
+        },
+        "184": {
+          "L": 0.2654,
+          "M": 61.2081,
+          "S": 0.1563
+        },
+        "185": {
+          "L": 0.2613,
+          "M": 61.4825,
+          "S": 0.1549
+        },
+        "186": {
+          "L": 0.2514,
+          "M": 61.7129,
+          "S": 0.1537
+        },
+        "187": {
+          "L": 0.2412,
+          "M": 61.9434,
+          "S": 0.1525
+        },
+        "188": {
+          "L": 0.231,
+          "M": 62.1739,
+          "S": 0.1513
+        },
+        "189": {
+          "L": 0.2207,
+          "M": 62.4045,
+          "S": 0.1501
+        },
+        "190": {
+          "L": 0.2102,
+          "M": 62.6351,
+          "S": 0.1489
+        },
+        "191": {
+          "L": 0.1996,
+          "M": 62.8658,
+          "S": 0.1477
+        },
+        "192": {
+          "L": 0.1829,
+          "M": 63.055,
+          "S": 0.1468
+        },
+        "193": {
+          "L": 0.166,
+          "M": 63.2442,
+          "S": 0.1459
+        },
+        "194": {
+          "L": 0.1489,
+          "M": 63.4335,
+          "S": 0.145
+        },
+        "195": {
+          "L": 0.1316,
+          "M": 63.6229,
+          "S": 0.1441
+        },
+        "196": {
+          "L": 0.1141,
+          "M": 63.8123,
+          "S": 0.1432
+        },
+        "197": {
+          "L": 0.0964,
+          "M": 64.0018,
+          "S": 0.1424
+        },
+        "198": {
+          "L": 0.0862,
+          "M": 64.1526,
+          "S": 0.1418
+        },
+        "199": {
+          "L": 0.0759,
+          "M": 64.3033,
+          "S": 0.1413
+        },
+        "200": {
+          "L": 0.0655,
+          "M": 64.4539,
+          "S": 0.1407
+        },
+        "201": {
+          "L": 0.055,
+          "M": 64.6045,
+          "S": 0.1402
+        },
+        "202": {
+          "L": 0.0444,
+          "M": 64.7551,
+          "S": 0.1397
+        },
+        "203": {
+          "L": 0.0337,
+          "M": 64.9057,
+          "S": 0.1391
+        },
+        "204": {
+          "L": 0.0282,
+          "M": 65.0469,
+          "S": 0.1387
+        },
+        "205": {
+          "L": 0.0226,
+          "M": 65.188,
+          "S": 0.1382
+        },
+        "206": {
+          "L": 0.0169,
+          "M": 65.3291,
+          "S": 0.1377
+        },
+        "207": {
+          "L": 0.0113,
+          "M": 65.4702,
+          "S": 0.1373
+        },
+        "208": {
+          "L": 0.0055,
+          "M": 65.6113,
+          "S": 0.1368
+        },
+        "209": {
+          "L": -0.0003,
+          "M": 65.7523,
+          "S": 0.1364
+        },
+        "210": {
+          "L": -0.0068,
+          "M": 65.8907,
+          "S": 0.1359
+        },
+        "211": {
+          "L": -0.0134,
+          "M": 66.0291,
+          "S": 0.1355
+        },
+        "212": {
+          "L": -0.02,
+          "M": 66.1674,
+          "S": 0.1351
+        },
+        "213": {
+          "L": -0.0267,
+          "M": 66.3057,
+          "S": 0.1346
+        },
+        "214": {
+          "L": -0.0335,
+          "M": 66.4439,
+          "S": 0.1342
+        },
+        "215": {
+          "L": -0.0403,
+          "M": 66.5821,
+          "S": 0.1338
+        },
+        "216": {
+          "L": -0.0469,
+          "M": 66.7186,
+          "S": 0.1334
+        },
+        "217": {
+          "L": -0.0535,
+          "M": 66.8551,
+          "S": 0.133
+        },
+        "218": {
+          "L": -0.0602,
+          "M": 66.9915,
+          "S": 0.1326
+        },
+        "219": {
+          "L": -0.0669,
+          "M": 67.1278,
+          "S": 0.1322
+        },
+        "220": {
+          "L": -0.0738,
+          "M": 67.2641,
+          "S": 0.1318
+        },
+        "221": {
+          "L": -0.0807,
+          "M": 67.4004,
+          "S": 0.1314
+        },
+        "222": {
+          "L": -0.0859,
+          "M": 67.5362,
+          "S": 0.1311
+        },
+        "223": {
+          "L": -0.0911,
+          "M": 67.6719,
+          "S": 0.1307
+        },
+        "224": {
+          "L": -0.0965,
+          "M": 67.8077,
+          "S": 0.1303
+        },
+        "225": {
+          "L": -0.1018,
+          "M": 67.9434,
+          "S": 0.1299
+        },
+        "226": {
+          "L": -0.1072,
+          "M": 68.079,
+          "S": 0.1296
+        },
+        "227": {
+          "L": -0.1127,
+          "M": 68.2146,
+          "S": 0.1292
+        }
+      }
     },
-    "weight": {
-      "0": { "L": 0.3809, "M": 3.2322, "S": 0.1417 },
-      "1": { "L": 0.1714, "M": 4.1873, "S": 0.1372 },
-      "2": { "L": 0.0962, "M": 5.1282, "S": 0.13 },
-      "3": { "L": 0.0402, "M": 5.8458, "S": 0.1262 },
-      "4": { "L": -0.005, "M": 6.4237, "S": 0.124 },
-      "5": { "L": -0.043, "M": 6.8985, "S": 0.1227 },
-      "6": { "L": -0.0756, "M": 7.297, "S": 0.122 },
-      "7": { "L": -0.1039, "M": 7.6422, "S": 0.1218 },
-      "8": { "L": -0.1288, "M": 7.9487, "S": 0.1218 },
-      "9": { "L": -0.1507, "M": 8.2254, "S": 0.122 },
-      "10": { "L": -0.17, "M": 8.48, "S": 0.1222 },
-      "11": { "L": -0.1872, "M": 8.7192, "S": 0.1225 },
-      "12": { "L": -0.2024, "M": 8.9481, "S": 0.1227 },
-      "13": { "L": -0.2158, "M": 9.1699, "S": 0.1228 },
-      "14": { "L": -0.2278, "M": 9.387, "S": 0.1229 },
-      "15": { "L": -0.2384, "M": 9.6008, "S": 0.123 },
-      "16": { "L": -0.2478, "M": 9.8124, "S": 0.123 },
-      "17": { "L": -0.2562, "M": 10.0226, "S": 0.1231 },
-      "18": { "L": -0.2637, "M": 10.2315, "S": 0.1231 },
-      "19": { "L": -0.2703, "M": 10.4393, "S": 0.1232 },
-      "20": { "L": -0.2762, "M": 10.6464, "S": 0.1232 },
-      "21": { "L": -0.2815, "M": 10.8534, "S": 0.1234 },
-      "22": { "L": -0.2862, "M": 11.0608, "S": 0.1235 },
-      "23": { "L": -0.2903, "M": 11.2688, "S": 0.1237 },
-      "24": { "L": -0.2941, "M": 11.4775, "S": 0.1239 },
-      "25": { "L": -0.2975, "M": 11.6864, "S": 0.1241 },
-      "26": { "L": -0.3005, "M": 11.8947, "S": 0.1244 },
-      "27": { "L": -0.3032, "M": 12.1015, "S": 0.1247 },
-      "28": { "L": -0.3057, "M": 12.3059, "S": 0.1251 },
-      "29": { "L": -0.308, "M": 12.5073, "S": 0.1255 },
-      "30": { "L": -0.3101, "M": 12.7055, "S": 0.1259 },
-      "31": { "L": -0.312, "M": 12.9006, "S": 0.1263 },
-      "32": { "L": -0.3138, "M": 13.093, "S": 0.1268 },
-      "33": { "L": -0.3155, "M": 13.2837, "S": 0.1274 },
-      "34": { "L": -0.3171, "M": 13.4731, "S": 0.1279 },
-      "35": { "L": -0.3186, "M": 13.6618, "S": 0.1286 },
-      "36": { "L": 0.5656, "M": 14.1998, "S": 0.0991 },
-      "37": { "L": 0.4441, "M": 14.3701, "S": 0.1004 },
-      "38": { "L": 0.3317, "M": 14.5405, "S": 0.1017 },
-      "39": { "L": 0.2276, "M": 14.7108, "S": 0.103 },
-      "40": { "L": 0.1312, "M": 14.8813, "S": 0.1042 },
-      "41": { "L": 0.0419, "M": 15.0518, "S": 0.1053 },
-      "42": { "L": -0.0428, "M": 15.2236, "S": 0.1064 },
-      "43": { "L": -0.1212, "M": 15.3956, "S": 0.1075 },
-      "44": { "L": -0.1938, "M": 15.5676, "S": 0.1085 },
-      "45": { "L": -0.2611, "M": 15.7399, "S": 0.1095 },
-      "46": { "L": -0.3236, "M": 15.9123, "S": 0.1105 },
-      "47": { "L": -0.3816, "M": 16.0848, "S": 0.1114 },
-      "48": { "L": -0.4372, "M": 16.2585, "S": 0.1124 },
-      "49": { "L": -0.4888, "M": 16.4324, "S": 0.1133 },
-      "50": { "L": -0.5367, "M": 16.6064, "S": 0.1142 },
-      "51": { "L": -0.5812, "M": 16.7806, "S": 0.115 },
-      "52": { "L": -0.6227, "M": 16.9549, "S": 0.1159 },
-      "53": { "L": -0.6613, "M": 17.1294, "S": 0.1167 },
-      "54": { "L": -0.6987, "M": 17.3046, "S": 0.1175 },
-      "55": { "L": -0.7335, "M": 17.48, "S": 0.1183 },
-      "56": { "L": -0.766, "M": 17.6555, "S": 0.119 },
-      "57": { "L": -0.7962, "M": 17.8311, "S": 0.1198 },
-      "58": { "L": -0.8245, "M": 18.0069, "S": 0.1205 },
-      "59": { "L": -0.8509, "M": 18.1827, "S": 0.1212 },
-      "60": { "L": -0.876, "M": 18.3616, "S": 0.122 },
-      "61": { "L": -0.8993, "M": 18.5405, "S": 0.1228 },
-      "62": { "L": -0.921, "M": 18.7196, "S": 0.1236 },
-      "63": { "L": -0.9412, "M": 18.8988, "S": 0.1243 },
-      "64": { "L": -0.96, "M": 19.078, "S": 0.125 },
-      "65": { "L": -0.9776, "M": 19.2574, "S": 0.1257 },
-      "66": { "L": -0.984, "M": 19.4555, "S": 0.127 },
-      "67": { "L": -0.9894, "M": 19.6537, "S": 0.1281 },
-      "68": { "L": -0.9941, "M": 19.8519, "S": 0.1293 },
-      "69": { "L": -0.9981, "M": 20.0502, "S": 0.1304 },
-      "70": { "L": -1.0014, "M": 20.2485, "S": 0.1315 },
-      "71": { "L": -1.0041, "M": 20.4468, "S": 0.1326 },
-      "72": { "L": -0.9954, "M": 20.6619, "S": 0.134 },
-      "73": { "L": -0.9868, "M": 20.8769, "S": 0.1353 },
-      "74": { "L": -0.9784, "M": 21.092, "S": 0.1367 },
-      "75": { "L": -0.97, "M": 21.3071, "S": 0.138 },
-      "76": { "L": -0.9618, "M": 21.5221, "S": 0.1392 },
-      "77": { "L": -0.9537, "M": 21.7372, "S": 0.1405 },
-      "78": { "L": -0.9411, "M": 21.9702, "S": 0.1418 },
-      "79": { "L": -0.9288, "M": 22.2032, "S": 0.1432 },
-      "80": { "L": -0.9169, "M": 22.4363, "S": 0.1445 },
-      "81": { "L": -0.9054, "M": 22.6693, "S": 0.1458 },
-      "82": { "L": -0.8942, "M": 22.9023, "S": 0.1471 },
-      "83": { "L": -0.8833, "M": 23.1353, "S": 0.1484 },
-      "84": { "L": -0.8685, "M": 23.387, "S": 0.1497 },
-      "85": { "L": -0.8541, "M": 23.6386, "S": 0.1511 },
-      "86": { "L": -0.8403, "M": 23.8903, "S": 0.1524 },
-      "87": { "L": -0.8271, "M": 24.1419, "S": 0.1536 },
-      "88": { "L": -0.8142, "M": 24.3935, "S": 0.1549 },
-      "89": { "L": -0.8019, "M": 24.6451, "S": 0.1561 },
-      "90": { "L": -0.7852, "M": 24.9161, "S": 0.1574 },
-      "91": { "L": -0.7693, "M": 25.1871, "S": 0.1586 },
-      "92": { "L": -0.7539, "M": 25.4581, "S": 0.1598 },
-      "93": { "L": -0.7392, "M": 25.7291, "S": 0.1609 },
-      "94": { "L": -0.725, "M": 26.0001, "S": 0.1621 },
-      "95": { "L": -0.7114, "M": 26.271, "S": 0.1632 },
-      "96": { "L": -0.6971, "M": 26.5602, "S": 0.1643 },
-      "97": { "L": -0.6834, "M": 26.8493, "S": 0.1654 },
-      "98": { "L": -0.6702, "M": 27.1385, "S": 0.1665 },
-      "99": { "L": -0.6574, "M": 27.4276, "S": 0.1675 },
-      "100": { "L": -0.6451, "M": 27.7167, "S": 0.1685 },
-      "101": { "L": -0.6333, "M": 28.0058, "S": 0.1695 },
-      "102": { "L": -0.6214, "M": 28.3163, "S": 0.1705 },
-      "103": { "L": -0.6098, "M": 28.6269, "S": 0.1714 },
-      "104": { "L": -0.5987, "M": 28.9374, "S": 0.1723 },
-      "105": { "L": -0.5879, "M": 29.248, "S": 0.1732 },
-      "106": { "L": -0.5775, "M": 29.5585, "S": 0.1741 },
-      "107": { "L": -0.5675, "M": 29.869, "S": 0.1749 },
-      "108": { "L": -0.5521, "M": 30.2033, "S": 0.1758 },
-      "109": { "L": -0.5373, "M": 30.5375, "S": 0.1766 },
-      "110": { "L": -0.5229, "M": 30.8718, "S": 0.1774 },
-      "111": { "L": -0.509, "M": 31.2061, "S": 0.1782 },
-      "112": { "L": -0.4956, "M": 31.5404, "S": 0.179 },
-      "113": { "L": -0.4825, "M": 31.8748, "S": 0.1798 },
-      "114": { "L": -0.4623, "M": 32.2323, "S": 0.1806 },
-      "115": { "L": -0.4427, "M": 32.59, "S": 0.1815 },
-      "116": { "L": -0.4237, "M": 32.9478, "S": 0.1823 },
-      "117": { "L": -0.4052, "M": 33.3056, "S": 0.1831 },
-      "118": { "L": -0.3874, "M": 33.6636, "S": 0.1838 },
-      "119": { "L": -0.37, "M": 34.0216, "S": 0.1846 },
-      "120": { "L": -0.3496, "M": 34.4014, "S": 0.1852 },
-      "121": { "L": -0.3297, "M": 34.7815, "S": 0.1858 },
-      "122": { "L": -0.3103, "M": 35.1617, "S": 0.1864 },
-      "123": { "L": -0.2914, "M": 35.5421, "S": 0.1869 },
-      "124": { "L": -0.2729, "M": 35.9226, "S": 0.1875 },
-      "125": { "L": -0.2548, "M": 36.3033, "S": 0.188 },
-      "126": { "L": -0.2377, "M": 36.7011, "S": 0.1882 },
-      "127": { "L": -0.2209, "M": 37.0992, "S": 0.1883 },
-      "128": { "L": -0.2043, "M": 37.4974, "S": 0.1884 },
-      "129": { "L": -0.188, "M": 37.8958, "S": 0.1885 },
-      "130": { "L": -0.1719, "M": 38.2944, "S": 0.1886 },
-      "131": { "L": -0.156, "M": 38.6931, "S": 0.1887 },
-      "132": { "L": -0.1419, "M": 39.0908, "S": 0.1884 },
-      "133": { "L": -0.1278, "M": 39.4887, "S": 0.1881 },
-      "134": { "L": -0.1138, "M": 39.8868, "S": 0.1878 },
-      "135": { "L": -0.0998, "M": 40.2851, "S": 0.1875 },
-      "136": { "L": -0.0859, "M": 40.6835, "S": 0.1872 },
-      "137": { "L": -0.072, "M": 41.0821, "S": 0.1869 },
-      "138": { "L": -0.0641, "M": 41.4657, "S": 0.1862 },
-      "139": { "L": -0.0562, "M": 41.8495, "S": 0.1855 },
-      "140": { "L": -0.0481, "M": 42.2333, "S": 0.1848 },
-      "141": { "L": -0.04, "M": 42.6173, "S": 0.1842 },
-      "142": { "L": -0.0318, "M": 43.0013, "S": 0.1835 },
-      "143": { "L": -0.0235, "M": 43.3855, "S": 0.1829 },
-      "144": { "L": -0.0241, "M": 43.74, "S": 0.1818 },
-      "145": { "L": -0.0246, "M": 44.0946, "S": 0.1808 },
-      "146": { "L": -0.0251, "M": 44.4491, "S": 0.1798 },
-      "147": { "L": -0.0255, "M": 44.8037, "S": 0.1788 },
-      "148": { "L": -0.0258, "M": 45.1584, "S": 0.1778 },
-      "149": { "L": -0.026, "M": 45.513, "S": 0.1769 },
-      "150": { "L": -0.0326, "M": 45.8261, "S": 0.1756 },
-      "151": { "L": -0.0391, "M": 46.1391, "S": 0.1743 },
-      "152": { "L": -0.0457, "M": 46.4522, "S": 0.173 },
-      "153": { "L": -0.0523, "M": 46.7652, "S": 0.1717 },
-      "154": { "L": -0.0589, "M": 47.0782, "S": 0.1705 },
-      "155": { "L": -0.0655, "M": 47.3912, "S": 0.1693 },
-      "156": { "L": -0.0745, "M": 47.6564, "S": 0.1679 },
-      "157": { "L": -0.0837, "M": 47.9216, "S": 0.1666 },
-      "158": { "L": -0.0929, "M": 48.1868, "S": 0.1653 },
-      "159": { "L": -0.1021, "M": 48.4519, "S": 0.164 },
-      "160": { "L": -0.1115, "M": 48.7171, "S": 0.1627 },
-      "161": { "L": -0.1208, "M": 48.9822, "S": 0.1614 },
-      "162": { "L": -0.129, "M": 49.2069, "S": 0.1603 },
-      "163": { "L": -0.1372, "M": 49.4315, "S": 0.1591 },
-      "164": { "L": -0.1455, "M": 49.6562, "S": 0.158 },
-      "165": { "L": -0.1538, "M": 49.8809, "S": 0.1568 },
-      "166": { "L": -0.1621, "M": 50.1055, "S": 0.1557 },
-      "167": { "L": -0.1705, "M": 50.3302, "S": 0.1546 },
-      "168": { "L": -0.1734, "M": 50.5233, "S": 0.1536 },
-      "169": { "L": -0.1763, "M": 50.7164, "S": 0.1525 },
-      "170": { "L": -0.1791, "M": 50.9095, "S": 0.1515 },
-      "171": { "L": -0.1819, "M": 51.1026, "S": 0.1505 },
-      "172": { "L": -0.1846, "M": 51.2957, "S": 0.1495 },
-      "173": { "L": -0.1873, "M": 51.4888, "S": 0.1485 },
-      "174": { "L": -0.1869, "M": 51.6479, "S": 0.1476 },
-      "175": { "L": -0.1865, "M": 51.807, "S": 0.1467 },
-      "176": { "L": -0.186, "M": 51.966, "S": 0.1458 },
-      "177": { "L": -0.1854, "M": 52.125, "S": 0.1449 },
-      "178": { "L": -0.1847, "M": 52.284, "S": 0.144 },
-      "179": { "L": -0.1839, "M": 52.443, "S": 0.1431 },
-      "180": { "L": -0.1846, "M": 52.5631, "S": 0.1424 },
-      "181": { "L": -0.1852, "M": 52.6832, "S": 0.1417 },
-      "182": { "L": -0.1857, "M": 52.8033, "S": 0.1409 },
-      "183": { "L": -0.1862, "M": 52.9233, "S": 0.1402 },
-      "184": { "L": -0.1867, "M": 53.0434, "S": 0.1395 },
-      "185": { "L": -0.1871, "M": 53.1634, "S": 0.1388 },
-      "186": { "L": -0.1901, "M": 53.2482, "S": 0.1382 },
-      "187": { "L": -0.193, "M": 53.3331, "S": 0.1377 },
-      "188": { "L": -0.196, "M": 53.4179, "S": 0.1371 },
-      "189": { "L": -0.199, "M": 53.5027, "S": 0.1366 },
-      "190": { "L": -0.2019, "M": 53.5875, "S": 0.1361 },
-      "191": { "L": -0.2049, "M": 53.6723, "S": 0.1355 },
-      "192": { "L": -0.21, "M": 53.7253, "S": 0.1351 },
-      "193": { "L": -0.2151, "M": 53.7783, "S": 0.1346 },
-      "194": { "L": -0.2202, "M": 53.8313, "S": 0.1342 },
-      "195": { "L": -0.2253, "M": 53.8843, "S": 0.1338 },
-      "196": { "L": -0.2305, "M": 53.9373, "S": 0.1334 },
-      "197": { "L": -0.2357, "M": 53.9903, "S": 0.1329 },
-      "198": { "L": -0.2499, "M": 54.0055, "S": 0.1326 },
-      "199": { "L": -0.2643, "M": 54.0208, "S": 0.1323 },
-      "200": { "L": -0.2788, "M": 54.036, "S": 0.1319 },
-      "201": { "L": -0.2934, "M": 54.0512, "S": 0.1316 },
-      "202": { "L": -0.3081, "M": 54.0663, "S": 0.1312 },
-      "203": { "L": -0.323, "M": 54.0815, "S": 0.1309 },
-      "204": { "L": -0.3423, "M": 54.0797, "S": 0.1306 },
-      "205": { "L": -0.3619, "M": 54.0778, "S": 0.1303 },
-      "206": { "L": -0.3816, "M": 54.0759, "S": 0.13 },
-      "207": { "L": -0.4016, "M": 54.0739, "S": 0.1298 },
-      "208": { "L": -0.4217, "M": 54.0719, "S": 0.1295 },
-      "209": { "L": -0.4421, "M": 54.0698, "S": 0.1292 },
-      "210": { "L": -0.4627, "M": 54.0634, "S": 0.1289 },
-      "211": { "L": -0.4836, "M": 54.057, "S": 0.1286 },
-      "212": { "L": -0.5046, "M": 54.0505, "S": 0.1284 },
-      "213": { "L": -0.5259, "M": 54.0439, "S": 0.1281 },
-      "214": { "L": -0.5474, "M": 54.0373, "S": 0.1278 },
-      "215": { "L": -0.5691, "M": 54.0306, "S": 0.1275 },
-      "216": { "L": -0.5908, "M": 54.0217, "S": 0.1273 },
-      "217": { "L": -0.6128, "M": 54.0126, "S": 0.127 },
-      "218": { "L": -0.6351, "M": 54.0036, "S": 0.1267 },
-      "219": { "L": -0.6575, "M": 53.9944, "S": 0.1264 },
-      "220": { "L": -0.6801, "M": 53.9852, "S": 0.1261 },
-      "221": { "L": -0.703, "M": 53.976, "S": 0.1258 },
-      "222": { "L": -0.7262, "M": 53.9649, "S": 0.1256 },
-      "223": { "L": -0.7497, "M": 53.9539, "S": 0.1253 },
-      "224": { "L": -0.7734, "M": 53.9427, "S": 0.125 },
-      "225": { "L": -0.7973, "M": 53.9315, "S": 0.1247 },
-      "226": { "L": -0.8215, "M": 53.9203, "S": 0.1244 },
-      "227": { "L": -0.8458, "M": 53.909, "S": 0.1241 }
+    "female": {
+      "height": {
+        "0": {
+          "L": 1,
+          "M": 49.1477,
+          "S": 0.0379
+        },
+        "1": {
+          "L": 1,
+          "M": 53.6872,
+          "S": 0.0364
+        },
+        "2": {
+          "L": 1,
+          "M": 57.0673,
+          "S": 0.0357
+        },
+        "3": {
+          "L": 1,
+          "M": 59.8029,
+          "S": 0.0352
+        },
+        "4": {
+          "L": 1,
+          "M": 62.0899,
+          "S": 0.0349
+        },
+        "5": {
+          "L": 1,
+          "M": 64.0301,
+          "S": 0.0346
+        },
+        "6": {
+          "L": 1,
+          "M": 65.7311,
+          "S": 0.0345
+        },
+        "7": {
+          "L": 1,
+          "M": 67.2873,
+          "S": 0.0344
+        },
+        "8": {
+          "L": 1,
+          "M": 68.7498,
+          "S": 0.0344
+        },
+        "9": {
+          "L": 1,
+          "M": 70.1435,
+          "S": 0.0344
+        },
+        "10": {
+          "L": 1,
+          "M": 71.4818,
+          "S": 0.0345
+        },
+        "11": {
+          "L": 1,
+          "M": 72.771,
+          "S": 0.0346
+        },
+        "12": {
+          "L": 1,
+          "M": 74.015,
+          "S": 0.0348
+        },
+        "13": {
+          "L": 1,
+          "M": 75.2176,
+          "S": 0.035
+        },
+        "14": {
+          "L": 1,
+          "M": 76.3817,
+          "S": 0.0351
+        },
+        "15": {
+          "L": 1,
+          "M": 77.5099,
+          "S": 0.0353
+        },
+        "16": {
+          "L": 1,
+          "M": 78.6055,
+          "S": 0.0356
+        },
+        "17": {
+          "L": 1,
+          "M": 79.671,
+          "S": 0.0358
+        },
+        "18": {
+          "L": 1,
+          "M": 80.7079,
+          "S": 0.036
+        },
+        "19": {
+          "L": 1,
+          "M": 81.7182,
+          "S": 0.0362
+        },
+        "20": {
+          "L": 1,
+          "M": 82.7036,
+          "S": 0.0364
+        },
+        "21": {
+          "L": 1,
+          "M": 83.6654,
+          "S": 0.0367
+        },
+        "22": {
+          "L": 1,
+          "M": 84.604,
+          "S": 0.0369
+        },
+        "23": {
+          "L": 1,
+          "M": 85.5202,
+          "S": 0.0371
+        },
+        "24": {
+          "L": 1,
+          "M": 85.7153,
+          "S": 0.0376
+        },
+        "25": {
+          "L": 1,
+          "M": 86.5904,
+          "S": 0.0379
+        },
+        "26": {
+          "L": 1,
+          "M": 87.4462,
+          "S": 0.0381
+        },
+        "27": {
+          "L": 1,
+          "M": 88.283,
+          "S": 0.0383
+        },
+        "28": {
+          "L": 1,
+          "M": 89.1004,
+          "S": 0.0385
+        },
+        "29": {
+          "L": 1,
+          "M": 89.8991,
+          "S": 0.0387
+        },
+        "30": {
+          "L": 1,
+          "M": 90.6797,
+          "S": 0.0389
+        },
+        "31": {
+          "L": 1,
+          "M": 91.443,
+          "S": 0.0391
+        },
+        "32": {
+          "L": 1,
+          "M": 92.1906,
+          "S": 0.0393
+        },
+        "33": {
+          "L": 1,
+          "M": 92.9239,
+          "S": 0.0395
+        },
+        "34": {
+          "L": 1,
+          "M": 93.6444,
+          "S": 0.0397
+        },
+        "35": {
+          "L": 1,
+          "M": 94.3533,
+          "S": 0.0399
+        },
+        "36": {
+          "L": 0.5472,
+          "M": 95.4078,
+          "S": 0.0413
+        },
+        "37": {
+          "L": 0.4997,
+          "M": 95.9472,
+          "S": 0.0412
+        },
+        "38": {
+          "L": 0.4525,
+          "M": 96.4867,
+          "S": 0.0411
+        },
+        "39": {
+          "L": 0.4056,
+          "M": 97.0262,
+          "S": 0.041
+        },
+        "40": {
+          "L": 0.359,
+          "M": 97.5658,
+          "S": 0.0409
+        },
+        "41": {
+          "L": 0.3126,
+          "M": 98.1054,
+          "S": 0.0408
+        },
+        "42": {
+          "L": 0.2825,
+          "M": 98.6465,
+          "S": 0.0407
+        },
+        "43": {
+          "L": 0.2526,
+          "M": 99.1877,
+          "S": 0.0406
+        },
+        "44": {
+          "L": 0.2229,
+          "M": 99.7288,
+          "S": 0.0405
+        },
+        "45": {
+          "L": 0.1934,
+          "M": 100.27,
+          "S": 0.0404
+        },
+        "46": {
+          "L": 0.164,
+          "M": 100.8113,
+          "S": 0.0403
+        },
+        "47": {
+          "L": 0.1348,
+          "M": 101.3525,
+          "S": 0.0402
+        },
+        "48": {
+          "L": 0.1129,
+          "M": 101.8943,
+          "S": 0.0401
+        },
+        "49": {
+          "L": 0.0912,
+          "M": 102.4361,
+          "S": 0.04
+        },
+        "50": {
+          "L": 0.0695,
+          "M": 102.9779,
+          "S": 0.0399
+        },
+        "51": {
+          "L": 0.048,
+          "M": 103.5197,
+          "S": 0.0398
+        },
+        "52": {
+          "L": 0.0267,
+          "M": 104.0616,
+          "S": 0.0397
+        },
+        "53": {
+          "L": 0.0054,
+          "M": 104.6034,
+          "S": 0.0396
+        },
+        "54": {
+          "L": -0.0216,
+          "M": 105.1425,
+          "S": 0.0395
+        },
+        "55": {
+          "L": -0.0484,
+          "M": 105.6816,
+          "S": 0.0395
+        },
+        "56": {
+          "L": -0.0751,
+          "M": 106.2208,
+          "S": 0.0394
+        },
+        "57": {
+          "L": -0.1016,
+          "M": 106.76,
+          "S": 0.0393
+        },
+        "58": {
+          "L": -0.128,
+          "M": 107.2992,
+          "S": 0.0392
+        },
+        "59": {
+          "L": -0.1543,
+          "M": 107.8384,
+          "S": 0.0391
+        },
+        "60": {
+          "L": -0.1404,
+          "M": 108.3714,
+          "S": 0.039
+        },
+        "61": {
+          "L": -0.1266,
+          "M": 108.9045,
+          "S": 0.039
+        },
+        "62": {
+          "L": -0.113,
+          "M": 109.4375,
+          "S": 0.0389
+        },
+        "63": {
+          "L": -0.0994,
+          "M": 109.9706,
+          "S": 0.0389
+        },
+        "64": {
+          "L": -0.086,
+          "M": 110.5036,
+          "S": 0.0388
+        },
+        "65": {
+          "L": -0.0726,
+          "M": 111.0366,
+          "S": 0.0388
+        },
+        "66": {
+          "L": -0.0272,
+          "M": 111.5656,
+          "S": 0.0388
+        },
+        "67": {
+          "L": 0.0175,
+          "M": 112.0946,
+          "S": 0.0388
+        },
+        "68": {
+          "L": 0.0614,
+          "M": 112.6235,
+          "S": 0.0388
+        },
+        "69": {
+          "L": 0.1047,
+          "M": 113.1523,
+          "S": 0.0388
+        },
+        "70": {
+          "L": 0.1472,
+          "M": 113.6811,
+          "S": 0.0388
+        },
+        "71": {
+          "L": 0.1891,
+          "M": 114.2098,
+          "S": 0.0388
+        },
+        "72": {
+          "L": 0.2115,
+          "M": 114.7289,
+          "S": 0.0388
+        },
+        "73": {
+          "L": 0.2335,
+          "M": 115.2479,
+          "S": 0.0388
+        },
+        "74": {
+          "L": 0.255,
+          "M": 115.767,
+          "S": 0.0389
+        },
+        "75": {
+          "L": 0.2762,
+          "M": 116.286,
+          "S": 0.0389
+        },
+        "76": {
+          "L": 0.297,
+          "M": 116.805,
+          "S": 0.039
+        },
+        "77": {
+          "L": 0.3174,
+          "M": 117.324,
+          "S": 0.039
+        },
+        "78": {
+          "L": 0.2769,
+          "M": 117.8257,
+          "S": 0.0391
+        },
+        "79": {
+          "L": 0.2373,
+          "M": 118.3274,
+          "S": 0.0391
+        },
+        "80": {
+          "L": 0.1986,
+          "M": 118.8292,
+          "S": 0.0392
+        },
+        "81": {
+          "L": 0.1606,
+          "M": 119.331,
+          "S": 0.0393
+        },
+        "82": {
+          "L": 0.1235,
+          "M": 119.8329,
+          "S": 0.0394
+        },
+        "83": {
+          "L": 0.0872,
+          "M": 120.3348,
+          "S": 0.0394
+        },
+        "84": {
+          "L": 0.0163,
+          "M": 120.8229,
+          "S": 0.0396
+        },
+        "85": {
+          "L": -0.0528,
+          "M": 121.311,
+          "S": 0.0397
+        },
+        "86": {
+          "L": -0.1201,
+          "M": 121.7993,
+          "S": 0.0398
+        },
+        "87": {
+          "L": -0.1857,
+          "M": 122.2876,
+          "S": 0.0399
+        },
+        "88": {
+          "L": -0.2496,
+          "M": 122.7761,
+          "S": 0.04
+        },
+        "89": {
+          "L": -0.3119,
+          "M": 123.2646,
+          "S": 0.0401
+        },
+        "90": {
+          "L": -0.3571,
+          "M": 123.7505,
+          "S": 0.0402
+        },
+        "91": {
+          "L": -0.4012,
+          "M": 124.2364,
+          "S": 0.0404
+        },
+        "92": {
+          "L": -0.4442,
+          "M": 124.7224,
+          "S": 0.0405
+        },
+        "93": {
+          "L": -0.4862,
+          "M": 125.2084,
+          "S": 0.0406
+        },
+        "94": {
+          "L": -0.5271,
+          "M": 125.6944,
+          "S": 0.0407
+        },
+        "95": {
+          "L": -0.567,
+          "M": 126.1805,
+          "S": 0.0408
+        },
+        "96": {
+          "L": -0.5993,
+          "M": 126.6703,
+          "S": 0.041
+        },
+        "97": {
+          "L": -0.6308,
+          "M": 127.1601,
+          "S": 0.0411
+        },
+        "98": {
+          "L": -0.6616,
+          "M": 127.65,
+          "S": 0.0412
+        },
+        "99": {
+          "L": -0.6918,
+          "M": 128.1399,
+          "S": 0.0413
+        },
+        "100": {
+          "L": -0.7213,
+          "M": 128.6297,
+          "S": 0.0414
+        },
+        "101": {
+          "L": -0.7502,
+          "M": 129.1197,
+          "S": 0.0415
+        },
+        "102": {
+          "L": -0.779,
+          "M": 129.6197,
+          "S": 0.0416
+        },
+        "103": {
+          "L": -0.807,
+          "M": 130.1199,
+          "S": 0.0417
+        },
+        "104": {
+          "L": -0.8342,
+          "M": 130.62,
+          "S": 0.0418
+        },
+        "105": {
+          "L": -0.8608,
+          "M": 131.1202,
+          "S": 0.042
+        },
+        "106": {
+          "L": -0.8868,
+          "M": 131.6204,
+          "S": 0.0421
+        },
+        "107": {
+          "L": -0.9121,
+          "M": 132.1207,
+          "S": 0.0422
+        },
+        "108": {
+          "L": -0.8812,
+          "M": 132.6442,
+          "S": 0.0423
+        },
+        "109": {
+          "L": -0.851,
+          "M": 133.1677,
+          "S": 0.0425
+        },
+        "110": {
+          "L": -0.8214,
+          "M": 133.6912,
+          "S": 0.0426
+        },
+        "111": {
+          "L": -0.7924,
+          "M": 134.2147,
+          "S": 0.0428
+        },
+        "112": {
+          "L": -0.764,
+          "M": 134.7382,
+          "S": 0.0429
+        },
+        "113": {
+          "L": -0.7362,
+          "M": 135.2617,
+          "S": 0.043
+        },
+        "114": {
+          "L": -0.6545,
+          "M": 135.8116,
+          "S": 0.0432
+        },
+        "115": {
+          "L": -0.574,
+          "M": 136.3617,
+          "S": 0.0433
+        },
+        "116": {
+          "L": -0.4946,
+          "M": 136.9119,
+          "S": 0.0434
+        },
+        "117": {
+          "L": -0.4162,
+          "M": 137.4622,
+          "S": 0.0435
+        },
+        "118": {
+          "L": -0.3389,
+          "M": 138.0126,
+          "S": 0.0436
+        },
+        "119": {
+          "L": -0.2627,
+          "M": 138.5631,
+          "S": 0.0438
+        },
+        "120": {
+          "L": -0.1573,
+          "M": 139.1218,
+          "S": 0.0438
+        },
+        "121": {
+          "L": -0.0528,
+          "M": 139.6805,
+          "S": 0.0439
+        },
+        "122": {
+          "L": 0.0509,
+          "M": 140.2395,
+          "S": 0.0439
+        },
+        "123": {
+          "L": 0.1538,
+          "M": 140.7986,
+          "S": 0.044
+        },
+        "124": {
+          "L": 0.2558,
+          "M": 141.3578,
+          "S": 0.044
+        },
+        "125": {
+          "L": 0.3569,
+          "M": 141.9172,
+          "S": 0.0441
+        },
+        "126": {
+          "L": 0.4653,
+          "M": 142.4689,
+          "S": 0.044
+        },
+        "127": {
+          "L": 0.5738,
+          "M": 143.0207,
+          "S": 0.044
+        },
+        "128": {
+          "L": 0.6821,
+          "M": 143.5726,
+          "S": 0.0439
+        },
+        "129": {
+          "L": 0.7904,
+          "M": 144.1246,
+          "S": 0.0438
+        },
+        "130": {
+          "L": 0.8986,
+          "M": 144.6765,
+          "S": 0.0438
+        },
+        "131": {
+          "L": 1.0066,
+          "M": 145.2285,
+          "S": 0.0437
+        },
+        "132": {
+          "L": 1.1242,
+          "M": 145.7568,
+          "S": 0.0435
+        },
+        "133": {
+          "L": 1.2433,
+          "M": 146.2852,
+          "S": 0.0433
+        },
+        "134": {
+          "L": 1.3638,
+          "M": 146.8136,
+          "S": 0.0431
+        },
+        "135": {
+          "L": 1.4857,
+          "M": 147.3421,
+          "S": 0.0429
+        },
+        "136": {
+          "L": 1.609,
+          "M": 147.8706,
+          "S": 0.0427
+        },
+        "137": {
+          "L": 1.7336,
+          "M": 148.399,
+          "S": 0.0425
+        },
+        "138": {
+          "L": 1.8239,
+          "M": 148.8746,
+          "S": 0.0421
+        },
+        "139": {
+          "L": 1.9161,
+          "M": 149.3501,
+          "S": 0.0418
+        },
+        "140": {
+          "L": 2.0103,
+          "M": 149.8256,
+          "S": 0.0415
+        },
+        "141": {
+          "L": 2.1065,
+          "M": 150.3011,
+          "S": 0.0412
+        },
+        "142": {
+          "L": 2.2047,
+          "M": 150.7766,
+          "S": 0.0409
+        },
+        "143": {
+          "L": 2.3049,
+          "M": 151.2521,
+          "S": 0.0406
+        },
+        "144": {
+          "L": 2.3447,
+          "M": 151.6571,
+          "S": 0.0402
+        },
+        "145": {
+          "L": 2.3855,
+          "M": 152.0621,
+          "S": 0.0399
+        },
+        "146": {
+          "L": 2.4272,
+          "M": 152.4672,
+          "S": 0.0395
+        },
+        "147": {
+          "L": 2.4699,
+          "M": 152.8722,
+          "S": 0.0392
+        },
+        "148": {
+          "L": 2.5136,
+          "M": 153.2772,
+          "S": 0.0388
+        },
+        "149": {
+          "L": 2.5584,
+          "M": 153.6821,
+          "S": 0.0385
+        },
+        "150": {
+          "L": 2.5648,
+          "M": 154.0138,
+          "S": 0.0382
+        },
+        "151": {
+          "L": 2.5712,
+          "M": 154.3455,
+          "S": 0.0378
+        },
+        "152": {
+          "L": 2.5775,
+          "M": 154.6772,
+          "S": 0.0375
+        },
+        "153": {
+          "L": 2.5837,
+          "M": 155.0089,
+          "S": 0.0372
+        },
+        "154": {
+          "L": 2.5899,
+          "M": 155.3405,
+          "S": 0.0368
+        },
+        "155": {
+          "L": 2.5959,
+          "M": 155.6722,
+          "S": 0.0365
+        },
+        "156": {
+          "L": 2.5607,
+          "M": 155.9198,
+          "S": 0.0362
+        },
+        "157": {
+          "L": 2.5239,
+          "M": 156.1672,
+          "S": 0.036
+        },
+        "158": {
+          "L": 2.4856,
+          "M": 156.4146,
+          "S": 0.0357
+        },
+        "159": {
+          "L": 2.4458,
+          "M": 156.6619,
+          "S": 0.0355
+        },
+        "160": {
+          "L": 2.4042,
+          "M": 156.9091,
+          "S": 0.0352
+        },
+        "161": {
+          "L": 2.3609,
+          "M": 157.1562,
+          "S": 0.035
+        },
+        "162": {
+          "L": 2.3149,
+          "M": 157.3292,
+          "S": 0.0348
+        },
+        "163": {
+          "L": 2.2677,
+          "M": 157.5021,
+          "S": 0.0346
+        },
+        "164": {
+          "L": 2.2195,
+          "M": 157.675,
+          "S": 0.0345
+        },
+        "165": {
+          "L": 2.1701,
+          "M": 157.8478,
+          "S": 0.0343
+        },
+        "166": {
+          "L": 2.1196,
+          "M": 158.0205,
+          "S": 0.0342
+        },
+        "167": {
+          "L": 2.0679,
+          "M": 158.1932,
+          "S": 0.034
+        },
+        "168": {
+          "L": 2.0549,
+          "M": 158.3159,
+          "S": 0.0339
+        },
+        "169": {
+          "L": 2.0417,
+          "M": 158.4387,
+          "S": 0.0338
+        },
+        "170": {
+          "L": 2.0284,
+          "M": 158.5614,
+          "S": 0.0337
+        },
+        "171": {
+          "L": 2.015,
+          "M": 158.6842,
+          "S": 0.0336
+        },
+        "172": {
+          "L": 2.0014,
+          "M": 158.8069,
+          "S": 0.0335
+        },
+        "173": {
+          "L": 1.9877,
+          "M": 158.9297,
+          "S": 0.0335
+        },
+        "174": {
+          "L": 1.967,
+          "M": 159.0139,
+          "S": 0.0334
+        },
+        "175": {
+          "L": 1.9462,
+          "M": 159.0981,
+          "S": 0.0333
+        },
+        "176": {
+          "L": 1.9254,
+          "M": 159.1823,
+          "S": 0.0332
+        },
+        "177": {
+          "L": 1.9045,
+          "M": 159.2666,
+          "S": 0.0332
+        },
+        "178": {
+          "L": 1.8835,
+          "M": 159.3508,
+          "S": 0.0331
+        },
+        "179": {
+          "L": 1.8625,
+          "M": 159.4351,
+          "S": 0.033
+        },
+        "180": {
+          "L": 1.79,
+          "M": 159.4917,
+          "S": 0.033
+        },
+        "181": {
+          "L": 1.7178,
+          "M": 159.5483,
+          "S": 0.033
+        },
+        "182": {
+          "L": 1.6457,
+          "M": 159.6051,
+          "S": 0.0329
+        },
+        "183": {
+          "L": 1.5739,
+          "M": 159.6619,
+          "S": 0.0329
+        },
+        "184": {
+          "L": 1.5022,
+          "M": 159.7189,
+          "S": 0.0328
+        },
+        "185": {
+          "L": 1.4308,
+          "M": 159.776,
+          "S": 0.0328
+        },
+        "186": {
+          "L": 1.3515,
+          "M": 159.8149,
+          "S": 0.0328
+        },
+        "187": {
+          "L": 1.2721,
+          "M": 159.8539,
+          "S": 0.0327
+        },
+        "188": {
+          "L": 1.1928,
+          "M": 159.893,
+          "S": 0.0327
+        },
+        "189": {
+          "L": 1.1134,
+          "M": 159.9321,
+          "S": 0.0326
+        },
+        "190": {
+          "L": 1.034,
+          "M": 159.9714,
+          "S": 0.0326
+        },
+        "191": {
+          "L": 0.9547,
+          "M": 160.0107,
+          "S": 0.0325
+        },
+        "192": {
+          "L": 0.8678,
+          "M": 160.0286,
+          "S": 0.0325
+        },
+        "193": {
+          "L": 0.7803,
+          "M": 160.0465,
+          "S": 0.0324
+        },
+        "194": {
+          "L": 0.6921,
+          "M": 160.0644,
+          "S": 0.0323
+        },
+        "195": {
+          "L": 0.6032,
+          "M": 160.0823,
+          "S": 0.0322
+        },
+        "196": {
+          "L": 0.5137,
+          "M": 160.1002,
+          "S": 0.0322
+        },
+        "197": {
+          "L": 0.4236,
+          "M": 160.1182,
+          "S": 0.0321
+        },
+        "198": {
+          "L": 0.332,
+          "M": 160.1342,
+          "S": 0.032
+        },
+        "199": {
+          "L": 0.2396,
+          "M": 160.1502,
+          "S": 0.032
+        },
+        "200": {
+          "L": 0.1464,
+          "M": 160.1661,
+          "S": 0.0319
+        },
+        "201": {
+          "L": 0.0522,
+          "M": 160.1821,
+          "S": 0.0318
+        },
+        "202": {
+          "L": -0.0428,
+          "M": 160.198,
+          "S": 0.0317
+        },
+        "203": {
+          "L": -0.1387,
+          "M": 160.214,
+          "S": 0.0317
+        },
+        "204": {
+          "L": -0.164,
+          "M": 160.2483,
+          "S": 0.0316
+        },
+        "205": {
+          "L": -0.1896,
+          "M": 160.2827,
+          "S": 0.0316
+        },
+        "206": {
+          "L": -0.2154,
+          "M": 160.317,
+          "S": 0.0315
+        },
+        "207": {
+          "L": -0.2414,
+          "M": 160.3514,
+          "S": 0.0315
+        },
+        "208": {
+          "L": -0.2675,
+          "M": 160.3857,
+          "S": 0.0314
+        },
+        "209": {
+          "L": -0.294,
+          "M": 160.42,
+          "S": 0.0314
+        },
+        "210": {
+          "L": -0.311,
+          "M": 160.4524,
+          "S": 0.0313
+        },
+        "211": {
+          "L": -0.3282,
+          "M": 160.4847,
+          "S": 0.0313
+        },
+        "212": {
+          "L": -0.3456,
+          "M": 160.5171,
+          "S": 0.0313
+        },
+        "213": {
+          "L": -0.3631,
+          "M": 160.5494,
+          "S": 0.0312
+        },
+        "214": {
+          "L": -0.3808,
+          "M": 160.5817,
+          "S": 0.0312
+        },
+        "215": {
+          "L": -0.3985,
+          "M": 160.614,
+          "S": 0.0311
+        },
+        "216": {
+          "L": -0.4107,
+          "M": 160.6484,
+          "S": 0.0311
+        },
+        "217": {
+          "L": -0.4229,
+          "M": 160.6827,
+          "S": 0.031
+        },
+        "218": {
+          "L": -0.4352,
+          "M": 160.7171,
+          "S": 0.031
+        },
+        "219": {
+          "L": -0.4476,
+          "M": 160.7514,
+          "S": 0.031
+        },
+        "220": {
+          "L": -0.4601,
+          "M": 160.7857,
+          "S": 0.0309
+        },
+        "221": {
+          "L": -0.4727,
+          "M": 160.82,
+          "S": 0.0309
+        },
+        "222": {
+          "L": -0.4804,
+          "M": 160.8591,
+          "S": 0.0309
+        },
+        "223": {
+          "L": -0.4881,
+          "M": 160.8981,
+          "S": 0.0308
+        },
+        "224": {
+          "L": -0.4959,
+          "M": 160.9372,
+          "S": 0.0308
+        },
+        "225": {
+          "L": -0.5037,
+          "M": 160.9762,
+          "S": 0.0307
+        },
+        "226": {
+          "L": -0.5116,
+          "M": 161.0153,
+          "S": 0.0307
+        },
+        "227": {
+          "L": -0.5195,
+          "M": 161.0543,
+          "S": 0.0307
+        }
+      },
+      "weight": {
+        "0": {
+          "L": 0.3809,
+          "M": 3.2322,
+          "S": 0.1417
+        },
+        "1": {
+          "L": 0.1714,
+          "M": 4.1873,
+          "S": 0.1372
+        },
+        "2": {
+          "L": 0.0962,
+          "M": 5.1282,
+          "S": 0.13
+        },
+        "3": {
+          "L": 0.0402,
+          "M": 5.8458,
+          "S": 0.1262
+        },
+        "4": {
+          "L": -0.005,
+          "M": 6.4237,
+          "S": 0.124
+        },
+        "5": {
+          "L": -0.043,
+          "M": 6.8985,
+          "S": 0.1227
+        },
+        "6": {
+          "L": -0.0756,
+          "M": 7.297,
+          "S": 0.122
+        },
+        "7": {
+          "L": -0.1039,
+          "M": 7.6422,
+          "S": 0.1218
+        },
+        "8": {
+          "L": -0.1288,
+          "M": 7.9487,
+          "S": 0.1218
+        },
+        "9": {
+          "L": -0.1507,
+          "M": 8.2254,
+          "S": 0.122
+        },
+        "10": {
+          "L": -0.17,
+          "M": 8.48,
+          "S": 0.1222
+        },
+        "11": {
+          "L": -0.1872,
+          "M": 8.7192,
+          "S": 0.1225
+        },
+        "12": {
+          "L": -0.2024,
+          "M": 8.9481,
+          "S": 0.1227
+        },
+        "13": {
+          "L": -0.2158,
+          "M": 9.1699,
+          "S": 0.1228
+        },
+        "14": {
+          "L": -0.2278,
+          "M": 9.387,
+          "S": 0.1229
+        },
+        "15": {
+          "L": -0.2384,
+          "M": 9.6008,
+          "S": 0.123
+        },
+        "16": {
+          "L": -0.2478,
+          "M": 9.8124,
+          "S": 0.123
+        },
+        "17": {
+          "L": -0.2562,
+          "M": 10.0226,
+          "S": 0.1231
+        },
+        "18": {
+          "L": -0.2637,
+          "M": 10.2315,
+          "S": 0.1231
+        },
+        "19": {
+          "L": -0.2703,
+          "M": 10.4393,
+          "S": 0.1232
+        },
+        "20": {
+          "L": -0.2762,
+          "M": 10.6464,
+          "S": 0.1232
+        },
+        "21": {
+          "L": -0.2815,
+          "M": 10.8534,
+          "S": 0.1234
+        },
+        "22": {
+          "L": -0.2862,
+          "M": 11.0608,
+          "S": 0.1235
+        },
+        "23": {
+          "L": -0.2903,
+          "M": 11.2688,
+          "S": 0.1237
+        },
+        "24": {
+          "L": -0.2941,
+          "M": 11.4775,
+          "S": 0.1239
+        },
+        "25": {
+          "L": -0.2975,
+          "M": 11.6864,
+          "S": 0.1241
+        },
+        "26": {
+          "L": -0.3005,
+          "M": 11.8947,
+          "S": 0.1244
+        },
+        "27": {
+          "L": -0.3032,
+          "M": 12.1015,
+          "S": 0.1247
+        },
+        "28": {
+          "L": -0.3057,
+          "M": 12.3059,
+          "S": 0.1251
+        },
+        "29": {
+          "L": -0.308,
+          "M": 12.5073,
+          "S": 0.1255
+        },
+        "30": {
+          "L": -0.3101,
+          "M": 12.7055,
+          "S": 0.1259
+        },
+        "31": {
+          "L": -0.312,
+          "M": 12.9006,
+          "S": 0.1263
+        },
+        "32": {
+          "L": -0.3138,
+          "M": 13.093,
+          "S": 0.1268
+        },
+        "33": {
+          "L": -0.3155,
+          "M": 13.2837,
+          "S": 0.1274
+        },
+        "34": {
+          "L": -0.3171,
+          "M": 13.4731,
+          "S": 0.1279
+        },
+        "35": {
+          "L": -0.3186,
+          "M": 13.6618,
+          "S": 0.1286
+        },
+        "36": {
+          "L": 0.5656,
+          "M": 14.1998,
+          "S": 0.0991
+        },
+        "37": {
+          "L": 0.4441,
+          "M": 14.3701,
+          "S": 0.1004
+        },
+        "38": {
+          "L": 0.3317,
+          "M": 14.5405,
+          "S": 0.1017
+        },
+        "39": {
+          "L": 0.2276,
+          "M": 14.7108,
+          "S": 0.103
+        },
+        "40": {
+          "L": 0.1312,
+          "M": 14.8813,
+          "S": 0.1042
+        },
+        "41": {
+          "L": 0.0419,
+          "M": 15.0518,
+          "S": 0.1053
+        },
+        "42": {
+          "L": -0.0428,
+          "M": 15.2236,
+          "S": 0.1064
+        },
+        "43": {
+          "L": -0.1212,
+          "M": 15.3956,
+          "S": 0.1075
+        },
+        "44": {
+          "L": -0.1938,
+          "M": 15.5676,
+          "S": 0.1085
+        },
+        "45": {
+          "L": -0.2611,
+          "M": 15.7399,
+          "S": 0.1095
+        },
+        "46": {
+          "L": -0.3236,
+          "M": 15.9123,
+          "S": 0.1105
+        },
+        "47": {
+          "L": -0.3816,
+          "M": 16.0848,
+          "S": 0.1114
+        },
+        "48": {
+          "L": -0.4372,
+          "M": 16.2585,
+          "S": 0.1124
+        },
+        "49": {
+          "L": -0.4888,
+          "M": 16.4324,
+          "S": 0.1133
+        },
+        "50": {
+          "L": -0.5367,
+          "M": 16.6064,
+          "S": 0.1142
+        },
+        "51": {
+          "L": -0.5812,
+          "M": 16.7806,
+          "S": 0.115
+        },
+        "52": {
+          "L": -0.6227,
+          "M": 16.9549,
+          "S": 0.1159
+        },
+        "53": {
+          "L": -0.6613,
+          "M": 17.1294,
+          "S": 0.1167
+        },
+        "54": {
+          "L": -0.6987,
+          "M": 17.3046,
+          "S": 0.1175
+        },
+        "55": {
+          "L": -0.7335,
+          "M": 17.48,
+          "S": 0.1183
+        },
+        "56": {
+          "L": -0.766,
+          "M": 17.6555,
+          "S": 0.119
+        },
+        "57": {
+          "L": -0.7962,
+          "M": 17.8311,
+          "S": 0.1198
+        },
+        "58": {
+          "L": -0.8245,
+          "M": 18.0069,
+          "S": 0.1205
+        },
+        "59": {
+          "L": -0.8509,
+          "M": 18.1827,
+          "S": 0.1212
+        },
+        "60": {
+          "L": -0.876,
+          "M": 18.3616,
+          "S": 0.122
+        },
+        "61": {
+          "L": -0.8993,
+          "M": 18.5405,
+          "S": 0.1228
+        },
+        "62": {
+          "L": -0.921,
+          "M": 18.7196,
+          "S": 0.1236
+        },
+        "63": {
+          "L": -0.9412,
+          "M": 18.8988,
+          "S": 0.1243
+        },
+        "64": {
+          "L": -0.96,
+          "M": 19.078,
+          "S": 0.125
+        },
+        "65": {
+          "L": -0.9776,
+          "M": 19.2574,
+          "S": 0.1257
+        },
+        "66": {
+          "L": -0.984,
+          "M": 19.4555,
+          "S": 0.127
+        },
+        "67": {
+          "L": -0.9894,
+          "M": 19.6537,
+          "S": 0.1281
+        },
+        "68": {
+          "L": -0.9941,
+          "M": 19.8519,
+          "S": 0.1293
+        },
+        "69": {
+          "L": -0.9981,
+          "M": 20.0502,
+          "S": 0.1304
+        },
+        "70": {
+          "L": -1.0014,
+          "M": 20.2485,
+          "S": 0.1315
+        },
+        "71": {
+          "L": -1.0041,
+          "M": 20.4468,
+          "S": 0.1326
+        },
+        "72": {
+          "L": -0.9954,
+          "M": 20.6619,
+          "S": 0.134
+        },
+        "73": {
+          "L": -0.9868,
+          "M": 20.8769,
+          "S": 0.1353
+        },
+        "74": {
+          "L": -0.9784,
+          "M": 21.092,
+          "S": 0.1367
+        },
+        "75": {
+          "L": -0.97,
+          "M": 21.3071,
+          "S": 0.138
+        },
+        "76": {
+          "L": -0.9618,
+          "M": 21.5221,
+          "S": 0.1392
+        },
+        "77": {
+          "L": -0.9537,
+          "M": 21.7372,
+          "S": 0.1405
+        },
+        "78": {
+          "L": -0.9411,
+          "M": 21.9702,
+          "S": 0.1418
+        },
+        "79": {
+          "L": -0.9288,
+          "M": 22.2032,
+          "S": 0.1432
+        },
+        "80": {
+          "L": -0.9169,
+          "M": 22.4363,
+          "S": 0.1445
+        },
+        "81": {
+          "L": -0.9054,
+          "M": 22.6693,
+          "S": 0.1458
+        },
+        "82": {
+          "L": -0.8942,
+          "M": 22.9023,
+          "S": 0.1471
+        },
+        "83": {
+          "L": -0.8833,
+          "M": 23.1353,
+          "S": 0.1484
+        },
+        "84": {
+          "L": -0.8685,
+          "M": 23.387,
+          "S": 0.1497
+        },
+        "85": {
+          "L": -0.8541,
+          "M": 23.6386,
+          "S": 0.1511
+        },
+        "86": {
+          "L": -0.8403,
+          "M": 23.8903,
+          "S": 0.1524
+        },
+        "87": {
+          "L": -0.8271,
+          "M": 24.1419,
+          "S": 0.1536
+        },
+        "88": {
+          "L": -0.8142,
+          "M": 24.3935,
+          "S": 0.1549
+        },
+        "89": {
+          "L": -0.8019,
+          "M": 24.6451,
+          "S": 0.1561
+        },
+        "90": {
+          "L": -0.7852,
+          "M": 24.9161,
+          "S": 0.1574
+        },
+        "91": {
+          "L": -0.7693,
+          "M": 25.1871,
+          "S": 0.1586
+        },
+        "92": {
+          "L": -0.7539,
+          "M": 25.4581,
+          "S": 0.1598
+        },
+        "93": {
+          "L": -0.7392,
+          "M": 25.7291,
+          "S": 0.1609
+        },
+        "94": {
+          "L": -0.725,
+          "M": 26.0001,
+          "S": 0.1621
+        },
+        "95": {
+          "L": -0.7114,
+          "M": 26.271,
+          "S": 0.1632
+        },
+        "96": {
+          "L": -0.6971,
+          "M": 26.5602,
+          "S": 0.1643
+        },
+        "97": {
+          "L": -0.6834,
+          "M": 26.8493,
+          "S": 0.1654
+        },
+        "98": {
+          "L": -0.6702,
+          "M": 27.1385,
+          "S": 0.1665
+        },
+        "99": {
+          "L": -0.6574,
+          "M": 27.4276,
+          "S": 0.1675
+        },
+        "100": {
+          "L": -0.6451,
+          "M": 27.7167,
+          "S": 0.1685
+        },
+        "101": {
+          "L": -0.6333,
+          "M": 28.0058,
+          "S": 0.1695
+        },
+        "102": {
+          "L": -0.6214,
+          "M": 28.3163,
+          "S": 0.1705
+        },
+        "103": {
+          "L": -0.6098,
+          "M": 28.6269,
+          "S": 0.1714
+        },
+        "104": {
+          "L": -0.5987,
+          "M": 28.9374,
+          "S": 0.1723
+        },
+        "105": {
+          "L": -0.5879,
+          "M": 29.248,
+          "S": 0.1732
+        },
+        "106": {
+          "L": -0.5775,
+          "M": 29.5585,
+          "S": 0.1741
+        },
+        "107": {
+          "L": -0.5675,
+          "M": 29.869,
+          "S": 0.1749
+        },
+        "108": {
+          "L": -0.5521,
+          "M": 30.2033,
+          "S": 0.1758
+        },
+        "109": {
+          "L": -0.5373,
+          "M": 30.5375,
+          "S": 0.1766
+        },
+        "110": {
+          "L": -0.5229,
+          "M": 30.8718,
+          "S": 0.1774
+        },
+        "111": {
+          "L": -0.509,
+          "M": 31.2061,
+          "S": 0.1782
+        },
+        "112": {
+          "L": -0.4956,
+          "M": 31.5404,
+          "S": 0.179
+        },
+        "113": {
+          "L": -0.4825,
+          "M": 31.8748,
+          "S": 0.1798
+        },
+        "114": {
+          "L": -0.4623,
+          "M": 32.2323,
+          "S": 0.1806
+        },
+        "115": {
+          "L": -0.4427,
+          "M": 32.59,
+          "S": 0.1815
+        },
+        "116": {
+          "L": -0.4237,
+          "M": 32.9478,
+          "S": 0.1823
+        },
+        "117": {
+          "L": -0.4052,
+          "M": 33.3056,
+          "S": 0.1831
+        },
+        "118": {
+          "L": -0.3874,
+          "M": 33.6636,
+          "S": 0.1838
+        },
+        "119": {
+          "L": -0.37,
+          "M": 34.0216,
+          "S": 0.1846
+        },
+        "120": {
+          "L": -0.3496,
+          "M": 34.4014,
+          "S": 0.1852
+        },
+        "121": {
+          "L": -0.3297,
+          "M": 34.7815,
+          "S": 0.1858
+        },
+        "122": {
+          "L": -0.3103,
+          "M": 35.1617,
+          "S": 0.1864
+        },
+        "123": {
+          "L": -0.2914,
+          "M": 35.5421,
+          "S": 0.1869
+        },
+        "124": {
+          "L": -0.2729,
+          "M": 35.9226,
+          "S": 0.1875
+        },
+        "125": {
+          "L": -0.2548,
+          "M": 36.3033,
+          "S": 0.188
+        },
+        "126": {
+          "L": -0.2377,
+          "M": 36.7011,
+          "S": 0.1882
+        },
+        "127": {
+          "L": -0.2209,
+          "M": 37.0992,
+          "S": 0.1883
+        },
+        "128": {
+          "L": -0.2043,
+          "M": 37.4974,
+          "S": 0.1884
+        },
+        "129": {
+          "L": -0.188,
+          "M": 37.8958,
+          "S": 0.1885
+        },
+        "130": {
+          "L": -0.1719,
+          "M": 38.2944,
+          "S": 0.1886
+        },
+        "131": {
+          "L": -0.156,
+          "M": 38.6931,
+          "S": 0.1887
+        },
+        "132": {
+          "L": -0.1419,
+          "M": 39.0908,
+          "S": 0.1884
+        },
+        "133": {
+          "L": -0.1278,
+          "M": 39.4887,
+          "S": 0.1881
+        },
+        "134": {
+          "L": -0.1138,
+          "M": 39.8868,
+          "S": 0.1878
+        },
+        "135": {
+          "L": -0.0998,
+          "M": 40.2851,
+          "S": 0.1875
+        },
+        "136": {
+          "L": -0.0859,
+          "M": 40.6835,
+          "S": 0.1872
+        },
+        "137": {
+          "L": -0.072,
+          "M": 41.0821,
+          "S": 0.1869
+        },
+        "138": {
+          "L": -0.0641,
+          "M": 41.4657,
+          "S": 0.1862
+        },
+        "139": {
+          "L": -0.0562,
+          "M": 41.8495,
+          "S": 0.1855
+        },
+        "140": {
+          "L": -0.0481,
+          "M": 42.2333,
+          "S": 0.1848
+        },
+        "141": {
+          "L": -0.04,
+          "M": 42.6173,
+          "S": 0.1842
+        },
+        "142": {
+          "L": -0.0318,
+          "M": 43.0013,
+          "S": 0.1835
+        },
+        "143": {
+          "L": -0.0235,
+          "M": 43.3855,
+          "S": 0.1829
+        },
+        "144": {
+          "L": -0.0241,
+          "M": 43.74,
+          "S": 0.1818
+        },
+        "145": {
+          "L": -0.0246,
+          "M": 44.0946,
+          "S": 0.1808
+        },
+        "146": {
+          "L": -0.0251,
+          "M": 44.4491,
+          "S": 0.1798
+        },
+        "147": {
+          "L": -0.0255,
+          "M": 44.8037,
+          "S": 0.1788
+        },
+        "148": {
+          "L": -0.0258,
+          "M": 45.1584,
+          "S": 0.1778
+        },
+        "149": {
+          "L": -0.026,
+          "M": 45.513,
+          "S": 0.1769
+        },
+        "150": {
+          "L": -0.0326,
+          "M": 45.8261,
+          "S": 0.1756
+        },
+        "151": {
+          "L": -0.0391,
+          "M": 46.1391,
+          "S": 0.1743
+        },
+        "152": {
+          "L": -0.0457,
+          "M": 46.4522,
+          "S": 0.173
+        },
+        "153": {
+          "L": -0.0523,
+          "M": 46.7652,
+          "S": 0.1717
+        },
+        "154": {
+          "L": -0.0589,
+          "M": 47.0782,
+          "S": 0.1705
+        },
+        "155": {
+          "L": -0.0655,
+          "M": 47.3912,
+          "S": 0.1693
+        },
+        "156": {
+          "L": -0.0745,
+          "M": 47.6564,
+          "S": 0.1679
+        },
+        "157": {
+          "L": -0.0837,
+          "M": 47.9216,
+          "S": 0.1666
+        },
+        "158": {
+          "L": -0.0929,
+          "M": 48.1868,
+          "S": 0.1653
+        },
+        "159": {
+          "L": -0.1021,
+          "M": 48.4519,
+          "S": 0.164
+        },
+        "160": {
+          "L": -0.1115,
+          "M": 48.7171,
+          "S": 0.1627
+        },
+        "161": {
+          "L": -0.1208,
+          "M": 48.9822,
+          "S": 0.1614
+        },
+        "162": {
+          "L": -0.129,
+          "M": 49.2069,
+          "S": 0.1603
+        },
+        "163": {
+          "L": -0.1372,
+          "M": 49.4315,
+          "S": 0.1591
+        },
+        "164": {
+          "L": -0.1455,
+          "M": 49.6562,
+          "S": 0.158
+        },
+        "165": {
+          "L": -0.1538,
+          "M": 49.8809,
+          "S": 0.1568
+        },
+        "166": {
+          "L": -0.1621,
+          "M": 50.1055,
+          "S": 0.1557
+        },
+        "167": {
+          "L": -0.1705,
+          "M": 50.3302,
+          "S": 0.1546
+        },
+        "168": {
+          "L": -0.1734,
+          "M": 50.5233,
+          "S": 0.1536
+        },
+        "169": {
+          "L": -0.1763,
+          "M": 50.7164,
+          "S": 0.1525
+        },
+        "170": {
+          "L": -0.1791,
+          "M": 50.9095,
+          "S": 0.1515
+        },
+        "171": {
+          "L": -0.1819,
+          "M": 51.1026,
+          "S": 0.1505
+        },
+        "172": {
+          "L": -0.1846,
+          "M": 51.2957,
+          "S": 0.1495
+        },
+        "173": {
+          "L": -0.1873,
+          "M": 51.4888,
+          "S": 0.1485
+        },
+        "174": {
+          "L": -0.1869,
+          "M": 51.6479,
+          "S": 0.1476
+        },
+        "175": {
+          "L": -0.1865,
+          "M": 51.807,
+          "S": 0.1467
+        },
+        "176": {
+          "L": -0.186,
+          "M": 51.966,
+          "S": 0.1458
+        },
+        "177": {
+          "L": -0.1854,
+          "M": 52.125,
+          "S": 0.1449
+        },
+        "178": {
+          "L": -0.1847,
+          "M": 52.284,
+          "S": 0.144
+        },
+        "179": {
+          "L": -0.1839,
+          "M": 52.443,
+          "S": 0.1431
+        },
+        "180": {
+          "L": -0.1846,
+          "M": 52.5631,
+          "S": 0.1424
+        },
+        "181": {
+          "L": -0.1852,
+          "M": 52.6832,
+          "S": 0.1417
+        },
+        "182": {
+          "L": -0.1857,
+          "M": 52.8033,
+          "S": 0.1409
+        },
+        "183": {
+          "L": -0.1862,
+          "M": 52.9233,
+          "S": 0.1402
+        },
+        "184": {
+          "L": -0.1867,
+          "M": 53.0434,
+          "S": 0.1395
+        },
+        "185": {
+          "L": -0.1871,
+          "M": 53.1634,
+          "S": 0.1388
+        },
+        "186": {
+          "L": -0.1901,
+          "M": 53.2482,
+          "S": 0.1382
+        },
+        "187": {
+          "L": -0.193,
+          "M": 53.3331,
+          "S": 0.1377
+        },
+        "188": {
+          "L": -0.196,
+          "M": 53.4179,
+          "S": 0.1371
+        },
+        "189": {
+          "L": -0.199,
+          "M": 53.5027,
+          "S": 0.1366
+        },
+        "190": {
+          "L": -0.2019,
+          "M": 53.5875,
+          "S": 0.1361
+        },
+        "191": {
+          "L": -0.2049,
+          "M": 53.6723,
+          "S": 0.1355
+        },
+        "192": {
+          "L": -0.21,
+          "M": 53.7253,
+          "S": 0.1351
+        },
+        "193": {
+          "L": -0.2151,
+          "M": 53.7783,
+          "S": 0.1346
+        },
+        "194": {
+          "L": -0.2202,
+          "M": 53.8313,
+          "S": 0.1342
+        },
+        "195": {
+          "L": -0.2253,
+          "M": 53.8843,
+          "S": 0.1338
+        },
+        "196": {
+          "L": -0.2305,
+          "M": 53.9373,
+          "S": 0.1334
+        },
+        "197": {
+          "L": -0.2357,
+          "M": 53.9903,
+          "S": 0.1329
+        },
+        "198": {
+          "L": -0.2499,
+          "M": 54.0055,
+          "S": 0.1326
+        },
+        "199": {
+          "L": -0.2643,
+          "M": 54.0208,
+          "S": 0.1323
+        },
+        "200": {
+          "L": -0.2788,
+          "M": 54.036,
+          "S": 0.1319
+        },
+        "201": {
+          "L": -0.2934,
+          "M": 54.0512,
+          "S": 0.1316
+        },
+        "202": {
+          "L": -0.3081,
+          "M": 54.0663,
+          "S": 0.1312
+        },
+        "203": {
+          "L": -0.323,
+          "M": 54.0815,
+          "S": 0.1309
+        },
+        "204": {
+          "L": -0.3423,
+          "M": 54.0797,
+          "S": 0.1306
+        },
+        "205": {
+          "L": -0.3619,
+          "M": 54.0778,
+          "S": 0.1303
+        },
+        "206": {
+          "L": -0.3816,
+          "M": 54.0759,
+          "S": 0.13
+        },
+        "207": {
+          "L": -0.4016,
+          "M": 54.0739,
+          "S": 0.1298
+        },
+        "208": {
+          "L": -0.4217,
+          "M": 54.0719,
+          "S": 0.1295
+        },
+        "209": {
+          "L": -0.4421,
+          "M": 54.0698,
+          "S": 0.1292
+        },
+        "210": {
+          "L": -0.4627,
+          "M": 54.0634,
+          "S": 0.1289
+        },
+        "211": {
+          "L": -0.4836,
+          "M": 54.057,
+          "S": 0.1286
+        },
+        "212": {
+          "L": -0.5046,
+          "M": 54.0505,
+          "S": 0.1284
+        },
+        "213": {
+          "L": -0.5259,
+          "M": 54.0439,
+          "S": 0.1281
+        },
+        "214": {
+          "L": -0.5474,
+          "M": 54.0373,
+          "S": 0.1278
+        },
+        "215": {
+          "L": -0.5691,
+          "M": 54.0306,
+          "S": 0.1275
+        },
+        "216": {
+          "L": -0.5908,
+          "M": 54.0217,
+          "S": 0.1273
+        },
+        "217": {
+          "L": -0.6128,
+          "M": 54.0126,
+          "S": 0.127
+        },
+        "218": {
+          "L": -0.6351,
+          "M": 54.0036,
+          "S": 0.1267
+        },
+        "219": {
+          "L": -0.6575,
+          "M": 53.9944,
+          "S": 0.1264
+        },
+        "220": {
+          "L": -0.6801,
+          "M": 53.9852,
+          "S": 0.1261
+        },
+        "221": {
+          "L": -0.703,
+          "M": 53.976,
+          "S": 0.1258
+        },
+        "222": {
+          "L": -0.7262,
+          "M": 53.9649,
+          "S": 0.1256
+        },
+        "223": {
+          "L": -0.7497,
+          "M": 53.9539,
+          "S": 0.1253
+        },
+        "224": {
+          "L": -0.7734,
+          "M": 53.9427,
+          "S": 0.125
+        },
+        "225": {
+          "L": -0.7973,
+          "M": 53.9315,
+          "S": 0.1247
+        },
+        "226": {
+          "L": -0.8215,
+          "M": 53.9203,
+          "S": 0.1244
+        },
+        "227": {
+          "L": -0.8458,
+          "M": 53.909,
+          "S": 0.1241
+        }
+      }
     }
   },
-  "male": {
-    "height": {
-      "0": { "L": 1, "M": 49.8842, "S": 0.038 },
-      "1": { "L": 1, "M": 54.7244, "S": 0.0356 },
-      "2": { "L": 1, "M": 58.4249, "S": 0.0342 },
-      "3": { "L": 1, "M": 61.4292, "S": 0.0333 },
-      "4": { "L": 1, "M": 63.886, "S": 0.0326 },
-      "5": { "L": 1, "M": 65.9026, "S": 0.032 },
-      "6": { "L": 1, "M": 67.6236, "S": 0.0317 },
-      "7": { "L": 1, "M": 69.1645, "S": 0.0314 },
-      "8": { "L": 1, "M": 70.5994, "S": 0.0312 },
-      "9": { "L": 1, "M": 71.9687, "S": 0.0312 },
-      "10": { "L": 1, "M": 73.2812, "S": 0.0312 },
-      "11": { "L": 1, "M": 74.5388, "S": 0.0313 },
-      "12": { "L": 1, "M": 75.7488, "S": 0.0314 },
-      "13": { "L": 1, "M": 76.9186, "S": 0.0315 },
-      "14": { "L": 1, "M": 78.0497, "S": 0.0317 },
-      "15": { "L": 1, "M": 79.1458, "S": 0.032 },
-      "16": { "L": 1, "M": 80.2113, "S": 0.0322 },
-      "17": { "L": 1, "M": 81.2487, "S": 0.0325 },
-      "18": { "L": 1, "M": 82.2587, "S": 0.0328 },
-      "19": { "L": 1, "M": 83.2418, "S": 0.0331 },
-      "20": { "L": 1, "M": 84.1996, "S": 0.0334 },
-      "21": { "L": 1, "M": 85.1348, "S": 0.0338 },
-      "22": { "L": 1, "M": 86.0477, "S": 0.0341 },
-      "23": { "L": 1, "M": 86.941, "S": 0.0345 },
-      "24": { "L": 1, "M": 87.1161, "S": 0.0351 },
-      "25": { "L": 1, "M": 87.972, "S": 0.0354 },
-      "26": { "L": 1, "M": 88.8065, "S": 0.0358 },
-      "27": { "L": 1, "M": 89.6197, "S": 0.0361 },
-      "28": { "L": 1, "M": 90.412, "S": 0.0364 },
-      "29": { "L": 1, "M": 91.1828, "S": 0.0367 },
-      "30": { "L": 1, "M": 91.9327, "S": 0.037 },
-      "31": { "L": 1, "M": 92.6631, "S": 0.0373 },
-      "32": { "L": 1, "M": 93.3753, "S": 0.0376 },
-      "33": { "L": 1, "M": 94.0711, "S": 0.0379 },
-      "34": { "L": 1, "M": 94.7532, "S": 0.0381 },
-      "35": { "L": 1, "M": 95.4236, "S": 0.0384 },
-      "36": { "L": -1.0915, "M": 96.4961, "S": 0.0403 },
-      "37": { "L": -1.0011, "M": 97.0464, "S": 0.0403 },
-      "38": { "L": -0.9126, "M": 97.5965, "S": 0.0402 },
-      "39": { "L": -0.8262, "M": 98.1463, "S": 0.0402 },
-      "40": { "L": -0.7418, "M": 98.6959, "S": 0.0402 },
-      "41": { "L": -0.6592, "M": 99.2452, "S": 0.0402 },
-      "42": { "L": -0.5827, "M": 99.793, "S": 0.0401 },
-      "43": { "L": -0.5077, "M": 100.3406, "S": 0.0401 },
-      "44": { "L": -0.4343, "M": 100.8881, "S": 0.0401 },
-      "45": { "L": -0.3625, "M": 101.4353, "S": 0.0401 },
-      "46": { "L": -0.2921, "M": 101.9824, "S": 0.0401 },
-      "47": { "L": -0.2232, "M": 102.5294, "S": 0.04 },
-      "48": { "L": -0.1597, "M": 103.0749, "S": 0.04 },
-      "49": { "L": -0.0975, "M": 103.6204, "S": 0.04 },
-      "50": { "L": -0.0364, "M": 104.1657, "S": 0.04 },
-      "51": { "L": 0.0234, "M": 104.7109, "S": 0.0399 },
-      "52": { "L": 0.0822, "M": 105.256, "S": 0.0399 },
-      "53": { "L": 0.1398, "M": 105.8009, "S": 0.0399 },
-      "54": { "L": 0.1897, "M": 106.344, "S": 0.0399 },
-      "55": { "L": 0.2387, "M": 106.8869, "S": 0.0399 },
-      "56": { "L": 0.2868, "M": 107.4298, "S": 0.0398 },
-      "57": { "L": 0.3341, "M": 107.9726, "S": 0.0398 },
-      "58": { "L": 0.3805, "M": 108.5153, "S": 0.0398 },
-      "59": { "L": 0.4261, "M": 109.0579, "S": 0.0398 },
-      "60": { "L": 0.4242, "M": 109.5896, "S": 0.0398 },
-      "61": { "L": 0.4223, "M": 110.1212, "S": 0.0399 },
-      "62": { "L": 0.4205, "M": 110.6529, "S": 0.0399 },
-      "63": { "L": 0.4187, "M": 111.1846, "S": 0.0399 },
-      "64": { "L": 0.4169, "M": 111.7162, "S": 0.04 },
-      "65": { "L": 0.4151, "M": 112.2479, "S": 0.04 },
-      "66": { "L": 0.3787, "M": 112.7735, "S": 0.04 },
-      "67": { "L": 0.3429, "M": 113.299, "S": 0.0401 },
-      "68": { "L": 0.3074, "M": 113.8245, "S": 0.0401 },
-      "69": { "L": 0.2724, "M": 114.3501, "S": 0.0402 },
-      "70": { "L": 0.2378, "M": 114.8756, "S": 0.0402 },
-      "71": { "L": 0.2036, "M": 115.401, "S": 0.0403 },
-      "72": { "L": 0.1783, "M": 115.9183, "S": 0.0403 },
-      "73": { "L": 0.1533, "M": 116.4356, "S": 0.0404 },
-      "74": { "L": 0.1287, "M": 116.9528, "S": 0.0404 },
-      "75": { "L": 0.1044, "M": 117.4701, "S": 0.0405 },
-      "76": { "L": 0.0805, "M": 117.9874, "S": 0.0405 },
-      "77": { "L": 0.0569, "M": 118.5047, "S": 0.0406 },
-      "78": { "L": 0.0563, "M": 119.0136, "S": 0.0406 },
-      "79": { "L": 0.0557, "M": 119.5225, "S": 0.0406 },
-      "80": { "L": 0.0552, "M": 120.0314, "S": 0.0406 },
-      "81": { "L": 0.0546, "M": 120.5404, "S": 0.0406 },
-      "82": { "L": 0.0541, "M": 121.0493, "S": 0.0406 },
-      "83": { "L": 0.0536, "M": 121.5582, "S": 0.0406 },
-      "84": { "L": 0.0492, "M": 122.0537, "S": 0.0406 },
-      "85": { "L": 0.0448, "M": 122.5492, "S": 0.0406 },
-      "86": { "L": 0.0405, "M": 123.0447, "S": 0.0406 },
-      "87": { "L": 0.0363, "M": 123.5402, "S": 0.0406 },
-      "88": { "L": 0.0321, "M": 124.0357, "S": 0.0406 },
-      "89": { "L": 0.028, "M": 124.5313, "S": 0.0406 },
-      "90": { "L": 0.0397, "M": 125.0114, "S": 0.0406 },
-      "91": { "L": 0.0514, "M": 125.4914, "S": 0.0405 },
-      "92": { "L": 0.0628, "M": 125.9715, "S": 0.0405 },
-      "93": { "L": 0.0741, "M": 126.4515, "S": 0.0405 },
-      "94": { "L": 0.0853, "M": 126.9316, "S": 0.0405 },
-      "95": { "L": 0.0964, "M": 127.4116, "S": 0.0405 },
-      "96": { "L": 0.1205, "M": 127.8793, "S": 0.0405 },
-      "97": { "L": 0.1443, "M": 128.3469, "S": 0.0404 },
-      "98": { "L": 0.1679, "M": 128.8145, "S": 0.0404 },
-      "99": { "L": 0.1912, "M": 129.2821, "S": 0.0404 },
-      "100": { "L": 0.2142, "M": 129.7497, "S": 0.0404 },
-      "101": { "L": 0.237, "M": 130.2172, "S": 0.0404 },
-      "102": { "L": 0.2339, "M": 130.6754, "S": 0.0404 },
-      "103": { "L": 0.2308, "M": 131.1336, "S": 0.0404 },
-      "104": { "L": 0.2278, "M": 131.5919, "S": 0.0404 },
-      "105": { "L": 0.2248, "M": 132.0501, "S": 0.0404 },
-      "106": { "L": 0.2218, "M": 132.5084, "S": 0.0404 },
-      "107": { "L": 0.2188, "M": 132.9666, "S": 0.0404 },
-      "108": { "L": 0.1885, "M": 133.4136, "S": 0.0405 },
-      "109": { "L": 0.1585, "M": 133.8606, "S": 0.0406 },
-      "110": { "L": 0.1288, "M": 134.3076, "S": 0.0406 },
-      "111": { "L": 0.0994, "M": 134.7545, "S": 0.0407 },
-      "112": { "L": 0.0704, "M": 135.2014, "S": 0.0408 },
-      "113": { "L": 0.0416, "M": 135.6482, "S": 0.0409 },
-      "114": { "L": 0.021, "M": 136.1026, "S": 0.041 },
-      "115": { "L": 0.0008, "M": 136.5569, "S": 0.0411 },
-      "116": { "L": -0.0191, "M": 137.0113, "S": 0.0412 },
-      "117": { "L": -0.0386, "M": 137.4656, "S": 0.0414 },
-      "118": { "L": -0.0579, "M": 137.9199, "S": 0.0415 },
-      "119": { "L": -0.0768, "M": 138.3742, "S": 0.0416 },
-      "120": { "L": -0.0752, "M": 138.8473, "S": 0.0417 },
-      "121": { "L": -0.0736, "M": 139.3205, "S": 0.0419 },
-      "122": { "L": -0.072, "M": 139.7936, "S": 0.042 },
-      "123": { "L": -0.0705, "M": 140.2667, "S": 0.0422 },
-      "124": { "L": -0.0689, "M": 140.7398, "S": 0.0423 },
-      "125": { "L": -0.0674, "M": 141.213, "S": 0.0424 },
-      "126": { "L": -0.0489, "M": 141.7059, "S": 0.0426 },
-      "127": { "L": -0.0308, "M": 142.1987, "S": 0.0428 },
-      "128": { "L": -0.0131, "M": 142.6916, "S": 0.043 },
-      "129": { "L": 0.0041, "M": 143.1844, "S": 0.0432 },
-      "130": { "L": 0.0209, "M": 143.6773, "S": 0.0434 },
-      "131": { "L": 0.0373, "M": 144.1701, "S": 0.0436 },
-      "132": { "L": 0.0886, "M": 144.701, "S": 0.0438 },
-      "133": { "L": 0.1383, "M": 145.2319, "S": 0.0441 },
-      "134": { "L": 0.1864, "M": 145.7627, "S": 0.0443 },
-      "135": { "L": 0.2331, "M": 146.2935, "S": 0.0445 },
-      "136": { "L": 0.2784, "M": 146.8242, "S": 0.0448 },
-      "137": { "L": 0.3223, "M": 147.3549, "S": 0.045 },
-      "138": { "L": 0.4064, "M": 147.9321, "S": 0.0453 },
-      "139": { "L": 0.4882, "M": 148.5094, "S": 0.0455 },
-      "140": { "L": 0.5676, "M": 149.0866, "S": 0.0457 },
-      "141": { "L": 0.6448, "M": 149.6638, "S": 0.0459 },
-      "142": { "L": 0.7199, "M": 150.2409, "S": 0.0462 },
-      "143": { "L": 0.7929, "M": 150.818, "S": 0.0464 },
-      "144": { "L": 0.8928, "M": 151.4223, "S": 0.0465 },
-      "145": { "L": 0.991, "M": 152.0268, "S": 0.0466 },
-      "146": { "L": 1.0877, "M": 152.6312, "S": 0.0467 },
-      "147": { "L": 1.1829, "M": 153.2358, "S": 0.0468 },
-      "148": { "L": 1.2764, "M": 153.8404, "S": 0.0469 },
-      "149": { "L": 1.3684, "M": 154.445, "S": 0.047 },
-      "150": { "L": 1.458, "M": 155.0459, "S": 0.0469 },
-      "151": { "L": 1.5475, "M": 155.6468, "S": 0.0469 },
-      "152": { "L": 1.637, "M": 156.2477, "S": 0.0468 },
-      "153": { "L": 1.7263, "M": 156.8487, "S": 0.0467 },
-      "154": { "L": 1.8155, "M": 157.4497, "S": 0.0466 },
-      "155": { "L": 1.9045, "M": 158.0507, "S": 0.0465 },
-      "156": { "L": 2.0111, "M": 158.6245, "S": 0.0463 },
-      "157": { "L": 2.1194, "M": 159.1984, "S": 0.046 },
-      "158": { "L": 2.2294, "M": 159.7724, "S": 0.0457 },
-      "159": { "L": 2.341, "M": 160.3465, "S": 0.0454 },
-      "160": { "L": 2.4544, "M": 160.9207, "S": 0.0452 },
-      "161": { "L": 2.5694, "M": 161.4949, "S": 0.0449 },
-      "162": { "L": 2.6754, "M": 162.0038, "S": 0.0445 },
-      "163": { "L": 2.7844, "M": 162.5128, "S": 0.044 },
-      "164": { "L": 2.8966, "M": 163.0218, "S": 0.0436 },
-      "165": { "L": 3.0121, "M": 163.5308, "S": 0.0431 },
-      "166": { "L": 3.1309, "M": 164.0398, "S": 0.0427 },
-      "167": { "L": 3.2531, "M": 164.5488, "S": 0.0423 },
-      "168": { "L": 3.3119, "M": 164.965, "S": 0.0417 },
-      "169": { "L": 3.3725, "M": 165.3813, "S": 0.0412 },
-      "170": { "L": 3.4351, "M": 165.7975, "S": 0.0407 },
-      "171": { "L": 3.4998, "M": 166.2138, "S": 0.0402 },
-      "172": { "L": 3.5666, "M": 166.6301, "S": 0.0397 },
-      "173": { "L": 3.6357, "M": 167.0464, "S": 0.0392 },
-      "174": { "L": 3.6315, "M": 167.3647, "S": 0.0388 },
-      "175": { "L": 3.6262, "M": 167.6831, "S": 0.0384 },
-      "176": { "L": 3.6198, "M": 168.0013, "S": 0.0379 },
-      "177": { "L": 3.6121, "M": 168.3195, "S": 0.0375 },
-      "178": { "L": 3.6031, "M": 168.6377, "S": 0.037 },
-      "179": { "L": 3.5927, "M": 168.9558, "S": 0.0366 },
-      "180": { "L": 3.5208, "M": 169.1812, "S": 0.0363 },
-      "181": { "L": 3.4457, "M": 169.4066, "S": 0.036 },
-      "182": { "L": 3.3672, "M": 169.6319, "S": 0.0357 },
-      "183": { "L": 3.2853, "M": 169.8571, "S": 0.0353 },
-      "184": { "L": 3.1997, "M": 170.0824, "S": 0.035 },
-      "185": { "L": 3.1104, "M": 170.3076, "S": 0.0347 },
-      "186": { "L": 2.9809, "M": 170.4684, "S": 0.0345 },
-      "187": { "L": 2.8483, "M": 170.6294, "S": 0.0342 },
-      "188": { "L": 2.7127, "M": 170.7906, "S": 0.034 },
-      "189": { "L": 2.574, "M": 170.952, "S": 0.0338 },
-      "190": { "L": 2.4321, "M": 171.1137, "S": 0.0335 },
-      "191": { "L": 2.2872, "M": 171.2756, "S": 0.0333 },
-      "192": { "L": 2.154, "M": 171.3949, "S": 0.0332 },
-      "193": { "L": 2.0196, "M": 171.5145, "S": 0.033 },
-      "194": { "L": 1.8841, "M": 171.6344, "S": 0.0328 },
-      "195": { "L": 1.7474, "M": 171.7546, "S": 0.0327 },
-      "196": { "L": 1.6096, "M": 171.8752, "S": 0.0325 },
-      "197": { "L": 1.4707, "M": 171.996, "S": 0.0324 },
-      "198": { "L": 1.3966, "M": 172.0897, "S": 0.0323 },
-      "199": { "L": 1.3226, "M": 172.1836, "S": 0.0323 },
-      "200": { "L": 1.2488, "M": 172.2775, "S": 0.0322 },
-      "201": { "L": 1.1751, "M": 172.3716, "S": 0.0322 },
-      "202": { "L": 1.1016, "M": 172.4658, "S": 0.0321 },
-      "203": { "L": 1.0282, "M": 172.56, "S": 0.0321 },
-      "204": { "L": 0.9751, "M": 172.6404, "S": 0.0321 },
-      "205": { "L": 0.9218, "M": 172.7207, "S": 0.0321 },
-      "206": { "L": 0.8685, "M": 172.8009, "S": 0.0321 },
-      "207": { "L": 0.815, "M": 172.8812, "S": 0.0321 },
-      "208": { "L": 0.7614, "M": 172.9614, "S": 0.0321 },
-      "209": { "L": 0.7077, "M": 173.0416, "S": 0.0321 },
-      "210": { "L": 0.6595, "M": 173.1222, "S": 0.0321 },
-      "211": { "L": 0.611, "M": 173.2027, "S": 0.0321 },
-      "212": { "L": 0.5623, "M": 173.2832, "S": 0.0321 },
-      "213": { "L": 0.5134, "M": 173.3636, "S": 0.032 },
-      "214": { "L": 0.4642, "M": 173.444, "S": 0.032 },
-      "215": { "L": 0.4148, "M": 173.5244, "S": 0.032 },
-      "216": { "L": 0.3638, "M": 173.6037, "S": 0.032 },
-      "217": { "L": 0.3126, "M": 173.683, "S": 0.032 },
-      "218": { "L": 0.2611, "M": 173.7622, "S": 0.032 },
-      "219": { "L": 0.2094, "M": 173.8413, "S": 0.032 },
-      "220": { "L": 0.1573, "M": 173.9204, "S": 0.032 },
-      "221": { "L": 0.105, "M": 173.9995, "S": 0.032 },
-      "222": { "L": 0.0449, "M": 174.0764, "S": 0.032 },
-      "223": { "L": -0.0155, "M": 174.1532, "S": 0.032 },
-      "224": { "L": -0.0764, "M": 174.23, "S": 0.032 },
-      "225": { "L": -0.1377, "M": 174.3067, "S": 0.0319 },
-      "226": { "L": -0.1994, "M": 174.3833, "S": 0.0319 },
-      "227": { "L": -0.2615, "M": 174.4598, "S": 0.0319 }
+  "who2006": {
+    "male": {
+      "height": {
+        "0": {
+          "L": 1,
+          "M": 49.8842,
+          "S": 0.03795
+        },
+        "1": {
+          "L": 1,
+          "M": 54.7244,
+          "S": 0.03557
+        },
+        "2": {
+          "L": 1,
+          "M": 58.4249,
+          "S": 0.03424
+        },
+        "3": {
+          "L": 1,
+          "M": 61.4292,
+          "S": 0.03328
+        },
+        "4": {
+          "L": 1,
+          "M": 63.886,
+          "S": 0.03257
+        },
+        "5": {
+          "L": 1,
+          "M": 65.9026,
+          "S": 0.03204
+        },
+        "6": {
+          "L": 1,
+          "M": 67.6236,
+          "S": 0.03165
+        },
+        "7": {
+          "L": 1,
+          "M": 69.1645,
+          "S": 0.03139
+        },
+        "8": {
+          "L": 1,
+          "M": 70.5994,
+          "S": 0.03124
+        },
+        "9": {
+          "L": 1,
+          "M": 71.9687,
+          "S": 0.03117
+        },
+        "10": {
+          "L": 1,
+          "M": 73.2812,
+          "S": 0.03118
+        },
+        "11": {
+          "L": 1,
+          "M": 74.5388,
+          "S": 0.03125
+        },
+        "12": {
+          "L": 1,
+          "M": 75.7488,
+          "S": 0.03137
+        },
+        "13": {
+          "L": 1,
+          "M": 76.9186,
+          "S": 0.03154
+        },
+        "14": {
+          "L": 1,
+          "M": 78.0497,
+          "S": 0.03174
+        },
+        "15": {
+          "L": 1,
+          "M": 79.1458,
+          "S": 0.03197
+        },
+        "16": {
+          "L": 1,
+          "M": 80.2113,
+          "S": 0.03222
+        },
+        "17": {
+          "L": 1,
+          "M": 81.2487,
+          "S": 0.0325
+        },
+        "18": {
+          "L": 1,
+          "M": 82.2587,
+          "S": 0.03279
+        },
+        "19": {
+          "L": 1,
+          "M": 83.2418,
+          "S": 0.0331
+        },
+        "20": {
+          "L": 1,
+          "M": 84.1996,
+          "S": 0.03342
+        },
+        "21": {
+          "L": 1,
+          "M": 85.1348,
+          "S": 0.03376
+        },
+        "22": {
+          "L": 1,
+          "M": 86.0477,
+          "S": 0.0341
+        },
+        "23": {
+          "L": 1,
+          "M": 86.941,
+          "S": 0.03445
+        },
+        "24": {
+          "L": 1,
+          "M": 87.1161,
+          "S": 0.03507
+        },
+        "25": {
+          "L": 1,
+          "M": 87.972,
+          "S": 0.03542
+        },
+        "26": {
+          "L": 1,
+          "M": 88.8065,
+          "S": 0.03576
+        },
+        "27": {
+          "L": 1,
+          "M": 89.6197,
+          "S": 0.0361
+        },
+        "28": {
+          "L": 1,
+          "M": 90.412,
+          "S": 0.03642
+        },
+        "29": {
+          "L": 1,
+          "M": 91.1828,
+          "S": 0.03674
+        },
+        "30": {
+          "L": 1,
+          "M": 91.9327,
+          "S": 0.03704
+        },
+        "31": {
+          "L": 1,
+          "M": 92.6631,
+          "S": 0.03733
+        },
+        "32": {
+          "L": 1,
+          "M": 93.3753,
+          "S": 0.03761
+        },
+        "33": {
+          "L": 1,
+          "M": 94.0711,
+          "S": 0.03787
+        },
+        "34": {
+          "L": 1,
+          "M": 94.7532,
+          "S": 0.03812
+        },
+        "35": {
+          "L": 1,
+          "M": 95.4236,
+          "S": 0.03836
+        },
+        "36": {
+          "L": 1,
+          "M": 96.0835,
+          "S": 0.03858
+        },
+        "37": {
+          "L": 1,
+          "M": 96.7337,
+          "S": 0.03879
+        },
+        "38": {
+          "L": 1,
+          "M": 97.3749,
+          "S": 0.039
+        },
+        "39": {
+          "L": 1,
+          "M": 98.0073,
+          "S": 0.03919
+        },
+        "40": {
+          "L": 1,
+          "M": 98.631,
+          "S": 0.03937
+        },
+        "41": {
+          "L": 1,
+          "M": 99.2459,
+          "S": 0.03954
+        },
+        "42": {
+          "L": 1,
+          "M": 99.8515,
+          "S": 0.03971
+        },
+        "43": {
+          "L": 1,
+          "M": 100.4485,
+          "S": 0.03986
+        },
+        "44": {
+          "L": 1,
+          "M": 101.0374,
+          "S": 0.04002
+        },
+        "45": {
+          "L": 1,
+          "M": 101.6186,
+          "S": 0.04016
+        },
+        "46": {
+          "L": 1,
+          "M": 102.1933,
+          "S": 0.04031
+        },
+        "47": {
+          "L": 1,
+          "M": 102.7625,
+          "S": 0.04045
+        },
+        "48": {
+          "L": 1,
+          "M": 103.3273,
+          "S": 0.04059
+        },
+        "49": {
+          "L": 1,
+          "M": 103.8886,
+          "S": 0.04073
+        },
+        "50": {
+          "L": 1,
+          "M": 104.4473,
+          "S": 0.04086
+        },
+        "51": {
+          "L": 1,
+          "M": 105.0041,
+          "S": 0.041
+        },
+        "52": {
+          "L": 1,
+          "M": 105.5596,
+          "S": 0.04113
+        },
+        "53": {
+          "L": 1,
+          "M": 106.1138,
+          "S": 0.04126
+        },
+        "54": {
+          "L": 1,
+          "M": 106.6668,
+          "S": 0.04139
+        },
+        "55": {
+          "L": 1,
+          "M": 107.2188,
+          "S": 0.04152
+        },
+        "56": {
+          "L": 1,
+          "M": 107.7697,
+          "S": 0.04165
+        },
+        "57": {
+          "L": 1,
+          "M": 108.3198,
+          "S": 0.04177
+        },
+        "58": {
+          "L": 1,
+          "M": 108.8689,
+          "S": 0.0419
+        },
+        "59": {
+          "L": 1,
+          "M": 109.417,
+          "S": 0.04202
+        },
+        "60": {
+          "L": 1,
+          "M": 109.9638,
+          "S": 0.04214
+        },
+        "61": {
+          "L": 1,
+          "M": 110.2647,
+          "S": 0.04164
+        },
+        "62": {
+          "L": 1,
+          "M": 110.8006,
+          "S": 0.04172
+        },
+        "63": {
+          "L": 1,
+          "M": 111.3338,
+          "S": 0.0418
+        },
+        "64": {
+          "L": 1,
+          "M": 111.8636,
+          "S": 0.04187
+        },
+        "65": {
+          "L": 1,
+          "M": 112.3895,
+          "S": 0.04195
+        },
+        "66": {
+          "L": 1,
+          "M": 112.911,
+          "S": 0.04203
+        },
+        "67": {
+          "L": 1,
+          "M": 113.428,
+          "S": 0.04211
+        },
+        "68": {
+          "L": 1,
+          "M": 113.941,
+          "S": 0.04218
+        },
+        "69": {
+          "L": 1,
+          "M": 114.45,
+          "S": 0.04226
+        },
+        "70": {
+          "L": 1,
+          "M": 114.9547,
+          "S": 0.04234
+        },
+        "71": {
+          "L": 1,
+          "M": 115.4549,
+          "S": 0.04241
+        },
+        "72": {
+          "L": 1,
+          "M": 115.9509,
+          "S": 0.04249
+        },
+        "73": {
+          "L": 1,
+          "M": 116.4432,
+          "S": 0.04257
+        },
+        "74": {
+          "L": 1,
+          "M": 116.9325,
+          "S": 0.04264
+        },
+        "75": {
+          "L": 1,
+          "M": 117.4196,
+          "S": 0.04272
+        },
+        "76": {
+          "L": 1,
+          "M": 117.9046,
+          "S": 0.0428
+        },
+        "77": {
+          "L": 1,
+          "M": 118.388,
+          "S": 0.04287
+        },
+        "78": {
+          "L": 1,
+          "M": 118.87,
+          "S": 0.04295
+        },
+        "79": {
+          "L": 1,
+          "M": 119.3508,
+          "S": 0.04303
+        },
+        "80": {
+          "L": 1,
+          "M": 119.8303,
+          "S": 0.04311
+        },
+        "81": {
+          "L": 1,
+          "M": 120.3085,
+          "S": 0.04318
+        },
+        "82": {
+          "L": 1,
+          "M": 120.7853,
+          "S": 0.04326
+        },
+        "83": {
+          "L": 1,
+          "M": 121.2604,
+          "S": 0.04334
+        },
+        "84": {
+          "L": 1,
+          "M": 121.7338,
+          "S": 0.04342
+        },
+        "85": {
+          "L": 1,
+          "M": 122.2053,
+          "S": 0.0435
+        },
+        "86": {
+          "L": 1,
+          "M": 122.675,
+          "S": 0.04358
+        },
+        "87": {
+          "L": 1,
+          "M": 123.1429,
+          "S": 0.04366
+        },
+        "88": {
+          "L": 1,
+          "M": 123.6092,
+          "S": 0.04374
+        },
+        "89": {
+          "L": 1,
+          "M": 124.0736,
+          "S": 0.04382
+        },
+        "90": {
+          "L": 1,
+          "M": 124.5361,
+          "S": 0.0439
+        },
+        "91": {
+          "L": 1,
+          "M": 124.9964,
+          "S": 0.04398
+        },
+        "92": {
+          "L": 1,
+          "M": 125.4545,
+          "S": 0.04406
+        },
+        "93": {
+          "L": 1,
+          "M": 125.9104,
+          "S": 0.04414
+        },
+        "94": {
+          "L": 1,
+          "M": 126.364,
+          "S": 0.04422
+        },
+        "95": {
+          "L": 1,
+          "M": 126.8156,
+          "S": 0.0443
+        },
+        "96": {
+          "L": 1,
+          "M": 127.2651,
+          "S": 0.04438
+        },
+        "97": {
+          "L": 1,
+          "M": 127.7129,
+          "S": 0.04446
+        },
+        "98": {
+          "L": 1,
+          "M": 128.159,
+          "S": 0.04454
+        },
+        "99": {
+          "L": 1,
+          "M": 128.6034,
+          "S": 0.04462
+        },
+        "100": {
+          "L": 1,
+          "M": 129.0466,
+          "S": 0.0447
+        },
+        "101": {
+          "L": 1,
+          "M": 129.4887,
+          "S": 0.04478
+        },
+        "102": {
+          "L": 1,
+          "M": 129.93,
+          "S": 0.04487
+        },
+        "103": {
+          "L": 1,
+          "M": 130.3705,
+          "S": 0.04495
+        },
+        "104": {
+          "L": 1,
+          "M": 130.8103,
+          "S": 0.04503
+        },
+        "105": {
+          "L": 1,
+          "M": 131.2495,
+          "S": 0.04511
+        },
+        "106": {
+          "L": 1,
+          "M": 131.6884,
+          "S": 0.04519
+        },
+        "107": {
+          "L": 1,
+          "M": 132.1269,
+          "S": 0.04527
+        },
+        "108": {
+          "L": 1,
+          "M": 132.5652,
+          "S": 0.04535
+        },
+        "109": {
+          "L": 1,
+          "M": 133.0031,
+          "S": 0.04543
+        },
+        "110": {
+          "L": 1,
+          "M": 133.4404,
+          "S": 0.04551
+        },
+        "111": {
+          "L": 1,
+          "M": 133.877,
+          "S": 0.04559
+        },
+        "112": {
+          "L": 1,
+          "M": 134.313,
+          "S": 0.04566
+        },
+        "113": {
+          "L": 1,
+          "M": 134.7483,
+          "S": 0.04574
+        },
+        "114": {
+          "L": 1,
+          "M": 135.1829,
+          "S": 0.04582
+        },
+        "115": {
+          "L": 1,
+          "M": 135.6168,
+          "S": 0.04589
+        },
+        "116": {
+          "L": 1,
+          "M": 136.0501,
+          "S": 0.04597
+        },
+        "117": {
+          "L": 1,
+          "M": 136.4829,
+          "S": 0.04604
+        },
+        "118": {
+          "L": 1,
+          "M": 136.9153,
+          "S": 0.04612
+        },
+        "119": {
+          "L": 1,
+          "M": 137.3474,
+          "S": 0.04619
+        },
+        "120": {
+          "L": 1,
+          "M": 137.7795,
+          "S": 0.04626
+        },
+        "121": {
+          "L": 1,
+          "M": 138.2119,
+          "S": 0.04633
+        },
+        "122": {
+          "L": 1,
+          "M": 138.6452,
+          "S": 0.0464
+        },
+        "123": {
+          "L": 1,
+          "M": 139.0797,
+          "S": 0.04647
+        },
+        "124": {
+          "L": 1,
+          "M": 139.5158,
+          "S": 0.04654
+        },
+        "125": {
+          "L": 1,
+          "M": 139.954,
+          "S": 0.04661
+        },
+        "126": {
+          "L": 1,
+          "M": 140.3948,
+          "S": 0.04667
+        },
+        "127": {
+          "L": 1,
+          "M": 140.8387,
+          "S": 0.04674
+        },
+        "128": {
+          "L": 1,
+          "M": 141.2859,
+          "S": 0.0468
+        },
+        "129": {
+          "L": 1,
+          "M": 141.7368,
+          "S": 0.04686
+        },
+        "130": {
+          "L": 1,
+          "M": 142.1916,
+          "S": 0.04692
+        },
+        "131": {
+          "L": 1,
+          "M": 142.6501,
+          "S": 0.04698
+        },
+        "132": {
+          "L": 1,
+          "M": 143.1126,
+          "S": 0.04703
+        },
+        "133": {
+          "L": 1,
+          "M": 143.5795,
+          "S": 0.04709
+        },
+        "134": {
+          "L": 1,
+          "M": 144.0511,
+          "S": 0.04714
+        },
+        "135": {
+          "L": 1,
+          "M": 144.5276,
+          "S": 0.04719
+        },
+        "136": {
+          "L": 1,
+          "M": 145.0093,
+          "S": 0.04723
+        },
+        "137": {
+          "L": 1,
+          "M": 145.4964,
+          "S": 0.04728
+        },
+        "138": {
+          "L": 1,
+          "M": 145.9891,
+          "S": 0.04732
+        },
+        "139": {
+          "L": 1,
+          "M": 146.4878,
+          "S": 0.04736
+        },
+        "140": {
+          "L": 1,
+          "M": 146.9927,
+          "S": 0.0474
+        },
+        "141": {
+          "L": 1,
+          "M": 147.5041,
+          "S": 0.04744
+        },
+        "142": {
+          "L": 1,
+          "M": 148.0224,
+          "S": 0.04747
+        },
+        "143": {
+          "L": 1,
+          "M": 148.5478,
+          "S": 0.0475
+        },
+        "144": {
+          "L": 1,
+          "M": 149.0807,
+          "S": 0.04753
+        },
+        "145": {
+          "L": 1,
+          "M": 149.6212,
+          "S": 0.04755
+        },
+        "146": {
+          "L": 1,
+          "M": 150.1694,
+          "S": 0.04758
+        },
+        "147": {
+          "L": 1,
+          "M": 150.7256,
+          "S": 0.04759
+        },
+        "148": {
+          "L": 1,
+          "M": 151.2899,
+          "S": 0.04761
+        },
+        "149": {
+          "L": 1,
+          "M": 151.8623,
+          "S": 0.04762
+        },
+        "150": {
+          "L": 1,
+          "M": 152.4425,
+          "S": 0.04763
+        },
+        "151": {
+          "L": 1,
+          "M": 153.0298,
+          "S": 0.04763
+        },
+        "152": {
+          "L": 1,
+          "M": 153.6234,
+          "S": 0.04764
+        },
+        "153": {
+          "L": 1,
+          "M": 154.2223,
+          "S": 0.04763
+        },
+        "154": {
+          "L": 1,
+          "M": 154.8258,
+          "S": 0.04763
+        },
+        "155": {
+          "L": 1,
+          "M": 155.4329,
+          "S": 0.04762
+        },
+        "156": {
+          "L": 1,
+          "M": 156.0426,
+          "S": 0.0476
+        },
+        "157": {
+          "L": 1,
+          "M": 156.6539,
+          "S": 0.04758
+        },
+        "158": {
+          "L": 1,
+          "M": 157.266,
+          "S": 0.04756
+        },
+        "159": {
+          "L": 1,
+          "M": 157.8775,
+          "S": 0.04754
+        },
+        "160": {
+          "L": 1,
+          "M": 158.4871,
+          "S": 0.04751
+        },
+        "161": {
+          "L": 1,
+          "M": 159.0937,
+          "S": 0.04747
+        },
+        "162": {
+          "L": 1,
+          "M": 159.6962,
+          "S": 0.04744
+        },
+        "163": {
+          "L": 1,
+          "M": 160.2939,
+          "S": 0.0474
+        },
+        "164": {
+          "L": 1,
+          "M": 160.8861,
+          "S": 0.04735
+        },
+        "165": {
+          "L": 1,
+          "M": 161.472,
+          "S": 0.0473
+        },
+        "166": {
+          "L": 1,
+          "M": 162.0505,
+          "S": 0.04725
+        },
+        "167": {
+          "L": 1,
+          "M": 162.6207,
+          "S": 0.0472
+        },
+        "168": {
+          "L": 1,
+          "M": 163.1816,
+          "S": 0.04714
+        },
+        "169": {
+          "L": 1,
+          "M": 163.7321,
+          "S": 0.04707
+        },
+        "170": {
+          "L": 1,
+          "M": 164.2717,
+          "S": 0.04701
+        },
+        "171": {
+          "L": 1,
+          "M": 164.7994,
+          "S": 0.04694
+        },
+        "172": {
+          "L": 1,
+          "M": 165.3145,
+          "S": 0.04687
+        },
+        "173": {
+          "L": 1,
+          "M": 165.8165,
+          "S": 0.04679
+        },
+        "174": {
+          "L": 1,
+          "M": 166.305,
+          "S": 0.04671
+        },
+        "175": {
+          "L": 1,
+          "M": 166.7799,
+          "S": 0.04663
+        },
+        "176": {
+          "L": 1,
+          "M": 167.2415,
+          "S": 0.04655
+        },
+        "177": {
+          "L": 1,
+          "M": 167.6899,
+          "S": 0.04646
+        },
+        "178": {
+          "L": 1,
+          "M": 168.1255,
+          "S": 0.04637
+        },
+        "179": {
+          "L": 1,
+          "M": 168.5482,
+          "S": 0.04628
+        },
+        "180": {
+          "L": 1,
+          "M": 168.958,
+          "S": 0.04619
+        },
+        "181": {
+          "L": 1,
+          "M": 169.3549,
+          "S": 0.04609
+        },
+        "182": {
+          "L": 1,
+          "M": 169.7389,
+          "S": 0.04599
+        },
+        "183": {
+          "L": 1,
+          "M": 170.1099,
+          "S": 0.04589
+        },
+        "184": {
+          "L": 1,
+          "M": 170.468,
+          "S": 0.04579
+        },
+        "185": {
+          "L": 1,
+          "M": 170.8136,
+          "S": 0.04569
+        },
+        "186": {
+          "L": 1,
+          "M": 171.1468,
+          "S": 0.04559
+        },
+        "187": {
+          "L": 1,
+          "M": 171.468,
+          "S": 0.04548
+        },
+        "188": {
+          "L": 1,
+          "M": 171.7773,
+          "S": 0.04538
+        },
+        "189": {
+          "L": 1,
+          "M": 172.0748,
+          "S": 0.04527
+        },
+        "190": {
+          "L": 1,
+          "M": 172.3606,
+          "S": 0.04516
+        },
+        "191": {
+          "L": 1,
+          "M": 172.6345,
+          "S": 0.04506
+        },
+        "192": {
+          "L": 1,
+          "M": 172.8967,
+          "S": 0.04495
+        },
+        "193": {
+          "L": 1,
+          "M": 173.147,
+          "S": 0.04484
+        },
+        "194": {
+          "L": 1,
+          "M": 173.3856,
+          "S": 0.04473
+        },
+        "195": {
+          "L": 1,
+          "M": 173.6126,
+          "S": 0.04462
+        },
+        "196": {
+          "L": 1,
+          "M": 173.828,
+          "S": 0.04451
+        },
+        "197": {
+          "L": 1,
+          "M": 174.0321,
+          "S": 0.0444
+        },
+        "198": {
+          "L": 1,
+          "M": 174.2251,
+          "S": 0.04429
+        },
+        "199": {
+          "L": 1,
+          "M": 174.4071,
+          "S": 0.04418
+        },
+        "200": {
+          "L": 1,
+          "M": 174.5784,
+          "S": 0.04407
+        },
+        "201": {
+          "L": 1,
+          "M": 174.7392,
+          "S": 0.04396
+        },
+        "202": {
+          "L": 1,
+          "M": 174.8896,
+          "S": 0.04385
+        },
+        "203": {
+          "L": 1,
+          "M": 175.0301,
+          "S": 0.04375
+        },
+        "204": {
+          "L": 1,
+          "M": 175.1609,
+          "S": 0.04364
+        },
+        "205": {
+          "L": 1,
+          "M": 175.2824,
+          "S": 0.04353
+        },
+        "206": {
+          "L": 1,
+          "M": 175.3951,
+          "S": 0.04343
+        },
+        "207": {
+          "L": 1,
+          "M": 175.4995,
+          "S": 0.04332
+        },
+        "208": {
+          "L": 1,
+          "M": 175.5959,
+          "S": 0.04322
+        },
+        "209": {
+          "L": 1,
+          "M": 175.685,
+          "S": 0.04311
+        },
+        "210": {
+          "L": 1,
+          "M": 175.7672,
+          "S": 0.04301
+        },
+        "211": {
+          "L": 1,
+          "M": 175.8432,
+          "S": 0.04291
+        },
+        "212": {
+          "L": 1,
+          "M": 175.9133,
+          "S": 0.04281
+        },
+        "213": {
+          "L": 1,
+          "M": 175.9781,
+          "S": 0.04271
+        },
+        "214": {
+          "L": 1,
+          "M": 176.038,
+          "S": 0.04261
+        },
+        "215": {
+          "L": 1,
+          "M": 176.0935,
+          "S": 0.04251
+        },
+        "216": {
+          "L": 1,
+          "M": 176.1449,
+          "S": 0.04241
+        },
+        "217": {
+          "L": 1,
+          "M": 176.1925,
+          "S": 0.04232
+        },
+        "218": {
+          "L": 1,
+          "M": 176.2368,
+          "S": 0.04222
+        },
+        "219": {
+          "L": 1,
+          "M": 176.2779,
+          "S": 0.04213
+        },
+        "220": {
+          "L": 1,
+          "M": 176.3162,
+          "S": 0.04204
+        },
+        "221": {
+          "L": 1,
+          "M": 176.3518,
+          "S": 0.04195
+        },
+        "222": {
+          "L": 1,
+          "M": 176.3851,
+          "S": 0.04185
+        },
+        "223": {
+          "L": 1,
+          "M": 176.4162,
+          "S": 0.04177
+        },
+        "224": {
+          "L": 1,
+          "M": 176.4453,
+          "S": 0.04168
+        },
+        "225": {
+          "L": 1,
+          "M": 176.4724,
+          "S": 0.04159
+        },
+        "226": {
+          "L": 1,
+          "M": 176.4976,
+          "S": 0.0415
+        },
+        "227": {
+          "L": 1,
+          "M": 176.5211,
+          "S": 0.04142
+        },
+        "228": {
+          "L": 1,
+          "M": 176.5432,
+          "S": 0.04134
+        }
+      },
+      "weight": {
+        "0": {
+          "L": 0.3487,
+          "M": 3.3464,
+          "S": 0.14602
+        },
+        "1": {
+          "L": 0.2297,
+          "M": 4.4709,
+          "S": 0.13395
+        },
+        "2": {
+          "L": 0.197,
+          "M": 5.5675,
+          "S": 0.12385
+        },
+        "3": {
+          "L": 0.1738,
+          "M": 6.3762,
+          "S": 0.11727
+        },
+        "4": {
+          "L": 0.1553,
+          "M": 7.0023,
+          "S": 0.11316
+        },
+        "5": {
+          "L": 0.1395,
+          "M": 7.5105,
+          "S": 0.1108
+        },
+        "6": {
+          "L": 0.1257,
+          "M": 7.934,
+          "S": 0.10958
+        },
+        "7": {
+          "L": 0.1134,
+          "M": 8.297,
+          "S": 0.10902
+        },
+        "8": {
+          "L": 0.1021,
+          "M": 8.6151,
+          "S": 0.10882
+        },
+        "9": {
+          "L": 0.0917,
+          "M": 8.9014,
+          "S": 0.10881
+        },
+        "10": {
+          "L": 0.082,
+          "M": 9.1649,
+          "S": 0.10891
+        },
+        "11": {
+          "L": 0.073,
+          "M": 9.4122,
+          "S": 0.10906
+        },
+        "12": {
+          "L": 0.0644,
+          "M": 9.6479,
+          "S": 0.10925
+        },
+        "13": {
+          "L": 0.0563,
+          "M": 9.8749,
+          "S": 0.10949
+        },
+        "14": {
+          "L": 0.0487,
+          "M": 10.0953,
+          "S": 0.10976
+        },
+        "15": {
+          "L": 0.0413,
+          "M": 10.3108,
+          "S": 0.11007
+        },
+        "16": {
+          "L": 0.0343,
+          "M": 10.5228,
+          "S": 0.11041
+        },
+        "17": {
+          "L": 0.0275,
+          "M": 10.7319,
+          "S": 0.11079
+        },
+        "18": {
+          "L": 0.0211,
+          "M": 10.9385,
+          "S": 0.11119
+        },
+        "19": {
+          "L": 0.0148,
+          "M": 11.143,
+          "S": 0.11164
+        },
+        "20": {
+          "L": 0.0087,
+          "M": 11.3462,
+          "S": 0.11211
+        },
+        "21": {
+          "L": 0.0029,
+          "M": 11.5486,
+          "S": 0.11261
+        },
+        "22": {
+          "L": -0.0028,
+          "M": 11.7504,
+          "S": 0.11314
+        },
+        "23": {
+          "L": -0.0083,
+          "M": 11.9514,
+          "S": 0.11369
+        },
+        "24": {
+          "L": -0.0137,
+          "M": 12.1515,
+          "S": 0.11426
+        },
+        "25": {
+          "L": -0.0189,
+          "M": 12.3502,
+          "S": 0.11485
+        },
+        "26": {
+          "L": -0.024,
+          "M": 12.5466,
+          "S": 0.11544
+        },
+        "27": {
+          "L": -0.0289,
+          "M": 12.7401,
+          "S": 0.11604
+        },
+        "28": {
+          "L": -0.0337,
+          "M": 12.9303,
+          "S": 0.11664
+        },
+        "29": {
+          "L": -0.0385,
+          "M": 13.1169,
+          "S": 0.11723
+        },
+        "30": {
+          "L": -0.0431,
+          "M": 13.3,
+          "S": 0.11781
+        },
+        "31": {
+          "L": -0.0476,
+          "M": 13.4798,
+          "S": 0.11839
+        },
+        "32": {
+          "L": -0.052,
+          "M": 13.6567,
+          "S": 0.11896
+        },
+        "33": {
+          "L": -0.0564,
+          "M": 13.8309,
+          "S": 0.11953
+        },
+        "34": {
+          "L": -0.0606,
+          "M": 14.0031,
+          "S": 0.12008
+        },
+        "35": {
+          "L": -0.0648,
+          "M": 14.1736,
+          "S": 0.12062
+        },
+        "36": {
+          "L": -0.0689,
+          "M": 14.3429,
+          "S": 0.12116
+        },
+        "37": {
+          "L": -0.0729,
+          "M": 14.5113,
+          "S": 0.12168
+        },
+        "38": {
+          "L": -0.0769,
+          "M": 14.6791,
+          "S": 0.1222
+        },
+        "39": {
+          "L": -0.0808,
+          "M": 14.8466,
+          "S": 0.12271
+        },
+        "40": {
+          "L": -0.0846,
+          "M": 15.014,
+          "S": 0.12322
+        },
+        "41": {
+          "L": -0.0883,
+          "M": 15.1813,
+          "S": 0.12373
+        },
+        "42": {
+          "L": -0.092,
+          "M": 15.3486,
+          "S": 0.12425
+        },
+        "43": {
+          "L": -0.0957,
+          "M": 15.5158,
+          "S": 0.12478
+        },
+        "44": {
+          "L": -0.0993,
+          "M": 15.6828,
+          "S": 0.12531
+        },
+        "45": {
+          "L": -0.1028,
+          "M": 15.8497,
+          "S": 0.12586
+        },
+        "46": {
+          "L": -0.1063,
+          "M": 16.0163,
+          "S": 0.12643
+        },
+        "47": {
+          "L": -0.1097,
+          "M": 16.1827,
+          "S": 0.127
+        },
+        "48": {
+          "L": -0.1131,
+          "M": 16.3489,
+          "S": 0.12759
+        },
+        "49": {
+          "L": -0.1165,
+          "M": 16.515,
+          "S": 0.12819
+        },
+        "50": {
+          "L": -0.1198,
+          "M": 16.6811,
+          "S": 0.1288
+        },
+        "51": {
+          "L": -0.123,
+          "M": 16.8471,
+          "S": 0.12943
+        },
+        "52": {
+          "L": -0.1262,
+          "M": 17.0132,
+          "S": 0.13005
+        },
+        "53": {
+          "L": -0.1294,
+          "M": 17.1792,
+          "S": 0.13069
+        },
+        "54": {
+          "L": -0.1325,
+          "M": 17.3452,
+          "S": 0.13133
+        },
+        "55": {
+          "L": -0.1356,
+          "M": 17.5111,
+          "S": 0.13197
+        },
+        "56": {
+          "L": -0.1387,
+          "M": 17.6768,
+          "S": 0.13261
+        },
+        "57": {
+          "L": -0.1417,
+          "M": 17.8422,
+          "S": 0.13325
+        },
+        "58": {
+          "L": -0.1447,
+          "M": 18.0073,
+          "S": 0.13389
+        },
+        "59": {
+          "L": -0.1477,
+          "M": 18.1722,
+          "S": 0.13453
+        },
+        "60": {
+          "L": -0.1506,
+          "M": 18.3366,
+          "S": 0.13517
+        },
+        "61": {
+          "L": -0.2026,
+          "M": 18.5057,
+          "S": 0.12988
+        },
+        "62": {
+          "L": -0.213,
+          "M": 18.6802,
+          "S": 0.13028
+        },
+        "63": {
+          "L": -0.2234,
+          "M": 18.8563,
+          "S": 0.13067
+        },
+        "64": {
+          "L": -0.2338,
+          "M": 19.034,
+          "S": 0.13105
+        },
+        "65": {
+          "L": -0.2443,
+          "M": 19.2132,
+          "S": 0.13142
+        },
+        "66": {
+          "L": -0.2548,
+          "M": 19.394,
+          "S": 0.13178
+        },
+        "67": {
+          "L": -0.2653,
+          "M": 19.5765,
+          "S": 0.13213
+        },
+        "68": {
+          "L": -0.2758,
+          "M": 19.7607,
+          "S": 0.13246
+        },
+        "69": {
+          "L": -0.2864,
+          "M": 19.9468,
+          "S": 0.13279
+        },
+        "70": {
+          "L": -0.2969,
+          "M": 20.1344,
+          "S": 0.13311
+        },
+        "71": {
+          "L": -0.3075,
+          "M": 20.3235,
+          "S": 0.13342
+        },
+        "72": {
+          "L": -0.318,
+          "M": 20.5137,
+          "S": 0.13372
+        },
+        "73": {
+          "L": -0.3285,
+          "M": 20.7052,
+          "S": 0.13402
+        },
+        "74": {
+          "L": -0.339,
+          "M": 20.8979,
+          "S": 0.13432
+        },
+        "75": {
+          "L": -0.3494,
+          "M": 21.0918,
+          "S": 0.13462
+        },
+        "76": {
+          "L": -0.3598,
+          "M": 21.287,
+          "S": 0.13493
+        },
+        "77": {
+          "L": -0.3701,
+          "M": 21.4833,
+          "S": 0.13523
+        },
+        "78": {
+          "L": -0.3804,
+          "M": 21.681,
+          "S": 0.13554
+        },
+        "79": {
+          "L": -0.3906,
+          "M": 21.8799,
+          "S": 0.13586
+        },
+        "80": {
+          "L": -0.4007,
+          "M": 22.08,
+          "S": 0.13618
+        },
+        "81": {
+          "L": -0.4107,
+          "M": 22.2813,
+          "S": 0.13652
+        },
+        "82": {
+          "L": -0.4207,
+          "M": 22.4837,
+          "S": 0.13686
+        },
+        "83": {
+          "L": -0.4305,
+          "M": 22.6872,
+          "S": 0.13722
+        },
+        "84": {
+          "L": -0.4402,
+          "M": 22.8915,
+          "S": 0.13759
+        },
+        "85": {
+          "L": -0.4499,
+          "M": 23.0968,
+          "S": 0.13797
+        },
+        "86": {
+          "L": -0.4594,
+          "M": 23.3029,
+          "S": 0.13838
+        },
+        "87": {
+          "L": -0.4688,
+          "M": 23.5101,
+          "S": 0.1388
+        },
+        "88": {
+          "L": -0.4781,
+          "M": 23.7182,
+          "S": 0.13923
+        },
+        "89": {
+          "L": -0.4873,
+          "M": 23.9272,
+          "S": 0.13969
+        },
+        "90": {
+          "L": -0.4964,
+          "M": 24.1371,
+          "S": 0.14016
+        },
+        "91": {
+          "L": -0.5053,
+          "M": 24.3479,
+          "S": 0.14065
+        },
+        "92": {
+          "L": -0.5142,
+          "M": 24.5595,
+          "S": 0.14117
+        },
+        "93": {
+          "L": -0.5229,
+          "M": 24.7722,
+          "S": 0.1417
+        },
+        "94": {
+          "L": -0.5315,
+          "M": 24.9858,
+          "S": 0.14226
+        },
+        "95": {
+          "L": -0.5399,
+          "M": 25.2005,
+          "S": 0.14284
+        },
+        "96": {
+          "L": -0.5482,
+          "M": 25.4163,
+          "S": 0.14344
+        },
+        "97": {
+          "L": -0.5564,
+          "M": 25.6332,
+          "S": 0.14407
+        },
+        "98": {
+          "L": -0.5644,
+          "M": 25.8513,
+          "S": 0.14472
+        },
+        "99": {
+          "L": -0.5722,
+          "M": 26.0706,
+          "S": 0.14539
+        },
+        "100": {
+          "L": -0.5799,
+          "M": 26.2911,
+          "S": 0.14608
+        },
+        "101": {
+          "L": -0.5873,
+          "M": 26.5128,
+          "S": 0.14679
+        },
+        "102": {
+          "L": -0.5946,
+          "M": 26.7358,
+          "S": 0.14752
+        },
+        "103": {
+          "L": -0.6017,
+          "M": 26.9602,
+          "S": 0.14828
+        },
+        "104": {
+          "L": -0.6085,
+          "M": 27.1861,
+          "S": 0.14905
+        },
+        "105": {
+          "L": -0.6152,
+          "M": 27.4137,
+          "S": 0.14984
+        },
+        "106": {
+          "L": -0.6216,
+          "M": 27.6432,
+          "S": 0.15066
+        },
+        "107": {
+          "L": -0.6278,
+          "M": 27.875,
+          "S": 0.15149
+        },
+        "108": {
+          "L": -0.6337,
+          "M": 28.1092,
+          "S": 0.15233
+        },
+        "109": {
+          "L": -0.6393,
+          "M": 28.3459,
+          "S": 0.15319
+        },
+        "110": {
+          "L": -0.6446,
+          "M": 28.5854,
+          "S": 0.15406
+        },
+        "111": {
+          "L": -0.6496,
+          "M": 28.8277,
+          "S": 0.15493
+        },
+        "112": {
+          "L": -0.6543,
+          "M": 29.0731,
+          "S": 0.15581
+        },
+        "113": {
+          "L": -0.6585,
+          "M": 29.3217,
+          "S": 0.1567
+        },
+        "114": {
+          "L": -0.6624,
+          "M": 29.5736,
+          "S": 0.1576
+        },
+        "115": {
+          "L": -0.6659,
+          "M": 29.8289,
+          "S": 0.1585
+        },
+        "116": {
+          "L": -0.6689,
+          "M": 30.0877,
+          "S": 0.1594
+        },
+        "117": {
+          "L": -0.6714,
+          "M": 30.3501,
+          "S": 0.16031
+        },
+        "118": {
+          "L": -0.6735,
+          "M": 30.616,
+          "S": 0.16122
+        },
+        "119": {
+          "L": -0.6752,
+          "M": 30.8854,
+          "S": 0.16213
+        },
+        "120": {
+          "L": -0.6764,
+          "M": 31.1586,
+          "S": 0.16305
+        }
+      },
+      "bmi": {
+        "0": {
+          "L": -0.3053,
+          "M": 13.4069,
+          "S": 0.0956
+        },
+        "1": {
+          "L": 0.2708,
+          "M": 14.9441,
+          "S": 0.09027
+        },
+        "2": {
+          "L": 0.1118,
+          "M": 16.3195,
+          "S": 0.08677
+        },
+        "3": {
+          "L": 0.0068,
+          "M": 16.8987,
+          "S": 0.08495
+        },
+        "4": {
+          "L": -0.0727,
+          "M": 17.1579,
+          "S": 0.08378
+        },
+        "5": {
+          "L": -0.137,
+          "M": 17.2919,
+          "S": 0.08296
+        },
+        "6": {
+          "L": -0.1913,
+          "M": 17.3422,
+          "S": 0.08234
+        },
+        "7": {
+          "L": -0.2385,
+          "M": 17.3288,
+          "S": 0.08183
+        },
+        "8": {
+          "L": -0.2802,
+          "M": 17.2647,
+          "S": 0.0814
+        },
+        "9": {
+          "L": -0.3176,
+          "M": 17.1662,
+          "S": 0.08102
+        },
+        "10": {
+          "L": -0.3516,
+          "M": 17.0488,
+          "S": 0.08068
+        },
+        "11": {
+          "L": -0.3828,
+          "M": 16.9239,
+          "S": 0.08037
+        },
+        "12": {
+          "L": -0.4115,
+          "M": 16.7981,
+          "S": 0.08009
+        },
+        "13": {
+          "L": -0.4382,
+          "M": 16.6743,
+          "S": 0.07982
+        },
+        "14": {
+          "L": -0.463,
+          "M": 16.5548,
+          "S": 0.07958
+        },
+        "15": {
+          "L": -0.4863,
+          "M": 16.4409,
+          "S": 0.07935
+        },
+        "16": {
+          "L": -0.5082,
+          "M": 16.3335,
+          "S": 0.07913
+        },
+        "17": {
+          "L": -0.5289,
+          "M": 16.2329,
+          "S": 0.07892
+        },
+        "18": {
+          "L": -0.5484,
+          "M": 16.1392,
+          "S": 0.07873
+        },
+        "19": {
+          "L": -0.5669,
+          "M": 16.0528,
+          "S": 0.07854
+        },
+        "20": {
+          "L": -0.5846,
+          "M": 15.9743,
+          "S": 0.07836
+        },
+        "21": {
+          "L": -0.6014,
+          "M": 15.9039,
+          "S": 0.07818
+        },
+        "22": {
+          "L": -0.6174,
+          "M": 15.8412,
+          "S": 0.07802
+        },
+        "23": {
+          "L": -0.6328,
+          "M": 15.7852,
+          "S": 0.07786
+        },
+        "24": {
+          "L": -0.6187,
+          "M": 16.0189,
+          "S": 0.07785
+        },
+        "25": {
+          "L": -0.584,
+          "M": 15.98,
+          "S": 0.07792
+        },
+        "26": {
+          "L": -0.5497,
+          "M": 15.9414,
+          "S": 0.078
+        },
+        "27": {
+          "L": -0.5166,
+          "M": 15.9036,
+          "S": 0.07808
+        },
+        "28": {
+          "L": -0.485,
+          "M": 15.8667,
+          "S": 0.07818
+        },
+        "29": {
+          "L": -0.4552,
+          "M": 15.8306,
+          "S": 0.07829
+        },
+        "30": {
+          "L": -0.4274,
+          "M": 15.7953,
+          "S": 0.07841
+        },
+        "31": {
+          "L": -0.4016,
+          "M": 15.7606,
+          "S": 0.07854
+        },
+        "32": {
+          "L": -0.3782,
+          "M": 15.7267,
+          "S": 0.07867
+        },
+        "33": {
+          "L": -0.3572,
+          "M": 15.6934,
+          "S": 0.07882
+        },
+        "34": {
+          "L": -0.3388,
+          "M": 15.661,
+          "S": 0.07897
+        },
+        "35": {
+          "L": -0.3231,
+          "M": 15.6294,
+          "S": 0.07914
+        },
+        "36": {
+          "L": -0.3101,
+          "M": 15.5988,
+          "S": 0.07931
+        },
+        "37": {
+          "L": -0.3,
+          "M": 15.5693,
+          "S": 0.0795
+        },
+        "38": {
+          "L": -0.2927,
+          "M": 15.541,
+          "S": 0.07969
+        },
+        "39": {
+          "L": -0.2884,
+          "M": 15.514,
+          "S": 0.0799
+        },
+        "40": {
+          "L": -0.2869,
+          "M": 15.4885,
+          "S": 0.08012
+        },
+        "41": {
+          "L": -0.2881,
+          "M": 15.4645,
+          "S": 0.08036
+        },
+        "42": {
+          "L": -0.2919,
+          "M": 15.442,
+          "S": 0.08061
+        },
+        "43": {
+          "L": -0.2981,
+          "M": 15.421,
+          "S": 0.08087
+        },
+        "44": {
+          "L": -0.3067,
+          "M": 15.4013,
+          "S": 0.08115
+        },
+        "45": {
+          "L": -0.3174,
+          "M": 15.3827,
+          "S": 0.08144
+        },
+        "46": {
+          "L": -0.3303,
+          "M": 15.3652,
+          "S": 0.08174
+        },
+        "47": {
+          "L": -0.3452,
+          "M": 15.3485,
+          "S": 0.08205
+        },
+        "48": {
+          "L": -0.3622,
+          "M": 15.3326,
+          "S": 0.08238
+        },
+        "49": {
+          "L": -0.3811,
+          "M": 15.3174,
+          "S": 0.08272
+        },
+        "50": {
+          "L": -0.4019,
+          "M": 15.3029,
+          "S": 0.08307
+        },
+        "51": {
+          "L": -0.4245,
+          "M": 15.2891,
+          "S": 0.08343
+        },
+        "52": {
+          "L": -0.4488,
+          "M": 15.2759,
+          "S": 0.0838
+        },
+        "53": {
+          "L": -0.4747,
+          "M": 15.2633,
+          "S": 0.08418
+        },
+        "54": {
+          "L": -0.5019,
+          "M": 15.2514,
+          "S": 0.08457
+        },
+        "55": {
+          "L": -0.5303,
+          "M": 15.24,
+          "S": 0.08496
+        },
+        "56": {
+          "L": -0.5599,
+          "M": 15.2291,
+          "S": 0.08536
+        },
+        "57": {
+          "L": -0.5905,
+          "M": 15.2188,
+          "S": 0.08577
+        },
+        "58": {
+          "L": -0.6223,
+          "M": 15.2091,
+          "S": 0.08617
+        },
+        "59": {
+          "L": -0.6552,
+          "M": 15.2,
+          "S": 0.08659
+        },
+        "60": {
+          "L": -0.6892,
+          "M": 15.1916,
+          "S": 0.087
+        },
+        "61": {
+          "L": -0.7387,
+          "M": 15.2641,
+          "S": 0.0839
+        },
+        "62": {
+          "L": -0.7621,
+          "M": 15.2616,
+          "S": 0.08414
+        },
+        "63": {
+          "L": -0.7856,
+          "M": 15.2604,
+          "S": 0.08439
+        },
+        "64": {
+          "L": -0.8089,
+          "M": 15.2605,
+          "S": 0.08464
+        },
+        "65": {
+          "L": -0.8322,
+          "M": 15.2619,
+          "S": 0.0849
+        },
+        "66": {
+          "L": -0.8554,
+          "M": 15.2645,
+          "S": 0.08516
+        },
+        "67": {
+          "L": -0.8785,
+          "M": 15.2684,
+          "S": 0.08543
+        },
+        "68": {
+          "L": -0.9015,
+          "M": 15.2737,
+          "S": 0.0857
+        },
+        "69": {
+          "L": -0.9243,
+          "M": 15.2801,
+          "S": 0.08597
+        },
+        "70": {
+          "L": -0.9471,
+          "M": 15.2877,
+          "S": 0.08625
+        },
+        "71": {
+          "L": -0.9697,
+          "M": 15.2965,
+          "S": 0.08653
+        },
+        "72": {
+          "L": -0.9921,
+          "M": 15.3062,
+          "S": 0.08682
+        },
+        "73": {
+          "L": -1.0144,
+          "M": 15.3169,
+          "S": 0.08711
+        },
+        "74": {
+          "L": -1.0365,
+          "M": 15.3285,
+          "S": 0.08741
+        },
+        "75": {
+          "L": -1.0584,
+          "M": 15.3408,
+          "S": 0.08771
+        },
+        "76": {
+          "L": -1.0801,
+          "M": 15.354,
+          "S": 0.08802
+        },
+        "77": {
+          "L": -1.1017,
+          "M": 15.3679,
+          "S": 0.08833
+        },
+        "78": {
+          "L": -1.123,
+          "M": 15.3825,
+          "S": 0.08865
+        },
+        "79": {
+          "L": -1.1441,
+          "M": 15.3978,
+          "S": 0.08898
+        },
+        "80": {
+          "L": -1.1649,
+          "M": 15.4137,
+          "S": 0.08931
+        },
+        "81": {
+          "L": -1.1856,
+          "M": 15.4302,
+          "S": 0.08964
+        },
+        "82": {
+          "L": -1.206,
+          "M": 15.4473,
+          "S": 0.08998
+        },
+        "83": {
+          "L": -1.2261,
+          "M": 15.465,
+          "S": 0.09033
+        },
+        "84": {
+          "L": -1.246,
+          "M": 15.4832,
+          "S": 0.09068
+        },
+        "85": {
+          "L": -1.2656,
+          "M": 15.5019,
+          "S": 0.09103
+        },
+        "86": {
+          "L": -1.2849,
+          "M": 15.521,
+          "S": 0.09139
+        },
+        "87": {
+          "L": -1.304,
+          "M": 15.5407,
+          "S": 0.09176
+        },
+        "88": {
+          "L": -1.3228,
+          "M": 15.5608,
+          "S": 0.09213
+        },
+        "89": {
+          "L": -1.3414,
+          "M": 15.5814,
+          "S": 0.09251
+        },
+        "90": {
+          "L": -1.3596,
+          "M": 15.6023,
+          "S": 0.09289
+        },
+        "91": {
+          "L": -1.3776,
+          "M": 15.6237,
+          "S": 0.09327
+        },
+        "92": {
+          "L": -1.3953,
+          "M": 15.6455,
+          "S": 0.09366
+        },
+        "93": {
+          "L": -1.4126,
+          "M": 15.6677,
+          "S": 0.09406
+        },
+        "94": {
+          "L": -1.4297,
+          "M": 15.6903,
+          "S": 0.09445
+        },
+        "95": {
+          "L": -1.4464,
+          "M": 15.7133,
+          "S": 0.09486
+        },
+        "96": {
+          "L": -1.4629,
+          "M": 15.7368,
+          "S": 0.09526
+        },
+        "97": {
+          "L": -1.479,
+          "M": 15.7606,
+          "S": 0.09567
+        },
+        "98": {
+          "L": -1.4947,
+          "M": 15.7848,
+          "S": 0.09609
+        },
+        "99": {
+          "L": -1.5101,
+          "M": 15.8094,
+          "S": 0.09651
+        },
+        "100": {
+          "L": -1.5252,
+          "M": 15.8344,
+          "S": 0.09693
+        },
+        "101": {
+          "L": -1.5399,
+          "M": 15.8597,
+          "S": 0.09735
+        },
+        "102": {
+          "L": -1.5542,
+          "M": 15.8855,
+          "S": 0.09778
+        },
+        "103": {
+          "L": -1.5681,
+          "M": 15.9116,
+          "S": 0.09821
+        },
+        "104": {
+          "L": -1.5817,
+          "M": 15.9381,
+          "S": 0.09864
+        },
+        "105": {
+          "L": -1.5948,
+          "M": 15.9651,
+          "S": 0.09907
+        },
+        "106": {
+          "L": -1.6076,
+          "M": 15.9925,
+          "S": 0.09951
+        },
+        "107": {
+          "L": -1.6199,
+          "M": 16.0205,
+          "S": 0.09994
+        },
+        "108": {
+          "L": -1.6318,
+          "M": 16.049,
+          "S": 0.10038
+        },
+        "109": {
+          "L": -1.6433,
+          "M": 16.0781,
+          "S": 0.10082
+        },
+        "110": {
+          "L": -1.6544,
+          "M": 16.1078,
+          "S": 0.10126
+        },
+        "111": {
+          "L": -1.6651,
+          "M": 16.1381,
+          "S": 0.1017
+        },
+        "112": {
+          "L": -1.6753,
+          "M": 16.1692,
+          "S": 0.10214
+        },
+        "113": {
+          "L": -1.6851,
+          "M": 16.2009,
+          "S": 0.10259
+        },
+        "114": {
+          "L": -1.6944,
+          "M": 16.2333,
+          "S": 0.10303
+        },
+        "115": {
+          "L": -1.7032,
+          "M": 16.2665,
+          "S": 0.10347
+        },
+        "116": {
+          "L": -1.7116,
+          "M": 16.3004,
+          "S": 0.10391
+        },
+        "117": {
+          "L": -1.7196,
+          "M": 16.3351,
+          "S": 0.10435
+        },
+        "118": {
+          "L": -1.7271,
+          "M": 16.3704,
+          "S": 0.10478
+        },
+        "119": {
+          "L": -1.7341,
+          "M": 16.4065,
+          "S": 0.10522
+        },
+        "120": {
+          "L": -1.7407,
+          "M": 16.4433,
+          "S": 0.10566
+        },
+        "121": {
+          "L": -1.7468,
+          "M": 16.4807,
+          "S": 0.10609
+        },
+        "122": {
+          "L": -1.7525,
+          "M": 16.5189,
+          "S": 0.10652
+        },
+        "123": {
+          "L": -1.7578,
+          "M": 16.5578,
+          "S": 0.10695
+        },
+        "124": {
+          "L": -1.7626,
+          "M": 16.5974,
+          "S": 0.10738
+        },
+        "125": {
+          "L": -1.767,
+          "M": 16.6376,
+          "S": 0.1078
+        },
+        "126": {
+          "L": -1.771,
+          "M": 16.6786,
+          "S": 0.10823
+        },
+        "127": {
+          "L": -1.7745,
+          "M": 16.7203,
+          "S": 0.10865
+        },
+        "128": {
+          "L": -1.7777,
+          "M": 16.7628,
+          "S": 0.10906
+        },
+        "129": {
+          "L": -1.7804,
+          "M": 16.8059,
+          "S": 0.10948
+        },
+        "130": {
+          "L": -1.7828,
+          "M": 16.8497,
+          "S": 0.10989
+        },
+        "131": {
+          "L": -1.7847,
+          "M": 16.8941,
+          "S": 0.1103
+        },
+        "132": {
+          "L": -1.7862,
+          "M": 16.9392,
+          "S": 0.1107
+        },
+        "133": {
+          "L": -1.7873,
+          "M": 16.985,
+          "S": 0.1111
+        },
+        "134": {
+          "L": -1.7881,
+          "M": 17.0314,
+          "S": 0.1115
+        },
+        "135": {
+          "L": -1.7884,
+          "M": 17.0784,
+          "S": 0.11189
+        },
+        "136": {
+          "L": -1.7884,
+          "M": 17.1262,
+          "S": 0.11228
+        },
+        "137": {
+          "L": -1.788,
+          "M": 17.1746,
+          "S": 0.11266
+        },
+        "138": {
+          "L": -1.7873,
+          "M": 17.2236,
+          "S": 0.11304
+        },
+        "139": {
+          "L": -1.7861,
+          "M": 17.2734,
+          "S": 0.11342
+        },
+        "140": {
+          "L": -1.7846,
+          "M": 17.324,
+          "S": 0.11379
+        },
+        "141": {
+          "L": -1.7828,
+          "M": 17.3752,
+          "S": 0.11415
+        },
+        "142": {
+          "L": -1.7806,
+          "M": 17.4272,
+          "S": 0.11451
+        },
+        "143": {
+          "L": -1.778,
+          "M": 17.4799,
+          "S": 0.11487
+        },
+        "144": {
+          "L": -1.7751,
+          "M": 17.5334,
+          "S": 0.11522
+        },
+        "145": {
+          "L": -1.7719,
+          "M": 17.5877,
+          "S": 0.11556
+        },
+        "146": {
+          "L": -1.7684,
+          "M": 17.6427,
+          "S": 0.1159
+        },
+        "147": {
+          "L": -1.7645,
+          "M": 17.6985,
+          "S": 0.11623
+        },
+        "148": {
+          "L": -1.7604,
+          "M": 17.7551,
+          "S": 0.11656
+        },
+        "149": {
+          "L": -1.7559,
+          "M": 17.8124,
+          "S": 0.11688
+        },
+        "150": {
+          "L": -1.7511,
+          "M": 17.8704,
+          "S": 0.1172
+        },
+        "151": {
+          "L": -1.7461,
+          "M": 17.9292,
+          "S": 0.11751
+        },
+        "152": {
+          "L": -1.7408,
+          "M": 17.9887,
+          "S": 0.11781
+        },
+        "153": {
+          "L": -1.7352,
+          "M": 18.0488,
+          "S": 0.11811
+        },
+        "154": {
+          "L": -1.7293,
+          "M": 18.1096,
+          "S": 0.11841
+        },
+        "155": {
+          "L": -1.7232,
+          "M": 18.171,
+          "S": 0.11869
+        },
+        "156": {
+          "L": -1.7168,
+          "M": 18.233,
+          "S": 0.11898
+        },
+        "157": {
+          "L": -1.7102,
+          "M": 18.2955,
+          "S": 0.11925
+        },
+        "158": {
+          "L": -1.7033,
+          "M": 18.3586,
+          "S": 0.11952
+        },
+        "159": {
+          "L": -1.6962,
+          "M": 18.4221,
+          "S": 0.11979
+        },
+        "160": {
+          "L": -1.6888,
+          "M": 18.486,
+          "S": 0.12005
+        },
+        "161": {
+          "L": -1.6811,
+          "M": 18.5502,
+          "S": 0.1203
+        },
+        "162": {
+          "L": -1.6732,
+          "M": 18.6148,
+          "S": 0.12055
+        },
+        "163": {
+          "L": -1.6651,
+          "M": 18.6795,
+          "S": 0.12079
+        },
+        "164": {
+          "L": -1.6568,
+          "M": 18.7445,
+          "S": 0.12102
+        },
+        "165": {
+          "L": -1.6482,
+          "M": 18.8095,
+          "S": 0.12125
+        },
+        "166": {
+          "L": -1.6394,
+          "M": 18.8746,
+          "S": 0.12148
+        },
+        "167": {
+          "L": -1.6304,
+          "M": 18.9398,
+          "S": 0.1217
+        },
+        "168": {
+          "L": -1.6211,
+          "M": 19.005,
+          "S": 0.12191
+        },
+        "169": {
+          "L": -1.6116,
+          "M": 19.0701,
+          "S": 0.12212
+        },
+        "170": {
+          "L": -1.602,
+          "M": 19.1351,
+          "S": 0.12233
+        },
+        "171": {
+          "L": -1.5921,
+          "M": 19.2,
+          "S": 0.12253
+        },
+        "172": {
+          "L": -1.5821,
+          "M": 19.2648,
+          "S": 0.12272
+        },
+        "173": {
+          "L": -1.5719,
+          "M": 19.3294,
+          "S": 0.12291
+        },
+        "174": {
+          "L": -1.5615,
+          "M": 19.3937,
+          "S": 0.1231
+        },
+        "175": {
+          "L": -1.551,
+          "M": 19.4578,
+          "S": 0.12328
+        },
+        "176": {
+          "L": -1.5403,
+          "M": 19.5217,
+          "S": 0.12346
+        },
+        "177": {
+          "L": -1.5294,
+          "M": 19.5853,
+          "S": 0.12363
+        },
+        "178": {
+          "L": -1.5185,
+          "M": 19.6486,
+          "S": 0.1238
+        },
+        "179": {
+          "L": -1.5074,
+          "M": 19.7117,
+          "S": 0.12396
+        },
+        "180": {
+          "L": -1.4961,
+          "M": 19.7744,
+          "S": 0.12412
+        },
+        "181": {
+          "L": -1.4848,
+          "M": 19.8367,
+          "S": 0.12428
+        },
+        "182": {
+          "L": -1.4733,
+          "M": 19.8987,
+          "S": 0.12443
+        },
+        "183": {
+          "L": -1.4617,
+          "M": 19.9603,
+          "S": 0.12458
+        },
+        "184": {
+          "L": -1.45,
+          "M": 20.0215,
+          "S": 0.12473
+        },
+        "185": {
+          "L": -1.4382,
+          "M": 20.0823,
+          "S": 0.12487
+        },
+        "186": {
+          "L": -1.4263,
+          "M": 20.1427,
+          "S": 0.12501
+        },
+        "187": {
+          "L": -1.4143,
+          "M": 20.2026,
+          "S": 0.12514
+        },
+        "188": {
+          "L": -1.4022,
+          "M": 20.2621,
+          "S": 0.12528
+        },
+        "189": {
+          "L": -1.39,
+          "M": 20.3211,
+          "S": 0.12541
+        },
+        "190": {
+          "L": -1.3777,
+          "M": 20.3796,
+          "S": 0.12554
+        },
+        "191": {
+          "L": -1.3653,
+          "M": 20.4376,
+          "S": 0.12567
+        },
+        "192": {
+          "L": -1.3529,
+          "M": 20.4951,
+          "S": 0.12579
+        },
+        "193": {
+          "L": -1.3403,
+          "M": 20.5521,
+          "S": 0.12591
+        },
+        "194": {
+          "L": -1.3277,
+          "M": 20.6085,
+          "S": 0.12603
+        },
+        "195": {
+          "L": -1.3149,
+          "M": 20.6644,
+          "S": 0.12615
+        },
+        "196": {
+          "L": -1.3021,
+          "M": 20.7197,
+          "S": 0.12627
+        },
+        "197": {
+          "L": -1.2892,
+          "M": 20.7745,
+          "S": 0.12638
+        },
+        "198": {
+          "L": -1.2762,
+          "M": 20.8287,
+          "S": 0.1265
+        },
+        "199": {
+          "L": -1.2631,
+          "M": 20.8824,
+          "S": 0.12661
+        },
+        "200": {
+          "L": -1.2499,
+          "M": 20.9355,
+          "S": 0.12672
+        },
+        "201": {
+          "L": -1.2366,
+          "M": 20.9881,
+          "S": 0.12683
+        },
+        "202": {
+          "L": -1.2233,
+          "M": 21.04,
+          "S": 0.12694
+        },
+        "203": {
+          "L": -1.2098,
+          "M": 21.0914,
+          "S": 0.12704
+        },
+        "204": {
+          "L": -1.1962,
+          "M": 21.1423,
+          "S": 0.12715
+        },
+        "205": {
+          "L": -1.1826,
+          "M": 21.1925,
+          "S": 0.12726
+        },
+        "206": {
+          "L": -1.1688,
+          "M": 21.2423,
+          "S": 0.12736
+        },
+        "207": {
+          "L": -1.155,
+          "M": 21.2914,
+          "S": 0.12746
+        },
+        "208": {
+          "L": -1.141,
+          "M": 21.34,
+          "S": 0.12756
+        },
+        "209": {
+          "L": -1.127,
+          "M": 21.388,
+          "S": 0.12767
+        },
+        "210": {
+          "L": -1.1129,
+          "M": 21.4354,
+          "S": 0.12777
+        },
+        "211": {
+          "L": -1.0986,
+          "M": 21.4822,
+          "S": 0.12787
+        },
+        "212": {
+          "L": -1.0843,
+          "M": 21.5285,
+          "S": 0.12797
+        },
+        "213": {
+          "L": -1.0699,
+          "M": 21.5742,
+          "S": 0.12807
+        },
+        "214": {
+          "L": -1.0553,
+          "M": 21.6193,
+          "S": 0.12816
+        },
+        "215": {
+          "L": -1.0407,
+          "M": 21.6638,
+          "S": 0.12826
+        },
+        "216": {
+          "L": -1.026,
+          "M": 21.7077,
+          "S": 0.12836
+        },
+        "217": {
+          "L": -1.0112,
+          "M": 21.751,
+          "S": 0.12845
+        },
+        "218": {
+          "L": -0.9962,
+          "M": 21.7937,
+          "S": 0.12855
+        },
+        "219": {
+          "L": -0.9812,
+          "M": 21.8358,
+          "S": 0.12864
+        },
+        "220": {
+          "L": -0.9661,
+          "M": 21.8773,
+          "S": 0.12874
+        },
+        "221": {
+          "L": -0.9509,
+          "M": 21.9182,
+          "S": 0.12883
+        },
+        "222": {
+          "L": -0.9356,
+          "M": 21.9585,
+          "S": 0.12893
+        },
+        "223": {
+          "L": -0.9202,
+          "M": 21.9982,
+          "S": 0.12902
+        },
+        "224": {
+          "L": -0.9048,
+          "M": 22.0374,
+          "S": 0.12911
+        },
+        "225": {
+          "L": -0.8892,
+          "M": 22.076,
+          "S": 0.1292
+        },
+        "226": {
+          "L": -0.8735,
+          "M": 22.114,
+          "S": 0.1293
+        },
+        "227": {
+          "L": -0.8578,
+          "M": 22.1514,
+          "S": 0.12939
+        },
+        "228": {
+          "L": -0.8419,
+          "M": 22.1883,
+          "S": 0.12948
+        }
+      },
+      "wfl": {
+        "45.0": {
+          "L": -0.3521,
+          "M": 2.441,
+          "S": 0.09182
+        },
+        "45.5": {
+          "L": -0.3521,
+          "M": 2.5244,
+          "S": 0.09153
+        },
+        "46.0": {
+          "L": -0.3521,
+          "M": 2.6077,
+          "S": 0.09124
+        },
+        "46.5": {
+          "L": -0.3521,
+          "M": 2.6913,
+          "S": 0.09094
+        },
+        "47.0": {
+          "L": -0.3521,
+          "M": 2.7755,
+          "S": 0.09065
+        },
+        "47.5": {
+          "L": -0.3521,
+          "M": 2.8609,
+          "S": 0.09036
+        },
+        "48.0": {
+          "L": -0.3521,
+          "M": 2.948,
+          "S": 0.09007
+        },
+        "48.5": {
+          "L": -0.3521,
+          "M": 3.0377,
+          "S": 0.08977
+        },
+        "49.0": {
+          "L": -0.3521,
+          "M": 3.1308,
+          "S": 0.08948
+        },
+        "49.5": {
+          "L": -0.3521,
+          "M": 3.2276,
+          "S": 0.08919
+        },
+        "50.0": {
+          "L": -0.3521,
+          "M": 3.3278,
+          "S": 0.0889
+        },
+        "50.5": {
+          "L": -0.3521,
+          "M": 3.4311,
+          "S": 0.08861
+        },
+        "51.0": {
+          "L": -0.3521,
+          "M": 3.5376,
+          "S": 0.08831
+        },
+        "51.5": {
+          "L": -0.3521,
+          "M": 3.6477,
+          "S": 0.08801
+        },
+        "52.0": {
+          "L": -0.3521,
+          "M": 3.762,
+          "S": 0.08771
+        },
+        "52.5": {
+          "L": -0.3521,
+          "M": 3.8814,
+          "S": 0.08741
+        },
+        "53.0": {
+          "L": -0.3521,
+          "M": 4.006,
+          "S": 0.08711
+        },
+        "53.5": {
+          "L": -0.3521,
+          "M": 4.1354,
+          "S": 0.08681
+        },
+        "54.0": {
+          "L": -0.3521,
+          "M": 4.2693,
+          "S": 0.08651
+        },
+        "54.5": {
+          "L": -0.3521,
+          "M": 4.4066,
+          "S": 0.08621
+        },
+        "55.0": {
+          "L": -0.3521,
+          "M": 4.5467,
+          "S": 0.08592
+        },
+        "55.5": {
+          "L": -0.3521,
+          "M": 4.6892,
+          "S": 0.08563
+        },
+        "56.0": {
+          "L": -0.3521,
+          "M": 4.8338,
+          "S": 0.08535
+        },
+        "56.5": {
+          "L": -0.3521,
+          "M": 4.9796,
+          "S": 0.08507
+        },
+        "57.0": {
+          "L": -0.3521,
+          "M": 5.1259,
+          "S": 0.08481
+        },
+        "57.5": {
+          "L": -0.3521,
+          "M": 5.2721,
+          "S": 0.08455
+        },
+        "58.0": {
+          "L": -0.3521,
+          "M": 5.418,
+          "S": 0.0843
+        },
+        "58.5": {
+          "L": -0.3521,
+          "M": 5.5632,
+          "S": 0.08406
+        },
+        "59.0": {
+          "L": -0.3521,
+          "M": 5.7074,
+          "S": 0.08383
+        },
+        "59.5": {
+          "L": -0.3521,
+          "M": 5.8501,
+          "S": 0.08362
+        },
+        "60.0": {
+          "L": -0.3521,
+          "M": 5.9907,
+          "S": 0.08342
+        },
+        "60.5": {
+          "L": -0.3521,
+          "M": 6.1284,
+          "S": 0.08324
+        },
+        "61.0": {
+          "L": -0.3521,
+          "M": 6.2632,
+          "S": 0.08308
+        },
+        "61.5": {
+          "L": -0.3521,
+          "M": 6.3954,
+          "S": 0.08292
+        },
+        "62.0": {
+          "L": -0.3521,
+          "M": 6.5251,
+          "S": 0.08279
+        },
+        "62.5": {
+          "L": -0.3521,
+          "M": 6.6527,
+          "S": 0.08266
+        },
+        "63.0": {
+          "L": -0.3521,
+          "M": 6.7786,
+          "S": 0.08255
+        },
+        "63.5": {
+          "L": -0.3521,
+          "M": 6.9028,
+          "S": 0.08245
+        },
+        "64.0": {
+          "L": -0.3521,
+          "M": 7.0255,
+          "S": 0.08236
+        },
+        "64.5": {
+          "L": -0.3521,
+          "M": 7.1467,
+          "S": 0.08229
+        },
+        "65.0": {
+          "L": -0.3521,
+          "M": 7.2666,
+          "S": 0.08223
+        },
+        "65.5": {
+          "L": -0.3521,
+          "M": 7.3854,
+          "S": 0.08218
+        },
+        "66.0": {
+          "L": -0.3521,
+          "M": 7.5034,
+          "S": 0.08215
+        },
+        "66.5": {
+          "L": -0.3521,
+          "M": 7.6206,
+          "S": 0.08213
+        },
+        "67.0": {
+          "L": -0.3521,
+          "M": 7.737,
+          "S": 0.08212
+        },
+        "67.5": {
+          "L": -0.3521,
+          "M": 7.8526,
+          "S": 0.08212
+        },
+        "68.0": {
+          "L": -0.3521,
+          "M": 7.9674,
+          "S": 0.08214
+        },
+        "68.5": {
+          "L": -0.3521,
+          "M": 8.0816,
+          "S": 0.08216
+        },
+        "69.0": {
+          "L": -0.3521,
+          "M": 8.1955,
+          "S": 0.08219
+        },
+        "69.5": {
+          "L": -0.3521,
+          "M": 8.3092,
+          "S": 0.08224
+        },
+        "70.0": {
+          "L": -0.3521,
+          "M": 8.4227,
+          "S": 0.08229
+        },
+        "70.5": {
+          "L": -0.3521,
+          "M": 8.5358,
+          "S": 0.08235
+        },
+        "71.0": {
+          "L": -0.3521,
+          "M": 8.648,
+          "S": 0.08241
+        },
+        "71.5": {
+          "L": -0.3521,
+          "M": 8.7594,
+          "S": 0.08248
+        },
+        "72.0": {
+          "L": -0.3521,
+          "M": 8.8697,
+          "S": 0.08254
+        },
+        "72.5": {
+          "L": -0.3521,
+          "M": 8.9788,
+          "S": 0.08262
+        },
+        "73.0": {
+          "L": -0.3521,
+          "M": 9.0865,
+          "S": 0.08269
+        },
+        "73.5": {
+          "L": -0.3521,
+          "M": 9.1927,
+          "S": 0.08276
+        },
+        "74.0": {
+          "L": -0.3521,
+          "M": 9.2974,
+          "S": 0.08283
+        },
+        "74.5": {
+          "L": -0.3521,
+          "M": 9.401,
+          "S": 0.08289
+        },
+        "75.0": {
+          "L": -0.3521,
+          "M": 9.5032,
+          "S": 0.08295
+        },
+        "75.5": {
+          "L": -0.3521,
+          "M": 9.6041,
+          "S": 0.08301
+        },
+        "76.0": {
+          "L": -0.3521,
+          "M": 9.7033,
+          "S": 0.08307
+        },
+        "76.5": {
+          "L": -0.3521,
+          "M": 9.8007,
+          "S": 0.08311
+        },
+        "77.0": {
+          "L": -0.3521,
+          "M": 9.8963,
+          "S": 0.08314
+        },
+        "77.5": {
+          "L": -0.3521,
+          "M": 9.9902,
+          "S": 0.08317
+        },
+        "78.0": {
+          "L": -0.3521,
+          "M": 10.0827,
+          "S": 0.08318
+        },
+        "78.5": {
+          "L": -0.3521,
+          "M": 10.1741,
+          "S": 0.08318
+        },
+        "79.0": {
+          "L": -0.3521,
+          "M": 10.2649,
+          "S": 0.08316
+        },
+        "79.5": {
+          "L": -0.3521,
+          "M": 10.3558,
+          "S": 0.08313
+        },
+        "80.0": {
+          "L": -0.3521,
+          "M": 10.4475,
+          "S": 0.08308
+        },
+        "80.5": {
+          "L": -0.3521,
+          "M": 10.5405,
+          "S": 0.08301
+        },
+        "81.0": {
+          "L": -0.3521,
+          "M": 10.6352,
+          "S": 0.08293
+        },
+        "81.5": {
+          "L": -0.3521,
+          "M": 10.7322,
+          "S": 0.08284
+        },
+        "82.0": {
+          "L": -0.3521,
+          "M": 10.8321,
+          "S": 0.08273
+        },
+        "82.5": {
+          "L": -0.3521,
+          "M": 10.935,
+          "S": 0.0826
+        },
+        "83.0": {
+          "L": -0.3521,
+          "M": 11.0415,
+          "S": 0.08246
+        },
+        "83.5": {
+          "L": -0.3521,
+          "M": 11.1516,
+          "S": 0.08231
+        },
+        "84.0": {
+          "L": -0.3521,
+          "M": 11.2651,
+          "S": 0.08215
+        },
+        "84.5": {
+          "L": -0.3521,
+          "M": 11.3817,
+          "S": 0.08198
+        },
+        "85.0": {
+          "L": -0.3521,
+          "M": 11.5007,
+          "S": 0.08181
+        },
+        "85.5": {
+          "L": -0.3521,
+          "M": 11.6218,
+          "S": 0.08163
+        },
+        "86.0": {
+          "L": -0.3521,
+          "M": 11.7444,
+          "S": 0.08145
+        },
+        "86.5": {
+          "L": -0.3521,
+          "M": 11.8678,
+          "S": 0.08128
+        },
+        "87.0": {
+          "L": -0.3521,
+          "M": 11.9916,
+          "S": 0.08111
+        },
+        "87.5": {
+          "L": -0.3521,
+          "M": 12.1152,
+          "S": 0.08096
+        },
+        "88.0": {
+          "L": -0.3521,
+          "M": 12.2382,
+          "S": 0.08082
+        },
+        "88.5": {
+          "L": -0.3521,
+          "M": 12.3603,
+          "S": 0.08069
+        },
+        "89.0": {
+          "L": -0.3521,
+          "M": 12.4815,
+          "S": 0.08058
+        },
+        "89.5": {
+          "L": -0.3521,
+          "M": 12.6017,
+          "S": 0.08048
+        },
+        "90.0": {
+          "L": -0.3521,
+          "M": 12.7209,
+          "S": 0.08041
+        },
+        "90.5": {
+          "L": -0.3521,
+          "M": 12.8392,
+          "S": 0.08034
+        },
+        "91.0": {
+          "L": -0.3521,
+          "M": 12.9569,
+          "S": 0.0803
+        },
+        "91.5": {
+          "L": -0.3521,
+          "M": 13.0742,
+          "S": 0.08026
+        },
+        "92.0": {
+          "L": -0.3521,
+          "M": 13.191,
+          "S": 0.08025
+        },
+        "92.5": {
+          "L": -0.3521,
+          "M": 13.3075,
+          "S": 0.08025
+        },
+        "93.0": {
+          "L": -0.3521,
+          "M": 13.4239,
+          "S": 0.08026
+        },
+        "93.5": {
+          "L": -0.3521,
+          "M": 13.5404,
+          "S": 0.08029
+        },
+        "94.0": {
+          "L": -0.3521,
+          "M": 13.6572,
+          "S": 0.08034
+        },
+        "94.5": {
+          "L": -0.3521,
+          "M": 13.7746,
+          "S": 0.0804
+        },
+        "95.0": {
+          "L": -0.3521,
+          "M": 13.8928,
+          "S": 0.08047
+        },
+        "95.5": {
+          "L": -0.3521,
+          "M": 14.012,
+          "S": 0.08056
+        },
+        "96.0": {
+          "L": -0.3521,
+          "M": 14.1325,
+          "S": 0.08067
+        },
+        "96.5": {
+          "L": -0.3521,
+          "M": 14.2544,
+          "S": 0.08078
+        },
+        "97.0": {
+          "L": -0.3521,
+          "M": 14.3782,
+          "S": 0.08092
+        },
+        "97.5": {
+          "L": -0.3521,
+          "M": 14.5038,
+          "S": 0.08106
+        },
+        "98.0": {
+          "L": -0.3521,
+          "M": 14.6316,
+          "S": 0.08122
+        },
+        "98.5": {
+          "L": -0.3521,
+          "M": 14.7614,
+          "S": 0.08139
+        },
+        "99.0": {
+          "L": -0.3521,
+          "M": 14.8934,
+          "S": 0.08157
+        },
+        "99.5": {
+          "L": -0.3521,
+          "M": 15.0275,
+          "S": 0.08177
+        },
+        "100.0": {
+          "L": -0.3521,
+          "M": 15.1637,
+          "S": 0.08198
+        },
+        "100.5": {
+          "L": -0.3521,
+          "M": 15.3018,
+          "S": 0.0822
+        },
+        "101.0": {
+          "L": -0.3521,
+          "M": 15.4419,
+          "S": 0.08243
+        },
+        "101.5": {
+          "L": -0.3521,
+          "M": 15.5838,
+          "S": 0.08267
+        },
+        "102.0": {
+          "L": -0.3521,
+          "M": 15.7276,
+          "S": 0.08292
+        },
+        "102.5": {
+          "L": -0.3521,
+          "M": 15.8732,
+          "S": 0.08317
+        },
+        "103.0": {
+          "L": -0.3521,
+          "M": 16.0206,
+          "S": 0.08343
+        },
+        "103.5": {
+          "L": -0.3521,
+          "M": 16.1697,
+          "S": 0.0837
+        },
+        "104.0": {
+          "L": -0.3521,
+          "M": 16.3204,
+          "S": 0.08397
+        },
+        "104.5": {
+          "L": -0.3521,
+          "M": 16.4728,
+          "S": 0.08425
+        },
+        "105.0": {
+          "L": -0.3521,
+          "M": 16.6268,
+          "S": 0.08453
+        },
+        "105.5": {
+          "L": -0.3521,
+          "M": 16.7826,
+          "S": 0.08481
+        },
+        "106.0": {
+          "L": -0.3521,
+          "M": 16.9401,
+          "S": 0.0851
+        },
+        "106.5": {
+          "L": -0.3521,
+          "M": 17.0995,
+          "S": 0.08539
+        },
+        "107.0": {
+          "L": -0.3521,
+          "M": 17.2607,
+          "S": 0.08568
+        },
+        "107.5": {
+          "L": -0.3521,
+          "M": 17.4237,
+          "S": 0.08599
+        },
+        "108.0": {
+          "L": -0.3521,
+          "M": 17.5885,
+          "S": 0.08629
+        },
+        "108.5": {
+          "L": -0.3521,
+          "M": 17.7553,
+          "S": 0.0866
+        },
+        "109.0": {
+          "L": -0.3521,
+          "M": 17.9242,
+          "S": 0.08691
+        },
+        "109.5": {
+          "L": -0.3521,
+          "M": 18.0954,
+          "S": 0.08723
+        },
+        "110.0": {
+          "L": -0.3521,
+          "M": 18.2689,
+          "S": 0.08755
+        }
+      },
+      "wfh": {
+        "65.0": {
+          "L": -0.3521,
+          "M": 7.4327,
+          "S": 0.08217
+        },
+        "65.5": {
+          "L": -0.3521,
+          "M": 7.5504,
+          "S": 0.08214
+        },
+        "66.0": {
+          "L": -0.3521,
+          "M": 7.6673,
+          "S": 0.08212
+        },
+        "66.5": {
+          "L": -0.3521,
+          "M": 7.7834,
+          "S": 0.08212
+        },
+        "67.0": {
+          "L": -0.3521,
+          "M": 7.8986,
+          "S": 0.08213
+        },
+        "67.5": {
+          "L": -0.3521,
+          "M": 8.0132,
+          "S": 0.08214
+        },
+        "68.0": {
+          "L": -0.3521,
+          "M": 8.1272,
+          "S": 0.08217
+        },
+        "68.5": {
+          "L": -0.3521,
+          "M": 8.241,
+          "S": 0.08221
+        },
+        "69.0": {
+          "L": -0.3521,
+          "M": 8.3547,
+          "S": 0.08226
+        },
+        "69.5": {
+          "L": -0.3521,
+          "M": 8.468,
+          "S": 0.08231
+        },
+        "70.0": {
+          "L": -0.3521,
+          "M": 8.5808,
+          "S": 0.08237
+        },
+        "70.5": {
+          "L": -0.3521,
+          "M": 8.6927,
+          "S": 0.08243
+        },
+        "71.0": {
+          "L": -0.3521,
+          "M": 8.8036,
+          "S": 0.0825
+        },
+        "71.5": {
+          "L": -0.3521,
+          "M": 8.9135,
+          "S": 0.08257
+        },
+        "72.0": {
+          "L": -0.3521,
+          "M": 9.0221,
+          "S": 0.08264
+        },
+        "72.5": {
+          "L": -0.3521,
+          "M": 9.1292,
+          "S": 0.08272
+        },
+        "73.0": {
+          "L": -0.3521,
+          "M": 9.2347,
+          "S": 0.08278
+        },
+        "73.5": {
+          "L": -0.3521,
+          "M": 9.339,
+          "S": 0.08285
+        },
+        "74.0": {
+          "L": -0.3521,
+          "M": 9.442,
+          "S": 0.08292
+        },
+        "74.5": {
+          "L": -0.3521,
+          "M": 9.5438,
+          "S": 0.08298
+        },
+        "75.0": {
+          "L": -0.3521,
+          "M": 9.644,
+          "S": 0.08303
+        },
+        "75.5": {
+          "L": -0.3521,
+          "M": 9.7425,
+          "S": 0.08308
+        },
+        "76.0": {
+          "L": -0.3521,
+          "M": 9.8392,
+          "S": 0.08312
+        },
+        "76.5": {
+          "L": -0.3521,
+          "M": 9.9341,
+          "S": 0.08315
+        },
+        "77.0": {
+          "L": -0.3521,
+          "M": 10.0274,
+          "S": 0.08317
+        },
+        "77.5": {
+          "L": -0.3521,
+          "M": 10.1194,
+          "S": 0.08318
+        },
+        "78.0": {
+          "L": -0.3521,
+          "M": 10.2105,
+          "S": 0.08317
+        },
+        "78.5": {
+          "L": -0.3521,
+          "M": 10.3012,
+          "S": 0.08315
+        },
+        "79.0": {
+          "L": -0.3521,
+          "M": 10.3923,
+          "S": 0.08311
+        },
+        "79.5": {
+          "L": -0.3521,
+          "M": 10.4845,
+          "S": 0.08305
+        },
+        "80.0": {
+          "L": -0.3521,
+          "M": 10.5781,
+          "S": 0.08298
+        },
+        "80.5": {
+          "L": -0.3521,
+          "M": 10.6737,
+          "S": 0.0829
+        },
+        "81.0": {
+          "L": -0.3521,
+          "M": 10.7718,
+          "S": 0.08279
+        },
+        "81.5": {
+          "L": -0.3521,
+          "M": 10.8728,
+          "S": 0.08268
+        },
+        "82.0": {
+          "L": -0.3521,
+          "M": 10.9772,
+          "S": 0.08255
+        },
+        "82.5": {
+          "L": -0.3521,
+          "M": 11.0851,
+          "S": 0.08241
+        },
+        "83.0": {
+          "L": -0.3521,
+          "M": 11.1966,
+          "S": 0.08225
+        },
+        "83.5": {
+          "L": -0.3521,
+          "M": 11.3114,
+          "S": 0.08209
+        },
+        "84.0": {
+          "L": -0.3521,
+          "M": 11.429,
+          "S": 0.08191
+        },
+        "84.5": {
+          "L": -0.3521,
+          "M": 11.549,
+          "S": 0.08174
+        },
+        "85.0": {
+          "L": -0.3521,
+          "M": 11.6707,
+          "S": 0.08156
+        },
+        "85.5": {
+          "L": -0.3521,
+          "M": 11.7937,
+          "S": 0.08138
+        },
+        "86.0": {
+          "L": -0.3521,
+          "M": 11.9173,
+          "S": 0.08121
+        },
+        "86.5": {
+          "L": -0.3521,
+          "M": 12.0411,
+          "S": 0.08105
+        },
+        "87.0": {
+          "L": -0.3521,
+          "M": 12.1645,
+          "S": 0.0809
+        },
+        "87.5": {
+          "L": -0.3521,
+          "M": 12.2871,
+          "S": 0.08076
+        },
+        "88.0": {
+          "L": -0.3521,
+          "M": 12.4089,
+          "S": 0.08064
+        },
+        "88.5": {
+          "L": -0.3521,
+          "M": 12.5298,
+          "S": 0.08054
+        },
+        "89.0": {
+          "L": -0.3521,
+          "M": 12.6495,
+          "S": 0.08045
+        },
+        "89.5": {
+          "L": -0.3521,
+          "M": 12.7683,
+          "S": 0.08038
+        },
+        "90.0": {
+          "L": -0.3521,
+          "M": 12.8864,
+          "S": 0.08032
+        },
+        "90.5": {
+          "L": -0.3521,
+          "M": 13.0038,
+          "S": 0.08028
+        },
+        "91.0": {
+          "L": -0.3521,
+          "M": 13.1209,
+          "S": 0.08025
+        },
+        "91.5": {
+          "L": -0.3521,
+          "M": 13.2376,
+          "S": 0.08024
+        },
+        "92.0": {
+          "L": -0.3521,
+          "M": 13.3541,
+          "S": 0.08025
+        },
+        "92.5": {
+          "L": -0.3521,
+          "M": 13.4705,
+          "S": 0.08027
+        },
+        "93.0": {
+          "L": -0.3521,
+          "M": 13.587,
+          "S": 0.08031
+        },
+        "93.5": {
+          "L": -0.3521,
+          "M": 13.7041,
+          "S": 0.08036
+        },
+        "94.0": {
+          "L": -0.3521,
+          "M": 13.8217,
+          "S": 0.08043
+        },
+        "94.5": {
+          "L": -0.3521,
+          "M": 13.9403,
+          "S": 0.08051
+        },
+        "95.0": {
+          "L": -0.3521,
+          "M": 14.06,
+          "S": 0.0806
+        },
+        "95.5": {
+          "L": -0.3521,
+          "M": 14.1811,
+          "S": 0.08071
+        },
+        "96.0": {
+          "L": -0.3521,
+          "M": 14.3037,
+          "S": 0.08083
+        },
+        "96.5": {
+          "L": -0.3521,
+          "M": 14.4282,
+          "S": 0.08097
+        },
+        "97.0": {
+          "L": -0.3521,
+          "M": 14.5547,
+          "S": 0.08112
+        },
+        "97.5": {
+          "L": -0.3521,
+          "M": 14.6832,
+          "S": 0.08129
+        },
+        "98.0": {
+          "L": -0.3521,
+          "M": 14.814,
+          "S": 0.08146
+        },
+        "98.5": {
+          "L": -0.3521,
+          "M": 14.9468,
+          "S": 0.08165
+        },
+        "99.0": {
+          "L": -0.3521,
+          "M": 15.0818,
+          "S": 0.08185
+        },
+        "99.5": {
+          "L": -0.3521,
+          "M": 15.2187,
+          "S": 0.08206
+        },
+        "100.0": {
+          "L": -0.3521,
+          "M": 15.3576,
+          "S": 0.08229
+        },
+        "100.5": {
+          "L": -0.3521,
+          "M": 15.4985,
+          "S": 0.08252
+        },
+        "101.0": {
+          "L": -0.3521,
+          "M": 15.6412,
+          "S": 0.08277
+        },
+        "101.5": {
+          "L": -0.3521,
+          "M": 15.7857,
+          "S": 0.08302
+        },
+        "102.0": {
+          "L": -0.3521,
+          "M": 15.932,
+          "S": 0.08328
+        },
+        "102.5": {
+          "L": -0.3521,
+          "M": 16.0801,
+          "S": 0.08354
+        },
+        "103.0": {
+          "L": -0.3521,
+          "M": 16.2298,
+          "S": 0.08381
+        },
+        "103.5": {
+          "L": -0.3521,
+          "M": 16.3812,
+          "S": 0.08408
+        },
+        "104.0": {
+          "L": -0.3521,
+          "M": 16.5342,
+          "S": 0.08436
+        },
+        "104.5": {
+          "L": -0.3521,
+          "M": 16.6889,
+          "S": 0.08464
+        },
+        "105.0": {
+          "L": -0.3521,
+          "M": 16.8454,
+          "S": 0.08493
+        },
+        "105.5": {
+          "L": -0.3521,
+          "M": 17.0036,
+          "S": 0.08521
+        },
+        "106.0": {
+          "L": -0.3521,
+          "M": 17.1637,
+          "S": 0.08551
+        },
+        "106.5": {
+          "L": -0.3521,
+          "M": 17.3256,
+          "S": 0.0858
+        },
+        "107.0": {
+          "L": -0.3521,
+          "M": 17.4894,
+          "S": 0.08611
+        },
+        "107.5": {
+          "L": -0.3521,
+          "M": 17.655,
+          "S": 0.08641
+        },
+        "108.0": {
+          "L": -0.3521,
+          "M": 17.8226,
+          "S": 0.08673
+        },
+        "108.5": {
+          "L": -0.3521,
+          "M": 17.9924,
+          "S": 0.08704
+        },
+        "109.0": {
+          "L": -0.3521,
+          "M": 18.1645,
+          "S": 0.08736
+        },
+        "109.5": {
+          "L": -0.3521,
+          "M": 18.339,
+          "S": 0.08768
+        },
+        "110.0": {
+          "L": -0.3521,
+          "M": 18.5158,
+          "S": 0.088
+        },
+        "110.5": {
+          "L": -0.3521,
+          "M": 18.6948,
+          "S": 0.08832
+        },
+        "111.0": {
+          "L": -0.3521,
+          "M": 18.8759,
+          "S": 0.08864
+        },
+        "111.5": {
+          "L": -0.3521,
+          "M": 19.059,
+          "S": 0.08896
+        },
+        "112.0": {
+          "L": -0.3521,
+          "M": 19.2439,
+          "S": 0.08928
+        },
+        "112.5": {
+          "L": -0.3521,
+          "M": 19.4304,
+          "S": 0.0896
+        },
+        "113.0": {
+          "L": -0.3521,
+          "M": 19.6185,
+          "S": 0.08991
+        },
+        "113.5": {
+          "L": -0.3521,
+          "M": 19.8081,
+          "S": 0.09022
+        },
+        "114.0": {
+          "L": -0.3521,
+          "M": 19.999,
+          "S": 0.09054
+        },
+        "114.5": {
+          "L": -0.3521,
+          "M": 20.1912,
+          "S": 0.09085
+        },
+        "115.0": {
+          "L": -0.3521,
+          "M": 20.3846,
+          "S": 0.09116
+        },
+        "115.5": {
+          "L": -0.3521,
+          "M": 20.5789,
+          "S": 0.09147
+        },
+        "116.0": {
+          "L": -0.3521,
+          "M": 20.7741,
+          "S": 0.09177
+        },
+        "116.5": {
+          "L": -0.3521,
+          "M": 20.97,
+          "S": 0.09208
+        },
+        "117.0": {
+          "L": -0.3521,
+          "M": 21.1666,
+          "S": 0.09239
+        },
+        "117.5": {
+          "L": -0.3521,
+          "M": 21.3636,
+          "S": 0.0927
+        },
+        "118.0": {
+          "L": -0.3521,
+          "M": 21.5611,
+          "S": 0.093
+        },
+        "118.5": {
+          "L": -0.3521,
+          "M": 21.7588,
+          "S": 0.09331
+        },
+        "119.0": {
+          "L": -0.3521,
+          "M": 21.9568,
+          "S": 0.09362
+        },
+        "119.5": {
+          "L": -0.3521,
+          "M": 22.1549,
+          "S": 0.09393
+        },
+        "120.0": {
+          "L": -0.3521,
+          "M": 22.353,
+          "S": 0.09424
+        }
+      },
+      "head": {
+        "0": {
+          "L": 1,
+          "M": 34.4618,
+          "S": 0.03686
+        },
+        "1": {
+          "L": 1,
+          "M": 37.2759,
+          "S": 0.03133
+        },
+        "2": {
+          "L": 1,
+          "M": 39.1285,
+          "S": 0.02997
+        },
+        "3": {
+          "L": 1,
+          "M": 40.5135,
+          "S": 0.02918
+        },
+        "4": {
+          "L": 1,
+          "M": 41.6317,
+          "S": 0.02868
+        },
+        "5": {
+          "L": 1,
+          "M": 42.5576,
+          "S": 0.02837
+        },
+        "6": {
+          "L": 1,
+          "M": 43.3306,
+          "S": 0.02817
+        },
+        "7": {
+          "L": 1,
+          "M": 43.9803,
+          "S": 0.02804
+        },
+        "8": {
+          "L": 1,
+          "M": 44.53,
+          "S": 0.02796
+        },
+        "9": {
+          "L": 1,
+          "M": 44.9998,
+          "S": 0.02792
+        },
+        "10": {
+          "L": 1,
+          "M": 45.4051,
+          "S": 0.0279
+        },
+        "11": {
+          "L": 1,
+          "M": 45.7573,
+          "S": 0.02789
+        },
+        "12": {
+          "L": 1,
+          "M": 46.0661,
+          "S": 0.02789
+        },
+        "13": {
+          "L": 1,
+          "M": 46.3395,
+          "S": 0.02789
+        },
+        "14": {
+          "L": 1,
+          "M": 46.5844,
+          "S": 0.02791
+        },
+        "15": {
+          "L": 1,
+          "M": 46.806,
+          "S": 0.02792
+        },
+        "16": {
+          "L": 1,
+          "M": 47.0088,
+          "S": 0.02795
+        },
+        "17": {
+          "L": 1,
+          "M": 47.1962,
+          "S": 0.02797
+        },
+        "18": {
+          "L": 1,
+          "M": 47.3711,
+          "S": 0.028
+        },
+        "19": {
+          "L": 1,
+          "M": 47.5357,
+          "S": 0.02803
+        },
+        "20": {
+          "L": 1,
+          "M": 47.6919,
+          "S": 0.02806
+        },
+        "21": {
+          "L": 1,
+          "M": 47.8408,
+          "S": 0.0281
+        },
+        "22": {
+          "L": 1,
+          "M": 47.9833,
+          "S": 0.02813
+        },
+        "23": {
+          "L": 1,
+          "M": 48.1201,
+          "S": 0.02817
+        },
+        "24": {
+          "L": 1,
+          "M": 48.2515,
+          "S": 0.02821
+        },
+        "25": {
+          "L": 1,
+          "M": 48.3777,
+          "S": 0.02825
+        },
+        "26": {
+          "L": 1,
+          "M": 48.4989,
+          "S": 0.0283
+        },
+        "27": {
+          "L": 1,
+          "M": 48.6151,
+          "S": 0.02834
+        },
+        "28": {
+          "L": 1,
+          "M": 48.7264,
+          "S": 0.02838
+        },
+        "29": {
+          "L": 1,
+          "M": 48.8331,
+          "S": 0.02842
+        },
+        "30": {
+          "L": 1,
+          "M": 48.9351,
+          "S": 0.02847
+        },
+        "31": {
+          "L": 1,
+          "M": 49.0327,
+          "S": 0.02851
+        },
+        "32": {
+          "L": 1,
+          "M": 49.126,
+          "S": 0.02855
+        },
+        "33": {
+          "L": 1,
+          "M": 49.2153,
+          "S": 0.02859
+        },
+        "34": {
+          "L": 1,
+          "M": 49.3007,
+          "S": 0.02863
+        },
+        "35": {
+          "L": 1,
+          "M": 49.3826,
+          "S": 0.02867
+        },
+        "36": {
+          "L": 1,
+          "M": 49.461,
+          "S": 0.02871
+        },
+        "37": {
+          "L": 1,
+          "M": 49.5363,
+          "S": 0.02875
+        },
+        "38": {
+          "L": 1,
+          "M": 49.6087,
+          "S": 0.02879
+        },
+        "39": {
+          "L": 1,
+          "M": 49.6783,
+          "S": 0.02882
+        },
+        "40": {
+          "L": 1,
+          "M": 49.7454,
+          "S": 0.02886
+        },
+        "41": {
+          "L": 1,
+          "M": 49.8102,
+          "S": 0.02889
+        },
+        "42": {
+          "L": 1,
+          "M": 49.8728,
+          "S": 0.02893
+        },
+        "43": {
+          "L": 1,
+          "M": 49.9335,
+          "S": 0.02896
+        },
+        "44": {
+          "L": 1,
+          "M": 49.9923,
+          "S": 0.02899
+        },
+        "45": {
+          "L": 1,
+          "M": 50.0494,
+          "S": 0.02903
+        },
+        "46": {
+          "L": 1,
+          "M": 50.1049,
+          "S": 0.02906
+        },
+        "47": {
+          "L": 1,
+          "M": 50.159,
+          "S": 0.02909
+        },
+        "48": {
+          "L": 1,
+          "M": 50.2118,
+          "S": 0.02912
+        },
+        "49": {
+          "L": 1,
+          "M": 50.2634,
+          "S": 0.02915
+        },
+        "50": {
+          "L": 1,
+          "M": 50.3139,
+          "S": 0.02918
+        },
+        "51": {
+          "L": 1,
+          "M": 50.3634,
+          "S": 0.02921
+        },
+        "52": {
+          "L": 1,
+          "M": 50.4119,
+          "S": 0.02924
+        },
+        "53": {
+          "L": 1,
+          "M": 50.4596,
+          "S": 0.02927
+        },
+        "54": {
+          "L": 1,
+          "M": 50.5064,
+          "S": 0.02929
+        },
+        "55": {
+          "L": 1,
+          "M": 50.5524,
+          "S": 0.02932
+        },
+        "56": {
+          "L": 1,
+          "M": 50.5977,
+          "S": 0.02935
+        },
+        "57": {
+          "L": 1,
+          "M": 50.6423,
+          "S": 0.02938
+        },
+        "58": {
+          "L": 1,
+          "M": 50.6863,
+          "S": 0.0294
+        },
+        "59": {
+          "L": 1,
+          "M": 50.7297,
+          "S": 0.02943
+        },
+        "60": {
+          "L": 1,
+          "M": 50.7726,
+          "S": 0.02946
+        }
+      }
     },
-    "weight": {
-      "0": { "L": 0.3487, "M": 3.3464, "S": 0.146 },
-      "1": { "L": 0.2297, "M": 4.4709, "S": 0.134 },
-      "2": { "L": 0.197, "M": 5.5675, "S": 0.1239 },
-      "3": { "L": 0.1738, "M": 6.3762, "S": 0.1173 },
-      "4": { "L": 0.1553, "M": 7.0023, "S": 0.1132 },
-      "5": { "L": 0.1395, "M": 7.5105, "S": 0.1108 },
-      "6": { "L": 0.1257, "M": 7.934, "S": 0.1096 },
-      "7": { "L": 0.1134, "M": 8.297, "S": 0.109 },
-      "8": { "L": 0.1021, "M": 8.6151, "S": 0.1088 },
-      "9": { "L": 0.0917, "M": 8.9014, "S": 0.1088 },
-      "10": { "L": 0.082, "M": 9.1649, "S": 0.1089 },
-      "11": { "L": 0.073, "M": 9.4122, "S": 0.1091 },
-      "12": { "L": 0.0644, "M": 9.6479, "S": 0.1093 },
-      "13": { "L": 0.0563, "M": 9.8749, "S": 0.1095 },
-      "14": { "L": 0.0487, "M": 10.0953, "S": 0.1098 },
-      "15": { "L": 0.0413, "M": 10.3108, "S": 0.1101 },
-      "16": { "L": 0.0343, "M": 10.5228, "S": 0.1104 },
-      "17": { "L": 0.0275, "M": 10.7319, "S": 0.1108 },
-      "18": { "L": 0.0211, "M": 10.9385, "S": 0.1112 },
-      "19": { "L": 0.0148, "M": 11.143, "S": 0.1116 },
-      "20": { "L": 0.0087, "M": 11.3462, "S": 0.1121 },
-      "21": { "L": 0.0029, "M": 11.5486, "S": 0.1126 },
-      "22": { "L": -0.0028, "M": 11.7504, "S": 0.1131 },
-      "23": { "L": -0.0083, "M": 11.9514, "S": 0.1137 },
-      "24": { "L": -0.0137, "M": 12.1515, "S": 0.1143 },
-      "25": { "L": -0.0189, "M": 12.3502, "S": 0.1149 },
-      "26": { "L": -0.024, "M": 12.5466, "S": 0.1154 },
-      "27": { "L": -0.0289, "M": 12.7401, "S": 0.116 },
-      "28": { "L": -0.0337, "M": 12.9303, "S": 0.1166 },
-      "29": { "L": -0.0385, "M": 13.1169, "S": 0.1172 },
-      "30": { "L": -0.0431, "M": 13.3, "S": 0.1178 },
-      "31": { "L": -0.0476, "M": 13.4798, "S": 0.1184 },
-      "32": { "L": -0.052, "M": 13.6567, "S": 0.119 },
-      "33": { "L": -0.0564, "M": 13.8309, "S": 0.1195 },
-      "34": { "L": -0.0606, "M": 14.0031, "S": 0.1201 },
-      "35": { "L": -0.0648, "M": 14.1736, "S": 0.1206 },
-      "36": { "L": 0.0567, "M": 14.7381, "S": 0.0969 },
-      "37": { "L": -0.0147, "M": 14.911, "S": 0.0981 },
-      "38": { "L": -0.0804, "M": 15.0839, "S": 0.0993 },
-      "39": { "L": -0.1409, "M": 15.2569, "S": 0.1005 },
-      "40": { "L": -0.1966, "M": 15.4299, "S": 0.1016 },
-      "41": { "L": -0.248, "M": 15.603, "S": 0.1027 },
-      "42": { "L": -0.299, "M": 15.7775, "S": 0.1038 },
-      "43": { "L": -0.3461, "M": 15.9521, "S": 0.1049 },
-      "44": { "L": -0.3895, "M": 16.1268, "S": 0.106 },
-      "45": { "L": -0.4297, "M": 16.3015, "S": 0.107 },
-      "46": { "L": -0.4669, "M": 16.4763, "S": 0.108 },
-      "47": { "L": -0.5013, "M": 16.6512, "S": 0.1089 },
-      "48": { "L": -0.5361, "M": 16.8276, "S": 0.1099 },
-      "49": { "L": -0.5684, "M": 17.0041, "S": 0.1108 },
-      "50": { "L": -0.5983, "M": 17.1807, "S": 0.1118 },
-      "51": { "L": -0.6261, "M": 17.3573, "S": 0.1127 },
-      "52": { "L": -0.6518, "M": 17.534, "S": 0.1136 },
-      "53": { "L": -0.6758, "M": 17.7108, "S": 0.1144 },
-      "54": { "L": -0.6998, "M": 17.8888, "S": 0.1153 },
-      "55": { "L": -0.7222, "M": 18.067, "S": 0.1161 },
-      "56": { "L": -0.743, "M": 18.2452, "S": 0.117 },
-      "57": { "L": -0.7623, "M": 18.4235, "S": 0.1178 },
-      "58": { "L": -0.7803, "M": 18.6018, "S": 0.1186 },
-      "59": { "L": -0.7971, "M": 18.7802, "S": 0.1194 },
-      "60": { "L": -0.8162, "M": 18.9625, "S": 0.1202 },
-      "61": { "L": -0.8339, "M": 19.1449, "S": 0.1211 },
-      "62": { "L": -0.8503, "M": 19.3274, "S": 0.1219 },
-      "63": { "L": -0.8655, "M": 19.51, "S": 0.1227 },
-      "64": { "L": -0.8797, "M": 19.6926, "S": 0.1235 },
-      "65": { "L": -0.893, "M": 19.8753, "S": 0.1242 },
-      "66": { "L": -0.9106, "M": 20.0814, "S": 0.1254 },
-      "67": { "L": -0.9264, "M": 20.2877, "S": 0.1265 },
-      "68": { "L": -0.9407, "M": 20.4941, "S": 0.1275 },
-      "69": { "L": -0.9536, "M": 20.7007, "S": 0.1286 },
-      "70": { "L": -0.9653, "M": 20.9073, "S": 0.1296 },
-      "71": { "L": -0.9757, "M": 21.1141, "S": 0.1306 },
-      "72": { "L": -0.9753, "M": 21.3417, "S": 0.1318 },
-      "73": { "L": -0.9743, "M": 21.5693, "S": 0.133 },
-      "74": { "L": -0.973, "M": 21.797, "S": 0.1342 },
-      "75": { "L": -0.9714, "M": 22.0247, "S": 0.1353 },
-      "76": { "L": -0.9694, "M": 22.2524, "S": 0.1364 },
-      "77": { "L": -0.9672, "M": 22.4802, "S": 0.1375 },
-      "78": { "L": -0.9576, "M": 22.7267, "S": 0.1388 },
-      "79": { "L": -0.9481, "M": 22.9732, "S": 0.14 },
-      "80": { "L": -0.9388, "M": 23.2196, "S": 0.1412 },
-      "81": { "L": -0.9298, "M": 23.4661, "S": 0.1424 },
-      "82": { "L": -0.921, "M": 23.7126, "S": 0.1435 },
-      "83": { "L": -0.9124, "M": 23.9591, "S": 0.1447 },
-      "84": { "L": -0.8993, "M": 24.2214, "S": 0.146 },
-      "85": { "L": -0.8867, "M": 24.4837, "S": 0.1474 },
-      "86": { "L": -0.8745, "M": 24.7461, "S": 0.1486 },
-      "87": { "L": -0.8628, "M": 25.0084, "S": 0.1499 },
-      "88": { "L": -0.8514, "M": 25.2707, "S": 0.1511 },
-      "89": { "L": -0.8404, "M": 25.5329, "S": 0.1524 },
-      "90": { "L": -0.8208, "M": 25.8155, "S": 0.1537 },
-      "91": { "L": -0.802, "M": 26.0979, "S": 0.155 },
-      "92": { "L": -0.7841, "M": 26.3804, "S": 0.1563 },
-      "93": { "L": -0.7669, "M": 26.6629, "S": 0.1576 },
-      "94": { "L": -0.7503, "M": 26.9453, "S": 0.1588 },
-      "95": { "L": -0.7344, "M": 27.2277, "S": 0.16 },
-      "96": { "L": -0.7076, "M": 27.5321, "S": 0.1613 },
-      "97": { "L": -0.682, "M": 27.8365, "S": 0.1625 },
-      "98": { "L": -0.6574, "M": 28.1409, "S": 0.1638 },
-      "99": { "L": -0.6339, "M": 28.4453, "S": 0.165 },
-      "100": { "L": -0.6113, "M": 28.7497, "S": 0.1661 },
-      "101": { "L": -0.5896, "M": 29.054, "S": 0.1673 },
-      "102": { "L": -0.5621, "M": 29.3761, "S": 0.1685 },
-      "103": { "L": -0.5357, "M": 29.6982, "S": 0.1698 },
-      "104": { "L": -0.5103, "M": 30.0203, "S": 0.171 },
-      "105": { "L": -0.486, "M": 30.3424, "S": 0.1721 },
-      "106": { "L": -0.4627, "M": 30.6645, "S": 0.1733 },
-      "107": { "L": -0.4402, "M": 30.9867, "S": 0.1744 },
-      "108": { "L": -0.416, "M": 31.3251, "S": 0.1756 },
-      "109": { "L": -0.3928, "M": 31.6635, "S": 0.1768 },
-      "110": { "L": -0.3705, "M": 32.0019, "S": 0.1779 },
-      "111": { "L": -0.3491, "M": 32.3404, "S": 0.179 },
-      "112": { "L": -0.3284, "M": 32.6788, "S": 0.1801 },
-      "113": { "L": -0.3085, "M": 33.0173, "S": 0.1812 },
-      "114": { "L": -0.2869, "M": 33.3742, "S": 0.1823 },
-      "115": { "L": -0.2661, "M": 33.7312, "S": 0.1833 },
-      "116": { "L": -0.2461, "M": 34.0882, "S": 0.1844 },
-      "117": { "L": -0.2267, "M": 34.4452, "S": 0.1854 },
-      "118": { "L": -0.2081, "M": 34.8022, "S": 0.1864 },
-      "119": { "L": -0.1902, "M": 35.1592, "S": 0.1873 },
-      "120": { "L": -0.17, "M": 35.5349, "S": 0.1882 },
-      "121": { "L": -0.1505, "M": 35.9105, "S": 0.189 },
-      "122": { "L": -0.1317, "M": 36.2862, "S": 0.1899 },
-      "123": { "L": -0.1134, "M": 36.6619, "S": 0.1907 },
-      "124": { "L": -0.0958, "M": 37.0376, "S": 0.1914 },
-      "125": { "L": -0.0788, "M": 37.4134, "S": 0.1922 },
-      "126": { "L": -0.0612, "M": 37.8103, "S": 0.1929 },
-      "127": { "L": -0.0441, "M": 38.2074, "S": 0.1936 },
-      "128": { "L": -0.0275, "M": 38.6045, "S": 0.1942 },
-      "129": { "L": -0.0113, "M": 39.0017, "S": 0.1949 },
-      "130": { "L": 0.0043, "M": 39.3989, "S": 0.1955 },
-      "131": { "L": 0.0195, "M": 39.7961, "S": 0.1961 },
-      "132": { "L": 0.0333, "M": 40.2146, "S": 0.1966 },
-      "133": { "L": 0.0467, "M": 40.6331, "S": 0.1971 },
-      "134": { "L": 0.0599, "M": 41.0518, "S": 0.1976 },
-      "135": { "L": 0.0726, "M": 41.4706, "S": 0.1981 },
-      "136": { "L": 0.0851, "M": 41.8894, "S": 0.1986 },
-      "137": { "L": 0.0973, "M": 42.3083, "S": 0.1991 },
-      "138": { "L": 0.1071, "M": 42.7515, "S": 0.1992 },
-      "139": { "L": 0.1168, "M": 43.1947, "S": 0.1994 },
-      "140": { "L": 0.1263, "M": 43.638, "S": 0.1996 },
-      "141": { "L": 0.1356, "M": 44.0813, "S": 0.1997 },
-      "142": { "L": 0.1448, "M": 44.5248, "S": 0.1999 },
-      "143": { "L": 0.1538, "M": 44.9684, "S": 0.2 },
-      "144": { "L": 0.1618, "M": 45.4253, "S": 0.1998 },
-      "145": { "L": 0.1698, "M": 45.8824, "S": 0.1995 },
-      "146": { "L": 0.1777, "M": 46.3396, "S": 0.1993 },
-      "147": { "L": 0.1855, "M": 46.7968, "S": 0.1991 },
-      "148": { "L": 0.1932, "M": 47.2542, "S": 0.1988 },
-      "149": { "L": 0.2009, "M": 47.7116, "S": 0.1986 },
-      "150": { "L": 0.2081, "M": 48.1693, "S": 0.198 },
-      "151": { "L": 0.2154, "M": 48.6271, "S": 0.1974 },
-      "152": { "L": 0.2226, "M": 49.085, "S": 0.1969 },
-      "153": { "L": 0.2299, "M": 49.5431, "S": 0.1963 },
-      "154": { "L": 0.2372, "M": 50.0012, "S": 0.1957 },
-      "155": { "L": 0.2445, "M": 50.4595, "S": 0.1952 },
-      "156": { "L": 0.2503, "M": 50.9021, "S": 0.1942 },
-      "157": { "L": 0.2562, "M": 51.3448, "S": 0.1932 },
-      "158": { "L": 0.2622, "M": 51.7875, "S": 0.1923 },
-      "159": { "L": 0.2683, "M": 52.2304, "S": 0.1914 },
-      "160": { "L": 0.2745, "M": 52.6733, "S": 0.1904 },
-      "161": { "L": 0.2808, "M": 53.1164, "S": 0.1895 },
-      "162": { "L": 0.2841, "M": 53.5329, "S": 0.1882 },
-      "163": { "L": 0.2876, "M": 53.9495, "S": 0.1869 },
-      "164": { "L": 0.2911, "M": 54.366, "S": 0.1856 },
-      "165": { "L": 0.2948, "M": 54.7826, "S": 0.1843 },
-      "166": { "L": 0.2986, "M": 55.1993, "S": 0.183 },
-      "167": { "L": 0.3026, "M": 55.6159, "S": 0.1818 },
-      "168": { "L": 0.3023, "M": 55.9927, "S": 0.1802 },
-      "169": { "L": 0.302, "M": 56.3694, "S": 0.1787 },
-      "170": { "L": 0.3019, "M": 56.7462, "S": 0.1772 },
-      "171": { "L": 0.3019, "M": 57.1229, "S": 0.1757 },
-      "172": { "L": 0.3019, "M": 57.4995, "S": 0.1742 },
-      "173": { "L": 0.3021, "M": 57.8762, "S": 0.1727 },
-      "174": { "L": 0.2993, "M": 58.2029, "S": 0.1711 },
-      "175": { "L": 0.2965, "M": 58.5296, "S": 0.1696 },
-      "176": { "L": 0.2938, "M": 58.8563, "S": 0.168 },
-      "177": { "L": 0.2911, "M": 59.1829, "S": 0.1665 },
-      "178": { "L": 0.2885, "M": 59.5096, "S": 0.165 },
-      "179": { "L": 0.2859, "M": 59.8362, "S": 0.1635 },
-      "180": { "L": 0.2818, "M": 60.1106, "S": 0.162 },
-      "181": { "L": 0.2777, "M": 60.385, "S": 0.1606 },
-      "182": { "L": 0.2736, "M": 60.6594, "S": 0.1591 },
-      "183": { "L": 0.2695, "M": 60.9338, "S": 0.1577 },
-      "184": { "L": 0.2654, "M": 61.2081, "S": 0.1563 },
-      "185": { "L": 0.2613, "M": 61.4825, "S": 0.1549 },
-      "186": { "L": 0.2514, "M": 61.7129, "S": 0.1537 },
-      "187": { "L": 0.2412, "M": 61.9434, "S": 0.1525 },
-      "188": { "L": 0.231, "M": 62.1739, "S": 0.1513 },
-      "189": { "L": 0.2207, "M": 62.4045, "S": 0.1501 },
-      "190": { "L": 0.2102, "M": 62.6351, "S": 0.1489 },
-      "191": { "L": 0.1996, "M": 62.8658, "S": 0.1477 },
-      "192": { "L": 0.1829, "M": 63.055, "S": 0.1468 },
-      "193": { "L": 0.166, "M": 63.2442, "S": 0.1459 },
-      "194": { "L": 0.1489, "M": 63.4335, "S": 0.145 },
-      "195": { "L": 0.1316, "M": 63.6229, "S": 0.1441 },
-      "196": { "L": 0.1141, "M": 63.8123, "S": 0.1432 },
-      "197": { "L": 0.0964, "M": 64.0018, "S": 0.1424 },
-      "198": { "L": 0.0862, "M": 64.1526, "S": 0.1418 },
-      "199": { "L": 0.0759, "M": 64.3033, "S": 0.1413 },
-      "200": { "L": 0.0655, "M": 64.4539, "S": 0.1407 },
-      "201": { "L": 0.055, "M": 64.6045, "S": 0.1402 },
-      "202": { "L": 0.0444, "M": 64.7551, "S": 0.1397 },
-      "203": { "L": 0.0337, "M": 64.9057, "S": 0.1391 },
-      "204": { "L": 0.0282, "M": 65.0469, "S": 0.1387 },
-      "205": { "L": 0.0226, "M": 65.188, "S": 0.1382 },
-      "206": { "L": 0.0169, "M": 65.3291, "S": 0.1377 },
-      "207": { "L": 0.0113, "M": 65.4702, "S": 0.1373 },
-      "208": { "L": 0.0055, "M": 65.6113, "S": 0.1368 },
-      "209": { "L": -0.0003, "M": 65.7523, "S": 0.1364 },
-      "210": { "L": -0.0068, "M": 65.8907, "S": 0.1359 },
-      "211": { "L": -0.0134, "M": 66.0291, "S": 0.1355 },
-      "212": { "L": -0.02, "M": 66.1674, "S": 0.1351 },
-      "213": { "L": -0.0267, "M": 66.3057, "S": 0.1346 },
-      "214": { "L": -0.0335, "M": 66.4439, "S": 0.1342 },
-      "215": { "L": -0.0403, "M": 66.5821, "S": 0.1338 },
-      "216": { "L": -0.0469, "M": 66.7186, "S": 0.1334 },
-      "217": { "L": -0.0535, "M": 66.8551, "S": 0.133 },
-      "218": { "L": -0.0602, "M": 66.9915, "S": 0.1326 },
-      "219": { "L": -0.0669, "M": 67.1278, "S": 0.1322 },
-      "220": { "L": -0.0738, "M": 67.2641, "S": 0.1318 },
-      "221": { "L": -0.0807, "M": 67.4004, "S": 0.1314 },
-      "222": { "L": -0.0859, "M": 67.5362, "S": 0.1311 },
-      "223": { "L": -0.0911, "M": 67.6719, "S": 0.1307 },
-      "224": { "L": -0.0965, "M": 67.8077, "S": 0.1303 },
-      "225": { "L": -0.1018, "M": 67.9434, "S": 0.1299 },
-      "226": { "L": -0.1072, "M": 68.079, "S": 0.1296 },
-      "227": { "L": -0.1127, "M": 68.2146, "S": 0.1292 }
+    "female": {
+      "height": {
+        "0": {
+          "L": 1,
+          "M": 49.1477,
+          "S": 0.0379
+        },
+        "1": {
+          "L": 1,
+          "M": 53.6872,
+          "S": 0.0364
+        },
+        "2": {
+          "L": 1,
+          "M": 57.0673,
+          "S": 0.03568
+        },
+        "3": {
+          "L": 1,
+          "M": 59.8029,
+          "S": 0.0352
+        },
+        "4": {
+          "L": 1,
+          "M": 62.0899,
+          "S": 0.03486
+        },
+        "5": {
+          "L": 1,
+          "M": 64.0301,
+          "S": 0.03463
+        },
+        "6": {
+          "L": 1,
+          "M": 65.7311,
+          "S": 0.03448
+        },
+        "7": {
+          "L": 1,
+          "M": 67.2873,
+          "S": 0.03441
+        },
+        "8": {
+          "L": 1,
+          "M": 68.7498,
+          "S": 0.0344
+        },
+        "9": {
+          "L": 1,
+          "M": 70.1435,
+          "S": 0.03444
+        },
+        "10": {
+          "L": 1,
+          "M": 71.4818,
+          "S": 0.03452
+        },
+        "11": {
+          "L": 1,
+          "M": 72.771,
+          "S": 0.03464
+        },
+        "12": {
+          "L": 1,
+          "M": 74.015,
+          "S": 0.03479
+        },
+        "13": {
+          "L": 1,
+          "M": 75.2176,
+          "S": 0.03496
+        },
+        "14": {
+          "L": 1,
+          "M": 76.3817,
+          "S": 0.03514
+        },
+        "15": {
+          "L": 1,
+          "M": 77.5099,
+          "S": 0.03534
+        },
+        "16": {
+          "L": 1,
+          "M": 78.6055,
+          "S": 0.03555
+        },
+        "17": {
+          "L": 1,
+          "M": 79.671,
+          "S": 0.03576
+        },
+        "18": {
+          "L": 1,
+          "M": 80.7079,
+          "S": 0.03598
+        },
+        "19": {
+          "L": 1,
+          "M": 81.7182,
+          "S": 0.0362
+        },
+        "20": {
+          "L": 1,
+          "M": 82.7036,
+          "S": 0.03643
+        },
+        "21": {
+          "L": 1,
+          "M": 83.6654,
+          "S": 0.03666
+        },
+        "22": {
+          "L": 1,
+          "M": 84.604,
+          "S": 0.03688
+        },
+        "23": {
+          "L": 1,
+          "M": 85.5202,
+          "S": 0.03711
+        },
+        "24": {
+          "L": 1,
+          "M": 85.7153,
+          "S": 0.03764
+        },
+        "25": {
+          "L": 1,
+          "M": 86.5904,
+          "S": 0.03786
+        },
+        "26": {
+          "L": 1,
+          "M": 87.4462,
+          "S": 0.03808
+        },
+        "27": {
+          "L": 1,
+          "M": 88.283,
+          "S": 0.0383
+        },
+        "28": {
+          "L": 1,
+          "M": 89.1004,
+          "S": 0.03851
+        },
+        "29": {
+          "L": 1,
+          "M": 89.8991,
+          "S": 0.03872
+        },
+        "30": {
+          "L": 1,
+          "M": 90.6797,
+          "S": 0.03893
+        },
+        "31": {
+          "L": 1,
+          "M": 91.443,
+          "S": 0.03913
+        },
+        "32": {
+          "L": 1,
+          "M": 92.1906,
+          "S": 0.03933
+        },
+        "33": {
+          "L": 1,
+          "M": 92.9239,
+          "S": 0.03952
+        },
+        "34": {
+          "L": 1,
+          "M": 93.6444,
+          "S": 0.03971
+        },
+        "35": {
+          "L": 1,
+          "M": 94.3533,
+          "S": 0.03989
+        },
+        "36": {
+          "L": 1,
+          "M": 95.0515,
+          "S": 0.04006
+        },
+        "37": {
+          "L": 1,
+          "M": 95.7399,
+          "S": 0.04024
+        },
+        "38": {
+          "L": 1,
+          "M": 96.4187,
+          "S": 0.04041
+        },
+        "39": {
+          "L": 1,
+          "M": 97.0885,
+          "S": 0.04057
+        },
+        "40": {
+          "L": 1,
+          "M": 97.7493,
+          "S": 0.04073
+        },
+        "41": {
+          "L": 1,
+          "M": 98.4015,
+          "S": 0.04089
+        },
+        "42": {
+          "L": 1,
+          "M": 99.0448,
+          "S": 0.04105
+        },
+        "43": {
+          "L": 1,
+          "M": 99.6795,
+          "S": 0.0412
+        },
+        "44": {
+          "L": 1,
+          "M": 100.3058,
+          "S": 0.04135
+        },
+        "45": {
+          "L": 1,
+          "M": 100.9238,
+          "S": 0.0415
+        },
+        "46": {
+          "L": 1,
+          "M": 101.5337,
+          "S": 0.04164
+        },
+        "47": {
+          "L": 1,
+          "M": 102.136,
+          "S": 0.04179
+        },
+        "48": {
+          "L": 1,
+          "M": 102.7312,
+          "S": 0.04193
+        },
+        "49": {
+          "L": 1,
+          "M": 103.3197,
+          "S": 0.04206
+        },
+        "50": {
+          "L": 1,
+          "M": 103.9021,
+          "S": 0.0422
+        },
+        "51": {
+          "L": 1,
+          "M": 104.4786,
+          "S": 0.04233
+        },
+        "52": {
+          "L": 1,
+          "M": 105.0494,
+          "S": 0.04246
+        },
+        "53": {
+          "L": 1,
+          "M": 105.6148,
+          "S": 0.04259
+        },
+        "54": {
+          "L": 1,
+          "M": 106.1748,
+          "S": 0.04272
+        },
+        "55": {
+          "L": 1,
+          "M": 106.7295,
+          "S": 0.04285
+        },
+        "56": {
+          "L": 1,
+          "M": 107.2788,
+          "S": 0.04298
+        },
+        "57": {
+          "L": 1,
+          "M": 107.8227,
+          "S": 0.0431
+        },
+        "58": {
+          "L": 1,
+          "M": 108.3613,
+          "S": 0.04322
+        },
+        "59": {
+          "L": 1,
+          "M": 108.8948,
+          "S": 0.04334
+        },
+        "60": {
+          "L": 1,
+          "M": 109.4233,
+          "S": 0.04347
+        },
+        "61": {
+          "L": 1,
+          "M": 109.6016,
+          "S": 0.04355
+        },
+        "62": {
+          "L": 1,
+          "M": 110.1258,
+          "S": 0.04364
+        },
+        "63": {
+          "L": 1,
+          "M": 110.6451,
+          "S": 0.04373
+        },
+        "64": {
+          "L": 1,
+          "M": 111.1596,
+          "S": 0.04382
+        },
+        "65": {
+          "L": 1,
+          "M": 111.6696,
+          "S": 0.0439
+        },
+        "66": {
+          "L": 1,
+          "M": 112.1753,
+          "S": 0.04399
+        },
+        "67": {
+          "L": 1,
+          "M": 112.6767,
+          "S": 0.04407
+        },
+        "68": {
+          "L": 1,
+          "M": 113.174,
+          "S": 0.04415
+        },
+        "69": {
+          "L": 1,
+          "M": 113.6672,
+          "S": 0.04423
+        },
+        "70": {
+          "L": 1,
+          "M": 114.1565,
+          "S": 0.04431
+        },
+        "71": {
+          "L": 1,
+          "M": 114.6421,
+          "S": 0.04439
+        },
+        "72": {
+          "L": 1,
+          "M": 115.1244,
+          "S": 0.04447
+        },
+        "73": {
+          "L": 1,
+          "M": 115.6039,
+          "S": 0.04454
+        },
+        "74": {
+          "L": 1,
+          "M": 116.0812,
+          "S": 0.04461
+        },
+        "75": {
+          "L": 1,
+          "M": 116.5568,
+          "S": 0.04469
+        },
+        "76": {
+          "L": 1,
+          "M": 117.0311,
+          "S": 0.04475
+        },
+        "77": {
+          "L": 1,
+          "M": 117.5044,
+          "S": 0.04482
+        },
+        "78": {
+          "L": 1,
+          "M": 117.9769,
+          "S": 0.04489
+        },
+        "79": {
+          "L": 1,
+          "M": 118.4489,
+          "S": 0.04495
+        },
+        "80": {
+          "L": 1,
+          "M": 118.9208,
+          "S": 0.04502
+        },
+        "81": {
+          "L": 1,
+          "M": 119.3926,
+          "S": 0.04508
+        },
+        "82": {
+          "L": 1,
+          "M": 119.8648,
+          "S": 0.04514
+        },
+        "83": {
+          "L": 1,
+          "M": 120.3374,
+          "S": 0.0452
+        },
+        "84": {
+          "L": 1,
+          "M": 120.8105,
+          "S": 0.04525
+        },
+        "85": {
+          "L": 1,
+          "M": 121.2843,
+          "S": 0.04531
+        },
+        "86": {
+          "L": 1,
+          "M": 121.7587,
+          "S": 0.04536
+        },
+        "87": {
+          "L": 1,
+          "M": 122.2338,
+          "S": 0.04542
+        },
+        "88": {
+          "L": 1,
+          "M": 122.7098,
+          "S": 0.04547
+        },
+        "89": {
+          "L": 1,
+          "M": 123.1868,
+          "S": 0.04551
+        },
+        "90": {
+          "L": 1,
+          "M": 123.6646,
+          "S": 0.04556
+        },
+        "91": {
+          "L": 1,
+          "M": 124.1435,
+          "S": 0.04561
+        },
+        "92": {
+          "L": 1,
+          "M": 124.6234,
+          "S": 0.04565
+        },
+        "93": {
+          "L": 1,
+          "M": 125.1045,
+          "S": 0.04569
+        },
+        "94": {
+          "L": 1,
+          "M": 125.5869,
+          "S": 0.04573
+        },
+        "95": {
+          "L": 1,
+          "M": 126.0706,
+          "S": 0.04577
+        },
+        "96": {
+          "L": 1,
+          "M": 126.5558,
+          "S": 0.04581
+        },
+        "97": {
+          "L": 1,
+          "M": 127.0424,
+          "S": 0.04585
+        },
+        "98": {
+          "L": 1,
+          "M": 127.5304,
+          "S": 0.04588
+        },
+        "99": {
+          "L": 1,
+          "M": 128.0199,
+          "S": 0.04591
+        },
+        "100": {
+          "L": 1,
+          "M": 128.5109,
+          "S": 0.04594
+        },
+        "101": {
+          "L": 1,
+          "M": 129.0035,
+          "S": 0.04597
+        },
+        "102": {
+          "L": 1,
+          "M": 129.4975,
+          "S": 0.046
+        },
+        "103": {
+          "L": 1,
+          "M": 129.9932,
+          "S": 0.04602
+        },
+        "104": {
+          "L": 1,
+          "M": 130.4904,
+          "S": 0.04604
+        },
+        "105": {
+          "L": 1,
+          "M": 130.9891,
+          "S": 0.04607
+        },
+        "106": {
+          "L": 1,
+          "M": 131.4895,
+          "S": 0.04608
+        },
+        "107": {
+          "L": 1,
+          "M": 131.9912,
+          "S": 0.0461
+        },
+        "108": {
+          "L": 1,
+          "M": 132.4944,
+          "S": 0.04612
+        },
+        "109": {
+          "L": 1,
+          "M": 132.9989,
+          "S": 0.04613
+        },
+        "110": {
+          "L": 1,
+          "M": 133.5046,
+          "S": 0.04614
+        },
+        "111": {
+          "L": 1,
+          "M": 134.0118,
+          "S": 0.04615
+        },
+        "112": {
+          "L": 1,
+          "M": 134.5202,
+          "S": 0.04616
+        },
+        "113": {
+          "L": 1,
+          "M": 135.0299,
+          "S": 0.04616
+        },
+        "114": {
+          "L": 1,
+          "M": 135.541,
+          "S": 0.04617
+        },
+        "115": {
+          "L": 1,
+          "M": 136.0533,
+          "S": 0.04617
+        },
+        "116": {
+          "L": 1,
+          "M": 136.567,
+          "S": 0.04616
+        },
+        "117": {
+          "L": 1,
+          "M": 137.0821,
+          "S": 0.04616
+        },
+        "118": {
+          "L": 1,
+          "M": 137.5987,
+          "S": 0.04616
+        },
+        "119": {
+          "L": 1,
+          "M": 138.1167,
+          "S": 0.04615
+        },
+        "120": {
+          "L": 1,
+          "M": 138.6363,
+          "S": 0.04614
+        },
+        "121": {
+          "L": 1,
+          "M": 139.1575,
+          "S": 0.04612
+        },
+        "122": {
+          "L": 1,
+          "M": 139.6803,
+          "S": 0.04611
+        },
+        "123": {
+          "L": 1,
+          "M": 140.2049,
+          "S": 0.04609
+        },
+        "124": {
+          "L": 1,
+          "M": 140.7313,
+          "S": 0.04607
+        },
+        "125": {
+          "L": 1,
+          "M": 141.2594,
+          "S": 0.04605
+        },
+        "126": {
+          "L": 1,
+          "M": 141.7892,
+          "S": 0.04603
+        },
+        "127": {
+          "L": 1,
+          "M": 142.3206,
+          "S": 0.046
+        },
+        "128": {
+          "L": 1,
+          "M": 142.8534,
+          "S": 0.04597
+        },
+        "129": {
+          "L": 1,
+          "M": 143.3874,
+          "S": 0.04594
+        },
+        "130": {
+          "L": 1,
+          "M": 143.9222,
+          "S": 0.04591
+        },
+        "131": {
+          "L": 1,
+          "M": 144.4575,
+          "S": 0.04588
+        },
+        "132": {
+          "L": 1,
+          "M": 144.9929,
+          "S": 0.04584
+        },
+        "133": {
+          "L": 1,
+          "M": 145.528,
+          "S": 0.0458
+        },
+        "134": {
+          "L": 1,
+          "M": 146.0622,
+          "S": 0.04576
+        },
+        "135": {
+          "L": 1,
+          "M": 146.5951,
+          "S": 0.04571
+        },
+        "136": {
+          "L": 1,
+          "M": 147.1262,
+          "S": 0.04567
+        },
+        "137": {
+          "L": 1,
+          "M": 147.6548,
+          "S": 0.04562
+        },
+        "138": {
+          "L": 1,
+          "M": 148.1804,
+          "S": 0.04557
+        },
+        "139": {
+          "L": 1,
+          "M": 148.7023,
+          "S": 0.04552
+        },
+        "140": {
+          "L": 1,
+          "M": 149.2197,
+          "S": 0.04546
+        },
+        "141": {
+          "L": 1,
+          "M": 149.7322,
+          "S": 0.04541
+        },
+        "142": {
+          "L": 1,
+          "M": 150.239,
+          "S": 0.04535
+        },
+        "143": {
+          "L": 1,
+          "M": 150.7394,
+          "S": 0.04529
+        },
+        "144": {
+          "L": 1,
+          "M": 151.2327,
+          "S": 0.04523
+        },
+        "145": {
+          "L": 1,
+          "M": 151.7182,
+          "S": 0.04516
+        },
+        "146": {
+          "L": 1,
+          "M": 152.1951,
+          "S": 0.0451
+        },
+        "147": {
+          "L": 1,
+          "M": 152.6628,
+          "S": 0.04503
+        },
+        "148": {
+          "L": 1,
+          "M": 153.1206,
+          "S": 0.04497
+        },
+        "149": {
+          "L": 1,
+          "M": 153.5678,
+          "S": 0.0449
+        },
+        "150": {
+          "L": 1,
+          "M": 154.0041,
+          "S": 0.04483
+        },
+        "151": {
+          "L": 1,
+          "M": 154.429,
+          "S": 0.04476
+        },
+        "152": {
+          "L": 1,
+          "M": 154.8423,
+          "S": 0.04468
+        },
+        "153": {
+          "L": 1,
+          "M": 155.2437,
+          "S": 0.04461
+        },
+        "154": {
+          "L": 1,
+          "M": 155.633,
+          "S": 0.04454
+        },
+        "155": {
+          "L": 1,
+          "M": 156.0101,
+          "S": 0.04446
+        },
+        "156": {
+          "L": 1,
+          "M": 156.3748,
+          "S": 0.04439
+        },
+        "157": {
+          "L": 1,
+          "M": 156.7269,
+          "S": 0.04431
+        },
+        "158": {
+          "L": 1,
+          "M": 157.0666,
+          "S": 0.04423
+        },
+        "159": {
+          "L": 1,
+          "M": 157.3936,
+          "S": 0.04415
+        },
+        "160": {
+          "L": 1,
+          "M": 157.7082,
+          "S": 0.04408
+        },
+        "161": {
+          "L": 1,
+          "M": 158.0102,
+          "S": 0.044
+        },
+        "162": {
+          "L": 1,
+          "M": 158.2997,
+          "S": 0.04392
+        },
+        "163": {
+          "L": 1,
+          "M": 158.5771,
+          "S": 0.04384
+        },
+        "164": {
+          "L": 1,
+          "M": 158.8425,
+          "S": 0.04376
+        },
+        "165": {
+          "L": 1,
+          "M": 159.0961,
+          "S": 0.04369
+        },
+        "166": {
+          "L": 1,
+          "M": 159.3382,
+          "S": 0.04361
+        },
+        "167": {
+          "L": 1,
+          "M": 159.5691,
+          "S": 0.04353
+        },
+        "168": {
+          "L": 1,
+          "M": 159.789,
+          "S": 0.04345
+        },
+        "169": {
+          "L": 1,
+          "M": 159.9983,
+          "S": 0.04337
+        },
+        "170": {
+          "L": 1,
+          "M": 160.1971,
+          "S": 0.0433
+        },
+        "171": {
+          "L": 1,
+          "M": 160.3857,
+          "S": 0.04322
+        },
+        "172": {
+          "L": 1,
+          "M": 160.5643,
+          "S": 0.04314
+        },
+        "173": {
+          "L": 1,
+          "M": 160.7332,
+          "S": 0.04307
+        },
+        "174": {
+          "L": 1,
+          "M": 160.8927,
+          "S": 0.04299
+        },
+        "175": {
+          "L": 1,
+          "M": 161.043,
+          "S": 0.04292
+        },
+        "176": {
+          "L": 1,
+          "M": 161.1845,
+          "S": 0.04284
+        },
+        "177": {
+          "L": 1,
+          "M": 161.3176,
+          "S": 0.04277
+        },
+        "178": {
+          "L": 1,
+          "M": 161.4425,
+          "S": 0.0427
+        },
+        "179": {
+          "L": 1,
+          "M": 161.5596,
+          "S": 0.04263
+        },
+        "180": {
+          "L": 1,
+          "M": 161.6692,
+          "S": 0.04255
+        },
+        "181": {
+          "L": 1,
+          "M": 161.7717,
+          "S": 0.04248
+        },
+        "182": {
+          "L": 1,
+          "M": 161.8673,
+          "S": 0.04241
+        },
+        "183": {
+          "L": 1,
+          "M": 161.9564,
+          "S": 0.04235
+        },
+        "184": {
+          "L": 1,
+          "M": 162.0393,
+          "S": 0.04228
+        },
+        "185": {
+          "L": 1,
+          "M": 162.1164,
+          "S": 0.04221
+        },
+        "186": {
+          "L": 1,
+          "M": 162.188,
+          "S": 0.04214
+        },
+        "187": {
+          "L": 1,
+          "M": 162.2542,
+          "S": 0.04208
+        },
+        "188": {
+          "L": 1,
+          "M": 162.3154,
+          "S": 0.04201
+        },
+        "189": {
+          "L": 1,
+          "M": 162.3719,
+          "S": 0.04195
+        },
+        "190": {
+          "L": 1,
+          "M": 162.4239,
+          "S": 0.04189
+        },
+        "191": {
+          "L": 1,
+          "M": 162.4717,
+          "S": 0.04182
+        },
+        "192": {
+          "L": 1,
+          "M": 162.5156,
+          "S": 0.04176
+        },
+        "193": {
+          "L": 1,
+          "M": 162.556,
+          "S": 0.0417
+        },
+        "194": {
+          "L": 1,
+          "M": 162.5933,
+          "S": 0.04164
+        },
+        "195": {
+          "L": 1,
+          "M": 162.6276,
+          "S": 0.04158
+        },
+        "196": {
+          "L": 1,
+          "M": 162.6594,
+          "S": 0.04152
+        },
+        "197": {
+          "L": 1,
+          "M": 162.689,
+          "S": 0.04147
+        },
+        "198": {
+          "L": 1,
+          "M": 162.7165,
+          "S": 0.04141
+        },
+        "199": {
+          "L": 1,
+          "M": 162.7425,
+          "S": 0.04136
+        },
+        "200": {
+          "L": 1,
+          "M": 162.767,
+          "S": 0.0413
+        },
+        "201": {
+          "L": 1,
+          "M": 162.7904,
+          "S": 0.04125
+        },
+        "202": {
+          "L": 1,
+          "M": 162.8126,
+          "S": 0.04119
+        },
+        "203": {
+          "L": 1,
+          "M": 162.834,
+          "S": 0.04114
+        },
+        "204": {
+          "L": 1,
+          "M": 162.8545,
+          "S": 0.04109
+        },
+        "205": {
+          "L": 1,
+          "M": 162.8743,
+          "S": 0.04104
+        },
+        "206": {
+          "L": 1,
+          "M": 162.8935,
+          "S": 0.04099
+        },
+        "207": {
+          "L": 1,
+          "M": 162.912,
+          "S": 0.04094
+        },
+        "208": {
+          "L": 1,
+          "M": 162.93,
+          "S": 0.04089
+        },
+        "209": {
+          "L": 1,
+          "M": 162.9476,
+          "S": 0.04084
+        },
+        "210": {
+          "L": 1,
+          "M": 162.9649,
+          "S": 0.0408
+        },
+        "211": {
+          "L": 1,
+          "M": 162.9817,
+          "S": 0.04075
+        },
+        "212": {
+          "L": 1,
+          "M": 162.9983,
+          "S": 0.04071
+        },
+        "213": {
+          "L": 1,
+          "M": 163.0144,
+          "S": 0.04066
+        },
+        "214": {
+          "L": 1,
+          "M": 163.03,
+          "S": 0.04062
+        },
+        "215": {
+          "L": 1,
+          "M": 163.0451,
+          "S": 0.04058
+        },
+        "216": {
+          "L": 1,
+          "M": 163.0595,
+          "S": 0.04053
+        },
+        "217": {
+          "L": 1,
+          "M": 163.0733,
+          "S": 0.04049
+        },
+        "218": {
+          "L": 1,
+          "M": 163.0862,
+          "S": 0.04045
+        },
+        "219": {
+          "L": 1,
+          "M": 163.0982,
+          "S": 0.04041
+        },
+        "220": {
+          "L": 1,
+          "M": 163.1092,
+          "S": 0.04037
+        },
+        "221": {
+          "L": 1,
+          "M": 163.1192,
+          "S": 0.04034
+        },
+        "222": {
+          "L": 1,
+          "M": 163.1279,
+          "S": 0.0403
+        },
+        "223": {
+          "L": 1,
+          "M": 163.1355,
+          "S": 0.04026
+        },
+        "224": {
+          "L": 1,
+          "M": 163.1418,
+          "S": 0.04023
+        },
+        "225": {
+          "L": 1,
+          "M": 163.1469,
+          "S": 0.04019
+        },
+        "226": {
+          "L": 1,
+          "M": 163.1508,
+          "S": 0.04016
+        },
+        "227": {
+          "L": 1,
+          "M": 163.1534,
+          "S": 0.04012
+        },
+        "228": {
+          "L": 1,
+          "M": 163.1548,
+          "S": 0.04009
+        }
+      },
+      "weight": {
+        "0": {
+          "L": 0.3809,
+          "M": 3.2322,
+          "S": 0.14171
+        },
+        "1": {
+          "L": 0.1714,
+          "M": 4.1873,
+          "S": 0.13724
+        },
+        "2": {
+          "L": 0.0962,
+          "M": 5.1282,
+          "S": 0.13
+        },
+        "3": {
+          "L": 0.0402,
+          "M": 5.8458,
+          "S": 0.12619
+        },
+        "4": {
+          "L": -0.005,
+          "M": 6.4237,
+          "S": 0.12402
+        },
+        "5": {
+          "L": -0.043,
+          "M": 6.8985,
+          "S": 0.12274
+        },
+        "6": {
+          "L": -0.0756,
+          "M": 7.297,
+          "S": 0.12204
+        },
+        "7": {
+          "L": -0.1039,
+          "M": 7.6422,
+          "S": 0.12178
+        },
+        "8": {
+          "L": -0.1288,
+          "M": 7.9487,
+          "S": 0.12181
+        },
+        "9": {
+          "L": -0.1507,
+          "M": 8.2254,
+          "S": 0.12199
+        },
+        "10": {
+          "L": -0.17,
+          "M": 8.48,
+          "S": 0.12223
+        },
+        "11": {
+          "L": -0.1872,
+          "M": 8.7192,
+          "S": 0.12247
+        },
+        "12": {
+          "L": -0.2024,
+          "M": 8.9481,
+          "S": 0.12268
+        },
+        "13": {
+          "L": -0.2158,
+          "M": 9.1699,
+          "S": 0.12283
+        },
+        "14": {
+          "L": -0.2278,
+          "M": 9.387,
+          "S": 0.12294
+        },
+        "15": {
+          "L": -0.2384,
+          "M": 9.6008,
+          "S": 0.12299
+        },
+        "16": {
+          "L": -0.2478,
+          "M": 9.8124,
+          "S": 0.12303
+        },
+        "17": {
+          "L": -0.2562,
+          "M": 10.0226,
+          "S": 0.12306
+        },
+        "18": {
+          "L": -0.2637,
+          "M": 10.2315,
+          "S": 0.12309
+        },
+        "19": {
+          "L": -0.2703,
+          "M": 10.4393,
+          "S": 0.12315
+        },
+        "20": {
+          "L": -0.2762,
+          "M": 10.6464,
+          "S": 0.12323
+        },
+        "21": {
+          "L": -0.2815,
+          "M": 10.8534,
+          "S": 0.12335
+        },
+        "22": {
+          "L": -0.2862,
+          "M": 11.0608,
+          "S": 0.1235
+        },
+        "23": {
+          "L": -0.2903,
+          "M": 11.2688,
+          "S": 0.12369
+        },
+        "24": {
+          "L": -0.2941,
+          "M": 11.4775,
+          "S": 0.1239
+        },
+        "25": {
+          "L": -0.2975,
+          "M": 11.6864,
+          "S": 0.12414
+        },
+        "26": {
+          "L": -0.3005,
+          "M": 11.8947,
+          "S": 0.12441
+        },
+        "27": {
+          "L": -0.3032,
+          "M": 12.1015,
+          "S": 0.12472
+        },
+        "28": {
+          "L": -0.3057,
+          "M": 12.3059,
+          "S": 0.12506
+        },
+        "29": {
+          "L": -0.308,
+          "M": 12.5073,
+          "S": 0.12545
+        },
+        "30": {
+          "L": -0.3101,
+          "M": 12.7055,
+          "S": 0.12587
+        },
+        "31": {
+          "L": -0.312,
+          "M": 12.9006,
+          "S": 0.12633
+        },
+        "32": {
+          "L": -0.3138,
+          "M": 13.093,
+          "S": 0.12683
+        },
+        "33": {
+          "L": -0.3155,
+          "M": 13.2837,
+          "S": 0.12737
+        },
+        "34": {
+          "L": -0.3171,
+          "M": 13.4731,
+          "S": 0.12794
+        },
+        "35": {
+          "L": -0.3186,
+          "M": 13.6618,
+          "S": 0.12855
+        },
+        "36": {
+          "L": -0.3201,
+          "M": 13.8503,
+          "S": 0.12919
+        },
+        "37": {
+          "L": -0.3216,
+          "M": 14.0385,
+          "S": 0.12988
+        },
+        "38": {
+          "L": -0.323,
+          "M": 14.2265,
+          "S": 0.13059
+        },
+        "39": {
+          "L": -0.3243,
+          "M": 14.414,
+          "S": 0.13135
+        },
+        "40": {
+          "L": -0.3257,
+          "M": 14.601,
+          "S": 0.13213
+        },
+        "41": {
+          "L": -0.327,
+          "M": 14.7873,
+          "S": 0.13293
+        },
+        "42": {
+          "L": -0.3283,
+          "M": 14.9727,
+          "S": 0.13376
+        },
+        "43": {
+          "L": -0.3296,
+          "M": 15.1573,
+          "S": 0.1346
+        },
+        "44": {
+          "L": -0.3309,
+          "M": 15.341,
+          "S": 0.13545
+        },
+        "45": {
+          "L": -0.3322,
+          "M": 15.524,
+          "S": 0.1363
+        },
+        "46": {
+          "L": -0.3335,
+          "M": 15.7064,
+          "S": 0.13716
+        },
+        "47": {
+          "L": -0.3348,
+          "M": 15.8882,
+          "S": 0.138
+        },
+        "48": {
+          "L": -0.3361,
+          "M": 16.0697,
+          "S": 0.13884
+        },
+        "49": {
+          "L": -0.3374,
+          "M": 16.2511,
+          "S": 0.13968
+        },
+        "50": {
+          "L": -0.3387,
+          "M": 16.4322,
+          "S": 0.14051
+        },
+        "51": {
+          "L": -0.34,
+          "M": 16.6133,
+          "S": 0.14132
+        },
+        "52": {
+          "L": -0.3414,
+          "M": 16.7942,
+          "S": 0.14213
+        },
+        "53": {
+          "L": -0.3427,
+          "M": 16.9748,
+          "S": 0.14293
+        },
+        "54": {
+          "L": -0.344,
+          "M": 17.1551,
+          "S": 0.14371
+        },
+        "55": {
+          "L": -0.3453,
+          "M": 17.3347,
+          "S": 0.14448
+        },
+        "56": {
+          "L": -0.3466,
+          "M": 17.5136,
+          "S": 0.14525
+        },
+        "57": {
+          "L": -0.3479,
+          "M": 17.6916,
+          "S": 0.146
+        },
+        "58": {
+          "L": -0.3492,
+          "M": 17.8686,
+          "S": 0.14675
+        },
+        "59": {
+          "L": -0.3505,
+          "M": 18.0445,
+          "S": 0.14748
+        },
+        "60": {
+          "L": -0.3518,
+          "M": 18.2193,
+          "S": 0.14821
+        },
+        "61": {
+          "L": -0.4681,
+          "M": 18.2579,
+          "S": 0.14295
+        },
+        "62": {
+          "L": -0.4711,
+          "M": 18.4329,
+          "S": 0.1435
+        },
+        "63": {
+          "L": -0.4742,
+          "M": 18.6073,
+          "S": 0.14404
+        },
+        "64": {
+          "L": -0.4773,
+          "M": 18.7811,
+          "S": 0.14459
+        },
+        "65": {
+          "L": -0.4803,
+          "M": 18.9545,
+          "S": 0.14514
+        },
+        "66": {
+          "L": -0.4834,
+          "M": 19.1276,
+          "S": 0.14569
+        },
+        "67": {
+          "L": -0.4864,
+          "M": 19.3004,
+          "S": 0.14624
+        },
+        "68": {
+          "L": -0.4894,
+          "M": 19.473,
+          "S": 0.14679
+        },
+        "69": {
+          "L": -0.4924,
+          "M": 19.6455,
+          "S": 0.14735
+        },
+        "70": {
+          "L": -0.4954,
+          "M": 19.818,
+          "S": 0.1479
+        },
+        "71": {
+          "L": -0.4984,
+          "M": 19.9908,
+          "S": 0.14845
+        },
+        "72": {
+          "L": -0.5013,
+          "M": 20.1639,
+          "S": 0.149
+        },
+        "73": {
+          "L": -0.5043,
+          "M": 20.3377,
+          "S": 0.14955
+        },
+        "74": {
+          "L": -0.5072,
+          "M": 20.5124,
+          "S": 0.1501
+        },
+        "75": {
+          "L": -0.51,
+          "M": 20.6885,
+          "S": 0.15065
+        },
+        "76": {
+          "L": -0.5129,
+          "M": 20.8661,
+          "S": 0.1512
+        },
+        "77": {
+          "L": -0.5157,
+          "M": 21.0457,
+          "S": 0.15175
+        },
+        "78": {
+          "L": -0.5185,
+          "M": 21.2274,
+          "S": 0.1523
+        },
+        "79": {
+          "L": -0.5213,
+          "M": 21.4113,
+          "S": 0.15284
+        },
+        "80": {
+          "L": -0.524,
+          "M": 21.5979,
+          "S": 0.15339
+        },
+        "81": {
+          "L": -0.5268,
+          "M": 21.7872,
+          "S": 0.15393
+        },
+        "82": {
+          "L": -0.5294,
+          "M": 21.9795,
+          "S": 0.15448
+        },
+        "83": {
+          "L": -0.5321,
+          "M": 22.1751,
+          "S": 0.15502
+        },
+        "84": {
+          "L": -0.5347,
+          "M": 22.374,
+          "S": 0.15556
+        },
+        "85": {
+          "L": -0.5372,
+          "M": 22.5762,
+          "S": 0.1561
+        },
+        "86": {
+          "L": -0.5398,
+          "M": 22.7816,
+          "S": 0.15663
+        },
+        "87": {
+          "L": -0.5423,
+          "M": 22.9904,
+          "S": 0.15717
+        },
+        "88": {
+          "L": -0.5447,
+          "M": 23.2025,
+          "S": 0.1577
+        },
+        "89": {
+          "L": -0.5471,
+          "M": 23.418,
+          "S": 0.15823
+        },
+        "90": {
+          "L": -0.5495,
+          "M": 23.6369,
+          "S": 0.15876
+        },
+        "91": {
+          "L": -0.5518,
+          "M": 23.8593,
+          "S": 0.15928
+        },
+        "92": {
+          "L": -0.5541,
+          "M": 24.0853,
+          "S": 0.1598
+        },
+        "93": {
+          "L": -0.5563,
+          "M": 24.3149,
+          "S": 0.16032
+        },
+        "94": {
+          "L": -0.5585,
+          "M": 24.5482,
+          "S": 0.16084
+        },
+        "95": {
+          "L": -0.5606,
+          "M": 24.7853,
+          "S": 0.16135
+        },
+        "96": {
+          "L": -0.5627,
+          "M": 25.0262,
+          "S": 0.16186
+        },
+        "97": {
+          "L": -0.5647,
+          "M": 25.271,
+          "S": 0.16237
+        },
+        "98": {
+          "L": -0.5667,
+          "M": 25.5197,
+          "S": 0.16287
+        },
+        "99": {
+          "L": -0.5686,
+          "M": 25.7721,
+          "S": 0.16337
+        },
+        "100": {
+          "L": -0.5704,
+          "M": 26.0284,
+          "S": 0.16386
+        },
+        "101": {
+          "L": -0.5722,
+          "M": 26.2883,
+          "S": 0.16435
+        },
+        "102": {
+          "L": -0.574,
+          "M": 26.5519,
+          "S": 0.16483
+        },
+        "103": {
+          "L": -0.5757,
+          "M": 26.819,
+          "S": 0.16532
+        },
+        "104": {
+          "L": -0.5773,
+          "M": 27.0896,
+          "S": 0.16579
+        },
+        "105": {
+          "L": -0.5789,
+          "M": 27.3635,
+          "S": 0.16626
+        },
+        "106": {
+          "L": -0.5804,
+          "M": 27.6406,
+          "S": 0.16673
+        },
+        "107": {
+          "L": -0.5819,
+          "M": 27.9208,
+          "S": 0.16719
+        },
+        "108": {
+          "L": -0.5833,
+          "M": 28.204,
+          "S": 0.16764
+        },
+        "109": {
+          "L": -0.5847,
+          "M": 28.4901,
+          "S": 0.16809
+        },
+        "110": {
+          "L": -0.5859,
+          "M": 28.7791,
+          "S": 0.16854
+        },
+        "111": {
+          "L": -0.5872,
+          "M": 29.0711,
+          "S": 0.16897
+        },
+        "112": {
+          "L": -0.5883,
+          "M": 29.3663,
+          "S": 0.16941
+        },
+        "113": {
+          "L": -0.5895,
+          "M": 29.6646,
+          "S": 0.16983
+        },
+        "114": {
+          "L": -0.5905,
+          "M": 29.9663,
+          "S": 0.17025
+        },
+        "115": {
+          "L": -0.5915,
+          "M": 30.2715,
+          "S": 0.17066
+        },
+        "116": {
+          "L": -0.5925,
+          "M": 30.5805,
+          "S": 0.17107
+        },
+        "117": {
+          "L": -0.5934,
+          "M": 30.8934,
+          "S": 0.17146
+        },
+        "118": {
+          "L": -0.5942,
+          "M": 31.2105,
+          "S": 0.17186
+        },
+        "119": {
+          "L": -0.595,
+          "M": 31.5319,
+          "S": 0.17224
+        },
+        "120": {
+          "L": -0.5958,
+          "M": 31.8578,
+          "S": 0.17262
+        }
+      },
+      "bmi": {
+        "0": {
+          "L": -0.0631,
+          "M": 13.3363,
+          "S": 0.09272
+        },
+        "1": {
+          "L": 0.3448,
+          "M": 14.5679,
+          "S": 0.09556
+        },
+        "2": {
+          "L": 0.1749,
+          "M": 15.7679,
+          "S": 0.09371
+        },
+        "3": {
+          "L": 0.0643,
+          "M": 16.3574,
+          "S": 0.09254
+        },
+        "4": {
+          "L": -0.0191,
+          "M": 16.6703,
+          "S": 0.09166
+        },
+        "5": {
+          "L": -0.0864,
+          "M": 16.8386,
+          "S": 0.09096
+        },
+        "6": {
+          "L": -0.1429,
+          "M": 16.9083,
+          "S": 0.09036
+        },
+        "7": {
+          "L": -0.1916,
+          "M": 16.902,
+          "S": 0.08984
+        },
+        "8": {
+          "L": -0.2344,
+          "M": 16.8404,
+          "S": 0.08939
+        },
+        "9": {
+          "L": -0.2725,
+          "M": 16.7406,
+          "S": 0.08898
+        },
+        "10": {
+          "L": -0.3068,
+          "M": 16.6184,
+          "S": 0.08861
+        },
+        "11": {
+          "L": -0.3381,
+          "M": 16.4875,
+          "S": 0.08828
+        },
+        "12": {
+          "L": -0.3667,
+          "M": 16.3568,
+          "S": 0.08797
+        },
+        "13": {
+          "L": -0.3932,
+          "M": 16.2311,
+          "S": 0.08768
+        },
+        "14": {
+          "L": -0.4177,
+          "M": 16.1128,
+          "S": 0.08741
+        },
+        "15": {
+          "L": -0.4407,
+          "M": 16.0028,
+          "S": 0.08716
+        },
+        "16": {
+          "L": -0.4623,
+          "M": 15.9017,
+          "S": 0.08693
+        },
+        "17": {
+          "L": -0.4825,
+          "M": 15.8096,
+          "S": 0.08671
+        },
+        "18": {
+          "L": -0.5017,
+          "M": 15.7263,
+          "S": 0.0865
+        },
+        "19": {
+          "L": -0.5199,
+          "M": 15.6517,
+          "S": 0.0863
+        },
+        "20": {
+          "L": -0.5372,
+          "M": 15.5855,
+          "S": 0.08612
+        },
+        "21": {
+          "L": -0.5537,
+          "M": 15.5278,
+          "S": 0.08594
+        },
+        "22": {
+          "L": -0.5695,
+          "M": 15.4787,
+          "S": 0.08577
+        },
+        "23": {
+          "L": -0.5846,
+          "M": 15.438,
+          "S": 0.0856
+        },
+        "24": {
+          "L": -0.5684,
+          "M": 15.6881,
+          "S": 0.08454
+        },
+        "25": {
+          "L": -0.5684,
+          "M": 15.659,
+          "S": 0.08452
+        },
+        "26": {
+          "L": -0.5684,
+          "M": 15.6308,
+          "S": 0.08449
+        },
+        "27": {
+          "L": -0.5684,
+          "M": 15.6037,
+          "S": 0.08446
+        },
+        "28": {
+          "L": -0.5684,
+          "M": 15.5777,
+          "S": 0.08444
+        },
+        "29": {
+          "L": -0.5684,
+          "M": 15.5523,
+          "S": 0.08443
+        },
+        "30": {
+          "L": -0.5684,
+          "M": 15.5276,
+          "S": 0.08444
+        },
+        "31": {
+          "L": -0.5684,
+          "M": 15.5034,
+          "S": 0.08448
+        },
+        "32": {
+          "L": -0.5684,
+          "M": 15.4798,
+          "S": 0.08455
+        },
+        "33": {
+          "L": -0.5684,
+          "M": 15.4572,
+          "S": 0.08467
+        },
+        "34": {
+          "L": -0.5684,
+          "M": 15.4356,
+          "S": 0.08484
+        },
+        "35": {
+          "L": -0.5684,
+          "M": 15.4155,
+          "S": 0.08506
+        },
+        "36": {
+          "L": -0.5684,
+          "M": 15.3968,
+          "S": 0.08535
+        },
+        "37": {
+          "L": -0.5684,
+          "M": 15.3796,
+          "S": 0.08569
+        },
+        "38": {
+          "L": -0.5684,
+          "M": 15.3638,
+          "S": 0.08609
+        },
+        "39": {
+          "L": -0.5684,
+          "M": 15.3493,
+          "S": 0.08654
+        },
+        "40": {
+          "L": -0.5684,
+          "M": 15.3358,
+          "S": 0.08704
+        },
+        "41": {
+          "L": -0.5684,
+          "M": 15.3233,
+          "S": 0.08757
+        },
+        "42": {
+          "L": -0.5684,
+          "M": 15.3116,
+          "S": 0.08813
+        },
+        "43": {
+          "L": -0.5684,
+          "M": 15.3007,
+          "S": 0.08872
+        },
+        "44": {
+          "L": -0.5684,
+          "M": 15.2905,
+          "S": 0.08931
+        },
+        "45": {
+          "L": -0.5684,
+          "M": 15.2814,
+          "S": 0.08991
+        },
+        "46": {
+          "L": -0.5684,
+          "M": 15.2732,
+          "S": 0.09051
+        },
+        "47": {
+          "L": -0.5684,
+          "M": 15.2661,
+          "S": 0.0911
+        },
+        "48": {
+          "L": -0.5684,
+          "M": 15.2602,
+          "S": 0.09168
+        },
+        "49": {
+          "L": -0.5684,
+          "M": 15.2556,
+          "S": 0.09227
+        },
+        "50": {
+          "L": -0.5684,
+          "M": 15.2523,
+          "S": 0.09286
+        },
+        "51": {
+          "L": -0.5684,
+          "M": 15.2503,
+          "S": 0.09345
+        },
+        "52": {
+          "L": -0.5684,
+          "M": 15.2496,
+          "S": 0.09403
+        },
+        "53": {
+          "L": -0.5684,
+          "M": 15.2502,
+          "S": 0.0946
+        },
+        "54": {
+          "L": -0.5684,
+          "M": 15.2519,
+          "S": 0.09515
+        },
+        "55": {
+          "L": -0.5684,
+          "M": 15.2544,
+          "S": 0.09568
+        },
+        "56": {
+          "L": -0.5684,
+          "M": 15.2575,
+          "S": 0.09618
+        },
+        "57": {
+          "L": -0.5684,
+          "M": 15.2612,
+          "S": 0.09665
+        },
+        "58": {
+          "L": -0.5684,
+          "M": 15.2653,
+          "S": 0.09709
+        },
+        "59": {
+          "L": -0.5684,
+          "M": 15.2698,
+          "S": 0.0975
+        },
+        "60": {
+          "L": -0.5684,
+          "M": 15.2747,
+          "S": 0.09789
+        },
+        "61": {
+          "L": -0.8886,
+          "M": 15.2441,
+          "S": 0.09692
+        },
+        "62": {
+          "L": -0.9068,
+          "M": 15.2434,
+          "S": 0.09738
+        },
+        "63": {
+          "L": -0.9248,
+          "M": 15.2433,
+          "S": 0.09783
+        },
+        "64": {
+          "L": -0.9427,
+          "M": 15.2438,
+          "S": 0.09829
+        },
+        "65": {
+          "L": -0.9605,
+          "M": 15.2448,
+          "S": 0.09875
+        },
+        "66": {
+          "L": -0.978,
+          "M": 15.2464,
+          "S": 0.0992
+        },
+        "67": {
+          "L": -0.9954,
+          "M": 15.2487,
+          "S": 0.09966
+        },
+        "68": {
+          "L": -1.0126,
+          "M": 15.2516,
+          "S": 0.10012
+        },
+        "69": {
+          "L": -1.0296,
+          "M": 15.2551,
+          "S": 0.10058
+        },
+        "70": {
+          "L": -1.0464,
+          "M": 15.2592,
+          "S": 0.10104
+        },
+        "71": {
+          "L": -1.063,
+          "M": 15.2641,
+          "S": 0.10149
+        },
+        "72": {
+          "L": -1.0794,
+          "M": 15.2697,
+          "S": 0.10195
+        },
+        "73": {
+          "L": -1.0956,
+          "M": 15.276,
+          "S": 0.10241
+        },
+        "74": {
+          "L": -1.1115,
+          "M": 15.2831,
+          "S": 0.10287
+        },
+        "75": {
+          "L": -1.1272,
+          "M": 15.2911,
+          "S": 0.10333
+        },
+        "76": {
+          "L": -1.1427,
+          "M": 15.2998,
+          "S": 0.10379
+        },
+        "77": {
+          "L": -1.1579,
+          "M": 15.3095,
+          "S": 0.10425
+        },
+        "78": {
+          "L": -1.1728,
+          "M": 15.32,
+          "S": 0.10471
+        },
+        "79": {
+          "L": -1.1875,
+          "M": 15.3314,
+          "S": 0.10517
+        },
+        "80": {
+          "L": -1.2019,
+          "M": 15.3439,
+          "S": 0.10562
+        },
+        "81": {
+          "L": -1.216,
+          "M": 15.3572,
+          "S": 0.10608
+        },
+        "82": {
+          "L": -1.2298,
+          "M": 15.3717,
+          "S": 0.10654
+        },
+        "83": {
+          "L": -1.2433,
+          "M": 15.3871,
+          "S": 0.107
+        },
+        "84": {
+          "L": -1.2565,
+          "M": 15.4036,
+          "S": 0.10746
+        },
+        "85": {
+          "L": -1.2693,
+          "M": 15.4211,
+          "S": 0.10792
+        },
+        "86": {
+          "L": -1.2819,
+          "M": 15.4397,
+          "S": 0.10837
+        },
+        "87": {
+          "L": -1.2941,
+          "M": 15.4593,
+          "S": 0.10883
+        },
+        "88": {
+          "L": -1.306,
+          "M": 15.4798,
+          "S": 0.10929
+        },
+        "89": {
+          "L": -1.3175,
+          "M": 15.5014,
+          "S": 0.10974
+        },
+        "90": {
+          "L": -1.3287,
+          "M": 15.524,
+          "S": 0.1102
+        },
+        "91": {
+          "L": -1.3395,
+          "M": 15.5476,
+          "S": 0.11065
+        },
+        "92": {
+          "L": -1.3499,
+          "M": 15.5723,
+          "S": 0.1111
+        },
+        "93": {
+          "L": -1.36,
+          "M": 15.5979,
+          "S": 0.11156
+        },
+        "94": {
+          "L": -1.3697,
+          "M": 15.6246,
+          "S": 0.11201
+        },
+        "95": {
+          "L": -1.379,
+          "M": 15.6523,
+          "S": 0.11246
+        },
+        "96": {
+          "L": -1.388,
+          "M": 15.681,
+          "S": 0.11291
+        },
+        "97": {
+          "L": -1.3966,
+          "M": 15.7107,
+          "S": 0.11335
+        },
+        "98": {
+          "L": -1.4047,
+          "M": 15.7415,
+          "S": 0.1138
+        },
+        "99": {
+          "L": -1.4125,
+          "M": 15.7732,
+          "S": 0.11424
+        },
+        "100": {
+          "L": -1.4199,
+          "M": 15.8058,
+          "S": 0.11469
+        },
+        "101": {
+          "L": -1.427,
+          "M": 15.8394,
+          "S": 0.11513
+        },
+        "102": {
+          "L": -1.4336,
+          "M": 15.8738,
+          "S": 0.11557
+        },
+        "103": {
+          "L": -1.4398,
+          "M": 15.909,
+          "S": 0.11601
+        },
+        "104": {
+          "L": -1.4456,
+          "M": 15.9451,
+          "S": 0.11644
+        },
+        "105": {
+          "L": -1.4511,
+          "M": 15.9818,
+          "S": 0.11688
+        },
+        "106": {
+          "L": -1.4561,
+          "M": 16.0194,
+          "S": 0.11731
+        },
+        "107": {
+          "L": -1.4607,
+          "M": 16.0575,
+          "S": 0.11774
+        },
+        "108": {
+          "L": -1.465,
+          "M": 16.0964,
+          "S": 0.11816
+        },
+        "109": {
+          "L": -1.4688,
+          "M": 16.1358,
+          "S": 0.11859
+        },
+        "110": {
+          "L": -1.4723,
+          "M": 16.1759,
+          "S": 0.11901
+        },
+        "111": {
+          "L": -1.4753,
+          "M": 16.2166,
+          "S": 0.11943
+        },
+        "112": {
+          "L": -1.478,
+          "M": 16.258,
+          "S": 0.11985
+        },
+        "113": {
+          "L": -1.4803,
+          "M": 16.2999,
+          "S": 0.12026
+        },
+        "114": {
+          "L": -1.4823,
+          "M": 16.3425,
+          "S": 0.12067
+        },
+        "115": {
+          "L": -1.4838,
+          "M": 16.3858,
+          "S": 0.12108
+        },
+        "116": {
+          "L": -1.485,
+          "M": 16.4298,
+          "S": 0.12148
+        },
+        "117": {
+          "L": -1.4859,
+          "M": 16.4746,
+          "S": 0.12188
+        },
+        "118": {
+          "L": -1.4864,
+          "M": 16.52,
+          "S": 0.12228
+        },
+        "119": {
+          "L": -1.4866,
+          "M": 16.5663,
+          "S": 0.12268
+        },
+        "120": {
+          "L": -1.4864,
+          "M": 16.6133,
+          "S": 0.12307
+        },
+        "121": {
+          "L": -1.4859,
+          "M": 16.6612,
+          "S": 0.12346
+        },
+        "122": {
+          "L": -1.4851,
+          "M": 16.71,
+          "S": 0.12384
+        },
+        "123": {
+          "L": -1.4839,
+          "M": 16.7595,
+          "S": 0.12422
+        },
+        "124": {
+          "L": -1.4825,
+          "M": 16.81,
+          "S": 0.1246
+        },
+        "125": {
+          "L": -1.4807,
+          "M": 16.8614,
+          "S": 0.12497
+        },
+        "126": {
+          "L": -1.4787,
+          "M": 16.9136,
+          "S": 0.12534
+        },
+        "127": {
+          "L": -1.4763,
+          "M": 16.9667,
+          "S": 0.12571
+        },
+        "128": {
+          "L": -1.4737,
+          "M": 17.0208,
+          "S": 0.12607
+        },
+        "129": {
+          "L": -1.4708,
+          "M": 17.0757,
+          "S": 0.12643
+        },
+        "130": {
+          "L": -1.4677,
+          "M": 17.1316,
+          "S": 0.12678
+        },
+        "131": {
+          "L": -1.4642,
+          "M": 17.1883,
+          "S": 0.12713
+        },
+        "132": {
+          "L": -1.4606,
+          "M": 17.2459,
+          "S": 0.12748
+        },
+        "133": {
+          "L": -1.4567,
+          "M": 17.3044,
+          "S": 0.12782
+        },
+        "134": {
+          "L": -1.4526,
+          "M": 17.3637,
+          "S": 0.12816
+        },
+        "135": {
+          "L": -1.4482,
+          "M": 17.4238,
+          "S": 0.12849
+        },
+        "136": {
+          "L": -1.4436,
+          "M": 17.4847,
+          "S": 0.12882
+        },
+        "137": {
+          "L": -1.4389,
+          "M": 17.5464,
+          "S": 0.12914
+        },
+        "138": {
+          "L": -1.4339,
+          "M": 17.6088,
+          "S": 0.12946
+        },
+        "139": {
+          "L": -1.4288,
+          "M": 17.6719,
+          "S": 0.12978
+        },
+        "140": {
+          "L": -1.4235,
+          "M": 17.7357,
+          "S": 0.13009
+        },
+        "141": {
+          "L": -1.418,
+          "M": 17.8001,
+          "S": 0.1304
+        },
+        "142": {
+          "L": -1.4123,
+          "M": 17.8651,
+          "S": 0.1307
+        },
+        "143": {
+          "L": -1.4065,
+          "M": 17.9306,
+          "S": 0.13099
+        },
+        "144": {
+          "L": -1.4006,
+          "M": 17.9966,
+          "S": 0.13129
+        },
+        "145": {
+          "L": -1.3945,
+          "M": 18.063,
+          "S": 0.13158
+        },
+        "146": {
+          "L": -1.3883,
+          "M": 18.1297,
+          "S": 0.13186
+        },
+        "147": {
+          "L": -1.3819,
+          "M": 18.1967,
+          "S": 0.13214
+        },
+        "148": {
+          "L": -1.3755,
+          "M": 18.2639,
+          "S": 0.13241
+        },
+        "149": {
+          "L": -1.3689,
+          "M": 18.3312,
+          "S": 0.13268
+        },
+        "150": {
+          "L": -1.3621,
+          "M": 18.3986,
+          "S": 0.13295
+        },
+        "151": {
+          "L": -1.3553,
+          "M": 18.466,
+          "S": 0.13321
+        },
+        "152": {
+          "L": -1.3483,
+          "M": 18.5333,
+          "S": 0.13347
+        },
+        "153": {
+          "L": -1.3413,
+          "M": 18.6006,
+          "S": 0.13372
+        },
+        "154": {
+          "L": -1.3341,
+          "M": 18.6677,
+          "S": 0.13397
+        },
+        "155": {
+          "L": -1.3269,
+          "M": 18.7346,
+          "S": 0.13421
+        },
+        "156": {
+          "L": -1.3195,
+          "M": 18.8012,
+          "S": 0.13445
+        },
+        "157": {
+          "L": -1.3121,
+          "M": 18.8675,
+          "S": 0.13469
+        },
+        "158": {
+          "L": -1.3046,
+          "M": 18.9335,
+          "S": 0.13492
+        },
+        "159": {
+          "L": -1.297,
+          "M": 18.9991,
+          "S": 0.13514
+        },
+        "160": {
+          "L": -1.2894,
+          "M": 19.0642,
+          "S": 0.13537
+        },
+        "161": {
+          "L": -1.2816,
+          "M": 19.1289,
+          "S": 0.13559
+        },
+        "162": {
+          "L": -1.2739,
+          "M": 19.1931,
+          "S": 0.1358
+        },
+        "163": {
+          "L": -1.2661,
+          "M": 19.2567,
+          "S": 0.13601
+        },
+        "164": {
+          "L": -1.2583,
+          "M": 19.3197,
+          "S": 0.13622
+        },
+        "165": {
+          "L": -1.2504,
+          "M": 19.382,
+          "S": 0.13642
+        },
+        "166": {
+          "L": -1.2425,
+          "M": 19.4437,
+          "S": 0.13662
+        },
+        "167": {
+          "L": -1.2345,
+          "M": 19.5045,
+          "S": 0.13681
+        },
+        "168": {
+          "L": -1.2266,
+          "M": 19.5647,
+          "S": 0.137
+        },
+        "169": {
+          "L": -1.2186,
+          "M": 19.624,
+          "S": 0.13719
+        },
+        "170": {
+          "L": -1.2107,
+          "M": 19.6824,
+          "S": 0.13738
+        },
+        "171": {
+          "L": -1.2027,
+          "M": 19.74,
+          "S": 0.13756
+        },
+        "172": {
+          "L": -1.1947,
+          "M": 19.7966,
+          "S": 0.13774
+        },
+        "173": {
+          "L": -1.1867,
+          "M": 19.8523,
+          "S": 0.13791
+        },
+        "174": {
+          "L": -1.1788,
+          "M": 19.907,
+          "S": 0.13808
+        },
+        "175": {
+          "L": -1.1708,
+          "M": 19.9607,
+          "S": 0.13825
+        },
+        "176": {
+          "L": -1.1629,
+          "M": 20.0133,
+          "S": 0.13841
+        },
+        "177": {
+          "L": -1.1549,
+          "M": 20.0648,
+          "S": 0.13858
+        },
+        "178": {
+          "L": -1.147,
+          "M": 20.1152,
+          "S": 0.13873
+        },
+        "179": {
+          "L": -1.139,
+          "M": 20.1644,
+          "S": 0.13889
+        },
+        "180": {
+          "L": -1.1311,
+          "M": 20.2125,
+          "S": 0.13904
+        },
+        "181": {
+          "L": -1.1232,
+          "M": 20.2595,
+          "S": 0.1392
+        },
+        "182": {
+          "L": -1.1153,
+          "M": 20.3053,
+          "S": 0.13934
+        },
+        "183": {
+          "L": -1.1074,
+          "M": 20.3499,
+          "S": 0.13949
+        },
+        "184": {
+          "L": -1.0996,
+          "M": 20.3934,
+          "S": 0.13963
+        },
+        "185": {
+          "L": -1.0917,
+          "M": 20.4357,
+          "S": 0.13977
+        },
+        "186": {
+          "L": -1.0838,
+          "M": 20.4769,
+          "S": 0.13991
+        },
+        "187": {
+          "L": -1.076,
+          "M": 20.517,
+          "S": 0.14005
+        },
+        "188": {
+          "L": -1.0681,
+          "M": 20.556,
+          "S": 0.14018
+        },
+        "189": {
+          "L": -1.0603,
+          "M": 20.5938,
+          "S": 0.14031
+        },
+        "190": {
+          "L": -1.0525,
+          "M": 20.6306,
+          "S": 0.14044
+        },
+        "191": {
+          "L": -1.0447,
+          "M": 20.6663,
+          "S": 0.14057
+        },
+        "192": {
+          "L": -1.0368,
+          "M": 20.7008,
+          "S": 0.1407
+        },
+        "193": {
+          "L": -1.029,
+          "M": 20.7344,
+          "S": 0.14082
+        },
+        "194": {
+          "L": -1.0212,
+          "M": 20.7668,
+          "S": 0.14094
+        },
+        "195": {
+          "L": -1.0134,
+          "M": 20.7982,
+          "S": 0.14106
+        },
+        "196": {
+          "L": -1.0055,
+          "M": 20.8286,
+          "S": 0.14118
+        },
+        "197": {
+          "L": -0.9977,
+          "M": 20.858,
+          "S": 0.1413
+        },
+        "198": {
+          "L": -0.9898,
+          "M": 20.8863,
+          "S": 0.14142
+        },
+        "199": {
+          "L": -0.9819,
+          "M": 20.9137,
+          "S": 0.14153
+        },
+        "200": {
+          "L": -0.974,
+          "M": 20.9401,
+          "S": 0.14164
+        },
+        "201": {
+          "L": -0.9661,
+          "M": 20.9656,
+          "S": 0.14176
+        },
+        "202": {
+          "L": -0.9582,
+          "M": 20.9901,
+          "S": 0.14187
+        },
+        "203": {
+          "L": -0.9503,
+          "M": 21.0138,
+          "S": 0.14198
+        },
+        "204": {
+          "L": -0.9423,
+          "M": 21.0367,
+          "S": 0.14208
+        },
+        "205": {
+          "L": -0.9344,
+          "M": 21.0587,
+          "S": 0.14219
+        },
+        "206": {
+          "L": -0.9264,
+          "M": 21.0801,
+          "S": 0.1423
+        },
+        "207": {
+          "L": -0.9184,
+          "M": 21.1007,
+          "S": 0.1424
+        },
+        "208": {
+          "L": -0.9104,
+          "M": 21.1206,
+          "S": 0.1425
+        },
+        "209": {
+          "L": -0.9024,
+          "M": 21.1399,
+          "S": 0.14261
+        },
+        "210": {
+          "L": -0.8944,
+          "M": 21.1586,
+          "S": 0.14271
+        },
+        "211": {
+          "L": -0.8863,
+          "M": 21.1768,
+          "S": 0.14281
+        },
+        "212": {
+          "L": -0.8783,
+          "M": 21.1944,
+          "S": 0.14291
+        },
+        "213": {
+          "L": -0.8703,
+          "M": 21.2116,
+          "S": 0.14301
+        },
+        "214": {
+          "L": -0.8623,
+          "M": 21.2282,
+          "S": 0.14311
+        },
+        "215": {
+          "L": -0.8542,
+          "M": 21.2444,
+          "S": 0.1432
+        },
+        "216": {
+          "L": -0.8462,
+          "M": 21.2603,
+          "S": 0.1433
+        },
+        "217": {
+          "L": -0.8382,
+          "M": 21.2757,
+          "S": 0.1434
+        },
+        "218": {
+          "L": -0.8301,
+          "M": 21.2908,
+          "S": 0.14349
+        },
+        "219": {
+          "L": -0.8221,
+          "M": 21.3055,
+          "S": 0.14359
+        },
+        "220": {
+          "L": -0.814,
+          "M": 21.32,
+          "S": 0.14368
+        },
+        "221": {
+          "L": -0.806,
+          "M": 21.3341,
+          "S": 0.14377
+        },
+        "222": {
+          "L": -0.798,
+          "M": 21.348,
+          "S": 0.14386
+        },
+        "223": {
+          "L": -0.7899,
+          "M": 21.3617,
+          "S": 0.14396
+        },
+        "224": {
+          "L": -0.7819,
+          "M": 21.3752,
+          "S": 0.14405
+        },
+        "225": {
+          "L": -0.7738,
+          "M": 21.3884,
+          "S": 0.14414
+        },
+        "226": {
+          "L": -0.7658,
+          "M": 21.4014,
+          "S": 0.14423
+        },
+        "227": {
+          "L": -0.7577,
+          "M": 21.4143,
+          "S": 0.14432
+        },
+        "228": {
+          "L": -0.7496,
+          "M": 21.4269,
+          "S": 0.14441
+        }
+      },
+      "wfl": {
+        "45.0": {
+          "L": -0.3833,
+          "M": 2.4607,
+          "S": 0.09029
+        },
+        "45.5": {
+          "L": -0.3833,
+          "M": 2.5457,
+          "S": 0.09033
+        },
+        "46.0": {
+          "L": -0.3833,
+          "M": 2.6306,
+          "S": 0.09037
+        },
+        "46.5": {
+          "L": -0.3833,
+          "M": 2.7155,
+          "S": 0.0904
+        },
+        "47.0": {
+          "L": -0.3833,
+          "M": 2.8007,
+          "S": 0.09044
+        },
+        "47.5": {
+          "L": -0.3833,
+          "M": 2.8867,
+          "S": 0.09048
+        },
+        "48.0": {
+          "L": -0.3833,
+          "M": 2.9741,
+          "S": 0.09052
+        },
+        "48.5": {
+          "L": -0.3833,
+          "M": 3.0636,
+          "S": 0.09056
+        },
+        "49.0": {
+          "L": -0.3833,
+          "M": 3.156,
+          "S": 0.0906
+        },
+        "49.5": {
+          "L": -0.3833,
+          "M": 3.252,
+          "S": 0.09064
+        },
+        "50.0": {
+          "L": -0.3833,
+          "M": 3.3518,
+          "S": 0.09068
+        },
+        "50.5": {
+          "L": -0.3833,
+          "M": 3.4557,
+          "S": 0.09072
+        },
+        "51.0": {
+          "L": -0.3833,
+          "M": 3.5636,
+          "S": 0.09076
+        },
+        "51.5": {
+          "L": -0.3833,
+          "M": 3.6754,
+          "S": 0.0908
+        },
+        "52.0": {
+          "L": -0.3833,
+          "M": 3.7911,
+          "S": 0.09085
+        },
+        "52.5": {
+          "L": -0.3833,
+          "M": 3.9105,
+          "S": 0.09089
+        },
+        "53.0": {
+          "L": -0.3833,
+          "M": 4.0332,
+          "S": 0.09093
+        },
+        "53.5": {
+          "L": -0.3833,
+          "M": 4.1591,
+          "S": 0.09098
+        },
+        "54.0": {
+          "L": -0.3833,
+          "M": 4.2875,
+          "S": 0.09102
+        },
+        "54.5": {
+          "L": -0.3833,
+          "M": 4.4179,
+          "S": 0.09106
+        },
+        "55.0": {
+          "L": -0.3833,
+          "M": 4.5498,
+          "S": 0.0911
+        },
+        "55.5": {
+          "L": -0.3833,
+          "M": 4.6827,
+          "S": 0.09114
+        },
+        "56.0": {
+          "L": -0.3833,
+          "M": 4.8162,
+          "S": 0.09118
+        },
+        "56.5": {
+          "L": -0.3833,
+          "M": 4.95,
+          "S": 0.09121
+        },
+        "57.0": {
+          "L": -0.3833,
+          "M": 5.0837,
+          "S": 0.09125
+        },
+        "57.5": {
+          "L": -0.3833,
+          "M": 5.2173,
+          "S": 0.09128
+        },
+        "58.0": {
+          "L": -0.3833,
+          "M": 5.3507,
+          "S": 0.0913
+        },
+        "58.5": {
+          "L": -0.3833,
+          "M": 5.4834,
+          "S": 0.09132
+        },
+        "59.0": {
+          "L": -0.3833,
+          "M": 5.6151,
+          "S": 0.09134
+        },
+        "59.5": {
+          "L": -0.3833,
+          "M": 5.7454,
+          "S": 0.09135
+        },
+        "60.0": {
+          "L": -0.3833,
+          "M": 5.8742,
+          "S": 0.09136
+        },
+        "60.5": {
+          "L": -0.3833,
+          "M": 6.0014,
+          "S": 0.09137
+        },
+        "61.0": {
+          "L": -0.3833,
+          "M": 6.127,
+          "S": 0.09137
+        },
+        "61.5": {
+          "L": -0.3833,
+          "M": 6.2511,
+          "S": 0.09136
+        },
+        "62.0": {
+          "L": -0.3833,
+          "M": 6.3738,
+          "S": 0.09135
+        },
+        "62.5": {
+          "L": -0.3833,
+          "M": 6.4948,
+          "S": 0.09133
+        },
+        "63.0": {
+          "L": -0.3833,
+          "M": 6.6144,
+          "S": 0.09131
+        },
+        "63.5": {
+          "L": -0.3833,
+          "M": 6.7328,
+          "S": 0.09129
+        },
+        "64.0": {
+          "L": -0.3833,
+          "M": 6.8501,
+          "S": 0.09126
+        },
+        "64.5": {
+          "L": -0.3833,
+          "M": 6.9662,
+          "S": 0.09123
+        },
+        "65.0": {
+          "L": -0.3833,
+          "M": 7.0812,
+          "S": 0.09119
+        },
+        "65.5": {
+          "L": -0.3833,
+          "M": 7.195,
+          "S": 0.09115
+        },
+        "66.0": {
+          "L": -0.3833,
+          "M": 7.3076,
+          "S": 0.0911
+        },
+        "66.5": {
+          "L": -0.3833,
+          "M": 7.4189,
+          "S": 0.09106
+        },
+        "67.0": {
+          "L": -0.3833,
+          "M": 7.5288,
+          "S": 0.09101
+        },
+        "67.5": {
+          "L": -0.3833,
+          "M": 7.6375,
+          "S": 0.09096
+        },
+        "68.0": {
+          "L": -0.3833,
+          "M": 7.7448,
+          "S": 0.0909
+        },
+        "68.5": {
+          "L": -0.3833,
+          "M": 7.8509,
+          "S": 0.09085
+        },
+        "69.0": {
+          "L": -0.3833,
+          "M": 7.9559,
+          "S": 0.09079
+        },
+        "69.5": {
+          "L": -0.3833,
+          "M": 8.0599,
+          "S": 0.09074
+        },
+        "70.0": {
+          "L": -0.3833,
+          "M": 8.163,
+          "S": 0.09068
+        },
+        "70.5": {
+          "L": -0.3833,
+          "M": 8.2651,
+          "S": 0.09062
+        },
+        "71.0": {
+          "L": -0.3833,
+          "M": 8.3666,
+          "S": 0.09056
+        },
+        "71.5": {
+          "L": -0.3833,
+          "M": 8.4676,
+          "S": 0.0905
+        },
+        "72.0": {
+          "L": -0.3833,
+          "M": 8.5679,
+          "S": 0.09043
+        },
+        "72.5": {
+          "L": -0.3833,
+          "M": 8.6674,
+          "S": 0.09037
+        },
+        "73.0": {
+          "L": -0.3833,
+          "M": 8.7661,
+          "S": 0.09031
+        },
+        "73.5": {
+          "L": -0.3833,
+          "M": 8.8638,
+          "S": 0.09025
+        },
+        "74.0": {
+          "L": -0.3833,
+          "M": 8.9601,
+          "S": 0.09018
+        },
+        "74.5": {
+          "L": -0.3833,
+          "M": 9.0552,
+          "S": 0.09012
+        },
+        "75.0": {
+          "L": -0.3833,
+          "M": 9.149,
+          "S": 0.09005
+        },
+        "75.5": {
+          "L": -0.3833,
+          "M": 9.2418,
+          "S": 0.08999
+        },
+        "76.0": {
+          "L": -0.3833,
+          "M": 9.3337,
+          "S": 0.08992
+        },
+        "76.5": {
+          "L": -0.3833,
+          "M": 9.4252,
+          "S": 0.08985
+        },
+        "77.0": {
+          "L": -0.3833,
+          "M": 9.5166,
+          "S": 0.08979
+        },
+        "77.5": {
+          "L": -0.3833,
+          "M": 9.6086,
+          "S": 0.08972
+        },
+        "78.0": {
+          "L": -0.3833,
+          "M": 9.7015,
+          "S": 0.08965
+        },
+        "78.5": {
+          "L": -0.3833,
+          "M": 9.7957,
+          "S": 0.08959
+        },
+        "79.0": {
+          "L": -0.3833,
+          "M": 9.8915,
+          "S": 0.08952
+        },
+        "79.5": {
+          "L": -0.3833,
+          "M": 9.9892,
+          "S": 0.08946
+        },
+        "80.0": {
+          "L": -0.3833,
+          "M": 10.0891,
+          "S": 0.0894
+        },
+        "80.5": {
+          "L": -0.3833,
+          "M": 10.1916,
+          "S": 0.08934
+        },
+        "81.0": {
+          "L": -0.3833,
+          "M": 10.2965,
+          "S": 0.08928
+        },
+        "81.5": {
+          "L": -0.3833,
+          "M": 10.4041,
+          "S": 0.08923
+        },
+        "82.0": {
+          "L": -0.3833,
+          "M": 10.514,
+          "S": 0.08918
+        },
+        "82.5": {
+          "L": -0.3833,
+          "M": 10.6263,
+          "S": 0.08914
+        },
+        "83.0": {
+          "L": -0.3833,
+          "M": 10.741,
+          "S": 0.0891
+        },
+        "83.5": {
+          "L": -0.3833,
+          "M": 10.8578,
+          "S": 0.08906
+        },
+        "84.0": {
+          "L": -0.3833,
+          "M": 10.9767,
+          "S": 0.08903
+        },
+        "84.5": {
+          "L": -0.3833,
+          "M": 11.0974,
+          "S": 0.089
+        },
+        "85.0": {
+          "L": -0.3833,
+          "M": 11.2198,
+          "S": 0.08898
+        },
+        "85.5": {
+          "L": -0.3833,
+          "M": 11.3435,
+          "S": 0.08897
+        },
+        "86.0": {
+          "L": -0.3833,
+          "M": 11.4684,
+          "S": 0.08895
+        },
+        "86.5": {
+          "L": -0.3833,
+          "M": 11.594,
+          "S": 0.08895
+        },
+        "87.0": {
+          "L": -0.3833,
+          "M": 11.7201,
+          "S": 0.08895
+        },
+        "87.5": {
+          "L": -0.3833,
+          "M": 11.8461,
+          "S": 0.08895
+        },
+        "88.0": {
+          "L": -0.3833,
+          "M": 11.972,
+          "S": 0.08896
+        },
+        "88.5": {
+          "L": -0.3833,
+          "M": 12.0976,
+          "S": 0.08898
+        },
+        "89.0": {
+          "L": -0.3833,
+          "M": 12.2229,
+          "S": 0.089
+        },
+        "89.5": {
+          "L": -0.3833,
+          "M": 12.3477,
+          "S": 0.08903
+        },
+        "90.0": {
+          "L": -0.3833,
+          "M": 12.4723,
+          "S": 0.08906
+        },
+        "90.5": {
+          "L": -0.3833,
+          "M": 12.5965,
+          "S": 0.08909
+        },
+        "91.0": {
+          "L": -0.3833,
+          "M": 12.7205,
+          "S": 0.08913
+        },
+        "91.5": {
+          "L": -0.3833,
+          "M": 12.8443,
+          "S": 0.08918
+        },
+        "92.0": {
+          "L": -0.3833,
+          "M": 12.9681,
+          "S": 0.08923
+        },
+        "92.5": {
+          "L": -0.3833,
+          "M": 13.092,
+          "S": 0.08928
+        },
+        "93.0": {
+          "L": -0.3833,
+          "M": 13.2158,
+          "S": 0.08934
+        },
+        "93.5": {
+          "L": -0.3833,
+          "M": 13.3399,
+          "S": 0.08941
+        },
+        "94.0": {
+          "L": -0.3833,
+          "M": 13.4643,
+          "S": 0.08948
+        },
+        "94.5": {
+          "L": -0.3833,
+          "M": 13.5892,
+          "S": 0.08955
+        },
+        "95.0": {
+          "L": -0.3833,
+          "M": 13.7146,
+          "S": 0.08963
+        },
+        "95.5": {
+          "L": -0.3833,
+          "M": 13.8408,
+          "S": 0.08972
+        },
+        "96.0": {
+          "L": -0.3833,
+          "M": 13.9676,
+          "S": 0.08981
+        },
+        "96.5": {
+          "L": -0.3833,
+          "M": 14.0953,
+          "S": 0.0899
+        },
+        "97.0": {
+          "L": -0.3833,
+          "M": 14.2239,
+          "S": 0.09
+        },
+        "97.5": {
+          "L": -0.3833,
+          "M": 14.3537,
+          "S": 0.0901
+        },
+        "98.0": {
+          "L": -0.3833,
+          "M": 14.4848,
+          "S": 0.09021
+        },
+        "98.5": {
+          "L": -0.3833,
+          "M": 14.6174,
+          "S": 0.09033
+        },
+        "99.0": {
+          "L": -0.3833,
+          "M": 14.7519,
+          "S": 0.09044
+        },
+        "99.5": {
+          "L": -0.3833,
+          "M": 14.8882,
+          "S": 0.09057
+        },
+        "100.0": {
+          "L": -0.3833,
+          "M": 15.0267,
+          "S": 0.09069
+        },
+        "100.5": {
+          "L": -0.3833,
+          "M": 15.1676,
+          "S": 0.09083
+        },
+        "101.0": {
+          "L": -0.3833,
+          "M": 15.3108,
+          "S": 0.09096
+        },
+        "101.5": {
+          "L": -0.3833,
+          "M": 15.4564,
+          "S": 0.0911
+        },
+        "102.0": {
+          "L": -0.3833,
+          "M": 15.6046,
+          "S": 0.09125
+        },
+        "102.5": {
+          "L": -0.3833,
+          "M": 15.7553,
+          "S": 0.09139
+        },
+        "103.0": {
+          "L": -0.3833,
+          "M": 15.9087,
+          "S": 0.09155
+        },
+        "103.5": {
+          "L": -0.3833,
+          "M": 16.0645,
+          "S": 0.0917
+        },
+        "104.0": {
+          "L": -0.3833,
+          "M": 16.2229,
+          "S": 0.09186
+        },
+        "104.5": {
+          "L": -0.3833,
+          "M": 16.3837,
+          "S": 0.09203
+        },
+        "105.0": {
+          "L": -0.3833,
+          "M": 16.547,
+          "S": 0.09219
+        },
+        "105.5": {
+          "L": -0.3833,
+          "M": 16.7129,
+          "S": 0.09236
+        },
+        "106.0": {
+          "L": -0.3833,
+          "M": 16.8814,
+          "S": 0.09254
+        },
+        "106.5": {
+          "L": -0.3833,
+          "M": 17.0527,
+          "S": 0.09271
+        },
+        "107.0": {
+          "L": -0.3833,
+          "M": 17.2269,
+          "S": 0.09289
+        },
+        "107.5": {
+          "L": -0.3833,
+          "M": 17.4039,
+          "S": 0.09307
+        },
+        "108.0": {
+          "L": -0.3833,
+          "M": 17.5839,
+          "S": 0.09326
+        },
+        "108.5": {
+          "L": -0.3833,
+          "M": 17.7668,
+          "S": 0.09344
+        },
+        "109.0": {
+          "L": -0.3833,
+          "M": 17.9526,
+          "S": 0.09363
+        },
+        "109.5": {
+          "L": -0.3833,
+          "M": 18.1412,
+          "S": 0.09382
+        },
+        "110.0": {
+          "L": -0.3833,
+          "M": 18.3324,
+          "S": 0.09401
+        }
+      },
+      "wfh": {
+        "65.0": {
+          "L": -0.3833,
+          "M": 7.2402,
+          "S": 0.09113
+        },
+        "65.5": {
+          "L": -0.3833,
+          "M": 7.3523,
+          "S": 0.09109
+        },
+        "66.0": {
+          "L": -0.3833,
+          "M": 7.463,
+          "S": 0.09104
+        },
+        "66.5": {
+          "L": -0.3833,
+          "M": 7.5724,
+          "S": 0.09099
+        },
+        "67.0": {
+          "L": -0.3833,
+          "M": 7.6806,
+          "S": 0.09094
+        },
+        "67.5": {
+          "L": -0.3833,
+          "M": 7.7874,
+          "S": 0.09088
+        },
+        "68.0": {
+          "L": -0.3833,
+          "M": 7.893,
+          "S": 0.09083
+        },
+        "68.5": {
+          "L": -0.3833,
+          "M": 7.9976,
+          "S": 0.09077
+        },
+        "69.0": {
+          "L": -0.3833,
+          "M": 8.1012,
+          "S": 0.09071
+        },
+        "69.5": {
+          "L": -0.3833,
+          "M": 8.2039,
+          "S": 0.09065
+        },
+        "70.0": {
+          "L": -0.3833,
+          "M": 8.3058,
+          "S": 0.09059
+        },
+        "70.5": {
+          "L": -0.3833,
+          "M": 8.4071,
+          "S": 0.09053
+        },
+        "71.0": {
+          "L": -0.3833,
+          "M": 8.5078,
+          "S": 0.09047
+        },
+        "71.5": {
+          "L": -0.3833,
+          "M": 8.6078,
+          "S": 0.09041
+        },
+        "72.0": {
+          "L": -0.3833,
+          "M": 8.707,
+          "S": 0.09035
+        },
+        "72.5": {
+          "L": -0.3833,
+          "M": 8.8053,
+          "S": 0.09028
+        },
+        "73.0": {
+          "L": -0.3833,
+          "M": 8.9025,
+          "S": 0.09022
+        },
+        "73.5": {
+          "L": -0.3833,
+          "M": 8.9983,
+          "S": 0.09016
+        },
+        "74.0": {
+          "L": -0.3833,
+          "M": 9.0928,
+          "S": 0.09009
+        },
+        "74.5": {
+          "L": -0.3833,
+          "M": 9.1862,
+          "S": 0.09003
+        },
+        "75.0": {
+          "L": -0.3833,
+          "M": 9.2786,
+          "S": 0.08996
+        },
+        "75.5": {
+          "L": -0.3833,
+          "M": 9.3703,
+          "S": 0.08989
+        },
+        "76.0": {
+          "L": -0.3833,
+          "M": 9.4617,
+          "S": 0.08983
+        },
+        "76.5": {
+          "L": -0.3833,
+          "M": 9.5533,
+          "S": 0.08976
+        },
+        "77.0": {
+          "L": -0.3833,
+          "M": 9.6456,
+          "S": 0.08969
+        },
+        "77.5": {
+          "L": -0.3833,
+          "M": 9.739,
+          "S": 0.08963
+        },
+        "78.0": {
+          "L": -0.3833,
+          "M": 9.8338,
+          "S": 0.08956
+        },
+        "78.5": {
+          "L": -0.3833,
+          "M": 9.9303,
+          "S": 0.0895
+        },
+        "79.0": {
+          "L": -0.3833,
+          "M": 10.0289,
+          "S": 0.08943
+        },
+        "79.5": {
+          "L": -0.3833,
+          "M": 10.1298,
+          "S": 0.08937
+        },
+        "80.0": {
+          "L": -0.3833,
+          "M": 10.2332,
+          "S": 0.08932
+        },
+        "80.5": {
+          "L": -0.3833,
+          "M": 10.3393,
+          "S": 0.08926
+        },
+        "81.0": {
+          "L": -0.3833,
+          "M": 10.4477,
+          "S": 0.08921
+        },
+        "81.5": {
+          "L": -0.3833,
+          "M": 10.5586,
+          "S": 0.08916
+        },
+        "82.0": {
+          "L": -0.3833,
+          "M": 10.6719,
+          "S": 0.08912
+        },
+        "82.5": {
+          "L": -0.3833,
+          "M": 10.7874,
+          "S": 0.08908
+        },
+        "83.0": {
+          "L": -0.3833,
+          "M": 10.9051,
+          "S": 0.08905
+        },
+        "83.5": {
+          "L": -0.3833,
+          "M": 11.0248,
+          "S": 0.08902
+        },
+        "84.0": {
+          "L": -0.3833,
+          "M": 11.1462,
+          "S": 0.08899
+        },
+        "84.5": {
+          "L": -0.3833,
+          "M": 11.2691,
+          "S": 0.08897
+        },
+        "85.0": {
+          "L": -0.3833,
+          "M": 11.3934,
+          "S": 0.08896
+        },
+        "85.5": {
+          "L": -0.3833,
+          "M": 11.5186,
+          "S": 0.08895
+        },
+        "86.0": {
+          "L": -0.3833,
+          "M": 11.6444,
+          "S": 0.08895
+        },
+        "86.5": {
+          "L": -0.3833,
+          "M": 11.7705,
+          "S": 0.08895
+        },
+        "87.0": {
+          "L": -0.3833,
+          "M": 11.8965,
+          "S": 0.08896
+        },
+        "87.5": {
+          "L": -0.3833,
+          "M": 12.0223,
+          "S": 0.08897
+        },
+        "88.0": {
+          "L": -0.3833,
+          "M": 12.1478,
+          "S": 0.08899
+        },
+        "88.5": {
+          "L": -0.3833,
+          "M": 12.2729,
+          "S": 0.08901
+        },
+        "89.0": {
+          "L": -0.3833,
+          "M": 12.3976,
+          "S": 0.08904
+        },
+        "89.5": {
+          "L": -0.3833,
+          "M": 12.522,
+          "S": 0.08907
+        },
+        "90.0": {
+          "L": -0.3833,
+          "M": 12.6461,
+          "S": 0.08911
+        },
+        "90.5": {
+          "L": -0.3833,
+          "M": 12.77,
+          "S": 0.08915
+        },
+        "91.0": {
+          "L": -0.3833,
+          "M": 12.8939,
+          "S": 0.0892
+        },
+        "91.5": {
+          "L": -0.3833,
+          "M": 13.0177,
+          "S": 0.08925
+        },
+        "92.0": {
+          "L": -0.3833,
+          "M": 13.1415,
+          "S": 0.08931
+        },
+        "92.5": {
+          "L": -0.3833,
+          "M": 13.2654,
+          "S": 0.08937
+        },
+        "93.0": {
+          "L": -0.3833,
+          "M": 13.3896,
+          "S": 0.08944
+        },
+        "93.5": {
+          "L": -0.3833,
+          "M": 13.5142,
+          "S": 0.08951
+        },
+        "94.0": {
+          "L": -0.3833,
+          "M": 13.6393,
+          "S": 0.08959
+        },
+        "94.5": {
+          "L": -0.3833,
+          "M": 13.765,
+          "S": 0.08967
+        },
+        "95.0": {
+          "L": -0.3833,
+          "M": 13.8914,
+          "S": 0.08975
+        },
+        "95.5": {
+          "L": -0.3833,
+          "M": 14.0186,
+          "S": 0.08984
+        },
+        "96.0": {
+          "L": -0.3833,
+          "M": 14.1466,
+          "S": 0.08994
+        },
+        "96.5": {
+          "L": -0.3833,
+          "M": 14.2757,
+          "S": 0.09004
+        },
+        "97.0": {
+          "L": -0.3833,
+          "M": 14.4059,
+          "S": 0.09015
+        },
+        "97.5": {
+          "L": -0.3833,
+          "M": 14.5376,
+          "S": 0.09026
+        },
+        "98.0": {
+          "L": -0.3833,
+          "M": 14.671,
+          "S": 0.09037
+        },
+        "98.5": {
+          "L": -0.3833,
+          "M": 14.8062,
+          "S": 0.09049
+        },
+        "99.0": {
+          "L": -0.3833,
+          "M": 14.9434,
+          "S": 0.09062
+        },
+        "99.5": {
+          "L": -0.3833,
+          "M": 15.0828,
+          "S": 0.09075
+        },
+        "100.0": {
+          "L": -0.3833,
+          "M": 15.2246,
+          "S": 0.09088
+        },
+        "100.5": {
+          "L": -0.3833,
+          "M": 15.3687,
+          "S": 0.09102
+        },
+        "101.0": {
+          "L": -0.3833,
+          "M": 15.5154,
+          "S": 0.09116
+        },
+        "101.5": {
+          "L": -0.3833,
+          "M": 15.6646,
+          "S": 0.09131
+        },
+        "102.0": {
+          "L": -0.3833,
+          "M": 15.8164,
+          "S": 0.09146
+        },
+        "102.5": {
+          "L": -0.3833,
+          "M": 15.9707,
+          "S": 0.09161
+        },
+        "103.0": {
+          "L": -0.3833,
+          "M": 16.1276,
+          "S": 0.09177
+        },
+        "103.5": {
+          "L": -0.3833,
+          "M": 16.287,
+          "S": 0.09193
+        },
+        "104.0": {
+          "L": -0.3833,
+          "M": 16.4488,
+          "S": 0.09209
+        },
+        "104.5": {
+          "L": -0.3833,
+          "M": 16.6131,
+          "S": 0.09226
+        },
+        "105.0": {
+          "L": -0.3833,
+          "M": 16.78,
+          "S": 0.09243
+        },
+        "105.5": {
+          "L": -0.3833,
+          "M": 16.9496,
+          "S": 0.09261
+        },
+        "106.0": {
+          "L": -0.3833,
+          "M": 17.122,
+          "S": 0.09278
+        },
+        "106.5": {
+          "L": -0.3833,
+          "M": 17.2973,
+          "S": 0.09296
+        },
+        "107.0": {
+          "L": -0.3833,
+          "M": 17.4755,
+          "S": 0.09315
+        },
+        "107.5": {
+          "L": -0.3833,
+          "M": 17.6567,
+          "S": 0.09333
+        },
+        "108.0": {
+          "L": -0.3833,
+          "M": 17.8407,
+          "S": 0.09352
+        },
+        "108.5": {
+          "L": -0.3833,
+          "M": 18.0277,
+          "S": 0.09371
+        },
+        "109.0": {
+          "L": -0.3833,
+          "M": 18.2174,
+          "S": 0.0939
+        },
+        "109.5": {
+          "L": -0.3833,
+          "M": 18.4096,
+          "S": 0.09409
+        },
+        "110.0": {
+          "L": -0.3833,
+          "M": 18.6043,
+          "S": 0.09428
+        },
+        "110.5": {
+          "L": -0.3833,
+          "M": 18.8015,
+          "S": 0.09448
+        },
+        "111.0": {
+          "L": -0.3833,
+          "M": 19.0009,
+          "S": 0.09467
+        },
+        "111.5": {
+          "L": -0.3833,
+          "M": 19.2024,
+          "S": 0.09487
+        },
+        "112.0": {
+          "L": -0.3833,
+          "M": 19.406,
+          "S": 0.09507
+        },
+        "112.5": {
+          "L": -0.3833,
+          "M": 19.6116,
+          "S": 0.09527
+        },
+        "113.0": {
+          "L": -0.3833,
+          "M": 19.819,
+          "S": 0.09546
+        },
+        "113.5": {
+          "L": -0.3833,
+          "M": 20.028,
+          "S": 0.09566
+        },
+        "114.0": {
+          "L": -0.3833,
+          "M": 20.2385,
+          "S": 0.09586
+        },
+        "114.5": {
+          "L": -0.3833,
+          "M": 20.4502,
+          "S": 0.09606
+        },
+        "115.0": {
+          "L": -0.3833,
+          "M": 20.6629,
+          "S": 0.09626
+        },
+        "115.5": {
+          "L": -0.3833,
+          "M": 20.8766,
+          "S": 0.09646
+        },
+        "116.0": {
+          "L": -0.3833,
+          "M": 21.0909,
+          "S": 0.09666
+        },
+        "116.5": {
+          "L": -0.3833,
+          "M": 21.3059,
+          "S": 0.09686
+        },
+        "117.0": {
+          "L": -0.3833,
+          "M": 21.5213,
+          "S": 0.09707
+        },
+        "117.5": {
+          "L": -0.3833,
+          "M": 21.737,
+          "S": 0.09727
+        },
+        "118.0": {
+          "L": -0.3833,
+          "M": 21.9529,
+          "S": 0.09747
+        },
+        "118.5": {
+          "L": -0.3833,
+          "M": 22.169,
+          "S": 0.09767
+        },
+        "119.0": {
+          "L": -0.3833,
+          "M": 22.3851,
+          "S": 0.09788
+        },
+        "119.5": {
+          "L": -0.3833,
+          "M": 22.6012,
+          "S": 0.09808
+        },
+        "120.0": {
+          "L": -0.3833,
+          "M": 22.8173,
+          "S": 0.09828
+        }
+      },
+      "head": {
+        "0": {
+          "L": 1,
+          "M": 33.8787,
+          "S": 0.03496
+        },
+        "1": {
+          "L": 1,
+          "M": 36.5463,
+          "S": 0.0321
+        },
+        "2": {
+          "L": 1,
+          "M": 38.2521,
+          "S": 0.03168
+        },
+        "3": {
+          "L": 1,
+          "M": 39.5328,
+          "S": 0.0314
+        },
+        "4": {
+          "L": 1,
+          "M": 40.5817,
+          "S": 0.03119
+        },
+        "5": {
+          "L": 1,
+          "M": 41.459,
+          "S": 0.03102
+        },
+        "6": {
+          "L": 1,
+          "M": 42.1995,
+          "S": 0.03087
+        },
+        "7": {
+          "L": 1,
+          "M": 42.829,
+          "S": 0.03075
+        },
+        "8": {
+          "L": 1,
+          "M": 43.3671,
+          "S": 0.03063
+        },
+        "9": {
+          "L": 1,
+          "M": 43.83,
+          "S": 0.03053
+        },
+        "10": {
+          "L": 1,
+          "M": 44.2319,
+          "S": 0.03044
+        },
+        "11": {
+          "L": 1,
+          "M": 44.5844,
+          "S": 0.03035
+        },
+        "12": {
+          "L": 1,
+          "M": 44.8965,
+          "S": 0.03027
+        },
+        "13": {
+          "L": 1,
+          "M": 45.1752,
+          "S": 0.03019
+        },
+        "14": {
+          "L": 1,
+          "M": 45.4265,
+          "S": 0.03012
+        },
+        "15": {
+          "L": 1,
+          "M": 45.6551,
+          "S": 0.03006
+        },
+        "16": {
+          "L": 1,
+          "M": 45.865,
+          "S": 0.03
+        },
+        "17": {
+          "L": 1,
+          "M": 46.0598,
+          "S": 0.02994
+        },
+        "18": {
+          "L": 1,
+          "M": 46.2424,
+          "S": 0.02989
+        },
+        "19": {
+          "L": 1,
+          "M": 46.4152,
+          "S": 0.02984
+        },
+        "20": {
+          "L": 1,
+          "M": 46.5801,
+          "S": 0.0298
+        },
+        "21": {
+          "L": 1,
+          "M": 46.7384,
+          "S": 0.02976
+        },
+        "22": {
+          "L": 1,
+          "M": 46.8913,
+          "S": 0.02972
+        },
+        "23": {
+          "L": 1,
+          "M": 47.0391,
+          "S": 0.02969
+        },
+        "24": {
+          "L": 1,
+          "M": 47.1822,
+          "S": 0.02966
+        },
+        "25": {
+          "L": 1,
+          "M": 47.3204,
+          "S": 0.02963
+        },
+        "26": {
+          "L": 1,
+          "M": 47.4536,
+          "S": 0.02961
+        },
+        "27": {
+          "L": 1,
+          "M": 47.5817,
+          "S": 0.02959
+        },
+        "28": {
+          "L": 1,
+          "M": 47.7045,
+          "S": 0.02957
+        },
+        "29": {
+          "L": 1,
+          "M": 47.8219,
+          "S": 0.02955
+        },
+        "30": {
+          "L": 1,
+          "M": 47.934,
+          "S": 0.02954
+        },
+        "31": {
+          "L": 1,
+          "M": 48.041,
+          "S": 0.02953
+        },
+        "32": {
+          "L": 1,
+          "M": 48.1432,
+          "S": 0.02952
+        },
+        "33": {
+          "L": 1,
+          "M": 48.2408,
+          "S": 0.02951
+        },
+        "34": {
+          "L": 1,
+          "M": 48.3343,
+          "S": 0.02951
+        },
+        "35": {
+          "L": 1,
+          "M": 48.4239,
+          "S": 0.0295
+        },
+        "36": {
+          "L": 1,
+          "M": 48.5099,
+          "S": 0.0295
+        },
+        "37": {
+          "L": 1,
+          "M": 48.5926,
+          "S": 0.0295
+        },
+        "38": {
+          "L": 1,
+          "M": 48.6722,
+          "S": 0.0295
+        },
+        "39": {
+          "L": 1,
+          "M": 48.7489,
+          "S": 0.0295
+        },
+        "40": {
+          "L": 1,
+          "M": 48.8228,
+          "S": 0.0295
+        },
+        "41": {
+          "L": 1,
+          "M": 48.8941,
+          "S": 0.0295
+        },
+        "42": {
+          "L": 1,
+          "M": 48.9629,
+          "S": 0.02951
+        },
+        "43": {
+          "L": 1,
+          "M": 49.0294,
+          "S": 0.02951
+        },
+        "44": {
+          "L": 1,
+          "M": 49.0937,
+          "S": 0.02952
+        },
+        "45": {
+          "L": 1,
+          "M": 49.1559,
+          "S": 0.02952
+        },
+        "46": {
+          "L": 1,
+          "M": 49.2161,
+          "S": 0.02953
+        },
+        "47": {
+          "L": 1,
+          "M": 49.2744,
+          "S": 0.02953
+        },
+        "48": {
+          "L": 1,
+          "M": 49.3309,
+          "S": 0.02954
+        },
+        "49": {
+          "L": 1,
+          "M": 49.3857,
+          "S": 0.02955
+        },
+        "50": {
+          "L": 1,
+          "M": 49.4388,
+          "S": 0.02955
+        },
+        "51": {
+          "L": 1,
+          "M": 49.4903,
+          "S": 0.02956
+        },
+        "52": {
+          "L": 1,
+          "M": 49.5403,
+          "S": 0.02957
+        },
+        "53": {
+          "L": 1,
+          "M": 49.5888,
+          "S": 0.02958
+        },
+        "54": {
+          "L": 1,
+          "M": 49.636,
+          "S": 0.02958
+        },
+        "55": {
+          "L": 1,
+          "M": 49.6817,
+          "S": 0.02959
+        },
+        "56": {
+          "L": 1,
+          "M": 49.7262,
+          "S": 0.0296
+        },
+        "57": {
+          "L": 1,
+          "M": 49.7694,
+          "S": 0.02961
+        },
+        "58": {
+          "L": 1,
+          "M": 49.8114,
+          "S": 0.02962
+        },
+        "59": {
+          "L": 1,
+          "M": 49.8523,
+          "S": 0.02963
+        },
+        "60": {
+          "L": 1,
+          "M": 49.8921,
+          "S": 0.02964
+        }
+      }
     }
   }
 };
@@ -0,0 +1,312 @@
+/**
+ * [영어 메시지] 영어로 대화하는 보호자를 위한 카탈로그입니다. 키 구성은 ko.js와 같습니다.
+ */
+
+module.exports = {
+  list: { separator: ', ' },
+  sex: { male: 'boy', female: 'girl' },
+  metrics: { height: 'Height', weight: 'Weight', head: 'Head circumference', wfl: 'Weight-for-length', wfh: 'Weight-for-height', bmi: 'BMI' },
+
+  age: {
+    months: { one: '{count} month', other: '{count} months' },
+    years: { one: '{count} year', other: '{count} years' },
+    yearsMonths: '{years} {months}',
+  },
+  ageBasis: {
+    plain: '{age} ({source})',
+    corrected: 'Corrected age {corrected} (actual age {chronological}, born at {weeks} weeks, {source})',
+    birthdate: 'from birth date, measured on {date}',
+    stated: 'as entered',
+    statedAs: "entered as '{stated}'",
+  },
+
+  standards: {
+    kdca2017: {
+      label: '2017 Korean National Growth Charts',
+      citation: 'Korea Disease Control and Prevention Agency & Korean Pediatric Society, 2017 Korean National Growth Charts for Children and Adolescents',
+    },
+    who2006: {
+      label: 'WHO Growth Standards',
+      citation: 'WHO Child Growth Standards (2006), WHO Growth Reference for 5-19 years (2007)',
+    },
+  },
+  citation: 'Sources: {citations}',
+  missingReference: {
+    noData: 'no reference data',
+    outOfRange: 'age outside the reference range ({min}–{max})',
+  },
+
+  rank: {
+    upper: 'top {share}%',
+    lower: 'bottom {share}%',
+    aboveRange: 'above +3 SD',
+    belowRange: 'below -3 SD',
+  },
+  score: {
+    rank: '{rank}, z {z}',
+    outOfRange: 'z {z}, {range}',
+  },
+  categories: {
+    short_stature: {
+      label: 'Short stature',
+      explanation: 'Among 100 children of the same age and sex, your child is one of the 3 shortest.',
+      advice: 'See a pediatrician (pediatric endocrinology) to check for causes of slow growth.',
+    },
+    short_side: {
+      label: 'On the short side',
+      explanation: 'Shorter than most peers, but within the normal range.',
+      advice: 'Measure height every 3–6 months to make sure your child keeps following the growth curve.',
+    },
+    height_normal: { label: 'Average', explanation: 'Height is in the average range for peers.', advice: null },
+    tall_side: { label: 'On the tall side', explanation: 'Taller than most peers, but within the normal range.', advice: null },
+    tall_stature: {
+      label: 'Tall stature',
+      explanation: 'Among 100 children of the same age and sex, your child is one of the 3 tallest.',
+      advice: 'If the parents are not tall and your child is growing fast or shows early signs of puberty, see a doctor.',
+    },
+    weight_low: {
+      label: 'Underweight',
+      explanation: 'Among 100 children of the same age and sex, your child is one of the 3 lightest.',
+      advice: 'See a pediatrician to review feeding and weight changes.',
+    },
+    weight_light_side: {
+      label: 'On the light side',
+      explanation: 'Lighter than most peers, but within the normal range.',
+      advice: 'Check regularly that weight keeps increasing.',
+    },
+    weight_normal: { label: 'Average', explanation: 'Weight is in the average range for peers.', advice: null },
+    weight_heavy_side: {
+      label: 'On the heavy side',
+      explanation: 'Heavier than most peers, but within the normal range. It should be read together with height.',
+      advice: null,
+    },
+    weight_high: {
+      label: 'High weight',
+      explanation: 'Among 100 children of the same age and sex, your child is one of the 3 heaviest. It should be read together with height.',
+      advice: 'Check the BMI or weight-for-height result as well, and see a doctor if it shows overweight.',
+    },
+    bmi_underweight: {
+      label: 'Underweight',
+      explanation: 'Weight is low for height. (BMI below the 5th percentile)',
+      advice: 'See a pediatrician to review eating and overall health.',
+    },
+    bmi_normal: { label: 'Normal', explanation: 'Weight is appropriate for height.', advice: null },
+    bmi_overweight: {
+      label: 'Overweight',
+      explanation: 'Weight is somewhat high for height. (BMI 85th–95th percentile)',
+      advice: 'Cut down on sugary drinks and snacks and increase activity. Check again in 6 months.',
+    },
+    bmi_obese: {
+      label: 'Obese',
+      explanation: 'Weight is high for height. (BMI at or above the 95th percentile)',
+      advice: 'See a pediatrician to check for complications and get lifestyle advice.',
+    },
+    wasting_severe: {
+      label: 'Severe wasting',
+      explanation: 'Weight is very low for height. (z-score below -3)',
+      advice: 'Please see a pediatrician soon.',
+    },
+    wasting: {
+      label: 'Wasting',
+      explanation: 'Weight is low for height. (z-score below -2)',
+      advice: 'See a pediatrician to review feeding and weight changes.',
+    },
+    wfl_normal: { label: 'Normal', explanation: 'Weight is appropriate for height.', advice: null },
+    wfl_overweight: {
+      label: 'Overweight',
+      explanation: 'Weight is somewhat high for height. (z-score above +2)',
+      advice: 'Review milk, meals and snacks, and check again at the next check-up.',
+    },
+    wfl_obese: {
+      label: 'Obese',
+      explanation: 'Weight is high for height. (z-score above +3)',
+      advice: 'See a pediatrician.',
+    },
+    head_small: {
+      label: 'Small',
+      explanation: 'Head circumference is below the 3rd percentile. Most such children are healthy, but microcephaly should be ruled out.',
+      advice: 'See a pediatrician together with a check of development.',
+    },
+    head_normal: { label: 'Average', explanation: 'Head circumference is in the normal range for peers.', advice: null },
+    head_large: {
+      label: 'Large',
+      explanation: 'Head circumference is above the 97th percentile. It often runs in families, but macrocephaly should be ruled out.',
+      advice: 'If the head grows quickly or there is vomiting or unusual fussiness, see a doctor right away.',
+    },
+  },
+  summary: {
+    allNormal: 'All measurements are within the normal range for peers.',
+    referral: 'We recommend seeing a doctor about the items below. This result is for reference only and is not a diagnosis.',
+    watch: 'Please note:',
+    item: '- {metric} ({label}): {explanation}',
+  },
+
+  replies: {
+    male: 'Boy',
+    female: 'Girl',
+    months: { one: '{count} month', other: '{count} months' },
+    years: { one: '{count} year', other: '{count} years' },
+    report: 'Analyze',
+    reset: 'Start over',
+    confirm: 'Correct',
+    children: 'My children',
+    childHistory: '{name} growth history',
+    averageHeight: '{age} average height',
+  },
+
+  locale: {
+    switched: "I'll reply in English from now on. Please tell me your child's sex, age, height and weight.",
+  },
+  greet: {
+    title: 'Hello!',
+    description: "Please tell me your child's sex, age, height and weight.",
+    example: 'Try an example',
+    exampleMessage: 'boy 3 years height 96cm weight 14kg',
+  },
+  ask: {
+    sex: "Is your child a boy or a girl? (e.g. boy)",
+    age: "Please tell me your child's age or birth date. (e.g. 15 months, 3 years or 2022-03-05)",
+    measurements: "Please tell me your child's height and weight. (e.g. 80cm 11kg)",
+  },
+  converted: {
+    labels: { age_month: 'Age', height_cm: 'Height', weight_kg: 'Weight', head_cm: 'Head circumference' },
+    item: '{label} {value} ({original})',
+    summary: 'Got it: {items}.',
+  },
+  outOfRange: {
+    title: "These values are not possible for a child, so I didn't analyse them. Please check the units or numbers and tell me again.",
+    items: {
+      age_month: 'Age {value} months (possible range {min}–{max} months)',
+      gestational_weeks: 'Gestational age {value} weeks (possible range {min}–{max} weeks)',
+      height_cm: 'Height {value}cm (possible range {min}–{max}cm)',
+      weight_kg: 'Weight {value}kg (possible range {min}–{max}kg)',
+      head_cm: 'Head circumference {value}cm (possible range {min}–{max}cm)',
+    },
+  },
+  standardChoice: {
+    chosen: "From now on I'll use this reference: {standard}",
+    auto: "From now on I'll use the default references (WHO under 36 months, Korean growth charts after that).",
+    unsupported: "The {standard} growth charts aren't supported yet because their reference data is not available. Please choose the WHO standards or the 2017 Korean growth charts.",
+  },
+  reset: "Sure, let's start over. Please tell me about your child.",
+  unknown: "Sorry, I didn't understand. Please try something like 'boy 3 years height 100cm'.",
+  error: 'Something went wrong. Please try again in a moment.',
+
+  report: {
+    head: 'Growth assessment',
+    childHead: "{name}'s growth assessment",
+    age: 'Age',
+    standards: 'Reference',
+    titles: { height: 'Height', weight: 'Weight', head: 'Head', wfl: 'Wt/Len', wfh: 'Wt/Ht', bmi: 'BMI' },
+    measured: '{value} ({score})',
+    score: '{score}, {label}',
+    lying: '{score} (lying length)',
+    incomplete: "To analyze, I need your child's sex, age, and at least one of height, weight or head circumference. Could you tell me again?",
+    inputError: '{message} Please check again.',
+    measuredBeforeBirth: 'The measurement date ({date}) is before the birth date ({birthdate}). Please check again.',
+    rare: 'Some values are very unusual for a {sex} aged {age}.',
+    rareItem: '{label} (z {z})',
+    rareValue: '{metric} {value}',
+    rareWeightForLength: 'weight {weight}kg at height {height}cm',
+    rareConfirm: "If the values are right, reply 'Correct'. If not, send the corrected value. (e.g. height 100)",
+    rareNote: 'Some values are very unusual. Please measure again, and if they are right, we recommend seeing a pediatrician.',
+    saved: "Measurement saved. Say '{name} growth history' to see how your child is growing.",
+    register: "Register your child (e.g. 'add child Minjun boy') to keep a record of measurements.",
+    done: "Analysis complete. Say 'Start over' to begin again.",
+  },
+  chart: {
+    title: '{metric} growth chart',
+    description: 'Your measurement is shown as a red dot on the 3rd–97th percentile curves.',
+    open: 'View larger',
+    image: '{metric} growth chart, {sex} ({unit})',
+    months: 'months',
+  },
+
+  reference: {
+    askAge: "For what age should I show reference values? (e.g. 3 years boy average height)",
+    head: '{metric} reference, {sex}, {age}',
+    median: '50th percentile (median)',
+    percentile: { ordinal: true, one: '{count}st percentile', two: '{count}nd percentile', few: '{count}rd percentile', other: '{count}th percentile' },
+    bmiTooYoung: '{metric}: assessed from {age}',
+    missing: '{metric}: {reason}',
+    missingSex: '{sex}, {line}',
+    missingTitle: 'Some reference values are not available.',
+    note: 'The average on a growth chart is the 50th percentile (median). Anything between the 3rd and 97th percentiles is within the normal range for peers.',
+  },
+
+  velocity: {
+    title: '[Growth rate]',
+    labels: { height: 'Height velocity', weight: 'Weight gain' },
+    units: { height: 'cm/yr', weight: 'kg/yr' },
+    line: '{label} {perYear}{unit} ({details})',
+    interval: { one: 'over {count} month', other: 'over {count} months' },
+    median: 'peer median {median}{unit}',
+    note: 'The peer median comes from the difference between growth chart (LMS) medians rather than a dedicated velocity reference. It is most accurate for measurements 6–12 months apart.',
+  },
+
+  history: {
+    empty: "There are no measurements for {name} yet. Tell me something like '{name} height 100 weight 15' and I'll save it.",
+    pickChild: "Which child's history would you like to see? (e.g. Minjun growth history)",
+    noChildren: "No children are registered yet. Please register one first, e.g. 'add child Minjun boy 2022-03-05'.",
+    needSex: "Tell me {name}'s sex and I can analyze the history. (e.g. {name} boy)",
+    title: "[{name}'s growth history]",
+    point: '- {date} ({age}): {values}',
+    value: '{value}{unit} ({score})',
+    noReference: 'no reference',
+    z: 'z {z}',
+    velocityTitle: '[Recent growth rate]',
+    flagsTitle: '[Changes to check]',
+    consult: 'If you are worried about the growth trend, talk to a pediatrician.',
+    steady: 'Your child is growing along a similar curve without big percentile changes.',
+    standards: 'Reference: {standards}',
+    crossingUp: { one: '{metric} percentile {from} → {to}: crossed {count} major percentile line upward.', other: '{metric} percentile {from} → {to}: crossed {count} major percentile lines upward.' },
+    crossingDown: { one: '{metric} percentile {from} → {to}: crossed {count} major percentile line downward.', other: '{metric} percentile {from} → {to}: crossed {count} major percentile lines downward.' },
+    weightFaltering: 'Height has stayed at a similar position, but the weight z-score dropped by {change}.',
+  },
+
+  adultHeight: {
+    needInputs: "To estimate adult height I need the parents' heights, or your child's age and current height. (e.g. dad 175 mom 162, 5 years height 110)",
+    askParents: "Tell me the parents' heights and I'll compare with the target height from the parents. (e.g. dad 175 mom 162)",
+    askCurrent: "Tell me your child's age and current height and I'll compare with the estimate from the growth trend. (e.g. 5 years height 110)",
+    title: '[Estimated adult height]',
+    midParental: "- Target height from the parents' heights: {target}cm (roughly {low}–{high}cm)",
+    projection: '- Estimate from the current growth trend: {target}cm (roughly {low}–{high}cm)',
+    assumption: '  Assumes the height of {height}cm at {age} (z {z}) stays on the same percentile until age 18.',
+    withinRange: "The two estimates differ by {difference}cm; your child is growing within the range expected from the parents' heights.",
+    aboveRange: "The current trend is above the range expected from the parents' heights. (difference {difference}cm)",
+    belowRange: "The current trend is below the range expected from the parents' heights. (difference {difference}cm)",
+    slowGrowth: 'We recommend asking a pediatrician whether there is a reason for slower-than-expected growth.',
+    caveatBoth: 'Both methods are statistical estimates, so the actual adult height may fall outside the range. Timing of puberty, nutrition, sleep and illness all play a part.',
+    caveatOne: 'This is a statistical estimate, so the actual adult height may fall outside the range. Timing of puberty, nutrition, sleep and illness all play a part.',
+    infant: 'Height before age 2 is only weakly related to adult height, so this estimate is especially uncertain.',
+    puberty: 'If puberty comes early or late, the current percentile can change a lot.',
+  },
+
+  children: {
+    none: "No children are registered. Register one like 'add child Minjun boy 2022-03-05'.",
+    header: 'My children',
+    howToAdd: 'How to add a child',
+    howToAddMessage: 'add child',
+    added: "'{name}' has been registered. Now you can say '{name} height 100'.",
+    renamed: "Renamed '{name}' to '{newName}'.",
+    confirmDelete: "Delete '{name}' and all of their measurements? Say 'Correct' to delete, or 'Start over' to cancel.",
+    deleted: "Deleted '{name}'.",
+    born: 'born {date}',
+    gestational: 'born at {weeks} weeks',
+    errors: {
+      notFound: "I can't find a child named '{name}'. Check with 'My children'.",
+      nameRequired: "Please tell me the child's name. (e.g. add child Minjun boy 2022-03-05)",
+      duplicate: "'{name}' is already registered.",
+      limit: { one: 'You can register up to {count} child.', other: 'You can register up to {count} children.' },
+      newNameRequired: 'Please tell me the new name.',
+    },
+  },
+
+  guard: {
+    tooLong: { one: 'Your message is too long. Please keep it within {count} character.', other: 'Your message is too long. Please keep it within {count} characters.' },
+    throttledUser: "You're sending messages too fast. Please try again in {wait}.",
+    throttledGlobal: 'We are very busy right now. Please try again in {wait}.',
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    seconds: { one: '{count} second', other: '{count} seconds' },
+  },
+};
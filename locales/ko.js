@@ -0,0 +1,215 @@
+/**
+ * [한국어 메시지] 챗봇 답변의 기본 카탈로그입니다. 다른 언어 카탈로그에 없는 문구는 여기 문구를 대신 씁니다.
+ * 판정 설명(interpretation-messages.js)과 성장 기준 이름(growth-standards.js)은 검토받은 원래 파일의 문구를 그대로 가져옵니다.
+ */
+
+const { STANDARDS } = require('../growth-standards.js');
+const { CATEGORY_MESSAGES, SUMMARY_MESSAGES, RANK_MESSAGES } = require('../interpretation-messages.js');
+
+module.exports = {
+  list: { separator: ', ' },
+  sex: { male: '남자', female: '여자' },
+  metrics: { height: '키', weight: '몸무게', head: '머리둘레', wfl: '신장별 체중', wfh: '신장별 체중', bmi: 'BMI' },
+
+  age: {
+    months: '{count}개월',
+    years: '{count}세',
+    yearsMonths: '{years} {months}',
+  },
+  ageBasis: {
+    plain: '{age} ({source})',
+    corrected: '교정 연령 {corrected} (실제 나이 {chronological}, 재태 {weeks}주 출생, {source})',
+    birthdate: '생년월일 기준, 측정일 {date}',
+    stated: '입력한 나이 기준',
+    statedAs: "입력한 나이 '{stated}' 기준",
+  },
+
+  standards: Object.fromEntries(Object.values(STANDARDS).map(({ id, label, citation }) => [id, { label, citation }])),
+  citation: '출처: {citations}',
+  missingReference: {
+    noData: '기준 데이터 없음',
+    outOfRange: '기준표 범위({min}~{max}) 밖의 나이',
+  },
+
+  rank: RANK_MESSAGES,
+  score: {
+    rank: '{rank}, z {z}',
+    outOfRange: 'z {z}, {range}',
+  },
+  categories: CATEGORY_MESSAGES,
+  summary: {
+    ...SUMMARY_MESSAGES,
+    item: '- {metric}({label}): {explanation}',
+  },
+
+  // 바로가기 응답. 누르면 그대로 발화가 되므로 utterance-parser.js와 unit-normalizer.js가 알아듣는 표현이어야 합니다
+  replies: {
+    male: '남자',
+    female: '여자',
+    months: '{count}개월',
+    years: '{count}살',
+    report: '분석',
+    reset: '다시',
+    confirm: '맞아요',
+    children: '아이 목록',
+    childHistory: '{name} 성장 기록',
+    averageHeight: '{age} 평균 키',
+  },
+
+  locale: {
+    switched: '앞으로 한국어로 답할게요. 아이의 성별, 나이, 키, 몸무게를 알려주세요.',
+  },
+  greet: {
+    title: '안녕하세요.',
+    description: '아이의 성별, 나이, 키, 몸무게를 알려주세요.',
+    example: '예시로 분석해보기',
+    exampleMessage: '남자 3살 키 96cm 몸무게 14kg',
+  },
+  ask: {
+    sex: '아이의 성별을 알려주세요. (예: 남자)',
+    age: '나이나 생년월일을 알려주세요. (예: 15개월, 3살 또는 2022-03-05생)',
+    measurements: '키와 몸무게를 알려주세요. (예: 80cm 11kg)',
+  },
+  converted: {
+    labels: { age_month: '나이', height_cm: '키', weight_kg: '몸무게', head_cm: '머리둘레' },
+    item: '{label} {value}({original})',
+    summary: '{items}로 받았어요.',
+  },
+  outOfRange: {
+    title: '사람에게 나올 수 없는 값이라 분석하지 않았어요. 단위나 숫자를 확인해서 다시 알려주세요.',
+    items: {
+      age_month: '나이 {value}개월 (가능한 범위 {min}~{max}개월)',
+      gestational_weeks: '재태 주수 {value}주 (가능한 범위 {min}~{max}주)',
+      height_cm: '키 {value}cm (가능한 범위 {min}~{max}cm)',
+      weight_kg: '몸무게 {value}kg (가능한 범위 {min}~{max}kg)',
+      head_cm: '머리둘레 {value}cm (가능한 범위 {min}~{max}cm)',
+    },
+  },
+  standardChoice: {
+    chosen: '앞으로 이 기준으로 계산할게요: {standard}',
+    auto: '앞으로 기본 기준(36개월 미만 WHO, 이후 한국 성장도표)으로 계산할게요.',
+    unsupported: '{standard} 성장도표는 기준 자료가 없어 아직 지원하지 않아요. WHO 성장기준이나 2017 한국 성장도표 중에서 골라주세요.',
+  },
+  reset: '네, 처음부터 다시 시작하겠습니다. 아이 정보를 알려주세요.',
+  unknown: "정보를 이해하지 못했어요. '남자 3살 키 100cm' 와 같이 다시 알려주세요.",
+  error: '오류가 발생했습니다. 잠시 후 다시 시도해주세요.',
+
+  report: {
+    head: '성장 발달 분석 결과',
+    childHead: '{name} 성장 발달 분석 결과',
+    age: '평가 나이',
+    standards: '적용 기준',
+    // 보고서 아이템 카드의 항목 제목은 오픈빌더 제한상 6자 이내여야 해서 짧게 씁니다
+    titles: { height: '키', weight: '몸무게', head: '머리둘레', wfl: '신장별 체중', wfh: '신장별 체중', bmi: 'BMI' },
+    measured: '{value} ({score})',
+    score: '{score}, {label}',
+    lying: '{score} (누운 키 기준)',
+    incomplete: '분석을 위해 아이의 성별, 나이, 그리고 키, 몸무게, 머리둘레 중 하나 이상의 정보가 필요해요. 다시 알려주시겠어요?',
+    inputError: '{message} 다시 확인해주세요.',
+    measuredBeforeBirth: '측정일({date})이 생년월일({birthdate})보다 빨라요. 다시 확인해주세요.',
+    rare: '{age} {sex} 아이로서는 보기 매우 드문 값이 있어요.',
+    rareItem: '{label} (z {z})',
+    rareValue: '{metric} {value}',
+    rareWeightForLength: '키 {height}cm에 몸무게 {weight}kg',
+    rareConfirm: "입력한 값이 맞으면 '맞아요', 잘못 입력했다면 바른 값을 다시 알려주세요. (예: 키 100)",
+    rareNote: '매우 드문 값이 포함되어 있어요. 한 번 더 측정해보시고, 값이 맞다면 소아청소년과 상담을 권해요.',
+    saved: "측정 기록을 저장했어요. '{name} 성장 기록'으로 변화를 확인할 수 있어요.",
+    register: "아이를 등록하면('아이 추가 민준이 남자') 측정 기록이 저장돼요.",
+    done: "분석이 완료되었습니다. 초기화를 원하시면 '다시'라고 말씀해주세요.",
+  },
+  chart: {
+    title: '{metric} 성장 곡선',
+    description: '3~97백분위 곡선 위에 빨간 점으로 측정값을 표시했어요.',
+    open: '크게 보기',
+    image: '{sex} {metric} 성장 곡선 ({unit})',
+    months: '개월',
+  },
+
+  reference: {
+    askAge: '몇 개월 아이의 기준값을 알려드릴까요? (예: 3살 남자 평균 키)',
+    head: '{age} {sex} {metric} 기준값',
+    median: '50백분위(중앙)',
+    percentile: '{count}백분위',
+    bmiTooYoung: '{metric}: {age} 이상부터 평가해요',
+    missing: '{metric}: {reason}',
+    missingSex: '{sex} {line}',
+    missingTitle: '기준값을 구하지 못한 항목이 있어요.',
+    note: '성장도표의 평균은 50백분위(중앙값)로 안내해요. 3~97백분위 사이면 또래의 정상 범위에 해당해요.',
+  },
+
+  velocity: {
+    title: '[성장 속도]',
+    labels: { height: '키 성장 속도', weight: '체중 증가' },
+    units: { height: 'cm/년', weight: 'kg/년' },
+    line: '{label} {perYear}{unit} ({details})',
+    interval: '{count}개월간',
+    median: '또래 중앙값 {median}{unit}',
+    note: '또래 중앙값은 별도의 속도 기준표 대신 성장도표(LMS)의 중앙값 차이로 구한 값이에요. 6~12개월 간격으로 잰 기록일수록 정확해요.',
+  },
+
+  history: {
+    empty: "{name}의 측정 기록이 아직 없어요. '{name} 키 100 몸무게 15'처럼 알려주시면 저장해 둘게요.",
+    pickChild: '어느 아이의 기록을 볼까요? (예: 민준이 성장 기록)',
+    noChildren: "등록된 아이가 없어요. '아이 추가 민준이 남자 2022-03-05'처럼 먼저 등록해주세요.",
+    needSex: '{name}의 성별을 알려주시면 기록을 분석할 수 있어요. (예: {name} 남자)',
+    title: '[{name} 성장 기록]',
+    point: '- {date} ({age}): {values}',
+    value: '{value}{unit}({score})',
+    noReference: '기준 없음',
+    z: 'z {z}',
+    velocityTitle: '[최근 성장 속도]',
+    flagsTitle: '[확인이 필요한 변화]',
+    consult: '성장 추이가 걱정되시면 소아청소년과 전문의와 상담해보세요.',
+    steady: '큰 백분위 변화 없이 비슷한 곡선을 따라 자라고 있어요.',
+    standards: '적용 기준: {standards}',
+    crossingUp: '{metric} 백분위 {from} → {to}: 주요 백분위 선 {count}개를 위로 가로질렀어요.',
+    crossingDown: '{metric} 백분위 {from} → {to}: 주요 백분위 선 {count}개를 아래로 가로질렀어요.',
+    weightFaltering: '키는 비슷한 위치를 유지하는데 몸무게 z-점수가 {change}만큼 떨어졌어요.',
+  },
+
+  adultHeight: {
+    needInputs: '예상 키를 계산하려면 아빠, 엄마 키나 아이의 나이와 지금 키가 필요해요. (예: 아빠 175 엄마 162, 5살 키 110)',
+    askParents: '아빠, 엄마 키를 알려주시면 부모 키로 본 목표 키와 비교해드려요. (예: 아빠 175 엄마 162)',
+    askCurrent: '아이의 나이와 지금 키를 알려주시면 성장 추세로 본 예상 키와 비교해드려요. (예: 5살 키 110)',
+    title: '[예상 성인 키]',
+    midParental: '- 부모 키로 본 목표 키: {target}cm (대략 {low}~{high}cm)',
+    projection: '- 지금 성장 추세로 본 예상 키: {target}cm (대략 {low}~{high}cm)',
+    assumption: '  {age} 키 {height}cm(z {z})가 18세까지 같은 백분위를 유지한다고 가정했어요.',
+    withinRange: '두 예측의 차이는 {difference}cm로, 부모 키로 기대하는 범위 안에서 자라고 있어요.',
+    aboveRange: '지금 추세는 부모 키로 기대하는 범위보다 커요. (차이 {difference}cm)',
+    belowRange: '지금 추세는 부모 키로 기대하는 범위보다 작아요. (차이 {difference}cm)',
+    slowGrowth: '성장이 기대보다 더딘 이유가 있는지 소아청소년과에서 확인해보시길 권해요.',
+    caveatBoth: '두 방법 모두 통계적인 추정이라 실제 성인 키는 범위를 벗어날 수 있어요. 사춘기 시기, 영양, 수면, 질환이 영향을 줘요.',
+    caveatOne: '이 값은 통계적인 추정이라 실제 성인 키는 범위를 벗어날 수 있어요. 사춘기 시기, 영양, 수면, 질환이 영향을 줘요.',
+    infant: '2세 전의 키는 성인 키와 관련이 약해서, 이 예측은 특히 오차가 커요.',
+    puberty: '사춘기가 빨리 오거나 늦게 오면 지금의 백분위가 크게 달라질 수 있어요.',
+  },
+
+  children: {
+    none: "등록된 아이가 없어요. '아이 추가 민준이 남자 2022-03-05'처럼 등록해주세요.",
+    header: '등록된 아이',
+    howToAdd: '아이 추가 방법',
+    howToAddMessage: '아이 추가',
+    added: "'{name}' 등록을 완료했어요. 이제 '{name} 키 100'처럼 말씀해주세요.",
+    renamed: "'{name}'의 이름을 '{newName}'(으)로 바꿨어요.",
+    confirmDelete: "'{name}'의 정보와 측정 기록을 모두 삭제할까요? 삭제하려면 '맞아요', 그만두려면 '다시'라고 말씀해주세요.",
+    deleted: "'{name}' 정보를 삭제했어요.",
+    born: '{date}생',
+    gestational: '재태 {weeks}주',
+    errors: {
+      notFound: "'{name}'(이)라는 아이를 찾을 수 없어요. '아이 목록'으로 확인해주세요.",
+      nameRequired: '아이 이름을 알려주세요. (예: 아이 추가 민준이 남자 2022-03-05)',
+      duplicate: "'{name}'(은)는 이미 등록되어 있어요.",
+      limit: '아이는 최대 {count}명까지 등록할 수 있어요.',
+      newNameRequired: '새 이름을 알려주세요. (예: 이름 변경 첫째 민준이)',
+    },
+  },
+
+  guard: {
+    tooLong: '메시지가 너무 길어요. {count}자 이내로 보내주세요.',
+    throttledUser: '메시지를 너무 빨리 보내셨어요. {wait} 뒤에 다시 보내주세요.',
+    throttledGlobal: '지금 이용하시는 분이 많아 잠시 쉬어가고 있어요. {wait} 뒤에 다시 보내주세요.',
+    minutes: '{count}분',
+    seconds: '{count}초',
+  },
+};
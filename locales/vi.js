@@ -0,0 +1,312 @@
+/**
+ * [베트남어 메시지] 베트남어로 대화하는 보호자를 위한 카탈로그입니다. 키 구성은 ko.js와 같습니다.
+ */
+
+module.exports = {
+  list: { separator: ', ' },
+  sex: { male: 'bé trai', female: 'bé gái' },
+  metrics: { height: 'Chiều cao', weight: 'Cân nặng', head: 'Vòng đầu', wfl: 'Cân nặng theo chiều dài', wfh: 'Cân nặng theo chiều cao', bmi: 'BMI' },
+
+  age: {
+    months: '{count} tháng',
+    years: '{count} tuổi',
+    yearsMonths: '{years} {months}',
+  },
+  ageBasis: {
+    plain: '{age} ({source})',
+    corrected: 'Tuổi hiệu chỉnh {corrected} (tuổi thực {chronological}, sinh lúc {weeks} tuần thai, {source})',
+    birthdate: 'theo ngày sinh, đo ngày {date}',
+    stated: 'theo tuổi đã nhập',
+    statedAs: "theo tuổi đã nhập '{stated}'",
+  },
+
+  standards: {
+    kdca2017: {
+      label: 'Biểu đồ tăng trưởng Hàn Quốc 2017',
+      citation: 'Cơ quan Kiểm soát và Phòng ngừa Dịch bệnh Hàn Quốc & Hội Nhi khoa Hàn Quốc, Biểu đồ tăng trưởng trẻ em và thanh thiếu niên Hàn Quốc 2017',
+    },
+    who2006: {
+      label: 'Chuẩn tăng trưởng WHO',
+      citation: 'WHO Child Growth Standards (2006), WHO Growth Reference for 5-19 years (2007)',
+    },
+  },
+  citation: 'Nguồn: {citations}',
+  missingReference: {
+    noData: 'không có dữ liệu chuẩn',
+    outOfRange: 'tuổi nằm ngoài phạm vi bảng chuẩn ({min}–{max})',
+  },
+
+  rank: {
+    upper: 'nhóm {share}% cao nhất',
+    lower: 'nhóm {share}% thấp nhất',
+    aboveRange: 'trên +3 SD',
+    belowRange: 'dưới -3 SD',
+  },
+  score: {
+    rank: '{rank}, z {z}',
+    outOfRange: 'z {z}, {range}',
+  },
+  categories: {
+    short_stature: {
+      label: 'Thấp còi',
+      explanation: 'Trong 100 trẻ cùng tuổi và giới tính, bé thuộc nhóm 3 trẻ thấp nhất.',
+      advice: 'Hãy đưa bé đi khám nhi (nội tiết nhi) để tìm nguyên nhân chậm lớn.',
+    },
+    short_side: {
+      label: 'Hơi thấp',
+      explanation: 'Bé thấp hơn các bạn cùng tuổi nhưng vẫn trong giới hạn bình thường.',
+      advice: 'Đo chiều cao mỗi 3–6 tháng để theo dõi bé có lớn đều theo đường tăng trưởng không.',
+    },
+    height_normal: { label: 'Bình thường', explanation: 'Chiều cao nằm trong khoảng trung bình của trẻ cùng tuổi.', advice: null },
+    tall_side: { label: 'Hơi cao', explanation: 'Bé cao hơn các bạn cùng tuổi nhưng vẫn trong giới hạn bình thường.', advice: null },
+    tall_stature: {
+      label: 'Rất cao',
+      explanation: 'Trong 100 trẻ cùng tuổi và giới tính, bé thuộc nhóm 3 trẻ cao nhất.',
+      advice: 'Nếu bố mẹ không cao mà bé lớn rất nhanh hoặc có dấu hiệu dậy thì sớm, hãy đưa bé đi khám.',
+    },
+    weight_low: {
+      label: 'Nhẹ cân',
+      explanation: 'Trong 100 trẻ cùng tuổi và giới tính, bé thuộc nhóm 3 trẻ nhẹ cân nhất.',
+      advice: 'Hãy đưa bé đi khám nhi để kiểm tra lượng ăn và sự thay đổi cân nặng.',
+    },
+    weight_light_side: {
+      label: 'Hơi nhẹ',
+      explanation: 'Bé nhẹ hơn các bạn cùng tuổi nhưng vẫn trong giới hạn bình thường.',
+      advice: 'Hãy kiểm tra định kỳ xem cân nặng của bé có tăng đều không.',
+    },
+    weight_normal: { label: 'Bình thường', explanation: 'Cân nặng nằm trong khoảng trung bình của trẻ cùng tuổi.', advice: null },
+    weight_heavy_side: {
+      label: 'Hơi nặng',
+      explanation: 'Bé nặng hơn các bạn cùng tuổi nhưng vẫn trong giới hạn bình thường. Cần xem cùng với chiều cao mới chính xác.',
+      advice: null,
+    },
+    weight_high: {
+      label: 'Cân nặng cao',
+      explanation: 'Trong 100 trẻ cùng tuổi và giới tính, bé thuộc nhóm 3 trẻ nặng cân nhất. Cần xem cùng với chiều cao mới chính xác.',
+      advice: 'Hãy xem thêm kết quả BMI hoặc cân nặng theo chiều cao, nếu thừa cân thì nên đưa bé đi khám.',
+    },
+    bmi_underweight: {
+      label: 'Nhẹ cân',
+      explanation: 'Cân nặng thấp so với chiều cao. (BMI dưới bách phân vị thứ 5)',
+      advice: 'Hãy đưa bé đi khám nhi để kiểm tra lượng ăn và sức khỏe.',
+    },
+    bmi_normal: { label: 'Bình thường', explanation: 'Cân nặng phù hợp với chiều cao.', advice: null },
+    bmi_overweight: {
+      label: 'Thừa cân',
+      explanation: 'Cân nặng hơi cao so với chiều cao. (BMI từ bách phân vị 85 đến 95)',
+      advice: 'Hạn chế nước ngọt và đồ ăn vặt, tăng vận động. Kiểm tra lại sau 6 tháng.',
+    },
+    bmi_obese: {
+      label: 'Béo phì',
+      explanation: 'Cân nặng cao so với chiều cao. (BMI từ bách phân vị 95 trở lên)',
+      advice: 'Hãy đưa bé đi khám nhi để kiểm tra biến chứng và được tư vấn về lối sống.',
+    },
+    wasting_severe: {
+      label: 'Gầy còm nặng',
+      explanation: 'Cân nặng rất thấp so với chiều cao. (z-score dưới -3)',
+      advice: 'Hãy đưa bé đi khám nhi ngay.',
+    },
+    wasting: {
+      label: 'Gầy còm',
+      explanation: 'Cân nặng thấp so với chiều cao. (z-score dưới -2)',
+      advice: 'Hãy đưa bé đi khám nhi để kiểm tra lượng ăn và sự thay đổi cân nặng.',
+    },
+    wfl_normal: { label: 'Bình thường', explanation: 'Cân nặng phù hợp với chiều cao.', advice: null },
+    wfl_overweight: {
+      label: 'Thừa cân',
+      explanation: 'Cân nặng hơi cao so với chiều cao. (z-score trên +2)',
+      advice: 'Xem lại lượng sữa, bữa ăn và đồ ăn vặt, kiểm tra lại ở lần khám tới.',
+    },
+    wfl_obese: {
+      label: 'Béo phì',
+      explanation: 'Cân nặng cao so với chiều cao. (z-score trên +3)',
+      advice: 'Hãy đưa bé đi khám nhi.',
+    },
+    head_small: {
+      label: 'Nhỏ',
+      explanation: 'Vòng đầu dưới bách phân vị thứ 3. Phần lớn là bình thường nhưng cần kiểm tra tật đầu nhỏ.',
+      advice: 'Hãy đưa bé đi khám nhi cùng với kiểm tra phát triển.',
+    },
+    head_normal: { label: 'Bình thường', explanation: 'Vòng đầu nằm trong giới hạn bình thường của trẻ cùng tuổi.', advice: null },
+    head_large: {
+      label: 'Lớn',
+      explanation: 'Vòng đầu trên bách phân vị thứ 97. Thường do di truyền trong gia đình nhưng cần kiểm tra tật đầu to.',
+      advice: 'Nếu vòng đầu tăng nhanh hoặc bé nôn, quấy khóc bất thường, hãy đưa bé đi khám ngay.',
+    },
+  },
+  summary: {
+    allNormal: 'Tất cả các chỉ số đều trong giới hạn bình thường của trẻ cùng tuổi.',
+    referral: 'Nên đưa bé đi khám về các mục dưới đây. Kết quả chỉ để tham khảo, không thay thế chẩn đoán.',
+    watch: 'Xin lưu ý:',
+    item: '- {metric} ({label}): {explanation}',
+  },
+
+  replies: {
+    male: 'Bé trai',
+    female: 'Bé gái',
+    months: '{count} tháng',
+    years: '{count} tuổi',
+    report: 'Phân tích',
+    reset: 'Làm lại',
+    confirm: 'Đúng rồi',
+    children: 'Danh sách con',
+    childHistory: '{name} lịch sử tăng trưởng',
+    averageHeight: 'chiều cao trung bình {age}',
+  },
+
+  locale: {
+    switched: 'Từ giờ tôi sẽ trả lời bằng tiếng Việt. Hãy cho tôi biết giới tính, tuổi, chiều cao và cân nặng của bé.',
+  },
+  greet: {
+    title: 'Xin chào!',
+    description: 'Hãy cho tôi biết giới tính, tuổi, chiều cao và cân nặng của bé.',
+    example: 'Thử với ví dụ',
+    exampleMessage: 'bé trai 3 tuổi chiều cao 96cm cân nặng 14kg',
+  },
+  ask: {
+    sex: 'Bé là trai hay gái? (ví dụ: bé trai)',
+    age: 'Hãy cho tôi biết tuổi hoặc ngày sinh của bé. (ví dụ: 15 tháng, 3 tuổi hoặc 2022-03-05)',
+    measurements: 'Hãy cho tôi biết chiều cao và cân nặng của bé. (ví dụ: 80cm 11kg)',
+  },
+  converted: {
+    labels: { age_month: 'Tuổi', height_cm: 'Chiều cao', weight_kg: 'Cân nặng', head_cm: 'Vòng đầu' },
+    item: '{label} {value} ({original})',
+    summary: 'Đã ghi nhận: {items}.',
+  },
+  outOfRange: {
+    title: 'Giá trị này không thể có ở trẻ nên tôi chưa phân tích. Vui lòng kiểm tra lại đơn vị hoặc con số rồi cho tôi biết lại.',
+    items: {
+      age_month: 'Tuổi {value} tháng (khoảng có thể {min}–{max} tháng)',
+      gestational_weeks: 'Tuổi thai {value} tuần (khoảng có thể {min}–{max} tuần)',
+      height_cm: 'Chiều cao {value}cm (khoảng có thể {min}–{max}cm)',
+      weight_kg: 'Cân nặng {value}kg (khoảng có thể {min}–{max}kg)',
+      head_cm: 'Vòng đầu {value}cm (khoảng có thể {min}–{max}cm)',
+    },
+  },
+  standardChoice: {
+    chosen: 'Từ giờ tôi sẽ tính theo chuẩn này: {standard}',
+    auto: 'Từ giờ tôi sẽ tính theo chuẩn mặc định (WHO cho trẻ dưới 36 tháng, sau đó là biểu đồ Hàn Quốc).',
+    unsupported: 'Chưa hỗ trợ biểu đồ tăng trưởng {standard} vì chưa có dữ liệu chuẩn. Vui lòng chọn chuẩn WHO hoặc biểu đồ tăng trưởng Hàn Quốc 2017.',
+  },
+  reset: 'Vâng, chúng ta bắt đầu lại nhé. Hãy cho tôi biết thông tin của bé.',
+  unknown: "Xin lỗi, tôi chưa hiểu. Hãy thử lại, ví dụ 'bé trai 3 tuổi chiều cao 100cm'.",
+  error: 'Đã xảy ra lỗi. Vui lòng thử lại sau.',
+
+  report: {
+    head: 'Kết quả đánh giá tăng trưởng',
+    childHead: 'Kết quả đánh giá tăng trưởng của {name}',
+    age: 'Tuổi',
+    standards: 'Chuẩn',
+    titles: { height: 'Cao', weight: 'Nặng', head: 'Vòng đầu', wfl: 'Cân/dài', wfh: 'Cân/cao', bmi: 'BMI' },
+    measured: '{value} ({score})',
+    score: '{score}, {label}',
+    lying: '{score} (đo nằm)',
+    incomplete: 'Để phân tích, tôi cần giới tính, tuổi và ít nhất một trong các chỉ số chiều cao, cân nặng hoặc vòng đầu của bé. Bạn cho tôi biết lại nhé?',
+    inputError: '{message} Vui lòng kiểm tra lại.',
+    measuredBeforeBirth: 'Ngày đo ({date}) sớm hơn ngày sinh ({birthdate}). Vui lòng kiểm tra lại.',
+    rare: 'Có giá trị rất hiếm gặp ở {sex} {age}.',
+    rareItem: '{label} (z {z})',
+    rareValue: '{metric} {value}',
+    rareWeightForLength: 'cân nặng {weight}kg với chiều cao {height}cm',
+    rareConfirm: "Nếu giá trị đúng, hãy trả lời 'Đúng rồi'. Nếu nhập sai, hãy gửi lại giá trị đúng. (ví dụ: chiều cao 100)",
+    rareNote: 'Có giá trị rất hiếm gặp. Hãy đo lại một lần nữa, nếu giá trị đúng thì nên đưa bé đi khám nhi.',
+    saved: "Đã lưu số đo. Gõ '{name} lịch sử tăng trưởng' để xem bé lớn thế nào.",
+    register: "Đăng ký bé (ví dụ: 'thêm con Minjun bé trai') để lưu lại các lần đo.",
+    done: "Đã phân tích xong. Gõ 'Làm lại' để bắt đầu lại.",
+  },
+  chart: {
+    title: '{metric}: biểu đồ tăng trưởng',
+    description: 'Số đo của bé được đánh dấu bằng chấm đỏ trên các đường bách phân vị 3–97.',
+    open: 'Xem lớn hơn',
+    image: 'Biểu đồ tăng trưởng {metric}, {sex} ({unit})',
+    months: 'tháng',
+  },
+
+  reference: {
+    askAge: 'Bạn muốn xem giá trị chuẩn cho trẻ bao nhiêu tháng? (ví dụ: chiều cao trung bình bé trai 3 tuổi)',
+    head: '{metric} chuẩn, {sex} {age}',
+    median: 'Bách phân vị 50 (trung vị)',
+    percentile: 'Bách phân vị {count}',
+    bmiTooYoung: '{metric}: đánh giá từ {age}',
+    missing: '{metric}: {reason}',
+    missingSex: '{sex}, {line}',
+    missingTitle: 'Một số giá trị chuẩn không có.',
+    note: 'Giá trị trung bình trên biểu đồ tăng trưởng là bách phân vị 50 (trung vị). Trong khoảng bách phân vị 3–97 là bình thường so với trẻ cùng tuổi.',
+  },
+
+  velocity: {
+    title: '[Tốc độ tăng trưởng]',
+    labels: { height: 'Tốc độ tăng chiều cao', weight: 'Mức tăng cân' },
+    units: { height: 'cm/năm', weight: 'kg/năm' },
+    line: '{label} {perYear}{unit} ({details})',
+    interval: 'trong {count} tháng',
+    median: 'trung vị cùng tuổi {median}{unit}',
+    note: 'Trung vị cùng tuổi được tính từ chênh lệch trung vị trên biểu đồ tăng trưởng (LMS), không phải bảng chuẩn tốc độ riêng. Các lần đo cách nhau 6–12 tháng sẽ chính xác hơn.',
+  },
+
+  history: {
+    empty: "Chưa có số đo nào của {name}. Hãy gửi ví dụ '{name} chiều cao 100 cân nặng 15', tôi sẽ lưu lại.",
+    pickChild: 'Bạn muốn xem lịch sử của bé nào? (ví dụ: Minjun lịch sử tăng trưởng)',
+    noChildren: "Chưa có bé nào được đăng ký. Hãy đăng ký trước, ví dụ 'thêm con Minjun bé trai 2022-03-05'.",
+    needSex: 'Hãy cho tôi biết giới tính của {name} để phân tích lịch sử. (ví dụ: {name} bé trai)',
+    title: '[Lịch sử tăng trưởng của {name}]',
+    point: '- {date} ({age}): {values}',
+    value: '{value}{unit} ({score})',
+    noReference: 'không có chuẩn',
+    z: 'z {z}',
+    velocityTitle: '[Tốc độ tăng trưởng gần đây]',
+    flagsTitle: '[Thay đổi cần kiểm tra]',
+    consult: 'Nếu lo lắng về xu hướng tăng trưởng, hãy trao đổi với bác sĩ nhi khoa.',
+    steady: 'Bé đang lớn theo đường cong tương tự, không có thay đổi lớn về bách phân vị.',
+    standards: 'Chuẩn: {standards}',
+    crossingUp: 'Bách phân vị {metric} {from} → {to}: đã vượt lên {count} đường bách phân vị chính.',
+    crossingDown: 'Bách phân vị {metric} {from} → {to}: đã tụt xuống qua {count} đường bách phân vị chính.',
+    weightFaltering: 'Chiều cao giữ ở vị trí tương tự nhưng z-score cân nặng giảm {change}.',
+  },
+
+  adultHeight: {
+    needInputs: 'Để ước tính chiều cao trưởng thành, tôi cần chiều cao của bố mẹ, hoặc tuổi và chiều cao hiện tại của bé. (ví dụ: bố 175 mẹ 162, 5 tuổi chiều cao 110)',
+    askParents: 'Cho tôi biết chiều cao của bố mẹ để so sánh với chiều cao mục tiêu theo bố mẹ. (ví dụ: bố 175 mẹ 162)',
+    askCurrent: 'Cho tôi biết tuổi và chiều cao hiện tại của bé để so sánh với ước tính theo xu hướng tăng trưởng. (ví dụ: 5 tuổi chiều cao 110)',
+    title: '[Chiều cao trưởng thành ước tính]',
+    midParental: '- Chiều cao mục tiêu theo bố mẹ: {target}cm (khoảng {low}–{high}cm)',
+    projection: '- Ước tính theo xu hướng hiện tại: {target}cm (khoảng {low}–{high}cm)',
+    assumption: '  Giả định chiều cao {height}cm lúc {age} (z {z}) giữ nguyên bách phân vị đến 18 tuổi.',
+    withinRange: 'Hai ước tính chênh nhau {difference}cm, bé đang lớn trong khoảng mong đợi theo chiều cao bố mẹ.',
+    aboveRange: 'Xu hướng hiện tại cao hơn khoảng mong đợi theo chiều cao bố mẹ. (chênh {difference}cm)',
+    belowRange: 'Xu hướng hiện tại thấp hơn khoảng mong đợi theo chiều cao bố mẹ. (chênh {difference}cm)',
+    slowGrowth: 'Nên hỏi bác sĩ nhi khoa xem có lý do gì khiến bé lớn chậm hơn mong đợi không.',
+    caveatBoth: 'Cả hai cách đều là ước tính thống kê, chiều cao thực tế khi trưởng thành có thể nằm ngoài khoảng này. Thời điểm dậy thì, dinh dưỡng, giấc ngủ và bệnh tật đều ảnh hưởng.',
+    caveatOne: 'Đây là ước tính thống kê, chiều cao thực tế khi trưởng thành có thể nằm ngoài khoảng này. Thời điểm dậy thì, dinh dưỡng, giấc ngủ và bệnh tật đều ảnh hưởng.',
+    infant: 'Chiều cao trước 2 tuổi ít liên quan đến chiều cao trưởng thành nên ước tính này có sai số đặc biệt lớn.',
+    puberty: 'Nếu dậy thì sớm hoặc muộn, bách phân vị hiện tại có thể thay đổi nhiều.',
+  },
+
+  children: {
+    none: "Chưa có bé nào được đăng ký. Hãy đăng ký, ví dụ 'thêm con Minjun bé trai 2022-03-05'.",
+    header: 'Danh sách con',
+    howToAdd: 'Cách thêm con',
+    howToAddMessage: 'thêm con',
+    added: "Đã đăng ký '{name}'. Giờ bạn có thể gõ '{name} chiều cao 100'.",
+    renamed: "Đã đổi tên '{name}' thành '{newName}'.",
+    confirmDelete: "Xóa '{name}' cùng toàn bộ số đo? Nói 'Đúng rồi' để xóa, hoặc 'Làm lại' để hủy.",
+    deleted: "Đã xóa thông tin của '{name}'.",
+    born: 'sinh {date}',
+    gestational: 'sinh lúc {weeks} tuần thai',
+    errors: {
+      notFound: "Không tìm thấy bé tên '{name}'. Hãy kiểm tra bằng 'Danh sách con'.",
+      nameRequired: 'Hãy cho tôi biết tên của bé. (ví dụ: thêm con Minjun bé trai 2022-03-05)',
+      duplicate: "'{name}' đã được đăng ký.",
+      limit: 'Bạn có thể đăng ký tối đa {count} bé.',
+      newNameRequired: 'Hãy cho tôi biết tên mới.',
+    },
+  },
+
+  guard: {
+    tooLong: 'Tin nhắn quá dài. Vui lòng gửi trong vòng {count} ký tự.',
+    throttledUser: 'Bạn gửi tin nhắn quá nhanh. Vui lòng thử lại sau {wait}.',
+    throttledGlobal: 'Hiện có quá nhiều người dùng. Vui lòng thử lại sau {wait}.',
+    minutes: '{count} phút',
+    seconds: '{count} giây',
+  },
+};
@@ -0,0 +1,312 @@
+/**
+ * [중국어 메시지] 중국어(간체)로 대화하는 보호자를 위한 카탈로그입니다. 키 구성은 ko.js와 같습니다.
+ */
+
+module.exports = {
+  list: { separator: '、' },
+  sex: { male: '男孩', female: '女孩' },
+  metrics: { height: '身高', weight: '体重', head: '头围', wfl: '身长别体重', wfh: '身高别体重', bmi: 'BMI' },
+
+  age: {
+    months: '{count}个月',
+    years: '{count}岁',
+    yearsMonths: '{years}{months}',
+  },
+  ageBasis: {
+    plain: '{age}（{source}）',
+    corrected: '矫正年龄{corrected}（实际年龄{chronological}，{weeks}周出生，{source}）',
+    birthdate: '按出生日期，测量日{date}',
+    stated: '按输入的年龄',
+    statedAs: '按输入的年龄“{stated}”',
+  },
+
+  standards: {
+    kdca2017: {
+      label: '2017韩国儿童青少年生长曲线',
+      citation: '韩国疾病管理厅、大韩儿科学会，2017韩国儿童青少年生长曲线',
+    },
+    who2006: {
+      label: 'WHO儿童生长标准',
+      citation: 'WHO Child Growth Standards (2006), WHO Growth Reference for 5-19 years (2007)',
+    },
+  },
+  citation: '来源：{citations}',
+  missingReference: {
+    noData: '无参考数据',
+    outOfRange: '年龄超出参考表范围（{min}~{max}）',
+  },
+
+  rank: {
+    upper: '前{share}%',
+    lower: '后{share}%',
+    aboveRange: '高于+3 SD',
+    belowRange: '低于-3 SD',
+  },
+  score: {
+    rank: '{rank}，z {z}',
+    outOfRange: 'z {z}，{range}',
+  },
+  categories: {
+    short_stature: {
+      label: '身材矮小',
+      explanation: '在100名同年龄、同性别的孩子中，身高属于最矮的3名之内。',
+      advice: '请到儿科（儿童内分泌科）就诊，检查是否有导致生长迟缓的原因。',
+    },
+    short_side: {
+      label: '偏矮',
+      explanation: '比同龄孩子偏矮，但仍在正常范围内。',
+      advice: '请每3~6个月测量一次身高，观察是否沿着生长曲线正常生长。',
+    },
+    height_normal: { label: '正常', explanation: '身高在同龄平均范围内。', advice: null },
+    tall_side: { label: '偏高', explanation: '比同龄孩子偏高，但仍在正常范围内。', advice: null },
+    tall_stature: {
+      label: '身材高大',
+      explanation: '在100名同年龄、同性别的孩子中，身高属于最高的3名之内。',
+      advice: '如果父母身高不高而孩子长得很快，或过早出现青春期迹象，请到医院就诊。',
+    },
+    weight_low: {
+      label: '体重过低',
+      explanation: '在100名同年龄、同性别的孩子中，体重属于最轻的3名之内。',
+      advice: '请到儿科就诊，检查进食量和体重变化。',
+    },
+    weight_light_side: {
+      label: '偏轻',
+      explanation: '比同龄孩子偏轻，但仍在正常范围内。',
+      advice: '请定期检查体重是否持续增加。',
+    },
+    weight_normal: { label: '正常', explanation: '体重在同龄平均范围内。', advice: null },
+    weight_heavy_side: {
+      label: '偏重',
+      explanation: '比同龄孩子偏重，但仍在正常范围内。需要结合身高一起看才准确。',
+      advice: null,
+    },
+    weight_high: {
+      label: '体重偏高',
+      explanation: '在100名同年龄、同性别的孩子中，体重属于最重的3名之内。需要结合身高一起看才准确。',
+      advice: '请同时查看BMI或身高别体重的结果，如有超重请到医院就诊。',
+    },
+    bmi_underweight: {
+      label: '体重过低',
+      explanation: '相对身高体重偏少。（BMI低于第5百分位）',
+      advice: '请到儿科就诊，检查饮食量和健康状况。',
+    },
+    bmi_normal: { label: '正常', explanation: '体重与身高相称。', advice: null },
+    bmi_overweight: {
+      label: '超重',
+      explanation: '相对身高体重偏多。（BMI第85~95百分位）',
+      advice: '请减少含糖饮料和零食，增加活动量，6个月后再检查一次。',
+    },
+    bmi_obese: {
+      label: '肥胖',
+      explanation: '相对身高体重过多。（BMI第95百分位及以上）',
+      advice: '请到儿科就诊，检查并发症并咨询生活习惯。',
+    },
+    wasting_severe: {
+      label: '重度消瘦',
+      explanation: '相对身高体重非常少。（z评分低于-3）',
+      advice: '请尽快到儿科就诊。',
+    },
+    wasting: {
+      label: '消瘦',
+      explanation: '相对身高体重偏少。（z评分低于-2）',
+      advice: '请到儿科就诊，检查进食量和体重变化。',
+    },
+    wfl_normal: { label: '正常', explanation: '体重与身高相称。', advice: null },
+    wfl_overweight: {
+      label: '超重',
+      explanation: '相对身高体重偏多。（z评分高于+2）',
+      advice: '请检查奶量、饭量和零食，下次体检时再确认。',
+    },
+    wfl_obese: {
+      label: '肥胖',
+      explanation: '相对身高体重过多。（z评分高于+3）',
+      advice: '请到儿科就诊。',
+    },
+    head_small: {
+      label: '偏小',
+      explanation: '头围低于第3百分位。大多数是正常的，但需要排除小头畸形。',
+      advice: '请到儿科就诊，同时评估发育情况。',
+    },
+    head_normal: { label: '正常', explanation: '头围在同龄正常范围内。', advice: null },
+    head_large: {
+      label: '偏大',
+      explanation: '头围高于第97百分位。多与家族遗传有关，但需要排除巨头畸形。',
+      advice: '如果头围增长很快，或有呕吐、异常哭闹，请立即就诊。',
+    },
+  },
+  summary: {
+    allNormal: '所有指标都在同龄正常范围内。',
+    referral: '建议就以下项目到医院就诊。本结果仅供参考，不能代替诊断。',
+    watch: '请注意：',
+    item: '- {metric}（{label}）：{explanation}',
+  },
+
+  replies: {
+    male: '男孩',
+    female: '女孩',
+    months: '{count}个月',
+    years: '{count}岁',
+    report: '分析',
+    reset: '重新开始',
+    confirm: '没错',
+    children: '孩子列表',
+    childHistory: '{name} 成长记录',
+    averageHeight: '{age}平均身高',
+  },
+
+  locale: {
+    switched: '以后我会用中文回复。请告诉我孩子的性别、年龄、身高和体重。',
+  },
+  greet: {
+    title: '您好！',
+    description: '请告诉我孩子的性别、年龄、身高和体重。',
+    example: '用示例试试',
+    exampleMessage: '男孩 3岁 身高96cm 体重14kg',
+  },
+  ask: {
+    sex: '孩子是男孩还是女孩？（例：男孩）',
+    age: '请告诉我孩子的年龄或出生日期。（例：15个月、3岁或2022-03-05）',
+    measurements: '请告诉我孩子的身高和体重。（例：80cm 11kg）',
+  },
+  converted: {
+    labels: { age_month: '年龄', height_cm: '身高', weight_kg: '体重', head_cm: '头围' },
+    item: '{label}{value}（{original}）',
+    summary: '已记录：{items}。',
+  },
+  outOfRange: {
+    title: '这些数值在儿童身上不可能出现，所以没有进行分析。请检查单位或数字后重新告诉我。',
+    items: {
+      age_month: '年龄{value}个月（可能范围{min}~{max}个月）',
+      gestational_weeks: '胎龄{value}周（可能范围{min}~{max}周）',
+      height_cm: '身高{value}cm（可能范围{min}~{max}cm）',
+      weight_kg: '体重{value}kg（可能范围{min}~{max}kg）',
+      head_cm: '头围{value}cm（可能范围{min}~{max}cm）',
+    },
+  },
+  standardChoice: {
+    chosen: '以后将按此标准计算：{standard}',
+    auto: '以后将按默认标准计算（36个月以下用WHO标准，之后用韩国生长曲线）。',
+    unsupported: '暂不支持{standard}生长曲线，因为没有其参考数据。请选择WHO标准或2017韩国生长曲线。',
+  },
+  reset: '好的，我们重新开始。请告诉我孩子的信息。',
+  unknown: '抱歉，我没有理解。请按“男孩 3岁 身高100cm”这样的格式重新告诉我。',
+  error: '发生错误，请稍后再试。',
+
+  report: {
+    head: '生长发育评估结果',
+    childHead: '{name}的生长发育评估结果',
+    age: '评估年龄',
+    standards: '参考标准',
+    titles: { height: '身高', weight: '体重', head: '头围', wfl: '身长别体重', wfh: '身高别体重', bmi: 'BMI' },
+    measured: '{value}（{score}）',
+    score: '{score}，{label}',
+    lying: '{score}（卧位身长）',
+    incomplete: '分析需要孩子的性别、年龄，以及身高、体重、头围中的至少一项。可以再告诉我一次吗？',
+    inputError: '{message} 请再确认一下。',
+    measuredBeforeBirth: '测量日期（{date}）早于出生日期（{birthdate}）。请再确认一下。',
+    rare: '对于{age}的{sex}来说，有非常罕见的数值。',
+    rareItem: '{label}（z {z}）',
+    rareValue: '{metric}{value}',
+    rareWeightForLength: '身高{height}cm时体重{weight}kg',
+    rareConfirm: '如果数值正确，请回复“没错”；如果输入有误，请重新发送正确的数值。（例：身高100）',
+    rareNote: '结果中有非常罕见的数值。请再测量一次，如果数值正确，建议到儿科咨询。',
+    saved: '已保存测量记录。发送“{name} 成长记录”可以查看变化。',
+    register: '登记孩子后（例：“添加孩子 小明 男孩”）可以保存测量记录。',
+    done: '分析完成。如需重新开始，请发送“重新开始”。',
+  },
+  chart: {
+    title: '{metric}生长曲线',
+    description: '在第3~97百分位曲线上用红点标出了测量值。',
+    open: '查看大图',
+    image: '{sex}{metric}生长曲线（{unit}）',
+    months: '月龄',
+  },
+
+  reference: {
+    askAge: '要查看几个月大孩子的参考值？（例：3岁男孩平均身高）',
+    head: '{age}{sex}{metric}参考值',
+    median: '第50百分位（中位数）',
+    percentile: '第{count}百分位',
+    bmiTooYoung: '{metric}：{age}起才评估',
+    missing: '{metric}：{reason}',
+    missingSex: '{sex} {line}',
+    missingTitle: '有些项目无法获得参考值。',
+    note: '生长曲线的平均值指第50百分位（中位数）。在第3~97百分位之间属于同龄正常范围。',
+  },
+
+  velocity: {
+    title: '【生长速度】',
+    labels: { height: '身高增长速度', weight: '体重增长' },
+    units: { height: 'cm/年', weight: 'kg/年' },
+    line: '{label} {perYear}{unit}（{details}）',
+    interval: '{count}个月内',
+    median: '同龄中位数{median}{unit}',
+    note: '同龄中位数是用生长曲线（LMS）中位数之差计算的，而不是专门的速度参考表。测量间隔为6~12个月时更准确。',
+  },
+
+  history: {
+    empty: '还没有{name}的测量记录。请发送“{name} 身高100 体重15”这样的信息，我会帮您保存。',
+    pickChild: '要查看哪个孩子的记录？（例：小明 成长记录）',
+    noChildren: '还没有登记孩子。请先登记，例如“添加孩子 小明 男孩 2022-03-05”。',
+    needSex: '告诉我{name}的性别，我就可以分析记录。（例：{name} 男孩）',
+    title: '【{name}的成长记录】',
+    point: '- {date}（{age}）：{values}',
+    value: '{value}{unit}（{score}）',
+    noReference: '无参考',
+    z: 'z {z}',
+    velocityTitle: '【最近生长速度】',
+    flagsTitle: '【需要关注的变化】',
+    consult: '如果担心生长趋势，请咨询儿科专科医生。',
+    steady: '孩子正沿着相似的曲线生长，百分位没有大的变化。',
+    standards: '参考标准：{standards}',
+    crossingUp: '{metric}百分位 {from} → {to}：向上穿过了{count}条主要百分位线。',
+    crossingDown: '{metric}百分位 {from} → {to}：向下穿过了{count}条主要百分位线。',
+    weightFaltering: '身高保持在相近位置，但体重z评分下降了{change}。',
+  },
+
+  adultHeight: {
+    needInputs: '要预测成年身高，需要父母的身高，或孩子的年龄和现在的身高。（例：爸爸175 妈妈162，5岁 身高110）',
+    askParents: '告诉我父母的身高，我可以和按父母身高计算的目标身高进行比较。（例：爸爸175 妈妈162）',
+    askCurrent: '告诉我孩子的年龄和现在的身高，我可以和按生长趋势预测的身高进行比较。（例：5岁 身高110）',
+    title: '【预测成年身高】',
+    midParental: '- 按父母身高计算的目标身高：{target}cm（约{low}~{high}cm）',
+    projection: '- 按目前生长趋势预测的身高：{target}cm（约{low}~{high}cm）',
+    assumption: '  假设{age}时身高{height}cm（z {z}）到18岁一直保持在同一百分位。',
+    withinRange: '两种预测相差{difference}cm，孩子正在父母身高预期的范围内生长。',
+    aboveRange: '目前的趋势高于父母身高预期的范围。（相差{difference}cm）',
+    belowRange: '目前的趋势低于父母身高预期的范围。（相差{difference}cm）',
+    slowGrowth: '建议到儿科确认生长慢于预期是否有原因。',
+    caveatBoth: '两种方法都是统计估算，实际成年身高可能超出这个范围。青春期时间、营养、睡眠和疾病都会有影响。',
+    caveatOne: '这是统计估算，实际成年身高可能超出这个范围。青春期时间、营养、睡眠和疾病都会有影响。',
+    infant: '2岁以前的身高与成年身高相关性较弱，因此这个预测的误差特别大。',
+    puberty: '如果青春期来得早或晚，现在的百分位可能会有很大变化。',
+  },
+
+  children: {
+    none: '还没有登记孩子。请按“添加孩子 小明 男孩 2022-03-05”这样登记。',
+    header: '已登记的孩子',
+    howToAdd: '如何添加孩子',
+    howToAddMessage: '添加孩子',
+    added: '已登记“{name}”。现在可以发送“{name} 身高100”。',
+    renamed: '已将“{name}”改名为“{newName}”。',
+    confirmDelete: '要删除“{name}”的信息和全部测量记录吗？确认删除请说“没错”，取消请说“重新开始”。',
+    deleted: '已删除“{name}”的信息。',
+    born: '{date}出生',
+    gestational: '{weeks}周出生',
+    errors: {
+      notFound: '找不到名为“{name}”的孩子。请发送“孩子列表”确认。',
+      nameRequired: '请告诉我孩子的名字。（例：添加孩子 小明 男孩 2022-03-05）',
+      duplicate: '“{name}”已经登记过了。',
+      limit: '最多可以登记{count}个孩子。',
+      newNameRequired: '请告诉我新的名字。',
+    },
+  },
+
+  guard: {
+    tooLong: '消息太长了。请控制在{count}个字以内。',
+    throttledUser: '您发送消息太快了。请{wait}后再试。',
+    throttledGlobal: '目前使用的人很多，请{wait}后再试。',
+    minutes: '{count}分钟',
+    seconds: '{count}秒',
+  },
+};
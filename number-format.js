@@ -0,0 +1,14 @@
+/**
+ * [숫자 반올림] 화면·응답에 내보내는 값을 자릿수에 맞춰 반올림합니다.
+ */
+
+/**
+ * number를 소수점 digits자리(기본 1자리)로 반올림합니다. null/undefined는 null로 돌려줍니다.
+ */
+function round(number, digits = 1) {
+  if (number === null || number === undefined) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(number * factor) / factor;
+}
+
+module.exports = { round };
@@ -0,0 +1,221 @@
+/**
+ * [API 문서] /api/v1의 OpenAPI 3.0 문서입니다. GET /api/v1/openapi.json으로 제공됩니다.
+ * api.js의 검증 규칙이나 응답 형식을 바꾸면 이 문서도 함께 고쳐주세요.
+ */
+
+const { STANDARDS } = require('./growth-standards.js');
+const { MAX_BULK_ROWS, BULK_COLUMNS } = require('./bulk-assessment.js');
+
+const STANDARD_IDS = ['auto', ...Object.keys(STANDARDS)];
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: '성장 계산 API',
+    version: '1.0.0',
+    description: '아이의 성별, 나이(또는 생년월일), 측정값으로 성장 백분위, z-점수, 판정을 계산합니다. 카카오톡 챗봇과 같은 계산을 씁니다.',
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/assess': {
+      post: {
+        summary: '측정값 평가',
+        description: '키, 몸무게, 머리둘레의 z-점수와 백분위, 판정을 돌려줍니다. 키와 몸무게가 모두 있으면 신장별 체중(5세 미만)과 BMI(2세 이상)도 계산합니다.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/AssessRequest' } } },
+        },
+        responses: {
+          200: {
+            description: '평가 결과',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/AssessResponse' } } },
+          },
+          400: errorResponse('입력값 오류 (code: invalid_request, invalid_json)'),
+        },
+      },
+    },
+    '/assess/bulk': {
+      post: {
+        summary: '여러 아이 한 번에 평가',
+        description: `CSV, JSON 배열, NDJSON으로 받은 아이들을 한 행씩 평가해 결과 CSV(UTF-8 BOM)로 돌려줍니다. 본문과 응답은 모두 스트림으로 처리합니다.
+열 이름은 id, sex, birthdate, age_month, measured_on, height_cm, weight_kg, head_cm, gestational_weeks이고 한글 머리글(이름, 성별, 생년월일, 개월, 측정일, 키, 몸무게, 머리둘레)도 받습니다.
+row 열은 CSV면 줄 번호(머리글이 1), JSON이면 항목 순서입니다. 잘못된 행은 error 열에 이유를 적고 다음 행을 계속 평가합니다. 한 번에 최대 ${MAX_BULK_ROWS}행까지 평가합니다.`,
+        parameters: [
+          { name: 'standard', in: 'query', description: '모든 행에 우선 사용할 성장 기준', schema: { type: 'string', enum: STANDARD_IDS, default: 'auto' } },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'text/csv': {
+              schema: { type: 'string' },
+              example: 'id,sex,birthdate,measured_on,height_cm,weight_kg\r\n김하늘,여,2021-03-05,2024-04-01,98.2,15.1\r\n',
+            },
+            'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/BulkRecord' } } },
+            'application/x-ndjson': { schema: { type: 'string', description: '한 줄에 BulkRecord 하나' } },
+          },
+        },
+        responses: {
+          200: {
+            description: `평가 결과 CSV. 열: ${BULK_COLUMNS.join(', ')}`,
+            content: { 'text/csv': { schema: { type: 'string' } } },
+          },
+          400: errorResponse('첫 행을 읽기 전에 본문 형식이 잘못됨 (이후의 오류는 CSV error 열에 적습니다)'),
+          415: errorResponse('지원하지 않는 본문 형식 (code: unsupported_media_type)'),
+        },
+      },
+    },
+    '/reference': {
+      get: {
+        summary: '기준값 조회',
+        description: '나이와 성별에 맞는 백분위별 측정값(LMS 역산)을 돌려줍니다.',
+        parameters: [
+          { name: 'sex', in: 'query', required: true, schema: { type: 'string', enum: ['male', 'female'] } },
+          { name: 'age_month', in: 'query', required: true, schema: { type: 'number', minimum: 0, maximum: 240 } },
+          { name: 'metric', in: 'query', required: true, schema: { type: 'string', enum: ['height', 'weight', 'head', 'bmi'] } },
+          {
+            name: 'percentiles',
+            in: 'query',
+            description: '쉼표로 구분한 백분위 (0 초과 100 미만, 최대 20개). 기본값 3,50,97',
+            schema: { type: 'string', example: '3,50,97' },
+          },
+          { name: 'standard', in: 'query', schema: { type: 'string', enum: STANDARD_IDS, default: 'auto' } },
+        ],
+        responses: {
+          200: {
+            description: '기준값',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ReferenceResponse' } } },
+          },
+          400: errorResponse('입력값 오류'),
+          404: errorResponse('해당 나이의 기준 자료가 없음 (code: reference_not_found)'),
+        },
+      },
+    },
+    '/openapi.json': {
+      get: {
+        summary: '이 문서',
+        responses: { 200: { description: 'OpenAPI 문서', content: { 'application/json': {} } } },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      AssessRequest: {
+        type: 'object',
+        required: ['sex'],
+        description: 'birthdate나 age_month 중 하나, height_cm, weight_kg, head_cm 중 하나 이상이 필요합니다.',
+        properties: {
+          sex: { type: 'string', enum: ['male', 'female'] },
+          birthdate: { type: 'string', format: 'date', description: '생년월일 (있으면 age_month보다 우선)' },
+          measured_on: { type: 'string', format: 'date', description: '측정일 (기본값: 오늘)' },
+          age_month: { type: 'number', minimum: 0, maximum: 240, description: '나이(개월)' },
+          gestational_weeks: { type: 'number', minimum: 22, maximum: 44, description: '재태 주수. 37주 미만이면 24개월까지 교정 연령으로 평가합니다.' },
+          height_cm: { type: 'number', minimum: 20, maximum: 250 },
+          weight_kg: { type: 'number', minimum: 0.3, maximum: 300 },
+          head_cm: { type: 'number', minimum: 15, maximum: 80 },
+          standard: { type: 'string', enum: STANDARD_IDS, default: 'auto', description: '우선 사용할 성장 기준 (자료가 없으면 다른 기준을 씁니다). CDC 2000 성장도표는 지원 범위가 아니며 cdc2000을 보내면 invalid_request입니다.' },
+        },
+        example: { sex: 'male', age_month: 36, height_cm: 96, weight_kg: 14 },
+      },
+      BulkRecord: {
+        type: 'object',
+        description: 'AssessRequest와 같은 항목에 행을 구분할 id를 더한 형식입니다. 숫자는 문자열로 보내도 됩니다.',
+        properties: {
+          id: { type: 'string' },
+          sex: { type: 'string', description: 'male, female (남, 여도 받습니다)' },
+          birthdate: { type: 'string', format: 'date' },
+          measured_on: { type: 'string', format: 'date' },
+          age_month: { type: 'number' },
+          gestational_weeks: { type: 'number' },
+          height_cm: { type: 'number' },
+          weight_kg: { type: 'number' },
+          head_cm: { type: 'number' },
+        },
+      },
+      AssessResponse: {
+        type: 'object',
+        properties: {
+          sex: { type: 'string', enum: ['male', 'female'] },
+          age: {
+            type: 'object',
+            properties: {
+              age_month: { type: 'number', description: '평가에 쓴 나이 (조산아는 교정 연령)' },
+              chronological_month: { type: 'number' },
+              corrected_month: { type: 'number', nullable: true },
+              basis: { type: 'string', enum: ['birthdate', 'stated'] },
+              measured_on: { type: 'string', format: 'date' },
+            },
+          },
+          bmi: { type: 'number', nullable: true },
+          metrics: { type: 'array', items: { $ref: '#/components/schemas/MetricResult' } },
+          standards: { type: 'array', items: { $ref: '#/components/schemas/Standard' } },
+        },
+      },
+      MetricResult: {
+        type: 'object',
+        properties: {
+          metric: { type: 'string', enum: ['height', 'weight', 'head', 'wfl', 'wfh', 'bmi'] },
+          label: { type: 'string' },
+          value: { type: 'number' },
+          unit: { type: 'string' },
+          standard: { type: 'string', nullable: true },
+          z_score: { type: 'number', nullable: true, description: '±3 SD 밖은 WHO restricted z로 조정한 값' },
+          percentile: { type: 'number', nullable: true, description: '이 아이보다 작은 아이의 비율(%)' },
+          category: { type: 'string', nullable: true, example: 'height_normal' },
+          interpretation: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              label: { type: 'string' },
+              explanation: { type: 'string' },
+              advice: { type: 'string', nullable: true },
+              referral: { type: 'boolean', description: '진료를 권하는 구간인지 여부' },
+            },
+          },
+          implausible: { type: 'boolean', description: '생물학적으로 있기 어려운 값(입력 오류 의심)' },
+          missing_reason: { type: 'string', nullable: true, description: '기준 자료가 없어 평가하지 못한 이유' },
+        },
+      },
+      ReferenceResponse: {
+        type: 'object',
+        properties: {
+          sex: { type: 'string' },
+          age_month: { type: 'number' },
+          metric: { type: 'string' },
+          unit: { type: 'string' },
+          standard: { $ref: '#/components/schemas/Standard' },
+          values: {
+            type: 'array',
+            items: { type: 'object', properties: { percentile: { type: 'number' }, value: { type: 'number' } } },
+          },
+        },
+      },
+      Standard: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', enum: Object.keys(STANDARDS) },
+          label: { type: 'string' },
+          version: { type: 'string' },
+          citation: { type: 'string' },
+        },
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              code: { type: 'string', example: 'invalid_request' },
+              message: { type: 'string' },
+              field: { type: 'string', nullable: true, description: '문제가 된 입력 항목' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
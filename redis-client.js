@@ -0,0 +1,166 @@
+/**
+ * [Redis 클라이언트] 세션 저장소에 필요한 명령만 보내는 최소한의 RESP2 클라이언트입니다.
+ * redis://[user:password@]host:port/db 및 rediss:// (TLS) URL을 지원합니다.
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * 버퍼의 offset부터 응답 하나를 해석합니다. 데이터가 덜 왔으면 null을 반환합니다.
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new RedisError(`알 수 없는 응답 형식입니다: ${type}`);
+  }
+}
+
+/**
+ * 연결은 첫 명령에서 열고, 끊기면 다음 명령에서 다시 엽니다.
+ * 응답이 commandTimeoutMs 안에 오지 않거나 AUTH/SELECT가 실패하면 연결을 끊고 대기 중인 명령을 모두 실패시킵니다.
+ */
+function createRedisClient(url, { connectTimeoutMs = 5000, commandTimeoutMs = 5000 } = {}) {
+  const target = new URL(url);
+  const useTls = target.protocol === 'rediss:';
+  const port = Number(target.port) || 6379;
+  const db = target.pathname && target.pathname.length > 1 ? target.pathname.slice(1) : null;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(source, error) {
+    if (socket !== source) return;
+    while (pending.length) pending.shift().reject(error);
+    socket = null;
+    buffer = Buffer.alloc(0);
+  }
+
+  // 연결을 끊고 대기 중인 명령을 모두 error로 실패시킵니다 (이 연결의 남은 응답은 더 기다리지 않습니다)
+  function abort(source, error) {
+    failAll(source, error);
+    source.destroy();
+  }
+
+  function onData(source, chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let offset = 0;
+    while (offset < buffer.length) {
+      const reply = parseReply(buffer, offset);
+      if (!reply) break;
+      offset = reply.offset;
+      const { resolve, reject, setup } = pending.shift();
+      if (reply.value instanceof RedisError && setup) {
+        // 인증이나 DB 선택이 실패한 연결로는 어떤 명령도 제대로 실행되지 않습니다
+        const error = new RedisError(`Redis ${setup} 실패: ${reply.value.message}`);
+        reject(error);
+        abort(source, error);
+        return;
+      }
+      if (reply.value instanceof RedisError) reject(reply.value);
+      else resolve(reply.value);
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function connect() {
+    const options = { host: target.hostname, port };
+    const current = useTls ? tls.connect({ ...options, servername: target.hostname }) : net.connect(options);
+    socket = current;
+    current.setTimeout(connectTimeoutMs, () => current.destroy(new RedisError('Redis 연결 시간 초과')));
+    current.once(useTls ? 'secureConnect' : 'connect', () => current.setTimeout(0));
+    current.on('data', chunk => onData(current, chunk));
+    current.on('error', error => failAll(current, error));
+    current.on('close', () => failAll(current, new RedisError('Redis 연결이 종료되었습니다.')));
+
+    // 명령은 보낸 순서대로 응답이 오므로 인증/DB 선택을 먼저 큐에 넣습니다.
+    if (target.password) {
+      const auth = target.username
+        ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+        : ['AUTH', decodeURIComponent(target.password)];
+      send(auth, 'AUTH').catch(() => {});
+    }
+    if (db) send(['SELECT', db], 'SELECT').catch(() => {});
+  }
+
+  // setup에는 연결 준비 명령의 이름('AUTH', 'SELECT')을 넣습니다. 실패하면 연결 전체를 실패로 봅니다
+  function send(args, setup = null) {
+    const source = socket;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        abort(source, new RedisError(`Redis 응답 시간 초과 (${commandTimeoutMs}ms): ${args[0]}`));
+      }, commandTimeoutMs);
+      const settle = fn => value => {
+        clearTimeout(timer);
+        fn(value);
+      };
+      pending.push({ resolve: settle(resolve), reject: settle(reject), setup });
+      source.write(encodeCommand(args));
+    });
+  }
+
+  function command(...args) {
+    if (!socket) connect();
+    return send(args);
+  }
+
+  function quit() {
+    if (!socket) return Promise.resolve();
+    const closing = command('QUIT').catch(() => {});
+    socket.end();
+    return closing;
+  }
+
+  return { command, quit };
+}
+
+module.exports = { createRedisClient, RedisError };
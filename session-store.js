@@ -0,0 +1,279 @@
+/**
+ * [세션 저장소] 대화 세션을 TTL(만료 시간)과 함께 보관합니다.
+ * 백엔드: memory(기본) | file | sqlite | redis
+ *
+ * 모든 백엔드는 같은 비동기 인터페이스를 가집니다.
+ *   get(key), set(key, value), delete(key), update(key, fn)
+ * update는 같은 키에 대한 읽기-수정-쓰기를 직렬화하므로,
+ * 같은 사용자의 메시지가 동시에 들어와도 서로의 슬롯 값을 덮어쓰지 않습니다.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createRedisClient } = require('./redis-client.js');
+
+const DEFAULT_TTL_SECONDS = 30 * 60;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 키별로 작업을 순서대로 실행하는 프로세스 내 잠금입니다.
+ */
+function createKeyedMutex() {
+  const tails = new Map();
+
+  return async function runExclusive(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  };
+}
+
+function createMemoryBackend({ ttlMs }) {
+  const entries = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return structuredClone(entry.value);
+    },
+    async set(key, value) {
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async close() {
+      clearInterval(sweeper);
+    },
+  };
+}
+
+/**
+ * 키마다 JSON 파일 하나를 씁니다. 임시 파일에 쓴 뒤 rename하여 반쯤 쓰인 파일을 남기지 않습니다.
+ */
+function createFileBackend({ ttlMs, dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  let writes = 0;
+
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  async function sweep() {
+    const now = Date.now();
+    for (const name of await fs.promises.readdir(dir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(dir, name);
+      const entry = await readEntry(file);
+      if (!entry || entry.expiresAt <= now) await fs.promises.rm(file, { force: true });
+    }
+  }
+
+  return {
+    async get(key) {
+      const file = fileFor(key);
+      const entry = await readEntry(file);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value) {
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }), 'utf8');
+      await fs.promises.rename(temp, file);
+      if (++writes % 100 === 0) sweep().catch(error => console.error('세션 파일 정리 실패:', error));
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+    async close() {},
+  };
+}
+
+/**
+ * node:sqlite(Node 22.5 이상)를 사용합니다. 하위 버전에서는 명확한 오류를 던집니다.
+ */
+function createSqliteBackend({ ttlMs, file }) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (error) {
+    throw new Error(`sqlite 세션 저장소는 node:sqlite를 지원하는 Node.js(22.5 이상)가 필요합니다. (현재 ${process.version})`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec('CREATE TABLE IF NOT EXISTS sessions (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER NOT NULL)');
+  const selectStmt = db.prepare('SELECT value, expires_at FROM sessions WHERE key = ?');
+  const upsertStmt = db.prepare('INSERT INTO sessions (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at');
+  const deleteStmt = db.prepare('DELETE FROM sessions WHERE key = ?');
+  const sweepStmt = db.prepare('DELETE FROM sessions WHERE expires_at <= ?');
+  let writes = 0;
+
+  return {
+    async get(key) {
+      const row = selectStmt.get(key);
+      if (!row) return null;
+      if (row.expires_at <= Date.now()) {
+        deleteStmt.run(key);
+        return null;
+      }
+      return JSON.parse(row.value);
+    },
+    async set(key, value) {
+      upsertStmt.run(key, JSON.stringify(value), Date.now() + ttlMs);
+      if (++writes % 100 === 0) sweepStmt.run(Date.now());
+    },
+    async delete(key) {
+      deleteStmt.run(key);
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * 여러 인스턴스가 같은 Redis를 공유하므로, update는 SET NX PX로 키별 분산 잠금을 잡은 뒤 실행합니다.
+ */
+function createRedisBackend({ ttlMs, url, prefix = 'session:', lockTimeoutMs = 5000 }) {
+  const client = createRedisClient(url);
+
+  async function withLock(key, task) {
+    const lockKey = `${prefix}lock:${key}`;
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + lockTimeoutMs;
+
+    while ((await client.command('SET', lockKey, token, 'NX', 'PX', lockTimeoutMs)) !== 'OK') {
+      if (Date.now() > deadline) throw new Error(`세션 잠금을 얻지 못했습니다: ${key}`);
+      await sleep(25 + Math.random() * 50);
+    }
+    try {
+      return await task();
+    } finally {
+      await client.command('EVAL', RELEASE_LOCK_SCRIPT, 1, lockKey, token).catch(() => {});
+    }
+  }
+
+  return {
+    async get(key) {
+      const raw = await client.command('GET', prefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, value) {
+      await client.command('SET', prefix + key, JSON.stringify(value), 'PX', ttlMs);
+    },
+    async delete(key) {
+      await client.command('DEL', prefix + key);
+    },
+    withLock,
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+/**
+ * 세션 저장소를 만듭니다. 옵션을 생략하면 환경 변수를 따릅니다.
+ * SESSION_STORE, SESSION_TTL_SECONDS, SESSION_FILE_DIR, SESSION_SQLITE_PATH, REDIS_URL
+ * namespace를 주면 같은 백엔드를 쓰는 다른 저장소(예: 아이 프로필)와 키가 겹치지 않습니다.
+ */
+function createSessionStore({
+  backend = process.env.SESSION_STORE || 'memory',
+  ttlSeconds = Number(process.env.SESSION_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+  dir = process.env.SESSION_FILE_DIR || path.join(os.tmpdir(), 'growth-chatbot-sessions'),
+  file = process.env.SESSION_SQLITE_PATH || path.join(os.tmpdir(), 'growth-chatbot-sessions.sqlite'),
+  url = process.env.REDIS_URL,
+  prefix,
+  namespace = '',
+} = {}) {
+  const ttlMs = ttlSeconds * 1000;
+  const keyOf = key => (namespace ? `${namespace}:${key}` : key);
+  let impl;
+
+  switch (backend) {
+    case 'memory':
+      impl = createMemoryBackend({ ttlMs });
+      break;
+    case 'file':
+      impl = createFileBackend({ ttlMs, dir });
+      break;
+    case 'sqlite':
+      impl = createSqliteBackend({ ttlMs, file });
+      break;
+    case 'redis':
+      if (!url) throw new Error('redis 세션 저장소에는 REDIS_URL이 필요합니다.');
+      impl = createRedisBackend({ ttlMs, url, ...(prefix && { prefix }) });
+      break;
+    default:
+      throw new Error(`알 수 없는 SESSION_STORE입니다: ${backend}`);
+  }
+
+  const runExclusive = createKeyedMutex();
+  const withLock = impl.withLock || ((key, task) => task());
+
+  return {
+    backend,
+    get: key => impl.get(keyOf(key)),
+    set: (key, value) => impl.set(keyOf(key), value),
+    delete: key => impl.delete(keyOf(key)),
+    close: () => impl.close(),
+
+    /**
+     * fn(현재 값)의 반환값을 저장하고 돌려줍니다. null/undefined를 반환하면 세션을 삭제합니다.
+     */
+    update(key, fn) {
+      key = keyOf(key);
+      return runExclusive(key, () => withLock(key, async () => {
+        const next = await fn(await impl.get(key));
+        if (next === null || next === undefined) {
+          await impl.delete(key);
+          return null;
+        }
+        await impl.set(key, next);
+        return next;
+      }));
+    },
+  };
+}
+
+module.exports = { createSessionStore };
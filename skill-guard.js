@@ -0,0 +1,225 @@
+/**
+ * [스킬 요청 보호] /skill로 들어온 요청이 카카오 챗봇이 보낸 것인지 확인하고, 사용자별·전체 요청 수를 제한합니다.
+ * URL만 알면 누구나 LLM 호출을 일으킬 수 있으므로, 본문 형식 검증 → 인증(공유 비밀 헤더, 봇 ID) → 요청 수 제한 순서로 거릅니다.
+ *
+ * 환경 변수:
+ *   SKILL_SECRET, SKILL_SECRET_HEADER(기본 x-skill-secret)  오픈빌더 스킬 설정의 헤더 값과 맞춥니다
+ *   SKILL_ALLOWED_BOT_IDS                                    쉼표로 구분한 봇 ID (userRequest와 함께 오는 bot.id)
+ *   SKILL_MAX_UTTERANCE_LENGTH                               발화 최대 길이 (기본 1000자)
+ *   RATE_LIMIT_USER_MAX, RATE_LIMIT_USER_WINDOW_SECONDS      사용자별 제한 (기본 60초에 20회)
+ *   RATE_LIMIT_GLOBAL_MAX, RATE_LIMIT_GLOBAL_WINDOW_SECONDS  전체 제한 (기본 60초에 600회)
+ * 횟수를 0으로 두면 그 제한을 끕니다.
+ */
+
+const crypto = require('crypto');
+const { createSessionStore } = require('./session-store.js');
+const { createRedisClient } = require('./redis-client.js');
+const { createTranslator, detectLocale } = require('./i18n.js');
+
+const DEFAULT_SECRET_HEADER = 'x-skill-secret';
+const DEFAULT_MAX_UTTERANCE_LENGTH = 1000;
+const DEFAULT_LIMITS = {
+  user: { max: 20, windowSeconds: 60 },
+  global: { max: 600, windowSeconds: 60 },
+};
+const GLOBAL_KEY = '__global__';
+
+/**
+ * 스킬 요청을 처리하지 않고 돌려보낼 때의 오류. status는 응답 코드, message는 사용자에게 보여줄 문구, reason은 로그용입니다.
+ * (카카오는 200이 아닌 응답의 문구를 보여주지 않으므로, 정상 사용자에게 알려야 하는 경우는 200을 씁니다)
+ */
+class SkillRequestError extends Error {
+  constructor(status, message, reason) {
+    super(message);
+    this.name = 'SkillRequestError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+/** 환경 변수 설정이 잘못되었을 때의 오류 (서버 시작 시 던집니다) */
+class SkillGuardConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SkillGuardConfigError';
+  }
+}
+
+function readCount(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new SkillGuardConfigError(`${name}는 0 이상의 정수여야 합니다: ${raw}`);
+  }
+  return value;
+}
+
+/**
+ * 환경 변수에서 요청 보호 설정을 읽습니다.
+ */
+function resolveSkillGuardSettings(env = process.env) {
+  const limit = (scope, prefix) => ({
+    max: readCount(env, `${prefix}_MAX`, DEFAULT_LIMITS[scope].max),
+    windowSeconds: readCount(env, `${prefix}_WINDOW_SECONDS`, DEFAULT_LIMITS[scope].windowSeconds) || DEFAULT_LIMITS[scope].windowSeconds,
+  });
+  return {
+    secret: env.SKILL_SECRET || null,
+    secretHeader: (env.SKILL_SECRET_HEADER || DEFAULT_SECRET_HEADER).toLowerCase(),
+    allowedBotIds: (env.SKILL_ALLOWED_BOT_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    maxUtteranceLength: readCount(env, 'SKILL_MAX_UTTERANCE_LENGTH', DEFAULT_MAX_UTTERANCE_LENGTH) || DEFAULT_MAX_UTTERANCE_LENGTH,
+    limits: {
+      user: limit('user', 'RATE_LIMIT_USER'),
+      global: limit('global', 'RATE_LIMIT_GLOBAL'),
+    },
+  };
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * 카카오 스킬 요청 본문(userRequest.user.id, userRequest.utterance, bot.id)을 검증하고 필요한 값만 꺼냅니다.
+ * 반환값: { userId, utterance, botId }
+ */
+function parseSkillPayload(body, { maxUtteranceLength = DEFAULT_MAX_UTTERANCE_LENGTH } = {}) {
+  const invalid = reason => new SkillRequestError(400, '요청 형식이 올바르지 않습니다.', reason);
+  if (!isObject(body)) throw invalid('본문이 JSON 객체가 아님');
+
+  const { userRequest, bot } = body;
+  if (!isObject(userRequest)) throw invalid('userRequest 없음');
+  if (!isObject(userRequest.user) || !isNonEmptyString(userRequest.user.id)) throw invalid('userRequest.user.id 없음');
+  if (typeof userRequest.utterance !== 'string') throw invalid('userRequest.utterance 없음');
+  if (bot !== undefined && !isObject(bot)) throw invalid('bot이 객체가 아님');
+
+  if (userRequest.utterance.length > maxUtteranceLength) {
+    // 세션을 읽기 전이라 보낸 글의 문자로 답할 언어를 정합니다
+    const t = createTranslator(detectLocale(userRequest.utterance) || undefined);
+    throw new SkillRequestError(200, t('guard.tooLong', { count: maxUtteranceLength }), '발화 길이 초과');
+  }
+  return {
+    userId: userRequest.user.id,
+    utterance: userRequest.utterance,
+    botId: isNonEmptyString(bot?.id) ? bot.id : null,
+  };
+}
+
+// 길이가 달라도 비교 시간이 같도록 해시끼리 비교합니다
+function secretMatches(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * 설정된 검사(공유 비밀 헤더, 봇 ID 허용 목록)를 모두 통과했는지 확인합니다. 통과하지 못하면 SkillRequestError를 던집니다.
+ */
+function authorizeSkillRequest(headers, { botId }, { secret, secretHeader = DEFAULT_SECRET_HEADER, allowedBotIds = [] }) {
+  if (secret && !secretMatches(headers[secretHeader] || '', secret)) {
+    throw new SkillRequestError(401, '허용되지 않은 요청입니다.', '비밀 헤더 불일치');
+  }
+  if (allowedBotIds.length && !allowedBotIds.includes(botId)) {
+    throw new SkillRequestError(403, '허용되지 않은 요청입니다.', `허용 목록에 없는 봇: ${botId}`);
+  }
+}
+
+// INCR와 첫 요청의 PEXPIRE를 한 번에 실행합니다. 만료 시간이 빠진 키(-1)도 여기서 다시 걸어 줍니다.
+const INCREMENT_SCRIPT = "local count = redis.call('INCR', KEYS[1]) "
+  + "if count == 1 or redis.call('PTTL', KEYS[1]) < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end "
+  + "return {count, redis.call('PTTL', KEYS[1])}";
+
+/**
+ * 세션 저장소의 update로 세는 카운터입니다. (memory/file/sqlite 백엔드)
+ * increment(key)는 { count, remainingMs }를 돌려줍니다.
+ */
+function createStoreCounter({ backend, url, scope, windowSeconds, now }) {
+  const store = createSessionStore({ backend, url, namespace: `rate-${scope}`, ttlSeconds: windowSeconds });
+  return {
+    async increment(key) {
+      const current = now();
+      const counter = await store.update(key, previous => (
+        previous && previous.resetAt > current
+          ? { ...previous, count: previous.count + 1 }
+          : { count: 1, resetAt: current + windowSeconds * 1000 }
+      ));
+      return { count: counter.count, remainingMs: counter.resetAt - current };
+    },
+    close: () => store.close(),
+  };
+}
+
+/**
+ * Redis의 INCR/PEXPIRE로 세는 카운터입니다. 잠금을 잡지 않으므로
+ * 모든 요청이 같은 키를 두드리는 전체 한도에서도 서로 기다리지 않습니다.
+ */
+function createRedisCounter({ url, scope, windowSeconds }) {
+  if (!url) throw new SkillGuardConfigError('redis 요청 수 제한에는 REDIS_URL이 필요합니다.');
+  const client = createRedisClient(url);
+  return {
+    async increment(key) {
+      const [count, remainingMs] = await client.command('EVAL', INCREMENT_SCRIPT, 1, `rate:${scope}:${key}`, windowSeconds * 1000);
+      return { count, remainingMs };
+    },
+    close: () => client.quit(),
+  };
+}
+
+/**
+ * 고정 구간(window) 방식의 요청 수 제한기를 만듭니다. 카운터는 세션 저장소와 같은 백엔드에 두므로
+ * SESSION_STORE=redis면 여러 서버리스 인스턴스가 같은 한도를 나눠 씁니다.
+ * consume(userId)는 한도 안이면 null, 넘으면 { scope: 'user' | 'global', retryAfterSeconds }를 돌려줍니다.
+ */
+function createRateLimiter({
+  limits = DEFAULT_LIMITS,
+  backend = process.env.SESSION_STORE || 'memory',
+  url = process.env.REDIS_URL,
+  now = () => Date.now(),
+} = {}) {
+  const createCounter = backend === 'redis' ? createRedisCounter : createStoreCounter;
+  const counters = Object.fromEntries(Object.entries(limits)
+    .filter(([, { max }]) => max > 0)
+    .map(([scope, { windowSeconds }]) => [scope, createCounter({ backend, url, scope, windowSeconds, now })]));
+
+  // 구간 안의 요청 수를 하나 늘리고, 한도를 넘었으면 남은 시간(초)을 돌려줍니다
+  async function hit(scope, key) {
+    const { count, remainingMs } = await counters[scope].increment(key);
+    return count > limits[scope].max ? Math.max(1, Math.ceil(remainingMs / 1000)) : null;
+  }
+
+  return {
+    async consume(userId) {
+      // 한 사용자가 전체 한도를 다 쓰지 않도록 사용자 한도를 먼저 봅니다
+      if (counters.user) {
+        const retryAfterSeconds = await hit('user', userId);
+        if (retryAfterSeconds) return { scope: 'user', retryAfterSeconds };
+      }
+      if (counters.global) {
+        const retryAfterSeconds = await hit('global', GLOBAL_KEY);
+        if (retryAfterSeconds) return { scope: 'global', retryAfterSeconds };
+      }
+      return null;
+    },
+    async close() {
+      await Promise.all(Object.values(counters).map(counter => counter.close()));
+    },
+  };
+}
+
+/**
+ * 요청 수 제한에 걸렸을 때 사용자에게 보낼 안내 문구입니다.
+ */
+function formatThrottleMessage({ scope, retryAfterSeconds }, t = createTranslator()) {
+  const wait = retryAfterSeconds >= 60
+    ? t('guard.minutes', { count: Math.ceil(retryAfterSeconds / 60) })
+    : t('guard.seconds', { count: retryAfterSeconds });
+  return t(scope === 'global' ? 'guard.throttledGlobal' : 'guard.throttledUser', { wait });
+}
+
+module.exports = {
+  SkillRequestError,
+  SkillGuardConfigError,
+  resolveSkillGuardSettings,
+  parseSkillPayload,
+  authorizeSkillRequest,
+  createRateLimiter,
+  formatThrottleMessage,
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { midParentalHeight, projectAdultHeight, formatAdultHeightPrediction } = require('../adult-height.js');
+const { extractParentHeights, parseUtterance } = require('../utterance-parser.js');
+const { startSkillServer } = require('./skill-server.js');
+
+test('부모 키로 성별에 맞는 중간 부모 키를 구합니다', () => {
+  assert.deepEqual(midParentalHeight('male', 175, 162), { target: 175, low: 166.5, high: 183.5 });
+  assert.deepEqual(midParentalHeight('female', 175, 162), { target: 162, low: 153.5, high: 170.5 });
+  assert.equal(midParentalHeight('male', 175, 50), null);
+  assert.equal(midParentalHeight('male', 175, undefined), null);
+});
+
+test('현재 키의 z-점수를 18세 기준표로 옮깁니다', () => {
+  const projection = projectAdultHeight('male', 110, 60);
+  assert.equal(projection.target, 174.1);
+  assert.deepEqual([projection.low, projection.high], [168.6, 179.7]);
+  assert.deepEqual(projection.standards, ['kdca2017']);
+  // 36개월 미만은 WHO로 현재 z-점수를 구하고 18세는 한국 성장도표를 씁니다
+  assert.deepEqual(projectAdultHeight('male', 75, 12).standards, ['who2006', 'kdca2017']);
+  assert.equal(projectAdultHeight('male', null, 60), null);
+});
+
+test('두 예측을 비교하고 나이에 따른 한계를 알려줍니다', () => {
+  const midParental = midParentalHeight('male', 180, 170);
+  const projection = projectAdultHeight('male', 95, 60);
+  const text = formatAdultHeightPrediction({ sex: 'male', ageMonth: 60, heightCm: 95, midParental, projection });
+  assert.match(text, /부모 키로 기대하는 범위보다 작아요\. \(차이 26\.5cm\)/);
+  assert.match(text, /소아청소년과에서 확인해보시길 권해요/);
+
+  const infant = formatAdultHeightPrediction({
+    sex: 'male', ageMonth: 12, heightCm: 75, midParental: null, projection: projectAdultHeight('male', 75, 12),
+  });
+  assert.match(infant, /^\[예상 성인 키\]\n- 지금 성장 추세로 본 예상 키: /);
+  assert.match(infant, /2세 전의 키는 성인 키와 관련이 약해서/);
+  assert.match(infant, /이 값은 통계적인 추정이라/);
+});
+
+test('부모 키를 찾고 예측 요청으로 읽습니다', () => {
+  assert.deepEqual(extractParentHeights('아버지 키는 180cm 엄마 162'), { father_height_cm: 180, mother_height_cm: 162 });
+  assert.deepEqual(extractParentHeights('아빠 50'), {});
+  assert.deepEqual(parseUtterance({}, '남자 5살 키 110 아빠 175 엄마 162'), {
+    action: 'predict_adult_height',
+    data: { sex: 'male', age_month: 60, height_cm: 110, father_height_cm: 175, mother_height_cm: 162 },
+  });
+  assert.equal(parseUtterance({}, '커서 몇 cm까지 클까?').action, 'predict_adult_height');
+});
+
+test('부모 키를 기억해 성인 키를 예측합니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const noSex = await server.say('adult-user', '커서 몇 cm까지 클까?');
+    assert.match(noSex.text, /아이의 성별을 알려주세요/);
+
+    const both = await server.say('adult-user', '남자 5살 키 110 아빠 175 엄마 162');
+    assert.match(both.text, /- 부모 키로 본 목표 키: 175cm \(대략 166\.5~183\.5cm\)/);
+    assert.match(both.text, /- 지금 성장 추세로 본 예상 키: 174\.1cm/);
+    assert.match(both.text, /부모 키로 기대하는 범위 안에서 자라고 있어요/);
+
+    // 부모 키는 프로필에 남아 다음 질문에도 씁니다
+    const again = await server.say('adult-user', '여자 예상 키');
+    assert.match(again.text, /- 부모 키로 본 목표 키: 162cm/);
+
+    const missing = await server.say('adult-user2', '여자 커서 몇 cm?');
+    assert.match(missing.text, /아빠, 엄마 키나 아이의 나이와 지금 키가 필요해요/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('있기 어려운 키는 확인을 받은 뒤에 성인 키를 예측합니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const pending = await server.say('adult-rare', '남자 5살 키 170 아빠 175 엄마 162 성인 키 예측');
+    assert.match(pending.text, /보기 매우 드문 값이 있어요\.\n- 키 170cm \(z \+13\.16\)/);
+    assert.doesNotMatch(pending.text, /예상 성인 키/);
+
+    const confirmed = await server.say('adult-rare', '맞아요');
+    assert.match(confirmed.text, /^\[예상 성인 키\]/);
+    assert.match(confirmed.text, /매우 드문 값이 포함되어 있어요/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DAYS_PER_MONTH, parseDate, daysBetween, monthsBetween, completedMonthsBetween, formatAgeMonths,
+  resolveAge, describeAgeBasis,
+} = require('../age.js');
+const { startSkillServer } = require('./skill-server.js');
+
+test('여러 날짜 형식을 YYYY-MM-DD로 바꾸고 없는 날짜는 null입니다', () => {
+  assert.equal(parseDate('2022-03-05'), '2022-03-05');
+  assert.equal(parseDate('2022.3.5'), '2022-03-05');
+  assert.equal(parseDate('2022년 3월 5일생'), '2022-03-05');
+  assert.equal(parseDate('2023-02-30'), null);
+  assert.equal(parseDate('키 100'), null);
+});
+
+test('생일이 지나지 않은 달은 세지 않습니다', () => {
+  assert.equal(completedMonthsBetween('2022-03-05', '2024-03-05'), 24);
+  assert.equal(completedMonthsBetween('2022-03-05', '2024-03-04'), 23);
+});
+
+test('24개월부터는 세와 개월로 표시합니다', () => {
+  assert.equal(formatAgeMonths(15), '15개월');
+  assert.equal(formatAgeMonths(24), '2세');
+  assert.equal(formatAgeMonths(38), '3세 2개월');
+});
+
+test('나이는 일 단위로 계산해 소수 개월(한 달 30.4375일)로 돌려줍니다', () => {
+  assert.equal(DAYS_PER_MONTH, 30.4375);
+  assert.equal(daysBetween('2024-02-28', '2024-03-01'), 2);
+  assert.equal(monthsBetween('2022-03-05', '2024-03-05'), 24.02);
+  assert.equal(monthsBetween('2024-01-01', '2024-01-16'), 0.49);
+});
+
+test('생년월일이 있으면 측정일 기준 실제 나이를, 없으면 말한 나이를 씁니다', () => {
+  assert.deepEqual(resolveAge({ birthdate: '2021-01-01', measured_on: '2024-01-01' }), {
+    ageMonth: 35.98, chronologicalMonths: 35.98, correctedMonths: null, basis: 'birthdate', measuredOn: '2024-01-01',
+  });
+  assert.deepEqual(resolveAge({ age_month: 15 }, '2024-01-01'), {
+    ageMonth: 15, chronologicalMonths: 15, correctedMonths: null, basis: 'stated', measuredOn: '2024-01-01',
+  });
+  assert.equal(resolveAge({}), null);
+});
+
+test('37주 미만 조산아는 실제 나이 24개월 전까지 교정 연령으로 평가합니다', () => {
+  const preterm = resolveAge({ birthdate: '2024-01-01', measured_on: '2024-07-01', gestational_weeks: 32 });
+  assert.equal(preterm.chronologicalMonths, 5.98);
+  assert.equal(preterm.correctedMonths, 4.14);
+  assert.equal(preterm.ageMonth, 4.14);
+  assert.equal(
+    describeAgeBasis(preterm, 32),
+    '교정 연령 4개월 (실제 나이 5개월, 재태 32주 출생, 생년월일 기준, 측정일 2024-07-01)',
+  );
+
+  assert.equal(resolveAge({ age_month: 30, gestational_weeks: 32 }).correctedMonths, null);
+  assert.equal(resolveAge({ age_month: 6, gestational_weeks: 38 }).correctedMonths, null);
+});
+
+test('스킬: 조산아는 측정일 기준 교정 연령으로 평가했다고 알려줍니다', async () => {
+  const server = await startSkillServer();
+  try {
+    await server.say('a1', '아이 추가 서연 여자 2024-01-01 32주');
+    const { text } = await server.say('a1', '서연 키 60 측정일 2024-07-01');
+    assert.match(text, /교정 연령 4개월 \(실제 나이 5개월, 재태 32주 출생, 생년월일 기준, 측정일 2024-07-01\)/);
+  } finally {
+    await server.close();
+  }
+});
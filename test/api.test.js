@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSkillServer } = require('./skill-server.js');
+
+let server;
+test.before(async () => {
+  server = await startSkillServer();
+});
+test.after(() => server.close());
+
+async function request(method, path, body, { raw } = {}) {
+  const response = await fetch(server.baseUrl + path, {
+    method,
+    headers: body === undefined && raw === undefined ? {} : { 'content-type': 'application/json' },
+    body: raw ?? (body === undefined ? undefined : JSON.stringify(body)),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /assess는 지표별 결과와 기준을 돌려줍니다', async () => {
+  const { status, body } = await request('POST', '/api/v1/assess', { sex: 'male', age_month: 36, height_cm: 96, weight_kg: 14 });
+  assert.equal(status, 200);
+  assert.equal(body.age.age_month, 36);
+  assert.equal(body.age.basis, 'stated');
+  assert.equal(body.bmi, 15.2);
+  assert.deepEqual(body.metrics[0], {
+    metric: 'height',
+    label: '키',
+    value: 96,
+    unit: 'cm',
+    standard: 'kdca2017',
+    z_score: -0.13,
+    percentile: 44.9,
+    category: 'height_normal',
+    interpretation: { label: '보통', explanation: '또래 평균 범위의 키예요.', advice: null, referral: false },
+    implausible: false,
+    missing_reason: null,
+  });
+  assert.deepEqual(body.standards.map(standard => standard.id), ['kdca2017', 'who2006']);
+});
+
+test('POST /assess는 standard로 기준을 고를 수 있습니다', async () => {
+  const { body } = await request('POST', '/api/v1/assess', { sex: 'male', age_month: 48, height_cm: 103, standard: 'who2006' });
+  assert.equal(body.metrics[0].standard, 'who2006');
+});
+
+test('잘못된 입력은 400과 { error: { code, message, field } }로 알립니다', async () => {
+  const cases = [
+    [{ sex: 'x', age_month: 36, height_cm: 96 }, 'sex'],
+    [{ sex: 'male', age_month: 36, height_cm: 960 }, 'height_cm'],
+    [{ sex: 'male', age_month: '세 살', height_cm: 96 }, 'age_month'],
+    [{ sex: 'male', birthdate: '2024-02-30', height_cm: 60 }, 'birthdate'],
+    [{ sex: 'male', height_cm: 96 }, 'age_month'],
+    [{ sex: 'male', age_month: 36 }, 'measurements'],
+    [{ sex: 'male', age_month: 36, height_cm: 96, standard: 'cdc2000' }, 'standard'],
+    [{ sex: 'male', birthdate: '2024-01-01', measured_on: '2023-01-01', height_cm: 60 }, 'measured_on'],
+  ];
+  for (const [input, field] of cases) {
+    const { status, body } = await request('POST', '/api/v1/assess', input);
+    assert.equal(status, 400, field);
+    assert.equal(body.error.code, 'invalid_request');
+    assert.equal(body.error.field, field);
+    assert.equal(typeof body.error.message, 'string');
+  }
+
+  const array = await request('POST', '/api/v1/assess', [1, 2]);
+  assert.equal(array.status, 400);
+  assert.equal(array.body.error.field, null);
+});
+
+test('본문이 JSON이 아니면 invalid_json으로 알립니다', async () => {
+  const { status, body } = await request('POST', '/api/v1/assess', undefined, { raw: '{bad' });
+  assert.equal(status, 400);
+  assert.deepEqual(body, { error: { code: 'invalid_json', message: '요청 본문이 올바른 JSON이 아닙니다.', field: null } });
+});
+
+test('GET /reference는 백분위별 기준값을 돌려줍니다', async () => {
+  const { status, body } = await request('GET', '/api/v1/reference?sex=female&age_month=24&metric=weight&percentiles=90,10');
+  assert.equal(status, 200);
+  assert.equal(body.unit, 'kg');
+  assert.equal(body.standard.id, 'who2006');
+  assert.deepEqual(body.values, [{ percentile: 10, value: 9.83 }, { percentile: 90, value: 13.5 }]);
+
+  const defaults = await request('GET', '/api/v1/reference?sex=male&age_month=36&metric=height');
+  assert.deepEqual(defaults.body.values.map(value => value.percentile), [3, 50, 97]);
+});
+
+test('GET /reference의 오류 응답', async () => {
+  const badPercentile = await request('GET', '/api/v1/reference?sex=female&age_month=24&metric=height&percentiles=0');
+  assert.equal(badPercentile.status, 400);
+  assert.equal(badPercentile.body.error.field, 'percentiles');
+
+  const badMetric = await request('GET', '/api/v1/reference?sex=female&age_month=24&metric=iq');
+  assert.equal(badMetric.status, 400);
+  assert.equal(badMetric.body.error.field, 'metric');
+
+  const outOfRange = await request('GET', '/api/v1/reference?sex=female&age_month=239&metric=height');
+  assert.equal(outOfRange.status, 404);
+  assert.equal(outOfRange.body.error.code, 'reference_not_found');
+  assert.equal(outOfRange.body.error.field, 'age_month');
+});
+
+test('없는 경로는 JSON 404이고, OpenAPI 문서를 제공합니다', async () => {
+  const missing = await request('GET', '/api/v1/nope');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'not_found');
+
+  const { status, body } = await request('GET', '/api/v1/openapi.json');
+  assert.equal(status, 200);
+  assert.match(body.openapi, /^3\./);
+  assert.deepEqual(Object.keys(body.paths).sort(), ['/assess', '/assess/bulk', '/openapi.json', '/reference']);
+});
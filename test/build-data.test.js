@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// build-data.js는 자기 폴더의 data/와 lms_data.js를 쓰므로, 임시 폴더에 복사본을 만들어 실행합니다
+function makeWorkspace() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-data-test-'));
+  fs.copyFileSync(path.join(ROOT, 'build-data.js'), path.join(dir, 'build-data.js'));
+  for (const file of ['growth-standards.js', 'i18n.js']) fs.copyFileSync(path.join(ROOT, file), path.join(dir, file));
+  fs.cpSync(path.join(ROOT, 'locales'), path.join(dir, 'locales'), { recursive: true });
+  fs.copyFileSync(path.join(ROOT, 'lms_data.js'), path.join(dir, 'lms_data.js'));
+  fs.cpSync(path.join(ROOT, 'data'), path.join(dir, 'data'), { recursive: true });
+  fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  return dir;
+}
+
+function run(dir, ...args) {
+  const result = spawnSync(process.execPath, [path.join(dir, 'build-data.js'), ...args], { encoding: 'utf8' });
+  return { status: result.status, output: result.stdout + result.stderr };
+}
+
+function editCsv(dir, file, edit) {
+  const filePath = path.join(dir, 'data', file);
+  fs.writeFileSync(filePath, edit(fs.readFileSync(filePath, 'utf8')));
+}
+
+test('저장소의 lms_data.js는 CSV와 일치합니다', () => {
+  const result = run(ROOT, '--check');
+  assert.equal(result.status, 0, result.output);
+  assert.match(result.output, /일치합니다/);
+});
+
+test('범위를 벗어난 값은 파일과 줄 번호와 함께 실패합니다', () => {
+  const dir = makeWorkspace();
+  try {
+    editCsv(dir, 'kdca2017/male_height.csv', text => text.replace('\n1,1,54.7244,0.0356', '\n1,1,54.7244,0.9'));
+    const result = run(dir);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /kdca2017\/male_height\.csv:3: S가 허용 범위/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('빠진 개월과 숫자가 아닌 값을 모두 모아 알려줍니다', () => {
+  const dir = makeWorkspace();
+  try {
+    editCsv(dir, 'kdca2017/female_weight.csv', text => text.replace(/\n2,[^\n]*/, '').replace(/\n5,([^,\n]*),/, '\n5,$1x,'));
+    const result = run(dir);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /kdca2017\/female_weight\.csv:\d+: 숫자가 아닌 값/);
+    assert.match(result.output, /age_months 1와 3 사이가 비어 있습니다/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('병합 충돌 표시가 남은 CSV는 거부합니다', () => {
+  const dir = makeWorkspace();
+  try {
+    editCsv(dir, 'kdca2017/male_weight.csv', text => text.replace('\n1,', '\n<<<<<<< HEAD\n1,'));
+    const result = run(dir);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /kdca2017\/male_weight\.csv:3: 병합 충돌 표시/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('--check는 CSV가 바뀌면 실패하고, 다시 생성한 뒤에는 통과합니다', () => {
+  const dir = makeWorkspace();
+  try {
+    editCsv(dir, 'kdca2017/male_height.csv', text => text.replace('\n1,1,54.7244,', '\n1,1,54.7245,'));
+    const before = fs.readFileSync(path.join(dir, 'lms_data.js'), 'utf8');
+
+    const stale = run(dir, '--check');
+    assert.equal(stale.status, 1);
+    assert.match(stale.output, /CSV와 다릅니다/);
+    assert.equal(fs.readFileSync(path.join(dir, 'lms_data.js'), 'utf8'), before);
+
+    assert.equal(run(dir).status, 0);
+    const rebuilt = fs.readFileSync(path.join(dir, 'lms_data.js'), 'utf8');
+    assert.match(rebuilt, /kdca2017\/male_height\.csv\s+sha256:[0-9a-f]{64}/);
+    assert.equal(run(dir, '--check').status, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('목록에 있는 표 파일이 없으면 실패합니다', () => {
+  const dir = makeWorkspace();
+  try {
+    fs.rmSync(path.join(dir, 'data', 'who2006', 'male_head.csv'));
+    const result = run(dir);
+    assert.equal(result.status, 1);
+    assert.match(result.output, /파일을 찾을 수 없습니다: who2006\/male_head\.csv/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
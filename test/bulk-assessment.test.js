@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BULK_COLUMNS, normalizeRecord, csvLine } = require('../bulk-assessment.js');
+const { startSkillServer } = require('./skill-server.js');
+
+let server;
+test.before(async () => {
+  server = await startSkillServer({ BULK_MAX_ROWS: '3' });
+});
+test.after(() => server.close());
+
+// 결과 CSV를 읽어 { 열 이름: 값 } 배열로 돌려줍니다 (값에 쉼표가 들어간 칸은 검사하지 않습니다)
+async function bulk(contentType, body) {
+  const response = await fetch(`${server.baseUrl}/api/v1/assess/bulk`, { method: 'POST', headers: { 'content-type': contentType }, body });
+  const bytes = Buffer.from(await response.arrayBuffer());
+  const text = bytes.toString('utf8');
+  if (!response.headers.get('content-type').startsWith('text/csv')) return { status: response.status, json: JSON.parse(text) };
+
+  const [header, ...lines] = text.replace(/^﻿/, '').split('\r\n').filter(Boolean);
+  const columns = header.split(',');
+  const rows = lines.map(line => Object.fromEntries(line.split(',').map((value, i) => [columns[i], value])));
+  return { status: response.status, bom: text.startsWith('﻿'), columns, rows, lines };
+}
+
+test('열 이름과 값 표기를 맞춥니다', () => {
+  assert.deepEqual(normalizeRecord({ 이름: ' 민준 ', 성별: '남', 생년월일: '2020.3.5', 키: '110' }), {
+    id: '민준', sex: 'male', birthdate: '2020-03-05', height_cm: '110',
+  });
+  assert.deepEqual(normalizeRecord({ Gender: 'F', unknown: 1 }), { sex: 'female' });
+});
+
+test('수식으로 읽힐 수 있는 글자는 앞에 작은따옴표를 붙입니다', () => {
+  assert.equal(csvLine(['=HYPERLINK("x")', '+1', '-x', '@a', -0.5, 'a,b']), `"'=HYPERLINK(""x"")",'+1,'-x,'@a,-0.5,"a,b"\r\n`);
+});
+
+test('CSV 본문을 한 행씩 평가하고 행마다 오류를 알립니다', async () => {
+  const result = await bulk('text/csv', '이름,성별,개월,키,몸무게\n=cmd,남,36,96,14\n서연,여,24,,\n민준,x,36,96,\n');
+  assert.equal(result.status, 200);
+  assert.equal(result.bom, true);
+  assert.deepEqual(result.columns, BULK_COLUMNS);
+
+  const [first, second, third] = result.rows;
+  assert.equal(first.row, '2');
+  assert.equal(first.id, "'=cmd");
+  assert.equal(first.height_percentile, '44.9');
+  assert.equal(first.bmi, '15.2');
+  assert.equal(first.standards, 'kdca2017 who2006');
+  assert.equal(first.error, '');
+  assert.match(result.lines[1], /"height_cm, weight_kg, head_cm 중 하나 이상이 필요합니다\."$/);
+  assert.equal(second.id, '서연');
+  assert.equal(third.error, 'sex는 male 또는 female여야 합니다.');
+});
+
+test('JSON 배열과 NDJSON도 받고, 최대 행 수를 넘으면 멈춥니다', async () => {
+  const json = await bulk('application/json', '[{"id":"a","sex":"male","age_month":36,"height_cm":96}, 5]');
+  assert.equal(json.rows[0].height_z, '-0.13');
+  assert.equal(json.rows[1].row, '');
+  assert.equal(json.rows[1].error, '본문을 읽지 못해 여기서 멈췄어요: 2번째 항목이 객체가 아닙니다.');
+
+  const record = id => JSON.stringify({ id, sex: 'female', age_month: 24, weight_kg: 11 });
+  const ndjson = await bulk('application/x-ndjson', [record('a'), '{bad', record('c'), record('d'), record('e')].join('\n'));
+  assert.deepEqual(ndjson.rows.map(row => [row.row, row.id, row.error]), [
+    ['1', 'a', ''],
+    ['2', '', '올바른 JSON이 아닙니다.'],
+    ['3', 'c', ''],
+    ['4', '', '한 번에 최대 3행까지 평가할 수 있어요. 나머지는 나눠서 올려주세요.'],
+  ]);
+});
+
+test('첫 행 전의 형식 오류는 JSON 오류로 응답합니다', async () => {
+  const unsupported = await bulk('text/plain', 'x');
+  assert.equal(unsupported.status, 415);
+  assert.equal(unsupported.json.error.code, 'unsupported_media_type');
+
+  const notArray = await bulk('application/json', '{"a":1}');
+  assert.equal(notArray.status, 400);
+  assert.equal(notArray.json.error.message, '본문을 읽지 못했습니다: JSON 본문은 배열이어야 합니다.');
+
+  const unterminated = await bulk('application/json', '[{"id":"a","sex":"male","age_month":36,"height_cm":96}');
+  assert.equal(unterminated.status, 200);
+  assert.equal(unterminated.rows[1].error, '본문을 읽지 못해 여기서 멈췄어요: JSON 배열이 끝나지 않았습니다.');
+});
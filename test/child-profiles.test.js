@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EMPTY_PROFILE, ChildProfileError, nameKey, findChild, addChild, renameChild, deleteChild,
+  rememberChildFacts, childSessionData,
+} = require('../child-profiles.js');
+const { parseChildCommand, parseUtterance } = require('../utterance-parser.js');
+const { startSkillServer } = require('./skill-server.js');
+
+test('부를 때 붙는 "이"를 떼고 같은 아이로 찾습니다', () => {
+  assert.equal(nameKey('민준이'), '민준');
+  assert.equal(nameKey('지이'), '지이');
+  const profile = addChild(EMPTY_PROFILE, { name: '민준이', sex: 'male' });
+  assert.equal(findChild(profile, '민준').name, '민준이');
+});
+
+test('추가·이름 변경·삭제는 새 프로필을 돌려주고 잘못된 요청은 ChildProfileError입니다', () => {
+  const one = addChild(EMPTY_PROFILE, { name: '첫째', sex: 'female', birthdate: '2021-01-10' });
+  assert.deepEqual(EMPTY_PROFILE.children, []);
+  assert.throws(() => addChild(one, { name: '첫째' }), ChildProfileError);
+  assert.throws(() => addChild(one, {}), ChildProfileError);
+
+  const renamed = renameChild(one, '첫째', '서연이');
+  assert.deepEqual(renamed.children.map(child => child.name), ['서연이']);
+  assert.throws(() => renameChild(renamed, '둘째', '민준'), ChildProfileError);
+
+  assert.deepEqual(deleteChild(renamed, '서연').children, []);
+  assert.throws(() => deleteChild(renamed, '없는아이'), ChildProfileError);
+});
+
+test('아이는 최대 10명까지 등록합니다', () => {
+  let profile = EMPTY_PROFILE;
+  for (let i = 1; i <= 10; i++) profile = addChild(profile, { name: `아이${i}` });
+  assert.throws(() => addChild(profile, { name: '아이11' }), /최대 10명/);
+});
+
+test('저장된 성별·생년월일·재태 주수는 비어 있을 때만 채웁니다', () => {
+  const profile = addChild(EMPTY_PROFILE, { name: '민준', sex: 'male' });
+  const updated = rememberChildFacts(profile, '민준', { sex: 'female', birthdate: '2022-03-05', gestational_weeks: 34 });
+  assert.deepEqual(updated.children[0], {
+    name: '민준', sex: 'male', birthdate: '2022-03-05', gestational_weeks: 34, measurements: [],
+  });
+  // 나이는 보고서를 만들 때 측정일 기준으로 계산하므로 비워 둡니다
+  assert.deepEqual(childSessionData(updated.children[0]), {
+    child: '민준', sex: 'male', birthdate: '2022-03-05', age_month: null, gestational_weeks: 34,
+  });
+});
+
+test('아이 관리 명령과 아이 이름이 들어간 발화를 해석합니다', () => {
+  assert.equal(parseChildCommand('아이 목록').action, 'list_children');
+  assert.deepEqual(parseChildCommand('아이 추가 민준이 남자 2022-03-05').child, {
+    name: '민준이', sex: 'male', birthdate: '2022-03-05', gestational_weeks: null,
+  });
+  assert.equal(parseChildCommand('아이 추가 서연 여자 2024-01-01 33주').child.gestational_weeks, 33);
+  assert.deepEqual(parseChildCommand('이름 변경 첫째 서연이').child, { name: '첫째', newName: '서연이' });
+  assert.deepEqual(parseChildCommand('아이 삭제 민준이').child, { name: '민준이' });
+  assert.equal(parseChildCommand('키 100 몸무게 15'), null);
+
+  // 명령어 없이 지우는 말은 등록된 아이 이름일 때만 삭제로 봅니다
+  assert.deepEqual(parseChildCommand('민준이 삭제해줘', ['민준']).child, { name: '민준' });
+  assert.deepEqual(parseChildCommand('민준이를 지워줘', ['민준']).child, { name: '민준' });
+  assert.equal(parseChildCommand('기록 삭제', ['민준']), null);
+  assert.equal(parseChildCommand('키 삭제해줘', ['민준']), null);
+  assert.equal(parseChildCommand('민준이 삭제'), null);
+
+  const decision = parseUtterance({}, '민준이 키 105', { childNames: ['민준이'] });
+  assert.equal(decision.data.child, '민준이');
+  assert.equal(decision.data.height_cm, 105);
+});
+
+test('스킬: 등록한 아이의 정보로 바로 분석하고 목록·이름 변경·삭제를 처리합니다', async () => {
+  const server = await startSkillServer();
+  try {
+    assert.match((await server.say('p1', '아이 추가 민준이 남자 2022-03-05')).text, /등록을 완료/);
+    assert.match((await server.say('p1', '아이 목록')).text, /- 민준이: 남자, 2022-03-05생/);
+    assert.match((await server.say('p1', '민준이 키 95')).text, /민준이 성장 발달 분석 결과/);
+
+    // 아이 이름이 아닌 말에 '삭제'가 붙어도 아이를 지우지 않습니다
+    for (const utterance of ['기록 삭제', '키 삭제해줘']) {
+      assert.doesNotMatch((await server.say('p1', utterance)).text, /삭제/);
+    }
+    assert.match((await server.say('p1', '아이 목록')).text, /- 민준이: /);
+
+    assert.match((await server.say('p1', '이름 변경 민준이 첫째')).text, /'첫째'\(으\)로 바꿨어요/);
+    assert.match((await server.say('p1', '아이 삭제 첫째')).text, /'첫째'의 정보와 측정 기록을 모두 삭제할까요\?/);
+    assert.match((await server.say('p1', '아이 목록')).text, /- 첫째: /);
+    assert.match((await server.say('p1', '아이 삭제 첫째')).text, /삭제할까요\?/);
+    assert.match((await server.say('p1', '맞아요')).text, /'첫째' 정보를 삭제/);
+    assert.match((await server.say('p1', '아이 목록')).text, /등록된 아이가 없어요/);
+    assert.match((await server.say('p1', '아이 삭제 없는아이')).text, /'없는아이'\(이\)라는 아이를 찾을 수 없어요/);
+  } finally {
+    await server.close();
+  }
+});
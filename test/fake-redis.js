@@ -0,0 +1,126 @@
+/**
+ * 테스트용 최소 Redis 서버입니다. 세션 저장소와 요청 수 제한기가 보내는 명령만 흉내 냅니다.
+ * (이 파일에는 테스트가 없습니다)
+ */
+
+const net = require('net');
+
+// 들어온 버퍼에서 RESP 배열 명령을 하나씩 꺼냅니다
+function readCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) break;
+    const count = Number(buffer.toString('utf8', offset + 1, lineEnd));
+    let cursor = lineEnd + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const end = buffer.indexOf('\r\n', cursor);
+      if (end === -1) return { commands, rest: buffer.subarray(offset) };
+      const length = Number(buffer.toString('utf8', cursor + 1, end));
+      if (buffer.length < end + 2 + length + 2) return { commands, rest: buffer.subarray(offset) };
+      args.push(buffer.toString('utf8', end + 2, end + 2 + length));
+      cursor = end + 2 + length + 2;
+    }
+    commands.push(args);
+    offset = cursor;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+const encode = value => {
+  if (value === null) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+};
+
+/**
+ * password를 주면 AUTH 전의 명령을 거부하고, silent면 연결만 받고 아무 응답도 하지 않습니다.
+ */
+async function startFakeRedis({ password, silent = false } = {}) {
+  const store = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const alive = key => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) store.delete(key);
+    return store.get(key) || null;
+  };
+
+  function run([name, ...args], state) {
+    const command = name.toUpperCase();
+    if (command === 'AUTH') {
+      if (args[args.length - 1] !== password) return new Error('WRONGPASS invalid username-password pair');
+      state.authed = true;
+      return 'OK';
+    }
+    if (password && !state.authed) return new Error('NOAUTH Authentication required.');
+
+    switch (command) {
+      case 'SELECT':
+        return Number(args[0]) < 16 ? 'OK' : new Error('ERR DB index is out of range');
+      case 'GET':
+        return alive(args[0])?.value ?? null;
+      case 'SET': {
+        const [key, value, ...options] = args;
+        const upper = options.map(option => option.toUpperCase());
+        if (upper.includes('NX') && alive(key)) return null;
+        const px = upper.indexOf('PX');
+        store.set(key, { value, expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+        return 'OK';
+      }
+      case 'DEL':
+        return store.delete(args[0]) ? 1 : 0;
+      case 'EVAL': {
+        const [script, , key, arg] = args;
+        if (script.includes('INCR')) {
+          const entry = alive(key) || { value: '0', expiresAt: null };
+          entry.value = String(Number(entry.value) + 1);
+          if (entry.expiresAt === null) entry.expiresAt = Date.now() + Number(arg);
+          store.set(key, entry);
+          return [Number(entry.value), entry.expiresAt - Date.now()];
+        }
+        // 잠금 해제: 토큰이 같을 때만 지웁니다
+        if (alive(key)?.value === arg) return store.delete(key) ? 1 : 0;
+        return 0;
+      }
+      case 'QUIT':
+        return 'OK';
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    const state = { authed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      const parsed = readCommands(Buffer.concat([buffer, chunk]));
+      buffer = parsed.rest;
+      for (const args of parsed.commands) {
+        commands.push(args);
+        if (!silent) socket.write(encode(run(args, state)));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${server.address().port}`,
+    port: server.address().port,
+    store,
+    commands,
+    async close() {
+      for (const socket of sockets) socket.destroy();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startFakeRedis };
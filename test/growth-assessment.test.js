@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AssessmentInputError, assessGrowth, findOutOfRangeInputs, implausibleMetrics,
+} = require('../growth-assessment.js');
+
+test('지표별 z-점수, 백분위, 판정과 실제로 쓴 기준을 돌려줍니다', () => {
+  const assessment = assessGrowth({ sex: 'male', age_month: 36, height_cm: 96, weight_kg: 14 });
+  assert.equal(assessment.bmi, 15.2);
+  assert.deepEqual(assessment.metrics.map(item => [item.metric, item.standard, item.percentile, item.interpretation.category]), [
+    ['height', 'kdca2017', 44.9, 'height_normal'],
+    ['weight', 'kdca2017', 29.8, 'weight_normal'],
+    ['wfh', 'who2006', 39.5, 'wfl_normal'],
+    ['bmi', 'who2006', 37.2, 'bmi_normal'],
+  ]);
+  assert.deepEqual(assessment.standards, ['kdca2017', 'who2006']);
+  assert.deepEqual(implausibleMetrics(assessment), []);
+});
+
+test('기준 자료가 없는 지표는 이유와 함께 돌려줍니다', () => {
+  const { metrics } = assessGrowth({ sex: 'female', age_month: 230, height_cm: 160 });
+  assert.equal(metrics[0].zScore, null);
+  assert.match(metrics[0].missingReason, /기준표 범위\(0개월~\d+세\) 밖의 나이/);
+});
+
+test('직접 잰 값이 이상하면 그 값만 확인 대상으로 돌려줍니다', () => {
+  const assessment = assessGrowth({ sex: 'male', age_month: 36, height_cm: 150, weight_kg: 14 });
+  assert.deepEqual(implausibleMetrics(assessment).map(item => item.metric), ['height']);
+});
+
+test('입력 범위를 벗어난 값만 범위와 함께 찾습니다', () => {
+  assert.deepEqual(findOutOfRangeInputs({ height_cm: 1000, weight_kg: 14, head_cm: null }), [
+    { field: 'height_cm', value: 1000, min: 20, max: 250 },
+  ]);
+  assert.deepEqual(findOutOfRangeInputs({ age_month: 36, height_cm: 96 }), []);
+});
+
+test('평가할 수 없는 입력은 항목과 함께 AssessmentInputError로 알립니다', () => {
+  const field = input => {
+    try {
+      assessGrowth(input);
+    } catch (error) {
+      assert.ok(error instanceof AssessmentInputError);
+      return error.field;
+    }
+    return null;
+  };
+  assert.equal(field({ sex: 'x', age_month: 36, height_cm: 96 }), 'sex');
+  assert.equal(field({ sex: 'male', age_month: 36 }), 'measurements');
+  assert.equal(field({ sex: 'male', height_cm: 96 }), 'age_month');
+  assert.equal(field({ sex: 'male', birthdate: '2024-01-01', measured_on: '2023-01-01', height_cm: 60 }), 'measured_on');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GrowthChartError, renderChartSvg, renderChartPng, parsePoints, chartPath } = require('../growth-chart.js');
+const { startSkillServer } = require('./skill-server.js');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test('백분위 곡선 7개와 측정값을 잇는 선, 점을 그립니다', () => {
+  const svg = renderChartSvg({ sex: 'male', metric: 'height', points: [{ age_month: 24, value: 86 }, { age_month: 30, value: 91 }] });
+  assert.match(svg, /^<svg /);
+  assert.match(svg, /남자 키 성장 곡선 \(cm\)/);
+  // 36개월에서 기준이 바뀌어 곡선 7개가 두 토막씩 그려지고, 백분위 이름은 곡선마다 한 번 붙습니다
+  assert.equal(svg.match(/<polyline /g).length, 15);
+  assert.equal(svg.match(/fill="#607d8b"/g).length, 7);
+  assert.equal(svg.match(/<circle /g).length, 2);
+});
+
+test('기준이 바뀌는 나이에서 곡선을 나누고 구간마다 기준 이름을 적습니다', () => {
+  const svg = renderChartSvg({ sex: 'male', metric: 'height', fromMonth: 12, toMonth: 60 });
+  assert.equal(svg.match(/<polyline /g).length, 14);
+  assert.equal(svg.match(/stroke-dasharray/g).length, 1);
+  assert.match(svg, /text-anchor="end" fill="#666666">WHO 성장기준<\/text>/);
+  assert.match(svg, /fill="#666666">2017 한국 소아청소년 성장도표<\/text>/);
+
+  // 기준을 지정하면 곡선이 이어집니다
+  const who = renderChartSvg({ sex: 'male', metric: 'height', fromMonth: 12, toMonth: 60, standard: 'who2006' });
+  assert.equal(who.match(/<polyline /g).length, 7);
+  assert.doesNotMatch(who, /stroke-dasharray/);
+});
+
+test('지정한 나이 구간 밖의 측정값은 그리지 않습니다', () => {
+  const svg = renderChartSvg({ sex: 'female', metric: 'weight', points: [{ age_month: 60, value: 18 }], fromMonth: 0, toMonth: 24 });
+  assert.equal((svg.match(/<circle /g) || []).length, 0);
+});
+
+test('잘못된 성별·지표·나이 구간은 GrowthChartError입니다', () => {
+  assert.throws(() => renderChartSvg({ sex: 'other', metric: 'height' }), GrowthChartError);
+  assert.throws(() => renderChartSvg({ sex: 'male', metric: 'iq' }), GrowthChartError);
+  assert.throws(() => renderChartSvg({ sex: 'male', metric: 'height', fromMonth: 30, toMonth: 10 }), GrowthChartError);
+});
+
+test('측정값 쿼리를 읽고 차트 주소를 만듭니다', () => {
+  assert.deepEqual(parsePoints('15:80,18.5:82.3'), [{ age_month: 15, value: 80 }, { age_month: 18.5, value: 82.3 }]);
+  assert.deepEqual(parsePoints(''), []);
+  assert.throws(() => parsePoints('15-80'), GrowthChartError);
+  assert.equal(chartPath({ sex: 'male', metric: 'height', points: [{ age_month: 15.04, value: 80 }] }), '/chart/male/height.png?points=15:80');
+});
+
+test('PNG로 변환합니다', () => {
+  const png = renderChartPng({ sex: 'female', metric: 'height', points: [{ age_month: 12, value: 74 }] });
+  assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+});
+
+test('함께 배포하는 Noto Sans 글꼴로 글자를 그립니다', () => {
+  const svg = renderChartSvg({ sex: 'male', metric: 'height' });
+  assert.match(svg, /font-family="'Noto Sans KR', 'Noto Sans SC', sans-serif"/);
+  for (const file of ['@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf', '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf']) {
+    assert.ok(require.resolve(file));
+  }
+});
+
+test('스킬: /chart는 이미지를, 잘못된 요청에는 400을 돌려줍니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const svg = await fetch(`${server.baseUrl}/chart/male/height.svg?points=24:86`);
+    assert.equal(svg.status, 200);
+    assert.match(svg.headers.get('content-type'), /image\/svg\+xml/);
+
+    const png = await fetch(`${server.baseUrl}/chart/male/height.png`);
+    assert.deepEqual(Buffer.from(await png.arrayBuffer()).subarray(0, 8), PNG_SIGNATURE);
+
+    assert.equal((await fetch(`${server.baseUrl}/chart/male/height.png?points=abc`)).status, 400);
+    assert.equal((await fetch(`${server.baseUrl}/chart/male/height.gif`)).status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('스킬: 보고서에 성장 곡선 카드를 붙입니다', async () => {
+  const server = await startSkillServer({ KAKAO_RESPONSE_MODE: 'rich' });
+  try {
+    const { body } = await server.say('c1', '남자 3살 키 96');
+    const card = body.template.outputs.find(output => output.basicCard?.thumbnail);
+    assert.equal(card.basicCard.title, '키 성장 곡선');
+    assert.match(card.basicCard.thumbnail.imageUrl, /\/chart\/male\/height\.png\?points=36:96$/);
+  } finally {
+    await server.close();
+  }
+});
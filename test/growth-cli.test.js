@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'growth.js');
+
+function growth(args, { input } = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf8', input, env: { ...process.env, GROWTH_STANDARD: '' },
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function withCsv(content, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'growth-cli-test-'));
+  try {
+    const file = path.join(dir, 'children.csv');
+    fs.writeFileSync(file, content);
+    return fn(file, dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('assess는 지표별 표와 출처를 보여주고 0으로 끝납니다', () => {
+  const result = growth(['assess', '--sex', 'male', '--age', '36', '--height', '96', '--weight', '14']);
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /^남아, 3세 \(입력한 나이 기준\)/);
+  assert.match(result.stdout, /키 +96 cm +-0\.13 +44\.9 +보통 +2017 한국 소아청소년 성장도표/);
+  assert.match(result.stdout, /출처: 질병관리청/);
+});
+
+test('assess --format json은 API와 같은 형식입니다', () => {
+  const result = growth(['assess', '--sex', 'female', '--age', '24', '--weight', '11', '--format', 'json']);
+  assert.equal(result.status, 0, result.stderr);
+  const body = JSON.parse(result.stdout);
+  assert.equal(body.metrics[0].metric, 'weight');
+  assert.equal(body.metrics[0].standard, 'who2006');
+  assert.equal(body.metrics[0].percentile, 36.5);
+});
+
+test('잘못된 입력은 옵션 이름과 함께 알리고 1로 끝납니다', () => {
+  const badSex = growth(['assess', '--sex', 'x', '--age', '36', '--height', '96']);
+  assert.equal(badSex.status, 1);
+  assert.equal(badSex.stderr, '--sex: sex는 male 또는 female여야 합니다.\n');
+
+  const noMeasurement = growth(['assess', '--sex', 'male', '--age', '36']);
+  assert.equal(noMeasurement.status, 1);
+  assert.match(noMeasurement.stderr, /^--height\/--weight\/--head: /);
+
+  const missingFile = growth(['batch', path.join(os.tmpdir(), 'growth-cli-missing.csv')]);
+  assert.equal(missingFile.status, 1);
+  assert.match(missingFile.stderr, /파일을 찾을 수 없습니다/);
+});
+
+test('명령줄 사용 오류는 사용법과 함께 2로 끝납니다', () => {
+  for (const args of [['frob'], ['assess', '--bogus'], ['batch'], ['batch', 'children.txt'], ['assess', '--format', 'csv']]) {
+    const result = growth(args);
+    assert.equal(result.status, 2, args.join(' '));
+    assert.match(result.stderr, /사용법:/);
+  }
+  const help = growth(['--help']);
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^사용법:/);
+});
+
+test('batch는 행마다 평가하고 오류 행은 표시한 뒤 계속합니다', () => {
+  withCsv('이름,성별,개월,키\n민준,남,36,96\n서연,x,24,80\n', file => {
+    const table = growth(['batch', file]);
+    assert.equal(table.status, 0, table.stderr);
+    assert.match(table.stdout, /^2 +민준 +36 +44\.9 보통/m);
+    assert.match(table.stdout, /^3 +서연 +오류: sex는 male 또는 female여야 합니다\.$/m);
+    assert.equal(table.stderr, '2행 평가, 오류 1행\n');
+
+    const json = JSON.parse(growth(['batch', file, '--format', 'json']).stdout);
+    assert.deepEqual(json.map(item => [item.row, item.id, item.error]), [
+      [2, '민준', null],
+      [3, '서연', 'sex는 male 또는 female여야 합니다.'],
+    ]);
+
+    const csv = growth(['batch', file, '--format', 'csv']).stdout.split('\r\n');
+    assert.match(csv[0], /^﻿row,id,sex,/);
+    assert.match(csv[1], /^2,민준,male,,36,,96,/);
+  });
+});
+
+test('표준 입력을 끝까지 읽지 못하면 읽은 행까지 쓰고 1로 끝납니다', () => {
+  const result = growth(['batch', '-', '--input-format', 'json', '--format', 'csv'], {
+    input: '[{"id":"a","sex":"male","age_month":36,"height_cm":96}',
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /\r\n1,a,male,,36,,96,/);
+  assert.match(result.stderr, /입력을 끝까지 읽지 못했습니다: JSON 배열이 끝나지 않았습니다\./);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLms } = require('../growth.js');
+const { analyzeHistory, formatHistory } = require('../growth-history.js');
+const { EMPTY_PROFILE, addChild, recordMeasurement } = require('../child-profiles.js');
+const { startSkillServer } = require('./skill-server.js');
+
+// LMS에서 z-점수에 해당하는 측정값을 구합니다
+function valueAt(metric, ageMonth, zScore) {
+  const { L, M, S } = getLms('male', metric, ageMonth);
+  return Math.round(M * Math.pow(1 + L * S * zScore, 1 / L) * 10) / 10;
+}
+
+test('주요 백분위 선을 2개 이상 가로지르면 표시합니다', () => {
+  const { points, flags } = analyzeHistory('male', [
+    { date: '2024-06-01', age_month: 30, height_cm: valueAt('height', 30, -1.2) },
+    { date: '2024-01-01', age_month: 24, height_cm: valueAt('height', 24, 0.8) },
+  ]);
+  assert.deepEqual(points.map(point => point.date), ['2024-01-01', '2024-06-01']);
+  assert.equal(flags.length, 1);
+  assert.equal(flags[0].type, 'percentile_crossing');
+  assert.equal(flags[0].direction, 'down');
+  assert.deepEqual(flags[0].linesCrossed, [25, 50, 75]);
+});
+
+test('키는 유지되는데 몸무게 z-점수만 떨어지면 표시합니다', () => {
+  const { flags } = analyzeHistory('male', [
+    { date: '2024-01-01', age_month: 24, height_cm: valueAt('height', 24, 0), weight_kg: valueAt('weight', 24, 0.3) },
+    { date: '2024-04-01', age_month: 27, height_cm: valueAt('height', 27, 0.1), weight_kg: valueAt('weight', 27, -0.5) },
+  ]);
+  assert.deepEqual(flags.map(flag => flag.type), ['weight_faltering']);
+});
+
+test('비슷한 곡선을 따라 자라면 표시 없이 기록만 보여줍니다', () => {
+  const history = analyzeHistory('male', [
+    { date: '2024-01-01', age_month: 24, height_cm: valueAt('height', 24, 0.2) },
+    { date: '2024-07-01', age_month: 30, height_cm: valueAt('height', 30, 0.3) },
+  ]);
+  assert.deepEqual(history.flags, []);
+  const text = formatHistory('민준', history);
+  assert.match(text, /\[민준 성장 기록\]/);
+  assert.match(text, /비슷한 곡선을 따라/);
+  assert.match(formatHistory('민준', { points: [], flags: [] }), /측정 기록이 아직 없어요/);
+});
+
+test('측정 기록은 날짜순으로 저장하고 등록되지 않은 아이는 그대로 둡니다', () => {
+  let profile = addChild(EMPTY_PROFILE, { name: '민준', sex: 'male' });
+  profile = recordMeasurement(profile, '민준', { date: '2024-05-01', age_month: 26, height_cm: 90 });
+  profile = recordMeasurement(profile, '민준', { date: '2024-01-01', age_month: 22, weight_kg: 12 });
+  assert.deepEqual(profile.children[0].measurements.map(m => m.date), ['2024-01-01', '2024-05-01']);
+  assert.equal(recordMeasurement(profile, '서연', { date: '2024-05-01', age_month: 1 }), profile);
+});
+
+test('같은 날짜의 기록은 이전 값을 이어받지 않고 새 기록으로 바꿉니다', () => {
+  let profile = addChild(EMPTY_PROFILE, { name: '민준', sex: 'male' });
+  profile = recordMeasurement(profile, '민준', { date: '2024-05-01', age_month: 26, height_cm: 90 });
+  profile = recordMeasurement(profile, '민준', { date: '2024-05-01', age_month: 26, weight_kg: 13 });
+  assert.deepEqual(profile.children[0].measurements, [
+    { date: '2024-05-01', age_month: 26, chronological_month: 26, height_cm: null, weight_kg: 13, head_cm: null },
+  ]);
+});
+
+test('같은 날 다른 나이로 말한 측정은 서로 덮어쓰지 않습니다', () => {
+  let profile = addChild(EMPTY_PROFILE, { name: '민준', sex: 'male' });
+  profile = recordMeasurement(profile, '민준', { date: '2024-05-01', age_month: 36, height_cm: 96 });
+  profile = recordMeasurement(profile, '민준', { date: '2024-05-01', age_month: 24, height_cm: 86 });
+  assert.deepEqual(profile.children[0].measurements.map(m => [m.age_month, m.height_cm]), [[24, 86], [36, 96]]);
+
+  profile = recordMeasurement(profile, '민준', { date: '2024-05-01', age_month: 36, height_cm: 97 });
+  assert.deepEqual(profile.children[0].measurements.map(m => [m.age_month, m.height_cm]), [[24, 86], [36, 97]]);
+});
+
+test('스킬: 분석한 측정을 아이 기록에 저장하고 성장 기록으로 보여줍니다', async () => {
+  const server = await startSkillServer();
+  try {
+    await server.say('h1', '아이 추가 민준이 남자 2022-03-05');
+    assert.match((await server.say('h1', '민준이 키 95 몸무게 14')).text, /측정 기록을 저장했어요/);
+    const history = (await server.say('h1', '민준이 성장 기록')).text;
+    assert.match(history, /\[민준이 성장 기록\]/);
+    assert.match(history, /95cm\(z [+-]\d\.\d\d\), 14kg/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('스킬: 머리둘레만 알려줘도 분석하고 기록에 남깁니다', async () => {
+  const server = await startSkillServer();
+  try {
+    await server.say('h2', '아이 추가 서연이 여자 2023-01-10');
+    assert.match((await server.say('h2', '서연이 머리둘레 45')).text, /- 머리둘레: 45cm/);
+    assert.match((await server.say('h2', '서연이 성장 기록')).text, /45cm\(/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STANDARDS, standardCandidates, parseStandard, resolveStandardSetting, describeStandard, formatCitations,
+} = require('../growth-standards.js');
+const { selectStandard, getAgeRange } = require('../growth.js');
+const { startSkillServer } = require('./skill-server.js');
+
+test('36개월 미만은 WHO, 이후는 한국 성장도표를 먼저 고릅니다', () => {
+  assert.deepEqual(standardCandidates(12), ['who2006', 'kdca2017']);
+  assert.deepEqual(standardCandidates(36), ['kdca2017', 'who2006']);
+  assert.deepEqual(standardCandidates(null), ['who2006', 'kdca2017']);
+  assert.deepEqual(standardCandidates(48, 'who2006'), ['who2006', 'kdca2017']);
+});
+
+test('지표마다 자료가 있는 기준으로 넘어갑니다', () => {
+  assert.equal(selectStandard('male', 'height', 12), 'who2006');
+  assert.equal(selectStandard('male', 'height', 48), 'kdca2017');
+  assert.equal(selectStandard('male', 'height', 48, { preferred: 'who2006' }), 'who2006');
+  // 한국 성장도표에는 BMI 표가 없으므로 WHO를 씁니다
+  assert.equal(selectStandard('male', 'bmi', 48), 'who2006');
+  assert.equal(selectStandard('female', 'wfl', 12, { lengthCm: 70 }), 'who2006');
+  // 머리둘레는 WHO 표만 있고 60개월까지입니다
+  assert.equal(selectStandard('female', 'head', 48), 'who2006');
+  assert.equal(selectStandard('female', 'head', 61), null);
+  assert.equal(selectStandard('male', 'height', 300), null);
+});
+
+test('기준을 지정하면 그 기준의 나이 범위만 봅니다', () => {
+  assert.deepEqual(getAgeRange('male', 'height', 'kdca2017'), { min: 0, max: 227 });
+  assert.equal(getAgeRange('male', 'bmi', 'kdca2017'), null);
+  assert.deepEqual(getAgeRange('male', 'bmi'), { min: 0, max: 228 });
+  assert.deepEqual(getAgeRange('male', 'head'), { min: 0, max: 60 });
+});
+
+test('발화에서 기준 지정 표현을 찾습니다', () => {
+  assert.equal(parseStandard('WHO 기준으로 봐주세요'), 'who2006');
+  assert.equal(parseStandard('한국 기준으로'), 'kdca2017');
+  assert.equal(parseStandard('질병관리청 성장도표'), 'kdca2017');
+  assert.equal(parseStandard('기준 자동으로 돌려줘'), 'auto');
+  assert.equal(parseStandard('CDC 기준으로'), 'cdc2000');
+  assert.equal(parseStandard('남자 3살 키 96'), null);
+});
+
+test('GROWTH_STANDARD 설정을 검증합니다', () => {
+  assert.equal(resolveStandardSetting(''), null);
+  assert.equal(resolveStandardSetting('auto'), null);
+  assert.equal(resolveStandardSetting('who2006'), 'who2006');
+  assert.throws(() => resolveStandardSetting('cdc2000'), /CDC 2000 기준은 자료가 없어 아직 지원하지 않습니다/);
+  assert.throws(() => resolveStandardSetting('nchs'), /지원하지 않는 GROWTH_STANDARD/);
+});
+
+test('출처 문구는 실제로 쓴 기준만 한 번씩 적습니다', () => {
+  assert.equal(formatCitations([]), null);
+  assert.equal(formatCitations(['who2006', 'who2006', 'unknown']), `출처: ${STANDARDS.who2006.citation}`);
+  assert.equal(describeStandard('kdca2017'), '2017 한국 소아청소년 성장도표');
+});
+
+test('보고서에 적용 기준과 출처를 표시하고, 고른 기준을 기억합니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const report = await server.say('std-user', '남자 3살 키 96 몸무게 14');
+    assert.match(report.text, /적용 기준: 2017 한국 소아청소년 성장도표, WHO 성장기준/);
+    assert.match(report.text, /출처: 질병관리청/);
+
+    const who = await server.say('std-user', 'WHO 기준으로 남자 3살 키 96');
+    assert.match(who.text, /앞으로 이 기준으로 계산할게요: WHO 성장기준/);
+    assert.match(who.text, /적용 기준: WHO 성장기준\n/);
+    assert.match(who.text, /height\.png\?points=36:96&standard=who2006/);
+
+    const remembered = await server.say('std-user', '남자 4살 키 103');
+    assert.match(remembered.text, /적용 기준: WHO 성장기준\n/);
+
+    const reset = await server.say('std-user', '기준 자동 남자 4살 키 103');
+    assert.match(reset.text, /기본 기준\(36개월 미만 WHO, 이후 한국 성장도표\)/);
+    assert.match(reset.text, /적용 기준: 2017 한국 소아청소년 성장도표\n/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('CDC 2000은 지원 범위가 아니라고 알리고 기준을 바꾸지 않습니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const report = await server.say('cdc-user', 'CDC 기준으로 남자 3살 키 96');
+    assert.match(report.text, /CDC 2000 성장도표는 기준 자료가 없어 아직 지원하지 않아요/);
+    assert.match(report.text, /적용 기준: 2017 한국 소아청소년 성장도표\n/);
+
+    const response = await fetch(`${server.baseUrl}/api/v1/assess`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ sex: 'male', age_month: 36, height_cm: 96, standard: 'cdc2000' }),
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.field, 'standard');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessVelocity, formatVelocity } = require('../growth-velocity.js');
+const { analyzeHistory } = require('../growth-history.js');
+const { startSkillServer } = require('./skill-server.js');
+
+const measurement = (date, age_month, height_cm, weight_kg = null) => ({ date, age_month, height_cm, weight_kg });
+
+test('날짜 사이의 연간 속도와 또래 중앙값을 구합니다', () => {
+  const [height, weight] = assessVelocity('male', [
+    measurement('2023-01-01', 24, 87.1161, 12),
+    measurement('2024-01-01', 36, 96.5, 14),
+  ]);
+  assert.equal(height.months, 12);
+  assert.equal(height.perYear, 9.4);
+  assert.equal(height.medianPerYear, 9.4);
+  assert.equal(height.standard, 'kdca2017');
+  assert.equal(weight.perYear, 2);
+  assert.equal(weight.medianPerYear, 2.59);
+  assert.equal(formatVelocity(height), '키 성장 속도 9.4cm/년 (12개월간, 또래 중앙값 9.4cm/년)');
+  assert.equal(formatVelocity(weight), '체중 증가 2kg/년 (12개월간, 또래 중앙값 2.59kg/년)');
+});
+
+test('속도 백분위는 내지 않고, 느린 속도도 변화 표시로 만들지 않습니다', () => {
+  const measurements = [
+    measurement('2023-01-01', 24, 87, 12),
+    measurement('2023-07-05', 30, 88, 12.2),
+  ];
+  const [height] = assessVelocity('male', measurements);
+  assert.equal(height.months, 6.1);
+  assert.equal(height.percentile, undefined);
+  assert.deepEqual(analyzeHistory('male', measurements).flags, []);
+});
+
+test('12개월에 가장 가까운 6~12개월 전 측정과 비교합니다', () => {
+  const [height] = assessVelocity('male', [
+    measurement('2022-01-01', 12, 75),
+    measurement('2022-11-01', 22, 85),
+    measurement('2023-01-01', 24, 87),
+  ]);
+  assert.equal(height.from.date, '2022-01-01');
+  assert.equal(height.perYear, 12);
+});
+
+test('3개월보다 가까운 측정만 있으면 속도를 구하지 않습니다', () => {
+  assert.deepEqual(assessVelocity('male', [
+    measurement('2023-01-01', 24, 87, 12),
+    measurement('2023-02-01', 25, 88, 12.2),
+  ]), []);
+  assert.deepEqual(assessVelocity('male', [measurement('2023-01-01', 24, 87, 12)]), []);
+});
+
+test('스킬: 이전 기록이 있으면 보고서와 성장 기록에 성장 속도를 보여줍니다', async () => {
+  const server = await startSkillServer();
+  try {
+    await server.say('v1', '아이 추가 민준이 남자 2022-03-05');
+    const first = await server.say('v1', '민준이 키 87 측정일 2024-03-05');
+    assert.doesNotMatch(first.text, /\[성장 속도\]/);
+
+    const second = await server.say('v1', '민준이 키 88 측정일 2024-09-10');
+    assert.match(second.text, /\[성장 속도\]\n- 키 성장 속도 1\.9cm\/년 \(6\.2개월간, 또래 중앙값 9\.6cm\/년\)\n또래 중앙값은/);
+    assert.doesNotMatch(second.text, /백분위보다 느려요/);
+
+    const history = await server.say('v1', '민준이 성장 기록');
+    assert.match(history.text, /\[최근 성장 속도\]\n- 키 성장 속도 1\.9cm\/년/);
+    assert.doesNotMatch(history.text, /키 성장 속도가/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BMI_MIN_AGE_MONTHS, getLms, getLmsByLength, getAgeRange, interpolateLms, weightForLengthMetric,
+  calculateZScore, calculatePercentile, calculateBmi,
+  valueAtPercentile, referenceValues, valueAtZScore, isImplausibleZScore, formatZScore,
+} = require('../growth.js');
+const { startSkillServer } = require('./skill-server.js');
+
+test('LMS 중앙값(M)은 z 0, 백분위 50입니다', () => {
+  const lms = getLms('male', 'height', 36);
+  assert.ok(Math.abs(calculateZScore(lms.M, lms)) < 1e-12);
+  assert.equal(calculatePercentile(lms.M, lms), 50);
+  assert.equal(calculateZScore(100, null), null);
+});
+
+test('L이 0이면 로그 변환으로 z-점수를 구합니다', () => {
+  const lms = { L: 0, M: 10, S: 0.1 };
+  assert.ok(Math.abs(calculateZScore(10 * Math.exp(0.1), lms) - 1) < 1e-9);
+});
+
+test('BMI를 소수 첫째 자리로 계산합니다', () => {
+  assert.equal(calculateBmi(100, 16), 16);
+  assert.equal(calculateBmi(100, null), null);
+});
+
+test('BMI 기준표는 만 2세부터 있습니다', () => {
+  assert.equal(BMI_MIN_AGE_MONTHS, 24);
+  assert.ok(getLms('female', 'bmi', 24));
+});
+
+test('신장별 체중은 2세 미만 누운 키(wfl), 5세까지 선 키(wfh) 표를 씁니다', () => {
+  assert.equal(weightForLengthMetric(23), 'wfl');
+  assert.equal(weightForLengthMetric(24), 'wfh');
+  assert.equal(weightForLengthMetric(60), 'wfh');
+  assert.equal(weightForLengthMetric(61), null);
+});
+
+test('0.5cm 사이의 신장은 인접한 두 LMS를 보간합니다', () => {
+  const lower = getLmsByLength('male', 'wfl', 45);
+  const upper = getLmsByLength('male', 'wfl', 45.5);
+  assert.deepEqual(lower, { L: -0.3521, M: 2.441, S: 0.09182 });
+
+  const middle = getLmsByLength('male', 'wfl', 45.25);
+  assert.deepEqual(middle, interpolateLms(lower, upper, 0.5));
+  assert.ok(Math.abs(middle.M - (2.441 + 2.5244) / 2) < 1e-9);
+
+  assert.equal(getLmsByLength('male', 'wfl', 30), null);
+  assert.equal(getLmsByLength('male', 'wfl', NaN), null);
+});
+
+test('소수 개월은 앞뒤 달의 LMS를 보간합니다', () => {
+  const lower = getLms('male', 'height', 30);
+  const upper = getLms('male', 'height', 31);
+  assert.deepEqual(getLms('male', 'height', 30.25), interpolateLms(lower, upper, 0.25));
+  assert.equal(getLms('male', 'height', 30), lower);
+  assert.equal(getLms('male', 'height', -1), null);
+});
+
+test('표가 다루는 나이 범위를 알려줍니다', () => {
+  const range = getAgeRange('male', 'height');
+  assert.ok(range.min >= 0 && range.max > range.min);
+  assert.equal(getAgeRange('male', 'unknown'), null);
+});
+
+test('백분위에 해당하는 측정값을 역산합니다', () => {
+  const lms = getLms('female', 'weight', 24);
+  assert.ok(Math.abs(valueAtPercentile(lms, 50) - lms.M) < 1e-9);
+  assert.ok(Math.abs(calculatePercentile(valueAtPercentile(lms, 90), lms) - 90) < 1e-6);
+  assert.equal(valueAtPercentile(lms, 0), null);
+  assert.equal(valueAtPercentile(lms, 100), null);
+});
+
+test('나이에 맞는 기준으로 백분위별 기준값을 구합니다', () => {
+  const reference = referenceValues('male', 'height', 36, [3, 50, 97]);
+  assert.equal(reference.standard, 'kdca2017');
+  assert.deepEqual(reference.values.map(({ percentile, value }) => [percentile, Number(value.toFixed(1))]), [
+    [3, 89.7], [50, 96.5], [97, 104.4],
+  ]);
+  assert.equal(referenceValues('male', 'height', 36, [50], { preferred: 'who2006' }).standard, 'who2006');
+  assert.equal(referenceValues('male', 'height', 300, [50]), null);
+});
+
+test('기준값 질문에 백분위 표로 답합니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const height = await server.say('ref-user', '3살 남자 평균 키');
+    assert.match(height.text, /\[3세 남자 키 기준값\]\n- 3백분위: 89\.7cm\n- 50백분위\(중앙\): 96\.5cm\n- 97백분위: 104\.4cm/);
+    assert.match(height.text, /출처: 질병관리청/);
+
+    const weight = await server.say('ref-user', '24개월 여자 상위 10% 몸무게');
+    assert.match(weight.text, /- 90백분위: 13\.5kg/);
+
+    const bothSexes = await server.say('ref-user2', '12개월 평균 키');
+    assert.match(bothSexes.text, /남자 키 기준값/);
+    assert.match(bothSexes.text, /여자 키 기준값/);
+
+    const noAge = await server.say('ref-user3', '평균 키 알려줘');
+    assert.match(noAge.text, /몇 개월 아이의 기준값을 알려드릴까요/);
+
+    const bmi = await server.say('ref-user', '12개월 여자 평균 BMI');
+    assert.match(bmi.text, /- BMI: 2세 이상부터 평가해요/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('나올 수 없는 값은 확인을 묻지 않고 거절하며 세션에 남기지 않습니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const rejected = await server.say('range-user', '남자 3살 키 1000 몸무게 14');
+    assert.match(rejected.text, /사람에게 나올 수 없는 값이라 분석하지 않았어요.*\n- 키 1,000cm \(가능한 범위 20~250cm\)$/);
+
+    const corrected = await server.say('range-user', '키 96');
+    assert.match(corrected.text, /- 키: 96cm \(하위 44\.9%, z -0\.13, 보통\)/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('±3SD 안에서는 LMS z-점수를 그대로 돌려줍니다', () => {
+  const lms = { L: -0.5, M: 15, S: 0.1 };
+  for (const zScore of [-2.5, -1, 0, 1.5, 3]) {
+    assert.ok(Math.abs(calculateZScore(valueAtZScore(lms, zScore), lms) - zScore) < 1e-9);
+  }
+});
+
+test('±3SD 밖은 2~3SD 간격으로 잰 restricted z를 씁니다', () => {
+  const lms = { L: -0.5, M: 15, S: 0.1 };
+  const high = valueAtZScore(lms, 3) + (valueAtZScore(lms, 3) - valueAtZScore(lms, 2)) * 1.5;
+  assert.ok(Math.abs(calculateZScore(high, lms) - 4.5) < 1e-9);
+  const low = valueAtZScore(lms, -3) - (valueAtZScore(lms, -2) - valueAtZScore(lms, -3)) * 0.5;
+  assert.ok(Math.abs(calculateZScore(low, lms) + 3.5) < 1e-9);
+});
+
+test('지표별 WHO 범위를 벗어난 z-점수는 있기 어려운 값으로 봅니다', () => {
+  assert.equal(isImplausibleZScore('height', -6.1), true);
+  assert.equal(isImplausibleZScore('height', 5.9), false);
+  assert.equal(isImplausibleZScore('weight', 5.1), true);
+  assert.equal(isImplausibleZScore('bmi', -5.1), true);
+  assert.equal(isImplausibleZScore('height', null), false);
+  assert.equal(isImplausibleZScore('unknown', 10), false);
+  assert.equal(formatZScore(1.234), '+1.23');
+  assert.equal(formatZScore(-0.5), '-0.50');
+});
+
+test('있기 어려운 값은 확인을 받은 뒤에 분석합니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const pending = await server.say('z-user', '남자 3살 키 150');
+    assert.match(pending.text, /보기 매우 드문 값이 있어요\.\n- 키 150cm \(z \+11\.25\)/);
+    assert.doesNotMatch(pending.text, /분석 결과/);
+
+    const confirmed = await server.say('z-user', '맞아요');
+    assert.match(confirmed.text, /- 키: 150cm \(z \+11\.25, \+3 SD 초과, 큰 키\)/);
+    assert.match(confirmed.text, /매우 드문 값이 포함되어 있어요/);
+
+    // 바른 값을 다시 알려주면 확인 없이 분석합니다
+    await server.say('z-user2', '남자 3살 키 150');
+    const corrected = await server.say('z-user2', '키 96');
+    assert.match(corrected.text, /- 키: 96cm \(하위 44\.9%, z -0\.13, 보통\)/);
+  } finally {
+    await server.close();
+  }
+});
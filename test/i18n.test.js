@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SUPPORTED_LOCALES, detectLocale, parseLocaleRequest, createTranslator } = require('../i18n.js');
+const { startSkillServer } = require('./skill-server.js');
+
+// 카탈로그를 "a.b.c" 키의 문구 목록으로 폅니다. 복수형 문구({ one, other })는 형태를 이어 붙여 하나로 봅니다
+function messages(node, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(node)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') out[path] = value;
+    else if (value && typeof value === 'object' && typeof value.other === 'string') {
+      out[path] = Object.entries(value).filter(([form]) => form !== 'ordinal').map(([, text]) => text).join('\n');
+    } else if (value && typeof value === 'object') messages(value, path, out);
+  }
+  return out;
+}
+
+const placeholders = text => [...new Set(text.match(/\{\w+\}/g) || [])].sort();
+const catalogues = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, messages(require(`../locales/${locale}.js`))]));
+
+for (const locale of SUPPORTED_LOCALES.filter(code => code !== 'ko')) {
+  test(`${locale} 카탈로그는 한국어 카탈로그의 모든 문구를 같은 자리표시자로 갖춥니다`, () => {
+    const missing = Object.keys(catalogues.ko).filter(key => !(key in catalogues[locale]));
+    const extra = Object.keys(catalogues[locale]).filter(key => !(key in catalogues.ko));
+    assert.deepEqual({ missing, extra }, { missing: [], extra: [] });
+
+    const mismatched = Object.keys(catalogues.ko)
+      .filter(key => placeholders(catalogues.ko[key]).join() !== placeholders(catalogues[locale][key]).join());
+    assert.deepEqual(mismatched, []);
+  });
+}
+
+test('발화의 문자로 언어를 알아봅니다', () => {
+  assert.equal(detectLocale('남자 3살'), 'ko');
+  assert.equal(detectLocale('boy 3 years old height 96'), 'en');
+  assert.equal(detectLocale('bé trai 3 tuổi'), 'vi');
+  assert.equal(detectLocale('男孩 3岁'), 'zh');
+  // 단위와 숫자, 한 단어만으로는 정하지 않습니다
+  assert.equal(detectLocale('96 cm 14 kg'), null);
+  assert.equal(detectLocale('hi'), null);
+});
+
+test('답변 언어를 고르는 요청을 찾습니다', () => {
+  assert.deepEqual(parseLocaleRequest('English please'), { locale: 'en', text: 'please', only: true });
+  assert.deepEqual(parseLocaleRequest('영어로 해줘 남자 3살'), { locale: 'en', text: '해줘 남자 3살', only: false });
+  assert.equal(parseLocaleRequest('请用中文').locale, 'zh');
+  assert.equal(parseLocaleRequest('nói tiếng Việt').locale, 'vi');
+  assert.equal(parseLocaleRequest('안녕'), null);
+});
+
+test('번역 함수는 복수형, 숫자 형식, 한국어 대체를 처리합니다', () => {
+  const en = createTranslator('en');
+  assert.equal(en('age.months', { count: 1 }), '1 month');
+  assert.equal(en('age.months', { count: 3 }), '3 months');
+  assert.equal(en('reference.percentile', { count: 22 }), '22nd percentile');
+  assert.equal(en.z(0.5), '+0.50');
+  assert.equal(createTranslator('vi').number(96.5), '96,5');
+  assert.equal(createTranslator('fr').locale, 'ko');
+  assert.equal(createTranslator('ko')('age.months', { count: 3 }), '3개월');
+  assert.throws(() => en('no.such.key'), /카탈로그에 없는 문구/);
+});
+
+test('스킬: 사용자의 언어로 답하고, 요청하면 언어를 바꿉니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const english = await server.say('lang-en', 'boy 3 years old height 96 weight 14');
+    assert.match(english.text, /^\[Growth assessment\]\n- Age: 3 years \(as entered\)\n- Height: 96cm \(bottom 44\.9%, z -0\.13, Average\)/);
+    assert.match(english.text, /height\.png\?points=36:96&lang=en/);
+
+    const vietnamese = await server.say('lang-vi', 'bé trai 3 tuổi cao 96');
+    assert.match(vietnamese.text, /- Cao: 96cm \(nhóm 44,9% thấp nhất, z -0,13, Bình thường\)/);
+
+    const chinese = await server.say('lang-zh', '男孩 3岁 身高 96');
+    assert.match(chinese.text, /^\[生长发育评估结果\]/);
+
+    await server.say('lang-switch', '남자 3살');
+    const switched = await server.say('lang-switch', 'English please');
+    assert.match(switched.text, /^I'll reply in English from now on\./);
+    assert.match((await server.say('lang-switch', '키 96')).text, /^\[Growth assessment\]/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  describePercentileRank, describeScore, interpretZScore, summarizeInterpretations,
+} = require('../interpretation.js');
+const { startSkillServer } = require('./skill-server.js');
+
+test('백분위 순위는 50 이상이면 상위, 미만이면 하위로 읽습니다', () => {
+  assert.equal(describePercentileRank(90), '상위 10%');
+  assert.equal(describePercentileRank(44.9), '하위 44.9%');
+  assert.equal(describePercentileRank(50), '상위 50%');
+  assert.equal(describePercentileRank(null), null);
+});
+
+test('±3 SD 밖은 백분위 대신 z-점수로만 표시합니다', () => {
+  assert.equal(describeScore(3.5), 'z +3.50, +3 SD 초과');
+  assert.equal(describeScore(-4), 'z -4.00, -3 SD 미만');
+  assert.equal(describeScore(0), '상위 50%, z +0.00');
+});
+
+test('지표별 구간 경계로 판정합니다', () => {
+  const category = (metric, zScore) => interpretZScore(metric, zScore).category;
+  assert.equal(category('height', -1.9), 'short_stature');
+  assert.equal(category('height', -1.5), 'short_side');
+  assert.equal(category('height', 0), 'height_normal');
+  assert.equal(category('height', 2), 'tall_stature');
+  assert.equal(category('weight', -2), 'weight_low');
+  // BMI는 5/85/95백분위 경계입니다
+  assert.equal(category('bmi', -1.7), 'bmi_underweight');
+  assert.equal(category('bmi', 1.1), 'bmi_overweight');
+  assert.equal(category('bmi', 1.7), 'bmi_obese');
+  // 신장별 체중은 ±2, ±3 SD이며 +2와 +3은 아래 구간에 포함됩니다
+  assert.equal(category('wfl', -3.1), 'wasting_severe');
+  assert.equal(category('wfl', -2.5), 'wasting');
+  assert.equal(category('wfh', 2), 'wfl_normal');
+  assert.equal(category('wfh', 3), 'wfl_overweight');
+  assert.equal(category('wfl', 3.1), 'wfl_obese');
+  assert.equal(category('head', 1.88), 'head_normal');
+  assert.equal(category('head', 1.9), 'head_large');
+
+  assert.equal(interpretZScore('unknown', 0), null);
+  assert.equal(interpretZScore('height', null), null);
+});
+
+test('해석 결과에 문구와 진료 권고 여부가 붙습니다', () => {
+  const interpretation = interpretZScore('height', -2.5);
+  assert.equal(interpretation.label, '저신장');
+  assert.equal(interpretation.referral, true);
+  assert.equal(interpretation.normal, false);
+  assert.ok(interpretation.percentile < 1);
+  assert.equal(interpretZScore('weight', 0).normal, true);
+});
+
+test('요약은 진료 권고 항목을 먼저 보여줍니다', () => {
+  assert.equal(summarizeInterpretations([]), null);
+  assert.equal(summarizeInterpretations([interpretZScore('height', 0), null]), '모든 지표가 또래 정상 범위에 있어요.');
+
+  const summary = summarizeInterpretations([
+    interpretZScore('weight', 1.5),
+    interpretZScore('height', -2.5),
+  ], { height: '키', weight: '몸무게' }).split('\n');
+  assert.match(summary[0], /진료를 받아보시길 권해요/);
+  assert.match(summary[1], /^- 키\(저신장\): /);
+  assert.equal(summary[2], '참고해주세요.');
+  assert.match(summary[3], /^- 몸무게\(무거운 편\): /);
+});
+
+test('보고서에 지표별 판정과 안내를 붙입니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const flagged = await server.say('interp-user', '남자 3살 키 88 몸무게 17');
+    assert.match(flagged.text, /- 키: 88cm \(하위 0\.8%, z -2\.41, 저신장\)/);
+    assert.match(flagged.text, /- BMI: 22 \(z \+4\.25, \+3 SD 초과, 비만\)/);
+    assert.match(flagged.text, /- 키\(저신장\): .*소아내분비/);
+
+    const normal = await server.say('interp-user2', '남자 3살 키 96 몸무게 14');
+    assert.match(normal.text, /- 몸무게: 14kg \(하위 29\.8%, z -0\.53, 보통\)/);
+    assert.match(normal.text, /모든 지표가 또래 정상 범위에 있어요\./);
+  } finally {
+    await server.close();
+  }
+});
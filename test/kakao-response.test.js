@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  simpleText, messageButton, linkButton, quickReply, basicCard, listCard, itemCard, carousel, toSimpleText, resolveMode, skillResponse,
+} = require('../kakao-response.js');
+const { startSkillServer } = require('./skill-server.js');
+
+test('문자열은 simpleText로 감싸고 출력과 바로가기 개수를 오픈빌더 제한에 맞춥니다', () => {
+  const replies = Array.from({ length: 12 }, (_, i) => quickReply(`${i}개월`));
+  const response = skillResponse(['a', 'b', 'c', 'd'], { quickReplies: replies, mode: 'rich' });
+  assert.equal(response.version, '2.0');
+  assert.deepEqual(response.template.outputs, ['a', 'b', 'c'].map(simpleText));
+  assert.equal(response.template.quickReplies.length, 10);
+  assert.deepEqual(response.template.quickReplies[0], { action: 'message', label: '0개월', messageText: '0개월' });
+  assert.equal(simpleText('가'.repeat(1200)).simpleText.text.length, 1000);
+});
+
+test('리스트 카드는 5개, 캐러셀은 같은 종류의 카드를 묶습니다', () => {
+  const items = Array.from({ length: 7 }, (_, i) => ({ title: `아이${i}` }));
+  const card = listCard({ header: '등록된 아이', items, buttons: [messageButton('아이 추가')] });
+  assert.equal(card.listCard.items.length, 5);
+  assert.deepEqual(card.listCard.buttons, [{ action: 'message', label: '아이 추가', messageText: '아이 추가' }]);
+
+  const wrapped = carousel([basicCard({ title: 'A' }), basicCard({ title: 'B', thumbnail: 'https://example.com/a.png' })]);
+  assert.equal(wrapped.carousel.type, 'basicCard');
+  assert.deepEqual(wrapped.carousel.items[1].thumbnail, { imageUrl: 'https://example.com/a.png' });
+});
+
+test('텍스트 모드는 카드를 같은 내용의 simpleText 하나로 바꿉니다', () => {
+  const card = itemCard({
+    head: '분석 결과',
+    itemList: [{ title: '키', description: '96cm' }, { title: '몸무게', description: '14kg' }],
+    description: '참고용입니다.',
+  });
+  assert.equal(toSimpleText(card).simpleText.text, '[분석 결과]\n- 키: 96cm\n- 몸무게: 14kg\n참고용입니다.');
+
+  const response = skillResponse([card, '끝'], { mode: 'text' });
+  assert.deepEqual(response.template.outputs, [simpleText('[분석 결과]\n- 키: 96cm\n- 몸무게: 14kg\n참고용입니다.\n\n끝')]);
+});
+
+test('지원하지 않는 응답 모드는 오류입니다', () => {
+  assert.equal(resolveMode('text'), 'text');
+  assert.throws(() => resolveMode('html'), /KAKAO_RESPONSE_MODE/);
+});
+
+test('스킬: 기본(rich) 모드에서는 인사에 카드와 예시 버튼을 보냅니다', async () => {
+  const server = await startSkillServer({ KAKAO_RESPONSE_MODE: 'rich' });
+  try {
+    const { body } = await server.say('k1', '안녕');
+    const [output] = body.template.outputs;
+    assert.equal(output.basicCard.title, '안녕하세요.');
+    assert.equal(output.basicCard.buttons[0].action, 'message');
+  } finally {
+    await server.close();
+  }
+});
+
+test('텍스트 모드에서는 웹 링크 버튼의 주소를 본문에 남깁니다', () => {
+  const card = basicCard({ title: '키 성장 곡선', buttons: [linkButton('크게 보기', 'https://example.com/chart.png')] });
+  assert.equal(toSimpleText(card).simpleText.text, '키 성장 곡선\n크게 보기: https://example.com/chart.png');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  createLlmProvider, createMockProvider, createOpenAiCompatibleProvider, withRetries,
+  LlmError, LlmConfigError, LlmResponseError, LlmTimeoutError, LlmHttpError,
+} = require('../llm-providers.js');
+
+const retryable = () => new LlmError('일시적 오류', { provider: 'mock', retryable: true });
+
+test('재시도 가능한 오류는 다시 시도해 다음 응답을 받습니다', async () => {
+  const provider = createMockProvider({ responses: [retryable(), { action: 'reset', data: {} }] });
+  const text = await withRetries(() => provider.generate('prompt'), { retries: 2, backoffMs: 0 });
+  assert.deepEqual(JSON.parse(text), { action: 'reset', data: {} });
+  assert.equal(provider.calls.length, 2);
+});
+
+test('재시도 횟수를 다 쓰면 마지막 오류를 던집니다', async () => {
+  const provider = createMockProvider({ responses: [retryable()] });
+  await assert.rejects(withRetries(() => provider.generate('prompt'), { retries: 2, backoffMs: 0 }), LlmError);
+  assert.equal(provider.calls.length, 3);
+});
+
+test('재시도할 수 없는 오류는 바로 던집니다', async () => {
+  const provider = createMockProvider({ responses: [new LlmResponseError('형식 오류', { provider: 'mock' }), 'ok'] });
+  await assert.rejects(withRetries(() => provider.generate('prompt'), { retries: 2, backoffMs: 0 }), LlmResponseError);
+  assert.equal(provider.calls.length, 1);
+});
+
+test('환경 변수로 프로바이더를 고르고, 설정이 빠지면 LlmConfigError를 던집니다', async () => {
+  const mock = createLlmProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_RESPONSE: '{"action":"greet","data":{}}' });
+  assert.equal(mock.name, 'mock');
+  assert.equal(await mock.generate('prompt'), '{"action":"greet","data":{}}');
+
+  await assert.rejects(createLlmProvider({}).generate('prompt'), LlmConfigError);
+  await assert.rejects(createLlmProvider({ LLM_PROVIDER: 'openai' }).generate('prompt'), LlmConfigError);
+  assert.throws(() => createLlmProvider({ LLM_PROVIDER: 'unknown' }), LlmConfigError);
+});
+
+// 요청마다 handlers를 차례로 쓰는 로컬 서버를 띄우고 OpenAI 호환 어댑터로 호출합니다
+async function withServer(handlers, options, fn) {
+  let count = 0;
+  const server = http.createServer((req, res) => handlers[Math.min(count++, handlers.length - 1)](req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = createOpenAiCompatibleProvider({
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'test', backoffMs: 0, ...options,
+  });
+  try {
+    return await fn(provider, () => count);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const reply = content => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+};
+const status = code => (req, res) => {
+  res.writeHead(code);
+  res.end('error');
+};
+
+test('5xx 응답은 재시도하고 4xx 응답은 재시도하지 않습니다', async () => {
+  await withServer([status(503), reply('{"ok":true}')], { retries: 2 }, async (provider, requests) => {
+    assert.equal(await provider.generate('prompt'), '{"ok":true}');
+    assert.equal(requests(), 2);
+  });
+  await withServer([status(400), reply('{}')], { retries: 2 }, async (provider, requests) => {
+    await assert.rejects(provider.generate('prompt'), error => error instanceof LlmHttpError && error.status === 400);
+    assert.equal(requests(), 1);
+  });
+});
+
+test('응답에 message.content가 없으면 LlmResponseError를 던집니다', async () => {
+  const empty = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"choices":[]}');
+  };
+  await withServer([empty], { retries: 0 }, async provider => {
+    await assert.rejects(provider.generate('prompt'), LlmResponseError);
+  });
+});
+
+test('본문이 제한 시간 안에 끝나지 않으면 시간 초과로 봅니다', async () => {
+  const slowBody = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"choices":');
+    setTimeout(() => res.end('[]}'), 1000).unref();
+  };
+  await withServer([slowBody], { retries: 0, timeoutMs: 100 }, async provider => {
+    await assert.rejects(provider.generate('prompt'), LlmTimeoutError);
+  });
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { round } = require('../number-format.js');
+
+test('기본은 소수 첫째 자리로 반올림합니다', () => {
+  assert.equal(round(174.06), 174.1);
+  assert.equal(round(-0.25), -0.2);
+  assert.equal(round(15), 15);
+});
+
+test('자릿수를 지정하고, 값이 없으면 null을 돌려줍니다', () => {
+  assert.equal(round(0.12345, 3), 0.123);
+  assert.equal(round(96.5, 0), 97);
+  assert.equal(round(null, 2), null);
+  assert.equal(round(undefined), null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedisClient, RedisError } = require('../redis-client.js');
+const { startFakeRedis } = require('./fake-redis.js');
+
+test('인증하고 DB를 고른 뒤 명령을 보냅니다', async () => {
+  const redis = await startFakeRedis({ password: 'secret' });
+  const client = createRedisClient(`${redis.url}/1`);
+  try {
+    assert.equal(await client.command('SET', 'k', 'v'), 'OK');
+    assert.equal(await client.command('GET', 'k'), 'v');
+    assert.deepEqual(redis.commands.slice(0, 2), [['AUTH', 'secret'], ['SELECT', '1']]);
+  } finally {
+    await client.quit();
+    await redis.close();
+  }
+});
+
+test('AUTH나 SELECT가 실패하면 대기 중인 명령도 그 오류로 실패합니다', async () => {
+  const redis = await startFakeRedis({ password: 'secret' });
+  try {
+    const wrongPassword = createRedisClient(redis.url.replace('secret', 'wrong'));
+    await assert.rejects(wrongPassword.command('GET', 'k'), error => error instanceof RedisError && /^Redis AUTH 실패: WRONGPASS/.test(error.message));
+    await wrongPassword.quit();
+
+    const wrongDb = createRedisClient(`${redis.url}/99`);
+    await assert.rejects(wrongDb.command('GET', 'k'), /Redis SELECT 실패: ERR DB index is out of range/);
+    await wrongDb.quit();
+  } finally {
+    await redis.close();
+  }
+});
+
+test('응답이 제한 시간 안에 오지 않으면 명령을 실패시키고 연결을 끊습니다', async () => {
+  const redis = await startFakeRedis({ silent: true });
+  const client = createRedisClient(redis.url, { commandTimeoutMs: 100 });
+  try {
+    const started = Date.now();
+    const first = client.command('GET', 'a');
+    const second = client.command('GET', 'b');
+    await assert.rejects(first, /Redis 응답 시간 초과 \(100ms\): GET/);
+    await assert.rejects(second, /Redis 응답 시간 초과/);
+    assert.ok(Date.now() - started < 1000);
+
+    // 끊긴 연결 대신 새 연결로 다시 보냅니다
+    await assert.rejects(client.command('GET', 'c'), /Redis 응답 시간 초과/);
+    assert.deepEqual(redis.commands.map(([, key]) => key), ['a', 'b', 'c']);
+  } finally {
+    await client.quit();
+    await redis.close();
+  }
+});
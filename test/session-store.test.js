@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../session-store.js');
+const { startFakeRedis } = require('./fake-redis.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+
+let hasNodeSqlite = true;
+try {
+  require('node:sqlite');
+} catch {
+  hasNodeSqlite = false;
+}
+
+// 백엔드마다 같은 동작을 확인합니다
+function describeBackend(backend, makeOptions, { skip = false } = {}) {
+  test(`${backend}: 값을 저장하고 읽고 지웁니다`, { skip }, async () => {
+    const store = createSessionStore(await makeOptions());
+    try {
+      assert.equal(await store.get('u1'), null);
+      await store.set('u1', { sex: 'male', age_month: 36 });
+      assert.deepEqual(await store.get('u1'), { sex: 'male', age_month: 36 });
+      await store.delete('u1');
+      assert.equal(await store.get('u1'), null);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${backend}: TTL이 지나면 값이 사라집니다`, { skip }, async () => {
+    const store = createSessionStore({ ...(await makeOptions()), ttlSeconds: 0.05 });
+    try {
+      await store.set('u1', { age_month: 12 });
+      assert.deepEqual(await store.get('u1'), { age_month: 12 });
+      await sleep(80);
+      assert.equal(await store.get('u1'), null);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${backend}: 동시에 들어온 update를 순서대로 실행해 값을 잃지 않습니다`, { skip }, async () => {
+    const store = createSessionStore(await makeOptions());
+    try {
+      await Promise.all(Array.from({ length: 10 }, () => store.update('u1', async previous => {
+        await sleep(1);
+        return { count: (previous?.count || 0) + 1 };
+      })));
+      assert.deepEqual(await store.get('u1'), { count: 10 });
+
+      assert.equal(await store.update('u1', () => null), null);
+      assert.equal(await store.get('u1'), null);
+    } finally {
+      await store.close();
+    }
+  });
+}
+
+describeBackend('memory', () => ({ backend: 'memory' }));
+describeBackend('file', () => ({ backend: 'file', dir: tempDir() }));
+describeBackend('sqlite', () => ({ backend: 'sqlite', file: path.join(tempDir(), 'sessions.sqlite') }), { skip: !hasNodeSqlite });
+
+test('redis: SET PX로 저장하고 update는 잠금을 잡았다 풉니다', async () => {
+  const redis = await startFakeRedis();
+  const store = createSessionStore({ backend: 'redis', url: redis.url });
+  try {
+    await Promise.all(Array.from({ length: 5 }, () => store.update('u1', previous => ({ count: (previous?.count || 0) + 1 }))));
+    assert.deepEqual(await store.get('u1'), { count: 5 });
+    assert.ok(redis.commands.some(([name, key, , nx]) => name === 'SET' && key === 'session:lock:u1' && nx === 'NX'));
+    assert.equal(redis.store.has('session:lock:u1'), false);
+  } finally {
+    await store.close();
+    await redis.close();
+  }
+});
+
+test('sqlite를 지원하지 않는 Node에서는 버전을 알려 주는 오류를 던집니다', { skip: hasNodeSqlite }, () => {
+  assert.throws(() => createSessionStore({ backend: 'sqlite', file: path.join(tempDir(), 's.sqlite') }), /22\.5/);
+});
+
+test('알 수 없는 백엔드나 REDIS_URL 없는 redis는 오류입니다', () => {
+  assert.throws(() => createSessionStore({ backend: 'mongo' }), /SESSION_STORE/);
+  assert.throws(() => createSessionStore({ backend: 'redis', url: '' }), /REDIS_URL/);
+});
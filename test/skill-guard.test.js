@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SkillRequestError, SkillGuardConfigError, resolveSkillGuardSettings, parseSkillPayload, authorizeSkillRequest,
+  createRateLimiter, formatThrottleMessage,
+} = require('../skill-guard.js');
+const { startSkillServer } = require('./skill-server.js');
+const { startFakeRedis } = require('./fake-redis.js');
+
+const payload = (utterance = '안녕', extra = {}) => ({ userRequest: { user: { id: 'u1' }, utterance }, ...extra });
+
+function rejection(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof SkillRequestError);
+    return { status: error.status, message: error.message, reason: error.reason };
+  }
+  return null;
+}
+
+test('환경 변수에서 설정을 읽고 잘못된 값은 거부합니다', () => {
+  assert.deepEqual(resolveSkillGuardSettings({}), {
+    secret: null,
+    secretHeader: 'x-skill-secret',
+    allowedBotIds: [],
+    maxUtteranceLength: 1000,
+    limits: { user: { max: 20, windowSeconds: 60 }, global: { max: 600, windowSeconds: 60 } },
+  });
+  const settings = resolveSkillGuardSettings({
+    SKILL_SECRET: 's', SKILL_SECRET_HEADER: 'X-Token', SKILL_ALLOWED_BOT_IDS: 'a, b,', RATE_LIMIT_USER_MAX: '0',
+  });
+  assert.equal(settings.secretHeader, 'x-token');
+  assert.deepEqual(settings.allowedBotIds, ['a', 'b']);
+  assert.equal(settings.limits.user.max, 0);
+  assert.throws(() => resolveSkillGuardSettings({ RATE_LIMIT_GLOBAL_MAX: '-1' }), SkillGuardConfigError);
+  assert.throws(() => resolveSkillGuardSettings({ SKILL_MAX_UTTERANCE_LENGTH: '1.5' }), SkillGuardConfigError);
+});
+
+test('카카오 스킬 본문을 검증합니다', () => {
+  assert.deepEqual(parseSkillPayload(payload('키 100', { bot: { id: 'bot-1' } })), { userId: 'u1', utterance: '키 100', botId: 'bot-1' });
+  assert.equal(parseSkillPayload(payload()).botId, null);
+
+  assert.equal(rejection(() => parseSkillPayload(null)).status, 400);
+  assert.equal(rejection(() => parseSkillPayload({ userRequest: { utterance: 'a' } })).reason, 'userRequest.user.id 없음');
+  assert.equal(rejection(() => parseSkillPayload({ userRequest: { user: { id: 'u' } } })).reason, 'userRequest.utterance 없음');
+  assert.equal(rejection(() => parseSkillPayload(payload('a', { bot: 'x' }))).status, 400);
+
+  // 너무 긴 발화는 사용자에게 알려야 하므로 200입니다
+  const tooLong = rejection(() => parseSkillPayload(payload('가'.repeat(11)), { maxUtteranceLength: 10 }));
+  assert.deepEqual([tooLong.status, tooLong.message], [200, '메시지가 너무 길어요. 10자 이내로 보내주세요.']);
+});
+
+test('비밀 헤더와 봇 ID 허용 목록을 확인합니다', () => {
+  const settings = { secret: 'top', secretHeader: 'x-skill-secret', allowedBotIds: ['bot-1'] };
+  assert.equal(authorizeSkillRequest({ 'x-skill-secret': 'top' }, { botId: 'bot-1' }, settings), undefined);
+  assert.equal(rejection(() => authorizeSkillRequest({ 'x-skill-secret': 'nope' }, { botId: 'bot-1' }, settings)).status, 401);
+  assert.equal(rejection(() => authorizeSkillRequest({}, { botId: 'bot-1' }, settings)).status, 401);
+  assert.equal(rejection(() => authorizeSkillRequest({ 'x-skill-secret': 'top' }, { botId: 'bot-2' }, settings)).status, 403);
+  assert.equal(authorizeSkillRequest({}, { botId: null }, { secret: null, allowedBotIds: [] }), undefined);
+});
+
+test('사용자별, 전체 요청 수를 구간마다 제한합니다', async () => {
+  let clock = 0;
+  const limiter = createRateLimiter({
+    backend: 'memory',
+    limits: { user: { max: 2, windowSeconds: 60 }, global: { max: 3, windowSeconds: 60 } },
+    now: () => clock,
+  });
+  try {
+    assert.equal(await limiter.consume('a'), null);
+    assert.equal(await limiter.consume('a'), null);
+    assert.deepEqual(await limiter.consume('a'), { scope: 'user', retryAfterSeconds: 60 });
+    clock = 30000;
+    assert.equal(await limiter.consume('b'), null);
+    assert.deepEqual(await limiter.consume('c'), { scope: 'global', retryAfterSeconds: 30 });
+    // 구간이 지나면 다시 셉니다
+    clock = 61000;
+    assert.equal(await limiter.consume('a'), null);
+  } finally {
+    await limiter.close();
+  }
+});
+
+test('redis 백엔드는 잠금 없이 INCR/PEXPIRE 스크립트로 셉니다', async () => {
+  const redis = await startFakeRedis();
+  const limiter = createRateLimiter({
+    backend: 'redis', url: redis.url, limits: { user: { max: 2, windowSeconds: 60 }, global: { max: 0, windowSeconds: 60 } },
+  });
+  try {
+    const results = await Promise.all([1, 2, 3].map(() => limiter.consume('a')));
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(results.find(Boolean).scope, 'user');
+    assert.ok(results.find(Boolean).retryAfterSeconds <= 60);
+    assert.equal(redis.store.get('rate:user:a').value, '3');
+    assert.ok(redis.commands.every(([name]) => name.toUpperCase() !== 'SET'));
+  } finally {
+    await limiter.close();
+    await redis.close();
+  }
+  assert.throws(() => createRateLimiter({ backend: 'redis', url: '' }), /REDIS_URL이 필요합니다/);
+});
+
+test('한도를 0으로 두면 그 제한을 끕니다', async () => {
+  const limiter = createRateLimiter({
+    backend: 'memory', limits: { user: { max: 0, windowSeconds: 60 }, global: { max: 0, windowSeconds: 60 } },
+  });
+  for (let i = 0; i < 5; i++) assert.equal(await limiter.consume('a'), null);
+  await limiter.close();
+  assert.equal(formatThrottleMessage({ scope: 'user', retryAfterSeconds: 5 }), '메시지를 너무 빨리 보내셨어요. 5초 뒤에 다시 보내주세요.');
+  assert.match(formatThrottleMessage({ scope: 'global', retryAfterSeconds: 90 }), /2분 뒤에/);
+});
+
+test('스킬: 인증에 실패하거나 본문이 잘못되면 처리하지 않습니다', async () => {
+  const server = await startSkillServer({ SKILL_SECRET: 'top', SKILL_ALLOWED_BOT_IDS: 'bot-1', RATE_LIMIT_USER_MAX: '2' });
+  const send = (body, headers = {}) => fetch(`${server.baseUrl}/skill`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body),
+  }).then(async response => ({ status: response.status, body: await response.json() }));
+  const textOf = ({ body }) => body.template.outputs[0].simpleText.text;
+  try {
+    const valid = payload('안녕', { bot: { id: 'bot-1' } });
+    assert.equal((await send(valid)).status, 401);
+    assert.equal((await send(valid, { 'x-skill-secret': 'wrong' })).status, 401);
+    assert.equal((await send(payload('안녕', { bot: { id: 'bot-2' } }), { 'x-skill-secret': 'top' })).status, 403);
+
+    const malformed = await send({ userRequest: {} }, { 'x-skill-secret': 'top' });
+    assert.equal(malformed.status, 400);
+    assert.equal(textOf(malformed), '요청 형식이 올바르지 않습니다.');
+
+    assert.equal((await send(valid, { 'x-skill-secret': 'top' })).status, 200);
+    assert.equal((await send(valid, { 'x-skill-secret': 'top' })).status, 200);
+    const throttled = await send(valid, { 'x-skill-secret': 'top' });
+    assert.equal(throttled.status, 200);
+    assert.match(textOf(throttled), /메시지를 너무 빨리 보내셨어요\. \d+(?:초|분) 뒤에 다시 보내주세요\./);
+  } finally {
+    await server.close();
+  }
+});
+
+test('스킬: JSON이 아닌 본문에는 스택 없이 카카오 응답 형식의 400을 돌려줍니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const response = await fetch(`${server.baseUrl}/skill`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"userRequest":',
+    });
+    const text = await response.text();
+    assert.equal(response.status, 400);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    assert.deepEqual(JSON.parse(text), {
+      version: '2.0', template: { outputs: [{ simpleText: { text: '요청 형식이 올바르지 않습니다.' } }] },
+    });
+    assert.doesNotMatch(text, /SyntaxError|at .*\.js/);
+
+    assert.equal((await server.say('json-user', '안녕')).status, 200);
+  } finally {
+    await server.close();
+  }
+});
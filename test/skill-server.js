@@ -0,0 +1,80 @@
+/**
+ * index.js를 별도 프로세스로 띄워 /skill 대화를 주고받는 테스트 도우미입니다.
+ * LLM은 mock 프로바이더를 써서 네트워크 없이 규칙 기반 해석만 확인하고, 응답은 기본으로 텍스트 모드(카드 없이 simpleText 하나)로 받습니다.
+ * (이 파일에는 테스트가 없습니다)
+ */
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startSkillServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env, LLM_PROVIDER: 'mock', SESSION_STORE: 'memory', KAKAO_RESPONSE_MODE: 'text', ...env, PORT: String(port),
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let log = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`서버가 시작되지 않았습니다:\n${log}`)), 10000);
+    const onData = chunk => {
+      log += chunk;
+      if (log.includes('실행 중')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { log += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`서버가 종료되었습니다 (${code}):\n${log}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  /** 스킬 요청을 보내고 { status, body, text }를 돌려줍니다. text는 응답의 simpleText를 이어 붙인 문자열입니다. */
+  async function say(userId, utterance) {
+    const response = await fetch(`${baseUrl}/skill`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userRequest: { user: { id: userId }, utterance } }),
+    });
+    const body = await response.json();
+    const text = (body.template?.outputs || [])
+      .map(output => output.simpleText?.text)
+      .filter(Boolean)
+      .join('\n');
+    return { status: response.status, body, text };
+  }
+
+  return {
+    baseUrl,
+    say,
+    log: () => log,
+    close() {
+      return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    },
+  };
+}
+
+module.exports = { startSkillServer };
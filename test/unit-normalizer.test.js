@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseKoreanNumber, normalizeUtterance, matchOriginalUnits, describeOriginalUnit,
+} = require('../unit-normalizer.js');
+const { parseUtterance } = require('../utterance-parser.js');
+const { startSkillServer } = require('./skill-server.js');
+
+const normalized = text => normalizeUtterance(text).text;
+
+test('아라비아 숫자와 한글 수사를 읽습니다', () => {
+  assert.equal(parseKoreanNumber('12'), 12);
+  assert.equal(parseKoreanNumber('스물넷'), 24);
+  assert.equal(parseKoreanNumber('백오'), 105);
+  assert.equal(parseKoreanNumber('십오 점 오'), 15.5);
+});
+
+test('피트·인치와 파운드·온스를 cm, kg으로 바꿉니다', () => {
+  assert.equal(normalized('3 feet 2 inches'), '96.5cm');
+  assert.equal(normalized("3' 2\""), '96.5cm');
+  assert.equal(normalized('키 38 inches'), '키 96.5cm');
+  assert.equal(normalized('35 lbs'), '15.9kg');
+  assert.equal(normalized('7 lb 8 oz'), '3.4kg');
+  assert.equal(normalized('30 oz'), '0.9kg');
+});
+
+test('휴대폰 키보드의 둥근 따옴표도 피트·인치 기호로 받습니다', () => {
+  assert.equal(normalized('3’ 2”'), '96.5cm');
+  assert.equal(normalized('3′ 2″'), '96.5cm');
+});
+
+test('키·몸무게 뒤의 한글 수사를 단위 없이도 읽습니다', () => {
+  assert.equal(normalized('키 백오'), '키 105cm');
+  assert.equal(normalized('몸무게 십오 점 오'), '몸무게 15.5kg');
+  assert.equal(normalized('키가 구십육이에요'), '키가 96cm 이에요');
+});
+
+test('한글 수사 뒤의 단위를 읽습니다', () => {
+  assert.equal(normalized('백 센티'), '100cm');
+  assert.equal(normalized('십오 킬로 반'), '15.5kg');
+  // 나이 단위가 뒤따르면 키 값으로 읽지 않습니다
+  assert.equal(normalized('키 세 살'), '키 36개월');
+});
+
+test('나이 표현을 개월로 바꿉니다', () => {
+  assert.equal(normalized('두 돌'), '24개월');
+  assert.equal(normalized('세 돌 반'), '42개월');
+  assert.equal(normalized('첫 돌'), '12개월');
+  assert.equal(normalized('1년 6개월'), '18개월');
+  assert.equal(normalized('두 달'), '2개월');
+  assert.equal(normalized('스물네 개월'), '24개월');
+});
+
+test('기간을 말하는 "달"은 나이로 바꾸지 않습니다', () => {
+  assert.equal(normalized('생후 두 달 남아'), '생후 2개월 남아');
+  assert.equal(normalized('두 달 된 아기'), '2개월 된 아기');
+  assert.equal(normalized('세 달이에요'), '3개월 이에요');
+  assert.equal(normalized('두 달 동안 2cm 컸어요'), '두 달 동안 2cm 컸어요');
+
+  const text = '한 달 전에 쟀어요 키 80';
+  assert.equal(normalized(text), text);
+  assert.equal(parseUtterance({}, normalized(text), { lenient: true }).data.age_month, undefined);
+});
+
+test('영어 "in"은 키·길이를 말할 때만 인치로 읽습니다', () => {
+  assert.equal(normalized('height 38 in'), 'height 96.5cm');
+  assert.equal(normalized('키가 38 in'), '키가 96.5cm');
+  assert.equal(normalized('38 in tall'), '96.5cm tall');
+  assert.equal(normalized('3 feet 2 in'), '96.5cm');
+
+  const text = '3 in the family';
+  assert.deepEqual(normalizeUtterance(text), { text, conversions: [] });
+  assert.equal(parseUtterance({}, text, { lenient: true }).data.height_cm, undefined);
+  assert.equal(normalized('born in 2022'), 'born in 2022');
+});
+
+test('바꾼 표현의 원래 문구와 단위를 남기고, 같은 단위면 다시 보여주지 않습니다', () => {
+  const { conversions } = normalizeUtterance('35 lbs 세 돌');
+  assert.deepEqual(conversions, [
+    { kind: 'weight', value: 15.9, unit: 'lb', original: '35 lbs' },
+    { kind: 'age', value: 36, unit: '돌', original: '세 돌' },
+  ]);
+  const originals = matchOriginalUnits({ weight_kg: 15.9, age_month: 36, height_cm: 100 }, conversions);
+  assert.deepEqual(originals, {
+    height_cm: null,
+    weight_kg: { unit: 'lb', original: '35 lbs' },
+    age_month: { unit: '돌', original: '세 돌' },
+  });
+  assert.equal(describeOriginalUnit(originals.weight_kg, 'weight_kg'), '35 lbs');
+  assert.equal(describeOriginalUnit({ unit: 'cm', original: '백 센티' }, 'height_cm'), null);
+});
+
+test('스킬: 보고서에 사용자가 쓴 원래 단위를 함께 보여줍니다', async () => {
+  const server = await startSkillServer();
+  try {
+    const report = await server.say('unit-user', '남자 두 돌 키 3 feet 2 inches 몸무게 30 lbs');
+    assert.match(report.text, /- 평가 나이: 2세 \(입력한 나이 '두 돌' 기준\)/);
+    assert.match(report.text, /- 키: 96\.5cm\(3 feet 2 inches\) \(/);
+    assert.match(report.text, /- 몸무게: 13\.6kg\(30 lbs\) \(/);
+
+    const age = await server.say('unit-user2', '여자 세 돌 반');
+    assert.match(age.text, /^나이 3세 6개월\(세 돌 반\)로 받았어요\./);
+  } finally {
+    await server.close();
+  }
+});
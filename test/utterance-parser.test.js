@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseUtterance, extractSex, extractAgeMonths, extractMeasurements, extractDates, extractGestationalWeeks,
+  parseReferenceQuestion,
+} = require('../utterance-parser.js');
+
+test('성별과 나이, 측정값을 한 번에 읽으면 보고서를 만듭니다', () => {
+  assert.deepEqual(parseUtterance({}, '남자 3살 키 96 몸무게 14'), {
+    action: 'generate_report',
+    data: { sex: 'male', age_month: 36, height_cm: 96, weight_kg: 14 },
+  });
+});
+
+test('나이 표현을 개월 수로 읽습니다', () => {
+  assert.equal(extractAgeMonths('3살'), 36);
+  assert.equal(extractAgeMonths('15개월'), 15);
+  assert.equal(extractAgeMonths('2년 3개월'), 27);
+  assert.equal(extractAgeMonths('키 100'), null);
+});
+
+test('남녀 표현이 함께 있으면 성별을 정하지 않습니다', () => {
+  assert.equal(extractSex('여자아이예요'), 'female');
+  assert.equal(extractSex('남자 쌍둥이 중 여자'), null);
+});
+
+test('성별 단어는 다른 낱말의 일부일 때 잡지 않습니다', () => {
+  assert.equal(extractSex('딸기 먹었어요'), null);
+  assert.equal(extractSex('남아 있는 기록'), null);
+  assert.equal(extractSex('딸이에요'), 'female');
+  assert.equal(extractSex('아들 2살'), 'male');
+  assert.deepEqual(parseUtterance({}, '딸기 먹는 여자 아이').data, { sex: 'female' });
+});
+
+test('표지 없는 숫자 두 개는 큰 값을 키, 작은 값을 몸무게로 봅니다', () => {
+  assert.deepEqual(parseUtterance({ sex: 'male', age_month: 36 }, '100, 15'), {
+    action: 'generate_report',
+    data: { height_cm: 100, weight_kg: 15 },
+  });
+});
+
+test('발화 전체가 숫자 하나일 때만 개월 수로 봅니다', () => {
+  assert.deepEqual(parseUtterance({}, '18'), { action: 'ask_for_info', data: { age_month: 18 } });
+  assert.equal(parseUtterance({}, '사과 2개 먹었어요'), null);
+  assert.equal(parseUtterance({}, 'born in 2022'), null);
+  assert.deepEqual(parseUtterance({}, '사과 2개 먹었어요', { lenient: true }), { action: 'unknown', data: {} });
+  // 나이를 이미 알면 숫자 하나도 나이로 보지 않습니다
+  assert.equal(parseUtterance({ age_month: 36 }, '18'), null);
+});
+
+test('같은 항목에 다른 값이 두 번 나오면 LLM에 넘깁니다', () => {
+  const text = '키 100 키 105';
+  assert.equal(extractMeasurements(text).ambiguous, true);
+  assert.equal(parseUtterance({}, text), null);
+  assert.equal(parseUtterance({}, text, { lenient: true }).action, 'ask_for_info');
+});
+
+test('인사와 초기화 요청을 알아봅니다', () => {
+  assert.equal(parseUtterance({}, '안녕하세요').action, 'greet');
+  assert.equal(parseUtterance({}, '처음부터 다시').action, 'reset');
+});
+
+test('다시 시작하자는 말에만 세션을 초기화합니다', () => {
+  assert.equal(parseUtterance({}, '다시').action, 'reset');
+  assert.equal(parseUtterance({}, '처음부터 다시').action, 'reset');
+  assert.equal(parseUtterance({}, 'start over').action, 'reset');
+
+  const correction = parseUtterance({}, '다시 키 100');
+  assert.notEqual(correction.action, 'reset');
+  assert.equal(correction.data.height_cm, 100);
+});
+
+test('해석할 수 없는 발화는 null, lenient면 unknown을 돌려줍니다', () => {
+  assert.equal(parseUtterance({}, '오늘 날씨 어때'), null);
+  assert.deepEqual(parseUtterance({}, '오늘 날씨 어때', { lenient: true }), { action: 'unknown', data: {} });
+});
+
+test('머리둘레는 cm 단위여도 키로 읽지 않습니다', () => {
+  assert.deepEqual(extractMeasurements('머리둘레 45cm 키 90').head_cm, 45);
+  assert.deepEqual(parseUtterance({}, '여자 15개월 키 78 두위 45.5').data, {
+    sex: 'female', age_month: 15, height_cm: 78, head_cm: 45.5,
+  });
+  assert.equal(parseUtterance({}, '남자 12개월 머리둘레 46').action, 'generate_report');
+});
+
+test('표지로 생년월일과 측정일을 구분하고, 표지가 없으면 이른 날짜를 생년월일로 봅니다', () => {
+  assert.deepEqual(extractDates('2022년 3월 5일생 측정일 2024.5.1'), { birthdate: '2022-03-05', measured_on: '2024-05-01' });
+  assert.deepEqual(extractDates('2024-05-01에 쟀어요'), { birthdate: null, measured_on: '2024-05-01' });
+  assert.deepEqual(extractDates('생년월일 2022-03-05'), { birthdate: '2022-03-05', measured_on: null });
+  assert.deepEqual(extractDates('2024-05-01 2022-03-05'), { birthdate: '2022-03-05', measured_on: '2024-05-01' });
+});
+
+test('생년월일을 이미 알면 표시 없는 날짜 하나는 측정일로 읽습니다', () => {
+  assert.deepEqual(extractDates('2024-03-01'), { birthdate: '2024-03-01', measured_on: null });
+  assert.deepEqual(extractDates('2024-03-01', [], { knownBirthdate: true }), { birthdate: null, measured_on: '2024-03-01' });
+
+  assert.equal(parseUtterance({ birthdate: '2021-03-05' }, '2024-03-01 키 100').data.measured_on, '2024-03-01');
+  assert.equal(parseUtterance({}, '2024-03-01 키 100').data.birthdate, '2024-03-01');
+
+  const named = parseUtterance({}, '민준이 2024-03-01 키 100', { childNames: ['민준'], birthdates: { 민준: '2021-03-05' } });
+  assert.equal(named.data.child, '민준');
+  assert.equal(named.data.measured_on, '2024-03-01');
+});
+
+test('재태 주수는 22~44주만 읽고 "생후 n주"는 건너뜁니다', () => {
+  assert.equal(extractGestationalWeeks('32주 3일 출생'), 32.4);
+  assert.equal(extractGestationalWeeks('재태 34주'), 34);
+  assert.equal(extractGestationalWeeks('생후 3주'), null);
+  assert.equal(extractGestationalWeeks('50주'), null);
+});
+
+test('측정값 없이 기준값을 묻는 질문을 읽습니다', () => {
+  assert.deepEqual(parseReferenceQuestion('24개월 90백분위 몸무게'), {
+    action: 'show_reference',
+    data: {},
+    reference: { sex: null, age_month: 24, metrics: ['weight'], percentile: 90 },
+  });
+  assert.deepEqual(parseReferenceQuestion('하위 5% 여자 5살 키').reference, {
+    sex: 'female', age_month: 60, metrics: ['height'], percentile: 5,
+  });
+  assert.equal(parseReferenceQuestion('상위 10% 남자 3살 키').reference.percentile, 90);
+  assert.deepEqual(parseReferenceQuestion('WHO 기준 3살 평균').data, { standard: 'who2006' });
+  assert.deepEqual(parseReferenceQuestion('3살 평균').reference.metrics, ['height', 'weight']);
+  // 측정값을 함께 말하면 기준값 질문이 아니라 아이 분석입니다
+  assert.equal(parseReferenceQuestion('키 100 평균이야?'), null);
+  assert.equal(parseReferenceQuestion('남자 3살 키 96'), null);
+  assert.equal(parseUtterance({}, '3살 남자 평균 키').action, 'show_reference');
+});
@@ -0,0 +1,240 @@
+/**
+ * [단위 정규화] 발화를 해석하기 전에 여러 단위와 수 표현을 cm, kg, 개월로 바꿉니다.
+ *   "3 feet 2 inches" -> "96.5cm", "35 lbs" -> "15.9kg", "백 센티" -> "100cm"
+ *   "키 백오" -> "키 105cm", "몸무게 십오 점 오" -> "몸무게 15.5kg", "3’ 2”" -> "96.5cm", "30 oz" -> "0.9kg"
+ *   "두 돌" -> "24개월", "세 돌 반" -> "42개월", "1년 6개월" -> "18개월", "두 달" -> "2개월"
+ *   영어, 베트남어, 중국어 표현도 받습니다: "3 years old" -> "36개월", "18 tháng" -> "18개월", "3岁半" -> "42개월", "30斤" -> "15kg"
+ * 바꾼 표현은 conversions에 원래 문구와 단위를 남겨, 답변에서 사용자가 쓴 단위를 다시 보여줄 수 있게 합니다.
+ */
+
+const { round } = require('./number-format.js');
+
+const CM_PER_INCH = 2.54;
+const INCHES_PER_FOOT = 12;
+const KG_PER_POUND = 0.45359237;
+const OUNCES_PER_POUND = 16;
+const KG_PER_JIN = 0.5;
+
+// 고유어 수 (한 살, 두 돌, 열두 달)
+const NATIVE_ONES = { 하나: 1, 한: 1, 둘: 2, 두: 2, 셋: 3, 세: 3, 석: 3, 넷: 4, 네: 4, 다섯: 5, 여섯: 6, 일곱: 7, 여덟: 8, 아홉: 9 };
+const NATIVE_TENS = { 열: 10, 스물: 20, 스무: 20 };
+// 한자어 수 (백 센티, 십오 킬로, 이십사 개월)
+const SINO_DIGITS = { 영: 0, 공: 0, 일: 1, 이: 2, 삼: 3, 사: 4, 오: 5, 육: 6, 칠: 7, 팔: 8, 구: 9 };
+const SINO_UNITS = { 십: 10, 백: 100, 천: 1000 };
+
+const NATIVE_NUMBER = `(?:열|스물|스무)?(?:하나|다섯|여섯|일곱|여덟|아홉|한|두|둘|세|셋|석|네|넷)|열|스물|스무`;
+// 한 글자 '이', '일', '사', '오'는 "이 키로"(이 키로), "사이"처럼 다른 뜻으로 더 자주 쓰여 두 글자 이상일 때만 수로 봅니다
+const SINO_NUMBER = `(?:[일이삼사오육칠팔구십백천]{2,}|[삼육칠팔구십백천])(?:\\s*점\\s*[영공일이삼사오육칠팔구]+)?`;
+const KOREAN_NUMBER = `(?<![가-힣])(?:${NATIVE_NUMBER}|${SINO_NUMBER})`;
+const NUMBER = `(\\d+(?:\\.\\d+)?|${KOREAN_NUMBER})`;
+const KOREAN_ONLY = `(${KOREAN_NUMBER})`;
+
+const FEET = '(?:feet|foot|ft|피트)';
+const INCHES = '(?:inches|inch|in(?![a-z])|인치)';
+// 영어 'in'은 전치사로 더 자주 쓰이므로("3 in the family"), 피트 뒤가 아니면 키·길이를 말하는 표현 옆에서만 인치로 봅니다
+const INCH_WORDS = '(?:inches|inch|인치)';
+const BARE_INCH_BEFORE = '(?<=(?:\\b(?:height|length|head(?:\\s+circumference)?)|키|신장|머리\\s*둘레)\\s*(?:is|of|:|은|는|이|가)?\\s*)';
+const BARE_INCH_AFTER = '(?=\\s+(?:tall|long)\\b)';
+const POUNDS = '(?:pounds|pound|lbs|lb|파운드)';
+const OUNCES = '(?:ounces|ounce|oz|온스)';
+// 휴대폰 키보드는 따옴표를 둥근 따옴표(’ ”)로 바꿔 넣으므로 피트/인치 기호로 함께 받습니다
+const FOOT_MARK = `(?:'|’|′)`;
+const INCH_MARK = `(?:"|”|″|''|’’)`;
+// 단위 없이 한글 수만 말해도 항목 이름 뒤라면 그 단위로 봅니다 ("키 백오", "몸무게가 십오 점 오")
+const LABEL_PARTICLE = '\\s*(?:은|는|이|가|:)?\\s*';
+const LENGTH_LABEL = `(?<=(?:키|신장|머리\\s*둘레|두위)${LABEL_PARTICLE})`;
+const WEIGHT_LABEL = `(?<=(?:몸무게|체중)${LABEL_PARTICLE})`;
+// 수 뒤에 나이 단위가 오지 않고, 말이 끝나거나 서술어("이에요", "예요")가 이어질 때만 값으로 봅니다
+const LABELED_END = '(?!\\s*(?:살|세|개월|달|돌|년|주))(?=$|[^가-힣]|입니다|이에요|예요|이야|야|요)';
+const FOREIGN_YEARS = '(?:years?|yrs?|tuổi|岁|歲)(?![a-z])';
+const FOREIGN_MONTHS = '(?:months?|mos?|tháng|个月|個月)(?![a-z])';
+const OLD = '(?:[\\s-]*old)?';
+// '달'은 "한 달 전에", "두 달 동안"처럼 기간으로 더 자주 쓰이므로, 나이를 말하는 표현이 붙어 있을 때만 나이로 봅니다
+// ("생후 두 달", "두 달 된 아기", "두 달이에요", "두 달 남아", 발화 끝의 "두 달")
+const MONTH_AGE_BEFORE = '(?<=(?:생후|태어난\\s*지|월령|나이)\\s*(?:는|가|:)?\\s*)';
+const MONTH_AGE_AFTER = '(?=\\s*(?:$|[,.!?~]|된|됐|되었|짜리|아기|아가|아이|애|이에요|예요|입니다|이야|이고|이요|인데|남자|여자|남아|여아|아들|딸|키|몸무게|체중|머리|신장))';
+
+// 이 단위로 말한 값은 답변에 그대로 보이므로 원래 표현을 다시 보여줄 필요가 없습니다
+const CANONICAL_UNITS = { length: ['cm'], weight: ['kg'], age: ['개월', '살', 'year', 'month'] };
+
+function parseSinoNumber(word) {
+  let total = 0;
+  let digit = null;
+  for (const char of word) {
+    if (SINO_UNITS[char]) {
+      total += (digit ?? 1) * SINO_UNITS[char];
+      digit = null;
+    } else {
+      digit = SINO_DIGITS[char];
+    }
+  }
+  return total + (digit ?? 0);
+}
+
+/**
+ * 숫자, 고유어 수("스물두"), 한자어 수("백오", "십오 점 오")를 수로 바꿉니다. 알 수 없으면 null
+ */
+function parseKoreanNumber(word) {
+  const text = String(word).replace(/\s+/g, '');
+  if (/^\d+(?:\.\d+)?$/.test(text)) return Number(text);
+
+  const native = text.match(/^(열|스물|스무)?(.*)$/);
+  if (native && (native[1] || NATIVE_ONES[native[2]])) {
+    const ones = native[2] ? NATIVE_ONES[native[2]] : 0;
+    if (ones !== undefined) return (native[1] ? NATIVE_TENS[native[1]] : 0) + ones;
+  }
+
+  const [integer, fraction] = text.split('점');
+  if (![...integer].every(char => SINO_DIGITS[char] !== undefined || SINO_UNITS[char])) return null;
+  const value = parseSinoNumber(integer);
+  if (!fraction) return value;
+  return Number(`${value}.${[...fraction].map(char => SINO_DIGITS[char]).join('')}`);
+}
+
+const HALF = '(\\s*(?:반|半|rưỡi))?';
+const HALF_REGEX = /(?:반|半|rưỡi)$/;
+
+// "1살 6개월"은 '살', "1년 6개월"은 '년'으로 기록합니다
+const yearUnit = original => (/\d\s*년|년\s*\d|년\s*반/.test(original) ? '년' : '살');
+
+// 위에서부터 차례로 바꿉니다. 바꾼 결과(96.5cm 등)는 뒤의 규칙에 다시 걸리지 않습니다
+const RULES = [
+  {
+    kind: 'length', unit: 'ft',
+    regex: new RegExp(`${NUMBER}\\s*${FEET}\\s*${NUMBER}\\s*${INCHES}`, 'gi'),
+    convert: ([feet, inches]) => (feet * INCHES_PER_FOOT + inches) * CM_PER_INCH,
+  },
+  {
+    kind: 'length', unit: 'ft',
+    regex: new RegExp(`(\\d+)\\s*${FOOT_MARK}\\s*(\\d+(?:\\.\\d+)?)\\s*${INCH_MARK}?`, 'g'),
+    convert: ([feet, inches]) => (feet * INCHES_PER_FOOT + inches) * CM_PER_INCH,
+  },
+  { kind: 'length', unit: 'ft', regex: new RegExp(`${NUMBER}\\s*${FEET}`, 'gi'), convert: ([feet]) => feet * INCHES_PER_FOOT * CM_PER_INCH },
+  {
+    kind: 'weight', unit: 'lb',
+    regex: new RegExp(`${NUMBER}\\s*${POUNDS}(?:\\s*${NUMBER}\\s*${OUNCES})?`, 'gi'),
+    convert: ([pounds, ounces = 0]) => (pounds + ounces / OUNCES_PER_POUND) * KG_PER_POUND,
+  },
+  { kind: 'weight', unit: 'oz', regex: new RegExp(`${NUMBER}\\s*${OUNCES}`, 'gi'), convert: ([ounces]) => (ounces / OUNCES_PER_POUND) * KG_PER_POUND },
+  { kind: 'length', unit: 'in', regex: new RegExp(`${NUMBER}\\s*(?:${INCH_WORDS}|${INCH_MARK})`, 'gi'), convert: ([inches]) => inches * CM_PER_INCH },
+  {
+    kind: 'length', unit: 'in',
+    regex: new RegExp(`${BARE_INCH_BEFORE}${NUMBER}\\s*in(?![a-z])|${NUMBER}\\s*in${BARE_INCH_AFTER}`, 'gi'),
+    convert: ([inches]) => inches * CM_PER_INCH,
+  },
+  {
+    kind: 'length', unit: 'cm',
+    regex: new RegExp(`${KOREAN_ONLY}\\s*(?:센티미터|센티|센치|cm)${HALF}`, 'gi'),
+    convert: ([cm], half) => cm + (half ? 0.5 : 0),
+  },
+  {
+    kind: 'weight', unit: 'kg',
+    regex: new RegExp(`${KOREAN_ONLY}\\s*(?:킬로그램|킬로|키로|kg)${HALF}`, 'gi'),
+    convert: ([kg], half) => kg + (half ? 0.5 : 0),
+  },
+  { kind: 'length', unit: 'cm', regex: new RegExp(`${LENGTH_LABEL}${KOREAN_ONLY}${LABELED_END}`, 'g'), convert: ([cm]) => cm },
+  { kind: 'weight', unit: 'kg', regex: new RegExp(`${WEIGHT_LABEL}${KOREAN_ONLY}${LABELED_END}`, 'g'), convert: ([kg]) => kg },
+  // 중국어 "15公斤", "96厘米", 베트남어 "15 ký"는 같은 단위라 이름만 바꾸고, 중국 근(斤)은 0.5kg으로 바꿉니다
+  { kind: 'length', unit: 'cm', regex: new RegExp(`${NUMBER}\\s*(?:厘米|公分)`, 'g'), convert: ([cm]) => cm },
+  { kind: 'weight', unit: 'kg', regex: new RegExp(`${NUMBER}\\s*(?:公斤|千克|ký|kí)(?![a-zà-ỹ])`, 'gi'), convert: ([kg]) => kg },
+  { kind: 'weight', unit: '斤', regex: new RegExp(`${NUMBER}\\s*斤${HALF}`, 'g'), convert: ([jin], half) => (jin + (half ? 0.5 : 0)) * KG_PER_JIN },
+  {
+    kind: 'age', unit: yearUnit,
+    regex: new RegExp(`${NUMBER}\\s*(?:년|살|세)\\s*${NUMBER}\\s*(?:개월|달)`, 'g'),
+    convert: ([years, months]) => years * 12 + months,
+  },
+  { kind: 'age', unit: '돌', regex: /첫\s*돌/g, convert: () => 12 },
+  { kind: 'age', unit: '돌', regex: new RegExp(`${NUMBER}\\s*돌${HALF}`, 'g'), convert: ([years], half) => years * 12 + (half ? 6 : 0) },
+  {
+    kind: 'age', unit: yearUnit,
+    regex: new RegExp(`${NUMBER}\\s*(?:년|살|세)\\s*반`, 'g'),
+    convert: ([years]) => years * 12 + 6,
+  },
+  {
+    kind: 'age', unit: '달',
+    regex: new RegExp(`${MONTH_AGE_BEFORE}${NUMBER}\\s*달${HALF}|${NUMBER}\\s*달${HALF}${MONTH_AGE_AFTER}`, 'g'),
+    convert: ([months], half) => months + (half ? 0.5 : 0),
+  },
+  {
+    kind: 'age', unit: '개월',
+    regex: new RegExp(`${KOREAN_ONLY}\\s*개월${HALF}`, 'g'),
+    convert: ([months], half) => months + (half ? 0.5 : 0),
+  },
+  { kind: 'age', unit: '살', regex: new RegExp(`${KOREAN_ONLY}\\s*(?:살|세)`, 'g'), convert: ([years]) => years * 12 },
+  {
+    kind: 'age', unit: 'year',
+    regex: new RegExp(`${NUMBER}[\\s-]*${FOREIGN_YEARS}\\s*(?:and\\s*|,\\s*|零)?${NUMBER}[\\s-]*${FOREIGN_MONTHS}${OLD}`, 'gi'),
+    convert: ([years, months]) => years * 12 + months,
+  },
+  {
+    kind: 'age', unit: 'year',
+    regex: new RegExp(`${NUMBER}[\\s-]*${FOREIGN_YEARS}${HALF}${OLD}`, 'gi'),
+    convert: ([years], half) => years * 12 + (half ? 6 : 0),
+  },
+  {
+    kind: 'age', unit: 'month',
+    regex: new RegExp(`${NUMBER}[\\s-]*${FOREIGN_MONTHS}${HALF}${OLD}`, 'gi'),
+    convert: ([months], half) => months + (half ? 0.5 : 0),
+  },
+];
+
+const CANONICAL_SUFFIX = { length: 'cm', weight: 'kg', age: '개월' };
+
+// 베트남어는 소수점에 쉼표를 씁니다 ("cao 87,5", "12,5 ký"). "100, 15" 같은 나열과 헷갈리지 않도록
+// 항목 이름 뒤나 단위 앞에 붙은 수만 소수점으로 바꿉니다
+const DECIMAL_COMMA_REGEX = /(?<=(?:cao|nặng|vòng\s+đầu)\s*)(\d+),(\d{1,2})(?!\d)|(\d+),(\d{1,2})(?=\s*(?:cm|kg|ký|kí)(?![a-z]))/gi;
+
+/**
+ * 발화의 단위·수 표현을 cm, kg, 개월로 바꿉니다.
+ * 반환값: { text, conversions: [{ kind: 'length' | 'weight' | 'age', value, unit, original }] }
+ */
+function normalizeUtterance(input) {
+  let text = String(input || '').replace(DECIMAL_COMMA_REGEX, (match, ...groups) => groups.slice(0, 4).filter(Boolean).join('.'));
+  const conversions = [];
+
+  for (const { kind, unit, regex, convert } of RULES) {
+    text = text.replace(regex, (original, ...groups) => {
+      const captures = groups.slice(0, -2).filter(group => group !== undefined);
+      const half = captures.length && HALF_REGEX.test(captures[captures.length - 1]) ? captures.pop() : null;
+      const numbers = captures.map(parseKoreanNumber);
+      if (numbers.some(number => number === null)) return original;
+
+      const value = round(convert(numbers, half));
+      if (!Number.isFinite(value)) return original;
+      conversions.push({ kind, value, unit: typeof unit === 'function' ? unit(original) : unit, original: original.trim() });
+      return ` ${value}${CANONICAL_SUFFIX[kind]} `;
+    });
+  }
+  return { text: text.replace(/\s{2,}/g, ' ').trim(), conversions };
+}
+
+const FIELD_KINDS = { height_cm: 'length', head_cm: 'length', weight_kg: 'weight', age_month: 'age' };
+
+/**
+ * 해석 결과(data)의 각 값이 어떤 표현에서 왔는지 찾습니다. 바꾼 표현이 아니면 null을 넣어 예전 기록을 지웁니다.
+ * 반환값: { height_cm: { unit, original } | null, ... } (data에 있는 측정 항목만)
+ */
+function matchOriginalUnits(data, conversions = []) {
+  const result = {};
+  for (const [field, kind] of Object.entries(FIELD_KINDS)) {
+    if (data[field] === undefined || data[field] === null) continue;
+    const match = conversions.find(conversion => conversion.kind === kind && conversion.value === data[field]);
+    result[field] = match ? { unit: match.unit, original: match.original } : null;
+  }
+  return result;
+}
+
+/**
+ * 답변에 덧붙일 원래 표현("3 feet 2 inches")입니다. cm, kg, 개월처럼 답변과 같은 단위였으면 null
+ */
+function describeOriginalUnit(entry, field) {
+  if (!entry || !FIELD_KINDS[field] || CANONICAL_UNITS[FIELD_KINDS[field]].includes(entry.unit)) return null;
+  return entry.original;
+}
+
+module.exports = {
+  parseKoreanNumber,
+  normalizeUtterance,
+  matchOriginalUnits,
+  describeOriginalUnit,
+};
@@ -0,0 +1,421 @@
+/**
+ * [규칙 기반 파서] 네트워크 호출 없이 자주 쓰이는 한국어 발화를 해석합니다.
+ * 다문화 가정 보호자를 위해 영어, 베트남어, 중국어의 기본 표현(성별, 항목 이름, 바로가기 응답)도 알아듣습니다.
+ * 결과는 callLlmForDecision과 같은 { action, data } 형태이며,
+ * 확신할 수 없는 발화는 null을 반환하여 LLM이 판단하도록 넘깁니다.
+ */
+
+const { DATE_REGEX, parseDate } = require('./age.js');
+const { parseStandard } = require('./growth-standards.js');
+const { nameKey } = require('./child-profiles.js');
+const { PARENT_HEIGHT_RANGE } = require('./adult-height.js');
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// 한국어 성별 낱말이 다른 낱말의 일부("딸기", "남아 있어요")로 쓰일 때는 성별로 보지 않습니다.
+// 앞에는 한글이 없거나 '큰딸', '막내아들' 같은 꾸밈말만, 뒤에는 조사나 서술어만 올 수 있습니다
+const KO_WORD_START = '(?<![가-힣])(?:큰|작은|막내|첫째|둘째|셋째|외동)?';
+const KO_WORD_END = '(?=$|[^가-힣]|이|가|은|는|을|를|의|도|만|과|와|랑|하고|고|다|야|요|예요|에요|입니다|인|아이|애)';
+const koreanWords = words => `${KO_WORD_START}(?:${words})${KO_WORD_END}`;
+
+const SEX_PATTERNS = [
+  { sex: 'male', regex: new RegExp(`${koreanWords('남자아이|남자|남아(?!\\s*있)|아들|사내(?:아이|애)')}|\\b(?:boy|son|male)\\b|(?:con|bé)\\s+trai|男孩|儿子|兒子`, 'i') },
+  { sex: 'female', regex: new RegExp(`${koreanWords('여자아이|여자|여아|딸')}|\\b(?:girl|daughter|female)\\b|(?:con|bé)\\s+gái|女孩|女儿|女兒`, 'i') },
+];
+
+// "다시 말할게요 남자 3살"처럼 값을 고쳐 말할 때의 '다시'는 초기화가 아닙니다. '다시'는 그 말만 보냈을 때(바로가기 응답)만 초기화합니다
+const RESET_REGEX = /(^\s*다시\s*[.!~]*\s*$|처음부터|다시\s*시작|초기화|리셋|\bstart\s+over\b|\brestart\b|\breset\b|làm\s+lại|bắt\s+đầu\s+lại|重新开始|重新開始|重来)/i;
+const GREET_REGEX = /^\s*(안녕|하이|헬로|hello|hi|hey\b|xin\s+chào|chào|你好|您好)/i;
+const REPORT_REGEX = /분석|\banaly[sz]e\b|phân\s+tích|分析/i;
+// 발화 전체가 숫자 하나인 경우 ("18", "18.5")
+const BARE_NUMBER_REGEX = /^\s*\d+(?:\.\d+)?\s*$/;
+// "커서 몇 cm까지 클까?", "성인 키 예측"처럼 어른이 된 뒤의 키를 묻는 표현
+const PREDICT_REGEX = /(커서|어른\s*(?:이\s*)?되면|성인\s*키|최종\s*키|예상\s*키|예측\s*키|키\s*예측|얼마나\s*클|까지\s*클|adult\s+height|how\s+tall\s+will|chiều\s+cao\s+(?:khi\s+)?trưởng\s+thành|成年身高|长大.*多高)/i;
+
+// 베트남어 'bố'(아빠)는 'bốn'(넷)과 헷갈리지 않게 뒤에 n이 오면 제외합니다
+const PARENT_PATTERNS = [
+  { key: 'father_height_cm', words: '아빠|아버지|부친|\\bdad\\b|\\bfather\\b|bố(?!n)|爸爸|父亲' },
+  { key: 'mother_height_cm', words: '엄마|어머니|모친|\\bmom\\b|\\bmum\\b|\\bmother\\b|mẹ|妈妈|母亲' },
+];
+// 극단값 확인 질문에 대한 긍정 답변 ("맞아요", "네 맞습니다", "Correct", "Đúng rồi", "没错")
+const CONFIRM_REGEX = /^(?:네|예|응|맞아요?|맞습니다|맞음|확인|yes|yeah|yep|correct|right|đúng(?:\s+rồi)?|vâng|对|對|是的|没错|沒錯)(?:\s|[.!~。！]|$)/i;
+const HISTORY_REGEX = /(성장\s*기록|기록\s*보기|성장\s*추이|growth\s+(?:history|record)|lịch\s+sử\s+tăng\s+trưởng|成长记录|成長記錄)/i;
+// "3살 남자 평균 키", "24개월 90백분위 몸무게"처럼 측정값 없이 기준값을 묻는 표현
+const REFERENCE_REGEX = /(평균|정상\s*범위|기준\s*값|표준\s*(?:키|몸무게|체중)|\d\s*(?:번째\s*)?(?:백분위|퍼센타일)|percentile|(?:상위|하위)\s*\d+(?:\.\d+)?\s*%|\baverage\b|\bnormal\s+range\b|trung\s+bình|bách\s+phân\s+vị|平均|百分位)/i;
+
+const REFERENCE_METRICS = [
+  { metric: 'height', regex: /키|신장|height|\btall\b|cao|身高|身长|身長/i },
+  { metric: 'weight', regex: /몸무게|체중|weight|nặng|体重|體重/i },
+  { metric: 'head', regex: /머리\s*둘레|두위|\bhead\b|vòng\s+đầu|头围|頭圍/i },
+  { metric: 'bmi', regex: /BMI|체질량/i },
+];
+
+// 항목 이름표. 영어, 베트남어, 중국어 이름표는 "height is 100", "cao 100", "身高100"처럼 씁니다
+const HEAD_LABEL = '(?:머리\\s*둘레|두위|head(?:\\s+circumference)?|vòng\\s+đầu|头围|頭圍)';
+const HEIGHT_LABEL = '(?:키|신장|height|chiều\\s+cao|cao|身高|身长|身長)';
+const WEIGHT_LABEL = '(?:몸무게|체중|weight|cân\\s+nặng|nặng|体重|體重)';
+const LABEL_PARTICLE = '(?:는|가|은|\\s+is|:)?';
+
+const NAME_BOUNDARY = '(?=$|[\\s,.!?은는이가의도的\'])';
+
+/**
+ * 아이 목록/추가/이름 변경/삭제 명령을 해석합니다. 명령이 아니면 null을 반환합니다.
+ * "민준이 삭제"처럼 명령어 없이 지우는 말은 등록된 아이 이름(childNames)일 때만 삭제로 봅니다. ("기록 삭제", "키 삭제해줘"는 명령이 아님)
+ */
+function parseChildCommand(text, childNames = []) {
+  if (/^(?:아이|자녀)\s*(?:목록|리스트|보기)|^우리\s*아이들|^my\s+(?:children|kids)\b|^danh\s+sách\s+con|^孩子列表|^我的孩子/i.test(text)) {
+    return { action: 'list_children', data: {} };
+  }
+
+  const add = text.match(/^(?:(?:아이|자녀)\s*(?:추가|등록)|add\s+(?:a\s+)?(?:child|kid)\b|thêm\s+(?:con|bé)\b|添加孩子|登记孩子)\s*(.*)$/i);
+  if (add) {
+    const [name = null, ...rest] = add[1].split(/[\s,]+/).filter(Boolean);
+    const details = rest.join(' ');
+    return {
+      action: 'add_child',
+      data: {},
+      child: {
+        name,
+        sex: extractSex(details),
+        birthdate: extractDates(details).birthdate,
+        gestational_weeks: extractGestationalWeeks(details),
+      },
+    };
+  }
+
+  const rename = text.match(/^(?:이름\s*(?:변경|바꾸기|수정)|rename|đổi\s+tên|改名)\s+(\S+)\s+(?:to\s+|thành\s+)?(\S+)/i)
+    || text.match(/^(\S+?)\s*(?:의\s*)?이름\s*(?:을|를)?\s+(\S+?)(?:으로|로)\s*(?:변경|바꿔|수정)/);
+  if (rename) {
+    return { action: 'rename_child', data: {}, child: { name: rename[1], newName: rename[2] } };
+  }
+
+  const remove = text.match(/^(?:(?:아이|자녀)\s*(?:삭제|지우기)|(?:delete|remove)(?:\s+child)?|xóa(?:\s+con)?|删除(?:孩子)?)\s+(\S+)/i);
+  if (remove) {
+    return { action: 'delete_child', data: {}, child: { name: remove[1] } };
+  }
+  const removeNamed = text.match(/^(\S+?)\s*(?:을|를)?\s*(?:삭제|지워)/);
+  const named = removeNamed && extractChildName(removeNamed[1], childNames);
+  if (named) {
+    return { action: 'delete_child', data: {}, child: { name: named } };
+  }
+
+  return null;
+}
+
+/**
+ * 등록된 아이 이름("민준이", "민준", "민준이는")이 언급되었는지 찾아 저장된 이름을 반환합니다.
+ */
+function extractChildName(text, childNames = [], consumed = []) {
+  const candidates = childNames
+    .flatMap(name => [name, nameKey(name), `${nameKey(name)}이`].map(variant => ({ name, variant })))
+    .sort((a, b) => b.variant.length - a.variant.length);
+
+  for (const { name, variant } of candidates) {
+    const escaped = variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = text.match(new RegExp(`(?:^|\\s)(${escaped})${NAME_BOUNDARY}`));
+    if (match) {
+      consumed.push(match[1]);
+      return name;
+    }
+  }
+  return null;
+}
+
+// 뒤따르는 날짜의 이름표("생년월일", "측정일", "재태")는 앞 날짜의 표지로 보지 않습니다
+const BIRTH_AFTER = /^\s*(?:에\s*)?(?:생(?!일|년월일)|출생(?!일)|태어|出生)/;
+const BIRTH_BEFORE = /(?:생일|생년월일|출생일?|born(?:\s+on)?|birth\s*date|sinh(?:\s+ngày)?|出生日期|生日)\s*(?:은|는|:)?\s*$/i;
+const MEASURE_AFTER = /^\s*(?:에\s*)?(?:측정(?!일|\s*날짜)|재(?!태)|잰|쟀|测量)/;
+const MEASURE_BEFORE = /(?:측정일?|측정\s*날짜|잰\s*날|measured(?:\s+on)?|đo(?:\s+ngày)?|测量日期)\s*(?:은|는|:)?\s*$/i;
+
+/**
+ * 생년월일과 측정일을 추출합니다. ("2022년 3월 5일생", "측정일 2024.5.1", "2024-05-01에 쟀어요")
+ * 표지 없는 날짜는 이른 날짜를 생년월일, 늦은 날짜를 측정일로 봅니다.
+ * 생년월일을 이미 알고 있으면(knownBirthdate) 표지 없는 날짜 하나는 측정일로 봅니다. ("민준이 2025년 3월 1일에 키 95")
+ */
+function extractDates(text, consumed = [], { knownBirthdate = false } = {}) {
+  const result = { birthdate: null, measured_on: null };
+  const unmarked = [];
+
+  for (const match of text.matchAll(new RegExp(DATE_REGEX.source, 'g'))) {
+    const date = parseDate(match[0]);
+    if (!date) continue;
+    consumed.push(match[0]);
+
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    // 날짜 바로 뒤의 표지("~생", "~에 측정")를 앞의 표지("생년월일 ~")보다 우선합니다
+    if (BIRTH_AFTER.test(after)) result.birthdate = date;
+    else if (MEASURE_AFTER.test(after)) result.measured_on = date;
+    else if (BIRTH_BEFORE.test(before)) result.birthdate = date;
+    else if (MEASURE_BEFORE.test(before)) result.measured_on = date;
+    else unmarked.push(date);
+  }
+
+  if (knownBirthdate && unmarked.length === 1 && !result.birthdate && !result.measured_on) {
+    result.measured_on = unmarked[0];
+    return result;
+  }
+  for (const date of unmarked.sort()) {
+    if (!result.birthdate) result.birthdate = date;
+    else if (!result.measured_on) result.measured_on = date;
+  }
+  return result;
+}
+
+/**
+ * 출생 당시 재태 주수("32주", "재태 34주 3일", "35주에 태어난")를 추출합니다.
+ * "생후 2주"처럼 나이를 뜻하는 표현이나 22~44주를 벗어난 값은 무시합니다.
+ */
+function extractGestationalWeeks(text, consumed = []) {
+  const regex = new RegExp(`(?:재태\\s*(?:기간|주수)?\\s*)?${NUMBER}\\s*주(?:\\s*${NUMBER}\\s*일)?`, 'g');
+  for (const match of text.matchAll(regex)) {
+    if (/생후\s*$/.test(text.slice(0, match.index))) continue;
+    const weeks = Number(match[1]) + (match[2] ? Number(match[2]) / 7 : 0);
+    if (weeks < 22 || weeks > 44) continue;
+    consumed.push(match[0]);
+    return Math.round(weeks * 10) / 10;
+  }
+  return null;
+}
+
+/**
+ * 성별을 추출합니다. 남/여 표현이 함께 있으면 모호하므로 null을 반환합니다.
+ */
+function extractSex(text) {
+  const matches = SEX_PATTERNS.filter(({ regex }) => regex.test(text));
+  return matches.length === 1 ? matches[0].sex : null;
+}
+
+/**
+ * 나이를 개월 수로 추출합니다. ("3살" -> 36, "15개월" -> 15, "2년 3개월" -> 27)
+ * 인식한 부분은 consumed에 기록하여 이후 숫자 해석에서 제외합니다.
+ */
+function extractAgeMonths(text, consumed = []) {
+  const patterns = [
+    { regex: new RegExp(`${NUMBER}\\s*(?:년|살|세)\\s*${NUMBER}\\s*개월`), toMonths: m => Number(m[1]) * 12 + Number(m[2]) },
+    { regex: new RegExp(`${NUMBER}\\s*개월`), toMonths: m => Number(m[1]) },
+    { regex: new RegExp(`${NUMBER}\\s*(?:살|세)`), toMonths: m => Number(m[1]) * 12 },
+  ];
+
+  for (const { regex, toMonths } of patterns) {
+    const match = text.match(regex);
+    if (match) {
+      consumed.push(match[0]);
+      return Math.round(toMonths(match) * 10) / 10;
+    }
+  }
+  return null;
+}
+
+/**
+ * 키, 몸무게, 머리둘레를 추출합니다. 단위나 "키/몸무게" 같은 표지가 있는 값을 우선하고,
+ * 표지 없는 숫자 두 개("100, 15")는 큰 값을 키, 작은 값을 몸무게로 봅니다.
+ * 같은 항목이 두 번 이상 나오면 모호한 것으로 보고 ambiguous를 표시합니다.
+ */
+function extractMeasurements(text, consumed = []) {
+  const result = { height_cm: null, weight_kg: null, head_cm: null, bareNumbers: [], ambiguous: false };
+  let rest = consumed.reduce((acc, token) => acc.replace(token, ' '), text);
+
+  // 머리둘레는 cm 단위를 쓰므로 키보다 먼저 찾아 지웁니다.
+  const labelled = [
+    { key: 'head_cm', regex: new RegExp(`${HEAD_LABEL}\\s*${LABEL_PARTICLE}\\s*${NUMBER}\\s*(?:cm|센티미터|센티|센치)?`, 'gi') },
+    { key: 'height_cm', regex: new RegExp(`${NUMBER}\\s*(?:cm|센티미터|센티|센치)`, 'gi') },
+    { key: 'height_cm', regex: new RegExp(`${HEIGHT_LABEL}\\s*${LABEL_PARTICLE}\\s*${NUMBER}`, 'gi') },
+    { key: 'weight_kg', regex: new RegExp(`${NUMBER}\\s*(?:kg|킬로그램|킬로|키로)`, 'gi') },
+    { key: 'weight_kg', regex: new RegExp(`${WEIGHT_LABEL}\\s*${LABEL_PARTICLE}\\s*${NUMBER}`, 'gi') },
+  ];
+
+  for (const { key, regex } of labelled) {
+    for (const match of rest.matchAll(regex)) {
+      const value = Number(match[1]);
+      if (result[key] !== null && result[key] !== value) result.ambiguous = true;
+      result[key] = value;
+      rest = rest.replace(match[0], ' ');
+    }
+  }
+
+  result.bareNumbers = (rest.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  return result;
+}
+
+/**
+ * "아빠 175 엄마 162", "아버지 키는 180cm"처럼 부모 키를 찾습니다. 부모 키로 보기 어려운 값은 무시합니다.
+ */
+function extractParentHeights(text, consumed = []) {
+  const result = {};
+  for (const { key, words } of PARENT_PATTERNS) {
+    const match = text.match(new RegExp(`(?:${words})(?:\\s*(?:의\\s*|'s\\s*)?${HEIGHT_LABEL})?\\s*(?:는|은|가|이|\\s+is|:)?\\s*${NUMBER}\\s*(?:cm|센티)?`, 'i'));
+    if (!match) continue;
+    const value = Number(match[1]);
+    if (value >= PARENT_HEIGHT_RANGE.min && value <= PARENT_HEIGHT_RANGE.max) {
+      consumed.push(match[0]);
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * 기준값 질문에서 따로 물어본 백분위를 찾습니다. "90백분위" -> 90, "상위 10%" -> 90, "하위 5%" -> 5
+ */
+function extractReferencePercentile(text, consumed = []) {
+  const patterns = [
+    { regex: new RegExp(`${NUMBER}\\s*(?:번째\\s*)?(?:백분위수?|퍼센타일|(?:st|nd|rd|th)?\\s*percentile|百分位)`, 'i'), toPercentile: value => value },
+    { regex: new RegExp(`(?:bách\\s+phân\\s+vị\\s*(?:thứ\\s*)?|第\\s*)${NUMBER}`, 'i'), toPercentile: value => value },
+    { regex: new RegExp(`(?:상위|top)\\s*${NUMBER}\\s*%`, 'i'), toPercentile: value => 100 - value },
+    { regex: new RegExp(`(?:하위|bottom)\\s*${NUMBER}\\s*%`, 'i'), toPercentile: value => value },
+  ];
+
+  for (const { regex, toPercentile } of patterns) {
+    const match = text.match(regex);
+    if (match) {
+      consumed.push(match[0]);
+      const percentile = toPercentile(Number(match[1]));
+      return percentile > 0 && percentile < 100 ? percentile : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * 측정값 없이 기준값(평균, 백분위별 값)을 묻는 발화를 해석합니다. 기준값 질문이 아니면 null을 반환합니다.
+ * 물어본 성별/나이는 세션에 저장하지 않도록 data가 아닌 reference 항목으로 돌려줍니다.
+ */
+function parseReferenceQuestion(text) {
+  if (!REFERENCE_REGEX.test(text)) return null;
+
+  const consumed = [];
+  const percentile = extractReferencePercentile(text, consumed);
+  const ageMonth = extractAgeMonths(text, consumed);
+  const rest = consumed.reduce((acc, token) => acc.replace(token, ' '), text);
+
+  // "키 100 평균이야?"처럼 측정값을 함께 말하면 아이 분석으로 봅니다
+  const measurements = extractMeasurements(rest);
+  if (measurements.height_cm !== null || measurements.weight_kg !== null || measurements.head_cm !== null) return null;
+
+  const metrics = REFERENCE_METRICS.filter(({ regex }) => regex.test(rest)).map(({ metric }) => metric);
+  const data = {};
+  const standard = parseStandard(text);
+  if (standard) data.standard = standard;
+
+  return {
+    action: 'show_reference',
+    data,
+    reference: {
+      sex: extractSex(rest),
+      age_month: ageMonth,
+      metrics: metrics.length ? metrics : ['height', 'weight'],
+      percentile,
+    },
+  };
+}
+
+/**
+ * 발화를 해석하여 { action, data }를 반환합니다. 아이 관리 명령은 child, 기준값 질문은 reference 항목을 함께 돌려줍니다.
+ * childNames에는 사용자가 등록한 아이 이름을 넘겨 "민준이 키 105" 같은 발화를 인식하게 하고,
+ * birthdates에는 이름별로 저장된 생년월일을 넘겨 그 아이의 발화에서 날짜를 측정일로 해석하게 합니다.
+ * lenient가 false(기본값)이면 모호한 발화에 대해 null을 반환하고,
+ * true이면 LLM을 쓸 수 없을 때를 위해 가능한 만큼만 해석한 결과를 돌려줍니다.
+ */
+function parseUtterance(session, userInput, { lenient = false, childNames = [], birthdates = {} } = {}) {
+  const text = String(userInput || '').trim();
+  const current = session || {};
+
+  const command = parseChildCommand(text, childNames);
+  if (command) return command;
+
+  if (RESET_REGEX.test(text)) return { action: 'reset', data: {} };
+
+  if (current.confirmation === 'pending' && CONFIRM_REGEX.test(text)) {
+    return { action: 'generate_report', data: { confirmation: 'confirmed' } };
+  }
+
+  const consumed = [];
+  const data = {};
+
+  const child = extractChildName(text, childNames, consumed);
+  if (child) data.child = child;
+
+  if (HISTORY_REGEX.test(text)) return { action: 'show_history', data };
+
+  const reference = parseReferenceQuestion(text);
+  if (reference) return reference;
+
+  // 다른 아이를 언급했다면 세션의 생년월일이 아니라 그 아이의 생년월일을 봅니다
+  const knownBirthdate = Boolean(child && child !== current.child ? birthdates[child] : (current.birthdate || birthdates[child]));
+  const { birthdate, measured_on } = extractDates(text, consumed, { knownBirthdate });
+  if (birthdate) data.birthdate = birthdate;
+  if (measured_on) data.measured_on = measured_on;
+
+  const gestationalWeeks = extractGestationalWeeks(text, consumed);
+  if (gestationalWeeks !== null) data.gestational_weeks = gestationalWeeks;
+
+  const parents = extractParentHeights(text, consumed);
+  Object.assign(data, parents);
+
+  // "WHO 기준으로", "한국 기준", "기준 자동"처럼 성장 기준을 고르는 표현
+  const standard = parseStandard(text);
+  if (standard) data.standard = standard;
+
+  const remaining = consumed.reduce((acc, token) => acc.replace(token, ' '), text);
+
+  const sex = extractSex(remaining);
+  if (sex) data.sex = sex;
+
+  const ageMonth = extractAgeMonths(remaining, consumed);
+  if (ageMonth !== null) data.age_month = ageMonth;
+
+  const measurements = extractMeasurements(text, consumed);
+  if (measurements.height_cm !== null) data.height_cm = measurements.height_cm;
+  if (measurements.weight_kg !== null) data.weight_kg = measurements.weight_kg;
+  if (measurements.head_cm !== null) data.head_cm = measurements.head_cm;
+
+  let ambiguous = measurements.ambiguous;
+  const bare = measurements.bareNumbers;
+
+  if (bare.length === 2 && data.height_cm === undefined && data.weight_kg === undefined && data.head_cm === undefined) {
+    data.height_cm = Math.max(...bare);
+    data.weight_kg = Math.min(...bare);
+  } else if (bare.length === 1 && BARE_NUMBER_REGEX.test(text) && !current.birthdate
+    && (current.age_month === null || current.age_month === undefined)) {
+    // 발화 전체가 숫자 하나일 때만 개월 수로 간주합니다 (LLM 프롬프트 규칙과 동일).
+    // "사과 2개 먹었어요", "born in 2022"처럼 다른 말 속의 숫자는 LLM에 넘깁니다
+    data.age_month = bare[0];
+  } else if (bare.length > 0) {
+    ambiguous = true;
+  }
+
+  if (ambiguous && !lenient) return null;
+
+  const hasData = Object.keys(data).length > 0;
+  if (!hasData && GREET_REGEX.test(text)) return { action: 'greet', data: {} };
+
+  // 부모 키는 성인 키 예측에만 쓰므로, 부모 키를 말하면 예측 요청으로 봅니다
+  if (PREDICT_REGEX.test(text) || Object.keys(parents).length) {
+    return { action: 'predict_adult_height', data };
+  }
+
+  const merged = { ...current, ...data };
+  const hasAge = Boolean(merged.birthdate) || (merged.age_month !== null && merged.age_month !== undefined);
+  const isComplete = merged.sex && hasAge && (merged.height_cm || merged.weight_kg || merged.head_cm);
+
+  if (REPORT_REGEX.test(text) || (hasData && isComplete)) {
+    return { action: 'generate_report', data };
+  }
+  if (hasData) return { action: 'ask_for_info', data };
+
+  return lenient ? { action: 'unknown', data: {} } : null;
+}
+
+module.exports = {
+  parseUtterance,
+  parseChildCommand,
+  parseReferenceQuestion,
+  extractChildName,
+  extractDates,
+  extractGestationalWeeks,
+  extractParentHeights,
+  extractSex,
+  extractAgeMonths,
+  extractMeasurements,
+};